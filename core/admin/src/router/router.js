@@ -83,6 +83,16 @@ const router = createRouter({
       name: 'ResetPassword',
       component: () => import('@/views/ResetPassword.vue')
     },
+    {
+      path: '/verify-email',
+      name: 'VerifyEmail',
+      component: () => import('@/views/VerifyEmail.vue')
+    },
+    {
+      path: '/accept-invite',
+      name: 'AcceptInvite',
+      component: () => import('@/views/AcceptInvite.vue')
+    },
     {
       path: '/setup',
       redirect: '/setup/database',
@@ -164,8 +174,15 @@ router.beforeEach(async (to, from) => {
     return '/'
   }
 
-  // Redirect to login if not authenticated (except for reset-password)
-  if (healthy && !tokens && !to.path.startsWith('/login') && !to.path.startsWith('/reset-password')) {
+  // Redirect to login if not authenticated (except for reset-password, verify-email and accept-invite)
+  if (
+    healthy &&
+    !tokens &&
+    !to.path.startsWith('/login') &&
+    !to.path.startsWith('/reset-password') &&
+    !to.path.startsWith('/verify-email') &&
+    !to.path.startsWith('/accept-invite')
+  ) {
     return '/login'
   }
 
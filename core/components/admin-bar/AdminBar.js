@@ -219,6 +219,36 @@ async function showAdminBar(customButtons = []) {
   document.body.classList.add('htmldrop-admin-bar-visible')
 }
 
+// Show the preview banner, for visitors of shared links as well
+async function showPreviewBanner(preview) {
+  if (!preview) return
+
+  const locale = getUserInfo()?.locale || navigator.language?.replace('-', '_') || fallbackLoc
+  await getTranslations(locale)
+
+  const banner = document.createElement('div')
+  banner.id = 'htmldrop-preview-banner'
+
+  const title = document.createElement('strong')
+  title.textContent = translate('Preview mode', locale)
+  banner.appendChild(title)
+
+  const text = document.createElement('span')
+  text.textContent = translate('This is a preview of an unpublished version', locale)
+  banner.appendChild(text)
+
+  if (preview.expires_at) {
+    const expires = new Date(`${preview.expires_at.replace(' ', 'T')}Z`)
+    const time = document.createElement('span')
+    time.className = 'expires'
+    time.textContent = `${translate('Expires', locale)}: ${expires.toLocaleString(locale.replace('_', '-'))}`
+    banner.appendChild(time)
+  }
+
+  document.body.appendChild(banner)
+  document.body.classList.add('htmldrop-preview-visible')
+}
+
 // Handle logout
 async function handleLogout(e) {
   e.preventDefault()
@@ -240,8 +270,9 @@ async function handleLogout(e) {
 }
 
 // Initialize admin bar
-async function init(html = '', customButtons = []) {
+async function init(html = '', customButtons = [], preview = null) {
   document.body.insertAdjacentHTML('beforeend', html)
+  showPreviewBanner(preview)
 
   // Try to refresh token if expired
   const authenticated = await refreshTokenIfNeeded()
@@ -39,6 +39,24 @@ const options = {
             message: { type: 'string' }
           }
         },
+        ValidationError: {
+          type: 'object',
+          properties: {
+            error: { type: 'string', example: 'Validation failed' },
+            code: { type: 'string', example: 'VALIDATION_ERROR' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string', description: 'Field slug', example: 'title' },
+                  message: { type: 'string', example: 'Title is required' },
+                  code: { type: 'string', enum: ['MISSING_REQUIRED_FIELD', 'INVALID_INPUT', 'NOT_FOUND'] }
+                }
+              }
+            }
+          }
+        },
         Health: {
           type: 'object',
           properties: {
@@ -92,6 +110,8 @@ const options = {
             post_type_id: { type: 'integer' },
             slug: { type: 'string' },
             status: { type: 'string', enum: ['draft', 'published', 'archived'] },
+            locale: { type: 'string', nullable: true, description: 'Content locale, null means the default content locale', example: 'nb_NO' },
+            translation_group: { type: 'string', nullable: true, description: 'Items sharing a translation group are translations of each other' },
             created_at: { type: 'string', format: 'date-time' },
             updated_at: { type: 'string', format: 'date-time' },
             deleted_at: { type: 'string', format: 'date-time', nullable: true },
@@ -136,6 +156,7 @@ const options = {
             description: { type: 'string' },
             icon: { type: 'string' },
             capabilities: { type: 'object' },
+            public: { type: 'boolean', description: 'Whether published posts of the type are served by the delivery API' },
             created_at: { type: 'string', format: 'date-time' }
           }
         },
@@ -148,6 +169,8 @@ const options = {
             taxonomy_id: { type: 'integer' },
             slug: { type: 'string' },
             parent_id: { type: 'integer', nullable: true },
+            locale: { type: 'string', nullable: true, description: 'Content locale, null means the default content locale', example: 'nb_NO' },
+            translation_group: { type: 'string', nullable: true, description: 'Items sharing a translation group are translations of each other' },
             created_at: { type: 'string', format: 'date-time' },
             updated_at: { type: 'string', format: 'date-time' },
             deleted_at: { type: 'string', format: 'date-time', nullable: true }
@@ -183,6 +206,7 @@ const options = {
             name: { type: 'string', example: 'Administrator' },
             slug: { type: 'string', example: 'administrator' },
             description: { type: 'string', example: 'Full access to all features' },
+            two_factor_required: { type: 'boolean', description: 'Users with this role must use two-factor authentication' },
             created_at: { type: 'string', format: 'date-time' },
             updated_at: { type: 'string', format: 'date-time' },
             capabilities: {
@@ -235,6 +259,99 @@ const options = {
             completedAt: { type: 'string', format: 'date-time', nullable: true },
             error: { type: 'string', nullable: true, description: 'Error message if job failed' }
           }
+        },
+        AuditEntry: {
+          type: 'object',
+          description: 'A recorded change: who did what to which entity',
+          properties: {
+            id: { type: 'integer' },
+            user_id: { type: 'integer', nullable: true },
+            user_email: { type: 'string', nullable: true },
+            ip: { type: 'string', nullable: true },
+            action: { type: 'string', example: 'update' },
+            entity_type: { type: 'string', example: 'post' },
+            entity_id: { type: 'string', nullable: true, example: '42' },
+            entity_label: { type: 'string', nullable: true, example: 'Hello world' },
+            changes: {
+              type: 'object',
+              nullable: true,
+              description: 'Changed fields with their previous and new values',
+              additionalProperties: {
+                type: 'object',
+                properties: { from: {}, to: {} }
+              },
+              example: { status: { from: 'draft', to: 'published' } }
+            },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        Translation: {
+          type: 'object',
+          description: 'A translation of a post or term',
+          properties: {
+            id: { type: 'integer' },
+            locale: { type: 'string', example: 'nb_NO' },
+            hreflang: { type: 'string', description: 'Locale as used in hreflang attributes', example: 'nb-NO' },
+            slug: { type: 'string', nullable: true },
+            status: { type: 'string', nullable: true },
+            post_type_slug: { type: 'string' },
+            taxonomy_slug: { type: 'string', description: 'Only for terms' }
+          }
+        },
+        SearchResult: {
+          type: 'object',
+          description: 'A published post matching a search',
+          properties: {
+            id: { type: 'integer' },
+            post_type_slug: { type: 'string', example: 'posts' },
+            slug: { type: 'string', nullable: true, example: 'hello-world' },
+            title: { type: 'string', nullable: true, example: 'Hello world' },
+            score: { type: 'number', description: 'Relevance, higher is better. Only comparable within one search' },
+            field: { type: 'string', nullable: true, description: 'Field the snippet is taken from', example: 'content' },
+            snippet: {
+              type: 'string',
+              description: 'HTML-escaped excerpt with the matched terms wrapped in <mark>',
+              example: '…says <mark>hello</mark> to the world…'
+            },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        DeliveredPost: {
+          type: 'object',
+          description: 'Published post of a public post type. The values of the post type\'s fields are merged at the root level, fields marked private are left out.',
+          properties: {
+            id: { type: 'integer' },
+            slug: { type: 'string' },
+            post_type_slug: { type: 'string' },
+            locale: { type: 'string', example: 'en_US' },
+            publish_at: { type: 'string', format: 'date-time', nullable: true },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' },
+            terms: {
+              type: 'object',
+              description: 'Term IDs per taxonomy, full terms with `expand=terms`',
+              example: { categories: [3, 7] }
+            }
+          },
+          additionalProperties: true
+        },
+        Comment: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            post_id: { type: 'integer', description: 'Post the comment belongs to' },
+            parent_id: { type: 'integer', nullable: true, description: 'Comment replied to' },
+            status: { type: 'string', enum: ['approved', 'pending', 'spam', 'trash'] },
+            content: { type: 'string', description: 'Plain text, escape it when rendering' },
+            author_name: { type: 'string', nullable: true, example: 'Ada' },
+            author_url: { type: 'string', nullable: true },
+            user_id: { type: 'integer', nullable: true, description: 'Signed-in author, null for guests' },
+            created_at: { type: 'string', format: 'date-time' },
+            author_email: { type: 'string', nullable: true, description: 'Only for moderators' },
+            author_ip: { type: 'string', nullable: true, description: 'Only for moderators' },
+            author_user_agent: { type: 'string', nullable: true, description: 'Only for moderators' },
+            replies: { type: 'array', items: { $ref: '#/components/schemas/Comment' }, description: 'Only in threads' }
+          }
         }
       }
     },
@@ -249,6 +366,9 @@ const options = {
       { name: 'Posts', description: 'Content posts' },
       { name: 'Post Types', description: 'Post type management' },
       { name: 'Post Type Fields', description: 'Custom fields for post types' },
+      { name: 'Search', description: 'Full-text search across published posts' },
+      { name: 'Comments', description: 'Threaded comments on posts and their moderation' },
+      { name: 'Delivery', description: 'Public, cacheable read-only content for frontends' },
       { name: 'Terms', description: 'Taxonomy terms' },
       { name: 'Taxonomies', description: 'Taxonomy management' },
       { name: 'Taxonomy Fields', description: 'Custom fields for taxonomies' },
@@ -256,6 +376,8 @@ const options = {
       { name: 'Plugins', description: 'Plugin management' },
       { name: 'Themes', description: 'Theme management' },
       { name: 'Jobs', description: 'Background job management' },
+      { name: 'Audit Log', description: 'Record of content, user and settings changes' },
+      { name: 'Bundles', description: 'Content export and import between sites' },
       { name: 'Updates', description: 'CMS update management' },
       { name: 'Dashboard', description: 'Admin dashboard data' },
       { name: 'Translations', description: 'Translation and localization' }
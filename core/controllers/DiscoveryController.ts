@@ -0,0 +1,77 @@
+/**
+ * Discovery Controller
+ *
+ * Serves `/sitemap.xml`, `/sitemap-{post type}.xml`, `/feed`, `/feed/{post type}`,
+ * `/feed/{post type}/{taxonomy}/{term}` (`?format=atom` for Atom) and `/robots.txt`
+ * ahead of the theme. Responses are kept in SharedSSRCache, on a miss the full
+ * registry is built so plugin and theme filters apply. When a feature is turned off
+ * in the settings the request falls through to the theme.
+ */
+
+import type { Router, Request, Response, NextFunction } from 'express'
+import express from 'express'
+import DiscoveryService from '../services/DiscoveryService.ts'
+import type { DiscoverySettings, FeedFormat } from '../services/DiscoveryService.ts'
+import registryMiddleware from '../middlewares/registryMiddleware.ts'
+import { getCachedSSR, setCachedSSR } from '../services/SharedSSRCache.ts'
+import { CORE_POST_TYPES, DISCOVERY } from '../utils/constants.ts'
+
+type Build = (service: DiscoveryService, req: Request, origin: string) => Promise<string | null> | string
+
+export default (context: HTMLDrop.Context): Router => {
+  const router = express.Router()
+  const registry = registryMiddleware(context)
+
+  const originOf = (req: Request): string => `${req.protocol}://${req.get('host')}`
+  const cacheKey = (req: Request): string => `discovery:${originOf(req)}${req.originalUrl}`
+
+  const serve = (contentType: (req: Request) => string, enabled: (settings: DiscoverySettings) => boolean, build: Build) => [
+    async (req: Request, res: Response, next: NextFunction): Promise<Response | void> => {
+      if (!context.knex || !enabled(new DiscoveryService(context).getSettings())) return next('route')
+
+      const cached = await getCachedSSR(cacheKey(req), DISCOVERY.CACHE_MS)
+      if (cached) return res.type(contentType(req)).send(cached.html)
+
+      const discoveryReq = req as Request & { fullRegistry?: boolean }
+      discoveryReq.fullRegistry = true
+      next()
+    },
+    registry,
+    async (req: Request, res: Response): Promise<Response | void> => {
+      const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+      const body = await build(new DiscoveryService(context, typedReq.hooks), req, originOf(req))
+      if (body === null) return res.status(404).type('text/plain').send('Not found')
+
+      setCachedSSR(cacheKey(req), body)
+      res.type(contentType(req)).send(body)
+    }
+  ]
+
+  const xml = (): string => 'application/xml'
+  const feedFormat = (req: Request): FeedFormat => (req.query.format === 'atom' ? 'atom' : 'rss')
+  const feedType = (req: Request): string => `application/${feedFormat(req)}+xml`
+  const sitemapsEnabled = (settings: DiscoverySettings): boolean => settings.sitemap
+  const feedsEnabled = (settings: DiscoverySettings): boolean => settings.feeds
+
+  router.get('/robots.txt', ...serve(() => 'text/plain', () => true, (service, _req, origin) => service.robots(origin)))
+
+  router.get('/sitemap.xml', ...serve(xml, sitemapsEnabled, (service, _req, origin) => service.sitemapIndex(origin)))
+
+  router.get('/sitemap-:postType.xml', ...serve(xml, sitemapsEnabled, (service, req, origin) =>
+    service.sitemap(String(req.params.postType), Number(req.query.page) || 1, origin)))
+
+  // Feed of `posts`, or the first public post type when posts are not public
+  router.get('/feed', ...serve(feedType, feedsEnabled, async (service, req, origin) => {
+    const types = await service.postTypes('feed')
+    const type = types.find((item) => item.slug === CORE_POST_TYPES.POST) || types[0]
+    return type ? service.feed(type.slug, { format: feedFormat(req) }, origin) : null
+  }))
+
+  router.get('/feed/:postType', ...serve(feedType, feedsEnabled, (service, req, origin) =>
+    service.feed(String(req.params.postType), { format: feedFormat(req) }, origin)))
+
+  router.get('/feed/:postType/:taxonomy/:term', ...serve(feedType, feedsEnabled, (service, req, origin) =>
+    service.feed(String(req.params.postType), { taxonomy: String(req.params.taxonomy), term: String(req.params.term), format: feedFormat(req) }, origin)))
+
+  return router
+}
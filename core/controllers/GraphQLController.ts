@@ -0,0 +1,54 @@
+/**
+ * GraphQL Controller
+ *
+ * Serves the GraphQL schema generated from the post type and taxonomy registries at
+ * `/api/graphql`. Queries are sent as JSON with `POST`, or in the query string with
+ * `GET`. Signed-in callers see the post types they can read, guests those without
+ * capabilities.
+ */
+
+import type { Router, Request, Response } from 'express'
+import express from 'express'
+import GraphQLService from '../services/GraphQLService.ts'
+import type { GraphQLRequest } from '../services/GraphQLService.ts'
+
+export default (context: HTMLDrop.Context): Router => {
+  const router = express.Router({ mergeParams: true })
+
+  const parseVariables = (value: unknown): Record<string, unknown> | null => {
+    if (!value) return null
+    if (typeof value === 'object') return value as Record<string, unknown>
+    try {
+      return JSON.parse(String(value))
+    } catch {
+      return null
+    }
+  }
+
+  const handle = async (req: Request, res: Response, params: Record<string, unknown>): Promise<Response | void> => {
+    if (!context.knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+    if (typeof params.query !== 'string' || !params.query.trim()) {
+      return res.status(400).json({ errors: [{ message: 'Missing query' }] })
+    }
+
+    const request: GraphQLRequest = {
+      query: params.query,
+      variables: parseVariables(params.variables),
+      operationName: typeof params.operationName === 'string' ? params.operationName : null
+    }
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    const graphQLService = new GraphQLService(context, { hooks: typedReq.hooks, guard: typedReq.guard, user: typedReq.user })
+    const result = await graphQLService.execute(request)
+
+    // Queries that did not parse or validate never ran
+    res.status('data' in result ? 200 : 400).json(result)
+  }
+
+  router.get('/', (req: Request, res: Response) => handle(req, res, req.query))
+
+  router.post('/', (req: Request, res: Response) => handle(req, res, req.body || {}))
+
+  return router
+}
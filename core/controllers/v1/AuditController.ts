@@ -0,0 +1,104 @@
+import type { Router, Response } from 'express'
+import express from 'express'
+import AuditLogService from '../../services/AuditLogService.ts'
+import type { AuditFilters } from '../../services/AuditLogService.ts'
+
+export default (context: HTMLDrop.Context): Router => {
+  const router = express.Router({ mergeParams: true })
+
+  const checkCapability = async (req: HTMLDrop.ExtendedRequest, routeCaps: string[]): Promise<boolean> => {
+    const hasAccess = await req.guard.user({ canOneOf: routeCaps })
+    return !!hasAccess
+  }
+
+  /**
+   * @openapi
+   * /audit:
+   *   get:
+   *     tags:
+   *       - Audit Log
+   *     summary: List audit log entries
+   *     description: Returns who changed what, newest first. Requires the read_audit_log capability
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: user_id
+   *         schema:
+   *           type: integer
+   *         description: Only entries made by this user
+   *       - in: query
+   *         name: action
+   *         schema:
+   *           type: string
+   *           enum: [create, update, trash, delete, activate, deactivate, install, reset_two_factor]
+   *       - in: query
+   *         name: entity_type
+   *         schema:
+   *           type: string
+   *           enum: [post, term, user, option, role, auth_provider, plugin, theme]
+   *       - in: query
+   *         name: entity_id
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: from
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *         description: Only entries created at or after this date
+   *       - in: query
+   *         name: to
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *         description: Only entries created at or before this date
+   *       - in: query
+   *         name: search
+   *         schema:
+   *           type: string
+   *         description: Matches the entity label or the actor's email
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 50
+   *           maximum: 200
+   *       - in: query
+   *         name: offset
+   *         schema:
+   *           type: integer
+   *           default: 0
+   *     responses:
+   *       200:
+   *         description: Audit log entries
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 items:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/AuditEntry'
+   *                 total:
+   *                   type: integer
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   */
+  router.get('/', async (req, res: Response) => {
+    if (!context.knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+    if (!(await checkCapability(req as unknown as HTMLDrop.ExtendedRequest, ['read_audit_log']))) {
+      return res.status(403).json({ error: 'Permission denied' })
+    }
+
+    const auditLogService = new AuditLogService(context)
+    res.json(await auditLogService.list(req.query as AuditFilters))
+  })
+
+  return router
+}
@@ -4,19 +4,94 @@ import jwt from 'jsonwebtoken'
 import crypto from 'crypto'
 import { hash, validate as validatePassword, verify } from '../../utils/password.ts'
 import { validate as validateEmail } from '../../utils/email.ts'
-import { buildPayload } from '../../utils/payload.ts'
 import PasswordResetService from '../../services/PasswordResetService.ts'
+import EmailVerificationService from '../../services/EmailVerificationService.ts'
+import type { VerificationToken } from '../../services/EmailVerificationService.ts'
+import TwoFactorService from '../../services/TwoFactorService.ts'
+import SessionService, { describeDevice } from '../../services/SessionService.ts'
+import LoginProtectionService from '../../services/LoginProtectionService.ts'
+import type { LoginCheck } from '../../services/LoginProtectionService.ts'
+import InvitationService from '../../services/InvitationService.ts'
 import EmailService from '../../services/EmailService.mjs'
 import { authLimiter, strictLimiter } from '../../middlewares/RateLimiter.ts'
 
-// JWT expiry values - cast to number to satisfy jsonwebtoken's StringValue type
-// These are parsed by the ms library internally, so string values like '1h' work
-const ACCESS_TOKEN_EXPIRY = (process.env.JWT_EXPIRES_IN || '1h') as unknown as number
-const REFRESH_TOKEN_EXPIRY = (process.env.JWT_REFRESH_EXPIRES_IN || '7d') as unknown as number
+interface LoginUser {
+  id: number
+  email: string
+  username: string
+  locale?: string
+  failed_login_count?: number | null
+  last_failed_login_at?: string | null
+  locked_until?: string | null
+}
 
 export default (context: HTMLDrop.Context): Router => {
   const router = express.Router({ mergeParams: true })
 
+  // Origin of the admin the request came from, used for links in emails
+  const requestOrigin = (req: Request): string | undefined => {
+    const referer = req.get('referer')
+    return req.get('origin') || (referer ? referer.split('/').slice(0, 3).join('/') : undefined)
+  }
+
+  // Start a session for a user and issue its access and refresh token pair. Completing a login
+  // resets the failed attempts, and a login from a new browser or device is emailed to the user
+  const issueTokens = async (req: Request, res: Response, user: LoginUser) => {
+    const protection = new LoginProtectionService(context)
+    const client = { userAgent: req.get('user-agent'), ip: req.ip }
+    const newDevice = protection.getSettings().notify_new_device && (await protection.isNewDevice(user.id, client.userAgent))
+
+    await protection.recordSuccess(user)
+    const tokens = await new SessionService(context).issue(user, client)
+
+    if (newDevice) {
+      new EmailService({ ...context, req, res })
+        .sendNewDeviceLoginEmail(user, { device: describeDevice(client.userAgent), ip: client.ip, time: new Date() }, requestOrigin(req))
+        .catch((error: Error) => console.error('New device email error:', error))
+    }
+    return tokens
+  }
+
+  // Refuse a login while the account is locked or the delay after the last failure runs
+  const refuseAttempt = (res: Response, check: LoginCheck) => {
+    const seconds = Math.max(1, Math.ceil(((check.retryAfter?.getTime() ?? Date.now()) - Date.now()) / 1000))
+    res.set('Retry-After', String(seconds))
+    return res.status(429).json({
+      error: check.locked
+        ? 'This account is temporarily locked after too many failed login attempts'
+        : 'Too many failed login attempts, please wait before trying again',
+      locked: check.locked,
+      retryAfter: check.retryAfter
+    })
+  }
+
+  // Count a failed login, the attempt that locks the account fires `lock_user` and emails the user
+  const recordFailedLogin = async (req: Request, res: Response, user: LoginUser) => {
+    const protection = new LoginProtectionService(context)
+    const failure = await protection.recordFailure(user)
+    if (!failure.locked) return
+
+    const { doAction } = (req as HTMLDrop.ExtendedRequest).hooks || {}
+    doAction?.('lock_user', { req, res, user: { id: user.id, email: user.email }, lockedUntil: failure.lockedUntil })
+
+    const { notify_lockout, lockout_minutes } = protection.getSettings()
+    if (!notify_lockout) return
+    new EmailService({ ...context, req, res })
+      .sendAccountLockedEmail(user, { lockoutMinutes: lockout_minutes, ip: req.ip }, requestOrigin(req))
+      .catch((error: Error) => console.error('Lockout email error:', error))
+  }
+
+  // Issue a verification token and email the link, failures are logged so registration still succeeds
+  const sendVerification = async (req: Request, res: Response, verification: VerificationToken) => {
+    try {
+      const emailService = new EmailService({ ...context, req, res })
+      const { expires_hours } = new EmailVerificationService(context).getSettings()
+      await emailService.sendVerificationEmail(verification.user, verification.token, expires_hours, requestOrigin(req))
+    } catch (error) {
+      console.error('Verification email error:', error)
+    }
+  }
+
   /**
    * @openapi
    * /auth/login:
@@ -24,7 +99,11 @@ export default (context: HTMLDrop.Context): Router => {
    *     tags:
    *       - Authentication
    *     summary: User login
-   *     description: Authenticate a user with email and password, returns JWT access and refresh tokens
+   *     description: |
+   *       Authenticate a user with email and password, returns JWT access and refresh tokens.
+   *       When two-factor authentication is enabled for the user, or enforced by one of their roles,
+   *       a `challengeToken` is returned instead and the login is completed with `/auth/2fa/verify`
+   *       (or `/auth/2fa/setup` when `setupRequired` is true).
    *     requestBody:
    *       required: true
    *       content:
@@ -65,14 +144,16 @@ export default (context: HTMLDrop.Context): Router => {
    *                   format: date-time
    *                   description: Access token expiration timestamp
    *       401:
-   *         description: Invalid credentials
+   *         description: |
+   *           Invalid credentials. Also returned while the delay after the last failed attempt runs or the
+   *           account is locked, so the response is the same for unknown addresses.
    *         content:
    *           application/json:
    *             schema:
    *               $ref: '#/components/schemas/Error'
    */
   router.post('/login', authLimiter, async (req: Request, res: Response) => {
-    const { knex, table, formatDate } = context
+    const { knex, table } = context
     if (!knex) {
       return res.status(503).json({ success: false, error: 'Database not available' })
     }
@@ -83,37 +164,155 @@ export default (context: HTMLDrop.Context): Router => {
       knex(table('revoked_tokens')).where('expires_at', '<', new Date()).del()
       knex(table('refresh_tokens')).where('expires_at', '<', new Date()).del()
 
-      // Find user
+      // Find user, an account waiting out the delay or lockout after failed attempts gets the same
+      // answer as an unknown address so the response doesn't tell which addresses are registered.
+      // Its password isn't checked meanwhile
       const user = await knex(table('users')).where({ email }).first()
-      if (!user) return res.status(401).send('Invalid credentials')
+      if (!user || !new LoginProtectionService(context).check(user).allowed) {
+        return res.status(401).send('Invalid credentials')
+      }
 
       // Verify password
       const isVerified = await verify(password, user.password)
-      if (!isVerified) return res.status(401).send('Invalid credentials')
-
-      // Generate payload
-      const payload = await buildPayload(context, user)
-
-      // Generate access token
-      const accessToken = jwt.sign(payload, process.env.JWT_SECRET!, { expiresIn: ACCESS_TOKEN_EXPIRY })
-      const decodedAccess = jwt.decode(accessToken) as HTMLDrop.JwtPayload | null
-      const expA = decodedAccess?.exp ?? Math.floor(Date.now() / 1000) + 3600
-      const expiresAt = new Date(expA * 1000)
-
-      const now = new Date()
-      const expiresIn = Math.floor((expiresAt.getTime() - now.getTime()) / 1000)
-
-      // Generate refresh token
-      const refreshToken = jwt.sign(payload, process.env.JWT_REFRESH_SECRET!, { expiresIn: REFRESH_TOKEN_EXPIRY })
-      const decodedRefresh = jwt.decode(refreshToken) as HTMLDrop.JwtPayload | null
-      const exp = decodedRefresh?.exp ?? Math.floor(Date.now() / 1000) + 7 * 24 * 3600
-      await knex(table('refresh_tokens')).insert({
-        user_id: user.id,
-        token: crypto.createHash('sha256').update(refreshToken).digest('hex'),
-        expires_at: formatDate(new Date(exp * 1000))
-      })
+      if (!isVerified) {
+        await recordFailedLogin(req, res, user)
+        return res.status(401).send('Invalid credentials')
+      }
+
+      // Self-registered users confirm their address first, unless the site allows it
+      if (new EmailVerificationService(context).blocksLogin(user)) {
+        return res.status(403).json({ error: 'Please confirm your email address before logging in', verificationRequired: true })
+      }
+
+      // Second factor, tokens are issued by /2fa/verify instead
+      const challenge = await new TwoFactorService(context).challengeFor(user)
+      if (challenge) return res.status(200).json(challenge)
+
+      res.status(200).json(await issueTokens(req, res, user))
+    } catch (error) {
+      console.error(error)
+      res.status(500).send('Internal server error')
+    }
+  })
+
+  /**
+   * @openapi
+   * /auth/2fa/verify:
+   *   post:
+   *     tags:
+   *       - Authentication
+   *     summary: Complete a two-factor login
+   *     description: Exchange the challenge token from `/auth/login` and an authenticator or recovery code for JWT tokens
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - challengeToken
+   *               - code
+   *             properties:
+   *               challengeToken:
+   *                 type: string
+   *               code:
+   *                 type: string
+   *                 description: 6-digit TOTP code or a recovery code
+   *     responses:
+   *       200:
+   *         description: Login successful, same response as `/auth/login`
+   *       401:
+   *         description: Invalid or expired challenge, or invalid code
+   *       429:
+   *         description: Too many failed attempts for this account, same response as `/auth/login`
+   */
+  router.post('/2fa/verify', authLimiter, async (req: Request, res: Response) => {
+    const { knex, table } = context
+    if (!knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+    try {
+      const { challengeToken, code } = req.body
+      const twoFactor = new TwoFactorService(context)
+
+      const challenge = twoFactor.verifyChallenge(challengeToken)
+      if (!challenge || challenge.setup) return res.status(401).send('Invalid or expired challenge')
+
+      const user = await knex(table('users')).where({ id: challenge.userId }).first()
+      if (!user) return res.status(401).send('Invalid or expired challenge')
+
+      const check = new LoginProtectionService(context).check(user)
+      if (!check.allowed) return refuseAttempt(res, check)
+
+      const method = await twoFactor.verify(user.id, code)
+      if (!method) {
+        await recordFailedLogin(req, res, user)
+        return res.status(401).send('Invalid code')
+      }
+
+      res.status(200).json(await issueTokens(req, res, user))
+    } catch (error) {
+      console.error(error)
+      res.status(500).send('Internal server error')
+    }
+  })
+
+  /**
+   * @openapi
+   * /auth/2fa/setup:
+   *   post:
+   *     tags:
+   *       - Authentication
+   *     summary: Start required two-factor enrollment during login
+   *     description: |
+   *       For users whose role enforces two-factor but who haven't enrolled yet. Returns the TOTP secret
+   *       and an `otpauth://` URI for authenticator apps. Passing `code` as well confirms the enrollment
+   *       and completes the login, returning the tokens and the recovery codes.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - challengeToken
+   *             properties:
+   *               challengeToken:
+   *                 type: string
+   *               code:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Enrollment started, or confirmed with tokens and recoveryCodes
+   *       400:
+   *         description: Invalid code
+   *       401:
+   *         description: Invalid or expired challenge
+   */
+  router.post('/2fa/setup', authLimiter, async (req: Request, res: Response) => {
+    const { knex, table } = context
+    if (!knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+    try {
+      const { challengeToken, code } = req.body
+      const twoFactor = new TwoFactorService(context)
+
+      const challenge = twoFactor.verifyChallenge(challengeToken)
+      if (!challenge?.setup) return res.status(401).send('Invalid or expired challenge')
 
-      res.status(200).json({ accessToken, refreshToken, expiresIn, expiresAt })
+      const user = await knex(table('users')).where({ id: challenge.userId }).first()
+      if (!user) return res.status(401).send('Invalid or expired challenge')
+
+      let recoveryCodes: string[]
+      try {
+        if (!code) return res.status(200).json(await twoFactor.beginEnrollment(user))
+        recoveryCodes = await twoFactor.confirmEnrollment(user.id, code)
+      } catch (error) {
+        return res.status(400).send((error as Error).message)
+      }
+
+      res.status(200).json({ ...(await issueTokens(req, res, user)), recoveryCodes })
     } catch (error) {
       console.error(error)
       res.status(500).send('Internal server error')
@@ -127,7 +326,7 @@ export default (context: HTMLDrop.Context): Router => {
    *     tags:
    *       - Authentication
    *     summary: User logout
-   *     description: Revoke access token and delete all refresh tokens for the user
+   *     description: Revoke the access token and end its session, other sessions of the user stay signed in
    *     security:
    *       - bearerAuth: []
    *     responses:
@@ -149,10 +348,6 @@ export default (context: HTMLDrop.Context): Router => {
 
       const payload = jwt.verify(token, process.env.JWT_SECRET!) as unknown as HTMLDrop.JwtPayload
 
-      // Remove expired tokens asynchronously
-      knex(table('revoked_tokens')).where('expires_at', '<', new Date()).del()
-      knex(table('refresh_tokens')).where('expires_at', '<', new Date()).del()
-
       // Revoke current access token
       await knex(table('revoked_tokens')).insert({
         token: crypto.createHash('sha256').update(token).digest('hex'),
@@ -160,8 +355,13 @@ export default (context: HTMLDrop.Context): Router => {
         expires_at: formatDate(new Date((payload.exp ?? Date.now() / 1000) * 1000))
       })
 
-      // Delete all refresh tokens for this user
-      await knex(table('refresh_tokens')).where({ user_id: payload.sub }).del()
+      // End the session of this token, tokens issued before sessions were tracked end all of them
+      const sessions = new SessionService(context)
+      if (payload.sid) {
+        await sessions.revokeBySid(String(payload.sid), 'logout')
+      } else {
+        await knex(table('refresh_tokens')).where({ user_id: payload.sub }).del()
+      }
 
       res.status(200).send('Logged out successfully')
     } catch (err) {
@@ -177,7 +377,9 @@ export default (context: HTMLDrop.Context): Router => {
    *     tags:
    *       - Authentication
    *     summary: Refresh access token
-   *     description: Get a new access token using a valid refresh token
+   *     description: |
+   *       Get a new access and refresh token using a valid refresh token. Refresh tokens are single use,
+   *       presenting one that was already exchanged signs out its whole session.
    *     requestBody:
    *       required: true
    *       content:
@@ -201,6 +403,9 @@ export default (context: HTMLDrop.Context): Router => {
    *                 accessToken:
    *                   type: string
    *                   description: New JWT access token
+   *                 refreshToken:
+   *                   type: string
+   *                   description: New refresh token, replaces the one sent
    *                 expiresIn:
    *                   type: integer
    *                   description: Token expiration time in seconds
@@ -210,61 +415,27 @@ export default (context: HTMLDrop.Context): Router => {
    *       400:
    *         description: Missing refresh token
    *       401:
-   *         description: Invalid or expired refresh token
+   *         description: Invalid, expired or reused refresh token
    */
   router.post('/refresh', async (req: Request, res: Response) => {
-    const { knex, table, formatDate } = context
-    if (!knex) {
+    if (!context.knex) {
       return res.status(503).json({ success: false, error: 'Database not available' })
     }
     try {
       const { refreshToken } = req.body
       if (!refreshToken) return res.status(400).send('Missing refresh token')
 
-      // Remove expired tokens asynchronously
-      knex(table('revoked_tokens')).where('expires_at', '<', new Date()).del()
-      knex(table('refresh_tokens')).where('expires_at', '<', new Date()).del()
+      const result = await new SessionService(context).refresh(refreshToken, { userAgent: req.get('user-agent'), ip: req.ip })
 
-      // Verify refresh token exists in DB
-      const tokenHash = crypto.createHash('sha256').update(refreshToken).digest('hex')
-      const tokenRecord = await knex(table('refresh_tokens')).where({ token: tokenHash }).first()
-      if (!tokenRecord || new Date(tokenRecord.expires_at) < new Date()) {
-        return res.status(401).send('Invalid or expired refresh token')
+      if (result.status === 'reused') {
+        // A rotated token came back, someone else may hold a copy of it
+        const { doAction } = (req as HTMLDrop.ExtendedRequest).hooks || {}
+        doAction?.('revoke_user_sessions', { req, res, user: { id: result.session.user_id }, sessions: 1, reason: 'reuse' })
+        return res.status(401).send('Refresh token reuse detected, the session was signed out')
       }
+      if (result.status !== 'ok') return res.status(401).send('Invalid or expired refresh token')
 
-      // Verify token signature
-      const payload = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET!) as unknown as HTMLDrop.JwtPayload
-
-      // Revoke old refresh token
-      await knex(table('refresh_tokens')).where({ token: tokenHash }).del()
-
-      // Find user
-      const user = await knex(table('users')).where({ id: payload.sub }).first()
-      if (!user) return res.status(401).send('User not found')
-
-      // Generate payload
-      const newPayload = await buildPayload(context, user)
-
-      // Issue new refresh token
-      const newRefreshToken = jwt.sign(newPayload, process.env.JWT_REFRESH_SECRET!, { expiresIn: REFRESH_TOKEN_EXPIRY })
-      const decodedRefresh = jwt.decode(newRefreshToken) as HTMLDrop.JwtPayload | null
-      const exp = decodedRefresh?.exp ?? Math.floor(Date.now() / 1000) + 7 * 24 * 3600
-      await knex(table('refresh_tokens')).insert({
-        user_id: newPayload.sub,
-        token: crypto.createHash('sha256').update(newRefreshToken).digest('hex'),
-        expires_at: formatDate(new Date(exp * 1000))
-      })
-
-      // Issue new access token
-      const accessToken = jwt.sign(newPayload, process.env.JWT_SECRET!, { expiresIn: ACCESS_TOKEN_EXPIRY })
-      const decodedAccess = jwt.decode(accessToken) as HTMLDrop.JwtPayload | null
-      const expA = decodedAccess?.exp ?? Math.floor(Date.now() / 1000) + 3600
-      const expiresAt = new Date(expA * 1000)
-
-      const now = new Date()
-      const expiresIn = Math.floor((expiresAt.getTime() - now.getTime()) / 1000)
-
-      res.status(200).json({ accessToken, refreshToken: newRefreshToken, expiresIn, expiresAt })
+      res.status(200).json(result.tokens)
     } catch (err) {
       console.error(err)
       res.status(401).send('Invalid refresh token')
@@ -278,7 +449,10 @@ export default (context: HTMLDrop.Context): Router => {
    *     tags:
    *       - Authentication
    *     summary: Register new user
-   *     description: Create a new user account with email and password. Requires ALLOW_REGISTRATIONS=true in environment.
+   *     description: |
+   *       Create a new user account with email and password. Requires ALLOW_REGISTRATIONS=true in environment.
+   *       The account is `pending` until the link emailed to the address is followed. Tokens are only
+   *       returned when `block_login` is turned off in the `email_verification` option.
    *     requestBody:
    *       required: true
    *       content:
@@ -309,6 +483,10 @@ export default (context: HTMLDrop.Context): Router => {
    *             schema:
    *               type: object
    *               properties:
+   *                 verificationRequired:
+   *                   type: boolean
+   *                 message:
+   *                   type: string
    *                 accessToken:
    *                   type: string
    *                   description: JWT access token
@@ -336,7 +514,7 @@ export default (context: HTMLDrop.Context): Router => {
    *               $ref: '#/components/schemas/Error'
    */
   router.post('/register', authLimiter, async (req: Request, res: Response) => {
-    const { knex, table, formatDate } = context
+    const { knex, table } = context
     if (!knex) {
       return res.status(503).json({ success: false, error: 'Database not available' })
     }
@@ -367,38 +545,203 @@ export default (context: HTMLDrop.Context): Router => {
       // Check if user exists
       let user = await knex(table('users')).where({ email }).first()
       if (user) return res.status(409).send('User already exists')
-      const [userId] = await knex(table('users')).insert({ email, password: await hash(password), locale })
+      const [userId] = await knex(table('users')).insert({ email, password: await hash(password), locale, status: 'pending' })
       user = { id: userId, email, locale }
 
-      // Generate payload
-      const payload = await buildPayload(context, user)
-
-      // Generate access token
-      const accessToken = jwt.sign(payload, process.env.JWT_SECRET!, { expiresIn: ACCESS_TOKEN_EXPIRY })
-      const decodedAccess = jwt.decode(accessToken) as HTMLDrop.JwtPayload | null
-      const expA = decodedAccess?.exp ?? Math.floor(Date.now() / 1000) + 3600
-      const expiresAt = new Date(expA * 1000)
-
-      const now = new Date()
-      const expiresIn = Math.floor((expiresAt.getTime() - now.getTime()) / 1000)
-
-      // Generate refresh token
-      const refreshToken = jwt.sign(payload, process.env.JWT_REFRESH_SECRET!, { expiresIn: REFRESH_TOKEN_EXPIRY })
-      const decodedRefresh = jwt.decode(refreshToken) as HTMLDrop.JwtPayload | null
-      const exp = decodedRefresh?.exp ?? Math.floor(Date.now() / 1000) + 7 * 24 * 3600
-      await knex('refresh_tokens').insert({
-        user_id: user.id,
-        token: crypto.createHash('sha256').update(refreshToken).digest('hex'),
-        expires_at: formatDate(new Date(exp * 1000))
-      })
+      // Double opt-in, the account is activated from the emailed link
+      const emailVerification = new EmailVerificationService(context)
+      await sendVerification(req, res, await emailVerification.createToken(userId))
 
-      res.status(201).json({ accessToken, refreshToken, expiresIn, expiresAt })
+      if (emailVerification.getSettings().block_login) {
+        return res.status(201).json({
+          verificationRequired: true,
+          message: 'Check your email and follow the link to confirm your address.'
+        })
+      }
+
+      res.status(201).json({ ...(await issueTokens(req, res, user)), verificationRequired: true })
     } catch (error) {
       console.error(error)
       res.status(500).send('Internal server error')
     }
   })
 
+  /**
+   * @openapi
+   * /auth/verify-email:
+   *   post:
+   *     tags:
+   *       - Authentication
+   *     summary: Verify email address
+   *     description: Confirm the email address of a registered user with the token from the verification email, pending users become active
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *             properties:
+   *               token:
+   *                 type: string
+   *                 description: Verification token from email
+   *     responses:
+   *       200:
+   *         description: Email address verified
+   *       400:
+   *         description: Invalid or expired token
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/verify-email', authLimiter, async (req: Request, res: Response) => {
+    if (!context.knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+    try {
+      const { token } = req.body || {}
+      let user
+      try {
+        user = await new EmailVerificationService(context).verify(token)
+      } catch (error) {
+        return res.status(400).json({ message: (error as Error).message })
+      }
+
+      const { doAction } = (req as HTMLDrop.ExtendedRequest).hooks || {}
+      const payload = { id: user.id, email: user.email, status: user.status, email_verified_at: user.email_verified_at }
+      doAction?.('verify_user_email', { req, res, user: payload })
+      if (user.status === 'active') doAction?.('activate_user', { req, res, user: payload })
+
+      res.status(200).json({ message: 'Your email address has been confirmed' })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: 'Internal server error' })
+    }
+  })
+
+  /**
+   * @openapi
+   * /auth/resend-verification:
+   *   post:
+   *     tags:
+   *       - Authentication
+   *     summary: Resend verification email
+   *     description: Send a new verification link to a pending user, at most once a minute per user (always returns 200 for security)
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *     responses:
+   *       200:
+   *         description: Verification email sent when the address is awaiting verification
+   *       400:
+   *         description: Missing or invalid email
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/resend-verification', strictLimiter, async (req: Request, res: Response) => {
+    if (!context.knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+    try {
+      const { email } = req.body || {}
+      const emailValidation = validateEmail(email)
+      if (!emailValidation.valid) {
+        return res.status(400).json({ message: emailValidation.message })
+      }
+
+      const verification = await new EmailVerificationService(context).resend(email)
+      if (verification) await sendVerification(req, res, verification)
+
+      // Don't reveal whether the address exists or is already verified
+      res.status(200).json({ message: 'If this email address is awaiting confirmation, a new link will be sent.' })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: 'Internal server error' })
+    }
+  })
+
+  /**
+   * @openapi
+   * /auth/accept-invite:
+   *   post:
+   *     tags:
+   *       - Authentication
+   *     summary: Accept an invitation
+   *     description: Set the password of an invited user with the token from the invitation email, which activates the account
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *               - password
+   *             properties:
+   *               token:
+   *                 type: string
+   *                 description: Invitation token from email
+   *               password:
+   *                 type: string
+   *                 format: password
+   *               first_name:
+   *                 type: string
+   *               last_name:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Invitation accepted, the user can log in
+   *       400:
+   *         description: Missing fields or invalid password
+   *       401:
+   *         description: Invalid or expired invitation
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/accept-invite', authLimiter, async (req: Request, res: Response) => {
+    if (!context.knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+    try {
+      const { token, password, first_name, last_name } = req.body || {}
+
+      if (!token || !password) {
+        return res.status(400).json({ message: 'Token and password are required' })
+      }
+
+      const passwordValidation = validatePassword(password)
+      if (!passwordValidation.valid) {
+        return res.status(400).json({ message: passwordValidation.message })
+      }
+
+      let user
+      try {
+        user = await new InvitationService(context).accept(token, password, { first_name, last_name })
+      } catch (error) {
+        return res.status(401).json({ message: (error as Error).message })
+      }
+
+      const { doAction } = (req as HTMLDrop.ExtendedRequest).hooks || {}
+      const payload = { id: user.id, email: user.email, username: user.username, status: user.status }
+      doAction?.('accept_user_invitation', { req, res, user: payload })
+      doAction?.('activate_user', { req, res, user: payload })
+
+      res.status(200).json({ message: 'Your account is ready, you can now log in' })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: 'Internal server error' })
+    }
+  })
+
   /**
    * @openapi
    * /auth/forgot-password:
@@ -457,12 +800,8 @@ export default (context: HTMLDrop.Context): Router => {
         const result = await passwordResetService.createResetToken(email) as { user: { id: number; username: string; email: string }; token: string }
         const { user, token } = result
 
-        // Get origin from request headers
-        const referer = req.get('referer')
-        const origin = req.get('origin') || (referer ? referer.split('/').slice(0, 3).join('/') : undefined)
-
         // Send password reset email with origin
-        await emailService.sendPasswordResetEmail(user, token, 60, origin)
+        await emailService.sendPasswordResetEmail(user, token, 60, requestOrigin(req))
       } catch (error) {
         // Don't reveal if user exists or not
         console.error('Password reset error:', error)
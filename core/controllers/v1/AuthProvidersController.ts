@@ -1,5 +1,7 @@
 import type { Router, Response } from 'express'
 import express from 'express'
+import SsoService from '../../services/SsoService.ts'
+import type { RoleMapping } from '../../services/SsoService.ts'
 
 interface AuthProvider {
   id: number
@@ -14,6 +16,14 @@ interface AuthProvider {
   redirect_uri: string
   active: boolean | number
   response_params: string | Record<string, unknown>
+  two_factor?: string
+  type?: string
+  issuer?: string | null
+  jwks_uri?: string | null
+  idp_cert?: string | null
+  role_claim?: string | null
+  role_mapping?: string | RoleMapping[] | null
+  jit_provisioning?: boolean | number
   created_at?: string
   updated_at?: string
 }
@@ -34,13 +44,36 @@ const parseRow = (row: AuthProvider): AuthProvider => {
     ...row,
     scope: parseJSON(row.scope) as string[],
     response_params: parseJSON(row.response_params) as Record<string, unknown>,
-    active: Boolean(row.active)
+    role_mapping: (parseJSON(row.role_mapping) || []) as RoleMapping[],
+    active: Boolean(row.active),
+    jit_provisioning: Boolean(row.jit_provisioning)
   }
 }
 
+// How the provider treats two-factor authentication, see TwoFactorService
+const TWO_FACTOR_MODES = ['default', 'skip', 'require']
+
+// Plain OAuth 2.0, OpenID Connect or SAML 2.0, see SsoService
+const PROVIDER_TYPES = ['oauth', 'oidc', 'saml']
+
+const isRoleMapping = (value: unknown): value is RoleMapping[] =>
+  Array.isArray(value) &&
+  value.every((rule) => rule && typeof rule.value === 'string' && rule.value && typeof rule.role === 'string' && rule.role)
+
 export default (context: HTMLDrop.Context): Router => {
   const router = express.Router({ mergeParams: true })
 
+  /**
+   * Endpoints of OIDC providers come from the issuer's discovery document, SAML identity
+   * providers are read from uploaded metadata
+   */
+  const resolveSso = async (type: string, issuer?: string | null, metadata?: string): Promise<Record<string, unknown>> => {
+    const sso = new SsoService(context)
+    if (type === 'oidc' && issuer) return { issuer, ...(await sso.discover(issuer)) }
+    if (type === 'saml' && metadata) return { ...sso.parseIdpMetadata(metadata) }
+    return {}
+  }
+
   const checkCapability = async (req: HTMLDrop.ExtendedRequest, routeCaps: string[]): Promise<boolean> => {
     const hasAccess = await req.guard.user({ canOneOf: routeCaps })
     return !!hasAccess
@@ -176,9 +209,43 @@ export default (context: HTMLDrop.Context): Router => {
    *                 type: boolean
    *               response_params:
    *                 type: object
+   *               two_factor:
+   *                 type: string
+   *                 enum: [default, skip, require]
+   *                 description: Follow the user's two-factor settings, skip two-factor or always require it
+   *               type:
+   *                 type: string
+   *                 enum: [oauth, oidc, saml]
+   *               issuer:
+   *                 type: string
+   *                 description: OpenID Connect issuer URL, the endpoints are discovered from it
+   *               idp_metadata:
+   *                 type: string
+   *                 description: SAML identity provider metadata XML, sets the issuer, single sign-on URL and certificate
+   *               idp_cert:
+   *                 type: string
+   *                 description: SAML identity provider signing certificate (PEM), when no metadata is uploaded
+   *               role_claim:
+   *                 type: string
+   *                 description: Claim or attribute with the user's groups, nested claims by path like `realm_access.roles`
+   *               role_mapping:
+   *                 type: array
+   *                 items:
+   *                   type: object
+   *                   properties:
+   *                     value:
+   *                       type: string
+   *                     role:
+   *                       type: string
+   *                 description: Roles assigned for group values, updated on every login
+   *               jit_provisioning:
+   *                 type: boolean
+   *                 description: Create accounts for users signing in for the first time, without it the account must already exist
    *     responses:
    *       200:
    *         description: Provider created successfully
+   *       400:
+   *         description: Invalid settings, discovery or metadata
    *       401:
    *         description: Unauthorized
    *       403:
@@ -194,12 +261,32 @@ export default (context: HTMLDrop.Context): Router => {
       return res.status(403).json({ error: 'Permission denied' })
     }
 
-    const { name, slug, client_id, secret_env_key, scope, auth_url, token_url, user_info_url, redirect_uri, active, response_params } = req.body
+    const { name, slug, client_id, secret_env_key, scope, auth_url, token_url, user_info_url, redirect_uri, active, response_params, two_factor } = req.body
+    const { type = 'oauth', issuer, idp_metadata, idp_cert, role_claim, role_mapping, jit_provisioning } = req.body
 
     if (!name || !slug) {
       return res.status(400).json({ error: 'Name and slug are required' })
     }
 
+    if (two_factor !== undefined && !TWO_FACTOR_MODES.includes(two_factor)) {
+      return res.status(400).json({ error: `two_factor must be one of: ${TWO_FACTOR_MODES.join(', ')}` })
+    }
+
+    if (!PROVIDER_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${PROVIDER_TYPES.join(', ')}` })
+    }
+
+    if (role_mapping !== undefined && !isRoleMapping(role_mapping)) {
+      return res.status(400).json({ error: 'role_mapping must be a list of { value, role }' })
+    }
+
+    let sso: Record<string, unknown>
+    try {
+      sso = await resolveSso(type, issuer, idp_metadata)
+    } catch (error) {
+      return res.status(400).json({ error: (error as Error).message })
+    }
+
     const normalizedSlug = normalizeSlug(slug)
 
     const existing = await knex(table('auth_providers')).where('slug', normalizedSlug).first()
@@ -219,12 +306,21 @@ export default (context: HTMLDrop.Context): Router => {
       redirect_uri: redirect_uri || `${process.env.SITE_URL || 'http://localhost:3000'}/api/v1/oauth/${normalizedSlug}/callback`,
       active: active ? 1 : 0,
       response_params: JSON.stringify(response_params || {}),
+      two_factor: two_factor || 'default',
+      type,
+      issuer: issuer || null,
+      idp_cert: idp_cert || null,
+      role_claim: role_claim || null,
+      role_mapping: JSON.stringify(role_mapping || []),
+      jit_provisioning: jit_provisioning ? 1 : 0,
+      ...sso,
       created_at: knex.fn.now(),
       updated_at: knex.fn.now()
     }
 
     const [id] = await knex(table('auth_providers')).insert(data)
     const created = (await knex(table('auth_providers')).where('id', id).first()) as AuthProvider
+    guardReq.hooks.doAction('insert_auth_provider', { req, res, provider: parseRow(created) })
     res.json(parseRow(created))
   })
 
@@ -274,9 +370,32 @@ export default (context: HTMLDrop.Context): Router => {
    *                 type: boolean
    *               response_params:
    *                 type: object
+   *               two_factor:
+   *                 type: string
+   *                 enum: [default, skip, require]
+   *                 description: Follow the user's two-factor settings, skip two-factor or always require it
+   *               type:
+   *                 type: string
+   *                 enum: [oauth, oidc, saml]
+   *               issuer:
+   *                 type: string
+   *               idp_metadata:
+   *                 type: string
+   *               idp_cert:
+   *                 type: string
+   *               role_claim:
+   *                 type: string
+   *               role_mapping:
+   *                 type: array
+   *                 items:
+   *                   type: object
+   *               jit_provisioning:
+   *                 type: boolean
    *     responses:
    *       200:
    *         description: Provider updated successfully
+   *       400:
+   *         description: Invalid settings, discovery or metadata
    *       401:
    *         description: Unauthorized
    *       403:
@@ -304,7 +423,7 @@ export default (context: HTMLDrop.Context): Router => {
 
     const updateData: Record<string, unknown> = { updated_at: knex.fn.now() }
 
-    const allowedFields = ['name', 'client_id', 'secret_env_key', 'auth_url', 'token_url', 'user_info_url', 'redirect_uri']
+    const allowedFields = ['name', 'client_id', 'secret_env_key', 'auth_url', 'token_url', 'user_info_url', 'redirect_uri', 'issuer', 'idp_cert', 'role_claim']
     for (const field of allowedFields) {
       if (req.body[field] !== undefined) {
         updateData[field] = req.body[field]
@@ -320,10 +439,46 @@ export default (context: HTMLDrop.Context): Router => {
     if (req.body.active !== undefined) {
       updateData.active = req.body.active ? 1 : 0
     }
+    if (req.body.two_factor !== undefined) {
+      if (!TWO_FACTOR_MODES.includes(req.body.two_factor)) {
+        return res.status(400).json({ error: `two_factor must be one of: ${TWO_FACTOR_MODES.join(', ')}` })
+      }
+      updateData.two_factor = req.body.two_factor
+    }
+    if (req.body.type !== undefined) {
+      if (!PROVIDER_TYPES.includes(req.body.type)) {
+        return res.status(400).json({ error: `type must be one of: ${PROVIDER_TYPES.join(', ')}` })
+      }
+      updateData.type = req.body.type
+    }
+    if (req.body.role_mapping !== undefined) {
+      if (!isRoleMapping(req.body.role_mapping)) {
+        return res.status(400).json({ error: 'role_mapping must be a list of { value, role }' })
+      }
+      updateData.role_mapping = JSON.stringify(req.body.role_mapping)
+    }
+    if (req.body.jit_provisioning !== undefined) {
+      updateData.jit_provisioning = req.body.jit_provisioning ? 1 : 0
+    }
+
+    // Discover again when the issuer changes, read new metadata when it is uploaded
+    const type = String(updateData.type ?? existing.type ?? 'oauth')
+    const issuerChanged = updateData.issuer !== undefined && updateData.issuer !== existing.issuer
+    const typeChanged = updateData.type !== undefined && updateData.type !== existing.type
+    if (issuerChanged || typeChanged || req.body.idp_metadata) {
+      try {
+        Object.assign(updateData, await resolveSso(type, (updateData.issuer ?? existing.issuer) as string | null, req.body.idp_metadata))
+      } catch (error) {
+        return res.status(400).json({ error: (error as Error).message })
+      }
+    }
+
+    guardReq.hooks.doAction('pre_auth_provider_update', { req, res, provider: parseRow(existing), coreData: updateData })
 
     await query.clone().update(updateData)
 
     const updated = (await query.first()) as AuthProvider
+    guardReq.hooks.doAction('edit_auth_provider', { req, res, provider: parseRow(updated) })
     res.json(parseRow(updated))
   })
 
@@ -373,6 +528,7 @@ export default (context: HTMLDrop.Context): Router => {
     if (!provider) return res.status(404).json({ error: 'Provider not found' })
 
     await query.delete()
+    guardReq.hooks.doAction('delete_auth_provider', { req, res, provider: parseRow(provider) })
     res.json(parseRow(provider))
   })
 
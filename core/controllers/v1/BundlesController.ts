@@ -0,0 +1,372 @@
+import type { Router, Request, Response } from 'express'
+import express from 'express'
+import type { FileFilterCallback } from 'multer'
+import multer from 'multer'
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import BundleService, { CONFLICT_STRATEGIES } from '../../services/BundleService.ts'
+import type { ConflictStrategy } from '../../services/BundleService.ts'
+import SearchService, { resolveSearchDriver, resolveSearchWeights } from '../../services/SearchService.ts'
+import type { SearchFieldEntry } from '../../services/SearchService.ts'
+
+const BUNDLES_BASE = path.resolve('./content/bundles')
+const BUNDLE_FILE = /^[\w-]+\.zip$/
+
+const BUNDLE_ICON =
+  '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor"><path d="M20 6h-8l-2-2H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2zm-6 10H6v-2h8v2zm4-4H6v-2h12v2z"/></svg>'
+
+// Uploaded bundles wait here until their import job has read them
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (_req: Request, _file: Express.Multer.File, cb: (error: Error | null, destination: string) => void) => {
+      const tempDir = path.join(BUNDLES_BASE, '.temp')
+      fs.mkdirSync(tempDir, { recursive: true })
+      cb(null, tempDir)
+    },
+    filename: (_req: Request, _file: Express.Multer.File, cb: (error: Error | null, filename: string) => void) => {
+      cb(null, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.zip`)
+    }
+  }),
+  fileFilter: (_req: Request, file: Express.Multer.File, cb: FileFilterCallback) => {
+    if (path.extname(file.originalname).toLowerCase() !== '.zip') {
+      return cb(new Error('Only .zip files are allowed'))
+    }
+    cb(null, true)
+  }
+})
+
+export default (context: HTMLDrop.Context): Router => {
+  const router = express.Router({ mergeParams: true })
+
+  const checkCapability = async (req: HTMLDrop.ExtendedRequest, routeCaps: string[]): Promise<boolean> => {
+    const hasAccess = await req.guard.user({ canOneOf: routeCaps })
+    return !!hasAccess
+  }
+
+  /**
+   * Shared guard for all routes, returns the service or sends the error response
+   */
+  const getService = async (req: unknown, res: Response): Promise<BundleService | null> => {
+    if (!context.knex) {
+      res.status(503).json({ success: false, error: 'Database not available' })
+      return null
+    }
+    if (!(await checkCapability(req as HTMLDrop.ExtendedRequest, ['manage_options']))) {
+      res.status(403).json({ error: 'Permission denied' })
+      return null
+    }
+    return new BundleService(context)
+  }
+
+  const resolveBundleFile = (file: string): string | null => (BUNDLE_FILE.test(file) ? path.join(BUNDLES_BASE, file) : null)
+
+  /**
+   * Run the work as a job with progress over the WebSocket. Responds 202 with the
+   * job right away, or waits and responds with the result when jobs are not available
+   */
+  const runAsJob = async (
+    res: Response,
+    config: { name: string; description: string; type: string; metadata: Record<string, unknown>; createdBy?: number | null },
+    work: (onProgress: (progress: number, status: string) => Promise<void>) => Promise<Record<string, unknown>>,
+    cleanup: () => Promise<void> = async () => {}
+  ): Promise<void> => {
+    const jobs = context.registries?.jobs
+    if (!jobs) {
+      try {
+        res.json(await work(async () => {}))
+      } catch (error) {
+        res.status(400).json({ error: (error as Error).message })
+      } finally {
+        await cleanup()
+      }
+      return
+    }
+
+    const job: HTMLDrop.Job = await jobs.createJob({ ...config, iconSvg: BUNDLE_ICON, source: 'core', showNotification: true })
+    await job.start()
+    res.status(202).json({ job_id: job.jobId, ...config.metadata })
+
+    work((progress, status) => job.updateProgress(progress, { status }).then(() => {}))
+      .then((result) => job.complete(result))
+      .catch((error) => {
+        console.error(`[Bundles] ${config.name} failed:`, error)
+        return job.fail(error instanceof Error ? error.message : String(error))
+      })
+      .finally(cleanup)
+  }
+
+  /**
+   * @openapi
+   * /bundles:
+   *   get:
+   *     tags:
+   *       - Bundles
+   *     summary: List exported bundles
+   *     description: Content bundles created by the export endpoint, newest first. Requires the manage_options capability
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Exported bundles
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 type: object
+   *                 properties:
+   *                   file:
+   *                     type: string
+   *                     example: bundle-20251222-101500-a1b2c3.zip
+   *                   size:
+   *                     type: integer
+   *                   created_at:
+   *                     type: string
+   *                     format: date-time
+   *       403:
+   *         description: Forbidden
+   */
+  router.get('/', async (req, res: Response) => {
+    if (!(await getService(req, res))) return
+    if (!fs.existsSync(BUNDLES_BASE)) return res.json([])
+
+    const entries = await fs.promises.readdir(BUNDLES_BASE)
+    const bundles = await Promise.all(
+      entries
+        .filter((file) => BUNDLE_FILE.test(file))
+        .map(async (file) => {
+          const stat = await fs.promises.stat(path.join(BUNDLES_BASE, file))
+          return { file, size: stat.size, created_at: stat.mtime.toISOString() }
+        })
+    )
+    res.json(bundles.sort((a, b) => b.created_at.localeCompare(a.created_at)))
+  })
+
+  /**
+   * @openapi
+   * /bundles/export:
+   *   post:
+   *     tags:
+   *       - Bundles
+   *     summary: Export content as a bundle
+   *     description: |
+   *       Starts a job that writes post types, fields, taxonomies, terms, posts with their meta,
+   *       authors and attachment files to a versioned ZIP bundle. Progress is broadcast over the
+   *       WebSocket like every job; the finished bundle is listed at `GET /bundles`.
+   *       Requires the manage_options capability
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               post_types:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 description: Post types to export, all by default. Attachments used by exported posts are always included
+   *               include_uploads:
+   *                 type: boolean
+   *                 default: true
+   *                 description: Add the uploaded files of exported attachments
+   *     responses:
+   *       202:
+   *         description: Export job started
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 job_id:
+   *                   type: string
+   *                 file:
+   *                   type: string
+   *       403:
+   *         description: Forbidden
+   */
+  router.post('/export', async (req, res: Response) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    const bundleService = await getService(req, res)
+    if (!bundleService) return
+
+    const { post_types, include_uploads } = req.body || {}
+    const postTypes = (Array.isArray(post_types) ? post_types : String(post_types || '').split(','))
+      .map((slug: unknown) => String(slug).trim())
+      .filter(Boolean)
+
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)
+    const file = `bundle-${stamp}-${crypto.randomBytes(3).toString('hex')}.zip`
+
+    await runAsJob(
+      res,
+      {
+        name: 'Exporting content',
+        description: postTypes.length ? `Exporting ${postTypes.join(', ')}` : 'Exporting all content',
+        type: 'bundle_export',
+        metadata: { file },
+        createdBy: typedReq.user?.id
+      },
+      async (onProgress) => {
+        const manifest = await bundleService.exportBundle(
+          path.join(BUNDLES_BASE, file),
+          { postTypes, includeUploads: include_uploads !== false && include_uploads !== 'false' },
+          onProgress
+        )
+        return { file, manifest }
+      }
+    )
+  })
+
+  /**
+   * @openapi
+   * /bundles/import:
+   *   post:
+   *     tags:
+   *       - Bundles
+   *     summary: Import a content bundle
+   *     description: |
+   *       Starts a job that imports an uploaded bundle in one transaction. Items get new IDs,
+   *       parents, term relationships, authors and attachment references are re-linked and the
+   *       uploaded files are copied. Requires the manage_options capability
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               file:
+   *                 type: string
+   *                 format: binary
+   *               conflict:
+   *                 type: string
+   *                 enum: [rename, skip, overwrite]
+   *                 default: rename
+   *                 description: |
+   *                   What to do with items whose slug is taken: `rename` imports them with a free slug,
+   *                   `skip` keeps the existing item, `overwrite` replaces it with the imported one
+   *     responses:
+   *       202:
+   *         description: Import job started, the job result holds created, updated and skipped counts
+   *       400:
+   *         description: Missing file or invalid conflict strategy
+   *       403:
+   *         description: Forbidden
+   */
+  router.post('/import', async (req, res: Response, next) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    const bundleService = await getService(req, res)
+    if (!bundleService) return
+
+    upload.single('file')(req, res, async (err: unknown) => {
+      if (err) return next(err)
+      const uploaded = req.file
+      if (!uploaded) return res.status(400).json({ error: 'No bundle provided' })
+
+      const conflict = (req.body?.conflict || 'rename') as ConflictStrategy
+      if (!CONFLICT_STRATEGIES.includes(conflict)) {
+        await fs.promises.rm(uploaded.path, { force: true })
+        return res.status(400).json({ error: `Invalid conflict strategy, expected one of: ${CONFLICT_STRATEGIES.join(', ')}` })
+      }
+
+      const { doAction, getFields } = typedReq.hooks
+      await runAsJob(
+        res,
+        {
+          name: 'Importing content',
+          description: `Importing ${uploaded.originalname}`,
+          type: 'bundle_import',
+          metadata: { file: uploaded.originalname, conflict },
+          createdBy: typedReq.user?.id
+        },
+        async (onProgress) => {
+          const result = await bundleService.importBundle(uploaded.path, { conflict, userId: typedReq.user?.id }, onProgress)
+
+          // Imported posts skip the save hooks, bring the search index up to date
+          const searchService = new SearchService(context, resolveSearchDriver(context, typedReq.hooks))
+          for (const slug of result.post_types) {
+            const fields = (await getFields(slug)) as unknown as SearchFieldEntry[]
+            await searchService.reindex(slug, resolveSearchWeights(fields))
+          }
+
+          doAction('import_bundle', { req, result })
+          return result as unknown as Record<string, unknown>
+        },
+        () => fs.promises.rm(uploaded.path, { force: true })
+      )
+    })
+  })
+
+  /**
+   * @openapi
+   * /bundles/{file}:
+   *   get:
+   *     tags:
+   *       - Bundles
+   *     summary: Download an exported bundle
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: file
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: ZIP file download
+   *         content:
+   *           application/zip:
+   *             schema:
+   *               type: string
+   *               format: binary
+   *       403:
+   *         description: Forbidden
+   *       404:
+   *         description: Bundle not found
+   *   delete:
+   *     tags:
+   *       - Bundles
+   *     summary: Delete an exported bundle
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: file
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Bundle deleted
+   *       403:
+   *         description: Forbidden
+   *       404:
+   *         description: Bundle not found
+   */
+  router.get('/:file', async (req, res: Response) => {
+    if (!(await getService(req, res))) return
+    const target = resolveBundleFile(req.params.file)
+    if (!target || !fs.existsSync(target)) return res.status(404).json({ error: 'Bundle not found' })
+
+    res.setHeader('Content-Type', 'application/zip')
+    res.setHeader('Content-Disposition', `attachment; filename="${req.params.file}"`)
+    fs.createReadStream(target).pipe(res)
+  })
+
+  router.delete('/:file', async (req, res: Response) => {
+    if (!(await getService(req, res))) return
+    const target = resolveBundleFile(req.params.file)
+    if (!target || !fs.existsSync(target)) return res.status(404).json({ error: 'Bundle not found' })
+
+    await fs.promises.rm(target)
+    res.json({ success: true })
+  })
+
+  return router
+}
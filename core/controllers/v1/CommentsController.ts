@@ -0,0 +1,160 @@
+import type { Router, Response } from 'express'
+import express from 'express'
+import CommentService, { COMMENT_STATUSES, CommentError } from '../../services/CommentService.ts'
+
+export default (context: HTMLDrop.Context): Router => {
+  const router = express.Router({ mergeParams: true })
+
+  const checkCapability = async (req: HTMLDrop.ExtendedRequest, routeCaps: string[]): Promise<boolean> => {
+    const hasAccess = await req.guard.user({ canOneOf: routeCaps })
+    return !!hasAccess
+  }
+
+  /**
+   * Shared guard for all routes, returns the service or sends the error response
+   */
+  const getService = async (req: unknown, res: Response): Promise<CommentService | null> => {
+    if (!context.knex) {
+      res.status(503).json({ success: false, error: 'Database not available' })
+      return null
+    }
+    const typedReq = req as HTMLDrop.ExtendedRequest
+    if (!(await checkCapability(typedReq, ['manage_comments', 'edit_comments']))) {
+      res.status(403).json({ error: 'Permission denied' })
+      return null
+    }
+    return new CommentService(context, typedReq.hooks)
+  }
+
+  /**
+   * @openapi
+   * /comments/moderation:
+   *   get:
+   *     tags:
+   *       - Comments
+   *     summary: List comments for moderation
+   *     description: Comments of every post in a status, newest first, with the post each belongs to and the number of comments per status
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, approved, spam, trash, all]
+   *           default: pending
+   *       - in: query
+   *         name: post_id
+   *         schema:
+   *           type: integer
+   *         description: Only comments of this post
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *           maximum: 100
+   *       - in: query
+   *         name: offset
+   *         schema:
+   *           type: integer
+   *           default: 0
+   *     responses:
+   *       200:
+   *         description: Comments and counts
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 items:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/Comment'
+   *                 total:
+   *                   type: integer
+   *                 counts:
+   *                   type: object
+   *                   example: { approved: 12, pending: 3, spam: 40, trash: 1 }
+   *       400:
+   *         description: Invalid status
+   *       403:
+   *         description: Forbidden
+   */
+  router.get('/', async (req, res: Response) => {
+    const commentService = await getService(req, res)
+    if (!commentService) return
+
+    const status = String(req.query.status || 'pending')
+    if (status !== 'all' && !(COMMENT_STATUSES as readonly string[]).includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${COMMENT_STATUSES.join(', ')}, all` })
+    }
+
+    const [queue, counts] = await Promise.all([
+      commentService.getQueue({
+        status,
+        post_id: Number(req.query.post_id) || undefined,
+        limit: Math.min(Math.max(Number(req.query.limit) || 20, 1), 100),
+        offset: Math.max(Number(req.query.offset) || 0, 0)
+      }),
+      commentService.counts()
+    ])
+
+    res.json({ ...queue, counts })
+  })
+
+  /**
+   * @openapi
+   * /comments/moderation:
+   *   post:
+   *     tags:
+   *       - Comments
+   *     summary: Approve, hold, spam or trash comments
+   *     description: Sets the status of one or more comments and runs the `moderate_comments` action for the ones that changed
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - ids
+   *               - status
+   *             properties:
+   *               ids:
+   *                 type: array
+   *                 items:
+   *                   type: integer
+   *               status:
+   *                 type: string
+   *                 enum: [approved, pending, spam, trash]
+   *     responses:
+   *       200:
+   *         description: The comments whose status changed
+   *       400:
+   *         description: Invalid IDs or status
+   *       403:
+   *         description: Forbidden
+   */
+  router.post('/', async (req, res: Response, next) => {
+    const commentService = await getService(req, res)
+    if (!commentService) return
+
+    const { doAction } = (req as unknown as HTMLDrop.ExtendedRequest).hooks
+    const ids = (Array.isArray(req.body?.ids) ? req.body.ids : []).map(Number).filter((id: number) => id > 0)
+    if (!ids.length) return res.status(400).json({ error: 'ids must list comment IDs' })
+
+    try {
+      const comments = await commentService.moderate(ids, String(req.body?.status))
+      if (comments.length) doAction('moderate_comments', { req, res, next, comments, status: req.body.status })
+      res.json({ items: comments })
+    } catch (error) {
+      if (!(error instanceof CommentError)) throw error
+      res.status(error.status).json({ error: error.message, code: error.code })
+    }
+  })
+
+  return router
+}
@@ -0,0 +1,205 @@
+import crypto from 'crypto'
+import type { Router, Request, Response } from 'express'
+import express from 'express'
+import DeliveryService from '../../services/DeliveryService.ts'
+import type { DeliveryQuery } from '../../services/DeliveryService.ts'
+import LocalizationService from '../../services/LocalizationService.ts'
+import { DELIVERY_CACHE } from '../../utils/constants.ts'
+
+export default (context: HTMLDrop.Context): Router => {
+  const router = express.Router({ mergeParams: true })
+
+  const parseList = (value: unknown): string[] =>
+    String(value || '')
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean)
+
+  const toQuery = (req: Request): DeliveryQuery => ({
+    limit: Number(req.query.limit) || undefined,
+    offset: Number(req.query.offset) || undefined,
+    orderby: typeof req.query.orderby === 'string' ? req.query.orderby : undefined,
+    order: req.query.order === 'asc' ? 'asc' : 'desc',
+    locale: typeof req.query.locale === 'string' && req.query.locale ? req.query.locale : undefined,
+    fallback: req.query.fallback !== 'false',
+    fields: parseList(req.query.fields),
+    expand: parseList(req.query.expand)
+  })
+
+  /**
+   * Shared guard for all routes, returns the service or sends the error response
+   */
+  const getService = (req: Request, res: Response, query: DeliveryQuery): DeliveryService | null => {
+    if (!context.knex) {
+      res.status(503).json({ success: false, error: 'Database not available' })
+      return null
+    }
+    if (query.locale && !new LocalizationService(context).isLocale(query.locale)) {
+      res.status(400).json({ error: `Unknown locale "${query.locale}"` })
+      return null
+    }
+    return new DeliveryService(context, (req as unknown as HTMLDrop.ExtendedRequest).hooks)
+  }
+
+  /**
+   * Send a response with caching headers, or `304` when the client's copy is current
+   */
+  const sendCached = (req: Request, res: Response, body: unknown, modified: Date | null): void => {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')
+    res.set('Cache-Control', `public, max-age=${DELIVERY_CACHE.MAX_AGE}, stale-while-revalidate=${DELIVERY_CACHE.STALE_WHILE_REVALIDATE}`)
+    res.set('ETag', `"${hash}"`)
+    if (modified) res.set('Last-Modified', modified.toUTCString())
+    if (req.fresh) {
+      res.status(304).end()
+      return
+    }
+    res.json(body)
+  }
+
+  /**
+   * @openapi
+   * /delivery/{postType}:
+   *   get:
+   *     tags:
+   *       - Delivery
+   *     summary: List published posts
+   *     description: |
+   *       Published posts of a public post type, no authentication needed. Responses carry
+   *       `ETag`, `Last-Modified` and `Cache-Control` headers and conditional requests are
+   *       answered with `304 Not Modified`
+   *     parameters:
+   *       - in: path
+   *         name: postType
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: fields
+   *         schema:
+   *           type: string
+   *         description: Comma-separated keys to include, `id` is always included
+   *         example: title,slug,excerpt
+   *       - in: query
+   *         name: expand
+   *         schema:
+   *           type: string
+   *         description: Comma-separated relationship fields to replace with the related posts, `terms` for full terms
+   *         example: terms,related_products
+   *       - in: query
+   *         name: locale
+   *         schema:
+   *           type: string
+   *         description: Only posts in this content locale, filled in from its fallback locales
+   *       - in: query
+   *         name: fallback
+   *         schema:
+   *           type: boolean
+   *           default: true
+   *       - in: query
+   *         name: orderby
+   *         schema:
+   *           type: string
+   *           enum: [created_at, updated_at, publish_at, id, slug]
+   *           default: created_at
+   *       - in: query
+   *         name: order
+   *         schema:
+   *           type: string
+   *           enum: [asc, desc]
+   *           default: desc
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 10
+   *           maximum: 100
+   *       - in: query
+   *         name: offset
+   *         schema:
+   *           type: integer
+   *           default: 0
+   *     responses:
+   *       200:
+   *         description: Posts and the total number of published posts
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 items:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/DeliveredPost'
+   *                 total:
+   *                   type: integer
+   *       304:
+   *         description: Not modified
+   *       400:
+   *         description: Unknown locale
+   *       404:
+   *         description: Post type not found or not public
+   */
+  router.get('/:postType', async (req: Request, res: Response) => {
+    const query = toQuery(req)
+    const deliveryService = getService(req, res, query)
+    if (!deliveryService) return
+
+    const result = await deliveryService.list(String(req.params.postType), query)
+    if (!result) return res.status(404).json({ error: 'Post type not found' })
+
+    const { items, total, modified } = result
+    sendCached(req, res, { items, total }, modified)
+  })
+
+  /**
+   * @openapi
+   * /delivery/{postType}/{idOrSlug}:
+   *   get:
+   *     tags:
+   *       - Delivery
+   *     summary: Get a published post
+   *     description: A published post of a public post type by ID or slug, with the same caching headers as the list
+   *     parameters:
+   *       - in: path
+   *         name: postType
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: idOrSlug
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: fields
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: expand
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: The post
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/DeliveredPost'
+   *       304:
+   *         description: Not modified
+   *       404:
+   *         description: Post not found, not published or of a post type that is not public
+   */
+  router.get('/:postType/:idOrSlug', async (req: Request, res: Response) => {
+    const query = toQuery(req)
+    const deliveryService = getService(req, res, query)
+    if (!deliveryService) return
+
+    const result = await deliveryService.get(String(req.params.postType), String(req.params.idOrSlug), query)
+    if (!result) return res.status(404).json({ error: 'Post not found' })
+
+    sendCached(req, res, result.item, result.modified)
+  })
+
+  return router
+}
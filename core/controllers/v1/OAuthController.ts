@@ -1,8 +1,11 @@
 import type { Router, Request, Response } from 'express'
 import express from 'express'
-import jwt from 'jsonwebtoken'
 import { hash } from '../../utils/password.ts'
-import { buildPayload } from '../../utils/payload.ts'
+import TwoFactorService from '../../services/TwoFactorService.ts'
+import SessionService from '../../services/SessionService.ts'
+import SsoService from '../../services/SsoService.ts'
+import type { ProviderType, RoleMapping, SsoProfile } from '../../services/SsoService.ts'
+import type { ProviderTwoFactorMode } from '../../services/TwoFactorService.ts'
 import crypto from 'crypto'
 
 // OAuth state tokens expire after 10 minutes
@@ -20,6 +23,19 @@ interface AuthProvider {
   user_info_url: string
   scope: string[]
   response_params?: Record<string, string>
+  two_factor?: ProviderTwoFactorMode
+  type?: ProviderType
+  issuer?: string | null
+  jwks_uri?: string | null
+  idp_cert?: string | null
+  role_claim?: string | null
+  role_mapping?: RoleMapping[] | string | null
+  jit_provisioning?: boolean | number
+}
+
+interface OAuthState {
+  code_verifier: string | null
+  nonce: string | null
 }
 
 interface UserProvider {
@@ -48,6 +64,7 @@ interface UserData {
   sub?: string
   id?: string
   email: string
+  [claim: string]: unknown
 }
 
 export default (context: HTMLDrop.Context): Router => {
@@ -97,7 +114,9 @@ export default (context: HTMLDrop.Context): Router => {
    *     tags:
    *       - OAuth
    *     summary: Initiate OAuth login flow
-   *     description: Redirect user to OAuth provider's authorization page
+   *     description: |
+   *       Redirect user to OAuth provider's authorization page. OpenID Connect providers add PKCE and a nonce,
+   *       SAML providers receive an authentication request
    *     parameters:
    *       - in: path
    *         name: provider
@@ -129,18 +148,37 @@ export default (context: HTMLDrop.Context): Router => {
       .first() as AuthProvider | undefined
     if (!config) return res.status(400).send('Provider not supported or inactive')
 
+    // SAML requests are tracked by their ID instead of a state parameter
+    if (config.type === 'saml') {
+      try {
+        return res.redirect(await new SsoService(context).samlLogin(config))
+      } catch (error) {
+        console.error('SAML login failed:', error)
+        return res.status(500).send('Failed to start single sign-on')
+      }
+    }
+
     // Generate CSRF state token
     const state = crypto.randomBytes(32).toString('hex')
     const stateHash = crypto.createHash('sha256').update(state).digest('hex')
     const expiresAt = new Date(Date.now() + OAUTH_STATE_EXPIRY_MS)
 
+    // OpenID Connect adds PKCE and a nonce, both kept with the state
+    const oidc = config.type === 'oidc'
+      ? new SsoService(context).oidcLogin(config, state, config.scope || [], config.response_params)
+      : null
+
     // Store hashed state in database
     await knex(table('oauth_states')).insert({
       state_hash: stateHash,
       provider: provider,
-      expires_at: expiresAt
+      expires_at: expiresAt,
+      code_verifier: oidc?.codeVerifier ?? null,
+      nonce: oidc?.nonce ?? null
     })
 
+    if (oidc) return res.redirect(oidc.url)
+
     // Build query string from DB fields
     const query = new URLSearchParams({
       client_id: process.env[config.client_id] || '',
@@ -161,7 +199,10 @@ export default (context: HTMLDrop.Context): Router => {
    *     tags:
    *       - OAuth
    *     summary: OAuth callback handler
-   *     description: Handle OAuth provider callback, exchange code for tokens, create or link user account, and issue JWT tokens
+   *     description: |
+   *       Handle OAuth provider callback, exchange code for tokens, create or link user account, and issue JWT tokens.
+   *       Depending on the provider's `two_factor` setting a two-factor challenge may be returned instead,
+   *       completed with `/auth/2fa/verify` or `/auth/2fa/setup`.
    *     parameters:
    *       - in: path
    *         name: provider
@@ -204,11 +245,18 @@ export default (context: HTMLDrop.Context): Router => {
    *             schema:
    *               type: string
    *               example: Failed to get access token
+   *       403:
+   *         description: No account for this user and the provider doesn't provision accounts (`jit_provisioning`)
+   *         content:
+   *           text/plain:
+   *             schema:
+   *               type: string
+   *               example: The account must exist before signing in with this provider
    *   post:
    *     tags:
    *       - OAuth
    *     summary: OAuth callback handler (POST)
-   *     description: Alternative POST endpoint for OAuth provider callback
+   *     description: Alternative POST endpoint for OAuth provider callback, SAML identity providers post the `SAMLResponse` here
    *     parameters:
    *       - in: path
    *         name: provider
@@ -228,58 +276,83 @@ export default (context: HTMLDrop.Context): Router => {
       return res.status(503).json({ success: false, error: 'Database not available' })
     }
     const { provider } = req.params
-    const { code, state } = req.query as { code?: string; state?: string }
-    if (!code) return res.status(400).send('Missing code')
-    if (!state) return res.status(400).send('Missing state parameter')
-
-    // Validate CSRF state token
-    const stateHash = crypto.createHash('sha256').update(state).digest('hex')
-    const stateRecord = await knex(table('oauth_states'))
-      .where({ state_hash: stateHash, provider })
-      .where('expires_at', '>', new Date())
-      .first()
-
-    if (!stateRecord) {
-      return res.status(400).send('Invalid or expired state parameter')
-    }
-
-    // Delete used state token (one-time use)
-    await knex(table('oauth_states')).where({ state_hash: stateHash }).del()
-
-    // Clean up expired state tokens asynchronously
-    knex(table('oauth_states')).where('expires_at', '<', new Date()).del()
-
     const config = await knex(table('auth_providers'))
       .where({ slug: provider, active: true })
       .first() as AuthProvider | undefined
     if (!config) return res.status(400).send('Provider not supported or inactive')
 
-    // Exchange code for access token
-    const tokenRes = await fetch(config.token_url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams({
-        client_id: process.env[config.client_id] || '',
-        client_secret: process.env[config.secret_env_key] || '',
-        redirect_uri: config.redirect_uri,
-        code,
-        grant_type: 'authorization_code'
-      })
-    })
+    const sso = new SsoService(context)
+    let profile: SsoProfile
+
+    if (config.type === 'saml') {
+      // The identity provider posts the response, the request it answers is checked by SsoService
+      const { SAMLResponse } = (req.body || {}) as { SAMLResponse?: string }
+      if (!SAMLResponse) return res.status(400).send('Missing SAMLResponse')
+      try {
+        profile = await sso.samlProfile(config, SAMLResponse)
+      } catch (error) {
+        console.error('SAML response rejected:', error)
+        return res.status(401).send('Invalid SAML response')
+      }
+    } else {
+      const { code, state } = req.query as { code?: string; state?: string }
+      if (!code) return res.status(400).send('Missing code')
+      if (!state) return res.status(400).send('Missing state parameter')
+
+      // Validate CSRF state token
+      const stateHash = crypto.createHash('sha256').update(state).digest('hex')
+      const stateRecord = await knex(table('oauth_states'))
+        .where({ state_hash: stateHash, provider })
+        .where('expires_at', '>', new Date())
+        .first() as OAuthState | undefined
+
+      if (!stateRecord) {
+        return res.status(400).send('Invalid or expired state parameter')
+      }
 
-    const tokenData = await tokenRes.json() as TokenData
-    const accessToken = tokenData.access_token
-    if (!accessToken) return res.status(401).send('Failed to get access token')
+      // Delete used state token (one-time use)
+      await knex(table('oauth_states')).where({ state_hash: stateHash }).del()
 
-    // Fetch user info
-    const userInfoRes = await fetch(config.user_info_url, {
-      headers: { Authorization: `Bearer ${accessToken}` }
-    })
-    const userData = await userInfoRes.json() as UserData
+      // Clean up expired state tokens asynchronously
+      knex(table('oauth_states')).where('expires_at', '<', new Date()).del()
+
+      if (config.type === 'oidc') {
+        try {
+          profile = await sso.oidcProfile(config, code, stateRecord.code_verifier, stateRecord.nonce)
+        } catch (error) {
+          console.error('OpenID Connect login failed:', error)
+          return res.status(401).send('Failed to verify ID token')
+        }
+      } else {
+        // Exchange code for access token
+        const tokenRes = await fetch(config.token_url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: new URLSearchParams({
+            client_id: process.env[config.client_id] || '',
+            client_secret: process.env[config.secret_env_key] || '',
+            redirect_uri: config.redirect_uri,
+            code,
+            grant_type: 'authorization_code'
+          })
+        })
+
+        const tokenData = await tokenRes.json() as TokenData
+        const accessToken = tokenData.access_token
+        if (!accessToken) return res.status(401).send('Failed to get access token')
+
+        // Fetch user info
+        const userInfoRes = await fetch(config.user_info_url, {
+          headers: { Authorization: `Bearer ${accessToken}` }
+        })
+        const userData = await userInfoRes.json() as UserData
+        profile = { sub: String(userData.sub || userData.id), email: userData.email, emailVerified: true, claims: userData }
+      }
+    }
 
     // Resolve user by provider sub first
     const userProvider = await knex(table('user_providers'))
-      .where({ slug: provider, sub: userData.sub || userData.id })
+      .where({ slug: provider, sub: profile.sub })
       .first() as UserProvider | undefined
 
     let user: User | undefined
@@ -287,22 +360,28 @@ export default (context: HTMLDrop.Context): Router => {
       // Get the associated user
       user = await knex(table('users')).where({ id: userProvider.user_id }).first() as User | undefined
     } else {
+      if (!profile.email) return res.status(400).send('The provider did not return an email address')
+
       // No provider row found, try to find by email
-      user = await knex(table('users')).where({ email: userData.email }).first() as User | undefined
+      user = await knex(table('users')).where({ email: profile.email }).first() as User | undefined
+
+      // An address the provider hasn't verified could belong to someone else
+      if (user && !profile.emailVerified) {
+        return res.status(403).send('The provider has not verified this email address')
+      }
 
       // If user doesn't exist, create one
       if (!user) {
-        // Check if registrations are allowed (prefer options over env)
-        const allowRegistrations = context.options?.allow_registrations ?? (process.env.ALLOW_REGISTRATIONS === 'true')
-        if (!allowRegistrations) {
-          return res.status(400).send('Automatic registration of new users is disabled')
+        // Only just-in-time provisioning creates accounts, `allow_registrations` doesn't apply to providers
+        if (!config.jit_provisioning) {
+          return res.status(403).send('The account must exist before signing in with this provider')
         }
         const [userId] = await knex(table('users')).insert({
-          email: userData.email,
+          email: profile.email,
           password: await hash(crypto.randomBytes(16).toString('hex')),
           language: 'en'
         })
-        user = { id: userId, email: userData.email, language: 'en' }
+        user = { id: userId, email: profile.email, language: 'en' }
         try {
           const defaultRoles = (process.env.DEFAULT_ROLES || '').split(',').map((r) => r.toLowerCase().trim())
           for (const slug of defaultRoles) {
@@ -318,30 +397,74 @@ export default (context: HTMLDrop.Context): Router => {
       await knex(table('user_providers')).insert({
         user_id: user.id,
         slug: provider,
-        sub: userData.sub || userData.id
+        sub: profile.sub
       })
     }
 
-    // Issue JWT + refresh token
-    const payload = await buildPayload(context, user!)
-    const accessExpiry = (process.env.JWT_EXPIRES_IN || '1h') as unknown as number
-    const refreshExpiry = (process.env.JWT_REFRESH_EXPIRES_IN || '7d') as unknown as number
-    const appAccessToken = jwt.sign(payload, process.env.JWT_SECRET || '', { expiresIn: accessExpiry })
-    const appRefreshToken = jwt.sign({ sub: user!.id }, process.env.JWT_REFRESH_SECRET || '', {
-      expiresIn: refreshExpiry
-    })
+    // Roles follow the groups at the provider on every login
+    const { added, removed } = await sso.syncRoles(user!.id, config, profile.claims)
+    if (added.length || removed.length) {
+      await (req as unknown as HTMLDrop.ExtendedRequest).hooks?.doAction?.('sync_user_roles', {
+        req,
+        res,
+        user: { id: user!.id, email: user!.email },
+        provider,
+        added,
+        removed
+      })
+    }
 
-    await knex(table('refresh_tokens')).insert({
-      user_id: user!.id,
-      token: crypto.createHash('sha256').update(appRefreshToken).digest('hex'),
-      expires_at: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
-    })
+    // Second factor, depending on the provider it follows the user's settings, is skipped or always required
+    const challenge = await new TwoFactorService(context).challengeFor(user!, config.two_factor || 'default')
+    if (challenge) return res.status(200).json(challenge)
+
+    // Start a session and issue JWT + refresh token
+    const tokens = await new SessionService(context).issue(user!, { userAgent: req.get('user-agent'), ip: req.ip })
 
-    // Remove expired tokens asynchronously
-    knex(table('revoked_tokens')).where('expires_at', '<', new Date()).del()
-    knex(table('refresh_tokens')).where('expires_at', '<', new Date()).del()
+    res.status(200).json({ accessToken: tokens.accessToken, refreshToken: tokens.refreshToken })
+  })
 
-    res.status(200).json({ accessToken: appAccessToken, refreshToken: appRefreshToken })
+  /**
+   * @openapi
+   * /oauth/{provider}/metadata:
+   *   get:
+   *     tags:
+   *       - OAuth
+   *     summary: SAML service provider metadata
+   *     description: Metadata of HTMLDrop as SAML service provider, for the identity provider's configuration. Its URL is the entity ID
+   *     parameters:
+   *       - in: path
+   *         name: provider
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: SAML provider slug
+   *     responses:
+   *       200:
+   *         description: Service provider metadata
+   *         content:
+   *           application/xml:
+   *             schema:
+   *               type: string
+   *       404:
+   *         description: Not a SAML provider
+   */
+  router.get('/:provider/metadata', async (req: Request, res: Response) => {
+    const { knex, table } = context
+    if (!knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+    const config = await knex(table('auth_providers'))
+      .where({ slug: req.params.provider, type: 'saml' })
+      .first() as AuthProvider | undefined
+    if (!config) return res.status(404).send('SAML provider not found')
+
+    try {
+      res.type('application/xml').send(new SsoService(context).serviceProviderMetadata(config))
+    } catch (error) {
+      console.error('SAML metadata failed:', error)
+      res.status(500).send('The SAML provider is not fully configured')
+    }
   })
 
   return router
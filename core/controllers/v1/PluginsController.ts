@@ -504,6 +504,7 @@ export default (context: HTMLDrop.Context): Router => {
         // Call lifecycle hook and refresh badge counts
         const lifecycleService = new PluginLifecycleService(guardReq.context)
         await lifecycleService.onActivate(slug)
+        guardReq.hooks.doAction('activate_plugin', { req, res, next, slug })
       }
 
       res.json({ success: true, message: 'Plugin activated' })
@@ -565,6 +566,7 @@ export default (context: HTMLDrop.Context): Router => {
         // Call lifecycle hook and refresh badge counts
         const lifecycleService = new PluginLifecycleService(guardReq.context)
         await lifecycleService.onDeactivate(slug)
+        guardReq.hooks.doAction('deactivate_plugin', { req, res, next, slug })
       }
 
       res.json({ success: true, message: 'Plugin deactivated' })
@@ -632,6 +634,7 @@ export default (context: HTMLDrop.Context): Router => {
 
       // Delete folder
       await fs.promises.rm(pluginFolder, { recursive: true, force: true })
+      guardReq.hooks.doAction('delete_plugin', { req, res, next, slug })
 
       res.json({ success: true, message: 'Plugin deleted' })
     } catch (err) {
@@ -824,6 +827,20 @@ export default (context: HTMLDrop.Context): Router => {
       // Get metadata
       const metadata = await getPluginMetadata(pluginSlug)
 
+      if (isUpdate) {
+        guardReq.hooks.doAction('update_plugin', {
+          req,
+          res,
+          next,
+          slug: pluginSlug,
+          plugin: metadata,
+          previousVersion,
+          newVersion: metadata?.version
+        })
+      } else {
+        guardReq.hooks.doAction('install_plugin', { req, res, next, slug: pluginSlug, plugin: metadata })
+      }
+
       res.json({
         success: true,
         message: isUpdate ? 'Plugin updated successfully' : 'Plugin uploaded successfully',
@@ -1313,6 +1330,15 @@ export default (context: HTMLDrop.Context): Router => {
           })
         }
 
+        guardReq.hooks.doAction('update_plugin', {
+          req,
+          res,
+          slug,
+          plugin: metadata,
+          previousVersion: currentVersion,
+          newVersion: version
+        })
+
         res.json({
           success: true,
           message: 'Plugin version changed successfully',
@@ -1522,6 +1548,7 @@ export default (context: HTMLDrop.Context): Router => {
 
         // Get metadata
         const metadata = await getPluginMetadata(pluginSlug)
+        guardReq.hooks.doAction('install_plugin', { req, res, slug: pluginSlug, plugin: metadata })
 
         res.json({
           success: true,
@@ -153,6 +153,10 @@ export default (context: HTMLDrop.Context): Router => {
    *               options:
    *                 type: object
    *                 description: Field-specific options
+   *               search_weight:
+   *                 type: integer
+   *                 description: Relevance weight in full-text search, 0 keeps the field out of the index
+   *                 example: 1
    *               post_type_id:
    *                 type: integer
    *                 description: Post type ID (optional, validated against route)
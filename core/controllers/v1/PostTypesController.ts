@@ -11,6 +11,7 @@ interface PostType {
   icon?: string
   capabilities?: unknown
   show_in_menu?: boolean | number
+  public?: boolean | number
   [key: string]: unknown
 }
 
@@ -29,6 +30,7 @@ const parseRow = <T extends Record<string, unknown>>(row: T): T => {
   const parsed = Object.fromEntries(Object.entries(row).map(([k, v]) => [k, parseJSON(v)])) as T
   // Convert known boolean fields from integers to booleans
   if ('show_in_menu' in parsed) (parsed as Record<string, unknown>).show_in_menu = Boolean(parsed.show_in_menu)
+  if ('public' in parsed) (parsed as Record<string, unknown>).public = Boolean(parsed.public)
   return parsed
 }
 
@@ -111,6 +113,10 @@ export default (context: HTMLDrop.Context): Router => {
    *                 example: shopping-bag
    *               capabilities:
    *                 type: object
+   *               public:
+   *                 type: boolean
+   *                 default: false
+   *                 description: Serve published posts of the type through the delivery API
    *     responses:
    *       200:
    *         description: Post type created successfully
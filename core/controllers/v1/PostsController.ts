@@ -6,6 +6,19 @@ import type { Router, Request, Response, NextFunction } from 'express'
 import express from 'express'
 import type { Knex } from 'knex'
 import { UPLOAD_LIMITS, getAllowedFileExtensions } from '../../utils/constants.ts'
+import RevisionService from '../../services/RevisionService.ts'
+import ScheduledPostsService from '../../services/ScheduledPostsService.ts'
+import LocalizationService from '../../services/LocalizationService.ts'
+import FieldValidationService, { changedKeys, resolveRequiredMode } from '../../services/FieldValidationService.ts'
+import type { FieldDefinition } from '../../services/FieldValidationService.ts'
+import ImageService from '../../services/ImageService.ts'
+import PostService from '../../services/PostService.ts'
+import PermalinkService from '../../services/PermalinkService.ts'
+import PreviewService from '../../services/PreviewService.ts'
+import BlockService, { isBlockDocument } from '../../services/BlockService.ts'
+import CommentService, { COMMENT_STATUSES, CommentError } from '../../services/CommentService.ts'
+import { commentLimiter } from '../../middlewares/RateLimiter.ts'
+import type { ImageDerivative } from '../../services/ImageService.ts'
 
 interface Post {
   id: number
@@ -13,6 +26,9 @@ interface Post {
   status?: string
   post_type_slug: string
   post_type_id?: number
+  publish_at?: string | null
+  locale?: string | null
+  translation_group?: string | null
   created_at?: Date
   updated_at?: Date
   deleted_at?: string | null
@@ -66,19 +82,32 @@ interface PostsRequest extends HTMLDrop.ExtendedRequest {
     meta_query?: string
     taxonomy_query?: string
     trashed?: string
+    locale?: string
+    fallback?: string
     permanently?: string
     comment?: string
+    field?: string
+    from?: string
+    to?: string
+    direction?: string
   }
   params: {
     postType: string
     idOrSlug?: string
     fieldSlug?: string
+    revisionId?: string
+    previewId?: string
   }
   body: Record<string, unknown> & {
     slug?: string
     status?: string
     title?: string
+    publish_at?: string | null
+    locale?: string | null
+    translation_of?: number | string | null
     terms?: Record<string, unknown>
+    changes?: unknown
+    expires_in_hours?: number | string
   }
 }
 
@@ -140,6 +169,7 @@ const upload = multer({
 
 export default (context: HTMLDrop.Context): Router => {
   const router = express.Router({ mergeParams: true })
+  const imageService = new ImageService(context, UPLOAD_BASE)
 
   const parseJSON = (value: unknown): unknown => {
     if (typeof value === 'string') {
@@ -255,7 +285,10 @@ export default (context: HTMLDrop.Context): Router => {
       const postWithMeta = { ...parseRow(p as unknown as Record<string, unknown>), ...(metaMap[p.id] || {}) }
       // Apply content & title filters
       // @todo - apply filters should only show when frontend context
-      if (postWithMeta.content) {
+      if (isBlockDocument(postWithMeta.content)) {
+        // Block content keeps its blocks for editing, the rendered HTML is what gets filtered
+        postWithMeta.content = { ...postWithMeta.content, html: applyFilters('the_content', postWithMeta.content.html, postWithMeta) }
+      } else if (postWithMeta.content) {
         postWithMeta.content = applyFilters('the_content', postWithMeta.content, postWithMeta)
       }
       if (postWithMeta.title) {
@@ -345,6 +378,202 @@ export default (context: HTMLDrop.Context): Router => {
     return hasAccess ? (type as unknown as PostType) : null
   }
 
+  // ------------------------
+  // Helper: read_post on the post, or one of its authors
+  // ------------------------
+  const canReadPost = async (req: PostsRequest, post: Post): Promise<boolean> => {
+    if (await checkCapability(req, ['read_post'], post.post_type_slug, post.id)) return true
+    if (!req.user?.id) return false
+    return !!(await context.knex!(context.table('post_authors')).where({ post_id: post.id, user_id: req.user.id }).first())
+  }
+
+  // ------------------------
+  // Helper: authors may edit and delete their own posts, with an API key
+  // one of the route capabilities must also be in the key's scope
+  // ------------------------
+  const ownsPost = async (req: PostsRequest, postId: number, routeCaps: string[]): Promise<boolean> => {
+    if (!req.user?.id) return false
+    if (req.apiKey && !(await req.guard.scopeAllows?.(routeCaps))) return false
+    return !!(await context.knex!(context.table('post_authors')).where({ post_id: postId, user_id: req.user.id }).first())
+  }
+
+  // ------------------------
+  // Helper: apply an update to an existing post
+  // Shared by PATCH and revision restore so both run the same hooks
+  // ------------------------
+  const updatePost = async (
+    typedReq: PostsRequest,
+    res: Response,
+    next: NextFunction,
+    post: Post,
+    body: Record<string, unknown>,
+    comment: string | null
+  ): Promise<Record<string, unknown>> => {
+    const { knex, table, normalizeSlug } = context
+    const db = knex!
+    const { getFields, doAction, applyFilters } = typedReq.hooks
+    const { postType } = typedReq.params
+    const id = post.id
+
+    let coreUpdates: Record<string, unknown> = {}
+    let metaUpdates: Record<string, unknown> = {}
+
+    const fields = await getFields(postType) as unknown as FieldInfo[]
+    if (fields.some((field) => field.field.slug === 'authors')) {
+      const meta = (await db(table('post_meta'))
+        .where('post_id', id)
+        .where('field_slug', 'authors')
+        .first()) as { value: unknown } | undefined
+      if (Array.isArray(meta?.value)) metaUpdates.authors = meta.value
+      else if (typeof meta?.value === 'string') metaUpdates.authors = JSON.parse(meta?.value || '[]')
+      if (!Array.isArray(metaUpdates.authors)) metaUpdates.authors = []
+      if (!(metaUpdates.authors as number[])?.find((uid) => uid === typedReq.user!.id)) {
+        ;(metaUpdates.authors as number[]).push(typedReq.user!.id)
+      }
+    }
+
+    for (let [key, val] of Object.entries(body)) {
+      if (['slug', 'status', 'post_type_slug', 'post_type_id', 'deleted_at', 'publish_at', 'locale', 'translation_group'].includes(key)) {
+        if (['slug', 'post_type_slug'].includes(key)) {
+          val = val ? normalizeSlug(String(val)) : null
+        }
+        if (['post_type_id'].includes(key)) {
+          val = val ? Number(val) : null
+        }
+        coreUpdates[key] = val
+      } else {
+        metaUpdates[key] = val
+      }
+    }
+
+    const prePost = await withMetaAndTaxonomies(post, typedReq)
+
+    doAction('pre_post_update', {
+      req: typedReq,
+      res,
+      next,
+      postType,
+      post: prePost,
+      coreData: coreUpdates,
+      metaData: metaUpdates
+    })
+
+    const filtered = applyFilters('insert_post_data', { coreData: coreUpdates, metaData: metaUpdates }, postType, prePost)
+
+    coreUpdates = filtered?.coreData || {}
+    metaUpdates = filtered?.metaData || {}
+
+    const hasCoreUpdates = Object.keys(coreUpdates).length > 0
+    const hasMetaUpdates = Object.keys(metaUpdates).length > 0
+
+    if (!hasCoreUpdates && hasMetaUpdates) {
+      coreUpdates.updated_at = db.fn.now()
+    }
+
+    // Paths before the update, redirected to the new ones when the permalink changes
+    const permalinks = new PermalinkService(context)
+    const pathsBefore = ['slug', 'publish_at'].some((key) => key in coreUpdates) || 'parent_slug' in metaUpdates
+      ? await permalinks.snapshot(id)
+      : new Map<number, string>()
+
+    if (hasCoreUpdates || hasMetaUpdates) {
+      await db(table('posts')).where('id', id).update(coreUpdates)
+      if (typedReq?.user?.id) {
+        await db(table('post_authors'))
+          .insert({
+            post_id: id,
+            user_id: typedReq.user.id,
+            updated_at: db.fn.now()
+          })
+          .onConflict(['post_id', 'user_id'])
+          .merge({
+            updated_at: db.fn.now()
+          })
+      }
+    }
+
+    for (const [field_slug, value] of Object.entries(metaUpdates)) {
+      const exists = await db(table('post_meta')).where({ post_id: id, field_slug }).first()
+      if (exists) {
+        await db(table('post_meta'))
+          .where({ post_id: id, field_slug })
+          .update({ value: normalizeObject(value) as string })
+      } else {
+        await db(table('post_meta')).insert({ post_id: id, field_slug, value: normalizeObject(value) as string })
+      }
+    }
+    await new PostService({ knex: db, table, normalizeSlug }).syncRelationships(id, fields as unknown as { field: FieldDefinition }[], metaUpdates)
+    if (typeof coreUpdates.slug === 'string' && post.slug && coreUpdates.slug !== post.slug) {
+      await permalinks.renameParent(post.post_type_slug, post.slug, coreUpdates.slug)
+    }
+    await permalinks.recordMoves(pathsBefore)
+    if (typeof body.terms !== 'undefined') {
+      const termIds = await resolveTermIds(body.terms)
+
+      // Replace existing relationships
+      await db(table('term_relationships')).where('post_id', id).delete()
+
+      if (termIds.length > 0) {
+        const relInserts = termIds.map((term_id) => ({ term_id, post_id: id }))
+        await db(table('term_relationships')).insert(relInserts)
+      }
+    }
+
+    const revisionPromises: Promise<unknown>[] = []
+
+    for (const { field } of fields.filter((f) => f.field.revisions)) {
+      const slug = field.slug
+      const newCoreValue = coreUpdates[slug]
+      const newMetaValue = metaUpdates[slug]
+
+      const storeRevisionIfChanged = async (newValue: unknown): Promise<void> => {
+        if (typeof newValue === 'undefined') return
+
+        // fetch the last revision
+        const lastRevision = (await db(table('post_revisions'))
+          .where({ post_id: id, field_slug: slug })
+          .orderBy('id', 'desc')
+          .first()) as { value: string } | undefined
+
+        // compare in the same JSON form the revision value is stored in
+        const serializedNewValue = JSON.stringify(newValue)
+        const lastValue = lastRevision ? lastRevision.value : null
+
+        if (lastValue !== serializedNewValue) {
+          await db(table('post_revisions')).insert({
+            post_id: id,
+            field_slug: slug,
+            value: serializedNewValue,
+            author_id: typedReq.user!.id,
+            comment
+          })
+        }
+      }
+
+      // push promises to array
+      revisionPromises.push(storeRevisionIfChanged(newCoreValue))
+      revisionPromises.push(storeRevisionIfChanged(newMetaValue))
+    }
+
+    // run all in parallel
+    await Promise.all(revisionPromises)
+
+    const updated = (await db(table('posts')).where('id', id).first()) as Post
+    const result = await withMetaAndTaxonomies(updated, typedReq)
+    doAction('edit_post', { req: typedReq, res, next, postType, post: result })
+    doAction('save_post', { req: typedReq, res, next, postType, post: result })
+    if (!result?.deleted_at && post?.deleted_at) {
+      doAction('untrash_post', { req: typedReq, res, next, postType, post: result })
+    }
+    if (post?.status !== result?.status) {
+      doAction('transition_post_status', { req: typedReq, res, next, postType, post: result })
+      if (result?.status === 'published') {
+        doAction('publish_post', { req: typedReq, res, next, postType, post: result })
+      }
+    }
+    return result
+  }
+
   /**
    * @openapi
    * /posts/{postType}:
@@ -409,6 +638,12 @@ export default (context: HTMLDrop.Context): Router => {
    *       - `NOT IN` - Value not in array
    *       - `BETWEEN` - Value between two values (provide array with two values)
    *       - `NOT BETWEEN` - Value not between two values
+   *
+   *       **Relationship fields** match on the related post IDs: `=` and `IN` find posts referencing
+   *       any of the IDs, `!=` and `NOT IN` posts referencing none of them.
+   *       ```
+   *       GET /posts/products?meta_query={"queries": [{"key": "related_products", "value": [5, 8], "compare": "IN"}]}
+   *       ```
    *     security:
    *       - bearerAuth: []
    *     parameters:
@@ -422,8 +657,8 @@ export default (context: HTMLDrop.Context): Router => {
    *         name: status
    *         schema:
    *           type: string
-   *           enum: [draft, published, archived]
-   *         description: Filter by post status
+   *           enum: [draft, published, future, archived]
+   *         description: Filter by post status (`future` for scheduled posts)
    *       - in: query
    *         name: limit
    *         schema:
@@ -481,6 +716,19 @@ export default (context: HTMLDrop.Context): Router => {
    *         schema:
    *           type: boolean
    *         description: Include only trashed posts
+   *       - in: query
+   *         name: locale
+   *         schema:
+   *           type: string
+   *         description: |
+   *           Only posts in this content locale (e.g. `nb_NO`). Posts without a translation in the
+   *           locale are filled in from its fallback locales, ending with the default content locale
+   *       - in: query
+   *         name: fallback
+   *         schema:
+   *           type: boolean
+   *           default: true
+   *         description: Set to `false` to only return posts written in the requested locale
    *     responses:
    *       200:
    *         description: Paginated list of posts
@@ -501,6 +749,8 @@ export default (context: HTMLDrop.Context): Router => {
    *                   type: integer
    *                 total_published:
    *                   type: integer
+   *                 total_scheduled:
+   *                   type: integer
    *                 total_trashed:
    *                   type: integer
    *                 limit:
@@ -514,7 +764,7 @@ export default (context: HTMLDrop.Context): Router => {
    */
   router.get('/', async (req: Request, res: Response, next: NextFunction) => {
     const typedReq = req as PostsRequest
-    const { knex, table } = context
+    const { knex, table, normalizeSlug } = context
     if (!knex) {
       return res.status(503).json({ success: false, error: 'Database not available' })
     }
@@ -530,6 +780,7 @@ export default (context: HTMLDrop.Context): Router => {
         total_current: 0,
         total_drafts: 0,
         total_published: 0,
+        total_scheduled: 0,
         total_trashed: 0,
         limit: 0,
         offset: 0
@@ -546,7 +797,9 @@ export default (context: HTMLDrop.Context): Router => {
       searchable = JSON.stringify(['slug']),
       filters = '{}',
       meta_query = '{}',
-      trashed
+      trashed,
+      locale,
+      fallback
     } = typedReq.query
 
     const coreFields = [
@@ -555,9 +808,12 @@ export default (context: HTMLDrop.Context): Router => {
       'status',
       'post_type_slug',
       'post_type_id',
+      'publish_at',
       'created_at',
       'updated_at',
-      'deleted_at'
+      'deleted_at',
+      'locale',
+      'translation_group'
     ]
 
     let searchFields: string[] = []
@@ -599,14 +855,22 @@ export default (context: HTMLDrop.Context): Router => {
           SUM(CASE WHEN deleted_at IS NULL THEN 1 ELSE 0 END) as total,
           SUM(CASE WHEN status = 'draft' AND deleted_at IS NULL THEN 1 ELSE 0 END) as total_drafts,
           SUM(CASE WHEN status = 'published' AND deleted_at IS NULL THEN 1 ELSE 0 END) as total_published,
+          SUM(CASE WHEN status = 'future' AND deleted_at IS NULL THEN 1 ELSE 0 END) as total_scheduled,
           SUM(CASE WHEN deleted_at IS NOT NULL THEN 1 ELSE 0 END) as total_trashed
         `)
       )
-      .first()) as { total: number; total_drafts: number; total_published: number; total_trashed: number }
+      .first()) as {
+      total: number
+      total_drafts: number
+      total_published: number
+      total_scheduled: number
+      total_trashed: number
+    }
 
     const total = totals.total
     const totalDrafts = totals.total_drafts
     const totalPublished = totals.total_published
+    const totalScheduled = totals.total_scheduled
     const totalTrashed = totals.total_trashed
 
     // ------------------------
@@ -634,9 +898,21 @@ export default (context: HTMLDrop.Context): Router => {
         relation?: string
       }[]
 
+      // Relationship fields are matched on the related post IDs, e.g. {"key": "products", "value": [5, 8], "compare": "IN"}
+      const fields = (await typedReq.hooks.getFields(postType)) as unknown as { field: FieldDefinition }[]
+      const relationshipFields = fields.filter(({ field }) => field.type === 'relationship').map(({ field }) => field.slug)
+      const postService = new PostService({ knex: db, table, normalizeSlug })
+
       query.andWhere((qb) => {
         queries.forEach((metaCond, i) => {
           const { key, value, compare = '=', relation: subRel } = metaCond
+          const or = i > 0 && (relation === 'OR' || subRel === 'OR')
+
+          if (relationshipFields.includes(key)) {
+            const not = ['!=', '<>', 'NOT IN'].includes(compare.toUpperCase())
+            postService.whereRelated(qb, key, postService.relatedIds(value), { not, or })
+            return
+          }
 
           const subQuery = function (this: Knex.QueryBuilder) {
             this.select('*')
@@ -664,12 +940,8 @@ export default (context: HTMLDrop.Context): Router => {
               })
           }
 
-          if (i === 0) {
-            qb.whereExists(subQuery)
-          } else {
-            if (relation === 'OR' || subRel === 'OR') qb.orWhereExists(subQuery)
-            else qb.whereExists(subQuery)
-          }
+          if (or) qb.orWhereExists(subQuery)
+          else qb.whereExists(subQuery)
         })
       })
     }
@@ -726,6 +998,23 @@ export default (context: HTMLDrop.Context): Router => {
       })
     }
 
+    // ------------------------
+    // Apply locale with fallbacks
+    // ------------------------
+    if (locale) {
+      const localizationService = new LocalizationService(context)
+      if (!localizationService.isLocale(locale)) {
+        return res.status(400).json({ error: `Unknown locale "${locale}"` })
+      }
+      localizationService.scopeToLocale(query, 'post', locale, {
+        fallback: fallback !== 'false',
+        // A translation only replaces its fallback when it would be listed itself
+        siblings: (sub, alias) => {
+          if (status) sub.where(`${alias}.status`, status)
+        }
+      })
+    }
+
     // ------------------------
     // Handle trashed filter
     // ------------------------
@@ -754,6 +1043,7 @@ export default (context: HTMLDrop.Context): Router => {
       total_current: totalCurrent,
       total_drafts: totalDrafts,
       total_published: totalPublished,
+      total_scheduled: totalScheduled,
       total_trashed: totalTrashed,
       limit: Number(limit),
       offset: Number(offset)
@@ -852,11 +1142,7 @@ export default (context: HTMLDrop.Context): Router => {
       .first()) as Post | undefined
     if (!post) return res.status(404).json({ error: 'Post not found' })
 
-    const type = await checkCapability(typedReq, ['read_post'], post.post_type_slug, post.id)
-    const isOwner =
-      typedReq?.user?.id &&
-      (await db(table('post_authors')).where({ post_id: post.id, user_id: typedReq.user.id }).first())
-    if (!type && !isOwner) return res.status(403).json({ error: 'Permission denied' })
+    if (!(await canReadPost(typedReq, post))) return res.status(403).json({ error: 'Permission denied' })
 
     const result = await withMetaAndTaxonomies(post, typedReq)
 
@@ -897,8 +1183,19 @@ export default (context: HTMLDrop.Context): Router => {
    *                 example: My Post Title
    *               status:
    *                 type: string
-   *                 enum: [draft, published, archived]
+   *                 enum: [draft, published, future, archived]
    *                 default: draft
+   *               publish_at:
+   *                 type: string
+   *                 format: date-time
+   *                 description: Publish date, required when status is `future`
+   *               locale:
+   *                 type: string
+   *                 description: Content locale, one of the site's content locales. Defaults to the default content locale
+   *                 example: nb_NO
+   *               translation_of:
+   *                 type: integer
+   *                 description: ID of a post of the same type this post translates, links both in a translation group
    *               content:
    *                 type: string
    *                 example: Post content goes here
@@ -916,6 +1213,12 @@ export default (context: HTMLDrop.Context): Router => {
    *         description: Unauthorized
    *       403:
    *         description: Forbidden - insufficient permissions
+   *       422:
+   *         description: Field values failed validation, see `errors` for each field
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ValidationError'
    */
   router.post('/', async (req: Request, res: Response, next: NextFunction) => {
     const typedReq = req as PostsRequest
@@ -925,7 +1228,7 @@ export default (context: HTMLDrop.Context): Router => {
     }
     const db = knex
     const { getFields, applyFilters, doAction } = typedReq.hooks
-    const { slug, status, title } = typedReq.body
+    const { slug, status, title, publish_at, locale, translation_of } = typedReq.body
     const { postType } = typedReq.params
 
     const type = await checkCapability(typedReq, ['create_posts'], postType)
@@ -937,10 +1240,23 @@ export default (context: HTMLDrop.Context): Router => {
       post_type_id: type.id ? Number(type.id) : null,
       status: status || 'draft'
     }
+    if (typeof publish_at !== 'undefined') coreData.publish_at = publish_at
+    if (typeof locale !== 'undefined') coreData.locale = locale
+    if (typeof translation_of !== 'undefined') coreData.translation_of = translation_of
+
+    try {
+      coreData = new ScheduledPostsService(context).resolveSchedule(coreData)
+      coreData = await new LocalizationService(context).resolveTranslation('post', coreData)
+    } catch (error) {
+      return res.status(400).json({ error: (error as Error).message })
+    }
 
     let metaData: Record<string, unknown> = { ...typedReq.body }
     delete metaData.slug
     delete metaData.status
+    delete metaData.publish_at
+    delete metaData.locale
+    delete metaData.translation_of
 
     const fields = await getFields(postType) as unknown as FieldInfo[]
     if (fields.some((field) => field.field.slug === 'authors')) {
@@ -951,6 +1267,18 @@ export default (context: HTMLDrop.Context): Router => {
       delete coreData.slug
     }
 
+    const postService = new PostService({ knex: db, table, normalizeSlug })
+    metaData = postService.normalizeFieldValues(fields as unknown as { field: FieldDefinition }[], metaData)
+    metaData = new BlockService(typedReq.hooks).normalizeFieldValues(fields, metaData)
+
+    const errors = await new FieldValidationService(context, typedReq.hooks).validate(
+      'post',
+      fields as unknown as { field: FieldDefinition }[],
+      { ...coreData, ...metaData },
+      { submitted: Object.keys(typedReq.body || {}), required: resolveRequiredMode(coreData.status), slug: postType }
+    )
+    if (errors.length) return res.status(422).json({ error: 'Validation failed', code: 'VALIDATION_ERROR', errors })
+
     const filtered = applyFilters('insert_post_data', { coreData, metaData }, postType)
 
     coreData = filtered?.coreData || {}
@@ -967,6 +1295,7 @@ export default (context: HTMLDrop.Context): Router => {
     if (metaInserts.length > 0) {
       await db(table('post_meta')).insert(metaInserts)
     }
+    await postService.syncRelationships(id, fields as unknown as { field: FieldDefinition }[], metaData)
 
     if (typeof typedReq.body.terms !== 'undefined') {
       const termIds = await resolveTermIds(typedReq.body.terms)
@@ -1033,7 +1362,20 @@ export default (context: HTMLDrop.Context): Router => {
    *                 type: string
    *               status:
    *                 type: string
-   *                 enum: [draft, published, archived]
+   *                 enum: [draft, published, future, archived]
+   *               publish_at:
+   *                 type: string
+   *                 format: date-time
+   *                 nullable: true
+   *                 description: Publish date, required when status is `future`
+   *               locale:
+   *                 type: string
+   *                 nullable: true
+   *                 description: Content locale, `null` for the default content locale
+   *               translation_of:
+   *                 type: integer
+   *                 nullable: true
+   *                 description: Join the translation group of this post, `null` to leave the current group
    *               content:
    *                 type: string
    *               terms:
@@ -1056,6 +1398,12 @@ export default (context: HTMLDrop.Context): Router => {
    *         description: Forbidden - insufficient permissions
    *       404:
    *         description: Post not found
+   *       422:
+   *         description: Field values failed validation, see `errors` for each field
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ValidationError'
    */
   router.patch('/:idOrSlug', async (req: Request, res: Response, next: NextFunction) => {
     const typedReq = req as PostsRequest
@@ -1064,7 +1412,6 @@ export default (context: HTMLDrop.Context): Router => {
       return res.status(503).json({ success: false, error: 'Database not available' })
     }
     const db = knex
-    const { getFields, doAction, applyFilters } = typedReq.hooks
     const { idOrSlug, postType } = typedReq.params
     const post = (await db(table('posts'))
       .where('post_type_slug', postType)
@@ -1077,154 +1424,861 @@ export default (context: HTMLDrop.Context): Router => {
     const id = post.id
 
     const type = await checkCapability(typedReq, ['edit', 'edit_posts'], post.post_type_slug, id)
-    const isOwner =
-      typedReq?.user?.id && (await db(table('post_authors')).where({ post_id: id, user_id: typedReq.user.id }).first())
-    if (!type && !isOwner) return res.status(403).json({ error: 'Permission denied' })
+    if (!type && !(await ownsPost(typedReq, id, ['edit', 'edit_posts']))) {
+      return res.status(403).json({ error: 'Permission denied' })
+    }
 
-    let coreUpdates: Record<string, unknown> = {}
-    let metaUpdates: Record<string, unknown> = {}
+    let body: Record<string, unknown> = typedReq.body
+    try {
+      body = new ScheduledPostsService(context).resolveSchedule(body, post)
+      body = await new LocalizationService(context).resolveTranslation('post', body, post)
+    } catch (error) {
+      return res.status(400).json({ error: (error as Error).message })
+    }
 
-    const fields = await getFields(postType) as unknown as FieldInfo[]
-    if (fields.some((field) => field.field.slug === 'authors')) {
-      const meta = (await db(table('post_meta'))
-        .where('post_id', id)
-        .where('field_slug', 'authors')
-        .first()) as { value: unknown } | undefined
-      if (Array.isArray(meta?.value)) metaUpdates.authors = meta.value
-      else if (typeof meta?.value === 'string') metaUpdates.authors = JSON.parse(meta?.value || '[]')
-      if (!Array.isArray(metaUpdates.authors)) metaUpdates.authors = []
-      if (!(metaUpdates.authors as number[])?.find((uid) => uid === typedReq.user!.id)) {
-        ;(metaUpdates.authors as number[]).push(typedReq.user!.id)
+    const validationService = new FieldValidationService(context, typedReq.hooks)
+    const fields = (await typedReq.hooks.getFields(postType)) as unknown as { field: FieldDefinition }[]
+    body = new PostService({ knex: db, table, normalizeSlug }).normalizeFieldValues(fields, body)
+    body = new BlockService(typedReq.hooks).normalizeFieldValues(fields, body)
+    const current = await validationService.currentValues('post', id)
+    const errors = await validationService.validate(
+      'post',
+      fields,
+      { ...current, ...body },
+      {
+        submitted: changedKeys(current, body),
+        required: resolveRequiredMode(body.status ?? post.status, post.status),
+        slug: postType,
+        item: post as unknown as Record<string, unknown>
       }
+    )
+    if (errors.length) return res.status(422).json({ error: 'Validation failed', code: 'VALIDATION_ERROR', errors })
+
+    const result = await updatePost(typedReq, res, next, post, body, typedReq.query?.comment || null)
+    res.json(result)
+  })
+
+  // ------------------------
+  // Helper: load a post and check the caller may edit it (used by revision routes)
+  // ------------------------
+  const findEditablePost = async (typedReq: PostsRequest, res: Response): Promise<Post | null> => {
+    const { knex, table } = context
+    if (!knex) {
+      res.status(503).json({ success: false, error: 'Database not available' })
+      return null
+    }
+    const { idOrSlug, postType } = typedReq.params
+    const post = (await knex(table('posts'))
+      .where('post_type_slug', postType)
+      .andWhere((builder) => builder.where('id', idOrSlug).orWhere('slug', idOrSlug))
+      .first()) as Post | undefined
+    if (!post) {
+      res.status(404).json({ error: 'Post not found' })
+      return null
     }
 
-    for (let [key, val] of Object.entries(typedReq.body)) {
-      if (['slug', 'status', 'post_type_slug', 'post_type_id', 'deleted_at'].includes(key)) {
-        if (['slug', 'post_type_slug'].includes(key)) {
-          val = val ? normalizeSlug(String(val)) : null
-        }
-        if (['post_type_id'].includes(key)) {
-          val = val ? Number(val) : null
-        }
-        coreUpdates[key] = val
-      } else {
-        metaUpdates[key] = val
-      }
+    const type = await checkCapability(typedReq, ['edit', 'edit_posts'], post.post_type_slug, post.id)
+    if (!type && !(await ownsPost(typedReq, post.id, ['edit', 'edit_posts']))) {
+      res.status(403).json({ error: 'Permission denied' })
+      return null
     }
+    return post
+  }
 
-    const prePost = await withMetaAndTaxonomies(post, typedReq)
+  const getRevisionFields = async (typedReq: PostsRequest): Promise<string[]> => {
+    const fields = (await typedReq.hooks.getFields(typedReq.params.postType)) as unknown as FieldInfo[]
+    return fields.filter((f) => f.field.revisions).map((f) => f.field.slug)
+  }
 
-    doAction('pre_post_update', {
-      req: typedReq,
-      res,
-      next,
-      postType,
-      post: prePost,
-      coreData: coreUpdates,
-      metaData: metaUpdates
+  /**
+   * @openapi
+   * /posts/{postType}/{idOrSlug}/translations:
+   *   get:
+   *     tags:
+   *       - Posts
+   *     summary: List translations of a post
+   *     description: |
+   *       Returns the post and its translations, one per content locale, with the site's
+   *       content locales. Callers who cannot edit the post only see published translations
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: postType
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: idOrSlug
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Translations of the post
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 items:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/Translation'
+   *                 locales:
+   *                   type: array
+   *                   items:
+   *                     type: string
+   *                 default_locale:
+   *                   type: string
+   *       403:
+   *         description: Forbidden - insufficient permissions
+   *       404:
+   *         description: Post not found
+   */
+  router.get('/:idOrSlug/translations', async (req: Request, res: Response) => {
+    const typedReq = req as PostsRequest
+    const { knex, table } = context
+    if (!knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+    const { idOrSlug, postType } = typedReq.params
+    const post = (await knex(table('posts'))
+      .where('post_type_slug', postType)
+      .andWhere((builder) => builder.where('id', idOrSlug!).orWhere('slug', idOrSlug!))
+      .first()) as Post | undefined
+    if (!post) return res.status(404).json({ error: 'Post not found' })
+
+    const canRead = await checkCapability(typedReq, ['read_post'], post.post_type_slug, post.id)
+    const isOwner =
+      typedReq?.user?.id &&
+      (await knex(table('post_authors')).where({ post_id: post.id, user_id: typedReq.user.id }).first())
+    if (!canRead && !isOwner) return res.status(403).json({ error: 'Permission denied' })
+
+    const canEdit =
+      (await ownsPost(typedReq, post.id, ['edit', 'edit_posts'])) ||
+      (await checkCapability(typedReq, ['edit', 'edit_posts'], post.post_type_slug, post.id))
+    const localizationService = new LocalizationService(context)
+    const translations = await localizationService.getTranslations('post', post.id)
+
+    res.json({
+      items: canEdit ? translations : translations.filter((item) => item.id === post.id || item.status === 'published'),
+      locales: localizationService.getLocales(),
+      default_locale: localizationService.getDefaultLocale()
     })
+  })
+
+  /**
+   * @openapi
+   * /posts/{postType}/{idOrSlug}/relationships:
+   *   get:
+   *     tags:
+   *       - Posts
+   *     summary: List posts related to a post
+   *     description: |
+   *       Returns the posts a post references through its relationship fields (`outgoing`), or the
+   *       posts referencing it (`incoming`). Callers who cannot edit the post only see published posts
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: postType
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: idOrSlug
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: direction
+   *         schema:
+   *           type: string
+   *           enum: [outgoing, incoming]
+   *           default: outgoing
+   *       - in: query
+   *         name: field
+   *         schema:
+   *           type: string
+   *         description: Only relationships of this field
+   *     responses:
+   *       200:
+   *         description: Related posts, each with the `field_slug` and `position` of the relationship
+   *       400:
+   *         description: Invalid direction
+   *       403:
+   *         description: Forbidden - insufficient permissions
+   *       404:
+   *         description: Post not found
+   */
+  router.get('/:idOrSlug/relationships', async (req: Request, res: Response) => {
+    const typedReq = req as PostsRequest
+    const { knex, table, normalizeSlug } = context
+    if (!knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+    const { idOrSlug, postType } = typedReq.params
+    const { direction = 'outgoing', field } = typedReq.query
+    if (!['outgoing', 'incoming'].includes(direction)) {
+      return res.status(400).json({ error: 'direction must be "outgoing" or "incoming"' })
+    }
+
+    const post = (await knex(table('posts'))
+      .where('post_type_slug', postType)
+      .andWhere((builder) => builder.where('id', idOrSlug!).orWhere('slug', idOrSlug!))
+      .first()) as Post | undefined
+    if (!post) return res.status(404).json({ error: 'Post not found' })
+
+    const canRead = await checkCapability(typedReq, ['read_post'], post.post_type_slug, post.id)
+    const isOwner =
+      typedReq?.user?.id &&
+      (await knex(table('post_authors')).where({ post_id: post.id, user_id: typedReq.user.id }).first())
+    if (!canRead && !isOwner) return res.status(403).json({ error: 'Permission denied' })
+
+    const canEdit =
+      (await ownsPost(typedReq, post.id, ['edit', 'edit_posts'])) ||
+      (await checkCapability(typedReq, ['edit', 'edit_posts'], post.post_type_slug, post.id))
+    const related = await new PostService({ knex, table, normalizeSlug }).getRelatedPosts(post.id, {
+      direction: direction as 'outgoing' | 'incoming',
+      field
+    })
+
+    res.json({ items: canEdit ? related : related.filter((item) => item.status === 'published') })
+  })
+
+  // ------------------------
+  // Helper: post the caller may edit, or sends the error response
+  // ------------------------
+  const editablePost = async (typedReq: PostsRequest, res: Response): Promise<Post | null> => {
+    const { knex, table } = context
+    if (!knex) {
+      res.status(503).json({ success: false, error: 'Database not available' })
+      return null
+    }
+    const { idOrSlug, postType } = typedReq.params
+    const post = (await knex(table('posts'))
+      .where('post_type_slug', postType)
+      .andWhere((builder) => builder.where('id', idOrSlug!).orWhere('slug', idOrSlug!))
+      .whereNull('deleted_at')
+      .first()) as Post | undefined
+    if (!post) {
+      res.status(404).json({ error: 'Post not found' })
+      return null
+    }
+    const canEdit = await checkCapability(typedReq, ['edit', 'edit_posts'], post.post_type_slug, post.id)
+    if (!canEdit && !(await ownsPost(typedReq, post.id, ['edit', 'edit_posts']))) {
+      res.status(403).json({ error: 'Permission denied' })
+      return null
+    }
+    return post
+  }
+
+  /**
+   * @openapi
+   * /posts/{postType}/{idOrSlug}/previews:
+   *   get:
+   *     tags:
+   *       - Posts
+   *     summary: List the preview links of a post
+   *     description: Shared preview links that have not expired, tokens are not included
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: postType
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: idOrSlug
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Preview links
+   *       403:
+   *         description: Forbidden - insufficient permissions
+   *       404:
+   *         description: Post not found
+   */
+  router.get('/:idOrSlug/previews', async (req: Request, res: Response) => {
+    const typedReq = req as PostsRequest
+    const post = await editablePost(typedReq, res)
+    if (!post) return
+
+    res.json({ items: await new PreviewService(context).list(post.id) })
+  })
+
+  /**
+   * @openapi
+   * /posts/{postType}/{idOrSlug}/previews:
+   *   post:
+   *     tags:
+   *       - Posts
+   *     summary: Create a preview of a post
+   *     description: |
+   *       Returns a URL that renders the post through the active theme whatever its status. With
+   *       `changes` the preview shows those unsaved values and expires after an hour, without them
+   *       it is a shared link to the stored post for reviewers without an account. The token is
+   *       only returned here
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: postType
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: idOrSlug
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               changes:
+   *                 type: object
+   *                 description: Unsaved field values, e.g. `{ "title": "New title" }`
+   *               expires_in_hours:
+   *                 type: number
+   *                 default: 72
+   *                 description: Lifetime of a shared link, at most 720
+   *     responses:
+   *       200:
+   *         description: Preview with `token` and `url`
+   *       400:
+   *         description: Invalid expiry
+   *       403:
+   *         description: Forbidden - insufficient permissions
+   *       404:
+   *         description: Post not found
+   */
+  router.post('/:idOrSlug/previews', async (req: Request, res: Response) => {
+    const typedReq = req as PostsRequest
+    const post = await editablePost(typedReq, res)
+    if (!post) return
+
+    const { changes, expires_in_hours } = typedReq.body || {}
+    try {
+      res.json(
+        await new PreviewService(context).create(post.id, {
+          userId: typedReq.user?.id ?? null,
+          changes: changes && typeof changes === 'object' ? (changes as Record<string, unknown>) : null,
+          expiresInHours: expires_in_hours === undefined ? undefined : Number(expires_in_hours)
+        })
+      )
+    } catch (error) {
+      res.status(400).json({ error: (error as Error).message })
+    }
+  })
+
+  /**
+   * @openapi
+   * /posts/{postType}/{idOrSlug}/previews/{previewId}:
+   *   delete:
+   *     tags:
+   *       - Posts
+   *     summary: Revoke a preview link
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: postType
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: idOrSlug
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: previewId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: The revoked link
+   *       403:
+   *         description: Forbidden - insufficient permissions
+   *       404:
+   *         description: Post or preview link not found
+   */
+  router.delete('/:idOrSlug/previews/:previewId', async (req: Request, res: Response) => {
+    const typedReq = req as PostsRequest
+    const post = await editablePost(typedReq, res)
+    if (!post) return
+
+    const revoked = await new PreviewService(context).revoke(post.id, Number(typedReq.params.previewId))
+    if (!revoked) return res.status(404).json({ error: 'Preview link not found' })
+    res.json(revoked)
+  })
+
+  const canModerateComments = async (req: PostsRequest): Promise<boolean> =>
+    !!(await req.guard.user({ canOneOf: ['manage_comments', 'edit_comments'] }))
+
+  // Comments need the same access as the post. Published posts of public post types
+  // are open to anyone, as in the delivery API, so guests can comment on them
+  const canReadComments = async (req: PostsRequest, post: Post): Promise<boolean> => {
+    if (await canReadPost(req, post)) return true
+    if (post.status !== 'published' || post.deleted_at) return false
+    return !!(await req.hooks.getPublicPostType(post.post_type_slug))
+  }
+
+  /**
+   * @openapi
+   * /posts/{postType}/{idOrSlug}/comments:
+   *   get:
+   *     tags:
+   *       - Comments
+   *     summary: List the comments of a post
+   *     description: |
+   *       Approved comments of a published post as a thread, oldest first, each with its `replies`.
+   *       Also tells whether the post takes new comments. Moderators get comments in every status
+   *       and the authors' email, IP and user agent. Needs `read_post` on the post or authorship,
+   *       unless the post type is public
+   *     parameters:
+   *       - in: path
+   *         name: postType
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: idOrSlug
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Comment thread
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 items:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/Comment'
+   *                 total:
+   *                   type: integer
+   *                 open:
+   *                   type: boolean
+   *                 guests:
+   *                   type: boolean
+   *                   description: Whether visitors who are not signed in may comment
+   *                 max_depth:
+   *                   type: integer
+   *       403:
+   *         description: The caller may not read the post
+   *       404:
+   *         description: Post not found
+   */
+  router.get('/:idOrSlug/comments', async (req: Request, res: Response) => {
+    const typedReq = req as PostsRequest
+    const { knex, table } = context
+    if (!knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+    const { idOrSlug, postType } = typedReq.params
+
+    const post = (await knex(table('posts'))
+      .where('post_type_slug', postType)
+      .andWhere((builder) => builder.where('id', idOrSlug!).orWhere('slug', idOrSlug!))
+      .first()) as Post | undefined
+    if (!post) return res.status(404).json({ error: 'Post not found' })
+    if (!(await canReadComments(typedReq, post))) return res.status(403).json({ error: 'Permission denied' })
+
+    const moderator = await canModerateComments(typedReq)
+    if (!moderator && (post.status !== 'published' || post.deleted_at)) {
+      return res.status(404).json({ error: 'Post not found' })
+    }
+
+    const commentService = new CommentService(context)
+    const settings = commentService.getSettings(post.post_type_slug)
+    const thread = await commentService.getThread(post.id, {
+      statuses: moderator ? [...COMMENT_STATUSES] : ['approved'],
+      private: moderator
+    })
+
+    res.json({ ...thread, open: commentService.isOpen(post, settings), guests: settings.guests, max_depth: settings.max_depth })
+  })
+
+  /**
+   * @openapi
+   * /posts/{postType}/{idOrSlug}/comments:
+   *   post:
+   *     tags:
+   *       - Comments
+   *     summary: Comment on a post
+   *     description: |
+   *       Adds a comment to a published post whose post type has comments open. Guests, when the post
+   *       type allows them, give a name and email. Depending on the post type's moderation setting the
+   *       comment is approved right away or held as `pending`; the `pre_comment_approved` filter has the
+   *       last word. Comments a filter marks as spam are reported as `pending`. Rate limited per IP
+   *     parameters:
+   *       - in: path
+   *         name: postType
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: idOrSlug
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - content
+   *             properties:
+   *               content:
+   *                 type: string
+   *                 description: Plain text, at most 5000 characters
+   *               parent_id:
+   *                 type: integer
+   *                 description: ID of the approved comment this replies to
+   *               author_name:
+   *                 type: string
+   *                 description: Required for guests
+   *               author_email:
+   *                 type: string
+   *                 description: Required for guests, never shown publicly
+   *               author_url:
+   *                 type: string
+   *     responses:
+   *       201:
+   *         description: Comment created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Comment'
+   *       401:
+   *         description: The post type does not take comments from guests
+   *       403:
+   *         description: Comments are closed, or the caller may not read the post
+   *       404:
+   *         description: Post not found
+   *       422:
+   *         description: Invalid comment, see `errors` for each field
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ValidationError'
+   *       503:
+   *         description: Too many comments from this IP
+   */
+  router.post('/:idOrSlug/comments', commentLimiter, async (req: Request, res: Response, next: NextFunction) => {
+    const typedReq = req as PostsRequest
+    const { knex, table } = context
+    if (!knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+    const { doAction } = typedReq.hooks
+    const { idOrSlug, postType } = typedReq.params
 
-    const filtered = applyFilters('insert_post_data', { coreData: coreUpdates, metaData: metaUpdates }, postType, prePost)
+    const post = (await knex(table('posts'))
+      .where('post_type_slug', postType)
+      .andWhere((builder) => builder.where('id', idOrSlug!).orWhere('slug', idOrSlug!))
+      .whereNull('deleted_at')
+      .first()) as Post | undefined
+    if (!post || post.status !== 'published') return res.status(404).json({ error: 'Post not found' })
+    if (!(await canReadComments(typedReq, post))) return res.status(403).json({ error: 'Permission denied' })
 
-    coreUpdates = filtered?.coreData || {}
-    metaUpdates = filtered?.metaData || {}
+    const moderator = typedReq.user?.id ? await canModerateComments(typedReq) : false
+    let comment
+    try {
+      comment = await new CommentService(context, typedReq.hooks).create(post, typedReq.body || {}, {
+        user_id: typedReq.user?.id || null,
+        ip: typedReq.ip || null,
+        user_agent: typedReq.get('user-agent') || null,
+        moderator
+      })
+    } catch (error) {
+      if (!(error instanceof CommentError)) throw error
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        ...(error.errors.length ? { errors: error.errors } : {})
+      })
+    }
 
-    const hasCoreUpdates = Object.keys(coreUpdates).length > 0
-    const hasMetaUpdates = Object.keys(metaUpdates).length > 0
+    doAction('insert_comment', { req: typedReq, res, next, post, comment })
+    if (!moderator && ['spam', 'trash'].includes(comment.status)) comment = { ...comment, status: 'pending' }
+    res.status(201).json(comment)
+  })
 
-    if (!hasCoreUpdates && hasMetaUpdates) {
-      coreUpdates.updated_at = db.fn.now()
-    }
+  /**
+   * @openapi
+   * /posts/{postType}/{idOrSlug}/revisions:
+   *   get:
+   *     tags:
+   *       - Posts
+   *     summary: List revisions of a post
+   *     description: |
+   *       Returns the revision history of a post, newest first. Each revision is a single field
+   *       change written by the update endpoint for fields flagged with `revisions`.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: postType
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: idOrSlug
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: field
+   *         schema:
+   *           type: string
+   *         description: Only return revisions of this field
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 50
+   *       - in: query
+   *         name: offset
+   *         schema:
+   *           type: integer
+   *           default: 0
+   *     responses:
+   *       200:
+   *         description: Paginated list of revisions
+   *       403:
+   *         description: Forbidden - insufficient permissions
+   *       404:
+   *         description: Post not found
+   */
+  router.get('/:idOrSlug/revisions', async (req: Request, res: Response) => {
+    const typedReq = req as PostsRequest
+    const post = await findEditablePost(typedReq, res)
+    if (!post) return
 
-    if (hasCoreUpdates || hasMetaUpdates) {
-      await db(table('posts')).where('id', id).update(coreUpdates)
-      if (typedReq?.user?.id) {
-        await db(table('post_authors'))
-          .insert({
-            post_id: id,
-            user_id: typedReq.user.id,
-            updated_at: db.fn.now()
-          })
-          .onConflict(['post_id', 'user_id'])
-          .merge({
-            updated_at: db.fn.now()
-          })
-      }
-    }
+    const { field, limit = '50', offset = '0' } = typedReq.query
+    const revisionService = new RevisionService(context)
+    const { items, total } = await revisionService.getRevisions(post.id, {
+      field,
+      limit: Number(limit),
+      offset: Number(offset)
+    })
 
-    for (const [field_slug, value] of Object.entries(metaUpdates)) {
-      const exists = await db(table('post_meta')).where({ post_id: id, field_slug }).first()
-      if (exists) {
-        await db(table('post_meta'))
-          .where({ post_id: id, field_slug })
-          .update({ value: normalizeObject(value) as string })
-      } else {
-        await db(table('post_meta')).insert({ post_id: id, field_slug, value: normalizeObject(value) as string })
-      }
-    }
-    if (typeof req.body.terms !== 'undefined') {
-      const termIds = await resolveTermIds(req.body.terms)
+    res.json({
+      items,
+      total,
+      fields: await getRevisionFields(typedReq),
+      limit: Number(limit),
+      offset: Number(offset)
+    })
+  })
 
-      // Replace existing relationships
-      await db(table('term_relationships')).where('post_id', id).delete()
+  /**
+   * @openapi
+   * /posts/{postType}/{idOrSlug}/revisions/diff:
+   *   get:
+   *     tags:
+   *       - Posts
+   *     summary: Compare two revisions
+   *     description: |
+   *       Returns a field-level diff between the post snapshots at two revisions.
+   *       Pass `to=current` (the default) to compare against the current post.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: postType
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: idOrSlug
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: from
+   *         required: true
+   *         schema:
+   *           type: integer
+   *         description: Revision ID to compare from
+   *       - in: query
+   *         name: to
+   *         schema:
+   *           type: string
+   *           default: current
+   *         description: Revision ID to compare to, or "current"
+   *     responses:
+   *       200:
+   *         description: Field-level diff
+   *       400:
+   *         description: Missing from parameter
+   *       404:
+   *         description: Post or revision not found
+   */
+  router.get('/:idOrSlug/revisions/diff', async (req: Request, res: Response) => {
+    const typedReq = req as PostsRequest
+    const post = await findEditablePost(typedReq, res)
+    if (!post) return
 
-      if (termIds.length > 0) {
-        const relInserts = termIds.map((term_id) => ({ term_id, post_id: id }))
-        await db(table('term_relationships')).insert(relInserts)
-      }
+    const { from, to = 'current' } = typedReq.query
+    if (!from) return res.status(400).json({ error: 'The from parameter is required' })
+
+    const revisionService = new RevisionService(context)
+    const fields = await getRevisionFields(typedReq)
+
+    const fromRevision = await revisionService.getRevision(post.id, Number(from))
+    if (!fromRevision) return res.status(404).json({ error: 'Revision not found' })
+    const fromSnapshot = await revisionService.getSnapshot(post.id, fromRevision.id)
+
+    let toSnapshot: Record<string, unknown>
+    let toRevision = null
+    if (to === 'current') {
+      const current = await withMetaAndTaxonomies(post, typedReq)
+      toSnapshot = Object.fromEntries(fields.filter((slug) => slug in current).map((slug) => [slug, current[slug]]))
+    } else {
+      toRevision = await revisionService.getRevision(post.id, Number(to))
+      if (!toRevision) return res.status(404).json({ error: 'Revision not found' })
+      toSnapshot = await revisionService.getSnapshot(post.id, toRevision.id)
     }
 
-    const revisionPromises: Promise<unknown>[] = []
+    res.json({
+      from: fromRevision,
+      to: toRevision || 'current',
+      changes: revisionService.diff(fromSnapshot, toSnapshot, fields)
+    })
+  })
 
-    for (const { field } of fields.filter((f) => f.field.revisions)) {
-      const slug = field.slug
-      const newCoreValue = coreUpdates[slug]
-      const newMetaValue = metaUpdates[slug]
+  /**
+   * @openapi
+   * /posts/{postType}/{idOrSlug}/revisions/{revisionId}:
+   *   get:
+   *     tags:
+   *       - Posts
+   *     summary: Get a revision
+   *     description: Returns a revision together with the snapshot of all tracked fields at that point
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: postType
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: idOrSlug
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: revisionId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Revision with snapshot
+   *       404:
+   *         description: Post or revision not found
+   */
+  router.get('/:idOrSlug/revisions/:revisionId', async (req: Request, res: Response) => {
+    const typedReq = req as PostsRequest
+    const post = await findEditablePost(typedReq, res)
+    if (!post) return
 
-      const storeRevisionIfChanged = async (newValue: unknown): Promise<void> => {
-        if (typeof newValue === 'undefined') return
+    const revisionService = new RevisionService(context)
+    const revision = await revisionService.getRevision(post.id, Number(typedReq.params.revisionId))
+    if (!revision) return res.status(404).json({ error: 'Revision not found' })
 
-        // fetch the last revision
-        const lastRevision = (await db(table('post_revisions'))
-          .where({ post_id: id, field_slug: slug })
-          .orderBy('id', 'desc')
-          .first()) as { value: string } | undefined
+    res.json({
+      ...revision,
+      snapshot: await revisionService.getSnapshot(post.id, revision.id)
+    })
+  })
 
-        const normalizedNewValue = normalizeObject(newValue)
-        const lastValue = lastRevision ? lastRevision.value : null
+  /**
+   * @openapi
+   * /posts/{postType}/{idOrSlug}/revisions/{revisionId}/restore:
+   *   post:
+   *     tags:
+   *       - Posts
+   *     summary: Restore a revision
+   *     description: |
+   *       Re-applies the snapshot of all tracked fields at the given revision. The update runs
+   *       through the same hooks as a regular update (`pre_post_update`, `insert_post_data`,
+   *       `save_post`, ...) and is itself recorded as a new revision.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: postType
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: idOrSlug
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: revisionId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: comment
+   *         schema:
+   *           type: string
+   *         description: Comment for the restoring revision
+   *     responses:
+   *       200:
+   *         description: Post restored
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Post'
+   *       404:
+   *         description: Post or revision not found
+   */
+  router.post('/:idOrSlug/revisions/:revisionId/restore', async (req: Request, res: Response, next: NextFunction) => {
+    const typedReq = req as PostsRequest
+    const post = await findEditablePost(typedReq, res)
+    if (!post) return
 
-        if (lastValue !== normalizedNewValue) {
-          await db(table('post_revisions')).insert({
-            post_id: id,
-            field_slug: slug,
-            value: JSON.stringify(newValue),
-            author_id: typedReq.user!.id,
-            comment: typedReq.query?.comment || null
-          })
-        }
-      }
+    const revisionService = new RevisionService(context)
+    const revision = await revisionService.getRevision(post.id, Number(typedReq.params.revisionId))
+    if (!revision) return res.status(404).json({ error: 'Revision not found' })
 
-      // push promises to array
-      revisionPromises.push(storeRevisionIfChanged(newCoreValue))
-      revisionPromises.push(storeRevisionIfChanged(newMetaValue))
-    }
+    // Only restore fields that are still tracked for this post type
+    const fields = await getRevisionFields(typedReq)
+    const snapshot = await revisionService.getSnapshot(post.id, revision.id)
+    const body = Object.fromEntries(Object.entries(snapshot).filter(([slug]) => fields.includes(slug)))
 
-    // run all in parallel
-    await Promise.all(revisionPromises)
+    const comment = typedReq.query?.comment || `Restored revision #${revision.id}`
+    const result = await updatePost(typedReq, res, next, post, body, comment)
 
-    const updated = (await db(table('posts')).where('id', id).first()) as Post
-    const result = await withMetaAndTaxonomies(updated, typedReq)
-    doAction('edit_post', { req: typedReq, res, next, postType, post: result })
-    doAction('save_post', { req: typedReq, res, next, postType, post: result })
-    if (!result?.deleted_at && post?.deleted_at) {
-      doAction('untrash_post', { req: typedReq, res, next, postType, post: result })
-    }
-    if (post?.status !== result?.status) {
-      doAction('transition_post_status', { req: typedReq, res, next, postType, post: result })
-      if (result?.status === 'published') {
-        doAction('publish_post', { req: typedReq, res, next, postType, post: result })
-      }
-    }
+    typedReq.hooks.doAction('restore_post_revision', {
+      req: typedReq,
+      res,
+      next,
+      postType: typedReq.params.postType,
+      post: result,
+      revision
+    })
     res.json(result)
   })
 
@@ -1290,9 +2344,9 @@ export default (context: HTMLDrop.Context): Router => {
     const id = post.id
 
     const type = await checkCapability(typedReq, ['delete_posts'], post.post_type_slug, id)
-    const isOwner =
-      typedReq?.user?.id && (await db(table('post_authors')).where({ post_id: id, user_id: typedReq.user.id }).first())
-    if (!type && !isOwner) return res.status(403).json({ error: 'Permission denied' })
+    if (!type && !(await ownsPost(typedReq, id, ['delete_posts']))) {
+      return res.status(403).json({ error: 'Permission denied' })
+    }
 
     const deleted = await withMetaAndTaxonomies(post, typedReq)
 
@@ -1307,7 +2361,7 @@ export default (context: HTMLDrop.Context): Router => {
 
       if (post.post_type_slug === 'attachments') {
         try {
-          const fileMeta = (deleted?.file || {}) as { path?: string }
+          const fileMeta = (deleted?.file || {}) as { path?: string; sizes?: Record<string, ImageDerivative> }
           if (fileMeta?.path) {
             // Validate path to prevent path traversal attacks
             const normalizedPath = path.normalize(fileMeta.path)
@@ -1324,6 +2378,8 @@ export default (context: HTMLDrop.Context): Router => {
             if (fs.existsSync(filePath)) {
               fs.unlinkSync(filePath)
             }
+
+            imageService.deleteDerivatives(fileMeta)
           }
         } catch (err) {
           console.error('Failed to delete attachment file:', err)
@@ -1521,6 +2577,15 @@ export default (context: HTMLDrop.Context): Router => {
             path: relativePath
           }
 
+          // Generate the configured image sizes
+          if (imageService.isResizable(file.mimetype)) {
+            try {
+              fileMeta = { ...fileMeta, ...(await imageService.generateSizes(relativePath, typedReq.hooks)) }
+            } catch (err) {
+              console.error('Failed to generate image sizes:', err)
+            }
+          }
+
           // Filter metadata
           fileMeta = applyFilters('attachment_metadata', fileMeta, req)
 
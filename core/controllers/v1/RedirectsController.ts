@@ -0,0 +1,202 @@
+import type { Router, Response } from 'express'
+import express from 'express'
+import RedirectService from '../../services/RedirectService.ts'
+import type { RedirectType } from '../../services/RedirectService.ts'
+
+export default (context: HTMLDrop.Context): Router => {
+  const router = express.Router({ mergeParams: true })
+
+  const checkCapability = async (req: HTMLDrop.ExtendedRequest, routeCaps: string[]): Promise<boolean> => {
+    const hasAccess = await req.guard.user({ canOneOf: routeCaps })
+    return !!hasAccess
+  }
+
+  /**
+   * Shared guard for all routes, returns the service or sends the error response
+   */
+  const getService = async (req: unknown, res: Response): Promise<RedirectService | null> => {
+    if (!context.knex) {
+      res.status(503).json({ success: false, error: 'Database not available' })
+      return null
+    }
+    if (!(await checkCapability(req as HTMLDrop.ExtendedRequest, ['manage_options']))) {
+      res.status(403).json({ error: 'Permission denied' })
+      return null
+    }
+    return new RedirectService(context)
+  }
+
+  /**
+   * @openapi
+   * /redirects:
+   *   get:
+   *     tags:
+   *       - Redirects
+   *     summary: List redirects
+   *     description: Returns manual rules and the 301s recorded when permalinks changed, newest first
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: type
+   *         schema:
+   *           type: string
+   *           enum: [manual, auto]
+   *     responses:
+   *       200:
+   *         description: List of redirects
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   */
+  router.get('/', async (req, res: Response) => {
+    const redirectService = await getService(req, res)
+    if (!redirectService) return
+
+    const type = ['manual', 'auto'].includes(String(req.query.type)) ? (String(req.query.type) as RedirectType) : undefined
+    res.json(await redirectService.list(type))
+  })
+
+  /**
+   * @openapi
+   * /redirects:
+   *   post:
+   *     tags:
+   *       - Redirects
+   *     summary: Create a redirect
+   *     description: Adds a manual rule, replacing an existing rule for the same source path
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - source_path
+   *               - target_path
+   *             properties:
+   *               source_path:
+   *                 type: string
+   *               target_path:
+   *                 type: string
+   *                 description: Path on this site or an absolute URL
+   *               status_code:
+   *                 type: integer
+   *                 enum: [301, 302, 307, 308]
+   *                 default: 301
+   *     responses:
+   *       200:
+   *         description: Redirect created successfully
+   *       400:
+   *         description: Invalid redirect data
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   */
+  router.post('/', async (req, res: Response) => {
+    const redirectService = await getService(req, res)
+    if (!redirectService) return
+
+    const { source_path, target_path, status_code } = req.body || {}
+    try {
+      res.json(await redirectService.create({ source_path, target_path, status_code }))
+    } catch (error) {
+      res.status(400).json({ error: (error as Error).message })
+    }
+  })
+
+  /**
+   * @openapi
+   * /redirects/{id}:
+   *   patch:
+   *     tags:
+   *       - Redirects
+   *     summary: Update a redirect
+   *     description: Updates a redirect, edited automatic redirects become manual
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               source_path:
+   *                 type: string
+   *               target_path:
+   *                 type: string
+   *               status_code:
+   *                 type: integer
+   *     responses:
+   *       200:
+   *         description: Redirect updated successfully
+   *       400:
+   *         description: Invalid redirect data
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   *       404:
+   *         description: Redirect not found
+   */
+  router.patch('/:id', async (req, res: Response) => {
+    const redirectService = await getService(req, res)
+    if (!redirectService) return
+
+    const { source_path, target_path, status_code } = req.body || {}
+    try {
+      const updated = await redirectService.update(Number(req.params.id), { source_path, target_path, status_code })
+      if (!updated) return res.status(404).json({ error: 'Redirect not found' })
+      res.json(updated)
+    } catch (error) {
+      res.status(400).json({ error: (error as Error).message })
+    }
+  })
+
+  /**
+   * @openapi
+   * /redirects/{id}:
+   *   delete:
+   *     tags:
+   *       - Redirects
+   *     summary: Delete a redirect
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Redirect deleted successfully
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   *       404:
+   *         description: Redirect not found
+   */
+  router.delete('/:id', async (req, res: Response) => {
+    const redirectService = await getService(req, res)
+    if (!redirectService) return
+
+    const deleted = await redirectService.delete(Number(req.params.id))
+    if (!deleted) return res.status(404).json({ error: 'Redirect not found' })
+    res.json(deleted)
+  })
+
+  return router
+}
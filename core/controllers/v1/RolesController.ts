@@ -6,6 +6,7 @@ interface RoleRequest extends HTMLDrop.ExtendedRequest {
     name?: string
     slug?: string
     description?: string
+    two_factor_required?: boolean
     capability_ids?: number[]
   }
 }
@@ -15,6 +16,7 @@ interface Role {
   name: string
   slug: string
   description?: string
+  two_factor_required?: boolean | number
   created_at?: Date
   updated_at?: Date
 }
@@ -203,6 +205,9 @@ export default (context: HTMLDrop.Context): Router => {
    *                 type: string
    *                 description: Optional description of the role
    *                 example: Can edit and publish content
+   *               two_factor_required:
+   *                 type: boolean
+   *                 description: Require two-factor authentication for users with this role
    *     responses:
    *       200:
    *         description: Role created successfully
@@ -224,7 +229,7 @@ export default (context: HTMLDrop.Context): Router => {
       return res.status(503).json({ success: false, error: 'Database not available' })
     }
     const db = knex
-    const { name, slug, description } = typedReq.body
+    const { name, slug, description, two_factor_required } = typedReq.body
 
     const hasAccess = await typedReq.guard.user({ canOneOf: ['manage_roles'], userId: typedReq?.user?.id })
     if (!hasAccess) return res.status(403).json({ error: 'Permission denied' })
@@ -239,10 +244,12 @@ export default (context: HTMLDrop.Context): Router => {
     const [id] = await db(table('roles')).insert({
       name,
       slug: roleSlug,
-      description: description || ''
+      description: description || '',
+      ...(two_factor_required !== undefined && { two_factor_required: !!two_factor_required })
     })
 
     const created = await db(table('roles')).where('id', id).first() as Role
+    typedReq.hooks.doAction('insert_role', { req, res, role: created })
     res.json({ ...created, capabilities: [], user_count: 0 })
   })
 
@@ -279,6 +286,9 @@ export default (context: HTMLDrop.Context): Router => {
    *                 type: string
    *                 description: New description for the role
    *                 example: Can edit, publish, and manage other editors
+   *               two_factor_required:
+   *                 type: boolean
+   *                 description: Require two-factor authentication for users with this role
    *     responses:
    *       200:
    *         description: Role updated successfully
@@ -301,7 +311,7 @@ export default (context: HTMLDrop.Context): Router => {
     }
     const db = knex
     const { slug } = req.params
-    const { name, description } = typedReq.body
+    const { name, description, two_factor_required } = typedReq.body
 
     const hasAccess = await typedReq.guard.user({ canOneOf: ['manage_roles'], userId: typedReq?.user?.id })
     if (!hasAccess) return res.status(403).json({ error: 'Permission denied' })
@@ -312,11 +322,15 @@ export default (context: HTMLDrop.Context): Router => {
     const updates: Record<string, unknown> = {}
     if (name !== undefined) updates.name = name
     if (description !== undefined) updates.description = description
+    if (two_factor_required !== undefined) updates.two_factor_required = !!two_factor_required
     updates.updated_at = knex.fn.now()
 
+    typedReq.hooks.doAction('pre_role_update', { req, res, role, coreData: updates })
+
     await db(table('roles')).where('id', role.id).update(updates)
 
     const updated = await db(table('roles')).where('id', role.id).first() as Role
+    typedReq.hooks.doAction('edit_role', { req, res, role: updated })
 
     const capabilities = await db(table('role_capabilities'))
       .join(table('capabilities'), `${table('role_capabilities')}.capability_id`, '=', `${table('capabilities')}.id`)
@@ -402,6 +416,7 @@ export default (context: HTMLDrop.Context): Router => {
 
     // Delete the role
     await db(table('roles')).where('id', role.id).delete()
+    typedReq.hooks.doAction('delete_role', { req, res, role })
 
     res.json({ success: true, deleted: role })
   })
@@ -477,6 +492,11 @@ export default (context: HTMLDrop.Context): Router => {
     const role = await db(table('roles')).where('slug', slug).first() as Role | undefined
     if (!role) return res.status(404).json({ error: 'Role not found' })
 
+    const previous = await db(table('role_capabilities'))
+      .join(table('capabilities'), `${table('role_capabilities')}.capability_id`, '=', `${table('capabilities')}.id`)
+      .where(`${table('role_capabilities')}.role_id`, role.id)
+      .pluck(`${table('capabilities')}.slug`) as string[]
+
     // Delete existing capabilities
     await db(table('role_capabilities')).where('role_id', role.id).delete()
 
@@ -495,6 +515,14 @@ export default (context: HTMLDrop.Context): Router => {
       .where(`${table('role_capabilities')}.role_id`, role.id)
       .select(`${table('capabilities')}.id`, `${table('capabilities')}.name`, `${table('capabilities')}.slug`) as Capability[]
 
+    typedReq.hooks.doAction('set_role_capabilities', {
+      req,
+      res,
+      role,
+      previous,
+      capabilities: capabilities.map((cap) => cap.slug)
+    })
+
     res.json({ success: true, capabilities })
   })
 
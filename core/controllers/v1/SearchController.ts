@@ -0,0 +1,211 @@
+import type { Router, Response } from 'express'
+import express from 'express'
+import SearchService, { resolveSearchDriver, resolveSearchWeights } from '../../services/SearchService.ts'
+import type { SearchFieldEntry } from '../../services/SearchService.ts'
+import UserGuard from '../../utils/UserGuard.ts'
+
+// Capabilities that allow reading posts of a type, same as the posts list
+const READ_CAPABILITIES = ['read', 'read_post']
+
+export default (context: HTMLDrop.Context): Router => {
+  const router = express.Router({ mergeParams: true })
+
+  const checkCapability = async (req: HTMLDrop.ExtendedRequest, routeCaps: string[]): Promise<boolean> => {
+    const hasAccess = await req.guard.user({ canOneOf: routeCaps })
+    return !!hasAccess
+  }
+
+  /**
+   * Post types the caller may read. Guests get the public post types readable by the
+   * guest role, the guest role doesn't apply to other routes
+   */
+  const getReadablePostTypes = async (req: HTMLDrop.ExtendedRequest): Promise<string[]> => {
+    if (!req.user) {
+      const guestCaps = await new UserGuard(context).resolveUserCapabilities(null)
+      const types = await req.hooks.getPublicPostTypes()
+      return types
+        .filter((type: { capabilities?: Record<string, string> | string[] }) => {
+          const caps = type.capabilities || {}
+          const entries = Array.isArray(caps) ? caps.map((cap) => [cap, cap]) : Object.entries(caps)
+          return entries.some(([canonical, mapped]) => READ_CAPABILITIES.includes(canonical) && guestCaps.has(mapped))
+        })
+        .map((type: { slug: string }) => type.slug)
+    }
+
+    const types = await req.hooks.getAllPostTypes()
+    return types
+      .filter((type: { resolvedCapabilities?: string[] }) =>
+        (type.resolvedCapabilities || []).some((cap) => READ_CAPABILITIES.includes(cap))
+      )
+      .map((type: { slug: string }) => type.slug)
+  }
+
+  /**
+   * @openapi
+   * /search:
+   *   get:
+   *     tags:
+   *       - Search
+   *     summary: Search published posts
+   *     description: |
+   *       Full-text search across the indexed fields of published posts, ranked by relevance.
+   *       Spans every post type the caller can read; anonymous callers get the public post types
+   *       readable by the guest role. Each field's `search_weight` sets how much a match in it counts.
+   *       The last term also matches as a prefix
+   *     parameters:
+   *       - in: query
+   *         name: q
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Search terms, every term has to match
+   *       - in: query
+   *         name: post_types
+   *         schema:
+   *           type: string
+   *         description: Comma separated post type slugs to limit the search to
+   *         example: posts,pages
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *           maximum: 50
+   *       - in: query
+   *         name: offset
+   *         schema:
+   *           type: integer
+   *           default: 0
+   *     responses:
+   *       200:
+   *         description: Matching posts, best match first
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 items:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/SearchResult'
+   *                 total:
+   *                   type: integer
+   *       400:
+   *         description: Missing search terms
+   */
+  router.get('/', async (req, res: Response) => {
+    if (!context.knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    const { q, post_types, limit, offset } = req.query as Record<string, string | undefined>
+
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({ error: 'Search query is required' })
+    }
+
+    let postTypes = await getReadablePostTypes(typedReq)
+    if (post_types) {
+      const requested = String(post_types).split(',').map((slug) => slug.trim()).filter(Boolean)
+      postTypes = postTypes.filter((slug) => requested.includes(slug))
+    }
+
+    const searchService = new SearchService(context, resolveSearchDriver(context, typedReq.hooks))
+    res.json(await searchService.search({ query: String(q), postTypes, limit, offset }))
+  })
+
+  /**
+   * @openapi
+   * /search/reindex:
+   *   post:
+   *     tags:
+   *       - Search
+   *     summary: Rebuild the search index
+   *     description: |
+   *       Re-indexes the published posts of one or all post types, needed after changing
+   *       field search weights or when upgrading an existing site. Requires the manage_options capability
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               post_type:
+   *                 type: string
+   *                 description: Only rebuild this post type
+   *     responses:
+   *       200:
+   *         description: Number of posts indexed per post type
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 indexed:
+   *                   type: object
+   *                   additionalProperties:
+   *                     type: integer
+   *                 total:
+   *                   type: integer
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   *       404:
+   *         description: Post type not found
+   */
+  router.post('/reindex', async (req, res: Response) => {
+    if (!context.knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    if (!(await checkCapability(typedReq, ['manage_options']))) {
+      return res.status(403).json({ error: 'Permission denied' })
+    }
+
+    const { getAllPostTypes, getFields } = typedReq.hooks
+    let slugs: string[] = (await getAllPostTypes()).map((type: { slug: string }) => type.slug)
+    const postType = req.body?.post_type
+    if (postType) {
+      if (!slugs.includes(postType)) return res.status(404).json({ error: 'Post type not found' })
+      slugs = [postType]
+    }
+
+    const jobs = context.registries?.jobs
+    let job: HTMLDrop.Job | null = null
+    if (jobs) {
+      const createdJob = await jobs.createJob({
+        name: 'Rebuilding search index',
+        description: postType ? `Re-indexing ${postType}` : 'Re-indexing all post types',
+        type: 'search_reindex',
+        iconSvg: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor"><path d="M15.5 14h-.79l-.28-.27A6.47 6.47 0 0 0 16 9.5 6.5 6.5 0 1 0 9.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z"/></svg>',
+        metadata: { postTypes: slugs },
+        source: 'core',
+        showNotification: true
+      })
+      await createdJob.start()
+      job = createdJob
+    }
+
+    const searchService = new SearchService(context, resolveSearchDriver(context, typedReq.hooks))
+    const indexed: Record<string, number> = {}
+    try {
+      for (const [i, slug] of slugs.entries()) {
+        if (job) await job.updateProgress(Math.round((i / slugs.length) * 100), { status: `Indexing ${slug}...` })
+        const fields = (await getFields(slug)) as unknown as SearchFieldEntry[]
+        indexed[slug] = await searchService.reindex(slug, resolveSearchWeights(fields))
+      }
+    } catch (error) {
+      if (job) await job.fail(error instanceof Error ? error.message : String(error))
+      throw error
+    }
+
+    const total = Object.values(indexed).reduce((sum, count) => sum + count, 0)
+    if (job) await job.complete({ indexed, total })
+    res.json({ indexed, total })
+  })
+
+  return router
+}
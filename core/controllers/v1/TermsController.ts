@@ -2,6 +2,10 @@ import type { Router, Request, Response, NextFunction } from 'express'
 import express from 'express'
 import type { Knex } from 'knex'
 import type {} from '../../types/index.js'
+import LocalizationService from '../../services/LocalizationService.ts'
+import FieldValidationService, { changedKeys, resolveRequiredMode } from '../../services/FieldValidationService.ts'
+import type { FieldDefinition } from '../../services/FieldValidationService.ts'
+import BlockService from '../../services/BlockService.ts'
 
 interface Term {
   id: number
@@ -11,6 +15,8 @@ interface Term {
   taxonomy_slug: string
   post_type_slug: string
   taxonomy_id?: number
+  locale?: string | null
+  translation_group?: string | null
   deleted_at?: string | null
   created_at?: Date
   updated_at?: Date
@@ -48,6 +54,8 @@ interface TermsRequest extends HTMLDrop.ExtendedRequest {
     filters?: string
     meta_query?: string
     trashed?: string
+    locale?: string
+    fallback?: string
     permanently?: string
     comment?: string
   }
@@ -151,6 +159,14 @@ export default (context: HTMLDrop.Context): Router => {
     return hasAccess ? taxonomy : null
   }
 
+  // Helper: authors may edit and delete their own terms, with an API key
+  // one of the route capabilities must also be in the key's scope
+  const ownsTerm = async (req: TermsRequest, termId: number, routeCaps: string[]): Promise<boolean> => {
+    if (!req.user?.id) return false
+    if (req.apiKey && !(await req.guard.scopeAllows?.(routeCaps))) return false
+    return !!(await context.knex!(context.table('term_authors')).where({ term_id: termId, user_id: req.user.id }).first())
+  }
+
   /**
    * @openapi
    * /posts/{postType}/taxonomies/{taxonomy}/terms:
@@ -182,9 +198,24 @@ export default (context: HTMLDrop.Context): Router => {
    *         schema:
    *           type: integer
    *           default: 0
+   *       - in: query
+   *         name: locale
+   *         schema:
+   *           type: string
+   *         description: |
+   *           Only terms in this content locale (e.g. `nb_NO`). Terms without a translation in the
+   *           locale are filled in from its fallback locales, ending with the default content locale
+   *       - in: query
+   *         name: fallback
+   *         schema:
+   *           type: boolean
+   *           default: true
+   *         description: Set to `false` to only return terms written in the requested locale
    *     responses:
    *       200:
    *         description: Paginated list of terms
+   *       400:
+   *         description: Unknown locale
    */
   router.get('/', async (req: Request, res: Response, next: NextFunction) => {
     const guardReq = req as unknown as TermsRequest
@@ -221,7 +252,9 @@ export default (context: HTMLDrop.Context): Router => {
       searchable = JSON.stringify(['slug']),
       filters = '{}',
       meta_query = '{}',
-      trashed
+      trashed,
+      locale,
+      fallback
     } = guardReq.query
 
     const coreFields = [
@@ -231,6 +264,8 @@ export default (context: HTMLDrop.Context): Router => {
       'status',
       'taxonomy_slug',
       'taxonomy_id',
+      'locale',
+      'translation_group',
       'created_at',
       'updated_at',
       'deleted_at'
@@ -371,6 +406,20 @@ export default (context: HTMLDrop.Context): Router => {
       })
     }
 
+    // Apply locale with fallbacks
+    if (locale) {
+      const localizationService = new LocalizationService(context)
+      if (!localizationService.isLocale(locale)) {
+        return res.status(400).json({ error: `Unknown locale "${locale}"` })
+      }
+      localizationService.scopeToLocale(query, 'term', locale, {
+        fallback: fallback !== 'false',
+        siblings: (sub, alias) => {
+          if (status) sub.where(`${alias}.status`, status)
+        }
+      })
+    }
+
     // Handle trashed filter
     if (trashed) query.whereNotNull('deleted_at')
     else query.whereNull('deleted_at')
@@ -467,11 +516,32 @@ export default (context: HTMLDrop.Context): Router => {
    *     description: Creates a new term in the specified taxonomy
    *     security:
    *       - bearerAuth: []
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               locale:
+   *                 type: string
+   *                 description: Content locale, one of the site's content locales. Defaults to the default content locale
+   *                 example: nb_NO
+   *               translation_of:
+   *                 type: integer
+   *                 description: ID of a term of the same taxonomy this term translates, links both in a translation group
    *     responses:
    *       200:
    *         description: Term created successfully
+   *       400:
+   *         description: Unknown locale or conflicting translation
    *       403:
    *         description: Permission denied
+   *       422:
+   *         description: Field values failed validation, see `errors` for each field
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ValidationError'
    */
   router.post('/', async (req: Request, res: Response, next: NextFunction) => {
     const guardReq = req as unknown as TermsRequest
@@ -481,7 +551,7 @@ export default (context: HTMLDrop.Context): Router => {
     }
     const db = knex
     const { getFields, applyFilters, doAction } = guardReq.hooks
-    const { parent_id, slug, status, title } = req.body
+    const { parent_id, slug, status, title, locale, translation_of } = req.body
     const { postType, taxonomy } = req.params
 
     const canCreateTaxonomy = await checkCapability(guardReq, ['create_terms'], postType, taxonomy)
@@ -495,10 +565,20 @@ export default (context: HTMLDrop.Context): Router => {
       taxonomy_id: canCreateTaxonomy.id ? Number(canCreateTaxonomy.id) : null,
       status: status || 'draft'
     }
+    if (typeof locale !== 'undefined') coreData.locale = locale
+    if (typeof translation_of !== 'undefined') coreData.translation_of = translation_of
+
+    try {
+      coreData = await new LocalizationService(context).resolveTranslation('term', coreData)
+    } catch (error) {
+      return res.status(400).json({ error: (error as Error).message })
+    }
 
     let metaData: Record<string, unknown> = { ...req.body }
     delete metaData.slug
     delete metaData.status
+    delete metaData.locale
+    delete metaData.translation_of
 
     const fields = await getFields(taxonomy) as unknown as FieldInfo[]
     if (fields.some((field) => field.field.slug === 'authors')) {
@@ -509,6 +589,17 @@ export default (context: HTMLDrop.Context): Router => {
       delete coreData.slug
     }
 
+    const termFields = (await guardReq.hooks.getTaxonomyFields(postType, taxonomy)) as unknown as { field: FieldDefinition }[]
+    metaData = new BlockService(guardReq.hooks).normalizeFieldValues(termFields, metaData)
+
+    const errors = await new FieldValidationService(context, guardReq.hooks).validate(
+      'term',
+      termFields,
+      { ...coreData, ...metaData },
+      { submitted: Object.keys(req.body || {}), required: resolveRequiredMode(coreData.status), slug: taxonomy }
+    )
+    if (errors.length) return res.status(422).json({ error: 'Validation failed', code: 'VALIDATION_ERROR', errors })
+
     const filtered = applyFilters('insert_term_data', { coreData, metaData }, taxonomy) as { coreData: Record<string, unknown>; metaData: Record<string, unknown> }
 
     coreData = filtered?.coreData || {}
@@ -552,11 +643,33 @@ export default (context: HTMLDrop.Context): Router => {
    *     description: Updates an existing term
    *     security:
    *       - bearerAuth: []
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               locale:
+   *                 type: string
+   *                 nullable: true
+   *                 description: Content locale, `null` for the default content locale
+   *               translation_of:
+   *                 type: integer
+   *                 nullable: true
+   *                 description: Join the translation group of this term, `null` to leave the current group
    *     responses:
    *       200:
    *         description: Term updated successfully
+   *       400:
+   *         description: Unknown locale or conflicting translation
    *       404:
    *         description: Term not found
+   *       422:
+   *         description: Field values failed validation, see `errors` for each field
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ValidationError'
    */
   router.patch('/:idOrSlug', async (req: Request, res: Response, next: NextFunction) => {
     const guardReq = req as unknown as TermsRequest
@@ -578,9 +691,34 @@ export default (context: HTMLDrop.Context): Router => {
     const id = term.id
 
     const canEditTaxonomy = await checkCapability(guardReq, ['edit', 'edit_terms'], postType, term.taxonomy_slug, id)
-    const isOwner =
-      guardReq?.user?.id && (await db(table('term_authors')).where({ term_id: id, user_id: guardReq.user.id }).first())
-    if (!canEditTaxonomy && !isOwner) return res.status(403).json({ error: 'Permission denied' })
+    if (!canEditTaxonomy && !(await ownsTerm(guardReq, id, ['edit', 'edit_terms']))) {
+      return res.status(403).json({ error: 'Permission denied' })
+    }
+
+    let body: Record<string, unknown> = req.body
+    try {
+      body = await new LocalizationService(context).resolveTranslation('term', body, term)
+    } catch (error) {
+      return res.status(400).json({ error: (error as Error).message })
+    }
+
+    const termFields = (await guardReq.hooks.getTaxonomyFields(postType, taxonomy)) as unknown as { field: FieldDefinition }[]
+    body = new BlockService(guardReq.hooks).normalizeFieldValues(termFields, body)
+
+    const validationService = new FieldValidationService(context, guardReq.hooks)
+    const current = await validationService.currentValues('term', id)
+    const errors = await validationService.validate(
+      'term',
+      termFields,
+      { ...current, ...body },
+      {
+        submitted: changedKeys(current, body),
+        required: resolveRequiredMode(body.status ?? term.status, term.status),
+        slug: taxonomy,
+        item: term as unknown as Record<string, unknown>
+      }
+    )
+    if (errors.length) return res.status(422).json({ error: 'Validation failed', code: 'VALIDATION_ERROR', errors })
 
     let coreUpdates: Record<string, unknown> = {}
     let metaUpdates: Record<string, unknown> = {}
@@ -596,9 +734,9 @@ export default (context: HTMLDrop.Context): Router => {
       }
     }
 
-    for (let [key, val] of Object.entries(req.body)) {
+    for (let [key, val] of Object.entries(body)) {
       if (
-        ['parent_id', 'slug', 'status', 'taxonomy_slug', 'post_type_slug', 'taxonomy_id', 'deleted_at'].includes(key)
+        ['parent_id', 'slug', 'status', 'taxonomy_slug', 'post_type_slug', 'taxonomy_id', 'deleted_at', 'locale', 'translation_group'].includes(key)
       ) {
         if (['slug', 'taxonomy_slug'].includes(key)) {
           val = val ? normalizeSlug(val as string) : null
@@ -726,6 +864,91 @@ export default (context: HTMLDrop.Context): Router => {
     res.json(result)
   })
 
+  /**
+   * @openapi
+   * /posts/{postType}/taxonomies/{taxonomy}/terms/{idOrSlug}/translations:
+   *   get:
+   *     tags:
+   *       - Terms
+   *     summary: List translations of a term
+   *     description: |
+   *       Returns the term and its translations, one per content locale, with the site's
+   *       content locales. Callers who cannot edit the term only see published translations
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: postType
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: taxonomy
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: idOrSlug
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Translations of the term
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 items:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/Translation'
+   *                 locales:
+   *                   type: array
+   *                   items:
+   *                     type: string
+   *                 default_locale:
+   *                   type: string
+   *       403:
+   *         description: Permission denied
+   *       404:
+   *         description: Term not found
+   */
+  router.get('/:idOrSlug/translations', async (req: Request, res: Response) => {
+    const guardReq = req as unknown as TermsRequest
+    const { knex, table } = context
+    if (!knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+    const db = knex
+    const { postType, idOrSlug, taxonomy } = req.params
+
+    const term = await db(table('terms'))
+      .where('taxonomy_slug', taxonomy)
+      .where('post_type_slug', postType)
+      .andWhere((builder) => builder.where('id', idOrSlug).orWhere('slug', idOrSlug))
+      .first() as Term | undefined
+    if (!term) return res.status(404).json({ error: 'Term not found' })
+
+    const canReadTaxonomy = await checkCapability(guardReq, ['read_term'], postType, term.taxonomy_slug, term.id)
+    const isOwner =
+      guardReq?.user?.id && (await db(table('term_authors')).where({ term_id: term.id, user_id: guardReq.user.id }).first())
+    if (!canReadTaxonomy && !isOwner) return res.status(403).json({ error: 'Permission denied' })
+
+    const canEdit =
+      (await ownsTerm(guardReq, term.id, ['edit', 'edit_terms'])) ||
+      (await checkCapability(guardReq, ['edit', 'edit_terms'], postType, term.taxonomy_slug, term.id))
+    const localizationService = new LocalizationService(context)
+    const translations = await localizationService.getTranslations('term', term.id)
+
+    res.json({
+      items: canEdit ? translations : translations.filter((item) => item.id === term.id || item.status === 'published'),
+      locales: localizationService.getLocales(),
+      default_locale: localizationService.getDefaultLocale()
+    })
+  })
+
   /**
    * @openapi
    * /posts/{postType}/taxonomies/{taxonomy}/terms/{idOrSlug}:
@@ -769,9 +992,9 @@ export default (context: HTMLDrop.Context): Router => {
     const id = term.id
 
     const canDeleteTaxonomy = await checkCapability(guardReq, ['delete_terms'], postType, term.taxonomy_slug, id)
-    const isOwner =
-      guardReq?.user?.id && (await db(table('term_authors')).where({ term_id: id, user_id: guardReq.user.id }).first())
-    if (!canDeleteTaxonomy && !isOwner) return res.status(403).json({ error: 'Permission denied' })
+    if (!canDeleteTaxonomy && !(await ownsTerm(guardReq, id, ['delete_terms']))) {
+      return res.status(403).json({ error: 'Permission denied' })
+    }
 
     const deleted = await withMeta(term, guardReq)
 
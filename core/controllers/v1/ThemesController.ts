@@ -492,6 +492,7 @@ export default (context: HTMLDrop.Context): Router => {
       // Call lifecycle hook and refresh badge counts
       const lifecycleService = new ThemeLifecycleService(guardReq.context)
       await lifecycleService.onActivate(slug)
+      guardReq.hooks.doAction('activate_theme', { req, res, next, slug })
 
       res.json({ success: true, message: 'Theme activated' })
     } catch (err) {
@@ -544,6 +545,7 @@ export default (context: HTMLDrop.Context): Router => {
       if (currentTheme) {
         const lifecycleService = new ThemeLifecycleService(guardReq.context)
         await lifecycleService.onDeactivate(currentTheme)
+        guardReq.hooks.doAction('deactivate_theme', { req, res, next, slug: currentTheme })
       }
 
       res.json({ success: true, message: 'Theme deactivated' })
@@ -614,6 +616,7 @@ export default (context: HTMLDrop.Context): Router => {
 
       // Delete folder
       await fs.promises.rm(themeFolder, { recursive: true, force: true })
+      guardReq.hooks.doAction('delete_theme', { req, res, next, slug })
 
       res.json({ success: true, message: 'Theme deleted' })
     } catch (err) {
@@ -798,6 +801,20 @@ export default (context: HTMLDrop.Context): Router => {
       // Get metadata
       const metadata = await getThemeMetadata(themeSlug)
 
+      if (isUpdate) {
+        guardReq.hooks.doAction('update_theme', {
+          req,
+          res,
+          next,
+          slug: themeSlug,
+          theme: metadata,
+          previousVersion,
+          newVersion: metadata?.version
+        })
+      } else {
+        guardReq.hooks.doAction('install_theme', { req, res, next, slug: themeSlug, theme: metadata })
+      }
+
       res.json({
         success: true,
         message: isUpdate ? 'Theme updated successfully' : 'Theme uploaded successfully',
@@ -1279,6 +1296,15 @@ export default (context: HTMLDrop.Context): Router => {
           })
         }
 
+        guardReq.hooks.doAction('update_theme', {
+          req,
+          res,
+          slug,
+          theme: metadata,
+          previousVersion: currentVersion,
+          newVersion: version
+        })
+
         res.json({
           success: true,
           message: 'Theme version changed successfully',
@@ -1488,6 +1514,7 @@ export default (context: HTMLDrop.Context): Router => {
 
         // Get metadata
         const metadata = await getThemeMetadata(themeSlug)
+        guardReq.hooks.doAction('install_theme', { req, res, slug: themeSlug, theme: metadata })
 
         res.json({
           success: true,
@@ -3,6 +3,14 @@ import express from 'express'
 import type { Knex } from 'knex'
 import { validate as validateEmail } from '../../utils/email.ts'
 import { hash, validate as validatePassword, verify } from '../../utils/password.ts'
+import ApiKeyService from '../../services/ApiKeyService.ts'
+import TwoFactorService, { isTwoFactorMetaKey } from '../../services/TwoFactorService.ts'
+import SessionService from '../../services/SessionService.ts'
+import LoginProtectionService from '../../services/LoginProtectionService.ts'
+import InvitationService, { parseInvitationCsv } from '../../services/InvitationService.ts'
+import type { InvitationToken, InviteInput } from '../../services/InvitationService.ts'
+import EmailService from '../../services/EmailService.mjs'
+import { INVITATION } from '../../utils/constants.ts'
 
 interface User {
   id: number
@@ -50,7 +58,9 @@ export default (context: HTMLDrop.Context): Router => {
     const { knex, table } = context
     if (!knex) return user as Record<string, unknown> | null
     if (!user) return null
-    const meta = (await knex(table('usermeta')).where('user_id', user.id)) as UserMeta[]
+    const meta = ((await knex(table('usermeta')).where('user_id', user.id)) as UserMeta[]).filter(
+      (row) => !isTwoFactorMetaKey(row.field_slug)
+    )
     return {
       ...parseRow(user as Record<string, unknown>),
       ...meta.reduce(
@@ -71,6 +81,7 @@ export default (context: HTMLDrop.Context): Router => {
     const metas = (await knex(table('usermeta')).whereIn('user_id', ids)) as UserMeta[]
     const metaMap: Record<number, Record<string, unknown>> = {}
     for (const row of metas) {
+      if (isTwoFactorMetaKey(row.field_slug)) continue
       if (!metaMap[row.user_id]) metaMap[row.user_id] = {}
       metaMap[row.user_id][row.field_slug] = parseJSON(row.value)
     }
@@ -191,14 +202,25 @@ export default (context: HTMLDrop.Context): Router => {
           SUM(CASE WHEN deleted_at IS NULL THEN 1 ELSE 0 END) as total,
           SUM(CASE WHEN status = 'inactive' AND deleted_at IS NULL THEN 1 ELSE 0 END) as total_inactive,
           SUM(CASE WHEN status = 'active' AND deleted_at IS NULL THEN 1 ELSE 0 END) as total_active,
+          SUM(CASE WHEN status = 'pending' AND deleted_at IS NULL THEN 1 ELSE 0 END) as total_pending,
+          SUM(CASE WHEN status = 'invited' AND deleted_at IS NULL THEN 1 ELSE 0 END) as total_invited,
           SUM(CASE WHEN deleted_at IS NOT NULL THEN 1 ELSE 0 END) as total_trashed
         `)
       )
-      .first()) as { total: number; total_inactive: number; total_active: number; total_trashed: number }
+      .first()) as {
+      total: number
+      total_inactive: number
+      total_active: number
+      total_pending: number
+      total_invited: number
+      total_trashed: number
+    }
 
     const total = totals.total
     const totalInactive = totals.total_inactive
     const totalActive = totals.total_active
+    const totalPending = totals.total_pending
+    const totalInvited = totals.total_invited
     const totalTrashed = totals.total_trashed
 
     if (status) query = query.andWhere('status', status)
@@ -258,12 +280,222 @@ export default (context: HTMLDrop.Context): Router => {
       total_current: totalCurrent,
       total_inactive: totalInactive,
       total_active: totalActive,
+      total_pending: totalPending,
+      total_invited: totalInvited,
       total_trashed: totalTrashed,
       limit: Number(limit),
       offset: Number(offset)
     })
   })
 
+  // Email an invitation link, failures are logged and reported so the invitation can be resent
+  const sendInvitation = async (req: HTMLDrop.ExtendedRequest, res: Response, { invitation, token }: InvitationToken) => {
+    const { knex, table } = context
+    try {
+      const inviter = req.user?.id
+        ? await knex!(table('users')).where('id', req.user.id).select('username', 'first_name', 'last_name').first()
+        : null
+      const inviterName = inviter ? [inviter.first_name, inviter.last_name].filter(Boolean).join(' ') || inviter.username : undefined
+      const referer = req.get('referer')
+      const origin = req.get('origin') || (referer ? referer.split('/').slice(0, 3).join('/') : undefined)
+      await new EmailService({ ...context, req, res }).sendInvitationEmail(
+        invitation,
+        token,
+        { inviterName, roles: invitation.roles.map((role) => role.name), expiryDays: INVITATION.TOKEN_TTL_DAYS },
+        origin
+      )
+      return true
+    } catch (error) {
+      console.error('Invitation email error:', error)
+      return false
+    }
+  }
+
+  /**
+   * @openapi
+   * /users/invitations:
+   *   get:
+   *     tags:
+   *       - Users
+   *     summary: List pending invitations
+   *     description: Invited users that have not accepted yet, with their roles, inviter and link expiry
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: List of invitations
+   *       403:
+   *         description: Permission denied
+   */
+  router.get('/invitations', async (req, res: Response) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    if (!context.knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+
+    const hasAccess = await typedReq.guard.user({ canOneOf: ['create', 'create_users'], userId: typedReq?.user?.id })
+    if (!hasAccess) return res.status(403).json({ error: 'Permission denied' })
+
+    res.json(await new InvitationService(context).list())
+  })
+
+  /**
+   * @openapi
+   * /users/invitations:
+   *   post:
+   *     tags:
+   *       - Users
+   *     summary: Invite users
+   *     description: |
+   *       Creates an `invited` user per email address with the given roles and emails them a link to
+   *       choose their password. Pass `emails` (array, or a string separated by commas or line breaks)
+   *       with `roles`, or `csv` with the columns `email,roles,first_name,last_name` where roles are
+   *       separated by `;`. Assigning roles requires manage_roles.
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               emails:
+   *                 oneOf:
+   *                   - type: string
+   *                   - type: array
+   *                     items:
+   *                       type: string
+   *               roles:
+   *                 type: array
+   *                 description: Role slugs, names or IDs
+   *                 items:
+   *                   oneOf:
+   *                     - type: string
+   *                     - type: integer
+   *               csv:
+   *                 type: string
+   *     responses:
+   *       201:
+   *         description: The created invitations, and the addresses that could not be invited with the reason
+   *       400:
+   *         description: No or too many addresses
+   *       403:
+   *         description: Permission denied
+   */
+  router.post('/invitations', async (req, res: Response, next: NextFunction) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    if (!context.knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+    const { doAction } = typedReq.hooks
+
+    const hasAccess = await typedReq.guard.user({ canOneOf: ['create', 'create_users'], userId: typedReq?.user?.id })
+    if (!hasAccess) return res.status(403).json({ error: 'Permission denied' })
+
+    const { emails, roles, csv } = req.body || {}
+    const inputs: InviteInput[] = csv
+      ? parseInvitationCsv(csv)
+      : (Array.isArray(emails) ? emails : String(emails || '').split(/[\s,;]+/))
+          .map((email: string) => String(email).trim())
+          .filter(Boolean)
+          .map((email: string) => ({ email, roles: Array.isArray(roles) ? roles : [] }))
+
+    if (!inputs.length) return res.status(400).json({ error: 'No email addresses to invite' })
+    if (inputs.length > INVITATION.MAX_BULK) {
+      return res.status(400).json({ error: `At most ${INVITATION.MAX_BULK} users can be invited at once` })
+    }
+
+    const assignsRoles = inputs.some((input) => input.roles?.length)
+    if (assignsRoles && !(await typedReq.guard.user({ canOneOf: ['manage_roles'], userId: typedReq?.user?.id }))) {
+      return res.status(403).json({ error: 'Permission denied' })
+    }
+
+    const invitations = new InvitationService(context)
+    const invited = []
+    const failed = []
+    for (const input of inputs) {
+      try {
+        const created = await invitations.invite({ ...input, invitedBy: typedReq.user?.id ?? null })
+        const email_sent = await sendInvitation(typedReq, res, created)
+        doAction('invite_user', { req, res, next, user: created.invitation })
+        invited.push({ ...created.invitation, email_sent })
+      } catch (error) {
+        failed.push({ email: input.email, error: (error as Error).message })
+      }
+    }
+
+    res.status(201).json({ invited, failed })
+  })
+
+  /**
+   * @openapi
+   * /users/invitations/{id}/resend:
+   *   post:
+   *     tags:
+   *       - Users
+   *     summary: Resend an invitation
+   *     description: Emails a new link with a fresh expiry, the previous link stops working
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Invitation resent
+   *       403:
+   *         description: Permission denied
+   *       404:
+   *         description: Invitation not found
+   */
+  router.post('/invitations/:id/resend', async (req, res: Response) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    if (!context.knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+
+    const hasAccess = await typedReq.guard.user({ canOneOf: ['create', 'create_users'], userId: typedReq?.user?.id })
+    if (!hasAccess) return res.status(403).json({ error: 'Permission denied' })
+
+    const resent = await new InvitationService(context).resend(Number(req.params.id))
+    if (!resent) return res.status(404).json({ error: 'Invitation not found' })
+
+    const email_sent = await sendInvitation(typedReq, res, resent)
+    res.json({ ...resent.invitation, email_sent })
+  })
+
+  /**
+   * @openapi
+   * /users/invitations/{id}:
+   *   delete:
+   *     tags:
+   *       - Users
+   *     summary: Revoke an invitation
+   *     description: Deletes the invited user, the link stops working
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Invitation revoked
+   *       403:
+   *         description: Permission denied
+   *       404:
+   *         description: Invitation not found
+   */
+  router.delete('/invitations/:id', async (req, res: Response, next: NextFunction) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    if (!context.knex) {
+      return res.status(503).json({ success: false, error: 'Database not available' })
+    }
+
+    const hasAccess = await typedReq.guard.user({ canOneOf: ['delete', 'delete_users'], userId: typedReq?.user?.id })
+    if (!hasAccess) return res.status(403).json({ error: 'Permission denied' })
+
+    const revoked = await new InvitationService(context).revoke(Number(req.params.id))
+    if (!revoked) return res.status(404).json({ error: 'Invitation not found' })
+
+    typedReq.hooks.doAction('revoke_user_invitation', { req, res, next, user: revoked })
+    res.json({ success: true, invitation: revoked })
+  })
+
   /**
    * @openapi
    * /users/{idOrUsername}:
@@ -350,6 +582,9 @@ export default (context: HTMLDrop.Context): Router => {
       status: status || 'active'
     }
 
+    // Two-factor state is only managed through the two-factor endpoints
+    metaData = Object.fromEntries(Object.entries(metaData).filter(([key]) => !isTwoFactorMetaKey(key)))
+
     const filtered = applyFilters('insert_user_data', { coreData, metaData }, null)
 
     coreData = filtered?.coreData || {}
@@ -404,7 +639,12 @@ export default (context: HTMLDrop.Context): Router => {
     const id = user.id
 
     const hasAccess = await typedReq.guard.user({ canOneOf: ['edit', 'edit_users'], userId: typedReq?.user?.id })
-    if (!hasAccess && id !== typedReq?.user?.id) return res.status(403).json({ error: 'Permission denied' })
+    // Users edit their own account, an API key only when its scope lists edit_users
+    const keyScope = typedReq.apiKey?.capabilities
+    const canEditSelf =
+      id === typedReq?.user?.id &&
+      (!typedReq.apiKey || (!!keyScope && !!(await typedReq.guard.scopeAllows?.(['edit', 'edit_users']))))
+    if (!hasAccess && !canEditSelf) return res.status(403).json({ error: 'Permission denied' })
 
     if (typeof req.body.email !== 'undefined') {
       const emailValidation = validateEmail(req.body.email)
@@ -435,6 +675,9 @@ export default (context: HTMLDrop.Context): Router => {
 
     for (let [key, val] of Object.entries(req.body)) {
       if (['id', 'email_verified_at', 'phone_verified_at', 'created_at', 'updated_at'].includes(key)) continue
+      // Changed by logging in, or by the unlock endpoint
+      if (['failed_login_count', 'last_failed_login_at', 'locked_until'].includes(key)) continue
+      if (isTwoFactorMetaKey(key)) continue
       if (
         [
           'username',
@@ -640,5 +883,447 @@ export default (context: HTMLDrop.Context): Router => {
     res.json({ success: true, roles })
   })
 
+  /**
+   * Resolve the target user for account security routes (API keys, two-factor) and check access
+   *
+   * These can't be used with an API key, other users' settings can only be
+   * viewed or reset with edit_users
+   */
+  const resolveAccountUser = async (
+    req: HTMLDrop.ExtendedRequest,
+    res: Response,
+    allowOthers: boolean
+  ): Promise<User | null> => {
+    const { knex, table } = context
+    if (!knex) {
+      res.status(503).json({ success: false, error: 'Database not available' })
+      return null
+    }
+    if (!req.user?.id) {
+      res.status(401).json({ error: 'Authentication required' })
+      return null
+    }
+    if (req.apiKey) {
+      res.status(403).json({ error: 'Not available when authenticated with an API key' })
+      return null
+    }
+
+    const { idOrUsername } = req.params
+    const user = (await knex(table('users'))
+      .where((builder) => builder.where('id', idOrUsername).orWhere('username', idOrUsername))
+      .whereNull('deleted_at')
+      .first()) as User | undefined
+    if (!user) {
+      res.status(404).json({ error: 'User not found' })
+      return null
+    }
+
+    if (user.id !== req.user.id) {
+      const hasAccess = allowOthers && (await req.guard.user({ canOneOf: ['edit_users'], userId: req.user.id }))
+      if (!hasAccess) {
+        res.status(403).json({ error: 'Permission denied' })
+        return null
+      }
+    }
+    return user
+  }
+
+  /**
+   * @openapi
+   * /users/{idOrUsername}/api-keys:
+   *   get:
+   *     tags:
+   *       - Users
+   *     summary: List personal API keys of a user
+   *     description: Returns key metadata only, the keys themselves are never returned after creation
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: idOrUsername
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: List of API keys
+   *       403:
+   *         description: Permission denied
+   *       404:
+   *         description: User not found
+   */
+  router.get('/:idOrUsername/api-keys', async (req, res: Response) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    const user = await resolveAccountUser(typedReq, res, true)
+    if (!user) return
+
+    res.json(await new ApiKeyService(context).list(user.id))
+  })
+
+  /**
+   * @openapi
+   * /users/{idOrUsername}/api-keys:
+   *   post:
+   *     tags:
+   *       - Users
+   *     summary: Create a personal API key
+   *     description: |
+   *       Creates a key for the current user. The key is only returned in this response, use it as
+   *       `Authorization: Bearer hdk_...`. Omit capabilities to inherit all of the user's capabilities.
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *             properties:
+   *               name:
+   *                 type: string
+   *               capabilities:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               expires_at:
+   *                 type: string
+   *                 format: date-time
+   *     responses:
+   *       201:
+   *         description: API key created
+   *       400:
+   *         description: Invalid input
+   *       403:
+   *         description: Permission denied
+   */
+  router.post('/:idOrUsername/api-keys', async (req, res: Response) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    const user = await resolveAccountUser(typedReq, res, false)
+    if (!user) return
+
+    try {
+      const { name, capabilities, expires_at } = req.body || {}
+      const apiKey = await new ApiKeyService(context).create(user.id, { name, capabilities, expires_at })
+      res.status(201).json(apiKey)
+    } catch (error) {
+      res.status(400).json({ error: (error as Error).message })
+    }
+  })
+
+  /**
+   * @openapi
+   * /users/{idOrUsername}/api-keys/{keyId}:
+   *   delete:
+   *     tags:
+   *       - Users
+   *     summary: Revoke a personal API key
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: API key revoked
+   *       403:
+   *         description: Permission denied
+   *       404:
+   *         description: API key not found
+   */
+  router.delete('/:idOrUsername/api-keys/:keyId', async (req, res: Response) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    const user = await resolveAccountUser(typedReq, res, true)
+    if (!user) return
+
+    const revoked = await new ApiKeyService(context).revoke(user.id, Number(req.params.keyId))
+    if (!revoked) return res.status(404).json({ error: 'API key not found' })
+    res.json({ success: true, apiKey: revoked })
+  })
+
+  /**
+   * @openapi
+   * /users/{idOrUsername}/two-factor:
+   *   get:
+   *     tags:
+   *       - Users
+   *     summary: Get two-factor status of a user
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Whether two-factor is enabled or required by a role, and the number of unused recovery codes
+   *       403:
+   *         description: Permission denied
+   */
+  router.get('/:idOrUsername/two-factor', async (req, res: Response) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    const user = await resolveAccountUser(typedReq, res, true)
+    if (!user) return
+
+    res.json(await new TwoFactorService(context).getStatus(user.id))
+  })
+
+  /**
+   * @openapi
+   * /users/{idOrUsername}/two-factor:
+   *   post:
+   *     tags:
+   *       - Users
+   *     summary: Start two-factor enrollment
+   *     description: Returns a new TOTP secret and `otpauth://` URI, confirm it with `/users/{idOrUsername}/two-factor/confirm`
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Secret and otpauth URI
+   *       400:
+   *         description: Two-factor is already enabled
+   *       403:
+   *         description: Permission denied
+   */
+  router.post('/:idOrUsername/two-factor', async (req, res: Response) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    const user = await resolveAccountUser(typedReq, res, false)
+    if (!user) return
+
+    try {
+      res.json(await new TwoFactorService(context).beginEnrollment(user))
+    } catch (error) {
+      res.status(400).json({ error: (error as Error).message })
+    }
+  })
+
+  /**
+   * @openapi
+   * /users/{idOrUsername}/two-factor/confirm:
+   *   post:
+   *     tags:
+   *       - Users
+   *     summary: Confirm two-factor enrollment
+   *     description: Enables two-factor with a code from the authenticator app, the recovery codes are only returned here
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - code
+   *             properties:
+   *               code:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Two-factor enabled, returns recovery_codes
+   *       400:
+   *         description: Invalid code or no pending enrollment
+   */
+  router.post('/:idOrUsername/two-factor/confirm', async (req, res: Response) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    const user = await resolveAccountUser(typedReq, res, false)
+    if (!user) return
+
+    try {
+      const recovery_codes = await new TwoFactorService(context).confirmEnrollment(user.id, req.body?.code)
+      res.json({ success: true, recovery_codes })
+    } catch (error) {
+      res.status(400).json({ error: (error as Error).message })
+    }
+  })
+
+  /**
+   * @openapi
+   * /users/{idOrUsername}/two-factor/recovery-codes:
+   *   post:
+   *     tags:
+   *       - Users
+   *     summary: Regenerate recovery codes
+   *     description: Replaces all recovery codes, requires a current authenticator code
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: New recovery_codes
+   *       400:
+   *         description: Invalid code
+   */
+  router.post('/:idOrUsername/two-factor/recovery-codes', async (req, res: Response) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    const user = await resolveAccountUser(typedReq, res, false)
+    if (!user) return
+
+    const twoFactor = new TwoFactorService(context)
+    if ((await twoFactor.verify(user.id, req.body?.code)) !== 'totp') {
+      return res.status(400).json({ error: 'Invalid code' })
+    }
+    res.json({ success: true, recovery_codes: await twoFactor.regenerateRecoveryCodes(user.id) })
+  })
+
+  /**
+   * @openapi
+   * /users/{idOrUsername}/two-factor:
+   *   delete:
+   *     tags:
+   *       - Users
+   *     summary: Disable or reset two-factor
+   *     description: |
+   *       Users disabling their own two-factor must pass a current code. Users with edit_users can reset
+   *       two-factor for other users without a code, e.g. when they lost their device.
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Two-factor disabled
+   *       400:
+   *         description: Invalid code
+   *       403:
+   *         description: Permission denied
+   */
+  router.delete('/:idOrUsername/two-factor', async (req, res: Response, next: NextFunction) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    const user = await resolveAccountUser(typedReq, res, true)
+    if (!user) return
+
+    const twoFactor = new TwoFactorService(context)
+    if (user.id === typedReq.user?.id && !(await twoFactor.verify(user.id, req.body?.code))) {
+      return res.status(400).json({ error: 'Invalid code' })
+    }
+
+    await twoFactor.disable(user.id)
+    typedReq.hooks.doAction('reset_user_two_factor', { req, res, next, user: { id: user.id, email: user.email } })
+    res.json({ success: true })
+  })
+
+  /**
+   * @openapi
+   * /users/{idOrUsername}/unlock:
+   *   post:
+   *     tags:
+   *       - Users
+   *     summary: Unlock a user locked out after failed logins
+   *     description: Lifts the lockout and resets the failed login count, the user can log in right away
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: User unlocked
+   *       403:
+   *         description: Permission denied
+   *       404:
+   *         description: User not found
+   */
+  router.post('/:idOrUsername/unlock', async (req, res: Response, next: NextFunction) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    const user = await resolveAccountUser(typedReq, res, true)
+    if (!user) return
+
+    // Locked out users can't unlock themselves from another session
+    const hasAccess = await typedReq.guard.user({ canOneOf: ['edit_users'], userId: typedReq.user?.id })
+    if (!hasAccess) return res.status(403).json({ error: 'Permission denied' })
+
+    const lockedUntil = (user as User & { locked_until?: string | null }).locked_until ?? null
+    await new LoginProtectionService(context).unlock(user.id)
+    typedReq.hooks.doAction('unlock_user', { req, res, next, user: { id: user.id, email: user.email }, lockedUntil })
+    res.json({ success: true })
+  })
+
+  /**
+   * @openapi
+   * /users/{idOrUsername}/sessions:
+   *   get:
+   *     tags:
+   *       - Users
+   *     summary: List active sessions of a user
+   *     description: One session per login with its device, IP and last activity. The session of the request is marked `current`.
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: List of sessions
+   *       403:
+   *         description: Permission denied
+   *       404:
+   *         description: User not found
+   */
+  router.get('/:idOrUsername/sessions', async (req, res: Response) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    const user = await resolveAccountUser(typedReq, res, true)
+    if (!user) return
+
+    res.json(await new SessionService(context).list(user.id, typedReq.user?.sid))
+  })
+
+  /**
+   * @openapi
+   * /users/{idOrUsername}/sessions:
+   *   delete:
+   *     tags:
+   *       - Users
+   *     summary: Sign out sessions of a user
+   *     description: |
+   *       Revokes all sessions of the user right away, their access tokens stop working as well.
+   *       On your own account the session of the request stays signed in.
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Number of revoked sessions
+   *       403:
+   *         description: Permission denied
+   */
+  router.delete('/:idOrUsername/sessions', async (req, res: Response, next: NextFunction) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    const user = await resolveAccountUser(typedReq, res, true)
+    if (!user) return
+
+    const exceptSid = user.id === typedReq.user?.id ? (typedReq.user?.sid) : undefined
+    const revoked = await new SessionService(context).revokeAll(user.id, exceptSid)
+    typedReq.hooks.doAction('revoke_user_sessions', {
+      req,
+      res,
+      next,
+      user: { id: user.id, email: user.email },
+      sessions: revoked,
+      reason: 'revoked'
+    })
+    res.json({ success: true, revoked })
+  })
+
+  /**
+   * @openapi
+   * /users/{idOrUsername}/sessions/{sessionId}:
+   *   delete:
+   *     tags:
+   *       - Users
+   *     summary: Sign out a session
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Session revoked
+   *       403:
+   *         description: Permission denied
+   *       404:
+   *         description: Session not found
+   */
+  router.delete('/:idOrUsername/sessions/:sessionId', async (req, res: Response, next: NextFunction) => {
+    const typedReq = req as unknown as HTMLDrop.ExtendedRequest
+    const user = await resolveAccountUser(typedReq, res, true)
+    if (!user) return
+
+    const revoked = await new SessionService(context).revoke(user.id, Number(req.params.sessionId))
+    if (!revoked) return res.status(404).json({ error: 'Session not found' })
+    typedReq.hooks.doAction('revoke_user_sessions', {
+      req,
+      res,
+      next,
+      user: { id: user.id, email: user.email },
+      sessions: 1,
+      reason: 'revoked'
+    })
+    res.json({ success: true })
+  })
+
   return router
 }
@@ -0,0 +1,363 @@
+import type { Router, Response } from 'express'
+import express from 'express'
+import WebhookService, { WEBHOOK_EVENTS } from '../../services/WebhookService.ts'
+
+export default (context: HTMLDrop.Context): Router => {
+  const router = express.Router({ mergeParams: true })
+
+  const checkCapability = async (req: HTMLDrop.ExtendedRequest, routeCaps: string[]): Promise<boolean> => {
+    const hasAccess = await req.guard.user({ canOneOf: routeCaps })
+    return !!hasAccess
+  }
+
+  /**
+   * Shared guard for all routes, returns the service or sends the error response
+   */
+  const getService = async (req: unknown, res: Response): Promise<WebhookService | null> => {
+    if (!context.knex) {
+      res.status(503).json({ success: false, error: 'Database not available' })
+      return null
+    }
+    if (!(await checkCapability(req as HTMLDrop.ExtendedRequest, ['manage_options']))) {
+      res.status(403).json({ error: 'Permission denied' })
+      return null
+    }
+    return new WebhookService(context)
+  }
+
+  /**
+   * @openapi
+   * /webhooks:
+   *   get:
+   *     tags:
+   *       - Webhooks
+   *     summary: List all webhooks
+   *     description: Returns all registered webhooks, secrets are masked
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: List of webhooks
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   */
+  router.get('/', async (req, res: Response) => {
+    const webhookService = await getService(req, res)
+    if (!webhookService) return
+
+    res.json(await webhookService.list())
+  })
+
+  /**
+   * @openapi
+   * /webhooks/events:
+   *   get:
+   *     tags:
+   *       - Webhooks
+   *     summary: List available webhook events
+   *     description: Returns the actions that can be forwarded to webhooks
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: List of event names
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   */
+  router.get('/events', async (req, res: Response) => {
+    const webhookService = await getService(req, res)
+    if (!webhookService) return
+
+    res.json([...WEBHOOK_EVENTS])
+  })
+
+  /**
+   * @openapi
+   * /webhooks:
+   *   post:
+   *     tags:
+   *       - Webhooks
+   *     summary: Create a webhook
+   *     description: Registers an endpoint URL for one or more events. The signing secret is only returned in this response
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *               - url
+   *               - events
+   *             properties:
+   *               name:
+   *                 type: string
+   *               url:
+   *                 type: string
+   *               events:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               secret:
+   *                 type: string
+   *                 description: Optional signing secret, generated when omitted
+   *               active:
+   *                 type: boolean
+   *     responses:
+   *       200:
+   *         description: Webhook created successfully
+   *       400:
+   *         description: Invalid webhook data
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   */
+  router.post('/', async (req, res: Response) => {
+    const webhookService = await getService(req, res)
+    if (!webhookService) return
+
+    const { name, url, events, secret, active } = req.body || {}
+    try {
+      res.json(await webhookService.create({ name, url, events, secret, active }))
+    } catch (error) {
+      res.status(400).json({ error: (error as Error).message })
+    }
+  })
+
+  /**
+   * @openapi
+   * /webhooks/{id}:
+   *   patch:
+   *     tags:
+   *       - Webhooks
+   *     summary: Update a webhook
+   *     description: Updates a webhook. Pass regenerate_secret to rotate the signing secret, the new secret is returned once
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *               url:
+   *                 type: string
+   *               events:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               active:
+   *                 type: boolean
+   *               regenerate_secret:
+   *                 type: boolean
+   *     responses:
+   *       200:
+   *         description: Webhook updated successfully
+   *       400:
+   *         description: Invalid webhook data
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   *       404:
+   *         description: Webhook not found
+   */
+  router.patch('/:id', async (req, res: Response) => {
+    const webhookService = await getService(req, res)
+    if (!webhookService) return
+
+    const { name, url, events, secret, active, regenerate_secret } = req.body || {}
+    try {
+      const updated = await webhookService.update(
+        Number(req.params.id),
+        { name, url, events, secret, active },
+        Boolean(regenerate_secret)
+      )
+      if (!updated) return res.status(404).json({ error: 'Webhook not found' })
+      res.json(updated)
+    } catch (error) {
+      res.status(400).json({ error: (error as Error).message })
+    }
+  })
+
+  /**
+   * @openapi
+   * /webhooks/{id}:
+   *   delete:
+   *     tags:
+   *       - Webhooks
+   *     summary: Delete a webhook
+   *     description: Permanently deletes a webhook and its delivery log
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Webhook deleted successfully
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   *       404:
+   *         description: Webhook not found
+   */
+  router.delete('/:id', async (req, res: Response) => {
+    const webhookService = await getService(req, res)
+    if (!webhookService) return
+
+    const deleted = await webhookService.delete(Number(req.params.id))
+    if (!deleted) return res.status(404).json({ error: 'Webhook not found' })
+    res.json(deleted)
+  })
+
+  /**
+   * @openapi
+   * /webhooks/{id}/test:
+   *   post:
+   *     tags:
+   *       - Webhooks
+   *     summary: Send a test event
+   *     description: Sends a signed `ping` event to the webhook and returns the delivery
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Delivery result
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   *       404:
+   *         description: Webhook not found
+   */
+  router.post('/:id/test', async (req, res: Response) => {
+    const webhookService = await getService(req, res)
+    if (!webhookService) return
+
+    const delivery = await webhookService.ping(Number(req.params.id))
+    if (!delivery) return res.status(404).json({ error: 'Webhook not found' })
+    res.json(delivery)
+  })
+
+  /**
+   * @openapi
+   * /webhooks/{id}/deliveries:
+   *   get:
+   *     tags:
+   *       - Webhooks
+   *     summary: List deliveries of a webhook
+   *     description: Returns the delivery log with status codes, newest first
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 50
+   *       - in: query
+   *         name: offset
+   *         schema:
+   *           type: integer
+   *           default: 0
+   *     responses:
+   *       200:
+   *         description: Paginated delivery log
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   *       404:
+   *         description: Webhook not found
+   */
+  router.get('/:id/deliveries', async (req, res: Response) => {
+    const webhookService = await getService(req, res)
+    if (!webhookService) return
+
+    const id = Number(req.params.id)
+    if (!(await webhookService.get(id))) return res.status(404).json({ error: 'Webhook not found' })
+
+    const limit = Math.min(Math.max(parseInt(String(req.query.limit || '50')) || 50, 1), 200)
+    const offset = Math.max(parseInt(String(req.query.offset || '0')) || 0, 0)
+    const { items, total } = await webhookService.getDeliveries(id, { limit, offset })
+    res.json({ items, total, limit, offset })
+  })
+
+  /**
+   * @openapi
+   * /webhooks/{id}/deliveries/{deliveryId}/redeliver:
+   *   post:
+   *     tags:
+   *       - Webhooks
+   *     summary: Redeliver a webhook delivery
+   *     description: Resets the attempt counter and sends the original payload again
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: deliveryId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Delivery result
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   *       404:
+   *         description: Delivery not found
+   */
+  router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res: Response) => {
+    const webhookService = await getService(req, res)
+    if (!webhookService) return
+
+    const { knex, table } = context
+    const delivery = await knex!(table('webhook_deliveries'))
+      .where({ id: Number(req.params.deliveryId), webhook_id: Number(req.params.id) })
+      .first()
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' })
+
+    res.json(await webhookService.redeliver(delivery.id))
+  })
+
+  return router
+}
@@ -0,0 +1,23 @@
+const tableName = `${process.env.TABLE_PREFIX}posts`
+
+/**
+ * Add publish_at column for scheduled publishing of posts with the `future` status
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.table(tableName, (table) => {
+    table.datetime('publish_at').nullable().index()
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knex.schema.table(tableName, (table) => {
+    table.dropIndex('publish_at')
+    table.dropColumn('publish_at')
+  })
+}
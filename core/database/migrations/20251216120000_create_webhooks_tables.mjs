@@ -0,0 +1,53 @@
+import { up as knexUp, down as knexDown } from '../../utils/knexCreateMigration.ts'
+const webhooksTable = `${process.env.TABLE_PREFIX}webhooks`
+const deliveriesTable = `${process.env.TABLE_PREFIX}webhook_deliveries`
+
+/**
+ * Create webhooks and webhook_deliveries tables for outgoing webhooks
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.createTable(webhooksTable, (table) => {
+    table.increments('id').primary()
+    table.string('name').notNullable()
+    table.string('url', 2000).notNullable()
+    table.json('events').notNullable()
+    table.text('secret_encrypted').notNullable()
+    table.boolean('active').defaultTo(true)
+    table.datetime('created_at').defaultTo(knex.fn.now())
+    table.datetime('updated_at').defaultTo(knex.fn.now())
+  })
+  await knexUp(knex, webhooksTable)
+
+  await knex.schema.createTable(deliveriesTable, (table) => {
+    table.increments('id').primary()
+    table.integer('webhook_id').unsigned().notNullable()
+    table.string('event').notNullable()
+    table.text('payload', 'longtext').notNullable()
+    table.string('status', 20).notNullable().defaultTo('pending').index() // pending, success, failed
+    table.integer('attempts').notNullable().defaultTo(0)
+    table.integer('response_status').nullable()
+    table.text('response_body').nullable()
+    table.text('error').nullable()
+    table.datetime('next_attempt_at').nullable().index()
+    table.datetime('delivered_at').nullable()
+    table.datetime('created_at').defaultTo(knex.fn.now())
+    table.datetime('updated_at').defaultTo(knex.fn.now())
+
+    table.index(['webhook_id', 'created_at'])
+    table.foreign('webhook_id').references('id').inTable(webhooksTable).onDelete('CASCADE')
+  })
+  await knexUp(knex, deliveriesTable)
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knexDown(knex, deliveriesTable)
+  await knex.schema.dropTableIfExists(deliveriesTable)
+  await knexDown(knex, webhooksTable)
+  await knex.schema.dropTableIfExists(webhooksTable)
+}
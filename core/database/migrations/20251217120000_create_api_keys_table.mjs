@@ -0,0 +1,34 @@
+import { up as knexUp, down as knexDown } from '../../utils/knexCreateMigration.ts'
+const tableName = `${process.env.TABLE_PREFIX}api_keys`
+
+/**
+ * Create api_keys table for long-lived, scoped machine credentials
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.createTable(tableName, (table) => {
+    table.increments('id').primary()
+    table.integer('user_id').unsigned().notNullable().index()
+    table.string('name').notNullable()
+    table.string('prefix', 16).notNullable() // First characters of the key, shown in the UI
+    table.string('key_hash', 64).notNullable().unique()
+    table.json('capabilities').nullable() // null = all capabilities of the owner
+    table.datetime('last_used_at').nullable()
+    table.datetime('expires_at').nullable()
+    table.datetime('created_at').defaultTo(knex.fn.now())
+    table.datetime('updated_at').defaultTo(knex.fn.now())
+
+    table.foreign('user_id').references('id').inTable(`${process.env.TABLE_PREFIX}users`).onDelete('CASCADE')
+  })
+  await knexUp(knex, tableName)
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knexDown(knex, tableName)
+  await knex.schema.dropTableIfExists(tableName)
+}
@@ -0,0 +1,29 @@
+const rolesTable = `${process.env.TABLE_PREFIX}roles`
+const providersTable = `${process.env.TABLE_PREFIX}auth_providers`
+
+/**
+ * Add two-factor settings: enforcement per role and per OAuth provider behaviour
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.table(rolesTable, (table) => {
+    table.boolean('two_factor_required').notNullable().defaultTo(false)
+  })
+  await knex.schema.table(providersTable, (table) => {
+    table.string('two_factor', 16).notNullable().defaultTo('default') // default | skip | require
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knex.schema.table(rolesTable, (table) => {
+    table.dropColumn('two_factor_required')
+  })
+  await knex.schema.table(providersTable, (table) => {
+    table.dropColumn('two_factor')
+  })
+}
@@ -0,0 +1,34 @@
+import { up as knexUp, down as knexDown } from '../../utils/knexCreateMigration.ts'
+const tableName = `${process.env.TABLE_PREFIX}audit_log`
+
+/**
+ * Create audit_log table recording who changed what
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.createTable(tableName, (table) => {
+    table.increments('id').primary()
+    // No foreign key, entries must outlive the users they describe
+    table.integer('user_id').unsigned().nullable().index()
+    table.string('user_email').nullable()
+    table.string('ip', 64).nullable()
+    table.string('action', 100).notNullable().index()
+    table.string('entity_type', 50).notNullable().index()
+    table.string('entity_id', 191).nullable().index()
+    table.string('entity_label').nullable()
+    table.json('changes').nullable() // { field: { from, to } }
+    table.datetime('created_at').defaultTo(knex.fn.now()).index()
+    table.datetime('updated_at').defaultTo(knex.fn.now())
+  })
+  await knexUp(knex, tableName)
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knexDown(knex, tableName)
+  await knex.schema.dropTableIfExists(tableName)
+}
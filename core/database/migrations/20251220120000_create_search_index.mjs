@@ -0,0 +1,66 @@
+const tableName = `${process.env.TABLE_PREFIX}search_index`
+const fieldsTable = `${process.env.TABLE_PREFIX}post_type_fields`
+
+/**
+ * Create the full-text search index, one row per indexed field of a post,
+ * using the native full-text engine of each driver:
+ * SQLite FTS5, Postgres tsvector + GIN, MySQL FULLTEXT. Other drivers get a plain table
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  const client = knex.client.config.client
+  const isSQLite = ['sqlite3', 'better-sqlite3'].includes(client)
+  const isMySQL = ['mysql', 'mysql2'].includes(client)
+  const isPostgres = ['pg', 'postgres'].includes(client)
+
+  await knex.schema.table(fieldsTable, (table) => {
+    table.integer('search_weight').notNullable().defaultTo(0) // 0 = not indexed
+  })
+
+  if (isSQLite) {
+    await knex.raw(
+      `CREATE VIRTUAL TABLE ?? USING fts5(
+        content,
+        post_id UNINDEXED,
+        post_type_slug UNINDEXED,
+        field UNINDEXED,
+        weight UNINDEXED,
+        tokenize = 'unicode61 remove_diacritics 2'
+      )`,
+      [tableName]
+    )
+    return
+  }
+
+  await knex.schema.createTable(tableName, (table) => {
+    table.increments('id').primary()
+    table.integer('post_id').unsigned().notNullable().index()
+    table.string('post_type_slug').notNullable().index()
+    table.string('field').notNullable()
+    table.integer('weight').notNullable().defaultTo(1)
+    table.text('content').notNullable()
+
+    table.foreign('post_id').references('id').inTable(`${process.env.TABLE_PREFIX}posts`).onDelete('CASCADE')
+    if (isMySQL) table.index(['content'], `${tableName}_content_fulltext`, { indexType: 'FULLTEXT' })
+  })
+
+  if (isPostgres) {
+    await knex.raw(
+      `ALTER TABLE ?? ADD COLUMN tsv tsvector GENERATED ALWAYS AS (to_tsvector('simple', coalesce(content, ''))) STORED`,
+      [tableName]
+    )
+    await knex.raw('CREATE INDEX ?? ON ?? USING GIN (tsv)', [`${tableName}_tsv_index`, tableName])
+  }
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knex.schema.dropTableIfExists(tableName)
+  await knex.schema.table(fieldsTable, (table) => {
+    table.dropColumn('search_weight')
+  })
+}
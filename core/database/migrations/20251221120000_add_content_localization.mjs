@@ -0,0 +1,34 @@
+const tables = [`${process.env.TABLE_PREFIX}posts`, `${process.env.TABLE_PREFIX}terms`]
+
+/**
+ * Add a content locale and a translation group to posts and terms.
+ * Items sharing a translation group are translations of each other, one per locale.
+ * A NULL locale means the site's default content locale
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  for (const tableName of tables) {
+    await knex.schema.table(tableName, (table) => {
+      table.string('locale', 20).nullable().index()
+      table.string('translation_group', 36).nullable().index()
+      table.unique(['translation_group', 'locale'])
+    })
+  }
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  for (const tableName of tables) {
+    await knex.schema.table(tableName, (table) => {
+      table.dropUnique(['translation_group', 'locale'])
+      table.dropIndex('translation_group')
+      table.dropIndex('locale')
+      table.dropColumn('translation_group')
+      table.dropColumn('locale')
+    })
+  }
+}
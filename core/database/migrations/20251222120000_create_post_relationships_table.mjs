@@ -0,0 +1,33 @@
+import { up as knexUp, down as knexDown } from '../../utils/knexCreateMigration.ts'
+const prefix = process.env.TABLE_PREFIX
+const tableName = `${prefix}post_relationships`
+
+/**
+ * Create post_relationships table, a lookup of the post IDs stored in relationship fields
+ * so posts can be found from either side. The field value in post_meta stays the source of truth
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.createTable(tableName, (table) => {
+    table.increments('id')
+    table.integer('post_id').unsigned().notNullable().references('id').inTable(`${prefix}posts`).onDelete('CASCADE')
+    table.string('field_slug').notNullable()
+    table.integer('related_post_id').unsigned().notNullable().references('id').inTable(`${prefix}posts`).onDelete('CASCADE')
+    table.integer('position').notNullable().defaultTo(0)
+    table.datetime('created_at').defaultTo(knex.fn.now())
+    table.datetime('updated_at').defaultTo(knex.fn.now())
+    table.unique(['post_id', 'field_slug', 'related_post_id'])
+    table.index(['related_post_id', 'field_slug'])
+  })
+  await knexUp(knex, tableName)
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knexDown(knex, tableName)
+  await knex.schema.dropTableIfExists(tableName)
+}
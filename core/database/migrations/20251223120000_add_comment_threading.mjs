@@ -0,0 +1,32 @@
+const prefix = process.env.TABLE_PREFIX
+const tableName = `${prefix}posts`
+
+/**
+ * Link comments to the post they belong to and to the comment they reply to.
+ * Both are NULL for every other post type, deleting a post deletes its comments
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.table(tableName, (table) => {
+    table.integer('comment_post_id').unsigned().nullable().references('id').inTable(tableName).onDelete('CASCADE')
+    table.integer('comment_parent_id').unsigned().nullable().references('id').inTable(tableName).onDelete('CASCADE')
+    table.index(['comment_post_id', 'status'])
+    table.index('comment_parent_id')
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knex.schema.table(tableName, (table) => {
+    table.dropForeign(['comment_parent_id'])
+    table.dropForeign(['comment_post_id'])
+    table.dropIndex('comment_parent_id')
+    table.dropIndex(['comment_post_id', 'status'])
+    table.dropColumn('comment_parent_id')
+    table.dropColumn('comment_post_id')
+  })
+}
@@ -0,0 +1,23 @@
+const prefix = process.env.TABLE_PREFIX
+const tableName = `${prefix}post_types`
+
+/**
+ * Whether posts of a type are served by the public delivery API, off until enabled
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.table(tableName, (table) => {
+    table.boolean('public').defaultTo(false)
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knex.schema.table(tableName, (table) => {
+    table.dropColumn('public')
+  })
+}
@@ -0,0 +1,33 @@
+import { up as knexUp, down as knexDown } from '../../utils/knexCreateMigration.ts'
+const prefix = process.env.TABLE_PREFIX
+const tableName = `${prefix}redirects`
+
+/**
+ * Create redirects table, manual rules and the 301s recorded when the permalink of a post changes
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.createTable(tableName, (table) => {
+    table.increments('id')
+    table.string('source_path').notNullable().unique()
+    table.string('target_path', 2048).notNullable()
+    table.integer('status_code').notNullable().defaultTo(301)
+    table.string('type').notNullable().defaultTo('manual')
+    table.integer('post_id').unsigned().nullable().references('id').inTable(`${prefix}posts`).onDelete('SET NULL')
+    table.integer('hits').notNullable().defaultTo(0)
+    table.datetime('last_hit_at').nullable()
+    table.datetime('created_at').defaultTo(knex.fn.now())
+    table.datetime('updated_at').defaultTo(knex.fn.now())
+  })
+  await knexUp(knex, tableName)
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knexDown(knex, tableName)
+  await knex.schema.dropTableIfExists(tableName)
+}
@@ -0,0 +1,35 @@
+import { up as knexUp, down as knexDown } from '../../utils/knexCreateMigration.ts'
+const prefix = process.env.TABLE_PREFIX
+const tableName = `${prefix}post_previews`
+
+/**
+ * Create post_previews table, expiring tokens that render a draft through the theme.
+ * Editor previews carry the unsaved changes, shared links render the stored post
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.createTable(tableName, (table) => {
+    table.increments('id')
+    table.integer('post_id').unsigned().notNullable().references('id').inTable(`${prefix}posts`).onDelete('CASCADE')
+    table.integer('user_id').unsigned().nullable().references('id').inTable(`${prefix}users`).onDelete('SET NULL')
+    table.string('prefix', 16).notNullable()
+    table.string('token_hash').notNullable().unique()
+    table.text('changes').nullable()
+    table.boolean('shared').notNullable().defaultTo(false)
+    table.datetime('expires_at').notNullable()
+    table.datetime('created_at').defaultTo(knex.fn.now())
+    table.datetime('updated_at').defaultTo(knex.fn.now())
+    table.index(['post_id', 'shared'])
+  })
+  await knexUp(knex, tableName)
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knexDown(knex, tableName)
+  await knex.schema.dropTableIfExists(tableName)
+}
@@ -0,0 +1,26 @@
+const tableName = `${process.env.TABLE_PREFIX}users`
+
+/**
+ * Add email verification tokens, self-registered users stay `pending` until they follow the link
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.table(tableName, (table) => {
+    table.string('verification_token', 64).nullable().index()
+    table.datetime('verification_token_expires_at').nullable()
+    table.datetime('verification_sent_at').nullable()
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knex.schema.table(tableName, (table) => {
+    table.dropColumn('verification_token')
+    table.dropColumn('verification_token_expires_at')
+    table.dropColumn('verification_sent_at')
+  })
+}
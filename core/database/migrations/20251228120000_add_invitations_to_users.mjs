@@ -0,0 +1,24 @@
+const tableName = `${process.env.TABLE_PREFIX}users`
+
+/**
+ * Track who invited a user, invited users stay `invited` until they accept and choose a password
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.table(tableName, (table) => {
+    table.integer('invited_by').unsigned().nullable()
+    table.datetime('invited_at').nullable()
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knex.schema.table(tableName, (table) => {
+    table.dropColumn('invited_by')
+    table.dropColumn('invited_at')
+  })
+}
@@ -0,0 +1,53 @@
+import { up as knexUp, down as knexDown } from '../../utils/knexCreateMigration.ts'
+const prefix = process.env.TABLE_PREFIX
+const tableName = `${prefix}sessions`
+const refreshTokensTable = `${prefix}refresh_tokens`
+
+/**
+ * Login sessions, each refresh token belongs to one. Rotated tokens are kept as used so
+ * presenting one again can be detected as reuse
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.createTable(tableName, (table) => {
+    table.increments('id')
+    table.string('sid', 36).unique().notNullable()
+    table
+      .integer('user_id')
+      .unsigned()
+      .notNullable()
+      .references('id')
+      .inTable(`${prefix}users`)
+      .onDelete('CASCADE')
+    table.string('user_agent', 512).nullable()
+    table.string('ip', 64).nullable()
+    table.datetime('last_used_at').nullable()
+    table.datetime('expires_at').notNullable()
+    table.datetime('revoked_at').nullable()
+    table.string('revoked_reason').nullable()
+    table.datetime('created_at').defaultTo(knex.fn.now())
+    table.datetime('updated_at').defaultTo(knex.fn.now())
+    table.index(['user_id', 'revoked_at'])
+  })
+  await knexUp(knex, tableName)
+
+  await knex.schema.table(refreshTokensTable, (table) => {
+    table.integer('session_id').unsigned().nullable().index()
+    table.datetime('used_at').nullable()
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knex.schema.table(refreshTokensTable, (table) => {
+    table.dropIndex(['session_id'])
+    table.dropColumn('session_id')
+    table.dropColumn('used_at')
+  })
+  await knexDown(knex, tableName)
+  await knex.schema.dropTable(tableName)
+}
@@ -0,0 +1,26 @@
+const tableName = `${process.env.TABLE_PREFIX}users`
+
+/**
+ * Track failed logins per account for progressive delays and temporary lockout
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.table(tableName, (table) => {
+    table.integer('failed_login_count').unsigned().notNullable().defaultTo(0)
+    table.datetime('last_failed_login_at').nullable()
+    table.datetime('locked_until').nullable()
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knex.schema.table(tableName, (table) => {
+    table.dropColumn('failed_login_count')
+    table.dropColumn('last_failed_login_at')
+    table.dropColumn('locked_until')
+  })
+}
@@ -0,0 +1,50 @@
+const providersTable = `${process.env.TABLE_PREFIX}auth_providers`
+const statesTable = `${process.env.TABLE_PREFIX}oauth_states`
+const optionsTable = `${process.env.TABLE_PREFIX}options`
+
+/**
+ * Add OpenID Connect and SAML single sign-on to auth providers
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.table(providersTable, (table) => {
+    table.string('type', 16).notNullable().defaultTo('oauth') // oauth | oidc | saml
+    table.string('issuer').nullable() // OIDC issuer URL or SAML identity provider entity ID
+    table.string('jwks_uri').nullable() // OIDC signing keys, from discovery
+    table.text('idp_cert').nullable() // SAML identity provider signing certificates
+    table.string('role_claim').nullable() // claim or attribute holding the user's groups
+    table.json('role_mapping') // [{ value, role }], group to role slug
+    table.boolean('jit_provisioning').notNullable().defaultTo(false)
+  })
+  // Providers signed up new users while registrations were open, they keep doing so
+  const registrations = await knex(optionsTable).where('name', 'allow_registrations').first()
+  const allowRegistrations = registrations
+    ? ['true', '1'].includes(String(registrations.value))
+    : process.env.ALLOW_REGISTRATIONS === 'true'
+  if (allowRegistrations) await knex(providersTable).update({ jit_provisioning: true })
+  await knex.schema.table(statesTable, (table) => {
+    table.string('code_verifier', 128).nullable() // PKCE
+    table.string('nonce', 64).nullable()
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knex.schema.table(statesTable, (table) => {
+    table.dropColumn('code_verifier')
+    table.dropColumn('nonce')
+  })
+  await knex.schema.table(providersTable, (table) => {
+    table.dropColumn('type')
+    table.dropColumn('issuer')
+    table.dropColumn('jwks_uri')
+    table.dropColumn('idp_cert')
+    table.dropColumn('role_claim')
+    table.dropColumn('role_mapping')
+    table.dropColumn('jit_provisioning')
+  })
+}
@@ -28,6 +28,38 @@ export const seed = async (knex) => {
         cleanupIntervalMs: parseInt(process.env.HD_TRACING_CLEANUP_INTERVAL_MS) || 3600000
       }),
       autoload: true
+    },
+    {
+      name: 'audit_log_retention_days',
+      value: process.env.AUDIT_LOG_RETENTION_DAYS || '90',
+      autoload: true
+    },
+    {
+      name: 'default_content_locale',
+      value: process.env.DEFAULT_CONTENT_LOCALE || 'en_US',
+      autoload: true
+    },
+    {
+      name: 'content_locales',
+      value: JSON.stringify(
+        (process.env.CONTENT_LOCALES || process.env.DEFAULT_CONTENT_LOCALE || 'en_US')
+          .split(',')
+          .map((locale) => locale.trim())
+          .filter(Boolean)
+      ),
+      autoload: true
+    },
+    {
+      name: 'content_locale_fallbacks',
+      value: '{}',
+      autoload: true
+    },
+    {
+      name: 'comment_settings',
+      value: JSON.stringify({
+        posts: { open: true, guests: true, moderation: 'guests', max_depth: 5, close_after_days: 0 }
+      }),
+      autoload: true
     }
   ]
 
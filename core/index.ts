@@ -18,11 +18,21 @@ import UserGuard from './utils/UserGuard.ts'
 import translate from './utils/translation.ts'
 import createWsAuthMiddleware from './utils/wsAuthMiddleware.ts'
 import { initSecrets, ensureSecrets } from './utils/secrets.ts'
+import { createTaskRequest } from './utils/taskRequest.ts'
 import SchedulerService from './services/SchedulerService.ts'
 import BadgeCountService from './services/BadgeCountService.ts'
+import ScheduledPostsService from './services/ScheduledPostsService.ts'
+import WebhookService from './services/WebhookService.ts'
+import AuditLogService from './services/AuditLogService.ts'
+import LocalizationService from './services/LocalizationService.ts'
+import BlockService from './services/BlockService.ts'
+import SeoService from './services/SeoService.ts'
+import type { SeoSubject } from './services/SeoService.ts'
+import PermalinkService from './services/PermalinkService.ts'
 import TraceStorage from './services/TraceStorage.ts'
 import TraceStorageDB from './services/TraceStorageDB.ts'
 import { initSharedSSRCache } from './services/SharedSSRCache.ts'
+import { initSharedRateLimitStore } from './services/SharedRateLimitStore.ts'
 
 // Extended WebSocket with auth properties
 interface AuthenticatedWebSocket extends WebSocket {
@@ -127,6 +137,9 @@ if (cluster.isPrimary) {
   // Initialize shared SSR cache IPC handlers on primary
   initSharedSSRCache()
 
+  // Rate limit counters shared by all workers
+  initSharedRateLimitStore()
+
   // Build admin UI if it doesn't exist
   try {
     const { buildAdminIfNeeded } = await import('./utils/buildAdmin.ts')
@@ -505,6 +518,15 @@ if (cluster.isPrimary) {
     options: null,
     parseVue,
     scheduler: null, // Will be initialized after knex
+    localization: null, // Will be initialized after knex
+    blocks: {
+      render: (content: unknown, hooks?: HTMLDrop.Hooks) => new BlockService(hooks).render(content)
+    },
+    seo: {
+      head: (subject: SeoSubject, hooks?: HTMLDrop.Hooks) => new SeoService(context, hooks).head(subject),
+      metadata: (subject: SeoSubject, hooks?: HTMLDrop.Hooks) => new SeoService(context, hooks).metadata(subject)
+    },
+    resolveUrl: (path: string, hooks?: HTMLDrop.Hooks) => new PermalinkService(context, hooks).resolveUrl(path),
     traceStorage: null, // Will be initialized after options are loaded
     formatDate(date: Date = new Date()) {
       return date.toISOString().replace('Z', '').replace('T', ' ')
@@ -567,6 +589,9 @@ if (cluster.isPrimary) {
       await traceStorage.init()
     }
 
+    // Content translations, used by themes for language switchers and hreflang links
+    context.localization = new LocalizationService(context)
+
     // Initialize scheduler on all workers, but only worker 1 will execute tasks
     const workerId = cluster.worker?.id ?? 1
     context.scheduler = new SchedulerService(context as unknown as HTMLDrop.Context, workerId === 1) as unknown as HTMLDrop.SchedulerService
@@ -579,6 +604,33 @@ if (cluster.isPrimary) {
       }, 'refresh_badge_counts')
       .everyMinute()
 
+    // Flip scheduled (`future`) posts to published once their publish date has passed
+    context.scheduler
+      .call(async () => {
+        if (!context.knex) return
+        const scheduledPostsService = new ScheduledPostsService(context, () => createTaskRequest(context))
+        await scheduledPostsService.publishDuePosts()
+      }, 'publish_scheduled_posts')
+      .everyMinute()
+
+    // Retry failed webhook deliveries whose backoff has elapsed
+    context.scheduler
+      .call(async () => {
+        if (!context.knex) return
+        const webhookService = new WebhookService(context)
+        await webhookService.processDueDeliveries()
+      }, 'retry_webhook_deliveries')
+      .everyMinute()
+
+    // Drop audit log entries older than the `audit_log_retention_days` option
+    context.scheduler
+      .call(async () => {
+        if (!context.knex) return
+        const auditLogService = new AuditLogService(context)
+        await auditLogService.purge()
+      }, 'purge_audit_log')
+      .daily()
+
     // Run initial badge count update on worker 1 (after startup delay)
     if (workerId === 1) {
       setTimeout(async () => {
@@ -1,12 +1,14 @@
 /**
  * Rate Limiter Middleware
  *
- * Protects API endpoints from abuse by limiting the number of requests
+ * Protects API endpoints from abuse by limiting the number of requests. Counters are kept in
+ * SharedRateLimitStore so the limits hold across all clustered workers
  */
 
 import rateLimit from 'express-rate-limit'
 import type { Request, Response } from 'express'
 import { RATE_LIMITS, HTTP_STATUS, ERROR_CODES } from '../utils/constants.ts'
+import { SharedRateLimitStore } from '../services/SharedRateLimitStore.ts'
 
 // Skip rate limiting in test environment
 const isTestEnv = process.env.NODE_ENV === 'test'
@@ -27,6 +29,7 @@ export const apiLimiter = rateLimit({
   windowMs: RATE_LIMITS.WINDOW_MS,
   limit: RATE_LIMITS.MAX_REQUESTS,
   skip: () => isTestEnv,
+  store: new SharedRateLimitStore('api'),
   message: {
     error: 'Too many requests from this IP, please try again later.',
     code: ERROR_CODES.SERVICE_UNAVAILABLE
@@ -51,6 +54,7 @@ export const authLimiter = rateLimit({
   windowMs: RATE_LIMITS.AUTH.WINDOW_MS,
   limit: RATE_LIMITS.AUTH.MAX_REQUESTS,
   skip: () => isTestEnv,
+  store: new SharedRateLimitStore('auth'),
   skipSuccessfulRequests: true, // Don't count successful login attempts
   message: {
     error: 'Too many authentication attempts, please try again later.',
@@ -76,6 +80,7 @@ export const uploadLimiter = rateLimit({
   windowMs: RATE_LIMITS.WINDOW_MS,
   limit: 20,
   skip: () => isTestEnv,
+  store: new SharedRateLimitStore('upload'),
   message: {
     error: 'Too many upload attempts, please try again later.',
     code: ERROR_CODES.SERVICE_UNAVAILABLE
@@ -92,6 +97,31 @@ export const uploadLimiter = rateLimit({
   }
 })
 
+/**
+ * Rate limiter for comment submissions
+ * 10 comments per 15 minutes per IP
+ */
+export const commentLimiter = rateLimit({
+  windowMs: RATE_LIMITS.COMMENTS.WINDOW_MS,
+  limit: RATE_LIMITS.COMMENTS.MAX_REQUESTS,
+  skip: () => isTestEnv,
+  store: new SharedRateLimitStore('comment'),
+  message: {
+    error: 'Too many comments, please try again later.',
+    code: ERROR_CODES.SERVICE_UNAVAILABLE
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req: Request, res: Response) => {
+    const reqWithRateLimit = req as RequestWithRateLimit
+    res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+      error: 'Too many comments, please try again later.',
+      code: ERROR_CODES.SERVICE_UNAVAILABLE,
+      retryAfter: reqWithRateLimit.rateLimit?.resetTime
+    })
+  }
+})
+
 /**
  * Lenient rate limiter for read-only operations
  * 200 requests per 15 minutes per IP
@@ -100,6 +130,7 @@ export const readLimiter = rateLimit({
   windowMs: RATE_LIMITS.WINDOW_MS,
   limit: 200,
   skip: () => isTestEnv,
+  store: new SharedRateLimitStore('read'),
   message: {
     error: 'Too many requests, please try again later.',
     code: ERROR_CODES.SERVICE_UNAVAILABLE
@@ -116,6 +147,7 @@ export const strictLimiter = rateLimit({
   windowMs: RATE_LIMITS.WINDOW_MS,
   limit: 3,
   skip: () => isTestEnv,
+  store: new SharedRateLimitStore('strict'),
   message: {
     error: 'Too many requests, please try again later.',
     code: ERROR_CODES.SERVICE_UNAVAILABLE
@@ -132,12 +164,16 @@ export const strictLimiter = rateLimit({
   }
 })
 
+// Custom limiters without a name are numbered in the order they are created
+let customLimiterCount = 0
+
 /**
  * Create a custom rate limiter with specific options
- * @param options - Rate limit options
+ * @param options - Rate limit options, `name` identifies the limiter's counters across workers
  * @returns Express middleware
  */
 export const createRateLimiter = (options: {
+  name?: string
   windowMs?: number
   limit?: number
   message?: string
@@ -149,6 +185,7 @@ export const createRateLimiter = (options: {
     windowMs: options.windowMs ?? RATE_LIMITS.WINDOW_MS,
     limit: options.limit ?? RATE_LIMITS.MAX_REQUESTS,
     skip: () => isTestEnv,
+    store: new SharedRateLimitStore(options.name ?? `custom-${++customLimiterCount}`),
     standardHeaders: options.standardHeaders ?? true,
     legacyHeaders: options.legacyHeaders ?? false,
     handler: (req: Request, res: Response) => {
@@ -167,6 +204,7 @@ export default {
   apiLimiter,
   authLimiter,
   uploadLimiter,
+  commentLimiter,
   readLimiter,
   strictLimiter,
   createRateLimiter
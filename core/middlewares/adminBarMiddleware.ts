@@ -1,6 +1,7 @@
 import fs from 'fs/promises'
 import path from 'path'
 import type { Request, Response, NextFunction } from 'express'
+import type { PreviewLink } from '../services/PreviewService.ts'
 
 interface AdminBarButton {
   id: string
@@ -21,6 +22,8 @@ interface RequestWithHooks extends Request {
     adminBarButtons?: AdminBarButtonsRegistry
     [key: string]: unknown
   }
+  // Set by the web route for `?preview=` requests
+  preview?: PreviewLink
 }
 
 interface ResponseWithAdminBar extends Response {
@@ -46,7 +49,8 @@ const loadAdminBarAssets = async (): Promise<void> => {
 const injectAdminBar = (
   html: string | Buffer,
   customButtons: AdminBarButton[] = [],
-  customScripts = ''
+  customScripts = '',
+  preview: Pick<PreviewLink, 'shared' | 'expires_at'> | null = null
 ): string | Buffer => {
   // Convert Buffer to string if needed
   let htmlString = html
@@ -61,6 +65,7 @@ const injectAdminBar = (
 
   // Serialize custom buttons as JSON (escape backticks and dollar signs for template literal safety)
   const buttonsJSON = JSON.stringify(customButtons).replace(/`/g, '\\`').replace(/\$/g, '\\$')
+  const previewJSON = JSON.stringify(preview).replace(/</g, '\\u003c')
 
   const injection = `
 <style>${adminBarCSS}</style>
@@ -69,11 +74,12 @@ const injectAdminBar = (
 
   const html = \`${adminBarHTML}\`
   const customButtons = ${buttonsJSON}
+  const preview = ${previewJSON}
 
   // Execute custom scripts from plugins/themes
   ${customScripts}
 
-  init(html, customButtons)
+  init(html, customButtons, preview)
 </script>
 </head>`
 
@@ -126,8 +132,9 @@ export default async (req: RequestWithHooks, res: ResponseWithAdminBar, next: Ne
     try {
       const buttons = req.hooks?.adminBarButtons?.getButtons() || []
       const scripts = req.hooks?.adminBarButtons?.getCombinedScripts() || ''
+      const preview = req.preview ? { shared: req.preview.shared, expires_at: req.preview.expires_at } : null
       injected = true
-      return injectAdminBar(data, buttons, scripts)
+      return injectAdminBar(data, buttons, scripts, preview)
     } catch (e) {
       console.error('[AdminBar] Injection failed:', e)
       return data
@@ -0,0 +1,54 @@
+import path from 'path'
+import type { Request, Response, NextFunction } from 'express'
+import ImageService from '../services/ImageService.ts'
+
+/**
+ * Serves resized/converted images for `/uploads/...?w=&h=&fit=&format=`
+ *
+ * Requests without transform parameters fall through to the static uploads handler,
+ * dimensions are rounded up to the allowed transform dimensions
+ */
+export default (context: HTMLDrop.Context, uploadsPath: string) => {
+  const imageService = new ImageService(context, uploadsPath)
+
+  return async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next()
+
+    let options
+    try {
+      options = imageService.parseTransform(req.query as Record<string, unknown>, (req as HTMLDrop.ExtendedRequest).hooks)
+    } catch (error) {
+      res.status(400).json({ error: (error as Error).message })
+      return
+    }
+    if (!options) return next()
+
+    let relativePath: string
+    try {
+      relativePath = decodeURIComponent(req.path)
+    } catch {
+      res.status(400).json({ error: 'Invalid path' })
+      return
+    }
+
+    const source = imageService.resolveUploadPath(relativePath)
+    if (!source) {
+      res.status(400).json({ error: 'Invalid path' })
+      return
+    }
+
+    const ext = path.extname(source).toLowerCase()
+    const mimeType = ext === '.jpg' ? 'image/jpeg' : `image/${ext.slice(1)}`
+    if (!imageService.isResizable(mimeType)) return next()
+
+    try {
+      const { file, mime_type } = await imageService.transform(relativePath, options)
+      res.type(mime_type)
+      res.set('Cache-Control', 'public, max-age=31536000, immutable')
+      res.sendFile(file)
+    } catch (error) {
+      if ((error as Error).message === 'Image not found') return next()
+      next(error)
+    }
+  }
+}
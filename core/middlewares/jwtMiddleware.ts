@@ -1,8 +1,10 @@
 import type { Request, Response, NextFunction } from 'express'
 import type { JwtPayload } from 'jsonwebtoken'
 import jwt from 'jsonwebtoken'
-import crypto from 'crypto'
 import UserGuard from '../utils/UserGuard.ts'
+import ApiKeyService from '../services/ApiKeyService.ts'
+import SessionService from '../services/SessionService.ts'
+import type { ApiKey } from '../services/ApiKeyService.ts'
 
 interface RequestWithUser extends Request {
   payload?: JwtPayload
@@ -11,28 +13,32 @@ interface RequestWithUser extends Request {
     [key: string]: unknown
   }
   guard?: InstanceType<typeof UserGuard>
+  apiKey?: ApiKey
 }
 
 export default (context: HTMLDrop.Context) =>
   async (req: RequestWithUser, res: Response, next: NextFunction): Promise<void | Response> => {
     try {
-      const { knex, table } = context
       const authHeader = req.headers.authorization
       if (!authHeader) return next()
 
       const token = authHeader.split(' ')?.[1]
       if (!token) return next()
 
-      // Check if token is revoked
-      const revoked = await knex!(table('revoked_tokens'))
-        .where({ token: crypto.createHash('sha256').update(token).digest('hex') })
-        .first()
+      // Personal API keys, capabilities are limited to the key's scope
+      if (ApiKeyService.isApiKey(token)) {
+        const result = await new ApiKeyService(context).authenticate(token)
+        if (!result) return res.status(401).send('Invalid API key')
 
-      if (revoked) {
-        // Remove expired tokens asynchronously
-        knex!(table('revoked_tokens')).where('expires_at', '<', new Date()).del()
-        knex!(table('refresh_tokens')).where('expires_at', '<', new Date()).del()
+        req.apiKey = result.apiKey
+        req.user = { ...result.user }
+        req.guard = new UserGuard(context as HTMLDrop.Context, result.user.id, result.apiKey.capabilities)
+        return next()
+      }
 
+      // Check if the token, or the session it belongs to, is revoked
+      const { sid } = (jwt.decode(token) as JwtPayload | null) || {}
+      if (await new SessionService(context).isRevoked(token, sid)) {
         return res.status(401).send('Token revoked')
       }
 
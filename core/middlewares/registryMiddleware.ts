@@ -23,6 +23,8 @@ interface ContextWithOptions extends HTMLDrop.Context {
 
 interface RequestWithContext extends Request {
   skipRegistry?: boolean
+  // Full registry on a non-API route, e.g. sitemaps and feeds that plugins and themes filter
+  fullRegistry?: boolean
   context: ContextWithOptions
   tracer: PerformanceTracer
   hooks: any
@@ -145,6 +147,7 @@ const getSkipPaths = async (options: Options | undefined): Promise<string[]> =>
  *
  * All other routes (static assets, SSR pages, etc.) skip this middleware
  * for better performance. Themes handle their own routing for SSR.
+ * Routes that set `req.fullRegistry` get the full flow anyway.
  */
 export default (context: any) =>
   async (req: Request, res: Response, next: NextFunction): Promise<void> => {
@@ -200,7 +203,7 @@ export default (context: any) =>
     // Skip full registry initialization for:
     // 1. Non-API routes (static assets, SSR pages)
     // 2. Routes explicitly marked to skip via query param, header, or middleware
-    const isNonApiRoute = !fullPath.startsWith('/api/')
+    const isNonApiRoute = !fullPath.startsWith('/api/') && reqWithContext.fullRegistry !== true
 
     if (isNonApiRoute || shouldSkipRegistry) {
       // Initialize jobs registry for SSR routes (lightweight, only needs context)
@@ -228,6 +231,8 @@ export default (context: any) =>
 
         // Getters return empty/null for SSR
         getPostType: async () => null,
+        getPublicPostType: async () => null,
+        getPublicPostTypes: async () => [],
         getAllPostTypes: async () => [],
         getFields: async () => [],
         getTaxonomy: async () => null,
@@ -251,6 +256,7 @@ export default (context: any) =>
         sendEmail: async () => {},
         sendWelcomeEmail: async () => {},
         sendPasswordResetEmail: async () => {},
+        sendVerificationEmail: async () => {},
         sendTemplateEmail: async () => {},
         verifyEmailConnection: async () => false,
 
@@ -0,0 +1,181 @@
+/**
+ * Audit Provider
+ * Records content, user and settings changes to the audit log
+ */
+
+import type { Request, Response, NextFunction } from 'express'
+import AuditLogService from '../../services/AuditLogService.ts'
+import type { AuditChanges } from '../../services/AuditLogService.ts'
+import { isSecretName } from '../../utils/secrets.ts'
+
+interface ProviderRequest {
+  req: Request & { hooks: any; context: HTMLDrop.Context }
+  res: Response
+  next: NextFunction
+}
+
+type Entity = Record<string, any>
+
+interface ActionArgs {
+  req?: HTMLDrop.ExtendedRequest
+  [key: string]: any
+}
+
+interface AuditedAction {
+  // Hook argument holding the entity
+  key: string
+  entityType: string
+  action: string
+  // Hook whose entity is the snapshot to diff against, only for updates
+  before?: string
+  // Build the changes from the hook arguments instead of diffing snapshots
+  changes?: (args: ActionArgs) => AuditChanges
+  // Use the entity as the "before" side, for deletions
+  removed?: boolean
+}
+
+const versionChange = (args: ActionArgs): AuditChanges => ({
+  version: { from: args.previousVersion ?? null, to: args.newVersion ?? null }
+})
+
+const trashed = (key: string) => (args: ActionArgs): AuditChanges => ({
+  deleted_at: { from: null, to: args[key]?.deleted_at ?? true }
+})
+
+/**
+ * Hook actions recorded to the audit log
+ */
+export const AUDITED_ACTIONS: Record<string, AuditedAction> = {
+  insert_post: { key: 'post', entityType: 'post', action: 'create' },
+  edit_post: { key: 'post', entityType: 'post', action: 'update', before: 'pre_post_update' },
+  trash_post: { key: 'post', entityType: 'post', action: 'trash', changes: trashed('post') },
+  delete_post: { key: 'post', entityType: 'post', action: 'delete', removed: true },
+
+  insert_term: { key: 'term', entityType: 'term', action: 'create' },
+  edit_term: { key: 'term', entityType: 'term', action: 'update', before: 'pre_term_update' },
+  trash_term: { key: 'term', entityType: 'term', action: 'trash', changes: trashed('term') },
+  delete_term: { key: 'term', entityType: 'term', action: 'delete', removed: true },
+
+  insert_user: { key: 'user', entityType: 'user', action: 'create' },
+  edit_user: { key: 'user', entityType: 'user', action: 'update', before: 'pre_user_update' },
+  trash_user: { key: 'user', entityType: 'user', action: 'trash', changes: trashed('user') },
+  delete_user: { key: 'user', entityType: 'user', action: 'delete', removed: true },
+  reset_user_two_factor: { key: 'user', entityType: 'user', action: 'reset_two_factor', changes: () => ({}) },
+  revoke_user_sessions: { key: 'user', entityType: 'user', action: 'revoke_sessions', changes: () => ({}) },
+  lock_user: {
+    key: 'user',
+    entityType: 'user',
+    action: 'lock',
+    changes: (args) => ({ locked_until: { from: null, to: args.lockedUntil ?? null } })
+  },
+  unlock_user: {
+    key: 'user',
+    entityType: 'user',
+    action: 'unlock',
+    changes: (args) => ({ locked_until: { from: args.lockedUntil ?? null, to: null } })
+  },
+  sync_user_roles: {
+    key: 'user',
+    entityType: 'user',
+    action: 'sync_roles',
+    changes: (args) => ({
+      added_roles: { from: null, to: args.added ?? [] },
+      removed_roles: { from: args.removed ?? [], to: null }
+    })
+  },
+
+  insert_option: { key: 'option', entityType: 'option', action: 'create' },
+  edit_option: { key: 'option', entityType: 'option', action: 'update', before: 'pre_option_update' },
+  delete_option: { key: 'option', entityType: 'option', action: 'delete', removed: true },
+
+  insert_role: { key: 'role', entityType: 'role', action: 'create' },
+  edit_role: { key: 'role', entityType: 'role', action: 'update', before: 'pre_role_update' },
+  delete_role: { key: 'role', entityType: 'role', action: 'delete', removed: true },
+  set_role_capabilities: {
+    key: 'role',
+    entityType: 'role',
+    action: 'update',
+    changes: (args) => ({ capabilities: { from: args.previous ?? [], to: args.capabilities ?? [] } })
+  },
+
+  insert_auth_provider: { key: 'provider', entityType: 'auth_provider', action: 'create' },
+  edit_auth_provider: { key: 'provider', entityType: 'auth_provider', action: 'update', before: 'pre_auth_provider_update' },
+  delete_auth_provider: { key: 'provider', entityType: 'auth_provider', action: 'delete', removed: true },
+
+  activate_plugin: { key: 'slug', entityType: 'plugin', action: 'activate', changes: () => ({}) },
+  deactivate_plugin: { key: 'slug', entityType: 'plugin', action: 'deactivate', changes: () => ({}) },
+  install_plugin: { key: 'slug', entityType: 'plugin', action: 'install', changes: () => ({}) },
+  update_plugin: { key: 'slug', entityType: 'plugin', action: 'update', changes: versionChange },
+  delete_plugin: { key: 'slug', entityType: 'plugin', action: 'delete', changes: () => ({}) },
+
+  activate_theme: { key: 'slug', entityType: 'theme', action: 'activate', changes: () => ({}) },
+  deactivate_theme: { key: 'slug', entityType: 'theme', action: 'deactivate', changes: () => ({}) },
+  install_theme: { key: 'slug', entityType: 'theme', action: 'install', changes: () => ({}) },
+  update_theme: { key: 'slug', entityType: 'theme', action: 'update', changes: versionChange },
+  delete_theme: { key: 'slug', entityType: 'theme', action: 'delete', changes: () => ({}) }
+}
+
+const labelOf = (entity: Entity | string): string | null => {
+  if (typeof entity === 'string') return entity
+  const label = entity?.title || entity?.name || entity?.username || entity?.email || entity?.slug
+  return label ? String(label) : null
+}
+
+export default async function AuditProvider({ req }: ProviderRequest): Promise<void> {
+  const { hooks, context } = req
+  if (!context?.knex) return
+
+  const auditLogService = new AuditLogService(context)
+
+  // Entity snapshots taken before an update, keyed by hook and entity id. Hooks are per request
+  const snapshots = new Map<string, Entity>()
+
+  for (const [hook, config] of Object.entries(AUDITED_ACTIONS)) {
+    if (config.before) {
+      const beforeHook = config.before
+      hooks.addAction(beforeHook, (args: ActionArgs) => {
+        const entity = args?.[config.key]
+        if (entity?.id !== undefined) snapshots.set(`${beforeHook}:${entity.id}`, entity)
+      })
+    }
+
+    // Run last so the entry reflects changes made by other listeners
+    hooks.addAction(
+      hook,
+      (args: ActionArgs) => {
+        const entity = args?.[config.key] as Entity | string | undefined
+        if (!entity) return
+
+        const entityId = typeof entity === 'string' ? entity : entity.id
+        const before = config.before ? snapshots.get(`${config.before}:${entityId}`) : undefined
+        if (config.before) snapshots.delete(`${config.before}:${entityId}`)
+
+        const actor = args.req?.user as { id?: number; email?: string } | undefined
+        const record = {
+          action: config.action,
+          entityType: config.entityType,
+          entityId,
+          label: labelOf(entity),
+          actor: actor ? { id: actor.id ?? null, email: actor.email ?? null } : null,
+          ip: args.req?.ip ?? null,
+          // Options like `smtp_password` keep their value out of the log
+          redact: config.entityType === 'option' && isSecretName(labelOf(entity) || '') ? ['value'] : []
+        }
+
+        let entry
+        if (config.changes) {
+          entry = { ...record, changes: config.changes(args) }
+        } else if (config.removed) {
+          entry = { ...record, before: entity as Entity, after: null }
+        } else {
+          entry = { ...record, before: config.before ? before || {} : null, after: entity as Entity }
+        }
+
+        return auditLogService.record(entry).catch((error) => {
+          console.error(`[Audit] Failed to record ${hook}:`, error)
+        })
+      },
+      100
+    )
+  }
+}
@@ -284,6 +284,26 @@ export default async ({ req, res, next }: ProviderRequest): Promise<void> => {
       page_title: translate('Job History', locale),
       menu_title: translate('Job History', locale)
     },
+    {
+      capabilities: { read_audit_log: 'read_audit_log' },
+      badge: 0,
+      position: 1150,
+      file: 'AuditLog.vue',
+      parent_slug: 'tools',
+      slug: 'audit',
+      page_title: translate('Audit Log', locale),
+      menu_title: translate('Audit Log', locale)
+    },
+    {
+      capabilities: { manage_dashboard: 'manage_options' },
+      badge: 0,
+      position: 1175,
+      file: 'ImportExport.vue',
+      parent_slug: 'tools',
+      slug: 'import-export',
+      page_title: translate('Import & Export', locale),
+      menu_title: translate('Import & Export', locale)
+    },
     {
       capabilities: { manage_dashboard: 'manage_options' },
       badge: 0,
@@ -386,6 +406,96 @@ export default async ({ req, res, next }: ProviderRequest): Promise<void> => {
       page_title: translate('AI Providers', locale),
       menu_title: translate('AI Providers', locale)
     },
+    {
+      capabilities: { manage_dashboard: 'manage_options' },
+      badge: 0,
+      position: 1400,
+      file: 'Webhooks.vue',
+      parent_slug: 'settings',
+      slug: 'webhooks',
+      page_title: translate('Webhooks', locale),
+      menu_title: translate('Webhooks', locale)
+    },
+    {
+      capabilities: { manage_dashboard: 'manage_options' },
+      badge: 0,
+      position: 1500,
+      file: 'Comments.vue',
+      parent_slug: 'settings',
+      slug: 'comments',
+      page_title: translate('Comment settings', locale),
+      menu_title: translate('Comments', locale)
+    },
+    {
+      capabilities: { manage_dashboard: 'manage_options' },
+      badge: 0,
+      position: 1600,
+      file: 'Discovery.vue',
+      parent_slug: 'settings',
+      slug: 'discovery',
+      page_title: translate('Sitemaps & feeds', locale),
+      menu_title: translate('Sitemaps & feeds', locale)
+    },
+    {
+      capabilities: { manage_dashboard: 'manage_options' },
+      badge: 0,
+      position: 1700,
+      file: 'Seo.vue',
+      parent_slug: 'settings',
+      slug: 'seo',
+      page_title: translate('SEO settings', locale),
+      menu_title: translate('SEO', locale)
+    },
+    {
+      capabilities: { manage_dashboard: 'manage_options' },
+      badge: 0,
+      position: 1800,
+      file: 'Permalinks.vue',
+      parent_slug: 'settings',
+      slug: 'permalinks',
+      page_title: translate('Permalink settings', locale),
+      menu_title: translate('Permalinks', locale)
+    },
+    {
+      capabilities: { manage_dashboard: 'manage_options' },
+      badge: 0,
+      position: 1900,
+      file: 'Redirects.vue',
+      parent_slug: 'settings',
+      slug: 'redirects',
+      page_title: translate('Redirects', locale),
+      menu_title: translate('Redirects', locale)
+    },
+    {
+      capabilities: { manage_dashboard: 'manage_options' },
+      badge: 0,
+      position: 2000,
+      file: 'Registration.vue',
+      parent_slug: 'settings',
+      slug: 'registration',
+      page_title: translate('Registration settings', locale),
+      menu_title: translate('Registration', locale)
+    },
+    {
+      capabilities: { manage_dashboard: 'manage_options' },
+      badge: 0,
+      position: 2100,
+      file: 'LoginSecurity.vue',
+      parent_slug: 'settings',
+      slug: 'login-security',
+      page_title: translate('Login security settings', locale),
+      menu_title: translate('Login security', locale)
+    },
+    {
+      capabilities: { edit_comments: 'edit_comments' },
+      badge: 0,
+      position: 200,
+      file: 'Moderation.vue',
+      parent_slug: 'comments',
+      slug: 'moderation',
+      page_title: translate('Moderation', locale),
+      menu_title: translate('Moderation', locale)
+    },
     {
       capabilities: { manage_dashboard: 'manage_dashboard' },
       badge: 0,
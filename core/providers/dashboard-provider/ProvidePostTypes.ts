@@ -29,6 +29,8 @@ interface PostType {
   name_plural: string
   description: string
   show_in_menu: boolean
+  // Served by the public delivery API
+  public: boolean
   icon: string
   badge: number
   position: number
@@ -41,6 +43,8 @@ interface PostField {
   slug: string
   type: string
   revisions: boolean
+  // Relevance weight in full-text search, 0 or unset keeps the field out of the index
+  search_weight?: number
   required: boolean
   priority: number
   order: number
@@ -59,6 +63,7 @@ export default async ({ req, res, next }: ProviderRequest): Promise<void> => {
       name_plural: translate('Posts', locale),
       description: 'A blog post type',
       show_in_menu: true,
+      public: true,
       icon: '<svg fill="currentColor" viewBox="0 0 24 24" version="1.2" baseProfile="tiny" xmlns="http://www.w3.org/2000/svg"><path d="M16.729 4.271a1 1 0 0 0-1.414-.004 1 1 0 0 0-.225.355c-.832 1.736-1.748 2.715-2.904 3.293C10.889 8.555 9.4 9 7 9a1.01 1.01 0 0 0-.923.617 1 1 0 0 0 .217 1.09l3.243 3.243L5 20l6.05-4.537 3.242 3.242a1 1 0 0 0 .326.217q.185.077.382.078c.197.001.26-.027.382-.078A1 1 0 0 0 16 18c0-2.4.444-3.889 1.083-5.166.577-1.156 1.556-2.072 3.293-2.904a1 1 0 0 0 .354-.225 1 1 0 0 0-.004-1.414z"/></svg>',
       badge: 0,
       position: 1100,
@@ -85,6 +90,7 @@ export default async ({ req, res, next }: ProviderRequest): Promise<void> => {
       name_plural: translate('Pages', locale),
       description: 'A static page type',
       show_in_menu: true,
+      public: true,
       icon: '<svg style="max-width:16px;" xmlns="http://www.w3.org/2000/svg" fill="currentColor" width="37" height="37" viewBox="0 0 37 37" xml:space="preserve"><path d="M36.75 8.5V35a2 2 0 0 1-2 2H8.25a2 2 0 0 1-2-2V8.5a2 2 0 0 1 2-2h26.5a2 2 0 0 1 2 2m-6-6.5a2 2 0 0 0-2-2H2.25a2 2 0 0 0-2 2v26.5a2 2 0 0 0 4 0V4h24.5a2 2 0 0 0 2-2"/></svg>',
       badge: 0,
       position: 1200,
@@ -111,6 +117,7 @@ export default async ({ req, res, next }: ProviderRequest): Promise<void> => {
       name_plural: translate('Media', locale),
       description: 'Media files',
       show_in_menu: true,
+      public: false,
       icon: '<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 100 100" xml:space="preserve"><path d="M36 31h28c.8 0 1.3-.9.8-1.5l-3.3-5.1c-1-2-3.1-3.3-5.4-3.3H43.9c-2.3 0-4.4 1.3-5.4 3.3l-3.3 5.1c-.5.6 0 1.5.8 1.5m14 18c-4.4 0-8 3.6-8 8s3.6 8 8 8 8-3.6 8-8-3.6-8-8-8"/><path d="M74 37H26c-3.3 0-6 2.7-6 6v28c0 3.3 2.7 6 6 6h48c3.3 0 6-2.7 6-6V43c0-3.3-2.7-6-6-6M50 71c-7.7 0-14-6.3-14-14s6.3-14 14-14 14 6.3 14 14-6.3 14-14 14"/></svg>',
       badge: 0,
       position: 1300,
@@ -137,6 +144,7 @@ export default async ({ req, res, next }: ProviderRequest): Promise<void> => {
       name_plural: translate('Comments', locale),
       description: 'Post comments',
       show_in_menu: true,
+      public: false,
       icon: '<svg style="max-width:17px;" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" fill="none"><path fill="currentColor" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 4H5a2 2 0 0 0-2 2v15l3.467-2.6a2 2 0 0 1 1.2-.4H19a2 2 0 0 0 2-2V6a2 2 0 0 0-2-2"/></svg>',
       position: 1400,
       badge: 0,
@@ -163,6 +171,7 @@ export default async ({ req, res, next }: ProviderRequest): Promise<void> => {
       name_plural: translate('Menu items', locale),
       description: '',
       show_in_menu: false,
+      public: false,
       icon: '<svg style="max-width:17px;" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" fill="none"><path fill="currentColor" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 4H5a2 2 0 0 0-2 2v15l3.467-2.6a2 2 0 0 1 1.2-.4H19a2 2 0 0 0 2-2V6a2 2 0 0 0-2-2"/></svg>',
       position: 1400,
       badge: 0,
@@ -193,6 +202,7 @@ export default async ({ req, res, next }: ProviderRequest): Promise<void> => {
       slug: 'title',
       type: 'text',
       revisions: false,
+      search_weight: 10,
       required: true,
       priority: 10,
       order: 1000
@@ -213,6 +223,7 @@ export default async ({ req, res, next }: ProviderRequest): Promise<void> => {
       slug: 'excerpt',
       type: 'textarea',
       revisions: true,
+      search_weight: 4,
       required: false,
       priority: 30,
       order: 1200
@@ -223,6 +234,7 @@ export default async ({ req, res, next }: ProviderRequest): Promise<void> => {
       slug: 'content',
       type: 'editor',
       revisions: true,
+      search_weight: 1,
       required: true,
       priority: 20,
       order: 1300
@@ -233,7 +245,7 @@ export default async ({ req, res, next }: ProviderRequest): Promise<void> => {
       slug: 'status',
       type: 'select',
       revisions: false,
-      options: { choices: ['draft', 'published', 'pending', 'private'] },
+      options: { choices: ['draft', 'published', 'pending', 'private', 'future'] },
       required: true,
       priority: 70,
       order: 1400
@@ -276,6 +288,7 @@ export default async ({ req, res, next }: ProviderRequest): Promise<void> => {
       slug: 'title',
       type: 'text',
       revisions: false,
+      search_weight: 10,
       required: true,
       priority: 10,
       order: 1000
@@ -306,6 +319,7 @@ export default async ({ req, res, next }: ProviderRequest): Promise<void> => {
       slug: 'content',
       type: 'editor',
       revisions: false,
+      search_weight: 1,
       required: true,
       priority: 20,
       order: 1300
@@ -316,7 +330,7 @@ export default async ({ req, res, next }: ProviderRequest): Promise<void> => {
       slug: 'status',
       type: 'select',
       revisions: false,
-      options: { choices: ['draft', 'published', 'pending', 'private'] },
+      options: { choices: ['draft', 'published', 'pending', 'private', 'future'] },
       required: true,
       priority: 50,
       order: 1400
@@ -443,10 +457,41 @@ export default async ({ req, res, next }: ProviderRequest): Promise<void> => {
       slug: 'authors',
       type: 'users',
       revisions: false,
-      required: true,
+      // Guests comment without an account
+      required: false,
       priority: 20,
       order: 1200
     },
+    {
+      parent_slug: 'comments',
+      name: translate('Name', locale),
+      slug: 'author_name',
+      type: 'text',
+      revisions: false,
+      required: false,
+      priority: 20,
+      order: 1300
+    },
+    {
+      parent_slug: 'comments',
+      name: translate('Email', locale),
+      slug: 'author_email',
+      type: 'text',
+      revisions: false,
+      required: false,
+      priority: 20,
+      order: 1400
+    },
+    {
+      parent_slug: 'comments',
+      name: translate('Website', locale),
+      slug: 'author_url',
+      type: 'text',
+      revisions: false,
+      required: false,
+      priority: 20,
+      order: 1500
+    },
 
     // Menu fields
     {
@@ -0,0 +1,52 @@
+/**
+ * Search Provider
+ * Keeps the full-text search index in sync with post changes
+ */
+
+import type { Request, Response, NextFunction } from 'express'
+import SearchService, { resolveSearchDriver, resolveSearchWeights } from '../../services/SearchService.ts'
+
+interface ProviderRequest {
+  req: Request & { hooks: any; context: HTMLDrop.Context }
+  res: Response
+  next: NextFunction
+}
+
+interface PostActionArgs {
+  post?: Record<string, any> | null
+}
+
+export default async function SearchProvider({ req }: ProviderRequest): Promise<void> {
+  const { hooks, context } = req
+  if (!context?.knex) return
+
+  const searchService = new SearchService(context, resolveSearchDriver(context, hooks))
+
+  const index = async (post: Record<string, any>): Promise<void> => {
+    const weights = resolveSearchWeights(await hooks.getFields(post.post_type_slug))
+    await searchService.indexPost(post, weights)
+  }
+
+  const remove = async (post: Record<string, any>): Promise<void> => {
+    await searchService.removePost(post.id)
+  }
+
+  const listen = (action: string, handler: (post: Record<string, any>) => Promise<void>) => {
+    // Run last so the index reflects changes made by other listeners
+    hooks.addAction(
+      action,
+      (args: PostActionArgs) => {
+        if (!args?.post?.id) return
+        return handler(args.post).catch((error) => {
+          console.error(`[Search] Failed to update the index on ${action}:`, error)
+        })
+      },
+      100
+    )
+  }
+
+  // Covers create, update, status changes, scheduled publishing and restoring from trash
+  listen('save_post', index)
+  listen('trash_post', remove)
+  listen('delete_post', remove)
+}
@@ -0,0 +1,60 @@
+/**
+ * SEO Provider
+ * Adds the `seo` field to public post types and their taxonomies
+ */
+
+import type { Request, Response, NextFunction } from 'express'
+import { SEO_FIELD } from '../../services/SeoService.ts'
+
+interface ProviderRequest {
+  req: Request & { hooks: any; context: HTMLDrop.Context; user?: any }
+  res: Response
+  next: NextFunction
+}
+
+interface FieldEntry {
+  field: Record<string, any>
+  priority: number
+  source: string
+}
+
+export default async function SeoProvider({ req }: ProviderRequest): Promise<void> {
+  const { hooks, context } = req
+  const locale = req?.user?.locale || 'en_US'
+
+  // Sub-field names are translated by the group control
+  const field = {
+    name: context.translate('SEO', locale),
+    slug: SEO_FIELD,
+    type: 'group',
+    revisions: true,
+    required: false,
+    priority: 5,
+    order: 9000,
+    options: {
+      fields: [
+        { slug: 'title', name: 'Meta title', type: 'text' },
+        { slug: 'description', name: 'Meta description', type: 'textarea' },
+        { slug: 'canonical', name: 'Canonical URL', type: 'text' },
+        { slug: 'image', name: 'Social image', type: 'media' },
+        { slug: 'noindex', name: 'Hide from search engines', type: 'boolean' }
+      ]
+    }
+  }
+
+  const isPublic = (postType: string): boolean => Boolean(hooks.getPostTypeEntry?.(postType)?.data?.public)
+
+  // Added when the fields are read so post types registered later by plugins get it too,
+  // a field with the same slug from the database or a plugin wins
+  const withSeoField = (fields: FieldEntry[], postType: string, extra: Record<string, string>): FieldEntry[] => {
+    if (!isPublic(postType) || fields.some((entry) => entry.field?.slug === SEO_FIELD)) return fields
+    return [...fields, { field: { ...field, ...extra }, priority: field.priority, source: 'runtime' }]
+  }
+
+  hooks.addFilter('postTypeFields', (fields: FieldEntry[], slug: string) => withSeoField(fields, slug, { parent_slug: slug }))
+
+  hooks.addFilter('taxonomyFields', (fields: FieldEntry[], key: string) => {
+    const [postType, taxonomy] = String(key).split(':')
+    return withSeoField(fields, postType, { parent_slug: taxonomy, post_type_slug: postType })
+  })
+}
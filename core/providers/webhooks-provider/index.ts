@@ -0,0 +1,41 @@
+/**
+ * Webhooks Provider
+ * Forwards the actions that registered webhooks subscribe to
+ */
+
+import type { Request, Response, NextFunction } from 'express'
+import WebhookService from '../../services/WebhookService.ts'
+
+interface ProviderRequest {
+  req: Request & { hooks: any; context: HTMLDrop.Context }
+  res: Response
+  next: NextFunction
+}
+
+export default async function WebhooksProvider({ req }: ProviderRequest): Promise<void> {
+  const { hooks, context } = req
+  if (!context?.knex) return
+
+  const webhookService = new WebhookService(context)
+
+  let events: string[] = []
+  try {
+    events = await webhookService.getSubscribedEvents()
+  } catch (error) {
+    console.error('[Webhooks] Failed to load webhooks:', error)
+    return
+  }
+
+  for (const event of events) {
+    // Run last so the payload reflects changes made by other listeners
+    hooks.addAction(
+      event,
+      (data: unknown) => {
+        return webhookService.dispatch(event, data).catch((error) => {
+          console.error(`[Webhooks] Failed to dispatch ${event}:`, error)
+        })
+      },
+      100
+    )
+  }
+}
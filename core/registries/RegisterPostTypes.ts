@@ -12,6 +12,8 @@ interface PostTypeData {
   description?: string
   icon?: string
   show_in_menu?: boolean
+  // Served to everyone by the delivery API
+  public?: boolean
   badge?: number
   position?: number
   capabilities?: Capabilities
@@ -31,6 +33,7 @@ interface PostFieldData {
   priority?: number
   required?: boolean
   revisions?: boolean
+  search_weight?: number
   options?: any
 }
 
@@ -96,15 +99,26 @@ export default class RegisterPostTypes {
         if (typeof type.show_in_menu !== 'undefined') {
           type.show_in_menu = Boolean(type.show_in_menu)
         }
+        if (typeof type.public !== 'undefined') {
+          type.public = Boolean(type.public)
+        }
+
+        const priority = type.priority ?? 5
 
         // Skip if user can't access
         if (type.capabilities && Object.keys(type.capabilities).length) {
           const resolved = await this.req.guard?.user({ canOneOf: type.capabilities })
-          if (!resolved) return
+          if (!resolved) {
+            // Public types stay known for the delivery API, the getters still hide them
+            if (type.public) {
+              this.postTypes.set(type.slug, { data: { ...type }, priority, source: 'db' })
+              idToSlug.set(type.id, type.slug)
+            }
+            return
+          }
           type.resolvedCapabilities = resolved // store canonical caps the user has
         }
 
-        const priority = type.priority ?? 5
         this.postTypes.set(type.slug, { data: { ...type }, priority, source: 'db' })
         idToSlug.set(type.id, type.slug)
 
@@ -185,18 +199,22 @@ export default class RegisterPostTypes {
   async registerPostType(type: PostTypeData, priority: number = 10): Promise<void> {
     await this.load()
 
+    const slug = type.slug
+    const existing = this.postTypes.get(slug)
+
+    if (existing && priority < existing.priority) return
+
     // Resolve caps if provided
     if (type.capabilities && Object.keys(type.capabilities).length) {
       const resolved = await this.req.guard?.user({ canOneOf: type.capabilities })
-      if (!resolved) return // user has no access at all
+      if (!resolved) {
+        // User has no access at all, public types stay known for the delivery API
+        if (type.public) this.postTypes.set(slug, { data: { ...type }, priority, source: 'runtime' })
+        return
+      }
       type.resolvedCapabilities = resolved
     }
 
-    const slug = type.slug
-    const existing = this.postTypes.get(slug)
-
-    if (existing && priority < existing.priority) return
-
     this.postTypes.set(slug, { data: { ...type }, priority, source: 'runtime' })
     this.hooks.doAction('postTypeRegistered', type)
 
@@ -283,6 +301,32 @@ export default class RegisterPostTypes {
     return this.hooks.applyFilters('postType', type)
   }
 
+  /**
+   * A post type served by the delivery API, whatever the current user may access
+   */
+  async getPublicPostType(slug: string): Promise<PostTypeData | null> {
+    await this.load()
+    const entry = this.getPostTypeEntry(slug)
+    if (!entry?.data.public) return null
+
+    const { resolvedCapabilities: _resolved, ...type } = entry.data
+    return this.hooks.applyFilters('postType', type)
+  }
+
+  /**
+   * All post types marked `public`, for guest search, sitemaps and feeds
+   */
+  async getPublicPostTypes(): Promise<PostTypeData[]> {
+    await this.load()
+    const all: PostTypeData[] = []
+    for (const entry of this.postTypes.values()) {
+      if (!entry.data.public) continue
+      const { resolvedCapabilities: _resolved, ...type } = entry.data
+      all.push(type)
+    }
+    return this.hooks.applyFilters('publicPostTypes', all)
+  }
+
   async getFields(slug: string): Promise<PostFieldEntry[]> {
     await this.load()
     const fields = this.fields.get(slug) || []
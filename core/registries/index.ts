@@ -25,7 +25,7 @@ interface ExtendedRequest extends Request {
 }
 
 interface ActionCallback {
-  callback: (...args: any[]) => void
+  callback: (...args: any[]) => unknown
   priority: number
 }
 
@@ -113,6 +113,8 @@ export default class Registry {
     this.req.hooks.sendWelcomeEmail = (user: any) => emailHelper.sendWelcomeEmail(this.req.context as any, user)
     this.req.hooks.sendPasswordResetEmail = (user: any, token: string, expiryMinutes: number) =>
       emailHelper.sendPasswordResetEmail(this.req.context as any, user, token, expiryMinutes)
+    this.req.hooks.sendVerificationEmail = (user: any, token: string, expiryHours: number) =>
+      emailHelper.sendVerificationEmail(this.req.context as any, user, token, expiryHours)
     this.req.hooks.sendTemplateEmail = (to: string, templateFn: any, data: any) =>
       emailHelper.sendTemplateEmail(this.req.context as any, to, templateFn, data)
     this.req.hooks.verifyEmailConnection = () => emailHelper.verifyEmailConnection(this.req.context as any)
@@ -121,15 +123,17 @@ export default class Registry {
   // ----------------------
   // Global actions/filters
   // ----------------------
-  addAction(hookName: string, callback: (...args: any[]) => void, priority: number = 10): void {
+  addAction(hookName: string, callback: (...args: any[]) => unknown, priority: number = 10): void {
     if (!this.actions[hookName]) this.actions[hookName] = []
     this.actions[hookName].push({ callback, priority })
     this.actions[hookName].sort((a, b) => a.priority - b.priority)
   }
 
-  doAction(hookName: string, ...args: any[]): void {
-    if (!this.actions[hookName]) return
-    this.actions[hookName].forEach((action) => action.callback(...args))
+  // Callbacks run in order right away, the returned promise settles once async callbacks have
+  doAction(hookName: string, ...args: any[]): Promise<void> {
+    if (!this.actions[hookName]) return Promise.resolve()
+    const results = this.actions[hookName].map((action) => action.callback(...args))
+    return Promise.all(results).then(() => undefined)
   }
 
   addFilter(hookName: string, callback: (value: any, ...args: any[]) => any, priority: number = 10): void {
@@ -162,7 +166,7 @@ export default class Registry {
     return this.applyFilters('the_excerpt', excerpt, post)
   }
 
-  getAttachmentUrl(attachmentIdorSlug: number | string): Promise<string | null> {
+  getAttachmentUrl(attachmentIdorSlug: number | string, size?: string): Promise<string | null> {
     const { knex, table } = this.req.context
 
     if (!knex) {
@@ -184,10 +188,13 @@ export default class Registry {
       const fileData = JSON.parse(meta.value)
       if (!fileData?.path) return null
 
+      // Prefer a generated image size when requested, falls back to the original
+      const filePath: string = (size && fileData.sizes?.[size]?.path) || fileData.path
+
       // Return a relative URL (or full URL if you have a base)
       // Example: "/uploads/2025/10/myfile.png"
       const origin = `${this.req.protocol}://${this.req.get('host')}`
-      return `${origin}/uploads/${fileData.path.replace(/\\/g, '/')}`
+      return `${origin}/uploads/${filePath.replace(/\\/g, '/')}`
     }
 
     return getUrl()
@@ -26,7 +26,15 @@ import CapabilitiesController from '../controllers/v1/CapabilitiesController.ts'
 import AuthProvidersController from '../controllers/v1/AuthProvidersController.ts'
 import SystemInfoController from '../controllers/v1/SystemInfoController.ts'
 import AIController from '../controllers/v1/AIController.ts'
+import WebhooksController from '../controllers/v1/WebhooksController.ts'
+import RedirectsController from '../controllers/v1/RedirectsController.ts'
+import AuditController from '../controllers/v1/AuditController.ts'
+import SearchController from '../controllers/v1/SearchController.ts'
+import BundlesController from '../controllers/v1/BundlesController.ts'
+import CommentsController from '../controllers/v1/CommentsController.ts'
+import DeliveryController from '../controllers/v1/DeliveryController.ts'
 import TracingController from '../controllers/TracingController.ts'
+import GraphQLController from '../controllers/GraphQLController.ts'
 import dbCheckMiddleware from '../middlewares/dbCheckMiddleware.ts'
 import dbRequiredMiddleware from '../middlewares/dbRequiredMiddleware.ts'
 import adminCheckMiddleware from '../middlewares/adminCheckMiddleware.ts'
@@ -84,6 +92,18 @@ export default (context: HTMLDrop.Context): Router => {
   router.use('/v1/auth-providers', jwtMiddleware(context), registryMiddleware(context), AuthProvidersController(context))
   router.use('/v1/system-info', jwtMiddleware(context), registryMiddleware(context), SystemInfoController(context))
   router.use('/v1/ai', jwtMiddleware(context), registryMiddleware(context), AIController(context))
+  router.use('/v1/webhooks', jwtMiddleware(context), registryMiddleware(context), WebhooksController(context))
+  router.use('/v1/redirects', jwtMiddleware(context), registryMiddleware(context), RedirectsController(context))
+  router.use('/v1/audit', jwtMiddleware(context), registryMiddleware(context), AuditController(context))
+  // Public, results are limited to the post types the caller (or the guest role) can read
+  router.use('/v1/search', jwtMiddleware(context), registryMiddleware(context), SearchController(context))
+  router.use('/v1/bundles', jwtMiddleware(context), registryMiddleware(context), BundlesController(context))
+  // Schema generated from the registries, limited to the post types the caller can read
+  router.use('/graphql', jwtMiddleware(context), registryMiddleware(context), GraphQLController(context))
+  // Public content for frontends, no JWT: only published posts of public post types
+  router.use('/v1/delivery', registryMiddleware(context), DeliveryController(context))
+  // Ahead of the posts routes, which would take `moderation` for a comment slug
+  router.use('/v1/comments/moderation', jwtMiddleware(context), registryMiddleware(context), CommentsController(context))
   router.use('/v1/tracing', jwtMiddleware(context), registryMiddleware(context), TracingController)
   router.use('/v1/post-types', jwtMiddleware(context), registryMiddleware(context), PostTypesController(context))
   router.use(
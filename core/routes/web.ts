@@ -4,6 +4,11 @@ import path from 'path'
 import fs from 'fs'
 import adminBarMiddleware from '../middlewares/adminBarMiddleware.ts'
 import registryMiddleware from '../middlewares/registryMiddleware.ts'
+import imageTransformMiddleware from '../middlewares/imageTransformMiddleware.ts'
+import DiscoveryController from '../controllers/DiscoveryController.ts'
+import type { ResolvedUrl } from '../services/PermalinkService.ts'
+import PreviewService from '../services/PreviewService.ts'
+import type { PreviewLink } from '../services/PreviewService.ts'
 import { TraceCategory } from '../services/PerformanceTracer.ts'
 import { getFolderHash } from '../services/FolderHashCache.ts'
 
@@ -16,6 +21,8 @@ interface ExtendedRequest extends Request {
     getCurrentSpan: () => { addTag: (key: string, value: any) => void } | null
   }
   context: HTMLDrop.Context
+  resolved?: ResolvedUrl | null
+  preview?: PreviewLink
 }
 
 interface ThemeInstance {
@@ -31,8 +38,13 @@ export default (context: HTMLDrop.Context): Router => {
   router.use(adminBarMiddleware)
 
   // Serve attachments (before registry middleware - static files don't need hooks)
+  // Resized/converted variants are generated on demand and cached on disk
+  router.use('/uploads', imageTransformMiddleware(context, uploadsPath))
   router.use('/uploads', express.static(uploadsPath))
 
+  // Sitemaps, feeds and robots.txt (before the theme, cached and built with the full registry)
+  router.use(DiscoveryController(context))
+
   // Apply registry middleware to set up hooks (including tracer) for themes
   router.use(registryMiddleware(context))
 
@@ -57,6 +69,30 @@ export default (context: HTMLDrop.Context): Router => {
         return res.redirect('/admin')
       }
 
+      // Preview links render a post of any status, never cached or indexed
+      const previewToken = typeof req.query.preview === 'string' ? req.query.preview : null
+      if (previewToken) {
+        const preview = await new PreviewService(extReq.context).resolve(previewToken)
+        res.set({ 'Cache-Control': 'private, no-store', 'X-Robots-Tag': 'noindex, nofollow' })
+        if (!preview) {
+          webSpan?.end()
+          return res.status(404).type('html').send('<body>Preview link is invalid or has expired</body>')
+        }
+        extReq.resolved = preview
+        extReq.preview = preview.preview
+      } else if (['GET', 'HEAD'].includes(req.method) && extReq.context.resolveUrl) {
+        // Resolve the path to a post for the theme, or follow a stored redirect
+        const resolved = await extReq.context.resolveUrl(req.path)
+        if (resolved?.type === 'redirect') {
+          // Keep the query string unless the target has its own
+          const queryIndex = req.originalUrl.indexOf('?')
+          const query = queryIndex >= 0 && !resolved.location.includes('?') ? req.originalUrl.slice(queryIndex) : ''
+          webSpan?.end()
+          return res.redirect(resolved.status, `${resolved.location}${query}`)
+        }
+        extReq.resolved = resolved
+      }
+
       const themeSlug = options.theme
 
       // Trace folder hash
@@ -0,0 +1,183 @@
+/**
+ * API Key Service
+ *
+ * Long-lived, revocable credentials for machine clients. Keys are only shown
+ * once on creation and stored as SHA-256 hashes, each key can be scoped to a
+ * subset of its owner's capabilities
+ */
+
+import crypto from 'crypto'
+import UserGuard from '../utils/UserGuard.ts'
+import { parseDate } from '../utils/dates.ts'
+
+export const API_KEY_PREFIX = 'hdk_'
+
+// Avoid a write on every request, last_used_at is only refreshed this often
+const LAST_USED_THROTTLE_MS = 60 * 1000
+
+interface ApiKeyRow {
+  id: number
+  user_id: number
+  name: string
+  prefix: string
+  key_hash: string
+  capabilities: string | string[] | null
+  last_used_at: string | null
+  expires_at: string | null
+  created_at: string
+  updated_at: string
+}
+
+export interface ApiKey {
+  id: number
+  user_id: number
+  name: string
+  prefix: string
+  capabilities: string[] | null
+  last_used_at: string | null
+  expires_at: string | null
+  created_at: string
+}
+
+export interface CreateApiKeyInput {
+  name?: string
+  capabilities?: string[] | null
+  expires_at?: string | null
+}
+
+export default class ApiKeyService {
+  private context: HTMLDrop.Context
+
+  constructor(context: HTMLDrop.Context) {
+    if (!context.knex) {
+      throw new Error('ApiKeyService requires a database connection')
+    }
+    this.context = context
+  }
+
+  /**
+   * Whether a bearer token looks like an API key rather than a JWT
+   */
+  static isApiKey(token: string | undefined | null): boolean {
+    return !!token && token.startsWith(API_KEY_PREFIX)
+  }
+
+  hash(key: string): string {
+    return crypto.createHash('sha256').update(key).digest('hex')
+  }
+
+  format(row: ApiKeyRow): ApiKey {
+    let capabilities: string[] | null = null
+    if (Array.isArray(row.capabilities)) capabilities = row.capabilities
+    else if (row.capabilities) {
+      try {
+        capabilities = JSON.parse(row.capabilities)
+      } catch {
+        capabilities = []
+      }
+    }
+    return {
+      id: row.id,
+      user_id: row.user_id,
+      name: row.name,
+      prefix: row.prefix,
+      capabilities,
+      last_used_at: row.last_used_at,
+      expires_at: row.expires_at,
+      created_at: row.created_at
+    }
+  }
+
+  async list(userId: number): Promise<ApiKey[]> {
+    const { knex, table } = this.context
+    const rows = (await knex!(table('api_keys')).where('user_id', userId).orderBy('id', 'desc')) as ApiKeyRow[]
+    return rows.map((row) => this.format(row))
+  }
+
+  /**
+   * Create a key for a user, the plain key is only returned here
+   *
+   * Requested capabilities must all be held by the user, omit them for a key
+   * that follows the user's capabilities
+   */
+  async create(userId: number, input: CreateApiKeyInput): Promise<ApiKey & { key: string }> {
+    const { knex, table, formatDate } = this.context
+
+    const name = String(input.name || '').trim()
+    if (!name) throw new Error('Name is required')
+
+    let capabilities: string[] | null = null
+    if (Array.isArray(input.capabilities) && input.capabilities.length) {
+      capabilities = [...new Set(input.capabilities.map(String))]
+      const userCaps = await new UserGuard(this.context, userId).resolveUserCapabilities(userId)
+      const missing = capabilities.filter((cap) => !userCaps.has(cap))
+      if (missing.length) throw new Error(`User does not have capabilities: ${missing.join(', ')}`)
+    }
+
+    let expiresAt: string | null = null
+    if (input.expires_at) {
+      const date = parseDate(input.expires_at)
+      if (!date) throw new Error('Invalid expires_at date')
+      if (date <= new Date()) throw new Error('expires_at must be in the future')
+      expiresAt = formatDate(date)
+    }
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`
+    const [result] = await knex!(table('api_keys'))
+      .insert({
+        user_id: userId,
+        name,
+        prefix: key.slice(0, 12),
+        key_hash: this.hash(key),
+        capabilities: capabilities ? JSON.stringify(capabilities) : null,
+        expires_at: expiresAt
+      })
+      .returning('id')
+    const id = typeof result === 'object' ? (result as { id: number }).id : result
+
+    const row = (await knex!(table('api_keys')).where('id', id).first()) as ApiKeyRow
+    return { ...this.format(row), key }
+  }
+
+  /**
+   * Revoke (delete) a key belonging to the user
+   */
+  async revoke(userId: number, id: number): Promise<ApiKey | null> {
+    const { knex, table } = this.context
+    const row = (await knex!(table('api_keys')).where({ id, user_id: userId }).first()) as ApiKeyRow | undefined
+    if (!row) return null
+    await knex!(table('api_keys')).where('id', id).delete()
+    return this.format(row)
+  }
+
+  /**
+   * Resolve a presented key to its record and owner
+   *
+   * Returns null for unknown or expired keys and for owners that are deleted or inactive
+   */
+  async authenticate(key: string): Promise<{ apiKey: ApiKey; user: { id: number; email: string; locale?: string } } | null> {
+    const { knex, table, formatDate } = this.context
+    if (!ApiKeyService.isApiKey(key)) return null
+
+    const row = (await knex!(table('api_keys')).where('key_hash', this.hash(key)).first()) as ApiKeyRow | undefined
+    if (!row) return null
+
+    const expiresAt = parseDate(row.expires_at)
+    if (expiresAt && expiresAt <= new Date()) return null
+
+    const user = await knex!(table('users')).where('id', row.user_id).whereNull('deleted_at').first()
+    if (!user || (user.status && user.status !== 'active')) return null
+
+    const lastUsed = parseDate(row.last_used_at)
+    if (!lastUsed || Date.now() - lastUsed.getTime() > LAST_USED_THROTTLE_MS) {
+      const now = formatDate(new Date())
+      await knex!(table('api_keys')).where('id', row.id).update({ last_used_at: now })
+      row.last_used_at = now
+    }
+
+    return {
+      apiKey: this.format(row),
+      user: { id: user.id, email: user.email, locale: user.locale }
+    }
+  }
+}
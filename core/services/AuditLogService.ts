@@ -0,0 +1,219 @@
+/**
+ * Audit Log Service
+ *
+ * Records who changed what: the actor, their IP, the action and a field-level
+ * before/after diff of the entity. Entries are written by the audit provider
+ * and pruned by the `purge_audit_log` scheduler task
+ */
+
+export const DEFAULT_RETENTION_DAYS = 90
+export const MAX_PAGE_SIZE = 200
+
+// Long values (post content, serialized blocks) are cut to keep entries small
+const MAX_VALUE_LENGTH = 2000
+const REDACTED = '[redacted]'
+
+// Bookkeeping columns that change on every write
+const IGNORED_KEYS = new Set(['updated_at'])
+
+// Changes to these are recorded, their values never are
+const REDACTED_KEYS = new Set(['password', 'reset_token', 'reset_token_prefix', 'reset_token_expires_at', 'key_hash'])
+
+export interface AuditChange {
+  from: unknown
+  to: unknown
+}
+
+export type AuditChanges = Record<string, AuditChange>
+
+export interface AuditActor {
+  id?: number | null
+  email?: string | null
+}
+
+export interface AuditEntryInput {
+  action: string
+  entityType: string
+  entityId?: string | number | null
+  label?: string | null
+  actor?: AuditActor | null
+  ip?: string | null
+  before?: Record<string, unknown> | null
+  after?: Record<string, unknown> | null
+  // Explicit changes, used instead of diffing before/after
+  changes?: AuditChanges | null
+  // Extra fields whose values must not be stored
+  redact?: string[]
+}
+
+export interface AuditEntry {
+  id: number
+  user_id: number | null
+  user_email: string | null
+  ip: string | null
+  action: string
+  entity_type: string
+  entity_id: string | null
+  entity_label: string | null
+  changes: AuditChanges | null
+  created_at: string
+}
+
+export interface AuditFilters {
+  user_id?: number | string
+  action?: string
+  entity_type?: string
+  entity_id?: string | number
+  from?: string
+  to?: string
+  search?: string
+  limit?: number | string
+  offset?: number | string
+}
+
+export default class AuditLogService {
+  private context: HTMLDrop.Context
+
+  constructor(context: HTMLDrop.Context) {
+    if (!context.knex) {
+      throw new Error('AuditLogService requires a database connection')
+    }
+    this.context = context
+  }
+
+  /**
+   * Make a value JSON-safe and bounded in size
+   */
+  normalize(value: unknown): unknown {
+    if (value === undefined) return null
+    if (value instanceof Date) return value.toISOString()
+    if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+      return `${value.slice(0, MAX_VALUE_LENGTH)}…`
+    }
+    if (value && typeof value === 'object') {
+      const seen = new WeakSet()
+      const json = JSON.stringify(value, (_key, val) => {
+        if (typeof val === 'function') return undefined
+        if (val && typeof val === 'object') {
+          if (seen.has(val)) return undefined
+          seen.add(val)
+        }
+        return val
+      })
+      if (json.length > MAX_VALUE_LENGTH) return `${json.slice(0, MAX_VALUE_LENGTH)}…`
+      return JSON.parse(json)
+    }
+    return value
+  }
+
+  /**
+   * Field-level diff of two entity snapshots, unchanged fields are left out
+   *
+   * A missing `before` describes a creation, a missing `after` a deletion
+   */
+  diff(
+    before?: Record<string, unknown> | null,
+    after?: Record<string, unknown> | null,
+    redact: string[] = []
+  ): AuditChanges {
+    const changes: AuditChanges = {}
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+
+    for (const key of keys) {
+      if (IGNORED_KEYS.has(key)) continue
+      const from = this.normalize(before?.[key])
+      const to = this.normalize(after?.[key])
+      if (JSON.stringify(from) === JSON.stringify(to)) continue
+      changes[key] = REDACTED_KEYS.has(key) || redact.includes(key)
+        ? { from: from === null ? null : REDACTED, to: to === null ? null : REDACTED }
+        : { from, to }
+    }
+
+    return changes
+  }
+
+  /**
+   * Write an entry, updates that change nothing are skipped
+   */
+  async record(input: AuditEntryInput): Promise<number | null> {
+    const { knex, table, formatDate } = this.context
+    const changes = input.changes ?? this.diff(input.before, input.after, input.redact)
+    const isUpdate = input.action === 'update'
+    if (isUpdate && Object.keys(changes).length === 0) return null
+
+    const [id] = await knex!(table('audit_log')).insert({
+      user_id: input.actor?.id ?? null,
+      user_email: input.actor?.email ?? null,
+      ip: input.ip ?? null,
+      action: input.action,
+      entity_type: input.entityType,
+      entity_id: input.entityId === undefined || input.entityId === null ? null : String(input.entityId),
+      entity_label: input.label ? String(input.label).slice(0, 255) : null,
+      changes: Object.keys(changes).length ? JSON.stringify(changes) : null,
+      created_at: formatDate(new Date())
+    })
+    return Number(id)
+  }
+
+  format(row: Record<string, unknown>): AuditEntry {
+    let changes = row.changes as AuditChanges | string | null
+    if (typeof changes === 'string') {
+      try {
+        changes = JSON.parse(changes) as AuditChanges
+      } catch {
+        changes = null
+      }
+    }
+    return { ...(row as unknown as AuditEntry), changes: changes as AuditChanges | null }
+  }
+
+  /**
+   * Filtered entries, newest first
+   */
+  async list(filters: AuditFilters = {}): Promise<{ items: AuditEntry[]; total: number }> {
+    const { knex, table } = this.context
+    const limit = Math.min(Math.max(Number(filters.limit) || 50, 1), MAX_PAGE_SIZE)
+    const offset = Math.max(Number(filters.offset) || 0, 0)
+
+    const query = knex!(table('audit_log'))
+    if (filters.user_id) query.where('user_id', Number(filters.user_id))
+    if (filters.action) query.where('action', String(filters.action))
+    if (filters.entity_type) query.where('entity_type', String(filters.entity_type))
+    if (filters.entity_id) query.where('entity_id', String(filters.entity_id))
+    if (filters.from) query.where('created_at', '>=', String(filters.from))
+    if (filters.to) query.where('created_at', '<=', String(filters.to))
+    if (filters.search) {
+      const term = `%${String(filters.search)}%`
+      query.where((q) => {
+        q.where('entity_label', 'like', term).orWhere('user_email', 'like', term)
+      })
+    }
+
+    const totalResult = (await query.clone().count('* as count').first()) as { count: number | string } | undefined
+    const rows = (await query.orderBy('id', 'desc').limit(limit).offset(offset)) as Record<string, unknown>[]
+
+    return { items: rows.map((row) => this.format(row)), total: Number(totalResult?.count || 0) }
+  }
+
+  /**
+   * Days to keep entries, from the `audit_log_retention_days` option. 0 keeps everything
+   */
+  getRetentionDays(): number {
+    const value = this.context.options?.audit_log_retention_days
+    if (value === undefined || value === null || value === '') return DEFAULT_RETENTION_DAYS
+    const days = Number(value)
+    return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS
+  }
+
+  /**
+   * Delete entries older than the retention period, returns the number removed
+   */
+  async purge(now: Date = new Date()): Promise<number> {
+    const { knex, table, formatDate } = this.context
+    const days = this.getRetentionDays()
+    if (days === 0) return 0
+
+    const cutoff = formatDate(new Date(now.getTime() - days * 24 * 60 * 60 * 1000))
+    return knex!(table('audit_log')).where('created_at', '<', cutoff).delete()
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * Block Service
+ *
+ * Content of `editor` fields is a list of blocks, stored together with the HTML
+ * rendered from them on save:
+ *
+ *   { "blocks": [{ "type": "heading", "level": 2, "text": "Hello" }], "html": "<h2>Hello</h2>" }
+ *
+ * Core blocks are paragraph, heading, list, quote, image, embed, code and html.
+ * Every block passes through the `render_block` filter, which is how plugins render
+ * blocks of their own types or change the output of core ones. Values stored before
+ * blocks existed are plain HTML strings and are left as they are
+ */
+
+export interface Block {
+  type: string
+  [key: string]: unknown
+}
+
+export interface BlockDocument {
+  blocks: Block[]
+  html: string
+}
+
+interface Hooks {
+  applyFilters?: (name: string, value: any, ...args: any[]) => any
+}
+
+// Inline formatting kept in the text of paragraphs, headings, lists and quotes
+const INLINE_TAGS = ['a', 'b', 'strong', 'i', 'em', 'u', 's', 'code', 'mark', 'sub', 'sup', 'br']
+
+export const escapeHtml = (value: unknown): string =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+
+const isSafeUrl = (url: string): boolean => {
+  const trimmed = url.trim()
+  if (/^(https?:|mailto:)/i.test(trimmed)) return true
+  // Relative URLs, but no other schemes like javascript:
+  return !/^[a-z][a-z0-9+.-]*:/i.test(trimmed) && !/^\s*\/\//.test(trimmed)
+}
+
+/**
+ * Keep the inline formatting tags of a text and escape everything else.
+ * Links keep their `href` when it is http(s), mailto or relative
+ */
+export const sanitizeInline = (value: unknown): string => {
+  const text = String(value ?? '')
+  const escapeText = (part: string): string =>
+    part.replace(/&(?!(#\d+|#x[\da-f]+|\w+);)/gi, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+  let html = ''
+  let last = 0
+  for (const match of text.matchAll(/<(\/?)([a-z][a-z0-9]*)\b([^<>]*)>/gi)) {
+    html += escapeText(text.slice(last, match.index))
+    last = (match.index as number) + match[0].length
+
+    const [, closing, tag, attributes] = match
+    const name = tag.toLowerCase()
+    if (!INLINE_TAGS.includes(name)) continue
+    if (closing) {
+      if (name !== 'br') html += `</${name}>`
+    } else if (name === 'a') {
+      const href = /\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i.exec(attributes)
+      const url = href ? (href[1] ?? href[2] ?? href[3]) : ''
+      html += url && isSafeUrl(url) ? `<a href="${escapeHtml(url)}">` : '<a>'
+    } else {
+      html += `<${name}>`
+    }
+  }
+  return html + escapeText(text.slice(last))
+}
+
+const caption = (value: unknown): string => (value ? `<figcaption>${sanitizeInline(value)}</figcaption>` : '')
+
+/**
+ * Embed URL of YouTube and Vimeo links
+ */
+const embedUrl = (url: string): string | null => {
+  const youtube = /^https?:\/\/(?:www\.|m\.)?(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{6,})/i.exec(url)
+  if (youtube) return `https://www.youtube-nocookie.com/embed/${youtube[1]}`
+  const vimeo = /^https?:\/\/(?:www\.)?vimeo\.com\/(?:video\/)?(\d+)/i.exec(url)
+  if (vimeo) return `https://player.vimeo.com/video/${vimeo[1]}`
+  return null
+}
+
+const CORE_BLOCKS: Record<string, (block: Block) => string> = {
+  paragraph: (block) => `<p>${sanitizeInline(block.text)}</p>`,
+  heading: (block) => {
+    const level = Math.min(Math.max(Number(block.level) || 2, 1), 6)
+    return `<h${level}>${sanitizeInline(block.text)}</h${level}>`
+  },
+  list: (block) => {
+    const tag = block.ordered ? 'ol' : 'ul'
+    const items = Array.isArray(block.items) ? block.items : []
+    return `<${tag}>${items.map((item) => `<li>${sanitizeInline(item)}</li>`).join('')}</${tag}>`
+  },
+  quote: (block) => {
+    const citation = block.citation ? `<cite>${sanitizeInline(block.citation)}</cite>` : ''
+    return `<blockquote><p>${sanitizeInline(block.text)}</p>${citation}</blockquote>`
+  },
+  image: (block) => {
+    const src = block.path ? `/uploads/${String(block.path).replace(/^\/+/, '')}` : String(block.url || '')
+    if (!src || !isSafeUrl(src)) return ''
+    return `<figure class="block-image"><img src="${escapeHtml(src)}" alt="${escapeHtml(block.alt)}" loading="lazy">${caption(block.caption)}</figure>`
+  },
+  embed: (block) => {
+    const url = String(block.url || '').trim()
+    if (!/^https?:\/\//i.test(url)) return ''
+    const src = embedUrl(url)
+    const content = src
+      ? `<iframe src="${escapeHtml(src)}" loading="lazy" allowfullscreen frameborder="0"></iframe>`
+      : `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`
+    return `<figure class="block-embed">${content}${caption(block.caption)}</figure>`
+  },
+  code: (block) => {
+    const language = block.language ? ` class="language-${escapeHtml(String(block.language).replace(/[^\w-]/g, ''))}"` : ''
+    return `<pre><code${language}>${escapeHtml(block.code)}</code></pre>`
+  },
+  // Raw HTML, also what content written before the block editor is converted to
+  html: (block) => String(block.html ?? '')
+}
+
+export const CORE_BLOCK_TYPES = Object.keys(CORE_BLOCKS)
+
+const parseJSON = (value: unknown): unknown => {
+  if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+const toBlocks = (value: unknown): Block[] | null => {
+  const parsed = parseJSON(value) as Record<string, unknown> | unknown[] | null
+  const blocks = Array.isArray(parsed) ? parsed : parsed && typeof parsed === 'object' ? parsed.blocks : null
+  if (!Array.isArray(blocks)) return null
+  return blocks.filter((block): block is Block => Boolean(block) && typeof block === 'object' && typeof block.type === 'string')
+}
+
+/**
+ * Whether a value is stored block content, `{ blocks, html }`
+ */
+export const isBlockDocument = (value: unknown): value is BlockDocument =>
+  Boolean(value) &&
+  typeof value === 'object' &&
+  Array.isArray((value as BlockDocument).blocks) &&
+  typeof (value as BlockDocument).html === 'string'
+
+export default class BlockService {
+  private hooks: Hooks
+
+  constructor(hooks: Hooks = {}) {
+    this.hooks = hooks
+  }
+
+  /**
+   * HTML of a single block, an empty string for types nothing renders
+   */
+  renderBlock(block: Block): string {
+    const html = CORE_BLOCKS[block.type]?.(block) ?? ''
+    if (!this.hooks.applyFilters) return html
+    const filtered = this.hooks.applyFilters('render_block', html, block)
+    return typeof filtered === 'string' ? filtered : html
+  }
+
+  /**
+   * HTML of editor content: blocks, a stored block document or a plain HTML string
+   */
+  render(content: unknown): string {
+    const blocks = toBlocks(content)
+    if (!blocks) return typeof content === 'string' ? content : ''
+    return blocks
+      .map((block) => this.renderBlock(block))
+      .filter(Boolean)
+      .join('\n')
+  }
+
+  /**
+   * Value of an editor field as it is stored: blocks with their freshly rendered HTML.
+   * The HTML sent by clients is ignored, strings are kept as they are
+   */
+  normalize(value: unknown): unknown {
+    const blocks = toBlocks(value)
+    if (!blocks) return value
+    return { blocks, html: this.render(blocks) }
+  }
+
+  /**
+   * Normalize the values of the `editor` fields among the values
+   */
+  normalizeFieldValues(fields: { field: { slug: string; type?: string } }[], values: Record<string, unknown>): Record<string, unknown> {
+    const normalized = { ...values }
+    for (const { field } of fields) {
+      if (field?.type === 'editor' && field.slug in normalized) {
+        normalized[field.slug] = this.normalize(normalized[field.slug])
+      }
+    }
+    return normalized
+  }
+}
@@ -0,0 +1,693 @@
+/**
+ * Bundle Service
+ *
+ * Portable content bundles for moving content between HTMLDrop instances,
+ * e.g. promoting content from staging to production. A bundle is a ZIP with:
+ *
+ * - `manifest.json`: bundle format, version, source and record counts
+ * - `post_types.ndjson`, `post_type_fields.ndjson`, `taxonomies.ndjson`,
+ *   `taxonomy_fields.ndjson`: content model stored in the database
+ * - `terms.ndjson`, `posts.ndjson`: one item per line with its meta, authors
+ *   and, for posts, the IDs of the terms it is filed under
+ * - `uploads/…`: files of the exported attachments, original and sizes
+ *
+ * IDs in a bundle are those of the source site. Imports give every item a new
+ * ID and re-link parents, term relationships, attachment references and relationship
+ * fields, which drop posts missing from the bundle; authors are matched to local users
+ * by email, then username
+ */
+
+import AdmZip from 'adm-zip'
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import type { Knex } from 'knex'
+import ImageService from './ImageService.ts'
+import PostService from './PostService.ts'
+import type { FieldDefinition } from './PostService.ts'
+
+export const BUNDLE_FORMAT = 'htmldrop-bundle'
+export const BUNDLE_VERSION = 1
+
+// What to do with an imported item whose slug is taken
+export const CONFLICT_STRATEGIES = ['rename', 'skip', 'overwrite'] as const
+export type ConflictStrategy = (typeof CONFLICT_STRATEGIES)[number]
+
+// Bookkeeping content that never leaves the site
+const EXCLUDED_POST_TYPES = ['jobs']
+
+// Rows per query, stays below the bound parameter limit of every database
+const CHUNK_SIZE = 500
+
+type Row = Record<string, any>
+type ProgressCallback = (progress: number, status: string) => void | Promise<void>
+
+interface AuthorRef {
+  email?: string | null
+  username?: string | null
+}
+
+interface BundledTerm extends Row {
+  id: number
+  meta: Record<string, string | null>
+  authors: AuthorRef[]
+}
+
+interface BundledPost extends BundledTerm {
+  terms: number[]
+}
+
+export interface BundleManifest {
+  format: string
+  version: number
+  created_at: string
+  post_types: string[]
+  counts: Record<string, number>
+}
+
+export interface ExportOptions {
+  // Post types to export, all but internal ones by default
+  postTypes?: string[]
+  // Add the files of attachments, on by default
+  includeUploads?: boolean
+}
+
+export interface ImportOptions {
+  conflict?: ConflictStrategy
+  // Author of imported items whose authors do not exist on this site
+  userId?: number | null
+}
+
+export interface ImportResult {
+  created: Record<string, number>
+  updated: Record<string, number>
+  skipped: Record<string, number>
+  files: number
+  post_types: string[]
+}
+
+interface Lookups {
+  postTypes: Map<string, number>
+  taxonomies: Map<string, number>
+  terms: Map<number, number>
+  attachments: Map<number, number>
+  groups: Map<string, string>
+  paths: Map<string, string>
+  users: Map<string, number | null>
+}
+
+const chunk = <T>(items: T[], size = CHUNK_SIZE): T[][] => {
+  const chunks: T[][] = []
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size))
+  return chunks
+}
+
+const toNdjson = (rows: unknown[]): Buffer => Buffer.from(rows.map((row) => JSON.stringify(row)).join('\n'))
+
+const parseJSON = (value: unknown): unknown => {
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+/**
+ * Replace `attachment_id` references and upload paths anywhere in a meta value
+ */
+const remapValue = (value: unknown, lookups: Lookups): unknown => {
+  if (Array.isArray(value)) return value.map((item) => remapValue(item, lookups))
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => {
+        if (key === 'attachment_id' && lookups.attachments.has(Number(item))) return [key, lookups.attachments.get(Number(item))]
+        if (key === 'path' && typeof item === 'string' && lookups.paths.has(item)) return [key, lookups.paths.get(item)]
+        return [key, remapValue(item, lookups)]
+      })
+    )
+  }
+  return value
+}
+
+export default class BundleService {
+  private context: HTMLDrop.Context
+  private knex: Knex
+  private uploadsPath: string
+  private columns: Map<string, Set<string>>
+
+  constructor(context: HTMLDrop.Context, uploadsPath: string = path.resolve('./content/uploads')) {
+    if (!context.knex) {
+      throw new Error('BundleService requires a database connection')
+    }
+    this.context = context
+    this.knex = context.knex
+    this.uploadsPath = uploadsPath
+    this.columns = new Map()
+  }
+
+  private table(name: string): string {
+    return this.context.table(name)
+  }
+
+  /**
+   * Files of an attachment relative to the uploads folder, the original and its sizes
+   */
+  attachmentFiles(fileMeta: unknown): string[] {
+    const file = parseJSON(fileMeta) as Row | null
+    if (!file || typeof file !== 'object') return []
+    const paths = [file.path, ...Object.values((file.sizes || {}) as Record<string, Row>).map((size) => size?.path)]
+    return [...new Set(paths.filter((item): item is string => typeof item === 'string' && !!item))]
+  }
+
+  private async selectIn(name: string, column: string, values: unknown[], modify?: (query: Knex.QueryBuilder) => void): Promise<Row[]> {
+    const rows: Row[] = []
+    for (const part of chunk([...new Set(values)])) {
+      const query = this.knex(this.table(name)).whereIn(column, part as any[])
+      if (modify) modify(query)
+      rows.push(...(await query))
+    }
+    return rows
+  }
+
+  private groupBy(rows: Row[], key: string): Map<number, Row[]> {
+    const grouped = new Map<number, Row[]>()
+    for (const row of rows) {
+      if (!grouped.has(row[key])) grouped.set(row[key], [])
+      grouped.get(row[key])!.push(row)
+    }
+    return grouped
+  }
+
+  private async authorsOf(name: 'post_authors' | 'term_authors', column: string, ids: number[]): Promise<Map<number, AuthorRef[]>> {
+    const links = await this.selectIn(name, column, ids)
+    const users = await this.selectIn('users', 'id', links.map((link) => link.user_id))
+    const byId = new Map(users.map((user) => [user.id, { email: user.email ?? null, username: user.username ?? null }]))
+    const authors = new Map<number, AuthorRef[]>()
+    for (const link of links) {
+      const user = byId.get(link.user_id)
+      if (!user) continue
+      if (!authors.has(link[column])) authors.set(link[column], [])
+      authors.get(link[column])!.push(user)
+    }
+    return authors
+  }
+
+  private withMeta(rows: Row[], metas: Row[], key: string, authors: Map<number, AuthorRef[]>): BundledTerm[] {
+    const metaByItem = this.groupBy(metas, key)
+    return rows.map((row) => ({
+      ...row,
+      id: row.id,
+      meta: Object.fromEntries((metaByItem.get(row.id) || []).map((meta) => [meta.field_slug, meta.value])),
+      authors: authors.get(row.id) || []
+    }))
+  }
+
+  /**
+   * Write a bundle of the given post types, their posts, terms and content model
+   * to a ZIP file. Attachments referenced by exported posts are always included
+   */
+  async exportBundle(target: string, options: ExportOptions = {}, onProgress: ProgressCallback = () => {}): Promise<BundleManifest> {
+    const { knex } = this
+    const includeUploads = options.includeUploads !== false
+
+    await onProgress(5, 'Collecting post types...')
+    let postTypes = options.postTypes?.length
+      ? options.postTypes
+      : [
+        ...new Set([
+          ...((await knex(this.table('post_types')).pluck('slug')) as string[]),
+          ...((await knex(this.table('posts')).distinct('post_type_slug').pluck('post_type_slug')) as string[])
+        ])
+      ]
+    postTypes = postTypes.filter((slug) => slug && !EXCLUDED_POST_TYPES.includes(slug))
+
+    await onProgress(10, 'Exporting posts...')
+    const posts = await this.selectIn('posts', 'post_type_slug', postTypes, (query) => query.whereNull('deleted_at').orderBy('id'))
+    let postMeta = await this.selectIn('post_meta', 'post_id', posts.map((post) => post.id))
+
+    // Attachments used by exported posts travel with them
+    const postIds = new Set(posts.map((post) => post.id))
+    const referenced = new Set<number>()
+    const collect = (value: unknown): void => {
+      if (Array.isArray(value)) value.forEach(collect)
+      else if (value && typeof value === 'object') {
+        for (const [key, item] of Object.entries(value)) {
+          if (key === 'attachment_id' && Number(item) && !postIds.has(Number(item))) referenced.add(Number(item))
+          else collect(item)
+        }
+      }
+    }
+    postMeta.forEach((meta) => collect(parseJSON(meta.value)))
+    if (referenced.size) {
+      const attachments = await this.selectIn('posts', 'id', [...referenced], (query) =>
+        query.where('post_type_slug', 'attachments').whereNull('deleted_at')
+      )
+      posts.push(...attachments)
+      postMeta = postMeta.concat(await this.selectIn('post_meta', 'post_id', attachments.map((post) => post.id)))
+      if (attachments.length && !postTypes.includes('attachments')) postTypes.push('attachments')
+    }
+
+    await onProgress(30, 'Exporting terms...')
+    const terms = await this.selectIn('terms', 'post_type_slug', postTypes, (query) => query.whereNull('deleted_at').orderBy('id'))
+    const termIds = new Set(terms.map((term) => term.id))
+    const termMeta = await this.selectIn('term_meta', 'term_id', [...termIds])
+    const relationships = (await this.selectIn('term_relationships', 'post_id', posts.map((post) => post.id))).filter((row) =>
+      termIds.has(row.term_id)
+    )
+    const termsByPost = this.groupBy(relationships, 'post_id')
+
+    await onProgress(45, 'Exporting authors...')
+    const postAuthors = await this.authorsOf('post_authors', 'post_id', posts.map((post) => post.id))
+    const termAuthors = await this.authorsOf('term_authors', 'term_id', [...termIds])
+
+    const bundledPosts: BundledPost[] = this.withMeta(posts, postMeta, 'post_id', postAuthors).map((post) => ({
+      ...post,
+      terms: (termsByPost.get(post.id) || []).map((row) => row.term_id)
+    }))
+    const bundledTerms: BundledTerm[] = this.withMeta(terms, termMeta, 'term_id', termAuthors)
+
+    await onProgress(55, 'Exporting content model...')
+    const model = {
+      post_types: await this.selectIn('post_types', 'slug', postTypes),
+      post_type_fields: await this.selectIn('post_type_fields', 'post_type_slug', postTypes),
+      taxonomies: await this.selectIn('taxonomies', 'post_type_slug', postTypes),
+      taxonomy_fields: await this.selectIn('taxonomy_fields', 'post_type_slug', postTypes)
+    }
+
+    const zip = new AdmZip()
+    let files = 0
+    if (includeUploads) {
+      await onProgress(65, 'Adding uploads...')
+      const imageService = new ImageService(this.context, this.uploadsPath)
+      for (const post of bundledPosts.filter((item) => item.post_type_slug === 'attachments')) {
+        for (const relativePath of this.attachmentFiles(post.meta.file)) {
+          const source = imageService.resolveUploadPath(relativePath)
+          if (!source || !fs.existsSync(source)) continue
+          zip.addFile(`uploads/${relativePath.split(path.sep).join('/')}`, await fs.promises.readFile(source))
+          files++
+        }
+      }
+    }
+
+    const manifest: BundleManifest = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      created_at: new Date().toISOString(),
+      post_types: postTypes,
+      counts: {
+        ...Object.fromEntries(Object.entries(model).map(([name, rows]) => [name, rows.length])),
+        terms: bundledTerms.length,
+        posts: bundledPosts.length,
+        files
+      }
+    }
+
+    await onProgress(85, 'Writing bundle...')
+    zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)))
+    for (const [name, rows] of Object.entries(model)) zip.addFile(`${name}.ndjson`, toNdjson(rows))
+    zip.addFile('terms.ndjson', toNdjson(bundledTerms))
+    zip.addFile('posts.ndjson', toNdjson(bundledPosts))
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true })
+    await zip.writeZipPromise(target)
+    return manifest
+  }
+
+  /**
+   * Read and validate the manifest of a bundle
+   */
+  readManifest(zip: AdmZip): BundleManifest {
+    const entry = zip.getEntry('manifest.json')
+    const manifest = entry ? (parseJSON(entry.getData().toString('utf8')) as BundleManifest) : null
+    if (!manifest || typeof manifest !== 'object' || manifest.format !== BUNDLE_FORMAT) {
+      throw new Error('Not an HTMLDrop content bundle')
+    }
+    if (!Number.isInteger(manifest.version) || manifest.version > BUNDLE_VERSION) {
+      throw new Error(`Unsupported bundle version ${manifest.version}, this site reads up to version ${BUNDLE_VERSION}`)
+    }
+    return manifest
+  }
+
+  private readRecords<T = Row>(zip: AdmZip, name: string): T[] {
+    const entry = zip.getEntry(`${name}.ndjson`)
+    if (!entry) return []
+    return entry
+      .getData()
+      .toString('utf8')
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line) as T)
+  }
+
+  /**
+   * Columns of a table, so bundles from newer or older sites only write what exists here
+   */
+  private async columnsOf(db: Knex | Knex.Transaction, name: string): Promise<Set<string>> {
+    if (!this.columns.has(name)) {
+      this.columns.set(name, new Set(Object.keys(await db(this.table(name)).columnInfo())))
+    }
+    return this.columns.get(name)!
+  }
+
+  private async toRow(db: Knex | Knex.Transaction, name: string, record: Row, omit: string[] = []): Promise<Row> {
+    const columns = await this.columnsOf(db, name)
+    const row: Row = {}
+    for (const [key, value] of Object.entries(record)) {
+      if (key === 'id' || omit.includes(key) || !columns.has(key)) continue
+      row[key] = value && typeof value === 'object' ? JSON.stringify(value) : value
+    }
+    return row
+  }
+
+  private async insert(db: Knex | Knex.Transaction, name: string, row: Row): Promise<number> {
+    const [result] = await db(this.table(name)).insert(row).returning('id')
+    return typeof result === 'object' ? (result as { id: number }).id : result
+  }
+
+  /**
+   * First free slug, `slug-2`, `slug-3`… within the given scope
+   */
+  private async uniqueSlug(db: Knex | Knex.Transaction, name: string, slug: string, scope: Row): Promise<string> {
+    for (let i = 2; ; i++) {
+      const candidate = `${slug}-${i}`
+      if (!(await db(this.table(name)).where({ ...scope, slug: candidate }).first())) return candidate
+    }
+  }
+
+  private async resolveUser(db: Knex | Knex.Transaction, author: AuthorRef, lookups: Lookups): Promise<number | null> {
+    const key = `${author.email || ''}|${author.username || ''}`
+    if (!lookups.users.has(key)) {
+      const user =
+        (author.email && (await db(this.table('users')).where('email', author.email).first())) ||
+        (author.username && (await db(this.table('users')).where('username', author.username).first()))
+      lookups.users.set(key, user ? user.id : null)
+    }
+    return lookups.users.get(key)!
+  }
+
+  private async linkAuthors(
+    db: Knex | Knex.Transaction,
+    name: 'post_authors' | 'term_authors',
+    column: string,
+    id: number,
+    authors: AuthorRef[],
+    lookups: Lookups,
+    fallbackUserId: number | null
+  ): Promise<void> {
+    const userIds = new Set<number>()
+    for (const author of authors) {
+      const userId = await this.resolveUser(db, author, lookups)
+      if (userId) userIds.add(userId)
+    }
+    if (!userIds.size && fallbackUserId) userIds.add(fallbackUserId)
+    for (const userId of userIds) {
+      await db(this.table(name)).insert({ [column]: id, user_id: userId }).onConflict([column, 'user_id']).ignore()
+    }
+  }
+
+  /**
+   * Translation groups keep linking the imported translations. When renaming,
+   * a group already used on this site gets a new ID so both sets stay apart
+   */
+  private async mapGroup(db: Knex | Knex.Transaction, name: string, group: string | null | undefined, conflict: ConflictStrategy, lookups: Lookups): Promise<string | null> {
+    if (!group) return null
+    const key = `${name}:${group}`
+    if (!lookups.groups.has(key)) {
+      const taken = conflict === 'rename' && (await db(this.table(name)).where('translation_group', group).first())
+      lookups.groups.set(key, taken ? crypto.randomUUID() : group)
+    }
+    return lookups.groups.get(key)!
+  }
+
+  /**
+   * Import the content model rows, matched on their unique keys
+   */
+  private async importModel(
+    db: Knex | Knex.Transaction,
+    name: string,
+    records: Row[],
+    keys: string[],
+    conflict: ConflictStrategy,
+    result: ImportResult,
+    prepare: (record: Row) => Row = (record) => record,
+    onId?: (record: Row, id: number) => void
+  ): Promise<void> {
+    for (const record of records) {
+      const row = await this.toRow(db, name, prepare(record), ['created_at', 'updated_at'])
+      const where = Object.fromEntries(keys.map((key) => [key, record[key]]))
+      const existing = await db(this.table(name)).where(where).first()
+      if (existing) {
+        if (conflict === 'overwrite') {
+          await db(this.table(name)).where('id', existing.id).update(row)
+          result.updated[name] = (result.updated[name] || 0) + 1
+        } else {
+          result.skipped[name] = (result.skipped[name] || 0) + 1
+        }
+        onId?.(record, existing.id)
+      } else {
+        const id = await this.insert(db, name, row)
+        onId?.(record, id)
+        result.created[name] = (result.created[name] || 0) + 1
+      }
+    }
+  }
+
+  private async replaceMeta(db: Knex | Knex.Transaction, name: 'post_meta' | 'term_meta', column: string, id: number, meta: Record<string, unknown>, lookups: Lookups): Promise<void> {
+    await db(this.table(name)).where(column, id).del()
+    const rows = Object.entries(meta).map(([field_slug, value]) => {
+      const parsed = parseJSON(value)
+      const remapped = parsed && typeof parsed === 'object' ? JSON.stringify(remapValue(parsed, lookups)) : value
+      return { [column]: id, field_slug, value: remapped as string | null }
+    })
+    for (const part of chunk(rows, 100)) await db(this.table(name)).insert(part)
+  }
+
+  /**
+   * Copy the files of an attachment into the uploads folder. A different file
+   * already at the same path is kept and the imported one gets a free name
+   */
+  private async copyFiles(zip: AdmZip, fileMeta: unknown, lookups: Lookups): Promise<number> {
+    const imageService = new ImageService(this.context, this.uploadsPath)
+    let copied = 0
+    for (const relativePath of this.attachmentFiles(fileMeta)) {
+      const entry = zip.getEntry(`uploads/${relativePath}`)
+      let target = imageService.resolveUploadPath(relativePath)
+      if (!entry || !target) continue
+      const data = entry.getData()
+
+      if (fs.existsSync(target) && !data.equals(await fs.promises.readFile(target))) {
+        // Free names sit in the same folder, already inside the uploads folder
+        const { dir, name, ext } = path.parse(relativePath)
+        const folder = path.dirname(target)
+        let finalPath = relativePath
+        for (let i = 1; fs.existsSync(target); i++) {
+          finalPath = path.posix.join(dir, `${name}-${i}${ext}`)
+          target = path.join(folder, `${name}-${i}${ext}`)
+        }
+        lookups.paths.set(relativePath, finalPath)
+      }
+      if (!fs.existsSync(target)) {
+        await fs.promises.mkdir(path.dirname(target), { recursive: true })
+        await fs.promises.writeFile(target, data)
+        copied++
+      }
+    }
+    return copied
+  }
+
+  /**
+   * Import the items of a bundle, terms or posts, and return the new ID of each
+   */
+  private async importItems(
+    db: Knex | Knex.Transaction,
+    zip: AdmZip,
+    type: 'post' | 'term',
+    records: BundledTerm[],
+    options: Required<ImportOptions>,
+    lookups: Lookups,
+    result: ImportResult
+  ): Promise<Map<number, { id: number; written: boolean }>> {
+    const name = type === 'post' ? 'posts' : 'terms'
+    const idColumn = `${type}_id`
+    const ids = new Map<number, { id: number; written: boolean }>()
+
+    for (const record of records) {
+      const scope =
+        type === 'post'
+          ? { post_type_slug: record.post_type_slug }
+          : { post_type_slug: record.post_type_slug, taxonomy_slug: record.taxonomy_slug }
+      const row = await this.toRow(db, name, record, ['meta', 'authors', 'terms', 'parent_id'])
+      row.translation_group = await this.mapGroup(db, name, record.translation_group, options.conflict, lookups)
+      if (type === 'post') row.post_type_id = lookups.postTypes.get(record.post_type_slug) ?? null
+      else row.taxonomy_id = lookups.taxonomies.get(`${record.post_type_slug}:${record.taxonomy_slug}`) ?? null
+      if (!(await this.columnsOf(db, name)).has('translation_group')) delete row.translation_group
+
+      const existing = record.slug ? await db(this.table(name)).where({ ...scope, slug: record.slug }).first() : null
+      if (existing && options.conflict === 'skip') {
+        ids.set(record.id, { id: existing.id, written: false })
+        result.skipped[name] = (result.skipped[name] || 0) + 1
+        if (record.post_type_slug === 'attachments') lookups.attachments.set(record.id, existing.id)
+        continue
+      }
+
+      if (record.post_type_slug === 'attachments') result.files += await this.copyFiles(zip, record.meta.file, lookups)
+
+      let id: number
+      if (existing && options.conflict === 'overwrite') {
+        id = existing.id
+        await db(this.table(name)).where('id', id).update(row)
+        result.updated[name] = (result.updated[name] || 0) + 1
+      } else {
+        if (existing) row.slug = await this.uniqueSlug(db, name, record.slug, scope)
+        id = await this.insert(db, name, row)
+        result.created[name] = (result.created[name] || 0) + 1
+      }
+
+      if (record.post_type_slug === 'attachments') lookups.attachments.set(record.id, id)
+      await this.replaceMeta(db, `${type}_meta` as 'post_meta' | 'term_meta', idColumn, id, record.meta || {}, lookups)
+      await this.linkAuthors(db, `${type}_authors` as 'post_authors' | 'term_authors', idColumn, id, record.authors || [], lookups, options.userId)
+      ids.set(record.id, { id, written: true })
+    }
+    return ids
+  }
+
+  /**
+   * Import a bundle: the content model, then terms, then posts in batches of 100,
+   * each step in a transaction. Uploaded files are copied as attachments are
+   * imported and stay in place if the import fails
+   */
+  async importBundle(source: string, options: ImportOptions = {}, onProgress: ProgressCallback = () => {}): Promise<ImportResult> {
+    const conflict = options.conflict ?? 'rename'
+    if (!CONFLICT_STRATEGIES.includes(conflict)) {
+      throw new Error(`Invalid conflict strategy "${conflict}", expected one of: ${CONFLICT_STRATEGIES.join(', ')}`)
+    }
+    const settings: Required<ImportOptions> = { conflict, userId: options.userId ?? null }
+
+    let zip: AdmZip
+    try {
+      zip = new AdmZip(source)
+    } catch {
+      throw new Error('Not an HTMLDrop content bundle')
+    }
+    const manifest = this.readManifest(zip)
+
+    const result: ImportResult = { created: {}, updated: {}, skipped: {}, files: 0, post_types: manifest.post_types || [] }
+    const lookups: Lookups = {
+      postTypes: new Map(),
+      taxonomies: new Map(),
+      terms: new Map(),
+      attachments: new Map(),
+      groups: new Map(),
+      paths: new Map(),
+      users: new Map()
+    }
+
+    // Each step runs in its own transaction and progress is reported between them,
+    // job updates need a connection and SQLite has only one
+    await onProgress(5, 'Importing content model...')
+    await this.knex.transaction(async (trx) => {
+      await this.importModel(trx, 'post_types', this.readRecords(zip, 'post_types'), ['slug'], conflict, result, undefined, (record, id) =>
+        lookups.postTypes.set(record.slug, id)
+      )
+      for (const type of await trx(this.table('post_types')).whereIn('slug', result.post_types)) {
+        if (!lookups.postTypes.has(type.slug)) lookups.postTypes.set(type.slug, type.id)
+      }
+      await this.importModel(trx, 'post_type_fields', this.readRecords(zip, 'post_type_fields'), ['post_type_slug', 'slug'], conflict, result, (record) => ({
+        ...record,
+        post_type_id: lookups.postTypes.get(record.post_type_slug) ?? null
+      }))
+      await this.importModel(trx, 'taxonomies', this.readRecords(zip, 'taxonomies'), ['post_type_slug', 'slug'], conflict, result, undefined, (record, id) =>
+        lookups.taxonomies.set(`${record.post_type_slug}:${record.slug}`, id)
+      )
+      await this.importModel(
+        trx,
+        'taxonomy_fields',
+        this.readRecords(zip, 'taxonomy_fields'),
+        ['post_type_slug', 'taxonomy_slug', 'slug'],
+        conflict,
+        result,
+        (record) => ({ ...record, taxonomy_id: lookups.taxonomies.get(`${record.post_type_slug}:${record.taxonomy_slug}`) ?? null })
+      )
+    })
+
+    await onProgress(20, 'Importing terms...')
+    await this.knex.transaction(async (trx) => {
+      const terms = this.readRecords<BundledTerm>(zip, 'terms')
+      const termIds = await this.importItems(trx, zip, 'term', terms, settings, lookups, result)
+      for (const [oldId, { id }] of termIds) lookups.terms.set(oldId, id)
+      for (const term of terms) {
+        const imported = termIds.get(term.id)
+        if (!imported?.written) continue
+        await trx(this.table('terms'))
+          .where('id', imported.id)
+          .update({ parent_id: term.parent_id ? (lookups.terms.get(term.parent_id) ?? null) : null })
+      }
+    })
+
+    // Attachments first so posts can point at their new IDs
+    const posts = this.readRecords<BundledPost>(zip, 'posts')
+    const attachments = posts.filter((post) => post.post_type_slug === 'attachments')
+    const others = posts.filter((post) => post.post_type_slug !== 'attachments')
+    const parts = chunk([...attachments, ...others], 100)
+    const postIds = new Map<number, { id: number; written: boolean }>()
+    for (const [i, part] of parts.entries()) {
+      await onProgress(30 + Math.round((i / parts.length) * 70), `Importing posts ${i * 100 + 1}-${i * 100 + part.length} of ${posts.length}...`)
+      await this.knex.transaction(async (trx) => {
+        for (const [oldId, imported] of await this.importItems(trx, zip, 'post', part, settings, lookups, result)) {
+          postIds.set(oldId, imported)
+          if (!imported.written) continue
+          const post = part.find((item) => item.id === oldId)!
+          await trx(this.table('term_relationships')).where('post_id', imported.id).del()
+          const links = [...new Set((post.terms || []).map((termId) => lookups.terms.get(termId)).filter(Boolean))]
+          for (const linked of chunk(links, 100)) {
+            await trx(this.table('term_relationships')).insert(linked.map((termId) => ({ term_id: termId, post_id: imported.id })))
+          }
+        }
+      })
+    }
+
+    await this.relinkRelationships(posts, postIds, result, onProgress)
+
+    return result
+  }
+
+  /**
+   * Point relationship fields of the imported posts at the new post IDs,
+   * once every post of the bundle has one
+   */
+  private async relinkRelationships(
+    posts: BundledPost[],
+    postIds: Map<number, { id: number; written: boolean }>,
+    result: ImportResult,
+    onProgress: ProgressCallback
+  ): Promise<void> {
+    const fields = (await this.knex(this.table('post_type_fields'))
+      .where('type', 'relationship')
+      .whereIn('post_type_slug', result.post_types)) as Row[]
+    if (!fields.length) return
+
+    await onProgress(95, 'Linking related posts...')
+    await this.knex.transaction(async (trx) => {
+      const postService = new PostService({ knex: trx, table: this.table.bind(this), normalizeSlug: this.context.normalizeSlug })
+      for (const post of posts) {
+        const imported = postIds.get(post.id)
+        const postFields = fields.filter((field) => field.post_type_slug === post.post_type_slug)
+        if (!imported?.written || !postFields.length) continue
+
+        const values: Row = {}
+        for (const field of postFields) {
+          if (typeof post.meta?.[field.slug] === 'undefined') continue
+          values[field.slug] = postService
+            .relatedIds(post.meta[field.slug])
+            .map((id) => postIds.get(id)?.id)
+            .filter(Boolean)
+          await trx(this.table('post_meta'))
+            .where({ post_id: imported.id, field_slug: field.slug })
+            .update({ value: JSON.stringify(values[field.slug]) })
+        }
+        await postService.syncRelationships(imported.id, postFields.map((field) => ({ field: field as FieldDefinition })), values)
+      }
+    })
+  }
+}
@@ -0,0 +1,433 @@
+/**
+ * Comment Service
+ *
+ * Comments are posts of the `comments` type. `comment_post_id` links a comment to the
+ * post it belongs to and `comment_parent_id` to the comment it replies to. The text is
+ * stored in the `content` meta, guest authors in `author_name`, `author_email` and
+ * `author_url`, signed-in authors in `post_authors` like any other post.
+ *
+ * Statuses are `approved`, `pending`, `spam` and `trash`, only approved comments are public.
+ * New comments are approved or held for moderation according to the post type's settings,
+ * and the `pre_comment_approved` filter lets anti-spam plugins decide otherwise.
+ *
+ * Site settings (options):
+ * - `comment_settings`: settings per post type, e.g.
+ *   {"posts": {"open": true, "guests": true, "moderation": "guests", "max_depth": 5, "close_after_days": 0}}
+ */
+
+import crypto from 'crypto'
+import type { Knex } from 'knex'
+import { CORE_POST_TYPES, ERROR_CODES } from '../utils/constants.ts'
+import type { FieldError } from './FieldValidationService.ts'
+
+export const COMMENT_STATUSES = ['approved', 'pending', 'spam', 'trash'] as const
+export type CommentStatus = (typeof COMMENT_STATUSES)[number]
+
+// Which new comments wait for approval: every comment, those of guests, or none
+export type ModerationMode = 'all' | 'guests' | 'none'
+
+export interface CommentSettings {
+  open: boolean
+  // Whether visitors who are not signed in may comment
+  guests: boolean
+  moderation: ModerationMode
+  // Deepest reply level, 1 allows no replies
+  max_depth: number
+  // Close comments on posts older than this, 0 keeps them open
+  close_after_days: number
+}
+
+export const DEFAULT_COMMENT_SETTINGS: CommentSettings = {
+  open: false,
+  guests: true,
+  moderation: 'guests',
+  max_depth: 5,
+  close_after_days: 0
+}
+
+export const MAX_COMMENT_LENGTH = 5000
+
+export interface CommentInput {
+  content?: unknown
+  parent_id?: unknown
+  author_name?: unknown
+  author_email?: unknown
+  author_url?: unknown
+  [key: string]: unknown
+}
+
+export interface CommentAuthor {
+  // Signed-in author, guests have none
+  user_id?: number | null
+  ip?: string | null
+  user_agent?: string | null
+  // Authors who moderate comments skip the moderation queue
+  moderator?: boolean
+}
+
+export interface Comment {
+  id: number
+  post_id: number
+  parent_id: number | null
+  status: string
+  content: string
+  author_name: string | null
+  author_url: string | null
+  user_id: number | null
+  created_at: string
+  // Only for moderators
+  author_email?: string | null
+  author_ip?: string | null
+  author_user_agent?: string | null
+  post?: { id: number; slug: string | null; post_type_slug: string; title: string | null }
+  replies?: Comment[]
+}
+
+export interface QueueOptions {
+  status?: string
+  post_id?: number
+  limit?: number
+  offset?: number
+}
+
+interface Hooks {
+  applyFilters?: (name: string, value: any, ...args: any[]) => any
+}
+
+type Row = Record<string, any>
+
+// Meta written for comments, the last three are only shown to moderators
+const AUTHOR_FIELDS = ['author_name', 'author_email', 'author_url', 'author_ip', 'author_user_agent']
+
+const parseJSON = (value: unknown): unknown => {
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+const clean = (value: unknown, max = 255): string => (typeof value === 'string' ? value.trim().slice(0, max) : '')
+
+// SQLite returns UTC datetimes as "YYYY-MM-DD HH:MM:SS"
+const toDate = (value: unknown): Date => {
+  const str = String(value)
+  return new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(str) ? `${str.replace(' ', 'T')}Z` : str)
+}
+
+/**
+ * Thrown when a comment cannot be created, `status` is the HTTP status to answer with
+ */
+export class CommentError extends Error {
+  status: number
+  code: string
+  errors: FieldError[]
+
+  constructor(message: string, status = 400, code: string = ERROR_CODES.INVALID_INPUT, errors: FieldError[] = []) {
+    super(message)
+    this.name = 'CommentError'
+    this.status = status
+    this.code = code
+    this.errors = errors
+  }
+}
+
+export default class CommentService {
+  private context: HTMLDrop.Context
+  private knex: Knex
+  private hooks: Hooks
+
+  constructor(context: HTMLDrop.Context, hooks: Hooks = {}) {
+    if (!context.knex) {
+      throw new Error('CommentService requires a database connection')
+    }
+    this.context = context
+    this.knex = context.knex
+    this.hooks = hooks
+  }
+
+  private table(name: string): string {
+    return this.context.table(name)
+  }
+
+  /**
+   * Comment settings of a post type, missing settings take the defaults
+   */
+  getSettings(postType: string): CommentSettings {
+    const all = parseJSON(this.context.options?.comment_settings) as Record<string, Partial<CommentSettings>> | null
+    const settings = { ...DEFAULT_COMMENT_SETTINGS, ...(all && typeof all === 'object' ? all[postType] : {}) }
+    return {
+      open: Boolean(settings.open),
+      guests: Boolean(settings.guests),
+      moderation: ['all', 'guests', 'none'].includes(settings.moderation) ? settings.moderation : DEFAULT_COMMENT_SETTINGS.moderation,
+      max_depth: Math.max(Number(settings.max_depth) || 1, 1),
+      close_after_days: Math.max(Number(settings.close_after_days) || 0, 0)
+    }
+  }
+
+  /**
+   * Whether a post takes new comments: published, of a type with comments open,
+   * and not older than the type's `close_after_days`
+   */
+  isOpen(post: Row, settings: CommentSettings = this.getSettings(post.post_type_slug)): boolean {
+    if (!settings.open || post.status !== 'published' || post.deleted_at) return false
+    if (post.post_type_slug === CORE_POST_TYPES.COMMENT) return false
+    if (!settings.close_after_days) return true
+    const published = toDate(post.publish_at || post.created_at)
+    return Date.now() - published.getTime() < settings.close_after_days * 24 * 60 * 60 * 1000
+  }
+
+  /**
+   * Reply level of a comment, top-level comments are at 1
+   */
+  async depthOf(commentId: number): Promise<number> {
+    let depth = 0
+    let id: number | null = commentId
+    const seen = new Set<number>()
+    while (id && !seen.has(id)) {
+      seen.add(id)
+      depth++
+      const row: Row | undefined = await this.knex(this.table('posts')).where('id', id).first('comment_parent_id')
+      id = row?.comment_parent_id ?? null
+    }
+    return depth
+  }
+
+  /**
+   * Check a submission, returns the cleaned values or throws a CommentError
+   */
+  async prepare(post: Row, input: CommentInput, author: CommentAuthor): Promise<Row> {
+    const settings = this.getSettings(post.post_type_slug)
+    if (!this.isOpen(post, settings)) {
+      throw new CommentError('Comments are closed', 403, ERROR_CODES.FORBIDDEN)
+    }
+    if (!author.user_id && !settings.guests) {
+      throw new CommentError('Sign in to comment', 401, ERROR_CODES.UNAUTHORIZED)
+    }
+
+    const errors: FieldError[] = []
+    const content = typeof input.content === 'string' ? input.content.trim() : ''
+    if (!content) {
+      errors.push({ field: 'content', message: 'Comment is required', code: ERROR_CODES.MISSING_REQUIRED_FIELD })
+    } else if (content.length > MAX_COMMENT_LENGTH) {
+      errors.push({ field: 'content', message: `Comment must be at most ${MAX_COMMENT_LENGTH} characters`, code: ERROR_CODES.INVALID_INPUT })
+    }
+
+    const values: Row = { content, parent_id: null, author_name: null, author_email: null, author_url: null }
+    if (!author.user_id) {
+      values.author_name = clean(input.author_name, 100)
+      values.author_email = clean(input.author_email).toLowerCase()
+      values.author_url = clean(input.author_url)
+      if (!values.author_name) {
+        errors.push({ field: 'author_name', message: 'Name is required', code: ERROR_CODES.MISSING_REQUIRED_FIELD })
+      }
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.author_email)) {
+        errors.push({ field: 'author_email', message: 'A valid email is required', code: ERROR_CODES.INVALID_INPUT })
+      }
+      if (values.author_url && !/^https?:\/\/[^\s]+$/i.test(values.author_url)) {
+        errors.push({ field: 'author_url', message: 'Website must be an http(s) URL', code: ERROR_CODES.INVALID_INPUT })
+      }
+    }
+
+    if (input.parent_id !== null && typeof input.parent_id !== 'undefined' && input.parent_id !== '') {
+      const parent = await this.knex(this.table('posts'))
+        .where({ id: Number(input.parent_id), post_type_slug: CORE_POST_TYPES.COMMENT, comment_post_id: post.id, status: 'approved' })
+        .whereNull('deleted_at')
+        .first('id')
+      if (!parent) {
+        errors.push({ field: 'parent_id', message: 'The comment replied to does not exist', code: ERROR_CODES.NOT_FOUND })
+      } else if ((await this.depthOf(parent.id)) >= settings.max_depth) {
+        errors.push({ field: 'parent_id', message: 'Replies are not allowed this deep', code: ERROR_CODES.INVALID_INPUT })
+      } else {
+        values.parent_id = parent.id
+      }
+    }
+
+    if (errors.length) throw new CommentError('Validation failed', 422, ERROR_CODES.VALIDATION_ERROR, errors)
+    return values
+  }
+
+  /**
+   * Status of a new comment before plugins had their say
+   */
+  initialStatus(settings: CommentSettings, author: CommentAuthor): CommentStatus {
+    if (author.moderator || settings.moderation === 'none') return 'approved'
+    if (settings.moderation === 'guests' && author.user_id) return 'approved'
+    return 'pending'
+  }
+
+  /**
+   * Store a new comment on a post. Throws a CommentError when comments are closed
+   * or the submission is invalid
+   */
+  async create(post: Row, input: CommentInput, author: CommentAuthor = {}): Promise<Comment> {
+    const values = await this.prepare(post, input, author)
+    const settings = this.getSettings(post.post_type_slug)
+
+    const commentData: Row = {
+      ...values,
+      user_id: author.user_id || null,
+      author_ip: author.ip || null,
+      author_user_agent: clean(author.user_agent, 500) || null
+    }
+    let status: string = this.initialStatus(settings, author)
+    if (this.hooks.applyFilters) {
+      const filtered = this.hooks.applyFilters('pre_comment_approved', status, { comment: commentData, post })
+      if ((COMMENT_STATUSES as readonly string[]).includes(filtered)) status = filtered
+    }
+
+    const [id] = (await this.knex(this.table('posts')).insert({
+      post_type_slug: CORE_POST_TYPES.COMMENT,
+      slug: crypto.randomUUID(),
+      status,
+      comment_post_id: post.id,
+      comment_parent_id: values.parent_id
+    })) as number[]
+
+    const meta: Row = { content: values.content }
+    for (const field of AUTHOR_FIELDS) {
+      if (commentData[field]) meta[field] = commentData[field]
+    }
+    if (author.user_id) meta.authors = JSON.stringify([author.user_id])
+    await this.knex(this.table('post_meta')).insert(
+      Object.entries(meta).map(([field_slug, value]) => ({ post_id: id, field_slug, value }))
+    )
+    if (author.user_id) {
+      await this.knex(this.table('post_authors')).insert({ post_id: id, user_id: author.user_id })
+    }
+
+    const [comment] = await this.hydrate([await this.knex(this.table('posts')).where('id', id).first()], {
+      private: Boolean(author.moderator)
+    })
+    return comment
+  }
+
+  /**
+   * Add meta, authors and the commented post to comment rows. Emails, IPs and
+   * user agents are only included with `private`
+   */
+  async hydrate(rows: Row[], { private: showPrivate = false, withPost = false } = {}): Promise<Comment[]> {
+    if (!rows.length) return []
+    const ids = rows.map((row) => row.id)
+    const [metas, authors] = await Promise.all([
+      this.knex(this.table('post_meta')).whereIn('post_id', ids).whereIn('field_slug', ['content', ...AUTHOR_FIELDS]),
+      this.knex(this.table('post_authors'))
+        .whereIn('post_id', ids)
+        .join(this.table('users'), `${this.table('post_authors')}.user_id`, '=', `${this.table('users')}.id`)
+        .select(`${this.table('post_authors')}.post_id`, `${this.table('users')}.id`, `${this.table('users')}.username`)
+    ])
+
+    const metaMap: Record<number, Row> = {}
+    for (const meta of metas) (metaMap[meta.post_id] ||= {})[meta.field_slug] = meta.value
+    const authorMap: Record<number, Row> = Object.fromEntries(authors.map((author: Row) => [author.post_id, author]))
+
+    const posts: Record<number, Row> = {}
+    if (withPost) {
+      const postIds = [...new Set(rows.map((row) => row.comment_post_id).filter(Boolean))]
+      const postRows = await this.knex(this.table('posts')).whereIn('id', postIds).select('id', 'slug', 'post_type_slug')
+      const titles = await this.knex(this.table('post_meta')).whereIn('post_id', postIds).where('field_slug', 'title')
+      const titleMap = Object.fromEntries(titles.map((meta: Row) => [meta.post_id, meta.value]))
+      for (const post of postRows) posts[post.id] = { ...post, title: titleMap[post.id] ?? null }
+    }
+
+    return rows.map((row) => {
+      const meta = metaMap[row.id] || {}
+      const user = authorMap[row.id]
+      const comment: Comment = {
+        id: row.id,
+        post_id: row.comment_post_id,
+        parent_id: row.comment_parent_id ?? null,
+        status: row.status,
+        content: meta.content ?? '',
+        author_name: meta.author_name ?? user?.username ?? null,
+        author_url: meta.author_url ?? null,
+        user_id: user?.id ?? null,
+        created_at: row.created_at
+      }
+      if (showPrivate) {
+        comment.author_email = meta.author_email ?? null
+        comment.author_ip = meta.author_ip ?? null
+        comment.author_user_agent = meta.author_user_agent ?? null
+      }
+      if (withPost) comment.post = (posts[row.comment_post_id] as Comment['post']) ?? undefined
+      return comment
+    })
+  }
+
+  /**
+   * Comments of a post as a tree, oldest first. Only approved comments unless
+   * `statuses` says otherwise; replies to hidden comments are hidden with them
+   */
+  async getThread(postId: number, { statuses = ['approved'], private: showPrivate = false }: { statuses?: string[]; private?: boolean } = {}): Promise<{ items: Comment[]; total: number }> {
+    const rows = await this.knex(this.table('posts'))
+      .where({ post_type_slug: CORE_POST_TYPES.COMMENT, comment_post_id: postId })
+      .whereIn('status', statuses)
+      .whereNull('deleted_at')
+      .orderBy('created_at', 'asc')
+      .orderBy('id', 'asc')
+    const comments = await this.hydrate(rows, { private: showPrivate })
+
+    const byId = new Map(comments.map((comment) => [comment.id, { ...comment, replies: [] as Comment[] }]))
+    const items: Comment[] = []
+    for (const comment of byId.values()) {
+      if (!comment.parent_id) {
+        items.push(comment)
+      } else {
+        byId.get(comment.parent_id)?.replies.push(comment)
+      }
+    }
+
+    const count = (list: Comment[]): number => list.reduce((sum, comment) => sum + 1 + count(comment.replies || []), 0)
+    return { items, total: count(items) }
+  }
+
+  /**
+   * Comments waiting in a moderation status, newest first, with the post they belong to
+   */
+  async getQueue({ status = 'pending', post_id, limit = 20, offset = 0 }: QueueOptions = {}): Promise<{ items: Comment[]; total: number }> {
+    const query = this.knex(this.table('posts')).where('post_type_slug', CORE_POST_TYPES.COMMENT).whereNull('deleted_at')
+    if (status !== 'all') query.where('status', status)
+    if (post_id) query.where('comment_post_id', post_id)
+
+    const [{ total }] = await query.clone().count({ total: '*' })
+    const rows = await query.orderBy('created_at', 'desc').orderBy('id', 'desc').limit(limit).offset(offset)
+    return { items: await this.hydrate(rows, { private: true, withPost: true }), total: Number(total) }
+  }
+
+  /**
+   * Number of comments in each status
+   */
+  async counts(): Promise<Record<CommentStatus, number>> {
+    const rows = await this.knex(this.table('posts'))
+      .where('post_type_slug', CORE_POST_TYPES.COMMENT)
+      .whereNull('deleted_at')
+      .groupBy('status')
+      .select('status')
+      .count({ count: '*' })
+    const counts = Object.fromEntries(COMMENT_STATUSES.map((status) => [status, 0])) as Record<CommentStatus, number>
+    for (const row of rows as Row[]) {
+      if (row.status in counts) counts[row.status as CommentStatus] = Number(row.count)
+    }
+    return counts
+  }
+
+  /**
+   * Set the status of comments, returns the comments that changed
+   */
+  async moderate(ids: number[], status: string): Promise<Comment[]> {
+    if (!(COMMENT_STATUSES as readonly string[]).includes(status)) {
+      throw new CommentError(`Status must be one of: ${COMMENT_STATUSES.join(', ')}`)
+    }
+    const rows = await this.knex(this.table('posts'))
+      .where('post_type_slug', CORE_POST_TYPES.COMMENT)
+      .whereIn('id', ids)
+      .whereNot('status', status)
+    if (!rows.length) return []
+
+    await this.knex(this.table('posts'))
+      .whereIn('id', rows.map((row: Row) => row.id))
+      .update({ status, updated_at: this.knex.fn.now() })
+    return this.hydrate(rows.map((row: Row) => ({ ...row, status })), { private: true })
+  }
+}
@@ -0,0 +1,297 @@
+/**
+ * Delivery Service
+ *
+ * Read-only content for the public delivery API. Only published posts of post types
+ * marked `public` are served, in a shape made for frontends: a few post columns, the
+ * values of the type's registered fields and the terms. Meta without a registered
+ * field and fields marked `private` (on the field or in its options) are never included.
+ *
+ * Relationship fields and terms come as IDs unless expanded. Expanded related posts
+ * go through the same rules, posts that are unpublished or of a type that is not
+ * public are left out.
+ */
+
+import type { Knex } from 'knex'
+import PostService from './PostService.ts'
+import type { FieldDefinition } from './PostService.ts'
+import LocalizationService from './LocalizationService.ts'
+import { isBlockDocument } from './BlockService.ts'
+import { PAGINATION } from '../utils/constants.ts'
+
+// Post columns included in delivered items
+export const DELIVERY_COLUMNS = ['id', 'slug', 'post_type_slug', 'locale', 'publish_at', 'created_at', 'updated_at']
+
+// Columns posts can be ordered by
+export const DELIVERY_ORDER_COLUMNS = ['created_at', 'updated_at', 'publish_at', 'id', 'slug']
+
+export interface DeliveryQuery {
+  limit?: number
+  offset?: number
+  orderby?: string
+  order?: 'asc' | 'desc'
+  // Content locale, items missing in it are filled in from its fallbacks unless `fallback` is false
+  locale?: string
+  fallback?: boolean
+  // Keys to include, `id` is always included
+  fields?: string[]
+  // Relationship field slugs to replace with the related posts, `terms` for full terms
+  expand?: string[]
+}
+
+export interface DeliveredTerm {
+  id: number
+  slug: string | null
+  taxonomy: string
+  parent_id: number | null
+  title: string | null
+}
+
+export interface DeliveredItem {
+  id: number
+  [key: string]: unknown
+}
+
+interface Hooks {
+  applyFilters?: (name: string, value: any, ...args: any[]) => any
+  getPublicPostType?: (slug: string) => Promise<Record<string, any> | null>
+  // Registry entries, `{ field, priority, source }`
+  getFields?: (slug: string) => Promise<any[]>
+}
+
+type Row = Record<string, any>
+
+const parseJSON = (value: unknown): unknown => {
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+/**
+ * Whether a field is kept out of the delivery API, through `private: true`
+ * on the definition or in its options
+ */
+export const isPrivateField = (field: FieldDefinition): boolean => {
+  const options = parseJSON(field.options) as Row | null
+  return field.private === true || field.private === 1 || Boolean(options && typeof options === 'object' && options.private === true)
+}
+
+/**
+ * Latest `updated_at` of the rows, for the Last-Modified header
+ */
+const lastModified = (items: Row[]): Date | null => {
+  let latest: Date | null = null
+  for (const item of items) {
+    if (!item.updated_at) continue
+    const str = String(item.updated_at)
+    // Stored in UTC without a timezone suffix
+    const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(str) ? `${str.replace(' ', 'T')}Z` : str)
+    if (!isNaN(date.getTime()) && (!latest || date > latest)) latest = date
+  }
+  return latest
+}
+
+export default class DeliveryService {
+  private context: HTMLDrop.Context
+  private knex: Knex
+  private hooks: Hooks
+  private postService: PostService
+  private localization: LocalizationService
+  // Public fields per post type, null for types that are not public
+  private fieldCache = new Map<string, FieldDefinition[] | null>()
+
+  constructor(context: HTMLDrop.Context, hooks: Hooks = {}) {
+    if (!context.knex) {
+      throw new Error('DeliveryService requires a database connection')
+    }
+    this.context = context
+    this.knex = context.knex
+    this.hooks = hooks
+    this.postService = new PostService({ knex: context.knex, table: context.table, normalizeSlug: context.normalizeSlug })
+    this.localization = new LocalizationService(context)
+  }
+
+  private table(name: string): string {
+    return this.context.table(name)
+  }
+
+  /**
+   * Fields of a post type that are delivered, null when the post type is not public
+   */
+  async publicFields(postType: string): Promise<FieldDefinition[] | null> {
+    if (this.fieldCache.has(postType)) return this.fieldCache.get(postType)!
+
+    let fields: FieldDefinition[] | null = null
+    if (await this.hooks.getPublicPostType?.(postType)) {
+      const entries: { field: FieldDefinition }[] = (await this.hooks.getFields?.(postType)) || []
+      fields = entries.map((entry) => entry.field).filter((field) => field?.slug && !isPrivateField(field))
+    }
+    this.fieldCache.set(postType, fields)
+    return fields
+  }
+
+  /**
+   * Published posts of a public post type, null when the post type is not public
+   */
+  async list(postType: string, query: DeliveryQuery = {}): Promise<{ items: DeliveredItem[]; total: number; modified: Date | null } | null> {
+    const fields = await this.publicFields(postType)
+    if (!fields) return null
+
+    const { locale, fallback = true } = query
+    const modify = (builder: Knex.QueryBuilder): void => {
+      if (!locale) return
+      this.localization.scopeToLocale(builder, 'post', locale, {
+        fallback,
+        // Only a published translation replaces its fallback
+        siblings: (sub, alias) => sub.where(`${alias}.status`, 'published')
+      })
+    }
+
+    const orderby = DELIVERY_ORDER_COLUMNS.includes(query.orderby as string) ? query.orderby : 'created_at'
+    const [rows, total] = await Promise.all([
+      this.postService.getPosts(
+        {
+          post_type: postType,
+          status: 'published',
+          limit: Math.min(Math.max(Number(query.limit) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT),
+          offset: Math.max(Number(query.offset) || 0, 0),
+          orderby,
+          order: query.order === 'asc' ? 'asc' : 'desc',
+          modify
+        },
+        null
+      ),
+      this.postService.getPostCount({ post_type: postType, status: 'published', modify })
+    ])
+
+    return { items: await this.shape(rows, fields, query), total, modified: lastModified(rows) }
+  }
+
+  /**
+   * A published post of a public post type by ID or slug
+   */
+  async get(postType: string, idOrSlug: string | number, query: DeliveryQuery = {}): Promise<{ item: DeliveredItem; modified: Date | null } | null> {
+    const fields = await this.publicFields(postType)
+    if (!fields) return null
+
+    const [row] = await this.postService.getPosts(
+      {
+        post_type: postType,
+        status: 'published',
+        limit: 1,
+        modify: (builder) => {
+          builder.where((where) => where.where('slug', String(idOrSlug)).orWhere('id', Number(idOrSlug) || 0))
+        }
+      },
+      null
+    )
+    if (!row) return null
+
+    const [item] = await this.shape([row], fields, query)
+    return { item, modified: lastModified([row]) }
+  }
+
+  /**
+   * Turn post rows into delivered items: columns, public field values, terms
+   * and expanded relationships
+   */
+  async shape(rows: Row[], fields: FieldDefinition[], query: DeliveryQuery = {}, expandRelated = true): Promise<DeliveredItem[]> {
+    if (!rows.length) return []
+    const { applyFilters } = this.hooks
+    const expand = new Set(query.expand || [])
+    const ids = rows.map((row) => row.id)
+    const slugs = fields.map((field) => field.slug)
+
+    const metas = slugs.length
+      ? await this.knex(this.table('post_meta')).whereIn('post_id', ids).whereIn('field_slug', slugs)
+      : []
+    const metaMap: Record<number, Row> = {}
+    for (const meta of metas) (metaMap[meta.post_id] ||= {})[meta.field_slug] = parseJSON(meta.value)
+
+    const withTerms = await this.postService.withTaxonomiesMany(rows as { id: number }[], null)
+    const termTitles = expand.has('terms') ? await this.termTitles(withTerms) : {}
+
+    const items: DeliveredItem[] = withTerms.map((row) => {
+      const item: DeliveredItem = { id: row.id }
+      for (const column of DELIVERY_COLUMNS) item[column] = row[column] ?? null
+      item.locale = this.localization.localeOf(row)
+      for (const [key, value] of Object.entries(metaMap[row.id] || {})) {
+        if (!DELIVERY_COLUMNS.includes(key)) item[key] = value
+      }
+
+      if (applyFilters) {
+        if (isBlockDocument(item.content)) {
+          item.content = { ...item.content, html: applyFilters('the_content', item.content.html, item) }
+        } else if (item.content) {
+          item.content = applyFilters('the_content', item.content, item)
+        }
+        if (item.title) item.title = applyFilters('the_title', item.title, item)
+      }
+
+      const terms: Record<string, unknown[]> = {}
+      for (const [taxonomy, list] of Object.entries(row.taxonomies || {})) {
+        const published = (list as Row[]).filter((term) => term.status === 'published' && !term.deleted_at)
+        if (!published.length) continue
+        terms[taxonomy] = expand.has('terms')
+          ? published.map((term): DeliveredTerm => ({
+            id: term.id,
+            slug: term.slug ?? null,
+            taxonomy,
+            parent_id: term.parent_id ?? null,
+            title: termTitles[term.id] ?? null
+          }))
+          : published.map((term) => term.id)
+      }
+      item.terms = terms
+      return item
+    })
+
+    if (expandRelated) {
+      for (const field of fields) {
+        if (field.type !== 'relationship' || !expand.has(field.slug)) continue
+        await this.expandRelationship(items, field.slug)
+      }
+    }
+
+    if (!query.fields?.length) return items
+    const keep = new Set(['id', ...query.fields])
+    return items.map((item) => Object.fromEntries(Object.entries(item).filter(([key]) => keep.has(key))) as DeliveredItem)
+  }
+
+  /**
+   * Replace the post IDs of a relationship field with the related posts, in the stored
+   * order. Posts that are not delivered themselves are dropped
+   */
+  private async expandRelationship(items: DeliveredItem[], fieldSlug: string): Promise<void> {
+    const relatedIds = [...new Set(items.flatMap((item) => this.postService.relatedIds(item[fieldSlug])))]
+    const rows = relatedIds.length
+      ? await this.knex(this.table('posts')).whereIn('id', relatedIds).where('status', 'published').whereNull('deleted_at')
+      : []
+
+    const related = new Map<number, DeliveredItem>()
+    const byType: Record<string, Row[]> = {}
+    for (const row of rows) (byType[row.post_type_slug] ||= []).push(row)
+    for (const [postType, typeRows] of Object.entries(byType)) {
+      const fields = await this.publicFields(postType)
+      if (!fields) continue
+      for (const item of await this.shape(typeRows, fields, {}, false)) related.set(item.id, item)
+    }
+
+    for (const item of items) {
+      if (!(fieldSlug in item)) continue
+      item[fieldSlug] = this.postService.relatedIds(item[fieldSlug]).map((id) => related.get(id)).filter(Boolean)
+    }
+  }
+
+  /**
+   * Titles of the terms attached to posts, from the term meta
+   */
+  private async termTitles(posts: Row[]): Promise<Record<number, string>> {
+    const termIds = [...new Set(posts.flatMap((post) => Object.values(post.taxonomies || {}).flat().map((term) => (term as Row).id)))]
+    if (!termIds.length) return {}
+    const titles = await this.knex(this.table('term_meta')).whereIn('term_id', termIds).where('field_slug', 'title')
+    return Object.fromEntries(titles.map((meta: Row) => [meta.term_id, parseJSON(meta.value)]))
+  }
+}
@@ -0,0 +1,390 @@
+/**
+ * Discovery Service
+ *
+ * Generates the XML sitemaps, RSS and Atom feeds and robots.txt served by core ahead
+ * of the theme. Only published posts of post types marked `public` are listed, each
+ * type can be left out of sitemaps or feeds in the settings.
+ *
+ * Site settings (options):
+ * - `discovery_settings`: JSON, e.g.
+ *   {"sitemap": true, "feeds": true, "feed_items": 20, "feed_full_content": false,
+ *    "robots": "User-agent: *\nDisallow: /admin/", "post_types": {"pages": {"sitemap": true, "feed": false}}}
+ * - `site_name` and `site_description` describe the feeds, `site_url` makes links
+ *   absolute (the request origin when unset)
+ *
+ * Filters:
+ * - `post_permalink`: path or URL of a post, built from the permalink structure of its post type
+ * - `sitemap_entry`: `{ loc, lastmod }` of a post in a sitemap, return false to leave it out
+ * - `feed_item`: `{ title, link, published, updated, summary, content }` of a post, return false to leave it out
+ * - `robots_txt`: the robots.txt text
+ */
+
+import type { Knex } from 'knex'
+import { isBlockDocument } from './BlockService.ts'
+import PermalinkService from './PermalinkService.ts'
+import { SEO_FIELD, isNoindex } from './SeoService.ts'
+import { DISCOVERY } from '../utils/constants.ts'
+
+export interface PostTypeDiscovery {
+  sitemap: boolean
+  feed: boolean
+}
+
+export interface DiscoverySettings {
+  sitemap: boolean
+  feeds: boolean
+  // Posts per feed, at most DISCOVERY.MAX_FEED_ITEMS
+  feed_items: number
+  // Include the rendered content in feeds, otherwise only the excerpt
+  feed_full_content: boolean
+  robots: string
+  // Per post type, types without an entry are included
+  post_types: Record<string, Partial<PostTypeDiscovery>>
+}
+
+export const DEFAULT_DISCOVERY_SETTINGS: DiscoverySettings = {
+  sitemap: true,
+  feeds: true,
+  feed_items: 20,
+  feed_full_content: false,
+  robots: 'User-agent: *\nDisallow: /admin/\nDisallow: /api/',
+  post_types: {}
+}
+
+export type FeedFormat = 'rss' | 'atom'
+
+export interface FeedQuery {
+  taxonomy?: string
+  term?: string
+  format?: FeedFormat
+}
+
+export interface SitemapEntry {
+  loc: string
+  lastmod: string | null
+}
+
+export interface FeedItem {
+  title: string
+  link: string
+  published: Date | null
+  updated: Date | null
+  summary: string
+  content: string | null
+}
+
+interface Hooks {
+  applyFilters?: (name: string, value: any, ...args: any[]) => any
+  getPublicPostTypes?: () => Promise<Record<string, any>[]>
+}
+
+type Row = Record<string, any>
+
+const parseJSON = (value: unknown): unknown => {
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+/**
+ * Stored dates are UTC without a timezone suffix
+ */
+const toDate = (value: unknown): Date | null => {
+  if (!value) return null
+  if (value instanceof Date) return value
+  const str = String(value)
+  const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(str) ? `${str.replace(' ', 'T')}Z` : str)
+  return isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * The first words of the content without markup, like the theme helper `theExcerpt`
+ */
+const excerptOf = (html: string, length = 55): string => {
+  const words = html.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim().split(' ').slice(0, length)
+  return words.join(' ') + (words.length === length ? '…' : '')
+}
+
+export const escapeXml = (value: unknown): string =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>'
+
+export default class DiscoveryService {
+  private context: HTMLDrop.Context
+  private knex: Knex
+  private hooks: Hooks
+
+  constructor(context: HTMLDrop.Context, hooks: Hooks = {}) {
+    if (!context.knex) {
+      throw new Error('DiscoveryService requires a database connection')
+    }
+    this.context = context
+    this.knex = context.knex
+    this.hooks = hooks
+  }
+
+  private table(name: string): string {
+    return this.context.table(name)
+  }
+
+  private filter<T>(name: string, value: T, ...args: unknown[]): T {
+    return this.hooks.applyFilters ? this.hooks.applyFilters(name, value, ...args) : value
+  }
+
+  getSettings(): DiscoverySettings {
+    const stored = parseJSON(this.context.options?.discovery_settings)
+    const settings = { ...DEFAULT_DISCOVERY_SETTINGS, ...(stored && typeof stored === 'object' ? (stored as Partial<DiscoverySettings>) : {}) }
+    const items = Number(settings.feed_items)
+    return {
+      sitemap: settings.sitemap !== false,
+      feeds: settings.feeds !== false,
+      feed_items: Number.isFinite(items) && items > 0 ? Math.min(Math.floor(items), DISCOVERY.MAX_FEED_ITEMS) : DEFAULT_DISCOVERY_SETTINGS.feed_items,
+      feed_full_content: settings.feed_full_content === true,
+      robots: typeof settings.robots === 'string' ? settings.robots : DEFAULT_DISCOVERY_SETTINGS.robots,
+      post_types: settings.post_types && typeof settings.post_types === 'object' ? settings.post_types : {}
+    }
+  }
+
+  /**
+   * Public post types included in sitemaps or feeds
+   */
+  async postTypes(kind: keyof PostTypeDiscovery): Promise<Row[]> {
+    const settings = this.getSettings()
+    const types = (await this.hooks.getPublicPostTypes?.()) || []
+    return types.filter((type) => settings.post_types[type.slug]?.[kind] !== false)
+  }
+
+  private async postType(slug: string, kind: keyof PostTypeDiscovery): Promise<Row | null> {
+    return (await this.postTypes(kind)).find((type) => type.slug === slug) || null
+  }
+
+  /**
+   * Base URL of the site without a trailing slash
+   */
+  siteUrl(origin: string): string {
+    return String(this.context.options?.site_url || origin).replace(/\/+$/, '')
+  }
+
+  /**
+   * Absolute URL of a post from its core path
+   */
+  permalink(post: Row, path: string, origin: string): string {
+    const link = String(this.filter('post_permalink', path, post))
+    return /^https?:\/\//.test(link) ? link : `${this.siteUrl(origin)}${link.startsWith('/') ? '' : '/'}${link}`
+  }
+
+  private published(postType: string): Knex.QueryBuilder {
+    return this.knex(this.table('posts')).where({ post_type_slug: postType, status: 'published' }).whereNull('deleted_at')
+  }
+
+  /**
+   * Posts of a post type hidden from search engines with the SEO `noindex` flag
+   */
+  private async noindexIds(postType: string): Promise<number[]> {
+    const posts = this.table('posts')
+    const meta = this.table('post_meta')
+    const rows = (await this.knex(meta)
+      .join(posts, `${posts}.id`, `${meta}.post_id`)
+      .where(`${posts}.post_type_slug`, postType)
+      .where(`${meta}.field_slug`, SEO_FIELD)
+      .where(`${meta}.value`, 'like', '%noindex%')
+      .select(`${meta}.post_id`, `${meta}.value`)) as Row[]
+    return rows.filter((row) => isNoindex(row.value)).map((row) => Number(row.post_id))
+  }
+
+  /**
+   * Sitemap index linking a sitemap per post type, split in pages of DISCOVERY.SITEMAP_PAGE_SIZE
+   */
+  async sitemapIndex(origin: string): Promise<string | null> {
+    if (!this.getSettings().sitemap) return null
+    const base = this.siteUrl(origin)
+    const sitemaps: SitemapEntry[] = []
+
+    for (const type of await this.postTypes('sitemap')) {
+      const stats = (await this.published(type.slug)
+        .whereNotIn('id', await this.noindexIds(type.slug))
+        .count('* as count')
+        .max('updated_at as lastmod')
+        .first()) as Row | undefined
+      const pages = Math.ceil(Number(stats?.count || 0) / DISCOVERY.SITEMAP_PAGE_SIZE)
+      const lastmod = toDate(stats?.lastmod)?.toISOString() || null
+      for (let page = 1; page <= pages; page++) {
+        sitemaps.push({ loc: `${base}/sitemap-${type.slug}.xml${page > 1 ? `?page=${page}` : ''}`, lastmod })
+      }
+    }
+
+    const body = sitemaps
+      .map((sitemap) => `<sitemap><loc>${escapeXml(sitemap.loc)}</loc>${sitemap.lastmod ? `<lastmod>${sitemap.lastmod}</lastmod>` : ''}</sitemap>`)
+      .join('\n')
+    return `${XML_HEADER}\n<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${body}\n</sitemapindex>\n`
+  }
+
+  /**
+   * Sitemap of a post type, null when it is not listed or the page is past the end
+   */
+  async sitemap(postType: string, page: number, origin: string): Promise<string | null> {
+    if (!this.getSettings().sitemap || !(await this.postType(postType, 'sitemap'))) return null
+    const current = Math.max(1, Math.floor(page) || 1)
+
+    const rows: Row[] = await this.published(postType)
+      .whereNotIn('id', await this.noindexIds(postType))
+      .orderBy('id', 'asc')
+      .limit(DISCOVERY.SITEMAP_PAGE_SIZE)
+      .offset((current - 1) * DISCOVERY.SITEMAP_PAGE_SIZE)
+    if (!rows.length && current > 1) return null
+
+    const paths = await new PermalinkService(this.context).paths(rows)
+    const entries = rows
+      .map((row) => this.filter<SitemapEntry | false>('sitemap_entry', {
+        loc: this.permalink(row, paths.get(row.id)!, origin),
+        lastmod: toDate(row.updated_at || row.created_at)?.toISOString() || null
+      }, row))
+      .filter((entry): entry is SitemapEntry => Boolean(entry))
+
+    const body = entries
+      .map((entry) => `<url><loc>${escapeXml(entry.loc)}</loc>${entry.lastmod ? `<lastmod>${escapeXml(entry.lastmod)}</lastmod>` : ''}</url>`)
+      .join('\n')
+    return `${XML_HEADER}\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${body}\n</urlset>\n`
+  }
+
+  /**
+   * RSS 2.0 or Atom feed of the latest posts of a post type, or of a term when
+   * `taxonomy` and `term` are given. Null when the type or term is not found.
+   */
+  async feed(postType: string, query: FeedQuery, origin: string): Promise<string | null> {
+    const settings = this.getSettings()
+    const type = settings.feeds ? await this.postType(postType, 'feed') : null
+    if (!type) return null
+
+    const posts = this.published(postType)
+    let termTitle: string | null = null
+    if (query.taxonomy || query.term) {
+      const term = await this.knex(this.table('terms'))
+        .where({ post_type_slug: postType, taxonomy_slug: query.taxonomy || '', slug: query.term || '', status: 'published' })
+        .whereNull('deleted_at')
+        .first()
+      if (!term) return null
+      const title = await this.knex(this.table('term_meta')).where({ term_id: term.id, field_slug: 'title' }).first()
+      termTitle = String(parseJSON(title?.value) || term.slug)
+      posts.whereIn('id', this.knex(this.table('term_relationships')).select('post_id').where('term_id', term.id))
+    }
+
+    const rows: Row[] = await posts.orderByRaw('COALESCE(publish_at, created_at) DESC').orderBy('id', 'desc').limit(settings.feed_items)
+    const items = await this.feedItems(rows, settings.feed_full_content, origin)
+
+    const base = this.siteUrl(origin)
+    const path = `/feed/${postType}${termTitle !== null ? `/${query.taxonomy}/${query.term}` : ''}`
+    const siteName = String(this.context.options?.site_name || 'HTMLDrop')
+    const channel = {
+      title: [siteName, type.name_plural || type.slug, termTitle].filter(Boolean).join(' – '),
+      description: String(this.context.options?.site_description || ''),
+      updated: items.reduce<Date | null>((latest, item) => (item.updated && (!latest || item.updated > latest) ? item.updated : latest), null) || new Date()
+    }
+
+    if (query.format === 'atom') {
+      const self = `${base}${path}?format=atom`
+      const entries = items.map((item) => [
+        '<entry>',
+        `<title>${escapeXml(item.title)}</title>`,
+        `<link href="${escapeXml(item.link)}"/>`,
+        `<id>${escapeXml(item.link)}</id>`,
+        item.published ? `<published>${item.published.toISOString()}</published>` : '',
+        `<updated>${(item.updated || item.published || channel.updated).toISOString()}</updated>`,
+        item.summary ? `<summary>${escapeXml(item.summary)}</summary>` : '',
+        item.content ? `<content type="html">${escapeXml(item.content)}</content>` : '',
+        '</entry>'
+      ].filter(Boolean).join(''))
+      return [
+        XML_HEADER,
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `<title>${escapeXml(channel.title)}</title>`,
+        channel.description ? `<subtitle>${escapeXml(channel.description)}</subtitle>` : '',
+        `<link href="${escapeXml(base)}/"/>`,
+        `<link rel="self" href="${escapeXml(self)}"/>`,
+        `<id>${escapeXml(self)}</id>`,
+        `<updated>${channel.updated.toISOString()}</updated>`,
+        `<author><name>${escapeXml(siteName)}</name></author>`,
+        ...entries,
+        '</feed>'
+      ].filter(Boolean).join('\n') + '\n'
+    }
+
+    const entries = items.map((item) => [
+      '<item>',
+      `<title>${escapeXml(item.title)}</title>`,
+      `<link>${escapeXml(item.link)}</link>`,
+      `<guid isPermaLink="true">${escapeXml(item.link)}</guid>`,
+      item.published ? `<pubDate>${item.published.toUTCString()}</pubDate>` : '',
+      `<description>${escapeXml(item.summary)}</description>`,
+      item.content ? `<content:encoded>${escapeXml(item.content)}</content:encoded>` : '',
+      '</item>'
+    ].filter(Boolean).join(''))
+    return [
+      XML_HEADER,
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+      '<channel>',
+      `<title>${escapeXml(channel.title)}</title>`,
+      `<link>${escapeXml(base)}/</link>`,
+      `<description>${escapeXml(channel.description)}</description>`,
+      `<atom:link href="${escapeXml(base + path)}" rel="self" type="application/rss+xml"/>`,
+      `<lastBuildDate>${channel.updated.toUTCString()}</lastBuildDate>`,
+      ...entries,
+      '</channel>',
+      '</rss>'
+    ].join('\n') + '\n'
+  }
+
+  /**
+   * Feed items of the rows with their titles, excerpts and content loaded in one query
+   */
+  private async feedItems(rows: Row[], fullContent: boolean, origin: string): Promise<FeedItem[]> {
+    if (!rows.length) return []
+    const { applyFilters } = this.hooks
+    const metas = await this.knex(this.table('post_meta'))
+      .whereIn('post_id', rows.map((row) => row.id))
+      .whereIn('field_slug', ['title', 'excerpt', 'content'])
+    const metaMap: Record<number, Row> = {}
+    for (const meta of metas) (metaMap[meta.post_id] ||= {})[meta.field_slug] = parseJSON(meta.value)
+    const paths = await new PermalinkService(this.context).paths(rows)
+
+    const items: FeedItem[] = []
+    for (const row of rows) {
+      const meta = metaMap[row.id] || {}
+      const post = { ...row, ...meta }
+      const html = isBlockDocument(meta.content) ? meta.content.html : typeof meta.content === 'string' ? meta.content : ''
+      const content = html && applyFilters ? applyFilters('the_content', html, post) : html
+      const excerpt = typeof meta.excerpt === 'string' && meta.excerpt ? meta.excerpt : excerptOf(String(content))
+      const title = String(meta.title || row.slug)
+
+      const item = this.filter<FeedItem | false>('feed_item', {
+        title: applyFilters ? applyFilters('the_title', title, post) : title,
+        link: this.permalink(row, paths.get(row.id)!, origin),
+        published: toDate(row.publish_at || row.created_at),
+        updated: toDate(row.updated_at),
+        summary: applyFilters ? applyFilters('the_excerpt', excerpt, post) : excerpt,
+        content: fullContent && content ? String(content) : null
+      }, post)
+      if (item) items.push(item)
+    }
+    return items
+  }
+
+  /**
+   * robots.txt from the settings, pointing at the sitemap index when sitemaps are on
+   */
+  robots(origin: string): string {
+    const settings = this.getSettings()
+    const sections = [settings.robots.trim()]
+    if (settings.sitemap) sections.push(`Sitemap: ${this.siteUrl(origin)}/sitemap.xml`)
+    return String(this.filter('robots_txt', `${sections.filter(Boolean).join('\n\n')}\n`))
+  }
+}
@@ -1,6 +1,10 @@
 import nodemailer from 'nodemailer'
 import welcomeEmail from '../templates/emails/welcome.mjs'
 import passwordResetEmail from '../templates/emails/password-reset.mjs'
+import verifyEmail from '../templates/emails/verify-email.mjs'
+import inviteEmail from '../templates/emails/invite.mjs'
+import accountLockedEmail from '../templates/emails/account-locked.mjs'
+import newDeviceLoginEmail from '../templates/emails/new-device-login.mjs'
 
 export default class EmailService {
   constructor(context) {
@@ -129,6 +133,158 @@ export default class EmailService {
     })
   }
 
+  /**
+   * Send email address verification email
+   * @param {Object} user - User object
+   * @param {string} user.username - Username
+   * @param {string} user.email - User email
+   * @param {string} verificationToken - Email verification token
+   * @param {number} expiryHours - Token expiry time in hours
+   * @param {string} origin - Optional origin URL from request
+   * @returns {Promise<Object>} Send result
+   */
+  async sendVerificationEmail(user, verificationToken, expiryHours = 24, origin = null) {
+    const { knex, table } = this.context
+    const siteUrl = await knex(table('options')).where('name', 'site_url').first()
+    const siteName = await knex(table('options')).where('name', 'site_name').first()
+
+    // Priority: 1) origin from request, 2) site_url from options, 3) localhost fallback
+    const baseUrl = origin || siteUrl?.value || 'http://localhost:3000'
+    const verifyUrl = `${baseUrl}/admin/verify-email?token=${verificationToken}`
+
+    const emailContent = verifyEmail({
+      username: user.username,
+      email: user.email,
+      verifyUrl,
+      siteUrl: baseUrl,
+      siteName: siteName?.value || 'HTMLDrop',
+      expiryHours
+    })
+
+    return await this.sendEmail({
+      to: user.email,
+      subject: emailContent.subject,
+      html: emailContent.html,
+      text: emailContent.text
+    })
+  }
+
+  /**
+   * Send user invitation email
+   * @param {Object} user - Invited user
+   * @param {string} user.email - User email
+   * @param {string} inviteToken - Invitation token
+   * @param {Object} details - Invitation details
+   * @param {string} details.inviterName - Name of the inviting user
+   * @param {string[]} details.roles - Names of the assigned roles
+   * @param {number} details.expiryDays - Invitation expiry time in days
+   * @param {string} origin - Optional origin URL from request
+   * @returns {Promise<Object>} Send result
+   */
+  async sendInvitationEmail(user, inviteToken, details = {}, origin = null) {
+    const { knex, table } = this.context
+    const siteUrl = await knex(table('options')).where('name', 'site_url').first()
+    const siteName = await knex(table('options')).where('name', 'site_name').first()
+
+    // Priority: 1) origin from request, 2) site_url from options, 3) localhost fallback
+    const baseUrl = origin || siteUrl?.value || 'http://localhost:3000'
+    const acceptUrl = `${baseUrl}/admin/accept-invite?token=${inviteToken}`
+
+    const emailContent = inviteEmail({
+      email: user.email,
+      inviterName: details.inviterName,
+      roles: details.roles,
+      acceptUrl,
+      siteUrl: baseUrl,
+      siteName: siteName?.value || 'HTMLDrop',
+      expiryDays: details.expiryDays
+    })
+
+    return await this.sendEmail({
+      to: user.email,
+      subject: emailContent.subject,
+      html: emailContent.html,
+      text: emailContent.text
+    })
+  }
+
+  /**
+   * Send notice that an account was locked after repeated failed logins
+   * @param {Object} user - User object
+   * @param {string} user.username - Username
+   * @param {string} user.email - User email
+   * @param {Object} details - Lockout details
+   * @param {number} [details.lockoutMinutes] - How long the account stays locked, in minutes
+   * @param {string} [details.ip] - IP address of the last failed attempt
+   * @param {string} origin - Optional origin URL from request
+   * @returns {Promise<Object>} Send result
+   */
+  async sendAccountLockedEmail(user, details = {}, origin = null) {
+    const { knex, table } = this.context
+    const siteUrl = await knex(table('options')).where('name', 'site_url').first()
+    const siteName = await knex(table('options')).where('name', 'site_name').first()
+
+    // Priority: 1) origin from request, 2) site_url from options, 3) localhost fallback
+    const baseUrl = origin || siteUrl?.value || 'http://localhost:3000'
+
+    const emailContent = accountLockedEmail({
+      username: user.username,
+      email: user.email,
+      lockoutMinutes: details.lockoutMinutes,
+      ip: details.ip,
+      loginUrl: `${baseUrl}/admin/login`,
+      siteUrl: baseUrl,
+      siteName: siteName?.value || 'HTMLDrop'
+    })
+
+    return await this.sendEmail({
+      to: user.email,
+      subject: emailContent.subject,
+      html: emailContent.html,
+      text: emailContent.text
+    })
+  }
+
+  /**
+   * Send notice of a login from a new browser or device
+   * @param {Object} user - User object
+   * @param {number} user.id - User ID
+   * @param {string} user.username - Username
+   * @param {string} user.email - User email
+   * @param {Object} details - Login details
+   * @param {string} [details.device] - Browser and operating system
+   * @param {string} [details.ip] - IP address of the login
+   * @param {Date} [details.time] - When the login happened
+   * @param {string} origin - Optional origin URL from request
+   * @returns {Promise<Object>} Send result
+   */
+  async sendNewDeviceLoginEmail(user, details = {}, origin = null) {
+    const { knex, table } = this.context
+    const siteUrl = await knex(table('options')).where('name', 'site_url').first()
+    const siteName = await knex(table('options')).where('name', 'site_name').first()
+
+    // Priority: 1) origin from request, 2) site_url from options, 3) localhost fallback
+    const baseUrl = origin || siteUrl?.value || 'http://localhost:3000'
+
+    const emailContent = newDeviceLoginEmail({
+      username: user.username,
+      email: user.email,
+      device: details.device || 'Unknown device',
+      ip: details.ip,
+      time: new Date(details.time || Date.now()).toUTCString(),
+      sessionsUrl: `${baseUrl}/admin/users/${user.id}`,
+      siteUrl: baseUrl,
+      siteName: siteName?.value || 'HTMLDrop'
+    })
+
+    return await this.sendEmail({
+      to: user.email,
+      subject: emailContent.subject,
+      html: emailContent.html,
+      text: emailContent.text
+    })
+  }
+
   /**
    * Verify email transporter configuration
    * @returns {Promise<boolean>} True if configuration is valid
@@ -4,6 +4,10 @@ import type { Knex } from 'knex'
 // Email templates are JavaScript - cast to typed functions
 import welcomeEmailImport from '../templates/emails/welcome.mjs'
 import passwordResetEmailImport from '../templates/emails/password-reset.mjs'
+import verifyEmailImport from '../templates/emails/verify-email.mjs'
+import inviteEmailImport from '../templates/emails/invite.mjs'
+import accountLockedEmailImport from '../templates/emails/account-locked.mjs'
+import newDeviceLoginEmailImport from '../templates/emails/new-device-login.mjs'
 
 interface EmailTemplateResult {
   subject: string
@@ -27,8 +31,69 @@ interface PasswordResetEmailData {
   expiryMinutes: number
 }
 
+interface VerifyEmailData {
+  username: string
+  email: string
+  verifyUrl: string
+  siteUrl: string
+  siteName: string
+  expiryHours: number
+}
+
+interface InviteEmailData {
+  email: string
+  inviterName?: string
+  roles?: string[]
+  acceptUrl: string
+  siteUrl: string
+  siteName: string
+  expiryDays?: number
+}
+
+interface AccountLockedEmailData {
+  username?: string
+  email: string
+  lockoutMinutes?: number
+  ip?: string | null
+  loginUrl: string
+  siteUrl: string
+  siteName: string
+}
+
+interface NewDeviceLoginEmailData {
+  username?: string
+  email: string
+  device: string
+  ip?: string | null
+  time: string
+  sessionsUrl: string
+  siteUrl: string
+  siteName: string
+}
+
+interface LockoutDetails {
+  lockoutMinutes?: number
+  ip?: string | null
+}
+
+interface LoginDetails {
+  device?: string
+  ip?: string | null
+  time?: Date | string
+}
+
+interface InvitationDetails {
+  inviterName?: string
+  roles?: string[]
+  expiryDays?: number
+}
+
 const welcomeEmail = welcomeEmailImport as (data: WelcomeEmailData) => EmailTemplateResult
 const passwordResetEmail = passwordResetEmailImport as (data: PasswordResetEmailData) => EmailTemplateResult
+const verifyEmail = verifyEmailImport as (data: VerifyEmailData) => EmailTemplateResult
+const inviteEmail = inviteEmailImport as (data: InviteEmailData) => EmailTemplateResult
+const accountLockedEmail = accountLockedEmailImport as (data: AccountLockedEmailData) => EmailTemplateResult
+const newDeviceLoginEmail = newDeviceLoginEmailImport as (data: NewDeviceLoginEmailData) => EmailTemplateResult
 
 interface Context {
   knex: Knex
@@ -196,6 +261,142 @@ export default class EmailService {
     })
   }
 
+  /**
+   * Send email address verification email
+   */
+  async sendVerificationEmail(
+    user: User,
+    verificationToken: string,
+    expiryHours: number = 24,
+    origin: string | null = null
+  ): Promise<SendResult> {
+    const { knex, table } = this.context
+    const siteUrl = await knex(table('options')).where('name', 'site_url').first()
+    const siteName = await knex(table('options')).where('name', 'site_name').first()
+
+    // Priority: 1) origin from request, 2) site_url from options, 3) localhost fallback
+    const baseUrl = origin || siteUrl?.value || 'http://localhost:3000'
+    const verifyUrl = `${baseUrl}/admin/verify-email?token=${verificationToken}`
+
+    const emailContent = verifyEmail({
+      username: user.username,
+      email: user.email,
+      verifyUrl,
+      siteUrl: baseUrl,
+      siteName: siteName?.value || 'HTMLDrop',
+      expiryHours
+    })
+
+    return await this.sendEmail({
+      to: user.email,
+      subject: emailContent.subject,
+      html: emailContent.html,
+      text: emailContent.text
+    })
+  }
+
+  /**
+   * Send user invitation email
+   */
+  async sendInvitationEmail(
+    user: { email: string },
+    inviteToken: string,
+    details: InvitationDetails = {},
+    origin: string | null = null
+  ): Promise<SendResult> {
+    const { knex, table } = this.context
+    const siteUrl = await knex(table('options')).where('name', 'site_url').first()
+    const siteName = await knex(table('options')).where('name', 'site_name').first()
+
+    // Priority: 1) origin from request, 2) site_url from options, 3) localhost fallback
+    const baseUrl = origin || siteUrl?.value || 'http://localhost:3000'
+    const acceptUrl = `${baseUrl}/admin/accept-invite?token=${inviteToken}`
+
+    const emailContent = inviteEmail({
+      email: user.email,
+      inviterName: details.inviterName,
+      roles: details.roles,
+      acceptUrl,
+      siteUrl: baseUrl,
+      siteName: siteName?.value || 'HTMLDrop',
+      expiryDays: details.expiryDays
+    })
+
+    return await this.sendEmail({
+      to: user.email,
+      subject: emailContent.subject,
+      html: emailContent.html,
+      text: emailContent.text
+    })
+  }
+
+  /**
+   * Send notice that an account was locked after repeated failed logins
+   */
+  async sendAccountLockedEmail(
+    user: User,
+    details: LockoutDetails = {},
+    origin: string | null = null
+  ): Promise<SendResult> {
+    const { knex, table } = this.context
+    const siteUrl = await knex(table('options')).where('name', 'site_url').first()
+    const siteName = await knex(table('options')).where('name', 'site_name').first()
+
+    // Priority: 1) origin from request, 2) site_url from options, 3) localhost fallback
+    const baseUrl = origin || siteUrl?.value || 'http://localhost:3000'
+
+    const emailContent = accountLockedEmail({
+      username: user.username,
+      email: user.email,
+      lockoutMinutes: details.lockoutMinutes,
+      ip: details.ip,
+      loginUrl: `${baseUrl}/admin/login`,
+      siteUrl: baseUrl,
+      siteName: siteName?.value || 'HTMLDrop'
+    })
+
+    return await this.sendEmail({
+      to: user.email,
+      subject: emailContent.subject,
+      html: emailContent.html,
+      text: emailContent.text
+    })
+  }
+
+  /**
+   * Send notice of a login from a new browser or device
+   */
+  async sendNewDeviceLoginEmail(
+    user: User & { id: number },
+    details: LoginDetails = {},
+    origin: string | null = null
+  ): Promise<SendResult> {
+    const { knex, table } = this.context
+    const siteUrl = await knex(table('options')).where('name', 'site_url').first()
+    const siteName = await knex(table('options')).where('name', 'site_name').first()
+
+    // Priority: 1) origin from request, 2) site_url from options, 3) localhost fallback
+    const baseUrl = origin || siteUrl?.value || 'http://localhost:3000'
+
+    const emailContent = newDeviceLoginEmail({
+      username: user.username,
+      email: user.email,
+      device: details.device || 'Unknown device',
+      ip: details.ip,
+      time: new Date(details.time || Date.now()).toUTCString(),
+      sessionsUrl: `${baseUrl}/admin/users/${user.id}`,
+      siteUrl: baseUrl,
+      siteName: siteName?.value || 'HTMLDrop'
+    })
+
+    return await this.sendEmail({
+      to: user.email,
+      subject: emailContent.subject,
+      html: emailContent.html,
+      text: emailContent.text
+    })
+  }
+
   /**
    * Verify email transporter configuration
    */
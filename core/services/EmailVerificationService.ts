@@ -0,0 +1,153 @@
+/**
+ * Email Verification Service
+ *
+ * Double opt-in for self-registration. Registered users are created `pending` and become
+ * `active` once they follow the link sent to their address. Tokens are only returned on
+ * creation and stored as SHA-256 hashes on the user.
+ *
+ * Site settings (options):
+ * - `email_verification`: JSON, `{ "block_login": true, "expires_hours": 24 }`. With
+ *   `block_login` off, pending users can log in while the link is outstanding.
+ */
+
+import crypto from 'crypto'
+import type { Knex } from 'knex'
+import { EMAIL_VERIFICATION } from '../utils/constants.ts'
+import { parseDate } from '../utils/dates.ts'
+
+export interface EmailVerificationSettings {
+  block_login: boolean
+  expires_hours: number
+}
+
+interface UserRow {
+  id: number
+  email: string
+  username?: string | null
+  status?: string | null
+  locale?: string | null
+  email_verified_at?: string | null
+  verification_token?: string | null
+  verification_token_expires_at?: string | null
+  verification_sent_at?: string | null
+  deleted_at?: string | null
+}
+
+export interface VerificationToken {
+  user: { id: number; email: string; username: string }
+  token: string
+  expiresAt: Date
+}
+
+const parseJSON = (value: unknown): unknown => {
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+export default class EmailVerificationService {
+  private context: HTMLDrop.Context
+  private knex: Knex
+
+  constructor(context: HTMLDrop.Context) {
+    if (!context.knex) {
+      throw new Error('EmailVerificationService requires a database connection')
+    }
+    this.context = context
+    this.knex = context.knex
+  }
+
+  private table(name: string): string {
+    return this.context.table(name)
+  }
+
+  hash(token: string): string {
+    return crypto.createHash('sha256').update(token).digest('hex')
+  }
+
+  getSettings(): EmailVerificationSettings {
+    const stored = parseJSON(this.context.options?.email_verification)
+    const settings = stored && typeof stored === 'object' ? (stored as Partial<EmailVerificationSettings>) : {}
+    const hours = Number(settings.expires_hours)
+    return {
+      block_login: settings.block_login !== false,
+      expires_hours: Number.isFinite(hours) && hours > 0 ? hours : EMAIL_VERIFICATION.TOKEN_TTL_HOURS
+    }
+  }
+
+  /**
+   * Whether a user registered and has not followed the verification link yet
+   */
+  isPending(user: UserRow): boolean {
+    return user.status === 'pending' && !user.email_verified_at
+  }
+
+  blocksLogin(user: UserRow): boolean {
+    return this.isPending(user) && this.getSettings().block_login
+  }
+
+  /**
+   * Issue a new verification token for a user, replacing the previous one
+   */
+  async createToken(userId: number): Promise<VerificationToken> {
+    const user = (await this.knex(this.table('users')).where('id', userId).whereNull('deleted_at').first()) as UserRow | undefined
+    if (!user) throw new Error('User not found')
+
+    const token = crypto.randomBytes(32).toString('hex')
+    const expiresAt = new Date(Date.now() + this.getSettings().expires_hours * 60 * 60 * 1000)
+    await this.knex(this.table('users'))
+      .where('id', user.id)
+      .update({
+        verification_token: this.hash(token),
+        verification_token_expires_at: this.context.formatDate(expiresAt),
+        verification_sent_at: this.context.formatDate(new Date()),
+        updated_at: this.context.formatDate()
+      })
+
+    return { user: { id: user.id, email: user.email, username: user.username || '' }, token, expiresAt }
+  }
+
+  /**
+   * New token for a pending user, null when the address is unknown, already verified
+   * or a link was sent too recently, so callers can't tell these apart
+   */
+  async resend(email: string): Promise<VerificationToken | null> {
+    const user = (await this.knex(this.table('users')).where('email', email).whereNull('deleted_at').first()) as UserRow | undefined
+    if (!user || !this.isPending(user)) return null
+
+    const sentAt = parseDate(user.verification_sent_at)
+    if (sentAt && Date.now() - sentAt.getTime() < EMAIL_VERIFICATION.RESEND_INTERVAL_SECONDS * 1000) return null
+
+    return this.createToken(user.id)
+  }
+
+  /**
+   * Mark the address of the token's user as verified and activate a pending user
+   */
+  async verify(token: string): Promise<UserRow> {
+    if (!token || typeof token !== 'string') throw new Error('Invalid or expired verification link')
+
+    const user = (await this.knex(this.table('users'))
+      .where('verification_token', this.hash(token))
+      .whereNull('deleted_at')
+      .first()) as UserRow | undefined
+    const expiresAt = parseDate(user?.verification_token_expires_at)
+    if (!user || !expiresAt || expiresAt < new Date()) throw new Error('Invalid or expired verification link')
+
+    const now = this.context.formatDate()
+    await this.knex(this.table('users'))
+      .where('id', user.id)
+      .update({
+        email_verified_at: now,
+        status: user.status === 'pending' ? 'active' : user.status,
+        verification_token: null,
+        verification_token_expires_at: null,
+        updated_at: now
+      })
+
+    return (await this.knex(this.table('users')).where('id', user.id).first()) as UserRow
+  }
+}
@@ -0,0 +1,374 @@
+/**
+ * Field Validation Service
+ *
+ * Server-side checks of post and term values against their field definitions,
+ * so API clients are held to the same rules as the admin:
+ *
+ * - the value type, e.g. numbers, select `choices`, existing attachments, users and related posts,
+ *   and the sub-fields of repeater rows and groups, reported as `faq.0.question`
+ * - `required`, enforced once an item leaves draft
+ * - `conditions`, fields hidden by their conditions are neither required nor checked
+ *
+ * Conditions are a list of rules that all have to match, or `{ relation: 'or', rules }`:
+ *
+ *   [{ "field": "layout", "operator": "==", "value": "video" }]
+ *
+ * Plugins add their own rules through the `validate_post_field` and
+ * `validate_term_field` filters
+ */
+
+import type { Knex } from 'knex'
+import { ERROR_CODES } from '../utils/constants.ts'
+
+export type ValidatableType = 'post' | 'term'
+
+export const CONDITION_OPERATORS = ['==', '!=', 'in', 'not_in', 'empty', 'not_empty', '>', '>=', '<', '<='] as const
+export type ConditionOperator = (typeof CONDITION_OPERATORS)[number]
+
+export interface FieldCondition {
+  field: string
+  operator?: ConditionOperator
+  value?: unknown
+}
+
+export interface FieldDefinition {
+  slug: string
+  name?: string
+  type?: string
+  required?: boolean | number
+  options?: unknown
+  conditions?: unknown
+  [key: string]: unknown
+}
+
+export interface FieldError {
+  field: string
+  message: string
+  code: string
+}
+
+// Which fields must have a value: all of them, only the ones sent, or none for drafts
+export type RequiredMode = 'all' | 'submitted' | 'none'
+
+export interface ValidationOptions {
+  // Fields sent in the request, only these are type checked. All fields when left out
+  submitted?: string[]
+  required?: RequiredMode
+  // Post type, or taxonomy for terms, and the item being updated, passed to the filter
+  slug?: string
+  item?: Record<string, unknown> | null
+}
+
+interface Hooks {
+  applyFilters?: (name: string, value: any, ...args: any[]) => any
+}
+
+type Row = Record<string, any>
+
+const parseJSON = (value: unknown): unknown => {
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+const toList = (value: unknown): unknown[] => {
+  const parsed = parseJSON(value)
+  if (Array.isArray(parsed)) return parsed
+  return parsed === null || typeof parsed === 'undefined' || parsed === '' ? [] : [parsed]
+}
+
+/**
+ * Whether a value counts as not filled in. Stored JSON like "[]" or "{}" is empty too
+ */
+export const isEmptyValue = (value: unknown): boolean => {
+  if (value === null || typeof value === 'undefined') return true
+  if (typeof value === 'string') {
+    const trimmed = value.trim()
+    if (/^[[{]/.test(trimmed)) {
+      const parsed = parseJSON(trimmed)
+      if (typeof parsed === 'object') return isEmptyValue(parsed)
+    }
+    return trimmed === ''
+  }
+  if (Array.isArray(value)) return value.length === 0
+  if (typeof value === 'object') return Object.keys(value).length === 0
+  return false
+}
+
+/**
+ * Required fields are enforced once an item is no longer a draft: on every field
+ * when it is created or changes status, otherwise on the fields being updated
+ */
+export const resolveRequiredMode = (status: unknown, previousStatus?: unknown): RequiredMode => {
+  if ((status || 'draft') === 'draft') return 'none'
+  return typeof previousStatus === 'undefined' || status !== previousStatus ? 'all' : 'submitted'
+}
+
+const sameValue = (a: unknown, b: unknown): boolean => String(a) === String(b)
+
+/**
+ * Keys of an update whose value differs from the stored one. Clients like the admin
+ * send every field back, values they did not touch are not checked again
+ */
+export const changedKeys = (current: Record<string, unknown>, update: Record<string, unknown>): string[] =>
+  Object.keys(update).filter((key) => JSON.stringify(parseJSON(update[key]) ?? null) !== JSON.stringify(parseJSON(current[key]) ?? null))
+
+/**
+ * Whether a field is shown for the given values
+ */
+export const matchesConditions = (conditions: unknown, values: Record<string, unknown>): boolean => {
+  const parsed = parseJSON(conditions) as Row | FieldCondition[] | null
+  if (!parsed || typeof parsed !== 'object') return true
+
+  const rules = (Array.isArray(parsed) ? parsed : parsed.rules) as FieldCondition[] | undefined
+  if (!Array.isArray(rules) || rules.length === 0) return true
+  const relation = !Array.isArray(parsed) && parsed.relation === 'or' ? 'or' : 'and'
+
+  const results = rules.map((rule) => {
+    if (!rule || typeof rule.field !== 'string') return true
+    const actual = parseJSON(values[rule.field])
+    const expected = rule.value
+    const actualList = Array.isArray(actual) ? actual : [actual]
+    const expectedList = Array.isArray(expected) ? expected : [expected]
+
+    switch (rule.operator ?? '==') {
+      case '==':
+        return actualList.some((item) => sameValue(item, expected))
+      case '!=':
+        return !actualList.some((item) => sameValue(item, expected))
+      case 'in':
+        return actualList.some((item) => expectedList.some((option) => sameValue(item, option)))
+      case 'not_in':
+        return !actualList.some((item) => expectedList.some((option) => sameValue(item, option)))
+      case 'empty':
+        return isEmptyValue(actual)
+      case 'not_empty':
+        return !isEmptyValue(actual)
+      case '>':
+        return Number(actual) > Number(expected)
+      case '>=':
+        return Number(actual) >= Number(expected)
+      case '<':
+        return Number(actual) < Number(expected)
+      case '<=':
+        return Number(actual) <= Number(expected)
+      default:
+        return true
+    }
+  })
+
+  return relation === 'or' ? results.some(Boolean) : results.every(Boolean)
+}
+
+export default class FieldValidationService {
+  private context: HTMLDrop.Context
+  private knex: Knex
+  private hooks: Hooks
+
+  constructor(context: HTMLDrop.Context, hooks: Hooks = {}) {
+    if (!context.knex) {
+      throw new Error('FieldValidationService requires a database connection')
+    }
+    this.context = context
+    this.knex = context.knex
+    this.hooks = hooks
+  }
+
+  private table(name: string): string {
+    return this.context.table(name)
+  }
+
+  /**
+   * Stored values of a post or term, its columns and meta, to validate an update against
+   */
+  async currentValues(type: ValidatableType, id: number): Promise<Record<string, unknown>> {
+    const item = (await this.knex(this.table(type === 'post' ? 'posts' : 'terms')).where('id', id).first()) as Row | undefined
+    const meta = (await this.knex(this.table(`${type}_meta`)).where(`${type}_id`, id)) as Row[]
+    return {
+      ...Object.fromEntries(meta.map((row) => [row.field_slug, parseJSON(row.value)])),
+      ...(item || {})
+    }
+  }
+
+  /**
+   * Check the values against the fields and return every problem found,
+   * an empty list means the values are valid
+   */
+  async validate(
+    type: ValidatableType,
+    entries: { field: FieldDefinition }[],
+    values: Record<string, unknown>,
+    options: ValidationOptions = {}
+  ): Promise<FieldError[]> {
+    const { submitted, required = 'all', slug, item = null } = options
+    const errors: FieldError[] = []
+
+    for (const { field } of entries) {
+      if (!field?.slug || !matchesConditions(field.conditions, values)) continue
+      const value = values[field.slug]
+      const isSubmitted = !submitted || submitted.includes(field.slug)
+      let fieldErrors: FieldError[] = []
+
+      const mustHaveValue = Boolean(field.required) && (required === 'all' || (required === 'submitted' && isSubmitted))
+      if (mustHaveValue && isEmptyValue(value)) {
+        fieldErrors.push({ field: field.slug, message: `${field.name || field.slug} is required`, code: ERROR_CODES.MISSING_REQUIRED_FIELD })
+      } else if (isSubmitted && !isEmptyValue(value)) {
+        fieldErrors.push(...(await this.checkType(field, value, required !== 'none')))
+      }
+
+      if (isSubmitted && this.hooks.applyFilters) {
+        const filtered = await this.hooks.applyFilters(`validate_${type}_field`, fieldErrors, { field, value, values, slug, item })
+        fieldErrors = (Array.isArray(filtered) ? filtered : []).map((error: FieldError | string) =>
+          typeof error === 'string' ? { field: field.slug, message: error, code: ERROR_CODES.INVALID_INPUT } : error
+        )
+      }
+      errors.push(...fieldErrors)
+    }
+
+    return errors
+  }
+
+  /**
+   * Type and `options` constraints of a non-empty value. Types without rules here,
+   * e.g. those of plugin controls, are left to the filter
+   */
+  private async checkType(field: FieldDefinition, value: unknown, enforceRequired = true): Promise<FieldError[]> {
+    const name = field.name || field.slug
+    const options = (parseJSON(field.options) || {}) as Row
+    const invalid = (message: string, code: string = ERROR_CODES.INVALID_INPUT): FieldError[] => [{ field: field.slug, message, code }]
+
+    switch (field.type) {
+      case 'text':
+      case 'textarea':
+      case 'rich_text':
+        return ['string', 'number', 'boolean'].includes(typeof value) ? [] : invalid(`${name} must be text`)
+
+      case 'editor': {
+        if (['string', 'number', 'boolean'].includes(typeof value)) return []
+        const blocks = (value as Row)?.blocks
+        const valid = Array.isArray(blocks) && blocks.every((block) => block && typeof block === 'object' && typeof block.type === 'string')
+        return valid ? [] : invalid(`${name} must be text or a list of blocks`)
+      }
+
+      case 'number': {
+        const number = typeof value === 'string' ? Number(value.trim()) : value
+        if (typeof number !== 'number' || !Number.isFinite(number)) return invalid(`${name} must be a number`)
+        if (typeof options.min !== 'undefined' && number < Number(options.min)) return invalid(`${name} must be at least ${options.min}`)
+        if (typeof options.max !== 'undefined' && number > Number(options.max)) return invalid(`${name} must be at most ${options.max}`)
+        return []
+      }
+
+      case 'boolean':
+      case 'checkbox':
+        return [true, false, 1, 0, 'true', 'false', '1', '0'].includes(value as never) ? [] : invalid(`${name} must be true or false`)
+
+      case 'date':
+      case 'datetime':
+        return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? [] : invalid(`${name} must be a valid date`)
+
+      case 'select':
+      case 'radio': {
+        const choices = (Array.isArray(options.choices) ? options.choices : []).map((choice: unknown) =>
+          choice && typeof choice === 'object' ? (choice as Row).value : choice
+        )
+        const selected = toList(value)
+        if (selected.length > 1 && !options.multiple) return invalid(`${name} accepts a single choice`)
+        if (!choices.length) return []
+        const unknown = selected.filter((item) => !choices.some((choice: unknown) => sameValue(choice, item)))
+        return unknown.length ? invalid(`${name} must be one of: ${choices.join(', ')}`) : []
+      }
+
+      case 'media':
+      case 'multimedia':
+      case 'image': {
+        const ids = toList(value).map((item) => Number(item && typeof item === 'object' ? (item as Row).attachment_id : item))
+        if (ids.some((id) => !Number.isInteger(id) || id <= 0)) return invalid(`${name} must reference attachments by ID`)
+
+        const found = new Set(
+          await this.knex(this.table('posts'))
+            .whereIn('id', ids)
+            .where('post_type_slug', 'attachments')
+            .whereNull('deleted_at')
+            .pluck('id')
+        )
+        const missing = ids.filter((id) => !found.has(id))
+        return missing.length ? invalid(`${name} references missing attachments: ${missing.join(', ')}`, ERROR_CODES.NOT_FOUND) : []
+      }
+
+      case 'users': {
+        const ids = toList(value).map((item) => Number(item && typeof item === 'object' ? (item as Row).id : item))
+        if (ids.some((id) => !Number.isInteger(id) || id <= 0)) return invalid(`${name} must reference users by ID`)
+
+        const found = new Set(await this.knex(this.table('users')).whereIn('id', ids).whereNull('deleted_at').pluck('id'))
+        const missing = ids.filter((id) => !found.has(id))
+        return missing.length ? invalid(`${name} references missing users: ${missing.join(', ')}`, ERROR_CODES.NOT_FOUND) : []
+      }
+
+      case 'relationship': {
+        const ids = toList(value).map((item) => Number(item && typeof item === 'object' ? (item as Row).id : item))
+        if (ids.some((id) => !Number.isInteger(id) || id <= 0)) return invalid(`${name} must reference posts by ID`)
+        if (ids.length > 1 && options.multiple === false) return invalid(`${name} accepts a single post`)
+        if (typeof options.max !== 'undefined' && ids.length > Number(options.max)) {
+          return invalid(`${name} accepts at most ${options.max} posts`)
+        }
+
+        const postTypes = Array.isArray(options.post_types) ? options.post_types : []
+        const query = this.knex(this.table('posts')).whereIn('id', ids).whereNull('deleted_at')
+        if (postTypes.length) query.whereIn('post_type_slug', postTypes)
+        const found = new Set(await query.pluck('id'))
+        const missing = ids.filter((id) => !found.has(id))
+        if (!missing.length) return []
+        const allowed = postTypes.length ? ` of type ${postTypes.join(', ')}` : ''
+        return invalid(`${name} references missing posts${allowed}: ${missing.join(', ')}`, ERROR_CODES.NOT_FOUND)
+      }
+
+      case 'repeater': {
+        const rows = parseJSON(value)
+        if (!Array.isArray(rows) || rows.some((row) => !row || typeof row !== 'object' || Array.isArray(row))) {
+          return invalid(`${name} must be a list of rows`)
+        }
+        if (typeof options.min !== 'undefined' && rows.length < Number(options.min)) return invalid(`${name} needs at least ${options.min} rows`)
+        if (typeof options.max !== 'undefined' && rows.length > Number(options.max)) return invalid(`${name} accepts at most ${options.max} rows`)
+        return this.checkSubFields(field, rows as Row[], enforceRequired)
+      }
+
+      case 'group': {
+        const group = parseJSON(value)
+        if (!group || typeof group !== 'object' || Array.isArray(group)) return invalid(`${name} must be an object`)
+        return this.checkSubFields(field, [group as Row], enforceRequired)
+      }
+
+      default:
+        return []
+    }
+  }
+
+  /**
+   * Check the sub-fields, `options.fields`, of repeater rows or a group like top-level fields.
+   * Errors are reported on the path of the value, e.g. `faq.0.question` or `address.city`
+   */
+  private async checkSubFields(field: FieldDefinition, rows: Row[], enforceRequired: boolean): Promise<FieldError[]> {
+    const options = (parseJSON(field.options) || {}) as Row
+    const subFields = (Array.isArray(options.fields) ? options.fields : []).filter((sub: FieldDefinition) => sub?.slug) as FieldDefinition[]
+    const errors: FieldError[] = []
+
+    for (const [index, row] of rows.entries()) {
+      const prefix = field.type === 'repeater' ? `${field.slug}.${index}` : field.slug
+      for (const sub of subFields) {
+        if (!matchesConditions(sub.conditions, row)) continue
+        const value = row[sub.slug]
+        const path = `${prefix}.${sub.slug}`
+        if (sub.required && enforceRequired && isEmptyValue(value)) {
+          errors.push({ field: path, message: `${sub.name || sub.slug} is required`, code: ERROR_CODES.MISSING_REQUIRED_FIELD })
+        } else if (!isEmptyValue(value)) {
+          errors.push(...(await this.checkType({ ...sub, slug: path, name: sub.name || sub.slug }, value, enforceRequired)))
+        }
+      }
+    }
+
+    return errors
+  }
+}
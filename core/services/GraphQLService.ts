@@ -0,0 +1,790 @@
+/**
+ * GraphQL Service
+ *
+ * A GraphQL schema generated from the post type and taxonomy registries. Every post type
+ * the caller can see gets an object type with its core columns, its fields typed from
+ * their definitions and a list of terms per taxonomy, plus two root queries:
+ *
+ *   { posts(limit: 5, status: "published") { total items { id title categories { slug } } } }
+ *   { post(slug: "hello-world") { title relatedPosts { ... on Node { id slug } } } }
+ *
+ * Schemas are cached by a signature of the post types, fields and taxonomies they were
+ * built from, so a changed post type or field gives a new schema on the next request.
+ * Reading follows the posts API: callers with `read` or `read_post` see every post of a
+ * type, other signed-in users only the posts they author.
+ *
+ * Meta, terms and related posts are loaded through per request batch loaders, so a list
+ * of posts costs one query per table however many posts and fields are selected.
+ */
+
+import crypto from 'crypto'
+import type { Knex } from 'knex'
+import {
+  GraphQLBoolean,
+  GraphQLEnumType,
+  GraphQLError,
+  GraphQLFloat,
+  GraphQLInt,
+  GraphQLInterfaceType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLObjectType,
+  GraphQLScalarType,
+  GraphQLSchema,
+  GraphQLString,
+  Kind,
+  execute,
+  parse,
+  specifiedRules,
+  validate
+} from 'graphql'
+import type {
+  DocumentNode,
+  ExecutionResult,
+  GraphQLFieldConfig,
+  GraphQLFieldConfigMap,
+  GraphQLOutputType,
+  SelectionSetNode,
+  ValidationRule
+} from 'graphql'
+import PostService from './PostService.ts'
+import type { FieldDefinition } from './PostService.ts'
+import LocalizationService from './LocalizationService.ts'
+import { isBlockDocument } from './BlockService.ts'
+import { GRAPHQL, PAGINATION } from '../utils/constants.ts'
+
+// Capabilities that allow reading posts and terms, same as the REST API
+const READ_CAPABILITIES = ['read', 'read_post']
+const TERM_READ_CAPABILITIES = ['read', 'read_term']
+
+// Type names used by the schema itself
+const RESERVED_TYPE_NAMES = ['Query', 'Node', 'Term', 'TermConnection', 'JSON', 'PostOrderBy', 'OrderDirection', 'String', 'Int', 'Float', 'Boolean', 'ID']
+
+const NAME_PATTERN = /^[_A-Za-z][_0-9A-Za-z]*$/
+
+export interface SchemaTaxonomy {
+  slug: string
+  name_singular?: string
+  name_plural?: string
+}
+
+export interface SchemaPostType {
+  slug: string
+  name_singular?: string
+  name_plural?: string
+  description?: string
+  fields: FieldDefinition[]
+  taxonomies: SchemaTaxonomy[]
+}
+
+export interface GraphQLRequest {
+  query: string
+  variables?: Record<string, unknown> | null
+  operationName?: string | null
+}
+
+interface Hooks {
+  applyFilters?: (name: string, value: any, ...args: any[]) => any
+  getAllPostTypes?: () => Promise<any[]>
+  getPostType?: (slug: string) => Promise<Record<string, any> | null>
+  // Registry entries, `{ field, priority, source }`
+  getFields?: (slug: string) => Promise<any[]>
+  getAllTaxonomies?: (postType: string) => Promise<any[]>
+  getTaxonomy?: (postType: string, slug: string) => Promise<Record<string, any> | null>
+}
+
+export interface GraphQLCaller {
+  hooks: Hooks
+  guard?: { user: (options: Record<string, unknown>) => Promise<string[] | null> }
+  user?: { id?: number } | null
+}
+
+// Which posts of a type the caller reads: all of them, the ones they author, or none
+type Access = 'all' | 'own' | null
+
+type Row = Record<string, any>
+
+interface Connection {
+  items: Row[]
+  total: number
+  limit: number
+  offset: number
+}
+
+interface ListArgs {
+  limit?: number
+  offset?: number
+  status?: string
+  locale?: string
+  fallback?: boolean
+  orderBy?: string
+  order?: 'asc' | 'desc'
+}
+
+const parseJSON = (value: unknown): unknown => {
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+/**
+ * Batches the keys asked for while resolving one level of a query into a single
+ * lookup, and caches the results for the rest of the request
+ */
+export class BatchLoader<K, V> {
+  private batchFn: (keys: K[]) => Promise<V[]>
+  private cache = new Map<K, Promise<V>>()
+  private queue: { key: K; resolve: (value: V) => void; reject: (error: unknown) => void }[] = []
+
+  constructor(batchFn: (keys: K[]) => Promise<V[]>) {
+    this.batchFn = batchFn
+  }
+
+  load(key: K): Promise<V> {
+    const cached = this.cache.get(key)
+    if (cached) return cached
+
+    const promise = new Promise<V>((resolve, reject) => {
+      this.queue.push({ key, resolve, reject })
+      // Resolvers of sibling fields run in the same tick, dispatch once they all asked
+      if (this.queue.length === 1) Promise.resolve().then(() => process.nextTick(() => this.dispatch()))
+    })
+    this.cache.set(key, promise)
+    return promise
+  }
+
+  loadMany(keys: K[]): Promise<V[]> {
+    return Promise.all(keys.map((key) => this.load(key)))
+  }
+
+  private async dispatch(): Promise<void> {
+    const batch = this.queue
+    this.queue = []
+    try {
+      const values = await this.batchFn(batch.map((item) => item.key))
+      batch.forEach((item, i) => item.resolve(values[i]))
+    } catch (error) {
+      for (const item of batch) {
+        this.cache.delete(item.key)
+        item.reject(error)
+      }
+    }
+  }
+}
+
+const words = (value: string): string[] => String(value || '').split(/[^A-Za-z0-9]+/).filter(Boolean)
+
+export const pascalCase = (value: string): string =>
+  words(value)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('')
+
+export const camelCase = (value: string): string => {
+  const name = pascalCase(value)
+  return name.charAt(0).toLowerCase() + name.slice(1)
+}
+
+/**
+ * First candidate that is a valid GraphQL name and not taken yet, null when none is
+ */
+const claimName = (taken: Set<string>, ...candidates: string[]): string | null => {
+  for (const candidate of candidates) {
+    const name = /^[0-9]/.test(candidate) ? `_${candidate}` : candidate
+    if (!NAME_PATTERN.test(name) || name.startsWith('__') || taken.has(name)) continue
+    taken.add(name)
+    return name
+  }
+  return null
+}
+
+const toDate = (value: unknown): string | null => (value instanceof Date ? value.toISOString() : value ? String(value) : null)
+
+const toText = (value: unknown): string | null => {
+  if (value === null || typeof value === 'undefined') return null
+  if (isBlockDocument(value)) return value.html
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+const toNumber = (value: unknown): number | null => {
+  if (value === null || typeof value === 'undefined' || value === '') return null
+  const number = Number(value)
+  return Number.isFinite(number) ? number : null
+}
+
+const toBoolean = (value: unknown): boolean | null => {
+  if (value === null || typeof value === 'undefined' || value === '') return null
+  return value === true || value === 1 || value === '1' || value === 'true'
+}
+
+const toList = (value: unknown): unknown[] => {
+  const parsed = parseJSON(value)
+  if (Array.isArray(parsed)) return parsed
+  return parsed === null || typeof parsed === 'undefined' || parsed === '' ? [] : [parsed]
+}
+
+const nonNullList = (type: GraphQLOutputType): GraphQLNonNull<GraphQLList<GraphQLOutputType>> =>
+  new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(type)))
+
+const JSONScalar = new GraphQLScalarType({
+  name: 'JSON',
+  description: 'Any JSON value, used for structured fields like repeaters, groups and media',
+  serialize: (value) => value,
+  parseValue: (value) => value
+})
+
+const PostOrderBy = new GraphQLEnumType({
+  name: 'PostOrderBy',
+  values: {
+    CREATED_AT: { value: 'created_at' },
+    UPDATED_AT: { value: 'updated_at' },
+    PUBLISH_AT: { value: 'publish_at' },
+    ID: { value: 'id' },
+    SLUG: { value: 'slug' }
+  }
+})
+
+const OrderDirection = new GraphQLEnumType({
+  name: 'OrderDirection',
+  values: {
+    ASC: { value: 'asc' },
+    DESC: { value: 'desc' }
+  }
+})
+
+const coreFields = (): GraphQLFieldConfigMap<Row, GraphQLService> => ({
+  id: { type: new GraphQLNonNull(GraphQLInt) },
+  slug: { type: GraphQLString },
+  status: { type: GraphQLString },
+  postType: { type: new GraphQLNonNull(GraphQLString), resolve: (post) => post.post_type_slug },
+  locale: { type: GraphQLString, resolve: (post, _args, service) => service.localeOf(post) },
+  publishAt: { type: GraphQLString, resolve: (post) => toDate(post.publish_at) },
+  createdAt: { type: GraphQLString, resolve: (post) => toDate(post.created_at) },
+  updatedAt: { type: GraphQLString, resolve: (post) => toDate(post.updated_at) }
+})
+
+const Term = new GraphQLObjectType<Row, GraphQLService>({
+  name: 'Term',
+  fields: {
+    id: { type: new GraphQLNonNull(GraphQLInt) },
+    slug: { type: GraphQLString },
+    status: { type: GraphQLString },
+    taxonomy: { type: new GraphQLNonNull(GraphQLString), resolve: (term) => term.taxonomy_slug },
+    parentId: { type: GraphQLInt, resolve: (term) => term.parent_id ?? null },
+    title: { type: GraphQLString, resolve: (term, _args, service) => service.termTitle(term) },
+    meta: {
+      type: JSONScalar,
+      description: 'Values of the taxonomy fields',
+      resolve: (term, _args, service) => service.loaders.termMeta.load(term.id)
+    }
+  }
+})
+
+const connectionType = (name: string, itemType: GraphQLOutputType): GraphQLObjectType<Connection> =>
+  new GraphQLObjectType<Connection>({
+    name,
+    fields: {
+      items: { type: nonNullList(itemType) },
+      total: { type: new GraphQLNonNull(GraphQLInt) },
+      limit: { type: new GraphQLNonNull(GraphQLInt) },
+      offset: { type: new GraphQLNonNull(GraphQLInt) },
+      hasMore: {
+        type: new GraphQLNonNull(GraphQLBoolean),
+        resolve: (connection) => connection.offset + connection.items.length < connection.total
+      }
+    }
+  })
+
+const TermConnection = connectionType('TermConnection', Term)
+
+const paginationArgs = {
+  limit: { type: GraphQLInt, defaultValue: PAGINATION.DEFAULT_LIMIT, description: `At most ${PAGINATION.MAX_LIMIT}` },
+  offset: { type: GraphQLInt, defaultValue: 0 }
+}
+
+/**
+ * Rejects queries nested deeper than `max` fields. Introspection is left alone,
+ * its depth is fixed by the spec
+ */
+export const depthLimit =
+  (max: number): ValidationRule =>
+    (context) => {
+      const depthOf = (selectionSet: SelectionSetNode | undefined, fragments: Set<string>): number => {
+        if (!selectionSet) return 0
+        let deepest = 0
+        for (const selection of selectionSet.selections) {
+          if (selection.kind === Kind.FIELD) {
+            if (selection.name.value.startsWith('__')) continue
+            deepest = Math.max(deepest, 1 + depthOf(selection.selectionSet, fragments))
+          } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+            deepest = Math.max(deepest, depthOf(selection.selectionSet, fragments))
+          } else {
+            // Fragment cycles are reported by the spec rules
+            const name = selection.name.value
+            if (fragments.has(name)) continue
+            deepest = Math.max(deepest, depthOf(context.getFragment(name)?.selectionSet, new Set([...fragments, name])))
+          }
+        }
+        return deepest
+      }
+
+      return {
+        OperationDefinition(node) {
+          const depth = depthOf(node.selectionSet, new Set())
+          if (depth > max) {
+            context.reportError(new GraphQLError(`Query is nested ${depth} levels deep, at most ${max} are allowed`, { nodes: [node] }))
+          }
+        }
+      }
+    }
+
+/**
+ * Build the schema for a set of post types
+ */
+export const buildContentSchema = (postTypes: SchemaPostType[]): GraphQLSchema => {
+  const typeNames = new Set(RESERVED_TYPE_NAMES)
+  const objectTypes = new Map<string, GraphQLObjectType<Row, GraphQLService>>()
+
+  const Node = new GraphQLInterfaceType({
+    name: 'Node',
+    description: 'Fields every post has, whatever its type',
+    fields: coreFields,
+    resolveType: (post: Row) => objectTypes.get(post.post_type_slug)?.name
+  })
+
+  const fieldConfig = (field: FieldDefinition): GraphQLFieldConfig<Row, GraphQLService> => {
+    const options = (parseJSON(field.options) || {}) as Row
+    const description = field.name ? String(field.name) : undefined
+
+    switch (field.type) {
+      case 'number':
+        return { type: GraphQLFloat, description, resolve: async (post, _args, service) => toNumber(await service.value(post, field.slug)) }
+      case 'boolean':
+      case 'checkbox':
+        return { type: GraphQLBoolean, description, resolve: async (post, _args, service) => toBoolean(await service.value(post, field.slug)) }
+      case 'select':
+        if (options.multiple) {
+          return {
+            type: nonNullList(GraphQLString),
+            description,
+            resolve: async (post, _args, service) => toList(await service.value(post, field.slug)).map(String)
+          }
+        }
+        return { type: GraphQLString, description, resolve: (post, _args, service) => service.text(post, field.slug) }
+      case 'users':
+        return {
+          type: nonNullList(GraphQLInt),
+          description,
+          resolve: async (post, _args, service) =>
+            toList(await service.value(post, field.slug))
+              .map((item) => Number(item && typeof item === 'object' ? (item as Row).id : item))
+              .filter((id) => Number.isInteger(id) && id > 0)
+        }
+      case 'relationship': {
+        // Posts of a single type come typed, mixed ones through the Node interface
+        const targets = Array.isArray(options.post_types) ? (options.post_types as string[]) : null
+        const target = targets?.length === 1 ? objectTypes.get(targets[0]) : undefined
+        return {
+          type: nonNullList(target || Node),
+          description,
+          resolve: (post, _args, service) => service.relatedPosts(post, field.slug, target ? targets : null)
+        }
+      }
+      case 'text':
+      case 'textarea':
+      case 'rich_text':
+      case 'editor':
+      case 'date':
+      case 'datetime':
+      case 'radio':
+      case 'email':
+      case 'url':
+      case 'color':
+        return { type: GraphQLString, description, resolve: (post, _args, service) => service.text(post, field.slug) }
+      default:
+        return { type: JSONScalar, description, resolve: (post, _args, service) => service.value(post, field.slug) }
+    }
+  }
+
+  const postFields = (postType: SchemaPostType): GraphQLFieldConfigMap<Row, GraphQLService> => {
+    const fields = coreFields()
+    const taken = new Set(Object.keys(fields))
+    // Taken ahead of fields and taxonomies, the list of all terms always keeps its name
+    taken.add('terms')
+
+    for (const field of postType.fields) {
+      const name = claimName(taken, camelCase(field.slug))
+      if (name) fields[name] = fieldConfig(field)
+    }
+
+    const taxonomies = postType.taxonomies.map((taxonomy) => taxonomy.slug)
+    for (const taxonomy of postType.taxonomies) {
+      const name = claimName(taken, camelCase(taxonomy.slug))
+      if (!name) continue
+      fields[name] = {
+        type: nonNullList(Term),
+        description: taxonomy.name_plural,
+        resolve: (post, _args, service) => service.termsOf(post, [taxonomy.slug])
+      }
+    }
+    fields.terms = {
+      type: nonNullList(Term),
+      args: { taxonomy: { type: GraphQLString } },
+      resolve: (post, args, service) => service.termsOf(post, args.taxonomy ? taxonomies.filter((slug) => slug === args.taxonomy) : taxonomies)
+    }
+    return fields
+  }
+
+  for (const postType of postTypes) {
+    const name = claimName(typeNames, pascalCase(postType.name_singular || ''), pascalCase(postType.slug), `${pascalCase(postType.slug)}Post`)
+    if (!name) continue
+    objectTypes.set(
+      postType.slug,
+      new GraphQLObjectType<Row, GraphQLService>({
+        name,
+        description: postType.description || undefined,
+        interfaces: [Node],
+        fields: () => postFields(postType)
+      })
+    )
+  }
+
+  const rootNames = new Set(['terms'])
+  const queryFields: GraphQLFieldConfigMap<unknown, GraphQLService> = {
+    terms: {
+      type: new GraphQLNonNull(TermConnection),
+      args: {
+        postType: { type: new GraphQLNonNull(GraphQLString) },
+        taxonomy: { type: new GraphQLNonNull(GraphQLString) },
+        ...paginationArgs
+      },
+      resolve: (_root, args, service) => service.listTerms(args.postType, args.taxonomy, args)
+    }
+  }
+
+  for (const postType of postTypes) {
+    const objectType = objectTypes.get(postType.slug)
+    if (!objectType) continue
+    const listName = claimName(rootNames, camelCase(postType.slug), `${camelCase(postType.slug)}List`)
+    const itemName = claimName(rootNames, camelCase(postType.name_singular || ''), `${camelCase(postType.slug)}Item`)
+
+    if (listName && claimName(typeNames, `${objectType.name}Connection`)) {
+      queryFields[listName] = {
+        type: new GraphQLNonNull(connectionType(`${objectType.name}Connection`, objectType)),
+        description: postType.name_plural,
+        args: {
+          ...paginationArgs,
+          status: { type: GraphQLString },
+          locale: { type: GraphQLString, description: 'Only posts in this content locale, filled in from its fallback locales' },
+          fallback: { type: GraphQLBoolean, defaultValue: true },
+          orderBy: { type: PostOrderBy, defaultValue: 'created_at' },
+          order: { type: OrderDirection, defaultValue: 'desc' }
+        },
+        resolve: (_root, args, service) => service.listPosts(postType.slug, args)
+      }
+    }
+    if (itemName) {
+      queryFields[itemName] = {
+        type: objectType,
+        description: postType.name_singular,
+        args: { id: { type: GraphQLInt }, slug: { type: GraphQLString } },
+        resolve: (_root, args, service) => service.getPost(postType.slug, args)
+      }
+    }
+  }
+
+  return new GraphQLSchema({
+    query: new GraphQLObjectType({ name: 'Query', fields: queryFields }),
+    // Post types are only reachable through relationships to the Node interface otherwise
+    types: [...objectTypes.values()]
+  })
+}
+
+const schemaCache = new Map<string, GraphQLSchema>()
+
+export default class GraphQLService {
+  private context: HTMLDrop.Context
+  private knex: Knex
+  private hooks: Hooks
+  private guard: GraphQLCaller['guard']
+  private user: GraphQLCaller['user']
+  private postService: PostService
+  private localization: LocalizationService
+  private access = new Map<string, Promise<Access>>()
+  private schemaTypes = new Set<string>()
+  readonly loaders: {
+    meta: BatchLoader<number, Row>
+    terms: BatchLoader<number, Row[]>
+    termMeta: BatchLoader<number, Row>
+    posts: BatchLoader<number, Row | null>
+  }
+
+  constructor(context: HTMLDrop.Context, caller: GraphQLCaller) {
+    if (!context.knex) {
+      throw new Error('GraphQLService requires a database connection')
+    }
+    this.context = context
+    this.knex = context.knex
+    this.hooks = caller.hooks || {}
+    this.guard = caller.guard
+    this.user = caller.user
+    this.postService = new PostService({ knex: context.knex, table: context.table, normalizeSlug: context.normalizeSlug })
+    this.localization = new LocalizationService(context)
+
+    this.loaders = {
+      meta: new BatchLoader((ids) => this.metaMany('post_meta', 'post_id', ids)),
+      termMeta: new BatchLoader((ids) => this.metaMany('term_meta', 'term_id', ids)),
+      terms: new BatchLoader(async (ids) => {
+        const relationships = this.table('term_relationships')
+        const terms = this.table('terms')
+        const rows = await this.knex(relationships)
+          .join(terms, `${relationships}.term_id`, '=', `${terms}.id`)
+          .whereIn(`${relationships}.post_id`, ids)
+          .whereNull(`${terms}.deleted_at`)
+          .select(`${relationships}.post_id as term_post_id`, `${terms}.*`)
+        const byPost = new Map<number, Row[]>(ids.map((id) => [id, []]))
+        for (const { term_post_id: postId, ...term } of rows) byPost.get(postId)?.push(term)
+        return ids.map((id) => byPost.get(id)!)
+      }),
+      posts: new BatchLoader(async (ids) => {
+        const rows = await this.knex(this.table('posts')).whereIn('id', ids).whereNull('deleted_at')
+        const byId = new Map<number, Row>(rows.map((row: Row) => [row.id, row]))
+        return ids.map((id) => byId.get(id) || null)
+      })
+    }
+  }
+
+  private table(name: string): string {
+    return this.context.table(name)
+  }
+
+  private async metaMany(tableName: string, column: string, ids: number[]): Promise<Row[]> {
+    const rows = await this.knex(this.table(tableName)).whereIn(column, ids)
+    const byId = new Map<number, Row>(ids.map((id) => [id, {}]))
+    for (const row of rows) {
+      const meta = byId.get(row[column])
+      if (meta) meta[row.field_slug] = parseJSON(row.value)
+    }
+    return ids.map((id) => byId.get(id)!)
+  }
+
+  /**
+   * The post types, fields and taxonomies the caller can see, in a stable order.
+   * Everything the schema is built from, so it doubles as the cache key
+   */
+  async snapshot(): Promise<SchemaPostType[]> {
+    const { getAllPostTypes, getFields, getAllTaxonomies } = this.hooks
+    const types = ((await getAllPostTypes?.()) || []) as Row[]
+
+    const postTypes = await Promise.all(
+      types.map(async (type): Promise<SchemaPostType> => {
+        const entries = ((await getFields?.(type.slug)) || []) as { field: FieldDefinition }[]
+        const taxonomies = ((await getAllTaxonomies?.(type.slug)) || []) as Row[]
+        return {
+          slug: type.slug,
+          name_singular: type.name_singular,
+          name_plural: type.name_plural,
+          description: type.description,
+          fields: entries
+            .map((entry) => entry.field)
+            .filter((field) => field?.slug)
+            .map(({ slug, name, type: fieldType, options }) => ({ slug, name, type: fieldType, options })),
+          taxonomies: taxonomies
+            .map(({ slug, name_singular, name_plural }) => ({ slug, name_singular, name_plural }))
+            .sort((a, b) => a.slug.localeCompare(b.slug))
+        }
+      })
+    )
+    return postTypes.sort((a, b) => a.slug.localeCompare(b.slug))
+  }
+
+  /**
+   * The schema for the caller, built again when the registries changed since it was cached
+   */
+  async schema(): Promise<GraphQLSchema> {
+    const postTypes = await this.snapshot()
+    this.schemaTypes = new Set(postTypes.map((type) => type.slug))
+
+    const signature = crypto.createHash('sha1').update(JSON.stringify(postTypes)).digest('hex')
+    let schema = schemaCache.get(signature)
+    if (!schema) {
+      schema = buildContentSchema(postTypes)
+      schemaCache.set(signature, schema)
+      if (schemaCache.size > GRAPHQL.SCHEMA_CACHE_SIZE) schemaCache.delete(schemaCache.keys().next().value!)
+    }
+    return schema
+  }
+
+  /**
+   * Run a query. Results without `data` failed to parse or validate
+   */
+  async execute({ query, variables, operationName }: GraphQLRequest): Promise<ExecutionResult> {
+    const schema = await this.schema()
+
+    let document: DocumentNode
+    try {
+      document = parse(query)
+    } catch (error) {
+      return { errors: [error as GraphQLError] }
+    }
+
+    const errors = validate(schema, document, [...specifiedRules, depthLimit(GRAPHQL.MAX_DEPTH)])
+    if (errors.length) return { errors }
+
+    return execute({
+      schema,
+      document,
+      contextValue: this,
+      variableValues: variables || undefined,
+      operationName: operationName || undefined
+    })
+  }
+
+  // ----------------------
+  // Resolver helpers
+  // ----------------------
+
+  /**
+   * Which posts of a type the caller may read, checked once per request
+   */
+  readAccess(postType: string): Promise<Access> {
+    if (!this.access.has(postType)) {
+      this.access.set(
+        postType,
+        (async (): Promise<Access> => {
+          const type = await this.hooks.getPostType?.(postType)
+          const resolved: string[] = Array.isArray(type?.resolvedCapabilities) ? type.resolvedCapabilities : []
+          const caps = resolved.filter((cap) => READ_CAPABILITIES.includes(cap))
+          if (caps.length && (await this.guard?.user({ canOneOf: caps }))) return 'all'
+          return this.user?.id ? 'own' : null
+        })()
+      )
+    }
+    return this.access.get(postType)!
+  }
+
+  private scopedPosts(postType: string, access: Exclude<Access, null>): Knex.QueryBuilder {
+    const posts = this.table('posts')
+    const authors = this.table('post_authors')
+    const query = this.knex(posts).where(`${posts}.post_type_slug`, postType).whereNull(`${posts}.deleted_at`)
+    if (access === 'own') {
+      query.whereExists((sub) => {
+        sub.select('*').from(authors).whereRaw(`${authors}.post_id = ${posts}.id`).andWhere(`${authors}.user_id`, this.user!.id!)
+      })
+    }
+    return query
+  }
+
+  async listPosts(postType: string, args: ListArgs): Promise<Connection> {
+    const limit = Math.min(Math.max(Number(args.limit) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT)
+    const offset = Math.max(Number(args.offset) || 0, 0)
+    const access = await this.readAccess(postType)
+    if (!access) return { items: [], total: 0, limit, offset }
+
+    const query = this.scopedPosts(postType, access)
+    if (args.status) query.where('status', args.status)
+    if (args.locale) {
+      if (!this.localization.isLocale(args.locale)) throw new GraphQLError(`Unknown locale "${args.locale}"`)
+      this.localization.scopeToLocale(query, 'post', args.locale, {
+        fallback: args.fallback !== false,
+        // A translation only replaces its fallback when it would be listed itself
+        siblings: (sub, alias) => {
+          if (args.status) sub.where(`${alias}.status`, args.status)
+        }
+      })
+    }
+
+    const order = args.order === 'asc' ? 'asc' : 'desc'
+    const [items, count] = await Promise.all([
+      query
+        .clone()
+        .orderBy([{ column: args.orderBy || 'created_at', order }, { column: 'id', order }])
+        .limit(limit)
+        .offset(offset),
+      query.clone().count('* as count').first()
+    ])
+    return { items, total: Number(count?.count || 0), limit, offset }
+  }
+
+  async getPost(postType: string, args: { id?: number | null; slug?: string | null }): Promise<Row | null> {
+    if (!args.id && !args.slug) throw new GraphQLError('Pass an id or a slug')
+    const access = await this.readAccess(postType)
+    if (!access) return null
+
+    const query = this.scopedPosts(postType, access)
+    if (args.id) query.where('id', args.id)
+    if (args.slug) query.where('slug', args.slug)
+    return (await query.first()) || null
+  }
+
+  async listTerms(postType: string, taxonomySlug: string, args: { limit?: number; offset?: number }): Promise<Connection> {
+    const limit = Math.min(Math.max(Number(args.limit) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT)
+    const offset = Math.max(Number(args.offset) || 0, 0)
+
+    const taxonomy = await this.hooks.getTaxonomy?.(postType, taxonomySlug)
+    const resolved: string[] = Array.isArray(taxonomy?.resolvedCapabilities) ? taxonomy.resolvedCapabilities : []
+    const caps = resolved.filter((cap) => TERM_READ_CAPABILITIES.includes(cap))
+    if (!caps.length || !(await this.guard?.user({ canOneOf: caps }))) return { items: [], total: 0, limit, offset }
+
+    const query = this.knex(this.table('terms')).where({ post_type_slug: postType, taxonomy_slug: taxonomySlug }).whereNull('deleted_at')
+    const [items, count] = await Promise.all([
+      query.clone().orderBy('id', 'asc').limit(limit).offset(offset),
+      query.clone().count('* as count').first()
+    ])
+    return { items, total: Number(count?.count || 0), limit, offset }
+  }
+
+  localeOf(post: Row): string {
+    return this.localization.localeOf(post)
+  }
+
+  /**
+   * Stored value of a field
+   */
+  async value(post: Row, slug: string): Promise<unknown> {
+    const meta = await this.loaders.meta.load(post.id)
+    return meta[slug] ?? null
+  }
+
+  /**
+   * Value of a text field, block documents as their HTML. Titles and content go
+   * through the `the_title` and `the_content` filters like in the posts API
+   */
+  async text(post: Row, slug: string): Promise<string | null> {
+    const meta = await this.loaders.meta.load(post.id)
+    const text = toText(meta[slug])
+    if (text === null || !this.hooks.applyFilters) return text
+    if (slug === 'content') return this.hooks.applyFilters('the_content', text, { ...post, ...meta })
+    if (slug === 'title') return this.hooks.applyFilters('the_title', text, { ...post, ...meta })
+    return text
+  }
+
+  /**
+   * Related posts in the stored order, leaving out the ones the caller may not read
+   */
+  async relatedPosts(post: Row, slug: string, postTypes: string[] | null): Promise<Row[]> {
+    const rows = await this.loaders.posts.loadMany(this.postService.relatedIds(await this.value(post, slug)))
+    const related: Row[] = []
+    for (const row of rows) {
+      if (!row || !this.schemaTypes.has(row.post_type_slug)) continue
+      if (postTypes && !postTypes.includes(row.post_type_slug)) continue
+      if ((await this.readAccess(row.post_type_slug)) !== 'all') continue
+      related.push(row)
+    }
+    return related
+  }
+
+  async termsOf(post: Row, taxonomies: string[]): Promise<Row[]> {
+    const terms = await this.loaders.terms.load(post.id)
+    return terms.filter((term) => taxonomies.includes(term.taxonomy_slug))
+  }
+
+  async termTitle(term: Row): Promise<string | null> {
+    const meta = await this.loaders.termMeta.load(term.id)
+    const title = toText(meta.title)
+    if (title === null || !this.hooks.applyFilters) return title
+    return this.hooks.applyFilters('the_title', title, { ...term, ...meta })
+  }
+}
@@ -0,0 +1,316 @@
+/**
+ * Image Service
+ *
+ * Generates the configured image sizes for uploaded attachments, serves
+ * on-the-fly transforms from a disk cache and cleans up derivatives
+ *
+ * Transforms are public, so requested dimensions are rounded up to an allowed
+ * dimension and the cache keeps a limited number of transforms per original
+ */
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import sharp from 'sharp'
+
+export type ImageFit = 'cover' | 'contain' | 'fill' | 'inside' | 'outside'
+export type ImageFormat = 'webp' | 'avif' | 'jpeg' | 'png'
+
+export interface ImageSize {
+  width?: number
+  height?: number
+  fit?: ImageFit
+}
+
+export interface ImageDerivative {
+  path: string
+  width: number
+  height: number
+  mime_type: string
+  size: number
+}
+
+export interface TransformOptions {
+  width?: number
+  height?: number
+  fit?: ImageFit
+  format?: ImageFormat
+}
+
+interface FileMeta {
+  path?: string
+  mime_type?: string
+  sizes?: Record<string, ImageDerivative>
+  [key: string]: unknown
+}
+
+export const DEFAULT_IMAGE_SIZES: Record<string, ImageSize> = {
+  thumbnail: { width: 150, height: 150, fit: 'cover' },
+  medium: { width: 300, height: 300, fit: 'inside' },
+  large: { width: 1024, height: 1024, fit: 'inside' }
+}
+
+export const IMAGE_FITS: ImageFit[] = ['cover', 'contain', 'fill', 'inside', 'outside']
+export const IMAGE_FORMATS: ImageFormat[] = ['webp', 'avif', 'jpeg', 'png']
+export const MAX_TRANSFORM_DIMENSION = 4096
+// Transform dimensions besides those of the configured sizes, overridden by the `image_transform_dimensions` option
+export const DEFAULT_TRANSFORM_DIMENSIONS = [64, 128, 256, 320, 480, 640, 768, 1024, 1280, 1536, 1920, 2560]
+// Cached transforms per original, the oldest are removed first
+export const MAX_CACHED_TRANSFORMS = 24
+
+// SVGs are served as-is, animated GIFs would lose their frames
+const RESIZABLE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif', 'image/tiff']
+
+const FORMAT_MIME_TYPES: Record<ImageFormat, string> = {
+  webp: 'image/webp',
+  avif: 'image/avif',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+}
+
+export default class ImageService {
+  private context: HTMLDrop.Context
+  uploadsPath: string
+  cachePath: string
+
+  constructor(
+    context: HTMLDrop.Context,
+    uploadsPath: string = path.resolve('./content/uploads'),
+    cachePath: string = path.resolve('./content/cache/images')
+  ) {
+    this.context = context
+    this.uploadsPath = uploadsPath
+    this.cachePath = cachePath
+  }
+
+  /**
+   * Whether derivatives can be generated for the given mime type
+   */
+  isResizable(mimeType?: string | null): boolean {
+    return !!mimeType && RESIZABLE_MIME_TYPES.includes(mimeType)
+  }
+
+  /**
+   * Configured image sizes
+   *
+   * Defaults can be overridden with the `image_sizes` option and the `image_sizes` filter
+   * of the given request hooks
+   */
+  getSizes(hooks: Pick<HTMLDrop.Hooks, 'applyFilters'> | null = null): Record<string, ImageSize> {
+    let sizes: Record<string, ImageSize> = { ...DEFAULT_IMAGE_SIZES }
+
+    const option = this.context.options?.image_sizes
+    if (option) {
+      try {
+        const parsed = typeof option === 'string' ? JSON.parse(option) : option
+        if (parsed && typeof parsed === 'object') sizes = { ...sizes, ...parsed }
+      } catch {
+        console.error('[ImageService] Invalid image_sizes option')
+      }
+    }
+
+    if (hooks?.applyFilters) sizes = hooks.applyFilters('image_sizes', sizes) as Record<string, ImageSize>
+
+    return sizes
+  }
+
+  /**
+   * Dimensions a transform may use, from the `image_transform_dimensions` option
+   * (or the defaults) and the configured sizes, in ascending order
+   */
+  getTransformDimensions(hooks: Pick<HTMLDrop.Hooks, 'applyFilters'> | null = null): number[] {
+    let dimensions: number[] = DEFAULT_TRANSFORM_DIMENSIONS
+
+    const option = this.context.options?.image_transform_dimensions
+    if (option) {
+      const parsed = Array.isArray(option) ? option : String(option).split(',')
+      const values = parsed.map((value) => Number(String(value).trim()))
+      if (values.length && values.every((value) => Number.isInteger(value) && value > 0)) {
+        dimensions = values
+      } else {
+        console.error('[ImageService] Invalid image_transform_dimensions option')
+      }
+    }
+
+    for (const size of Object.values(this.getSizes(hooks))) {
+      dimensions = [...dimensions, Number(size?.width), Number(size?.height)]
+    }
+
+    const allowed = dimensions.filter((value) => Number.isInteger(value) && value > 0 && value <= MAX_TRANSFORM_DIMENSION)
+    return [...new Set(allowed)].sort((a, b) => a - b)
+  }
+
+  /**
+   * Resolve a path relative to the uploads folder, returns null when it escapes the folder
+   */
+  resolveUploadPath(relativePath: string): string | null {
+    const resolved = path.resolve(this.uploadsPath, path.normalize(relativePath).replace(/^([/\\])+/, ''))
+    if (!resolved.startsWith(this.uploadsPath + path.sep)) return null
+    return resolved
+  }
+
+  /**
+   * Generate every configured size for an uploaded image
+   *
+   * Derivatives are written next to the original as `name-WxH.ext`, sizes that would
+   * upscale the original are skipped. Returns the original dimensions and the sizes
+   * to merge into the attachment file meta
+   */
+  async generateSizes(
+    relativePath: string,
+    hooks: Pick<HTMLDrop.Hooks, 'applyFilters'> | null = null
+  ): Promise<{ width?: number; height?: number; sizes: Record<string, ImageDerivative> }> {
+    const source = this.resolveUploadPath(relativePath)
+    if (!source || !fs.existsSync(source)) throw new Error('Image not found')
+
+    const metadata = await sharp(source).metadata()
+    const originalWidth = metadata.width || 0
+    const originalHeight = metadata.height || 0
+
+    const { dir, name, ext } = path.parse(source)
+    const sizes: Record<string, ImageDerivative> = {}
+
+    for (const [sizeName, size] of Object.entries(this.getSizes(hooks))) {
+      const width = size.width || undefined
+      const height = size.height || undefined
+      if (!width && !height) continue
+      if ((!width || width >= originalWidth) && (!height || height >= originalHeight)) continue
+
+      const target = path.join(dir, `${name}-${width || 'auto'}x${height || 'auto'}${ext}`)
+      const info = await sharp(source)
+        .rotate()
+        .resize({ width, height, fit: size.fit || 'inside', withoutEnlargement: true })
+        .toFile(target)
+
+      sizes[sizeName] = {
+        path: path.relative(this.uploadsPath, target).split(path.sep).join('/'),
+        width: info.width,
+        height: info.height,
+        mime_type: `image/${info.format === 'jpg' ? 'jpeg' : info.format}`,
+        size: info.size
+      }
+    }
+
+    return { width: originalWidth || undefined, height: originalHeight || undefined, sizes }
+  }
+
+  /**
+   * Validate transform query parameters, returns null when no transform was requested
+   *
+   * Width and height are rounded up to the nearest allowed dimension, see `getTransformDimensions`
+   */
+  parseTransform(
+    query: Record<string, unknown>,
+    hooks: Pick<HTMLDrop.Hooks, 'applyFilters'> | null = null
+  ): TransformOptions | null {
+    const { w, h, fit, format } = query
+    if (!w && !h && !format) return null
+
+    const allowed = w || h ? this.getTransformDimensions(hooks) : []
+
+    const toDimension = (value: unknown, name: string): number | undefined => {
+      if (typeof value === 'undefined' || value === '') return undefined
+      const num = Number(value)
+      if (!Number.isInteger(num) || num < 1 || num > MAX_TRANSFORM_DIMENSION) {
+        throw new Error(`Invalid ${name}, expected an integer between 1 and ${MAX_TRANSFORM_DIMENSION}`)
+      }
+      return allowed.find((dimension) => dimension >= num) ?? allowed[allowed.length - 1]
+    }
+
+    if (fit && !IMAGE_FITS.includes(fit as ImageFit)) {
+      throw new Error(`Invalid fit, expected one of: ${IMAGE_FITS.join(', ')}`)
+    }
+    if (format && !IMAGE_FORMATS.includes(format as ImageFormat)) {
+      throw new Error(`Invalid format, expected one of: ${IMAGE_FORMATS.join(', ')}`)
+    }
+
+    return {
+      width: toDimension(w, 'width'),
+      height: toDimension(h, 'height'),
+      fit: (fit as ImageFit) || undefined,
+      format: (format as ImageFormat) || undefined
+    }
+  }
+
+  /**
+   * Cache folder for the transforms of one original, so they can be removed together
+   */
+  private cacheDirFor(relativePath: string): string {
+    const hash = crypto.createHash('sha1').update(relativePath.split(path.sep).join('/')).digest('hex')
+    return path.join(this.cachePath, hash.slice(0, 2), hash)
+  }
+
+  /**
+   * Transform an uploaded image, reusing the cached result when it exists
+   *
+   * Returns the absolute path of the transformed file and its mime type
+   */
+  async transform(relativePath: string, options: TransformOptions): Promise<{ file: string; mime_type: string }> {
+    const source = this.resolveUploadPath(relativePath)
+    if (!source || !fs.existsSync(source)) throw new Error('Image not found')
+
+    const metadata = await sharp(source).metadata()
+    const sourceFormat = metadata.format === 'jpg' ? 'jpeg' : metadata.format
+    const format = options.format || (IMAGE_FORMATS.includes(sourceFormat as ImageFormat) ? (sourceFormat as ImageFormat) : 'webp')
+    const fit = options.fit || 'cover'
+
+    const cacheDir = this.cacheDirFor(path.relative(this.uploadsPath, source))
+    const file = path.join(cacheDir, `${options.width || 'auto'}x${options.height || 'auto'}-${fit}.${format}`)
+    const mime_type = FORMAT_MIME_TYPES[format]
+
+    if (fs.existsSync(file) && fs.statSync(file).mtimeMs >= fs.statSync(source).mtimeMs) {
+      return { file, mime_type }
+    }
+
+    fs.mkdirSync(cacheDir, { recursive: true })
+    this.pruneCache(cacheDir, MAX_CACHED_TRANSFORMS - 1)
+
+    let pipeline = sharp(source).rotate()
+    if (options.width || options.height) {
+      pipeline = pipeline.resize({ width: options.width, height: options.height, fit, withoutEnlargement: true })
+    }
+
+    // Write to a temp file first so concurrent requests never serve a partial image
+    const temp = `${file}.${process.pid}.${Date.now()}.tmp`
+    await pipeline.toFormat(format).toFile(temp)
+    fs.renameSync(temp, file)
+
+    return { file, mime_type }
+  }
+
+  /**
+   * Remove the oldest transforms of an original until at most `keep` are left
+   */
+  private pruneCache(cacheDir: string, keep: number): void {
+    const cached = fs
+      .readdirSync(cacheDir)
+      .filter((name) => !name.endsWith('.tmp'))
+      .map((name) => {
+        const file = path.join(cacheDir, name)
+        // A concurrent request may have removed it already
+        return { file, mtimeMs: fs.statSync(file, { throwIfNoEntry: false })?.mtimeMs ?? 0 }
+      })
+      .sort((a, b) => b.mtimeMs - a.mtimeMs)
+
+    for (const { file } of cached.slice(Math.max(keep, 0))) {
+      fs.rmSync(file, { force: true })
+    }
+  }
+
+  /**
+   * Remove generated sizes and cached transforms of an attachment
+   */
+  deleteDerivatives(fileMeta: FileMeta): void {
+    for (const size of Object.values(fileMeta?.sizes || {})) {
+      const target = size?.path ? this.resolveUploadPath(size.path) : null
+      if (target && fs.existsSync(target)) fs.unlinkSync(target)
+    }
+
+    if (fileMeta?.path) {
+      const source = this.resolveUploadPath(fileMeta.path)
+      if (source) {
+        fs.rmSync(this.cacheDirFor(path.relative(this.uploadsPath, source)), { recursive: true, force: true })
+      }
+    }
+  }
+}
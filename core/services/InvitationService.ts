@@ -0,0 +1,326 @@
+/**
+ * Invitation Service
+ *
+ * Administrators invite users by email with their roles picked up front. The invited user
+ * is created with the status `invited` and a random password, the invitation link carries a
+ * password reset token (see PasswordResetService) that lets them choose their own password,
+ * which activates the account.
+ *
+ * Bulk invites take CSV with the columns `email,roles,first_name,last_name`, roles are
+ * separated by `;` and given by slug, name or ID.
+ */
+
+import crypto from 'crypto'
+import type { Knex } from 'knex'
+import PasswordResetService from './PasswordResetService.ts'
+import { validate as validateEmail } from '../utils/email.ts'
+import { hash } from '../utils/password.ts'
+import { INVITATION } from '../utils/constants.ts'
+import { parseDate } from '../utils/dates.ts'
+
+export const INVITED_STATUS = 'invited'
+
+const CSV_COLUMNS = ['email', 'roles', 'first_name', 'last_name'] as const
+
+export interface InviteInput {
+  email: string
+  // Role slugs, names or IDs
+  roles?: (string | number)[]
+  first_name?: string
+  last_name?: string
+  invitedBy?: number | null
+}
+
+interface Role {
+  id: number
+  name: string
+  slug: string
+}
+
+interface UserRow {
+  id: number
+  username: string
+  email: string
+  status: string
+  first_name?: string | null
+  last_name?: string | null
+  invited_by?: number | null
+  invited_at?: string | null
+  reset_token_expires_at?: string | null
+  deleted_at?: string | null
+}
+
+export interface Invitation {
+  id: number
+  email: string
+  username: string
+  first_name: string | null
+  last_name: string | null
+  roles: Role[]
+  invited_by: { id: number; username: string; email: string } | null
+  invited_at: string | null
+  expires_at: string | null
+  expired: boolean
+}
+
+export interface InvitationToken {
+  invitation: Invitation
+  token: string
+}
+
+/**
+ * Split CSV text into rows of cells, quoted cells may contain commas, quotes and line breaks
+ */
+const parseCsvRows = (text: string): string[][] => {
+  const rows: string[][] = []
+  let row: string[] = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(cell.trim())
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(cell.trim())
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  row.push(cell.trim())
+  rows.push(row)
+  return rows.filter((cells) => cells.some((value) => value !== ''))
+}
+
+/**
+ * Invitations from CSV text, a header row may reorder or omit the optional columns
+ */
+export const parseInvitationCsv = (text: string): InviteInput[] => {
+  const rows = parseCsvRows(String(text || ''))
+  if (!rows.length) return []
+
+  const header = rows[0].map((cell) => cell.toLowerCase().replace(/\s+/g, '_'))
+  const hasHeader = header.includes('email')
+  const columns = hasHeader ? header : [...CSV_COLUMNS]
+
+  return (hasHeader ? rows.slice(1) : rows).map((cells) => {
+    const values: Record<string, string> = {}
+    columns.forEach((column, index) => (values[column] = cells[index] || ''))
+    return {
+      email: values.email,
+      roles: (values.roles || '')
+        .split(/[;|]/)
+        .map((role) => role.trim())
+        .filter(Boolean),
+      first_name: values.first_name || undefined,
+      last_name: values.last_name || undefined
+    }
+  })
+}
+
+export default class InvitationService {
+  private context: HTMLDrop.Context
+  private knex: Knex
+
+  constructor(context: HTMLDrop.Context) {
+    if (!context.knex) {
+      throw new Error('InvitationService requires a database connection')
+    }
+    this.context = context
+    this.knex = context.knex
+  }
+
+  private table(name: string): string {
+    return this.context.table(name)
+  }
+
+  /**
+   * Roles by slug, name or ID, throws on unknown roles
+   */
+  async resolveRoles(identifiers: (string | number)[] = []): Promise<Role[]> {
+    if (!identifiers.length) return []
+    const roles = (await this.knex(this.table('roles')).select('id', 'name', 'slug')) as Role[]
+    const resolved = new Map<number, Role>()
+    for (const identifier of identifiers) {
+      const value = String(identifier).trim()
+      const role = roles.find(
+        (item) => String(item.id) === value || item.slug === value || item.name.toLowerCase() === value.toLowerCase()
+      )
+      if (!role) throw new Error(`Unknown role: ${value}`)
+      resolved.set(role.id, role)
+    }
+    return [...resolved.values()]
+  }
+
+  private async uniqueUsername(email: string): Promise<string> {
+    const normalize = this.context.normalizeSlug || ((value: string) => value.toLowerCase())
+    const base = normalize(email) || normalize(email.split('@')[0]) || 'user'
+    let username = base
+    for (let i = 2; await this.knex(this.table('users')).where('username', username).first(); i++) {
+      username = `${base}-${i}`
+    }
+    return username
+  }
+
+  private async issueToken(email: string): Promise<string> {
+    const { token } = await new PasswordResetService(this.context).createResetToken(email, INVITATION.TOKEN_TTL_DAYS * 24 * 60)
+    return token
+  }
+
+  /**
+   * Create an invited user with their roles, the token for the invitation link is only returned here
+   */
+  async invite(input: InviteInput): Promise<InvitationToken> {
+    const email = String(input.email || '').trim()
+    const emailValidation = validateEmail(email)
+    if (!emailValidation.valid) throw new Error(emailValidation.message || 'Invalid email address')
+
+    // Also blocks addresses of trashed users, the column is unique
+    const existing = await this.knex(this.table('users')).where('email', email).first()
+    if (existing) throw new Error(`A user with the email ${email} already exists`)
+
+    const roles = await this.resolveRoles(input.roles)
+    const now = this.context.formatDate()
+
+    const [result] = await this.knex(this.table('users'))
+      .insert({
+        username: await this.uniqueUsername(email),
+        email,
+        first_name: input.first_name || null,
+        last_name: input.last_name || null,
+        password: await hash(crypto.randomBytes(16).toString('hex')),
+        status: INVITED_STATUS,
+        invited_by: input.invitedBy ?? null,
+        invited_at: now,
+        created_at: now,
+        updated_at: now
+      })
+      .returning('id')
+    const id = typeof result === 'object' ? (result as { id: number }).id : result
+
+    if (roles.length) {
+      await this.knex(this.table('user_roles')).insert(roles.map((role) => ({ user_id: id, role_id: role.id })))
+    }
+
+    const token = await this.issueToken(email)
+    return { invitation: (await this.get(id))!, token }
+  }
+
+  private async format(users: UserRow[]): Promise<Invitation[]> {
+    if (!users.length) return []
+    const ids = users.map((user) => user.id)
+    const roles = (await this.knex(`${this.table('user_roles')} as ur`)
+      .join(`${this.table('roles')} as r`, 'ur.role_id', 'r.id')
+      .whereIn('ur.user_id', ids)
+      .select('ur.user_id', 'r.id', 'r.name', 'r.slug')) as (Role & { user_id: number })[]
+    const inviterIds = [...new Set(users.map((user) => user.invited_by).filter((id): id is number => !!id))]
+    const inviters = inviterIds.length
+      ? ((await this.knex(this.table('users')).whereIn('id', inviterIds).select('id', 'username', 'email')) as {
+          id: number
+          username: string
+          email: string
+        }[])
+      : []
+    const now = new Date()
+
+    return users.map((user) => {
+      const expiresAt = parseDate(user.reset_token_expires_at)
+      return {
+        id: user.id,
+        email: user.email,
+        username: user.username,
+        first_name: user.first_name ?? null,
+        last_name: user.last_name ?? null,
+        roles: roles.filter((role) => role.user_id === user.id).map(({ id, name, slug }) => ({ id, name, slug })),
+        invited_by: inviters.find((inviter) => inviter.id === user.invited_by) || null,
+        invited_at: user.invited_at ?? null,
+        expires_at: user.reset_token_expires_at ?? null,
+        expired: !expiresAt || expiresAt < now
+      }
+    })
+  }
+
+  private pending(): Knex.QueryBuilder {
+    return this.knex(this.table('users')).where('status', INVITED_STATUS).whereNull('deleted_at')
+  }
+
+  /**
+   * Pending invitations, newest first
+   */
+  async list(): Promise<Invitation[]> {
+    return this.format((await this.pending().orderBy('id', 'desc')) as UserRow[])
+  }
+
+  async get(id: number): Promise<Invitation | null> {
+    const user = (await this.pending().where('id', id).first()) as UserRow | undefined
+    return user ? (await this.format([user]))[0] : null
+  }
+
+  /**
+   * New link for a pending invitation, the previous link stops working
+   */
+  async resend(id: number): Promise<InvitationToken | null> {
+    const invitation = await this.get(id)
+    if (!invitation) return null
+    const token = await this.issueToken(invitation.email)
+    return { invitation: (await this.get(id))!, token }
+  }
+
+  /**
+   * Remove a pending invitation and the user created for it
+   */
+  async revoke(id: number): Promise<Invitation | null> {
+    const invitation = await this.get(id)
+    if (!invitation) return null
+    await this.knex(this.table('user_roles')).where('user_id', id).delete()
+    await this.knex(this.table('usermeta')).where('user_id', id).delete()
+    await this.knex(this.table('users')).where('id', id).delete()
+    return invitation
+  }
+
+  /**
+   * Set the password of the invited user and activate the account, the invitation link
+   * proves the address so it is marked as verified
+   */
+  async accept(token: string, password: string, profile: { first_name?: string; last_name?: string } = {}): Promise<UserRow> {
+    const passwordReset = new PasswordResetService(this.context)
+    let user: { id: number }
+    try {
+      user = await passwordReset.validateResetToken(token)
+    } catch {
+      throw new Error('Invalid or expired invitation')
+    }
+    const invited = (await this.pending().where('id', user.id).first()) as UserRow | undefined
+    if (!invited) throw new Error('Invalid or expired invitation')
+
+    await passwordReset.resetPassword(token, password)
+
+    const now = this.context.formatDate()
+    await this.knex(this.table('users'))
+      .where('id', invited.id)
+      .update({
+        status: 'active',
+        email_verified_at: now,
+        ...(profile.first_name ? { first_name: profile.first_name } : {}),
+        ...(profile.last_name ? { last_name: profile.last_name } : {}),
+        updated_at: now
+      })
+
+    return (await this.knex(this.table('users')).where('id', invited.id).first()) as UserRow
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * Localization Service
+ *
+ * Content translations for posts and terms. Every item has a content locale
+ * and items sharing a `translation_group` are translations of each other, at
+ * most one per locale. A NULL locale stands for the site's default content locale,
+ * so content created before localization was enabled keeps working unchanged
+ *
+ * Site settings (options):
+ * - `content_locales`: locales content can be written in, e.g. ["en_US", "nb_NO"]
+ * - `default_content_locale`: locale of untagged content and last fallback
+ * - `content_locale_fallbacks`: extra fallbacks per locale, e.g. {"nn_NO": ["nb_NO"]}
+ */
+
+import crypto from 'crypto'
+import type { Knex } from 'knex'
+
+export const DEFAULT_LOCALE = 'en_US'
+
+export type TranslatableType = 'post' | 'term'
+
+export interface Translation {
+  id: number
+  locale: string
+  // BCP 47 tag for <link rel="alternate" hreflang="…">
+  hreflang: string
+  slug: string | null
+  status: string | null
+  post_type_slug: string
+  taxonomy_slug?: string
+}
+
+export interface LocaleScopeOptions {
+  // Fill in items missing in the locale with their translation in a fallback locale
+  fallback?: boolean
+  // Extra conditions a translation must meet to hide its fallback, e.g. the same status
+  siblings?: (query: Knex.QueryBuilder, alias: string) => void
+}
+
+type Row = Record<string, any>
+
+/**
+ * Locale code as used in hreflang attributes, `nb_NO` becomes `nb-NO`
+ */
+export const toHreflang = (locale: string): string => String(locale).replace(/_/g, '-')
+
+const parseOption = <T>(value: unknown, fallback: T): T => {
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value) as T
+    } catch {
+      return fallback
+    }
+  }
+  return (value ?? fallback) as T
+}
+
+export default class LocalizationService {
+  private context: HTMLDrop.Context
+
+  constructor(context: HTMLDrop.Context) {
+    if (!context.knex) {
+      throw new Error('LocalizationService requires a database connection')
+    }
+    this.context = context
+  }
+
+  getDefaultLocale(): string {
+    const locale = this.context.options?.default_content_locale
+    return typeof locale === 'string' && locale ? locale : DEFAULT_LOCALE
+  }
+
+  /**
+   * Content locales of the site, the default locale first
+   */
+  getLocales(): string[] {
+    const configured = parseOption<unknown>(this.context.options?.content_locales, [])
+    const locales = Array.isArray(configured) ? configured.filter((locale) => typeof locale === 'string' && locale) : []
+    return [...new Set([this.getDefaultLocale(), ...locales])]
+  }
+
+  isLocale(locale: unknown): locale is string {
+    return typeof locale === 'string' && this.getLocales().includes(locale)
+  }
+
+  /**
+   * Locales to try, in order, when content is missing in the given locale:
+   * the locale itself, its configured fallbacks, then the default locale
+   */
+  getFallbackChain(locale: string): string[] {
+    const fallbacks = parseOption<Record<string, string[]>>(this.context.options?.content_locale_fallbacks, {})
+    const configured = Array.isArray(fallbacks?.[locale]) ? fallbacks[locale] : []
+    return [...new Set([locale, ...configured, this.getDefaultLocale()])].filter((item) => this.isLocale(item))
+  }
+
+  private tableFor(type: TranslatableType): string {
+    return this.context.table(type === 'term' ? 'terms' : 'posts')
+  }
+
+  /**
+   * Locale of a row, untagged rows are in the default locale
+   */
+  localeOf(row: Row | null | undefined): string {
+    return row?.locale || this.getDefaultLocale()
+  }
+
+  private whereLocaleIn(query: Knex.QueryBuilder, column: string, locales: string[]): void {
+    if (locales.includes(this.getDefaultLocale())) {
+      query.where((builder) => builder.whereIn(column, locales).orWhereNull(column))
+    } else {
+      query.whereIn(column, locales)
+    }
+  }
+
+  /**
+   * Limit a posts or terms query to one locale. With fallback, an item in a
+   * fallback locale is included when its translation group has nothing in a
+   * preferred locale, so every piece of content shows up once
+   */
+  scopeToLocale(query: Knex.QueryBuilder, type: TranslatableType, locale: string, options: LocaleScopeOptions = {}): Knex.QueryBuilder {
+    const { fallback = true, siblings } = options
+    const knex = this.context.knex!
+    const table = this.tableFor(type)
+    const chain = fallback ? this.getFallbackChain(locale) : [locale]
+    const whereLocaleIn = this.whereLocaleIn.bind(this)
+
+    return query.where((outer) => {
+      chain.forEach((current, i) => {
+        outer.orWhere((builder) => {
+          whereLocaleIn(builder, `${table}.locale`, [current])
+          if (i === 0) return
+          builder.whereNotExists(function (this: Knex.QueryBuilder) {
+            this.select(knex.raw('1'))
+              .from(`${table} as translation`)
+              .whereRaw('?? = ??', ['translation.translation_group', `${table}.translation_group`])
+              .whereNull('translation.deleted_at')
+            whereLocaleIn(this, 'translation.locale', chain.slice(0, i))
+            if (siblings) siblings(this, 'translation')
+          })
+        })
+      })
+    })
+  }
+
+  /**
+   * Apply `locale` and `translation_of` from a create or update request to the
+   * row data. `translation_of` joins the translation group of another item of the
+   * same type, `null` leaves the group. Throws when the locale is unknown or
+   * already taken in the group
+   */
+  async resolveTranslation<T extends Record<string, unknown>>(
+    type: TranslatableType,
+    data: T,
+    existing: Row | null = null
+  ): Promise<T> {
+    const resolved: Record<string, unknown> = { ...data }
+    // The group is only ever changed through `translation_of`
+    delete resolved.translation_group
+    if (typeof resolved.locale === 'undefined' && typeof resolved.translation_of === 'undefined') return resolved as T
+
+    const knex = this.context.knex!
+    const table = this.tableFor(type)
+    const translationOf = resolved.translation_of
+    delete resolved.translation_of
+
+    if (typeof resolved.locale !== 'undefined') {
+      if (resolved.locale === null || resolved.locale === '') {
+        resolved.locale = null
+      } else if (!this.isLocale(resolved.locale)) {
+        throw new Error(`Unknown locale "${resolved.locale}", expected one of: ${this.getLocales().join(', ')}`)
+      }
+    }
+
+    const locale = typeof resolved.locale !== 'undefined' ? resolved.locale : existing?.locale
+    const effective = (locale as string | null) || this.getDefaultLocale()
+
+    let group: string | null = existing?.translation_group ?? null
+    // Source item that gets a new translation group once the request is valid
+    let ungroupedSource: Row | null = null
+
+    if (typeof translationOf !== 'undefined') {
+      if (translationOf === null || translationOf === '') {
+        group = null
+      } else {
+        const source = (await knex(table).where('id', Number(translationOf)).whereNull('deleted_at').first()) as Row | undefined
+        const samePostType = source?.post_type_slug === (resolved.post_type_slug ?? existing?.post_type_slug)
+        const sameKind = type === 'term'
+          ? samePostType && source?.taxonomy_slug === (resolved.taxonomy_slug ?? existing?.taxonomy_slug)
+          : samePostType
+        if (!source || !sameKind) throw new Error('Translation source not found')
+        if (existing && source.id === existing.id) throw new Error('An item cannot be a translation of itself')
+
+        group = source.translation_group
+        if (!group) {
+          if (this.localeOf(source) === effective) throw new Error(`A translation in ${effective} already exists`)
+          ungroupedSource = source
+          group = crypto.randomUUID()
+        }
+      }
+      resolved.translation_group = group
+    }
+
+    if (group && !ungroupedSource) {
+      // Trashed translations still hold their locale until deleted
+      const taken = await knex(table)
+        .where('translation_group', group)
+        .modify((query) => {
+          if (existing) query.whereNot('id', existing.id)
+          this.whereLocaleIn(query, 'locale', [effective])
+        })
+        .first()
+      if (taken) throw new Error(`A translation in ${effective} already exists`)
+    }
+
+    if (ungroupedSource) {
+      await knex(table).where('id', ungroupedSource.id).update({ translation_group: group })
+    }
+
+    return resolved as T
+  }
+
+  /**
+   * All translations of an item, itself included, in the order of the site's locales
+   */
+  async getTranslations(type: TranslatableType, id: number): Promise<Translation[]> {
+    const knex = this.context.knex!
+    const table = this.tableFor(type)
+    const item = (await knex(table).where('id', id).first()) as Row | undefined
+    if (!item) return []
+
+    const rows = (item.translation_group
+      ? await knex(table).where('translation_group', item.translation_group).whereNull('deleted_at')
+      : [item]) as Row[]
+
+    const order = this.getLocales()
+    return rows
+      .map((row) => {
+        const locale = this.localeOf(row)
+        const translation: Translation = {
+          id: row.id,
+          locale,
+          hreflang: toHreflang(locale),
+          slug: row.slug ?? null,
+          status: row.status ?? null,
+          post_type_slug: row.post_type_slug
+        }
+        if (type === 'term') translation.taxonomy_slug = row.taxonomy_slug
+        return translation
+      })
+      .sort((a, b) => {
+        const indexA = order.indexOf(a.locale)
+        const indexB = order.indexOf(b.locale)
+        return (indexA === -1 ? order.length : indexA) - (indexB === -1 ? order.length : indexB)
+      })
+  }
+
+  /**
+   * Published translations of an item, ready for `<link rel="alternate" hreflang>`
+   * tags. Includes an `x-default` entry pointing at the default locale version
+   */
+  async getAlternates(type: TranslatableType, id: number): Promise<Translation[]> {
+    const published = (await this.getTranslations(type, id)).filter((item) => item.status === 'published')
+    if (published.length < 2) return []
+
+    const alternates: Translation[] = [...published]
+    const fallback = published.find((item) => item.locale === this.getDefaultLocale())
+    if (fallback) alternates.push({ ...fallback, hreflang: 'x-default' })
+    return alternates
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Login Protection Service
+ *
+ * Failed logins are counted per account in the database, so they add up across workers and
+ * IP addresses. After a few failures each further attempt has to wait twice as long as the
+ * previous one, at `max_attempts` the account is locked for `lockout_minutes`. Logging in or
+ * an administrator unlocking the account resets the count.
+ *
+ * Site settings (options):
+ * - `login_protection`: JSON, `{ "max_attempts": 10, "lockout_minutes": 15, "notify_lockout": true,
+ *   "notify_new_device": true }`. The notifications email the user when their account is locked
+ *   and when they log in from a browser or device without a recent session.
+ */
+
+import type { Knex } from 'knex'
+import { describeDevice } from './SessionService.ts'
+import { LOGIN_PROTECTION } from '../utils/constants.ts'
+import { parseDate } from '../utils/dates.ts'
+
+export interface LoginProtectionSettings {
+  max_attempts: number
+  lockout_minutes: number
+  notify_lockout: boolean
+  notify_new_device: boolean
+}
+
+export interface LoginCheck {
+  allowed: boolean
+  // Locked out, as opposed to waiting for the delay after the last failure
+  locked: boolean
+  retryAfter: Date | null
+}
+
+export interface LoginFailure {
+  failures: number
+  // Whether this failure locked the account
+  locked: boolean
+  lockedUntil: Date | null
+}
+
+interface UserRow {
+  id: number
+  failed_login_count?: number | null
+  last_failed_login_at?: string | null
+  locked_until?: string | null
+}
+
+const parseJSON = (value: unknown): unknown => {
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+export default class LoginProtectionService {
+  private context: HTMLDrop.Context
+  private knex: Knex
+
+  constructor(context: HTMLDrop.Context) {
+    if (!context.knex) {
+      throw new Error('LoginProtectionService requires a database connection')
+    }
+    this.context = context
+    this.knex = context.knex
+  }
+
+  private table(name: string): string {
+    return this.context.table(name)
+  }
+
+  getSettings(): LoginProtectionSettings {
+    const stored = parseJSON(this.context.options?.login_protection)
+    const settings = stored && typeof stored === 'object' ? (stored as Partial<LoginProtectionSettings>) : {}
+    const attempts = Number(settings.max_attempts)
+    const minutes = Number(settings.lockout_minutes)
+    return {
+      max_attempts: Number.isInteger(attempts) && attempts > 0 ? attempts : LOGIN_PROTECTION.MAX_ATTEMPTS,
+      lockout_minutes: Number.isFinite(minutes) && minutes > 0 ? minutes : LOGIN_PROTECTION.LOCKOUT_MINUTES,
+      notify_lockout: settings.notify_lockout !== false,
+      notify_new_device: settings.notify_new_device !== false
+    }
+  }
+
+  /**
+   * Seconds to wait after the last failure before the next attempt
+   */
+  delaySeconds(failures: number): number {
+    if (failures < LOGIN_PROTECTION.DELAY_AFTER) return 0
+    return Math.min(2 ** (failures - LOGIN_PROTECTION.DELAY_AFTER), LOGIN_PROTECTION.MAX_DELAY_SECONDS)
+  }
+
+  /**
+   * Failures that still count, they expire with the lockout or `lockout_minutes` after the last one
+   */
+  private activeFailures(user: UserRow, now = new Date()): number {
+    const lockedUntil = parseDate(user.locked_until)
+    if (lockedUntil && lockedUntil <= now) return 0
+    const lastFailure = parseDate(user.last_failed_login_at)
+    if (!lastFailure || now.getTime() - lastFailure.getTime() > this.getSettings().lockout_minutes * 60 * 1000) return 0
+    return Number(user.failed_login_count) || 0
+  }
+
+  /**
+   * Whether the user may attempt to log in now
+   */
+  check(user: UserRow): LoginCheck {
+    const now = new Date()
+    const lockedUntil = parseDate(user.locked_until)
+    if (lockedUntil && lockedUntil > now) return { allowed: false, locked: true, retryAfter: lockedUntil }
+
+    const delay = this.delaySeconds(this.activeFailures(user, now))
+    const lastFailure = parseDate(user.last_failed_login_at)
+    if (delay && lastFailure && lastFailure.getTime() + delay * 1000 > now.getTime()) {
+      return { allowed: false, locked: false, retryAfter: new Date(lastFailure.getTime() + delay * 1000) }
+    }
+    return { allowed: true, locked: false, retryAfter: null }
+  }
+
+  /**
+   * Count a failed login, locks the account once it reaches `max_attempts`
+   */
+  async recordFailure(user: UserRow): Promise<LoginFailure> {
+    const { max_attempts, lockout_minutes } = this.getSettings()
+    const now = new Date()
+    const nowStr = this.context.formatDate(now)
+    const users = this.table('users')
+
+    // Expired failures start over, updated in the database as parallel attempts race here
+    await this.knex(users)
+      .where('id', user.id)
+      .where((builder) =>
+        builder
+          .whereNull('last_failed_login_at')
+          .orWhere('last_failed_login_at', '<', this.context.formatDate(new Date(now.getTime() - lockout_minutes * 60 * 1000)))
+          .orWhere('locked_until', '<=', nowStr)
+      )
+      .update({ failed_login_count: 0, locked_until: null })
+    await this.knex(users)
+      .where('id', user.id)
+      .update({ failed_login_count: this.knex.raw('failed_login_count + 1'), last_failed_login_at: nowStr })
+
+    const row = (await this.knex(users).where('id', user.id).first()) as UserRow
+    const failures = Number(row.failed_login_count) || 0
+    if (failures < max_attempts) return { failures, locked: false, lockedUntil: null }
+
+    const lockedUntil = new Date(now.getTime() + lockout_minutes * 60 * 1000)
+    // Only the attempt that locks the account reports it
+    const locked = await this.knex(users)
+      .where('id', user.id)
+      .whereNull('locked_until')
+      .update({ locked_until: this.context.formatDate(lockedUntil) })
+    return { failures, locked: locked > 0, lockedUntil: locked > 0 ? lockedUntil : parseDate(row.locked_until) }
+  }
+
+  /**
+   * Reset the failures after a successful login
+   */
+  async recordSuccess(user: UserRow): Promise<void> {
+    if (!user.failed_login_count && !user.locked_until) return
+    await this.unlock(user.id)
+  }
+
+  /**
+   * Lift a lockout and reset the failures, returns false when the user does not exist
+   */
+  async unlock(userId: number): Promise<boolean> {
+    const updated = await this.knex(this.table('users'))
+      .where('id', userId)
+      .update({ failed_login_count: 0, last_failed_login_at: null, locked_until: null })
+    return updated > 0
+  }
+
+  /**
+   * Whether a login comes from a browser or device the user has no recent session on. The
+   * first login of a user is not new, there is nothing to compare it to
+   */
+  async isNewDevice(userId: number, userAgent?: string | null): Promise<boolean> {
+    const known = (await this.knex(this.table('sessions')).where('user_id', userId).distinct('user_agent')) as {
+      user_agent: string | null
+    }[]
+    if (!known.length) return false
+    const device = describeDevice(userAgent)
+    return !known.some((session) => describeDevice(session.user_agent) === device)
+  }
+}
@@ -31,7 +31,7 @@ export default class PasswordResetService {
   /**
    * Create a password reset token for a user
    */
-  async createResetToken(email: string): Promise<{
+  async createResetToken(email: string, expiryMinutes: number = this.tokenExpiryMinutes): Promise<{
     user: { id: number; username: string; email: string }
     token: string
     expiresAt: Date
@@ -55,7 +55,7 @@ export default class PasswordResetService {
 
     // Calculate expiry time
     const expiresAt = new Date()
-    expiresAt.setMinutes(expiresAt.getMinutes() + this.tokenExpiryMinutes)
+    expiresAt.setMinutes(expiresAt.getMinutes() + expiryMinutes)
 
     // Create a SHA256 prefix for fast indexed lookup
     const tokenPrefix = crypto.createHash('sha256').update(token).digest('hex').substring(0, 16)
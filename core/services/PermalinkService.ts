@@ -0,0 +1,328 @@
+/**
+ * Permalink Service
+ *
+ * Builds the public path of a post from the permalink structure of its post type and
+ * resolves request paths back to posts. `:path` is the slug of the post behind the slugs
+ * of its ancestors, walked through the `parent_slug` field, so `/parent/child/grandchild`
+ * resolves to the grandchild page.
+ *
+ * Tokens: `:post_type`, `:slug`, `:path`, `:year`, `:month`, `:day` (publish date, or the
+ * creation date) and `:id`.
+ *
+ * Site settings (options):
+ * - `permalink_structures`: JSON, e.g. {"posts": "/blog/:year/:slug", "pages": "/:path"}.
+ *   Types without a structure use `/:post_type/:slug` and are resolved when they are
+ *   listed here or the hooks know them as public.
+ *
+ * When the path of a published post changes, `snapshot` before and `recordMoves` after the
+ * update store 301 redirects from the old paths of the post and its descendants.
+ */
+
+import type { Knex } from 'knex'
+import RedirectService, { normalizePath } from './RedirectService.ts'
+import type { Redirect } from './RedirectService.ts'
+import type { PreviewLink } from './PreviewService.ts'
+
+export const PERMALINK_TOKENS = ['post_type', 'slug', 'path', 'year', 'month', 'day', 'id'] as const
+
+export const DEFAULT_PERMALINK_STRUCTURE = '/:post_type/:slug'
+
+export const DEFAULT_PERMALINK_STRUCTURES: Record<string, string> = {
+  posts: DEFAULT_PERMALINK_STRUCTURE,
+  pages: '/:path'
+}
+
+const TOKEN_PATTERNS: Record<string, string> = {
+  slug: '([^/]+)',
+  path: '(.+)',
+  year: '(\\d{4})',
+  month: '(\\d{2})',
+  day: '(\\d{2})',
+  id: '(\\d+)'
+}
+
+export type ResolvedUrl =
+  | { type: 'post'; post: Row; postType: string; path: string; preview?: PreviewLink }
+  | { type: 'redirect'; location: string; status: number; redirect: Redirect }
+
+interface Hooks {
+  getPublicPostTypes?: () => Promise<Record<string, any>[]>
+}
+
+interface CompiledStructure {
+  postType: string
+  regex: RegExp
+  tokens: string[]
+  // Literal characters, structures with more of them are tried first
+  weight: number
+}
+
+type Row = Record<string, any>
+
+/**
+ * A structure must start with a slash, only use known tokens and identify the post
+ */
+export const isValidStructure = (structure: unknown): structure is string => {
+  if (typeof structure !== 'string' || !structure.startsWith('/')) return false
+  const tokens = structure.match(/:[a-z_]+/g) || []
+  if (!tokens.every((token) => (PERMALINK_TOKENS as readonly string[]).includes(token.slice(1)))) return false
+  return tokens.some((token) => [':slug', ':path', ':id'].includes(token))
+}
+
+const parseJSON = (value: unknown): unknown => {
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+const decode = (value: string): string => {
+  try {
+    return decodeURIComponent(value)
+  } catch {
+    return value
+  }
+}
+
+const escapeRegex = (value: string): string => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Stored dates are UTC without a timezone suffix
+ */
+const toDate = (value: unknown): Date | null => {
+  if (!value) return null
+  if (value instanceof Date) return value
+  const str = String(value)
+  const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(str) ? `${str.replace(' ', 'T')}Z` : str)
+  return isNaN(date.getTime()) ? null : date
+}
+
+export default class PermalinkService {
+  private context: HTMLDrop.Context
+  private knex: Knex
+  private hooks: Hooks
+  // Parent slug per slug, per post type
+  private parents = new Map<string, Map<string, string | null>>()
+
+  constructor(context: HTMLDrop.Context, hooks: Hooks = {}) {
+    if (!context.knex) {
+      throw new Error('PermalinkService requires a database connection')
+    }
+    this.context = context
+    this.knex = context.knex
+    this.hooks = hooks
+  }
+
+  private table(name: string): string {
+    return this.context.table(name)
+  }
+
+  /**
+   * Stored structures merged onto the defaults, invalid entries are ignored
+   */
+  getStructures(): Record<string, string> {
+    const stored = parseJSON(this.context.options?.permalink_structures)
+    const structures = { ...DEFAULT_PERMALINK_STRUCTURES }
+    if (stored && typeof stored === 'object') {
+      for (const [postType, structure] of Object.entries(stored as Record<string, unknown>)) {
+        if (isValidStructure(structure)) structures[postType] = structure
+      }
+    }
+    return structures
+  }
+
+  structure(postType: string): string {
+    return this.getStructures()[postType] || DEFAULT_PERMALINK_STRUCTURE
+  }
+
+  private usesPath(postType: string): boolean {
+    return this.structure(postType).includes(':path')
+  }
+
+  /**
+   * Parent slugs of all posts of a hierarchical post type, loaded once per service
+   */
+  private async hierarchy(postType: string): Promise<Map<string, string | null>> {
+    const cached = this.parents.get(postType)
+    if (cached) return cached
+
+    const rows: Row[] = await this.knex(`${this.table('posts')} as p`)
+      .leftJoin(`${this.table('post_meta')} as m`, function () {
+        this.on('m.post_id', '=', 'p.id').andOnVal('m.field_slug', '=', 'parent_slug')
+      })
+      .where('p.post_type_slug', postType)
+      .whereNull('p.deleted_at')
+      .select('p.slug', 'm.value as parent_slug')
+    const parents = new Map<string, string | null>()
+    for (const row of rows) {
+      const parent = parseJSON(row.parent_slug)
+      parents.set(row.slug, typeof parent === 'string' && parent.trim() ? parent.trim() : null)
+    }
+    this.parents.set(postType, parents)
+    return parents
+  }
+
+  /**
+   * Slugs of the ancestors and the post, stopping at missing parents and cycles
+   */
+  private async ancestry(post: Row): Promise<string[]> {
+    const parents = await this.hierarchy(post.post_type_slug)
+    const slugs = [post.slug]
+    // Previews pass the parent with the post, stored posts take it from the hierarchy
+    const own = typeof post.parent_slug === 'string' ? post.parent_slug.trim() || null : undefined
+    let parent = own !== undefined ? own : parents.get(post.slug) ?? null
+    while (parent && parents.has(parent) && !slugs.includes(parent)) {
+      slugs.unshift(parent)
+      parent = parents.get(parent) ?? null
+    }
+    return slugs
+  }
+
+  /**
+   * Public path of a post
+   */
+  async path(post: Row): Promise<string> {
+    const date = toDate(post.publish_at || post.created_at) || new Date(0)
+    const values: Record<string, string> = {
+      post_type: post.post_type_slug,
+      slug: post.slug,
+      id: String(post.id),
+      year: String(date.getUTCFullYear()),
+      month: String(date.getUTCMonth() + 1).padStart(2, '0'),
+      day: String(date.getUTCDate()).padStart(2, '0')
+    }
+    const structure = this.structure(post.post_type_slug)
+    if (structure.includes(':path')) values.path = (await this.ancestry(post)).join('/')
+    return normalizePath(structure.replace(/:([a-z_]+)/g, (match, token: string) => values[token] ?? match))
+  }
+
+  /**
+   * Paths of several posts by ID
+   */
+  async paths(posts: Row[]): Promise<Map<number, string>> {
+    const paths = new Map<number, string>()
+    for (const post of posts) paths.set(post.id, await this.path(post))
+    return paths
+  }
+
+  /**
+   * Post types resolved by `resolveUrl`, the configured ones and the public ones
+   */
+  private async routableTypes(): Promise<string[]> {
+    const types = new Set(Object.keys(this.getStructures()))
+    for (const type of (await this.hooks.getPublicPostTypes?.()) || []) types.add(type.slug)
+    return [...types]
+  }
+
+  private async compile(): Promise<CompiledStructure[]> {
+    const compiled: CompiledStructure[] = []
+    for (const postType of await this.routableTypes()) {
+      const structure = this.structure(postType).replace(/:post_type/g, postType)
+      const tokens: string[] = []
+      const pattern = structure
+        .split(/(:[a-z_]+)/)
+        .map((part) => {
+          if (!part.startsWith(':')) return escapeRegex(part)
+          tokens.push(part.slice(1))
+          return TOKEN_PATTERNS[part.slice(1)]
+        })
+        .join('')
+      compiled.push({ postType, regex: new RegExp(`^${pattern}$`), tokens, weight: structure.replace(/:[a-z_]+/g, '').length })
+    }
+    return compiled.sort((a, b) => b.weight - a.weight)
+  }
+
+  /**
+   * Published post at a request path, or the redirect stored for it
+   */
+  async resolveUrl(requestPath: string): Promise<ResolvedUrl | null> {
+    const path = normalizePath(requestPath)
+
+    for (const { postType, regex, tokens } of await this.compile()) {
+      const match = path.match(regex)
+      if (!match) continue
+      const values: Record<string, string> = {}
+      tokens.forEach((token, index) => (values[token] = decode(match[index + 1])))
+
+      const query = this.knex(this.table('posts'))
+        .where({ post_type_slug: postType, status: 'published' })
+        .whereNull('deleted_at')
+      if (values.id) query.where('id', Number(values.id))
+      else query.where('slug', values.slug || String(values.path).split('/').pop())
+      const post = (await query.first()) as Row | undefined
+
+      // The other tokens (dates, ancestors) have to match as well
+      if (post && (await this.path(post)) === path) return { type: 'post', post, postType, path }
+    }
+
+    const redirect = await new RedirectService(this.context).match(path)
+    return redirect ? { type: 'redirect', location: redirect.target_path, status: redirect.status_code, redirect } : null
+  }
+
+  /**
+   * Paths of a published post and its published descendants, taken before an update
+   */
+  async snapshot(postId: number): Promise<Map<number, string>> {
+    const post = (await this.knex(this.table('posts')).where('id', postId).whereNull('deleted_at').first()) as Row | undefined
+    if (!post) return new Map()
+    const posts = [post, ...(await this.descendants(post))]
+    return this.paths(posts.filter((item) => item.status === 'published'))
+  }
+
+  private async descendants(post: Row): Promise<Row[]> {
+    if (!this.usesPath(post.post_type_slug)) return []
+    const parents = await this.hierarchy(post.post_type_slug)
+    const slugs = new Set([post.slug])
+    let added = true
+    while (added) {
+      added = false
+      for (const [slug, parent] of parents) {
+        if (parent && slugs.has(parent) && !slugs.has(slug)) {
+          slugs.add(slug)
+          added = true
+        }
+      }
+    }
+    slugs.delete(post.slug)
+    if (!slugs.size) return []
+    return this.knex(this.table('posts'))
+      .where({ post_type_slug: post.post_type_slug, status: 'published' })
+      .whereIn('slug', [...slugs])
+      .whereNull('deleted_at')
+  }
+
+  /**
+   * Point the children of a post at its new slug
+   */
+  async renameParent(postType: string, oldSlug: string, newSlug: string): Promise<void> {
+    if (oldSlug === newSlug) return
+    const children = this.knex(this.table('posts')).where('post_type_slug', postType).select('id')
+    await this.knex(this.table('post_meta'))
+      .whereIn('post_id', children)
+      .where({ field_slug: 'parent_slug', value: oldSlug })
+      .update({ value: newSlug })
+    this.parents.delete(postType)
+  }
+
+  /**
+   * Store a 301 from each path of the snapshot that changed, returns the redirects
+   */
+  async recordMoves(before: Map<number, string>): Promise<Redirect[]> {
+    if (!before.size) return []
+    this.parents.clear()
+    const posts: Row[] = await this.knex(this.table('posts'))
+      .whereIn('id', [...before.keys()])
+      .where('status', 'published')
+      .whereNull('deleted_at')
+    const redirects = new RedirectService(this.context)
+    const recorded: Redirect[] = []
+    for (const post of posts) {
+      const from = before.get(post.id)!
+      const to = await this.path(post)
+      if (from !== to) recorded.push(await redirects.add(from, to, { status: 301, type: 'auto', postId: post.id }))
+    }
+    return recorded
+  }
+}
@@ -1,4 +1,5 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import knex from 'knex'
 import PostService from './PostService.ts'
 
 describe('PostService', () => {
@@ -107,4 +108,109 @@ describe('PostService', () => {
       expect(result).toEqual([])
     })
   })
+
+  describe('normalizeFieldValue', () => {
+    const faq = {
+      slug: 'faq',
+      type: 'repeater',
+      options: JSON.stringify({
+        fields: [
+          { slug: 'question', type: 'text' },
+          { slug: 'votes', type: 'number' },
+          { slug: 'open', type: 'boolean' }
+        ]
+      })
+    }
+
+    it('should keep the sub-fields of repeater rows with their types', () => {
+      const value = JSON.stringify([{ question: 'Why?', votes: '3', open: 'true', extra: 1 }, 'not a row'])
+      expect(postService.normalizeFieldValue(faq, value)).toEqual([{ question: 'Why?', votes: 3, open: true }])
+      expect(postService.normalizeFieldValue(faq, 'nonsense')).toEqual([])
+    })
+
+    it('should normalize groups and nested repeaters', () => {
+      const pricing = {
+        slug: 'pricing',
+        type: 'group',
+        options: { fields: [{ slug: 'currency', type: 'text' }, { ...faq, slug: 'tiers' }] }
+      }
+      expect(postService.normalizeFieldValue(pricing, { currency: 'EUR', tiers: [{ votes: '1' }] })).toEqual({
+        currency: 'EUR',
+        tiers: [{ votes: 1 }]
+      })
+      expect(postService.normalizeFieldValue(pricing, [1])).toEqual({})
+    })
+
+    it('should store relationships as unique post IDs', () => {
+      const related = { slug: 'related', type: 'relationship' }
+      expect(postService.normalizeFieldValue(related, ['3', { id: 5 }, 3, 'x', -1])).toEqual([3, 5])
+      expect(postService.normalizeFieldValue({ ...related, options: { multiple: false } }, '[7,8]')).toEqual([7])
+      expect(postService.normalizeFieldValue({ slug: 'title', type: 'text' }, ' As is ')).toBe(' As is ')
+    })
+
+    it('should only normalize structured fields present in the values', () => {
+      const fields = [{ field: { slug: 'related', type: 'relationship' } }, { field: faq }]
+      expect(postService.normalizeFieldValues(fields, { related: '4', title: 'Hi' })).toEqual({ related: [4], title: 'Hi' })
+    })
+  })
+
+  describe('relationships', () => {
+    let db
+    let service
+
+    beforeEach(async () => {
+      db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+      await db.schema.createTable('test_posts', (table) => {
+        table.increments('id')
+        table.string('post_type_slug')
+        table.string('slug')
+        table.string('status')
+        table.datetime('deleted_at').nullable()
+      })
+      await db.schema.createTable('test_post_relationships', (table) => {
+        table.increments('id')
+        table.integer('post_id')
+        table.string('field_slug')
+        table.integer('related_post_id')
+        table.integer('position')
+      })
+      await db('test_posts').insert([
+        { id: 1, post_type_slug: 'products', slug: 'lamp', status: 'published' },
+        { id: 2, post_type_slug: 'products', slug: 'bulb', status: 'published' },
+        { id: 3, post_type_slug: 'products', slug: 'shade', status: 'draft', deleted_at: '2025-01-01 00:00:00' },
+        { id: 4, post_type_slug: 'articles', slug: 'guide', status: 'published' }
+      ])
+      service = new PostService({ knex: db, table: (name) => `test_${name}`, normalizeSlug: (value) => value })
+    })
+
+    afterEach(async () => {
+      await db.destroy()
+    })
+
+    it('should sync relationship fields and look them up both ways', async () => {
+      const fields = [{ field: { slug: 'products', type: 'relationship' } }, { field: { slug: 'title', type: 'text' } }]
+      await service.syncRelationships(4, fields, { products: [2, 1, 3, 4], title: 'Guide' })
+
+      const outgoing = await service.getRelatedPosts(4)
+      expect(outgoing.map((post) => [post.id, post.position])).toEqual([
+        [2, 0],
+        [1, 1]
+      ])
+      const incoming = await service.getRelatedPosts(1, { direction: 'incoming' })
+      expect(incoming).toMatchObject([{ id: 4, slug: 'guide', field_slug: 'products' }])
+
+      await service.syncRelationships(4, fields, { products: [] })
+      expect(await service.getRelatedPosts(4)).toEqual([])
+    })
+
+    it('should filter posts on related IDs', async () => {
+      const fields = [{ field: { slug: 'products', type: 'relationship' } }]
+      await service.syncRelationships(1, fields, { products: [2] })
+      await service.syncRelationships(4, fields, { products: [1] })
+
+      const related = (ids, options) => service.whereRelated(db('test_posts'), 'products', ids, options).orderBy('id').pluck('id')
+      expect(await related([1, 2])).toEqual([1, 4])
+      expect(await related([2], { not: true })).toEqual([2, 3, 4])
+    })
+  })
 })
@@ -29,6 +29,7 @@ interface Post {
 interface Term {
   id: number
   taxonomy?: string
+  taxonomy_slug?: string
   [key: string]: any
 }
 
@@ -41,6 +42,22 @@ interface MetaQuery {
   }>
 }
 
+export interface FieldDefinition {
+  slug: string
+  type?: string
+  options?: any
+  [key: string]: any
+}
+
+export interface RelatedPost {
+  id: number
+  slug?: string
+  post_type_slug?: string
+  status?: string
+  field_slug: string
+  position: number
+}
+
 interface GetPostsOptions {
   post_type?: string
   status?: string
@@ -49,8 +66,13 @@ interface GetPostsOptions {
   orderby?: string
   order?: 'asc' | 'desc'
   meta_query?: MetaQuery
+  // Further conditions, e.g. a locale scope
+  modify?: (query: Knex.QueryBuilder) => void
 }
 
+// Field types whose values PostService normalizes before they are stored
+export const STRUCTURED_FIELD_TYPES = ['repeater', 'group', 'relationship']
+
 class PostService {
   private context: PostServiceContext
   private knex: Knex
@@ -175,11 +197,12 @@ class PostService {
       const taxonomies: Record<string, Term[]> = {}
 
       for (const term of postTerms) {
-        if (term.taxonomy) {
-          if (!taxonomies[term.taxonomy]) {
-            taxonomies[term.taxonomy] = []
+        const taxonomy = term.taxonomy_slug || term.taxonomy
+        if (taxonomy) {
+          if (!taxonomies[taxonomy]) {
+            taxonomies[taxonomy] = []
           }
-          taxonomies[term.taxonomy].push(term)
+          taxonomies[taxonomy].push(term)
         }
       }
 
@@ -198,7 +221,7 @@ class PostService {
   }
 
   /**
-   * Get all posts with filters and pagination
+   * Get all posts with filters and pagination, trashed posts are left out
    */
   async getPosts(options: GetPostsOptions, req: any): Promise<Post[]> {
     const {
@@ -208,14 +231,17 @@ class PostService {
       offset = 0,
       orderby = 'created_at',
       order = 'desc',
-      meta_query
+      meta_query,
+      modify
     } = options
 
     let query = this.knex(this.table('posts'))
-      .where({ post_type, status })
+      .where({ post_type_slug: post_type, status })
+      .whereNull('deleted_at')
       .limit(parseInt(String(limit)))
       .offset(parseInt(String(offset)))
-      .orderBy(orderby, order)
+      .orderBy([{ column: orderby, order }, { column: 'id', order }])
+    if (modify) modify(query)
 
     // Apply meta_query if provided
     if (meta_query) {
@@ -460,20 +486,174 @@ class PostService {
     return query
   }
 
+  /**
+   * Sub-field definitions of a repeater or group field, from `options.fields`
+   */
+  subFields(field: FieldDefinition): FieldDefinition[] {
+    const options = this.parseJSON(field.options) || {}
+    return Array.isArray(options.fields) ? options.fields.filter((sub: FieldDefinition) => sub?.slug) : []
+  }
+
+  /**
+   * Unique post IDs of a relationship value, from IDs, numeric strings or `{ id }` objects
+   */
+  relatedIds(value: any): number[] {
+    const parsed = this.parseJSON(value)
+    const list = Array.isArray(parsed) ? parsed : parsed === null || typeof parsed === 'undefined' || parsed === '' ? [] : [parsed]
+    const ids = list
+      .map((item) => Number(item && typeof item === 'object' ? item.id : item))
+      .filter((id) => Number.isInteger(id) && id > 0)
+    return [...new Set(ids)]
+  }
+
+  /**
+   * Normalize a field value into the shape it is stored in: repeaters as a list of rows and
+   * groups as an object, both keyed by sub-field slug, relationships as a list of post IDs.
+   * Values of other field types are returned unchanged
+   */
+  normalizeFieldValue(field: FieldDefinition, value: any): any {
+    const parsed = this.parseJSON(value)
+    const isObject = (item: any): boolean => Boolean(item) && typeof item === 'object' && !Array.isArray(item)
+
+    switch (field.type) {
+    case 'repeater':
+      return (Array.isArray(parsed) ? parsed : []).filter(isObject).map((row: any) => this.normalizeSubFields(field, row))
+    case 'group':
+      return isObject(parsed) ? this.normalizeSubFields(field, parsed) : {}
+    case 'relationship': {
+      const ids = this.relatedIds(parsed)
+      const options = this.parseJSON(field.options) || {}
+      return options.multiple === false ? ids.slice(0, 1) : ids
+    }
+    default:
+      return value
+    }
+  }
+
+  /**
+   * Keep the sub-fields of a repeater row or group, with form values of numbers and
+   * booleans converted, since nested values are stored as JSON and keep their type
+   */
+  private normalizeSubFields(field: FieldDefinition, row: Record<string, any>): Record<string, any> {
+    const subFields = this.subFields(field)
+    if (!subFields.length) return row
+
+    const normalized: Record<string, any> = {}
+    for (const sub of subFields) {
+      if (!(sub.slug in row)) continue
+      const value = row[sub.slug]
+      if (sub.type === 'number' && typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+        normalized[sub.slug] = Number(value)
+      } else if (sub.type === 'boolean' && typeof value === 'string') {
+        normalized[sub.slug] = ['true', '1'].includes(value)
+      } else {
+        normalized[sub.slug] = this.normalizeFieldValue(sub, value)
+      }
+    }
+    return normalized
+  }
+
+  /**
+   * Normalize the values of repeater, group and relationship fields before they are stored
+   */
+  normalizeFieldValues(fields: { field: FieldDefinition }[], values: Record<string, any>): Record<string, any> {
+    const normalized = { ...values }
+    for (const { field } of fields) {
+      if (STRUCTURED_FIELD_TYPES.includes(field?.type as string) && field.slug in normalized) {
+        normalized[field.slug] = this.normalizeFieldValue(field, normalized[field.slug])
+      }
+    }
+    return normalized
+  }
+
+  /**
+   * Mirror the relationship fields among the values into post_relationships,
+   * the lookup behind reverse queries
+   */
+  async syncRelationships(postId: number, fields: { field: FieldDefinition }[], values: Record<string, any>): Promise<void> {
+    for (const { field } of fields) {
+      if (field?.type !== 'relationship' || !(field.slug in values)) continue
+
+      const ids = this.relatedIds(values[field.slug]).filter((id) => id !== postId)
+      await this.knex(this.table('post_relationships')).where({ post_id: postId, field_slug: field.slug }).del()
+      if (ids.length > 0) {
+        await this.knex(this.table('post_relationships')).insert(
+          ids.map((related_post_id, position) => ({ post_id: postId, field_slug: field.slug, related_post_id, position }))
+        )
+      }
+    }
+  }
+
+  /**
+   * Posts related to a post: `outgoing` the posts it references, `incoming` the posts referencing it.
+   * Trashed posts are left out
+   */
+  async getRelatedPosts(
+    postId: number,
+    options: { direction?: 'outgoing' | 'incoming'; field?: string } = {}
+  ): Promise<RelatedPost[]> {
+    const { direction = 'outgoing', field } = options
+    const relationships = this.table('post_relationships')
+    const posts = this.table('posts')
+    const [own, other] = direction === 'incoming' ? ['related_post_id', 'post_id'] : ['post_id', 'related_post_id']
+
+    const query = this.knex(relationships)
+      .join(posts, `${posts}.id`, `${relationships}.${other}`)
+      .where(`${relationships}.${own}`, postId)
+      .whereNull(`${posts}.deleted_at`)
+      .select(
+        `${posts}.id`,
+        `${posts}.slug`,
+        `${posts}.post_type_slug`,
+        `${posts}.status`,
+        `${relationships}.field_slug`,
+        `${relationships}.position`
+      )
+      .orderBy([`${relationships}.field_slug`, `${relationships}.position`, `${posts}.id`])
+    if (field) query.where(`${relationships}.field_slug`, field)
+
+    return (await query) as RelatedPost[]
+  }
+
+  /**
+   * Limit a posts query to posts whose relationship field references any of the IDs,
+   * or none of them with `not`
+   */
+  whereRelated(
+    query: Knex.QueryBuilder,
+    fieldSlug: string,
+    ids: number[],
+    options: { not?: boolean; or?: boolean } = {}
+  ): Knex.QueryBuilder {
+    const relationships = this.table('post_relationships')
+    const posts = this.table('posts')
+    const subQuery = function (this: Knex.QueryBuilder) {
+      this.select('*')
+        .from(relationships)
+        .whereRaw(`${relationships}.post_id = ${posts}.id`)
+        .andWhere('field_slug', fieldSlug)
+        .whereIn('related_post_id', ids)
+    }
+
+    if (options.not) return options.or ? query.orWhereNotExists(subQuery) : query.whereNotExists(subQuery)
+    return options.or ? query.orWhereExists(subQuery) : query.whereExists(subQuery)
+  }
+
   /**
    * Get post count
    */
-  async getPostCount(options: { post_type?: string; status?: string; meta_query?: MetaQuery }): Promise<number> {
-    const { post_type = 'post', status = 'published', meta_query } = options
+  async getPostCount(options: Pick<GetPostsOptions, 'post_type' | 'status' | 'meta_query' | 'modify'>): Promise<number> {
+    const { post_type = 'post', status = 'published', meta_query, modify } = options
 
-    let query = this.knex(this.table('posts')).where({ post_type, status }).count('id as count')
+    let query = this.knex(this.table('posts')).where({ post_type_slug: post_type, status }).whereNull('deleted_at').count('id as count')
+    if (modify) modify(query)
 
     if (meta_query) {
       query = await this.applyMetaQuery(query, meta_query, 'post')
     }
 
-    const result = await query.first() as { count: number } | undefined
-    return result?.count || 0
+    const result = await query.first() as { count: number | string } | undefined
+    return Number(result?.count || 0)
   }
 }
 
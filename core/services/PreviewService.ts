@@ -0,0 +1,197 @@
+/**
+ * Preview Service
+ *
+ * Expiring tokens that render a post of any status through the active theme. The editor
+ * creates a short-lived token carrying its unsaved changes, shared links let reviewers
+ * without an account see the stored draft until they expire or are revoked. Tokens are
+ * only returned on creation and stored as SHA-256 hashes.
+ *
+ * The web route resolves `?preview={token}` and hands the post, with its meta and the
+ * changes applied, to the theme as `req.resolved`.
+ */
+
+import crypto from 'crypto'
+import type { Knex } from 'knex'
+import PermalinkService from './PermalinkService.ts'
+import { PREVIEW } from '../utils/constants.ts'
+import { parseDate } from '../utils/dates.ts'
+
+export const PREVIEW_TOKEN_PREFIX = 'hdp_'
+
+// Values of the post that a preview can't change
+const PROTECTED_KEYS = ['id', 'post_type_slug', 'post_type_id', 'created_at', 'updated_at', 'deleted_at']
+
+interface PreviewRow {
+  id: number
+  post_id: number
+  user_id: number | null
+  prefix: string
+  token_hash: string
+  changes: string | null
+  shared: boolean | number
+  expires_at: string
+  created_at: string
+  updated_at: string
+}
+
+export interface PreviewLink {
+  id: number
+  post_id: number
+  user_id: number | null
+  prefix: string
+  shared: boolean
+  expires_at: string
+  created_at: string
+}
+
+export interface CreatePreviewInput {
+  userId?: number | null
+  // Unsaved values from the editor, omitted for shared links
+  changes?: Record<string, unknown> | null
+  // Lifetime of a shared link, PREVIEW.SHARE_TTL_HOURS when omitted
+  expiresInHours?: number
+}
+
+export interface ResolvedPreview {
+  type: 'post'
+  post: Record<string, any>
+  postType: string
+  path: string
+  preview: PreviewLink
+}
+
+const parseJSON = (value: unknown): unknown => {
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+export default class PreviewService {
+  private context: HTMLDrop.Context
+  private knex: Knex
+
+  constructor(context: HTMLDrop.Context) {
+    if (!context.knex) {
+      throw new Error('PreviewService requires a database connection')
+    }
+    this.context = context
+    this.knex = context.knex
+  }
+
+  private table(name: string): string {
+    return this.context.table(name)
+  }
+
+  hash(token: string): string {
+    return crypto.createHash('sha256').update(token).digest('hex')
+  }
+
+  format(row: PreviewRow): PreviewLink {
+    return {
+      id: row.id,
+      post_id: row.post_id,
+      user_id: row.user_id,
+      prefix: row.prefix,
+      shared: Boolean(row.shared),
+      expires_at: row.expires_at,
+      created_at: row.created_at
+    }
+  }
+
+  /**
+   * Create a preview token for a post, the plain token and the preview URL are only returned here
+   */
+  async create(postId: number, input: CreatePreviewInput = {}): Promise<PreviewLink & { token: string; url: string }> {
+    const shared = !input.changes
+    let minutes: number = PREVIEW.DRAFT_TTL_MINUTES
+    if (shared) {
+      const hours = input.expiresInHours === undefined ? PREVIEW.SHARE_TTL_HOURS : Number(input.expiresInHours)
+      if (!Number.isFinite(hours) || hours <= 0) throw new Error('expires_in_hours must be a positive number')
+      if (hours > PREVIEW.MAX_SHARE_TTL_HOURS) throw new Error(`Preview links expire after at most ${PREVIEW.MAX_SHARE_TTL_HOURS} hours`)
+      minutes = hours * 60
+    }
+
+    const post = await this.knex(this.table('posts')).where('id', postId).whereNull('deleted_at').first()
+    if (!post) throw new Error('Post not found')
+
+    await this.cleanup()
+
+    const token = `${PREVIEW_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`
+    const changes = shared ? null : this.sanitize(input.changes!)
+    const [result] = await this.knex(this.table('post_previews'))
+      .insert({
+        post_id: postId,
+        user_id: input.userId ?? null,
+        prefix: token.slice(0, 12),
+        token_hash: this.hash(token),
+        changes: changes ? JSON.stringify(changes) : null,
+        shared: shared ? 1 : 0,
+        expires_at: this.context.formatDate(new Date(Date.now() + minutes * 60 * 1000))
+      })
+      .returning('id')
+    const id = typeof result === 'object' ? (result as { id: number }).id : result
+
+    const row = (await this.knex(this.table('post_previews')).where('id', id).first()) as PreviewRow
+    const path = await new PermalinkService(this.context).path({ ...post, ...(changes || {}) })
+    return { ...this.format(row), token, url: `${path}?preview=${encodeURIComponent(token)}` }
+  }
+
+  private sanitize(changes: Record<string, unknown>): Record<string, unknown> {
+    return Object.fromEntries(Object.entries(changes || {}).filter(([key]) => !PROTECTED_KEYS.includes(key)))
+  }
+
+  /**
+   * Shared links of a post that have not expired
+   */
+  async list(postId: number): Promise<PreviewLink[]> {
+    const rows = (await this.knex(this.table('post_previews'))
+      .where({ post_id: postId, shared: 1 })
+      .where('expires_at', '>', this.context.formatDate(new Date()))
+      .orderBy('id', 'desc')) as PreviewRow[]
+    return rows.map((row) => this.format(row))
+  }
+
+  async revoke(postId: number, id: number): Promise<PreviewLink | null> {
+    const row = (await this.knex(this.table('post_previews')).where({ id, post_id: postId }).first()) as PreviewRow | undefined
+    if (!row) return null
+    await this.knex(this.table('post_previews')).where('id', id).delete()
+    return this.format(row)
+  }
+
+  /**
+   * Remove expired tokens
+   */
+  async cleanup(): Promise<number> {
+    return this.knex(this.table('post_previews')).where('expires_at', '<=', this.context.formatDate(new Date())).delete()
+  }
+
+  /**
+   * Post of a valid token with its meta and the unsaved changes applied, null for
+   * unknown or expired tokens and trashed posts
+   */
+  async resolve(token: string): Promise<ResolvedPreview | null> {
+    if (!token || !token.startsWith(PREVIEW_TOKEN_PREFIX)) return null
+    const row = (await this.knex(this.table('post_previews')).where('token_hash', this.hash(token)).first()) as PreviewRow | undefined
+    const expiresAt = parseDate(row?.expires_at)
+    if (!row || !expiresAt || expiresAt <= new Date()) return null
+
+    const post = await this.knex(this.table('posts')).where('id', row.post_id).whereNull('deleted_at').first()
+    if (!post) return null
+
+    const metas = await this.knex(this.table('post_meta')).where('post_id', post.id)
+    const meta = Object.fromEntries(metas.map((item: { field_slug: string; value: string }) => [item.field_slug, parseJSON(item.value)]))
+    const changes = parseJSON(row.changes)
+    const merged = { ...post, ...meta, ...(changes && typeof changes === 'object' ? this.sanitize(changes as Record<string, unknown>) : {}) }
+
+    return {
+      type: 'post',
+      post: merged,
+      postType: post.post_type_slug,
+      path: await new PermalinkService(this.context).path(merged),
+      preview: this.format(row)
+    }
+  }
+}
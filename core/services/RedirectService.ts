@@ -0,0 +1,180 @@
+/**
+ * Redirect Service
+ *
+ * Path redirects served ahead of the theme. Manual rules are managed in the dashboard,
+ * automatic 301s are recorded by PermalinkService when the permalink of a published post
+ * changes. Adding a redirect collapses chains, so an old path always points straight at
+ * the current one, and drops rules that would loop.
+ */
+
+import type { Knex } from 'knex'
+
+export const REDIRECT_STATUSES = [301, 302, 307, 308] as const
+
+export type RedirectType = 'manual' | 'auto'
+
+export interface Redirect {
+  id: number
+  source_path: string
+  target_path: string
+  status_code: number
+  type: RedirectType
+  post_id: number | null
+  hits: number
+  last_hit_at: string | null
+  created_at: string
+  updated_at: string
+}
+
+export interface RedirectInput {
+  source_path?: string
+  target_path?: string
+  status_code?: number
+  post_id?: number | null
+}
+
+/**
+ * Path without the query string, with a leading slash and without a trailing one
+ */
+export const normalizePath = (value: string): string => {
+  const path = String(value || '').trim().split(/[?#]/)[0]
+  const withSlash = path.startsWith('/') ? path : `/${path}`
+  return withSlash.replace(/\/+$/, '') || '/'
+}
+
+const isUrl = (value: string): boolean => /^https?:\/\//i.test(value)
+
+export default class RedirectService {
+  private context: HTMLDrop.Context
+  private knex: Knex
+
+  constructor(context: HTMLDrop.Context) {
+    if (!context.knex) {
+      throw new Error('RedirectService requires a database connection')
+    }
+    this.context = context
+    this.knex = context.knex
+  }
+
+  private table(): string {
+    return this.context.table('redirects')
+  }
+
+  /**
+   * Validate redirect input, throws on invalid data
+   */
+  validate(input: RedirectInput, partial = false): void {
+    if (!partial || input.source_path !== undefined) {
+      if (!input.source_path || !String(input.source_path).trim()) throw new Error('Source path is required')
+      if (isUrl(String(input.source_path))) throw new Error('Source must be a path on this site')
+    }
+    if (!partial || input.target_path !== undefined) {
+      if (!input.target_path || !String(input.target_path).trim()) throw new Error('Target is required')
+    }
+    if (input.status_code !== undefined && !(REDIRECT_STATUSES as readonly number[]).includes(Number(input.status_code))) {
+      throw new Error(`Status code must be one of ${REDIRECT_STATUSES.join(', ')}`)
+    }
+  }
+
+  private target(value: string): string {
+    const target = String(value).trim()
+    return isUrl(target) ? target : normalizePath(target)
+  }
+
+  async list(type?: RedirectType): Promise<Redirect[]> {
+    const query = this.knex(this.table()).select('*').orderBy('id', 'desc')
+    if (type) query.where('type', type)
+    return query
+  }
+
+  async get(id: number): Promise<Redirect | null> {
+    return (await this.knex(this.table()).where('id', id).first()) || null
+  }
+
+  /**
+   * Create a manual redirect, replacing an existing rule for the same source
+   */
+  async create(input: RedirectInput): Promise<Redirect> {
+    this.validate(input)
+    return this.add(String(input.source_path), String(input.target_path), {
+      status: input.status_code ? Number(input.status_code) : 301,
+      type: 'manual',
+      postId: input.post_id ?? null
+    })
+  }
+
+  async update(id: number, input: RedirectInput): Promise<Redirect | null> {
+    const existing = await this.get(id)
+    if (!existing) return null
+    this.validate(input, true)
+
+    const source = input.source_path !== undefined ? normalizePath(input.source_path) : existing.source_path
+    const target = input.target_path !== undefined ? this.target(input.target_path) : existing.target_path
+    if (source === target) throw new Error('Source and target are the same')
+    const duplicate = await this.knex(this.table()).where('source_path', source).whereNot('id', id).first()
+    if (duplicate) throw new Error('A redirect for this source already exists')
+
+    await this.knex(this.table())
+      .where('id', id)
+      .update({
+        source_path: source,
+        target_path: target,
+        status_code: input.status_code !== undefined ? Number(input.status_code) : existing.status_code,
+        // Edited rules are no longer replaced by automatic ones
+        type: 'manual',
+        updated_at: this.knex.fn.now()
+      })
+    return this.get(id)
+  }
+
+  async delete(id: number): Promise<Redirect | null> {
+    const existing = await this.get(id)
+    if (!existing) return null
+    await this.knex(this.table()).where('id', id).delete()
+    return existing
+  }
+
+  /**
+   * Add a redirect, rules pointing at the source now point at the target. A rule leaving
+   * the target is removed when it is automatic or leads back, so moving a post back and
+   * forth never loops
+   */
+  async add(
+    sourcePath: string,
+    targetPath: string,
+    { status = 301, type = 'auto', postId = null }: { status?: number; type?: RedirectType; postId?: number | null } = {}
+  ): Promise<Redirect> {
+    const source = normalizePath(sourcePath)
+    const target = this.target(targetPath)
+    if (source === target) throw new Error('Source and target are the same')
+
+    await this.knex(this.table())
+      .where('source_path', target)
+      .where((query) => query.where('type', 'auto').orWhere('target_path', source))
+      .delete()
+    await this.knex(this.table())
+      .where('target_path', source)
+      .update({ target_path: target, updated_at: this.knex.fn.now() })
+
+    const data = { target_path: target, status_code: status, type, post_id: postId, updated_at: this.knex.fn.now() }
+    const existing = await this.knex(this.table()).where('source_path', source).first()
+    if (existing) {
+      await this.knex(this.table()).where('id', existing.id).update(data)
+    } else {
+      await this.knex(this.table()).insert({ ...data, source_path: source })
+    }
+    return this.knex(this.table()).where('source_path', source).first()
+  }
+
+  /**
+   * Redirect for a request path, counts the hit
+   */
+  async match(path: string): Promise<Redirect | null> {
+    const redirect = (await this.knex(this.table()).where('source_path', normalizePath(path)).first()) as Redirect | undefined
+    if (!redirect) return null
+    await this.knex(this.table())
+      .where('id', redirect.id)
+      .update({ hits: this.knex.raw('hits + 1'), last_hit_at: this.knex.fn.now() })
+    return redirect
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * Revision Service
+ *
+ * Reads the per-field history that PostsController writes into post_revisions
+ * and turns it into listings, point-in-time snapshots and field-level diffs
+ */
+
+interface RevisionRow {
+  id: number
+  post_id: number
+  author_id: number | null
+  field_slug: string
+  value: string | null
+  comment: string | null
+  created_at: string
+  username?: string | null
+  first_name?: string | null
+  last_name?: string | null
+}
+
+export interface Revision {
+  id: number
+  post_id: number
+  field_slug: string
+  value: unknown
+  comment: string | null
+  created_at: string
+  author: {
+    id: number
+    username: string | null
+    first_name: string | null
+    last_name: string | null
+  } | null
+}
+
+export interface FieldDiff {
+  field_slug: string
+  status: 'added' | 'removed' | 'changed' | 'unchanged'
+  from: unknown
+  to: unknown
+}
+
+interface GetRevisionsOptions {
+  field?: string
+  limit?: number
+  offset?: number
+}
+
+export default class RevisionService {
+  private context: HTMLDrop.Context
+
+  constructor(context: HTMLDrop.Context) {
+    if (!context.knex) {
+      throw new Error('RevisionService requires a database connection')
+    }
+    this.context = context
+  }
+
+  /**
+   * Revision values are stored as JSON, fall back to the raw string for legacy rows
+   */
+  parseValue(value: string | null): unknown {
+    if (value === null || typeof value === 'undefined') return null
+    try {
+      return JSON.parse(value)
+    } catch {
+      return value
+    }
+  }
+
+  /**
+   * Stable string representation used to compare values regardless of key order
+   */
+  normalize(value: unknown): string {
+    const sortKeys = (val: unknown): unknown => {
+      if (Array.isArray(val)) return val.map(sortKeys)
+      if (val && typeof val === 'object') {
+        return Object.keys(val as Record<string, unknown>)
+          .sort()
+          .reduce<Record<string, unknown>>((acc, key) => {
+            acc[key] = sortKeys((val as Record<string, unknown>)[key])
+            return acc
+          }, {})
+      }
+      return val
+    }
+    return JSON.stringify(sortKeys(typeof value === 'undefined' ? null : value))
+  }
+
+  private query() {
+    const { knex, table } = this.context
+    const revisions = table('post_revisions')
+    const users = table('users')
+    return knex!(revisions)
+      .leftJoin(users, `${revisions}.author_id`, `${users}.id`)
+      .select(
+        `${revisions}.id`,
+        `${revisions}.post_id`,
+        `${revisions}.author_id`,
+        `${revisions}.field_slug`,
+        `${revisions}.value`,
+        `${revisions}.comment`,
+        `${revisions}.created_at`,
+        `${users}.username`,
+        `${users}.first_name`,
+        `${users}.last_name`
+      )
+  }
+
+  private format(row: RevisionRow): Revision {
+    return {
+      id: row.id,
+      post_id: row.post_id,
+      field_slug: row.field_slug,
+      value: this.parseValue(row.value),
+      comment: row.comment,
+      created_at: row.created_at,
+      author: row.author_id
+        ? {
+          id: row.author_id,
+          username: row.username ?? null,
+          first_name: row.first_name ?? null,
+          last_name: row.last_name ?? null
+        }
+        : null
+    }
+  }
+
+  /**
+   * List revisions for a post, newest first
+   */
+  async getRevisions(postId: number, options: GetRevisionsOptions = {}): Promise<{ items: Revision[]; total: number }> {
+    const { knex, table } = this.context
+    const { field, limit = 50, offset = 0 } = options
+    const revisions = table('post_revisions')
+
+    const countQuery = knex!(revisions).where('post_id', postId)
+    if (field) countQuery.andWhere('field_slug', field)
+    const totalResult = (await countQuery.count('* as count').first()) as { count: number | string } | undefined
+
+    const query = this.query().where(`${revisions}.post_id`, postId)
+    if (field) query.andWhere(`${revisions}.field_slug`, field)
+
+    const rows = (await query
+      .orderBy(`${revisions}.id`, 'desc')
+      .limit(limit)
+      .offset(offset)) as RevisionRow[]
+
+    return {
+      items: rows.map((row) => this.format(row)),
+      total: Number(totalResult?.count || 0)
+    }
+  }
+
+  /**
+   * Get a single revision belonging to a post
+   */
+  async getRevision(postId: number, revisionId: number): Promise<Revision | null> {
+    const revisions = this.context.table('post_revisions')
+    const row = (await this.query()
+      .where(`${revisions}.post_id`, postId)
+      .andWhere(`${revisions}.id`, revisionId)
+      .first()) as RevisionRow | undefined
+    return row ? this.format(row) : null
+  }
+
+  /**
+   * Reconstruct the value of every tracked field as it was right after the given revision
+   *
+   * Each field takes the newest revision row at or before revisionId, fields that had
+   * no revision yet at that point are left out of the snapshot
+   */
+  async getSnapshot(postId: number, revisionId: number): Promise<Record<string, unknown>> {
+    const { knex, table } = this.context
+    const rows = (await knex!(table('post_revisions'))
+      .where('post_id', postId)
+      .andWhere('id', '<=', revisionId)
+      .orderBy('id', 'asc')
+      .select('field_slug', 'value')) as Pick<RevisionRow, 'field_slug' | 'value'>[]
+
+    const snapshot: Record<string, unknown> = {}
+    for (const row of rows) {
+      snapshot[row.field_slug] = this.parseValue(row.value)
+    }
+    return snapshot
+  }
+
+  /**
+   * Compare two snapshots field by field
+   */
+  diff(from: Record<string, unknown>, to: Record<string, unknown>, fields?: string[]): FieldDiff[] {
+    const slugs = fields?.length ? fields : [...new Set([...Object.keys(from), ...Object.keys(to)])]
+
+    return slugs.map((field_slug) => {
+      const inFrom = Object.prototype.hasOwnProperty.call(from, field_slug)
+      const inTo = Object.prototype.hasOwnProperty.call(to, field_slug)
+      const fromValue = inFrom ? from[field_slug] : null
+      const toValue = inTo ? to[field_slug] : null
+
+      let status: FieldDiff['status'] = 'unchanged'
+      if (!inFrom && inTo) status = 'added'
+      else if (inFrom && !inTo) status = 'removed'
+      else if (this.normalize(fromValue) !== this.normalize(toValue)) status = 'changed'
+
+      return { field_slug, status, from: fromValue, to: toValue }
+    })
+  }
+}
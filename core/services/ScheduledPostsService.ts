@@ -0,0 +1,168 @@
+/**
+ * Scheduled Posts Service
+ *
+ * Handles the `future` post status: validates publish dates on save and
+ * publishes due posts from the scheduler
+ */
+
+import type { TaskRequest } from '../utils/taskRequest.ts'
+import { parseDate } from '../utils/dates.ts'
+
+export const FUTURE_STATUS = 'future'
+export const PUBLISHED_STATUS = 'published'
+
+interface ScheduledPost {
+  id: number
+  slug?: string
+  status?: string
+  post_type_slug: string
+  publish_at?: string | Date | null
+  [key: string]: unknown
+}
+
+export default class ScheduledPostsService {
+  private context: HTMLDrop.Context
+  private createRequest: (() => Promise<TaskRequest>) | null
+
+  /**
+   * `createRequest` builds the request whose hooks publishing fires, see `createTaskRequest`
+   */
+  constructor(context: HTMLDrop.Context, createRequest: (() => Promise<TaskRequest>) | null = null) {
+    if (!context.knex) {
+      throw new Error('ScheduledPostsService requires a database connection')
+    }
+    this.context = context
+    this.createRequest = createRequest
+  }
+
+  /**
+   * Normalize status and publish_at of incoming post data
+   *
+   * - publish_at is converted to the database date format
+   * - a `future` post needs a publish date, either in the data or on the existing post
+   * - a `future` post whose publish date has already passed is published right away
+   *
+   * Returns a copy of the data, throws when the schedule is invalid
+   */
+  resolveSchedule<T extends Record<string, unknown>>(
+    data: T,
+    existing: ScheduledPost | null = null,
+    now: Date = new Date()
+  ): T {
+    const resolved: Record<string, unknown> = { ...data }
+
+    let publishAt: Date | null = null
+    if (typeof resolved.publish_at !== 'undefined') {
+      if (resolved.publish_at === null || resolved.publish_at === '') {
+        resolved.publish_at = null
+      } else {
+        publishAt = parseDate(resolved.publish_at as string)
+        if (!publishAt) throw new Error('Invalid publish_at date')
+        resolved.publish_at = this.context.formatDate(publishAt)
+      }
+    } else {
+      publishAt = parseDate(existing?.publish_at)
+    }
+
+    const status = (resolved.status ?? existing?.status) as string | undefined
+    if (status !== FUTURE_STATUS) return resolved as T
+
+    if (!publishAt) throw new Error('A publish date (publish_at) is required for scheduled posts')
+
+    if (publishAt <= now) {
+      resolved.status = PUBLISHED_STATUS
+    } else if (typeof resolved.status === 'undefined') {
+      resolved.status = FUTURE_STATUS
+    }
+
+    return resolved as T
+  }
+
+  /**
+   * Load post meta for the given posts and merge it onto them
+   */
+  private async withMeta(posts: ScheduledPost[]): Promise<ScheduledPost[]> {
+    const { knex, table } = this.context
+    if (!posts.length) return posts
+
+    const metas = (await knex!(table('post_meta')).whereIn(
+      'post_id',
+      posts.map((p) => p.id)
+    )) as { post_id: number; field_slug: string; value: string }[]
+
+    const metaMap: Record<number, Record<string, unknown>> = {}
+    for (const row of metas) {
+      if (!metaMap[row.post_id]) metaMap[row.post_id] = {}
+      try {
+        metaMap[row.post_id][row.field_slug] = JSON.parse(row.value)
+      } catch {
+        metaMap[row.post_id][row.field_slug] = row.value
+      }
+    }
+
+    return posts.map((post) => ({ ...post, ...(metaMap[post.id] || {}) }))
+  }
+
+  /**
+   * Publish every scheduled post whose publish date has passed
+   *
+   * Fires the same actions as publishing by hand (`pre_post_update`, `edit_post`, `save_post`,
+   * `transition_post_status` and `publish_post`) and waits for them, the payload is flagged `scheduled`
+   */
+  async publishDuePosts(now: Date = new Date()): Promise<number> {
+    const { knex, table, formatDate } = this.context
+    const db = knex!
+
+    const due = (await db(table('posts'))
+      .where('status', FUTURE_STATUS)
+      .whereNull('deleted_at')
+      .whereNotNull('publish_at')
+      .andWhere('publish_at', '<=', formatDate(now))
+      .select('*')) as ScheduledPost[]
+
+    let published = 0
+    let request: TaskRequest | null = null
+
+    for (const post of due) {
+      // Guard against a concurrent manual edit changing the status in the meantime
+      const updated = await db(table('posts'))
+        .where({ id: post.id, status: FUTURE_STATUS })
+        .update({ status: PUBLISHED_STATUS, updated_at: db.fn.now() })
+      if (!updated) continue
+
+      published++
+
+      if (!this.createRequest) continue
+
+      const row = (await db(table('posts')).where('id', post.id).first()) as ScheduledPost
+      // `post` is the row as it was before publishing
+      const [before, result] = await this.withMeta([post, row])
+
+      try {
+        request = request || (await this.createRequest())
+        const { req, res, next } = request
+        const { doAction } = req.hooks
+        const payload = { req, res, next, postType: post.post_type_slug, scheduled: true }
+
+        await doAction('pre_post_update', {
+          ...payload,
+          post: before,
+          coreData: { status: PUBLISHED_STATUS },
+          metaData: {}
+        })
+        await doAction('edit_post', { ...payload, post: result })
+        await doAction('save_post', { ...payload, post: result })
+        await doAction('transition_post_status', { ...payload, post: result })
+        await doAction('publish_post', { ...payload, post: result })
+      } catch (error) {
+        console.error(`[ScheduledPosts] Hook failed for post ${post.id}:`, error)
+      }
+    }
+
+    if (published > 0) {
+      console.log(`[ScheduledPosts] Published ${published} scheduled post${published > 1 ? 's' : ''}`)
+    }
+
+    return published
+  }
+}
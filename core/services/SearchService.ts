@@ -0,0 +1,461 @@
+/**
+ * Search Service
+ *
+ * Full-text search across posts and their meta. Every field with a search weight
+ * is stored as its own row in the `search_index` table, so a match in the title
+ * can rank above the same match in the body. The index is kept in sync by the
+ * search provider and rebuilt with `reindex()`
+ *
+ * Matching and ranking are done by a driver, by default the native full-text
+ * engine of the database (see `createSearchDriver`). Plugins can swap it through
+ * the `search_driver` filter
+ */
+
+import type { Knex } from 'knex'
+import { isBlockDocument } from './BlockService.ts'
+
+export const DEFAULT_PAGE_SIZE = 20
+export const MAX_PAGE_SIZE = 50
+
+// Longer queries are cut, every term has to match
+const MAX_TERMS = 10
+// Characters kept on each side of the first match in a snippet
+const SNIPPET_RADIUS = 80
+const REINDEX_BATCH_SIZE = 200
+
+export interface SearchDocumentField {
+  field: string
+  weight: number
+  content: string
+}
+
+export interface SearchQuery {
+  terms: string[]
+  postTypes: string[]
+  limit: number
+  offset: number
+}
+
+export interface SearchHit {
+  post_id: number
+  score: number
+}
+
+export interface SearchDriver {
+  name: string
+  index(postId: number, postTypeSlug: string, fields: SearchDocumentField[]): Promise<void>
+  remove(postId: number): Promise<void>
+  search(query: SearchQuery): Promise<{ hits: SearchHit[]; total: number }>
+}
+
+export interface SearchOptions {
+  query: string
+  postTypes: string[]
+  limit?: number | string
+  offset?: number | string
+}
+
+export interface SearchResult {
+  id: number
+  post_type_slug: string
+  slug: string | null
+  title: string | null
+  score: number
+  field: string | null
+  snippet: string
+  created_at: string | null
+}
+
+type Post = Record<string, any>
+type SearchWeights = Record<string, number>
+
+/**
+ * Split a query into lowercase word terms, dropping operators and punctuation
+ * so user input never reaches the full-text syntax of the database
+ */
+export const tokenize = (query: string): string[] => {
+  const terms = String(query || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []
+  return [...new Set(terms)].slice(0, MAX_TERMS)
+}
+
+export type SearchFieldEntry = { field: { slug: string; search_weight?: number | string } }
+
+/**
+ * Collect the search weights of a post type's fields, from `hooks.getFields()` entries
+ */
+export const resolveSearchWeights = (fields: SearchFieldEntry[]): SearchWeights => {
+  const weights: SearchWeights = {}
+  for (const { field } of fields) {
+    const weight = Number(field.search_weight) || 0
+    if (weight > 0) weights[field.slug] = weight
+  }
+  return weights
+}
+
+const parseJSON = (value: unknown): unknown => {
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value)
+    } catch {
+      return value
+    }
+  }
+  return value
+}
+
+const escapeHtml = (value: string): string =>
+  value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;')
+
+const escapeRegExp = (value: string): string => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Shared by the drivers: writing rows, combining terms and scoping matches to
+ * published posts of the requested types. Drivers only describe how a row
+ * matches a single term and how it scores
+ */
+abstract class BaseSearchDriver implements SearchDriver {
+  abstract name: string
+  protected knex: Knex
+  protected table: (name: string) => string
+
+  constructor(context: HTMLDrop.Context) {
+    this.knex = context.knex!
+    this.table = context.table
+  }
+
+  /**
+   * Query selecting `post_id` and `rank_score` of every index row matching the term.
+   * The last term of a query is matched as a prefix so results show up while typing
+   */
+  protected abstract matches(term: string, prefix: boolean): Knex.QueryBuilder
+
+  async index(postId: number, postTypeSlug: string, fields: SearchDocumentField[]): Promise<void> {
+    const indexTable = this.table('search_index')
+    await this.knex.transaction(async (trx) => {
+      await trx(indexTable).where('post_id', postId).del()
+      if (!fields.length) return
+      await trx(indexTable).insert(
+        fields.map(({ field, weight, content }) => ({ post_id: postId, post_type_slug: postTypeSlug, field, weight, content }))
+      )
+    })
+  }
+
+  async remove(postId: number): Promise<void> {
+    await this.knex(this.table('search_index')).where('post_id', postId).del()
+  }
+
+  async search({ terms, postTypes, limit, offset }: SearchQuery): Promise<{ hits: SearchHit[]; total: number }> {
+    if (!terms.length || !postTypes.length) return { hits: [], total: 0 }
+
+    // Fields are indexed as separate rows, so terms are matched one by one and
+    // a post is a hit when its fields match every term between them
+    const matched = terms
+      .map((term, i) => this.matches(term, i === terms.length - 1).select(this.knex.raw(`${i} as term`)))
+      .reduce((query, next) => query.unionAll(next))
+
+    const posts = this.table('posts')
+    const grouped = this.knex
+      .select('m.post_id')
+      .sum({ score: 'm.rank_score' })
+      .from(matched.as('m'))
+      .join(posts, `${posts}.id`, 'm.post_id')
+      .where(`${posts}.status`, 'published')
+      .whereNull(`${posts}.deleted_at`)
+      .whereIn(`${posts}.post_type_slug`, postTypes)
+      .groupBy('m.post_id')
+      .havingRaw('COUNT(DISTINCT ??) = ?', ['m.term', terms.length])
+
+    const countRow = (await this.knex.count('* as count').from(grouped.clone().as('g')).first()) as { count: number | string } | undefined
+    const rows = await grouped
+      .clone()
+      .orderBy([{ column: 'score', order: 'desc' }, { column: 'm.post_id', order: 'desc' }])
+      .limit(limit)
+      .offset(offset)
+
+    return {
+      hits: rows.map((row: any) => ({ post_id: Number(row.post_id), score: Number(row.score) || 0 })),
+      total: Number(countRow?.count) || 0
+    }
+  }
+}
+
+/**
+ * SQLite FTS5, ranked by BM25
+ */
+export class SqliteSearchDriver extends BaseSearchDriver {
+  name = 'sqlite'
+
+  protected matches(term: string, prefix: boolean): Knex.QueryBuilder {
+    const indexTable = this.table('search_index')
+    // `rank` is the BM25 score, lower for better matches
+    return this.knex
+      .select('post_id', this.knex.raw('-rank * weight as rank_score'))
+      .from(indexTable)
+      .whereRaw('?? MATCH ?', [indexTable, `"${term}"${prefix ? '*' : ''}`])
+  }
+}
+
+/**
+ * Postgres tsvector + GIN index, ranked by ts_rank
+ */
+export class PostgresSearchDriver extends BaseSearchDriver {
+  name = 'postgres'
+
+  protected matches(term: string, prefix: boolean): Knex.QueryBuilder {
+    const expression = `${term}${prefix ? ':*' : ''}`
+    return this.knex
+      .select('post_id', this.knex.raw(`ts_rank(tsv, to_tsquery('simple', ?)) * weight as rank_score`, [expression]))
+      .from(this.table('search_index'))
+      .whereRaw(`tsv @@ to_tsquery('simple', ?)`, [expression])
+  }
+}
+
+/**
+ * MySQL / MariaDB FULLTEXT index in boolean mode
+ */
+export class MysqlSearchDriver extends BaseSearchDriver {
+  name = 'mysql'
+
+  protected matches(term: string, prefix: boolean): Knex.QueryBuilder {
+    const expression = `+${term}${prefix ? '*' : ''}`
+    return this.knex
+      .select('post_id', this.knex.raw('MATCH(content) AGAINST(? IN BOOLEAN MODE) * weight as rank_score', [expression]))
+      .from(this.table('search_index'))
+      .whereRaw('MATCH(content) AGAINST(? IN BOOLEAN MODE)', [expression])
+  }
+}
+
+/**
+ * Portable fallback for databases without a full-text engine, ranked by field weight only.
+ * Every term matches anywhere in a word
+ */
+export class LikeSearchDriver extends BaseSearchDriver {
+  name = 'like'
+
+  protected matches(term: string): Knex.QueryBuilder {
+    return this.knex
+      .select('post_id', 'weight as rank_score')
+      .from(this.table('search_index'))
+      .whereRaw(`LOWER(content) LIKE ? ESCAPE '!'`, [`%${term.replace(/[!%_]/g, '!$&')}%`])
+  }
+}
+
+/**
+ * Pick the driver matching the database client
+ */
+export const createSearchDriver = (context: HTMLDrop.Context): SearchDriver => {
+  const client = context.knex?.client?.config?.client
+  if (['sqlite3', 'better-sqlite3'].includes(client)) return new SqliteSearchDriver(context)
+  if (['pg', 'postgres'].includes(client)) return new PostgresSearchDriver(context)
+  if (['mysql', 'mysql2'].includes(client)) return new MysqlSearchDriver(context)
+  return new LikeSearchDriver(context)
+}
+
+/**
+ * The driver in use: the database default, unless a plugin provides
+ * its own through the `search_driver` filter
+ */
+export const resolveSearchDriver = (context: HTMLDrop.Context, hooks?: { applyFilters?: (name: string, value: any, ...args: any[]) => any }): SearchDriver => {
+  const driver = createSearchDriver(context)
+  return hooks?.applyFilters ? hooks.applyFilters('search_driver', driver, context) || driver : driver
+}
+
+export default class SearchService {
+  private context: HTMLDrop.Context
+  private driver: SearchDriver
+
+  constructor(context: HTMLDrop.Context, driver?: SearchDriver) {
+    if (!context.knex) {
+      throw new Error('SearchService requires a database connection')
+    }
+    this.context = context
+    this.driver = driver || createSearchDriver(context)
+  }
+
+  /**
+   * Plain text of a field value: tags are stripped, nested values (blocks,
+   * repeaters) contribute their string leaves
+   */
+  toText(value: unknown): string {
+    if (value === null || value === undefined) return ''
+    if (typeof value === 'string') {
+      return value
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/\s+/g, ' ')
+        .trim()
+    }
+    if (typeof value === 'number') return String(value)
+    // Block content is indexed by its rendered HTML
+    if (isBlockDocument(value)) return this.toText(value.html)
+    if (Array.isArray(value)) return value.map((item) => this.toText(item)).filter(Boolean).join(' ')
+    if (typeof value === 'object') return this.toText(Object.values(value as Record<string, unknown>))
+    return ''
+  }
+
+  /**
+   * Index rows for a post: one per weighted field with text
+   */
+  buildDocument(post: Post, weights: SearchWeights): SearchDocumentField[] {
+    const fields: SearchDocumentField[] = []
+    for (const [field, weight] of Object.entries(weights)) {
+      const content = this.toText(parseJSON(post[field]))
+      if (content) fields.push({ field, weight, content })
+    }
+    return fields
+  }
+
+  /**
+   * Add or refresh a post in the index. Posts that are not published
+   * are removed, so the index only ever holds what search can return
+   */
+  async indexPost(post: Post, weights: SearchWeights): Promise<void> {
+    if (!post?.id) return
+    if (post.deleted_at || post.status !== 'published') {
+      await this.driver.remove(post.id)
+      return
+    }
+    await this.driver.index(post.id, post.post_type_slug, this.buildDocument(post, weights))
+  }
+
+  async removePost(postId: number): Promise<void> {
+    await this.driver.remove(postId)
+  }
+
+  /**
+   * Ranked search over published posts of the given types, with a
+   * highlighted snippet from the best weighted matching field
+   */
+  async search({ query, postTypes, limit, offset }: SearchOptions): Promise<{ items: SearchResult[]; total: number }> {
+    const terms = tokenize(query)
+    const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+    const start = Math.max(Number(offset) || 0, 0)
+
+    const { hits, total } = await this.driver.search({ terms, postTypes, limit: pageSize, offset: start })
+    if (!hits.length) return { items: [], total }
+
+    const { knex, table } = this.context
+    const ids = hits.map((hit) => hit.post_id)
+    const [posts, titles, rows] = await Promise.all([
+      knex!(table('posts')).select('id', 'post_type_slug', 'slug', 'created_at').whereIn('id', ids),
+      knex!(table('post_meta')).select('post_id', 'value').whereIn('post_id', ids).where('field_slug', 'title'),
+      knex!(table('search_index')).select('post_id', 'field', 'weight', 'content').whereIn('post_id', ids)
+    ])
+
+    const postMap = new Map(posts.map((post: Post) => [Number(post.id), post]))
+    const titleMap = new Map(titles.map((row: Post) => [Number(row.post_id), this.toText(parseJSON(row.value))]))
+    const rowMap = new Map<number, Post[]>()
+    for (const row of rows) {
+      const postId = Number(row.post_id)
+      if (!rowMap.has(postId)) rowMap.set(postId, [])
+      rowMap.get(postId)!.push(row)
+    }
+
+    const items = hits
+      .filter((hit) => postMap.has(hit.post_id))
+      .map((hit) => {
+        const post = postMap.get(hit.post_id)!
+        const fieldRows = (rowMap.get(hit.post_id) || []).sort((a, b) => Number(b.weight) - Number(a.weight))
+        const matched = fieldRows.find((row) => this.findTerm(row.content, terms) !== -1) || fieldRows[0]
+        return {
+          id: hit.post_id,
+          post_type_slug: post.post_type_slug,
+          slug: post.slug ?? null,
+          title: titleMap.get(hit.post_id) || null,
+          score: Math.round(hit.score * 1000) / 1000,
+          field: matched?.field ?? null,
+          snippet: matched ? this.snippet(matched.content, terms) : '',
+          created_at: post.created_at ?? null
+        }
+      })
+
+    return { items, total }
+  }
+
+  /**
+   * Position of the first term in the text, -1 when none is found
+   */
+  private findTerm(text: string, terms: string[]): number {
+    const lower = String(text || '').toLowerCase()
+    const positions = terms.map((term) => lower.indexOf(term)).filter((position) => position !== -1)
+    return positions.length ? Math.min(...positions) : -1
+  }
+
+  /**
+   * HTML-escaped excerpt around the first match, terms wrapped in `<mark>`
+   */
+  snippet(text: string, terms: string[], radius: number = SNIPPET_RADIUS): string {
+    const content = String(text || '')
+    const position = Math.max(this.findTerm(content, terms), 0)
+
+    let start = Math.max(position - radius, 0)
+    let end = Math.min(position + radius, content.length)
+    // Don't cut words in half
+    if (start > 0) {
+      const space = content.indexOf(' ', start)
+      if (space !== -1 && space < position) start = space + 1
+    }
+    if (end < content.length) {
+      const space = content.lastIndexOf(' ', end)
+      if (space > position) end = space
+    }
+
+    let excerpt = escapeHtml(content.slice(start, end))
+    if (terms.length) {
+      const pattern = new RegExp(`(${terms.map((term) => escapeRegExp(escapeHtml(term))).join('|')})`, 'giu')
+      excerpt = excerpt.replace(pattern, '<mark>$1</mark>')
+    }
+    return `${start > 0 ? '…' : ''}${excerpt}${end < content.length ? '…' : ''}`
+  }
+
+  /**
+   * Rebuild the index of a post type, e.g. after changing field weights.
+   * Returns the number of posts indexed
+   */
+  async reindex(
+    postTypeSlug: string,
+    weights: SearchWeights,
+    onProgress?: (indexed: number) => void | Promise<void>
+  ): Promise<number> {
+    const { knex, table } = this.context
+    await knex!(table('search_index')).where('post_type_slug', postTypeSlug).del()
+    if (!Object.keys(weights).length) return 0
+
+    let indexed = 0
+    let lastId = 0
+    for (;;) {
+      const posts = await knex!(table('posts'))
+        .where('post_type_slug', postTypeSlug)
+        .where('status', 'published')
+        .whereNull('deleted_at')
+        .where('id', '>', lastId)
+        .orderBy('id', 'asc')
+        .limit(REINDEX_BATCH_SIZE)
+      if (!posts.length) break
+
+      const metas = await knex!(table('post_meta'))
+        .whereIn('post_id', posts.map((post: Post) => post.id))
+        .whereIn('field_slug', Object.keys(weights))
+      const metaMap = new Map<number, Post>()
+      for (const meta of metas) {
+        if (!metaMap.has(meta.post_id)) metaMap.set(meta.post_id, {})
+        metaMap.get(meta.post_id)![meta.field_slug] = meta.value
+      }
+
+      for (const post of posts) {
+        await this.indexPost({ ...post, ...(metaMap.get(post.id) || {}) }, weights)
+      }
+
+      indexed += posts.length
+      lastId = posts[posts.length - 1].id
+      if (onProgress) await onProgress(indexed)
+    }
+    return indexed
+  }
+}
@@ -0,0 +1,501 @@
+/**
+ * SEO Service
+ *
+ * Metadata for the `<head>` of posts, terms and other pages: the title from templates,
+ * meta description, canonical URL, robots, Open Graph and Twitter tags and JSON-LD
+ * structured data. Posts and terms of public post types get a `seo` group field
+ * (SEO_FIELD) whose values override what is derived from the content.
+ *
+ * Themes render the tags with `context.seo.head({ post, url }, hooks)`.
+ *
+ * Site settings (options):
+ * - `seo_settings`: JSON, e.g.
+ *   {"title_template": "{title} {separator} {site_name}", "separator": "–",
+ *    "title_templates": {"products": "{title} | Shop"}, "description": "Default description",
+ *    "image": 12, "twitter_site": "@example", "organization": {"type": "Organization", "name": "Example", "logo": 13}}
+ * - `site_name`, `site_description` and `site_url` (the origin of the page URL when unset)
+ *
+ * Title templates know `{title}`, `{site_name}`, `{site_description}`, `{separator}`,
+ * `{post_type}` and `{taxonomy}`. The SEO title of a post or term is a template too.
+ *
+ * Filters, called with the value and the subject `{ post, term, url, title, description }`:
+ * - `seo_title`, `seo_description`, `seo_canonical`, `seo_robots`
+ * - `seo_json_ld`: list of JSON-LD objects
+ * - `seo_head`: the rendered tags
+ */
+
+import type { Knex } from 'knex'
+import { isBlockDocument } from './BlockService.ts'
+import PermalinkService from './PermalinkService.ts'
+import { CORE_POST_TYPES } from '../utils/constants.ts'
+
+// Slug of the group field holding the SEO values of a post or term
+export const SEO_FIELD = 'seo'
+
+// Longest meta description, search engines cut off the rest
+export const DESCRIPTION_LENGTH = 160
+
+export interface SeoSettings {
+  title_template: string
+  // Per post type, replaces `title_template`
+  title_templates: Record<string, string>
+  term_title_template: string
+  home_title: string
+  separator: string
+  description: string
+  // Attachment ID of the image used when a page has none
+  image: number | null
+  twitter_site: string
+  // Ask search engines not to index the site
+  noindex: boolean
+  organization: { type: 'Organization' | 'Person'; name: string; logo: number | null }
+}
+
+export const DEFAULT_SEO_SETTINGS: SeoSettings = {
+  title_template: '{title} {separator} {site_name}',
+  title_templates: {},
+  term_title_template: '{title} {separator} {site_name}',
+  home_title: '{site_name} {separator} {site_description}',
+  separator: '–',
+  description: '',
+  image: null,
+  twitter_site: '',
+  noindex: false,
+  organization: { type: 'Organization', name: '', logo: null }
+}
+
+/**
+ * Values of the `seo` field
+ */
+export interface SeoValues {
+  title?: string
+  description?: string
+  canonical?: string
+  noindex?: boolean
+  image?: unknown
+}
+
+export interface SeoSubject {
+  post?: Record<string, any> | null
+  term?: Record<string, any> | null
+  // Absolute URL of the page, the canonical URL unless the post or term has one
+  url?: string
+  // Title and description of pages without a post or term, e.g. search results
+  title?: string
+  description?: string
+}
+
+export interface SeoImage {
+  url: string
+  alt: string | null
+  width: number | null
+  height: number | null
+}
+
+export interface SeoMetadata {
+  title: string
+  description: string
+  canonical: string | null
+  robots: string
+  type: 'website' | 'article'
+  siteName: string
+  locale: string
+  image: SeoImage | null
+  publishedTime: string | null
+  modifiedTime: string | null
+  jsonLd: Record<string, unknown>[]
+}
+
+interface Hooks {
+  applyFilters?: (name: string, value: any, ...args: any[]) => any
+  getPublicPostType?: (slug: string) => Promise<Record<string, any> | null>
+  getTaxonomy?: (postType: string, slug: string) => Promise<Record<string, any> | null>
+}
+
+type Row = Record<string, any>
+
+// Metadata of a post, term or page before filters and site defaults
+interface Draft {
+  title: string
+  description: string
+  canonical: string | null
+  noindex: boolean
+  type: 'website' | 'article'
+  locale: string
+  image: SeoImage | null
+  publishedTime: string | null
+  modifiedTime: string | null
+  // Type specific JSON-LD properties, `@type` at least
+  jsonLd: Record<string, unknown>
+}
+
+const parseJSON = (value: unknown): unknown => {
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+/**
+ * Whether a stored `seo` field value hides the item from search engines
+ */
+export const isNoindex = (value: unknown): boolean => {
+  const seo = parseJSON(value)
+  if (!seo || typeof seo !== 'object') return false
+  const { noindex } = seo as Row
+  return noindex === true || noindex === 1 || noindex === '1' || noindex === 'true'
+}
+
+/**
+ * Stored dates are UTC without a timezone suffix
+ */
+const toISODate = (value: unknown): string | null => {
+  if (!value) return null
+  const str = value instanceof Date ? value.toISOString() : String(value)
+  const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(str) ? `${str.replace(' ', 'T')}Z` : str)
+  return isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+const escapeHtml = (value: unknown): string =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+/**
+ * Plain text of HTML cut at a word boundary
+ */
+export const truncateText = (html: string, length = DESCRIPTION_LENGTH): string => {
+  const text = html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim()
+  if (text.length <= length) return text
+  const cut = text.slice(0, length - 1)
+  // Drop the word that was cut in half, unless it is all that is left
+  const space = text[length - 1] === ' ' ? cut.length : cut.lastIndexOf(' ')
+  return `${(space > length / 2 ? cut.slice(0, space) : cut).replace(/[\s,.;:–-]+$/, '')}…`
+}
+
+/**
+ * Fill in the placeholders of a title template. Unknown placeholders are kept and a
+ * separator left dangling by an empty value is removed
+ */
+export const renderTitleTemplate = (template: string, values: Record<string, string | null | undefined>): string => {
+  const rendered = template.replace(/\{(\w+)\}/g, (match, key: string) => (key in values ? String(values[key] ?? '') : match))
+  const separator = String(values.separator ?? '').trim()
+  let title = rendered.replace(/\s+/g, ' ').trim()
+  if (separator) {
+    const escaped = separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    title = title.replace(new RegExp(`^(${escaped}\\s*)+|(\\s*${escaped})+$`, 'g'), '').trim()
+  }
+  return title
+}
+
+export default class SeoService {
+  private context: HTMLDrop.Context
+  private knex: Knex
+  private hooks: Hooks
+
+  constructor(context: HTMLDrop.Context, hooks: Hooks = {}) {
+    if (!context.knex) {
+      throw new Error('SeoService requires a database connection')
+    }
+    this.context = context
+    this.knex = context.knex
+    this.hooks = hooks
+  }
+
+  private table(name: string): string {
+    return this.context.table(name)
+  }
+
+  // Filters may be async on routes without the full registry
+  private async filter<T>(name: string, value: T, ...args: unknown[]): Promise<T> {
+    return this.hooks.applyFilters ? await this.hooks.applyFilters(name, value, ...args) : value
+  }
+
+  getSettings(): SeoSettings {
+    const stored = parseJSON(this.context.options?.seo_settings)
+    const settings = { ...DEFAULT_SEO_SETTINGS, ...(stored && typeof stored === 'object' ? (stored as Partial<SeoSettings>) : {}) }
+    const organization = { ...DEFAULT_SEO_SETTINGS.organization, ...(settings.organization || {}) }
+    return {
+      ...settings,
+      title_templates: settings.title_templates && typeof settings.title_templates === 'object' ? settings.title_templates : {},
+      image: Number(settings.image) > 0 ? Number(settings.image) : null,
+      noindex: settings.noindex === true,
+      organization: {
+        type: organization.type === 'Person' ? 'Person' : 'Organization',
+        name: String(organization.name || ''),
+        logo: Number(organization.logo) > 0 ? Number(organization.logo) : null
+      }
+    }
+  }
+
+  private siteUrl(subject: SeoSubject): string {
+    let origin = ''
+    try {
+      origin = subject.url ? new URL(subject.url).origin : ''
+    } catch {
+      origin = ''
+    }
+    return String(this.context.options?.site_url || origin).replace(/\/+$/, '')
+  }
+
+  /**
+   * Tags for the `<head>` of a page: title, description, canonical, robots, Open Graph,
+   * Twitter and JSON-LD
+   */
+  async head(subject: SeoSubject = {}): Promise<string> {
+    const meta = await this.metadata(subject)
+    const tags: string[] = [`<title>${escapeHtml(meta.title)}</title>`]
+    const add = (attribute: 'name' | 'property', key: string, value: unknown): void => {
+      if (value !== null && value !== undefined && value !== '') tags.push(`<meta ${attribute}="${key}" content="${escapeHtml(value)}">`)
+    }
+
+    add('name', 'description', meta.description)
+    add('name', 'robots', meta.robots)
+    if (meta.canonical) tags.push(`<link rel="canonical" href="${escapeHtml(meta.canonical)}">`)
+
+    add('property', 'og:type', meta.type)
+    add('property', 'og:title', meta.title)
+    add('property', 'og:description', meta.description)
+    add('property', 'og:url', meta.canonical)
+    add('property', 'og:site_name', meta.siteName)
+    add('property', 'og:locale', meta.locale)
+    if (meta.image) {
+      add('property', 'og:image', meta.image.url)
+      add('property', 'og:image:width', meta.image.width)
+      add('property', 'og:image:height', meta.image.height)
+      add('property', 'og:image:alt', meta.image.alt)
+    }
+    add('property', 'article:published_time', meta.publishedTime)
+    add('property', 'article:modified_time', meta.modifiedTime)
+
+    add('name', 'twitter:card', meta.image ? 'summary_large_image' : 'summary')
+    add('name', 'twitter:site', this.getSettings().twitter_site)
+    add('name', 'twitter:title', meta.title)
+    add('name', 'twitter:description', meta.description)
+    add('name', 'twitter:image', meta.image?.url)
+
+    for (const data of meta.jsonLd) {
+      // `<` escaped so content cannot close the script tag
+      tags.push(`<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`)
+    }
+
+    return this.filter('seo_head', tags.join('\n'), subject)
+  }
+
+  /**
+   * SEO metadata of a post, a term or, without either, the home page or a page
+   * titled by `subject.title`
+   */
+  async metadata(subject: SeoSubject = {}): Promise<SeoMetadata> {
+    const settings = this.getSettings()
+    const siteName = String(this.context.options?.site_name || '')
+    const base = this.siteUrl(subject)
+    const values = {
+      site_name: siteName,
+      site_description: String(this.context.options?.site_description || ''),
+      separator: settings.separator
+    }
+
+    let draft: Draft
+    if (subject.post) {
+      draft = await this.postDraft(subject.post, subject, settings, values, base)
+    } else if (subject.term) {
+      draft = await this.termDraft(subject.term, subject, settings, values)
+    } else {
+      const isHome = !subject.title
+      draft = {
+        title: isHome ? renderTitleTemplate(settings.home_title, values) : renderTitleTemplate(settings.title_template, { ...values, title: subject.title }),
+        description: subject.description || settings.description || values.site_description,
+        canonical: subject.url || (isHome && base ? `${base}/` : null),
+        noindex: false,
+        type: 'website',
+        locale: this.defaultLocale(),
+        image: null,
+        publishedTime: null,
+        modifiedTime: null,
+        jsonLd: { '@type': isHome ? 'WebSite' : 'WebPage' }
+      }
+    }
+
+    const title = await this.filter('seo_title', draft.title || siteName, subject)
+    const description = await this.filter('seo_description', truncateText(draft.description || settings.description), subject)
+    const canonical = await this.filter('seo_canonical', draft.canonical, subject)
+    const robots = await this.filter('seo_robots', settings.noindex || draft.noindex ? 'noindex, nofollow' : 'index, follow', subject)
+    const image = draft.image || (await this.image(settings.image, base))
+
+    const publisher = await this.publisher(settings, siteName, base)
+    const page: Record<string, unknown> = {
+      '@context': 'https://schema.org',
+      ...draft.jsonLd,
+      name: title,
+      url: canonical || undefined,
+      description: description || undefined,
+      inLanguage: draft.locale.replace(/_/g, '-')
+    }
+    if (draft.jsonLd['@type'] === 'Article') {
+      Object.assign(page, {
+        headline: draft.jsonLd.headline || title,
+        image: image ? [image.url] : undefined,
+        datePublished: draft.publishedTime || undefined,
+        dateModified: draft.modifiedTime || undefined,
+        publisher: publisher || undefined
+      })
+    }
+    const graph: Record<string, unknown>[] = [JSON.parse(JSON.stringify(page))]
+    if (draft.jsonLd['@type'] === 'WebSite' && publisher) graph.push({ '@context': 'https://schema.org', ...publisher })
+
+    return {
+      title,
+      description,
+      canonical,
+      robots,
+      type: draft.type,
+      siteName,
+      locale: draft.locale,
+      image,
+      publishedTime: draft.publishedTime,
+      modifiedTime: draft.modifiedTime,
+      jsonLd: await this.filter('seo_json_ld', graph, subject)
+    }
+  }
+
+  private defaultLocale(): string {
+    return String(this.context.options?.default_content_locale || 'en_US')
+  }
+
+  private async postDraft(
+    post: Row,
+    subject: SeoSubject,
+    settings: SeoSettings,
+    values: Record<string, string>,
+    base: string
+  ): Promise<Draft> {
+    const metas = await this.knex(this.table('post_meta'))
+      .where('post_id', post.id)
+      .whereIn('field_slug', ['title', 'excerpt', 'content', 'featured_image', SEO_FIELD])
+    const meta: Row = Object.fromEntries(metas.map((row: Row) => [row.field_slug, parseJSON(row.value)]))
+    const seo = this.seoValues(meta[SEO_FIELD])
+    const type = await this.hooks.getPublicPostType?.(post.post_type_slug)
+    const isPage = post.post_type_slug === CORE_POST_TYPES.PAGE
+
+    const contentTitle = String(meta.title || post.slug || '')
+    const template = seo.title || settings.title_templates[post.post_type_slug] || settings.title_template
+    const html = isBlockDocument(meta.content) ? meta.content.html : typeof meta.content === 'string' ? meta.content : ''
+    const path = await this.filter('post_permalink', await new PermalinkService(this.context).path(post), post)
+    const permalink = /^https?:\/\//.test(String(path)) ? String(path) : base ? `${base}${path}` : null
+
+    const authors = await this.knex(this.table('post_authors'))
+      .join(this.table('users'), `${this.table('users')}.id`, `${this.table('post_authors')}.user_id`)
+      .where(`${this.table('post_authors')}.post_id`, post.id)
+      .select('first_name', 'last_name', 'username')
+
+    return {
+      title: renderTitleTemplate(template, { ...values, title: contentTitle, post_type: type?.name_singular || post.post_type_slug }),
+      description: seo.description || (typeof meta.excerpt === 'string' ? meta.excerpt : '') || html,
+      canonical: seo.canonical || subject.url || permalink,
+      // Drafts and private posts are never indexed
+      noindex: seo.noindex === true || Boolean(post.status && post.status !== 'published'),
+      type: isPage ? 'website' : 'article',
+      locale: String(post.locale || this.defaultLocale()),
+      image: (await this.image(seo.image, base)) || (await this.image(meta.featured_image, base)),
+      publishedTime: isPage ? null : toISODate(post.publish_at || post.created_at),
+      modifiedTime: isPage ? null : toISODate(post.updated_at),
+      jsonLd: {
+        '@type': isPage ? 'WebPage' : 'Article',
+        headline: contentTitle,
+        author: isPage
+          ? undefined
+          : authors.map((author: Row) => ({
+            '@type': 'Person',
+            name: [author.first_name, author.last_name].filter(Boolean).join(' ') || author.username
+          }))
+      }
+    }
+  }
+
+  private async termDraft(term: Row, subject: SeoSubject, settings: SeoSettings, values: Record<string, string>): Promise<Draft> {
+    const metas = await this.knex(this.table('term_meta')).where('term_id', term.id).whereIn('field_slug', ['title', 'description', SEO_FIELD])
+    const meta: Row = Object.fromEntries(metas.map((row: Row) => [row.field_slug, parseJSON(row.value)]))
+    const seo = this.seoValues(meta[SEO_FIELD])
+    const taxonomy = term.post_type_slug ? await this.hooks.getTaxonomy?.(term.post_type_slug, term.taxonomy_slug) : null
+
+    return {
+      title: renderTitleTemplate(seo.title || settings.term_title_template, {
+        ...values,
+        title: String(meta.title || term.slug || ''),
+        taxonomy: taxonomy?.name_singular || term.taxonomy_slug
+      }),
+      description: seo.description || (typeof meta.description === 'string' ? meta.description : ''),
+      canonical: seo.canonical || subject.url || null,
+      noindex: seo.noindex === true || Boolean(term.status && term.status !== 'published'),
+      type: 'website',
+      locale: String(term.locale || this.defaultLocale()),
+      image: await this.image(seo.image, this.siteUrl(subject)),
+      publishedTime: null,
+      modifiedTime: null,
+      jsonLd: { '@type': 'CollectionPage' }
+    }
+  }
+
+  private seoValues(value: unknown): SeoValues {
+    const parsed = parseJSON(value)
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return {}
+    const seo = parsed as Row
+    const text = (item: unknown): string | undefined => (typeof item === 'string' && item.trim() ? item.trim() : undefined)
+    return {
+      title: text(seo.title),
+      description: text(seo.description),
+      canonical: text(seo.canonical),
+      noindex: isNoindex(seo),
+      image: seo.image
+    }
+  }
+
+  /**
+   * Image of a media field value or an attachment ID
+   */
+  async image(value: unknown, base: string): Promise<SeoImage | null> {
+    let file = parseJSON(value) as Row | number | null
+    let alt: string | null = null
+
+    if (typeof file === 'number' || (typeof file === 'string' && /^\d+$/.test(file))) {
+      const metas = await this.knex(this.table('post_meta'))
+        .join(this.table('posts'), `${this.table('posts')}.id`, `${this.table('post_meta')}.post_id`)
+        .where(`${this.table('posts')}.id`, Number(file))
+        .where(`${this.table('posts')}.post_type_slug`, CORE_POST_TYPES.ATTACHMENT)
+        .whereIn('field_slug', ['file', 'alt_text'])
+        .select('field_slug', 'value')
+      const meta: Row = Object.fromEntries(metas.map((row: Row) => [row.field_slug, parseJSON(row.value)]))
+      file = meta.file || null
+      alt = typeof meta.alt_text === 'string' && meta.alt_text ? meta.alt_text : null
+    }
+
+    if (!file || typeof file !== 'object' || !file.path) return null
+    const path = String(file.path).replace(/\\/g, '/')
+    return {
+      url: /^https?:\/\//.test(path) ? path : `${base}/uploads/${path}`,
+      alt: alt || file.alt_text || file.alt || null,
+      width: Number(file.width) || null,
+      height: Number(file.height) || null
+    }
+  }
+
+  /**
+   * The organization or person behind the site for JSON-LD, null without a name
+   */
+  private async publisher(settings: SeoSettings, siteName: string, base: string): Promise<Record<string, unknown> | null> {
+    const name = settings.organization.name || siteName
+    if (!name) return null
+    const logo = await this.image(settings.organization.logo, base)
+    return JSON.parse(JSON.stringify({
+      '@type': settings.organization.type,
+      name,
+      url: base ? `${base}/` : undefined,
+      [settings.organization.type === 'Person' ? 'image' : 'logo']: logo?.url
+    }))
+  }
+}
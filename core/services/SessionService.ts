@@ -0,0 +1,359 @@
+/**
+ * Session Service
+ *
+ * Every login starts a session that records the device (user agent), IP and when it was
+ * last refreshed. Refresh tokens are stored as SHA-256 hashes and rotated on every refresh,
+ * the rotated token is kept as used: presenting it again means it was copied, so the whole
+ * session is revoked. Access tokens carry the session ID as `sid`, revoking a session puts
+ * it on the revoked token list so its access tokens stop working right away.
+ */
+
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import type { Knex } from 'knex'
+import { buildPayload } from '../utils/payload.ts'
+import { SESSION } from '../utils/constants.ts'
+import { parseDate } from '../utils/dates.ts'
+
+// Parsed by the ms library in jsonwebtoken, values like '1h' work
+const ACCESS_TOKEN_EXPIRY = (process.env.JWT_EXPIRES_IN || '1h') as unknown as number
+const REFRESH_TOKEN_EXPIRY = (process.env.JWT_REFRESH_EXPIRES_IN || '7d') as unknown as number
+
+export interface SessionClient {
+  userAgent?: string | null
+  ip?: string | null
+}
+
+export interface IssuedTokens {
+  accessToken: string
+  refreshToken: string
+  expiresIn: number
+  expiresAt: Date
+}
+
+interface SessionUser {
+  id: number
+  email: string
+  locale?: string
+}
+
+export interface SessionRow {
+  id: number
+  sid: string
+  user_id: number
+  user_agent: string | null
+  ip: string | null
+  last_used_at: string | null
+  expires_at: string
+  revoked_at: string | null
+  revoked_reason: string | null
+  created_at: string
+}
+
+interface RefreshTokenRow {
+  id: number
+  user_id: number
+  session_id: number | null
+  token: string
+  expires_at: string
+  used_at: string | null
+}
+
+export interface Session {
+  id: number
+  device: string
+  user_agent: string | null
+  ip: string | null
+  created_at: string
+  last_used_at: string | null
+  expires_at: string
+  current: boolean
+}
+
+export type RefreshResult =
+  | { status: 'ok'; tokens: IssuedTokens; session: SessionRow }
+  | { status: 'invalid' }
+  | { status: 'reused'; session: SessionRow }
+
+/**
+ * Short description of the browser and operating system of a user agent
+ */
+export const describeDevice = (userAgent?: string | null): string => {
+  if (!userAgent) return 'Unknown device'
+  const browser = /Edg\//.test(userAgent)
+    ? 'Edge'
+    : /OPR\//.test(userAgent)
+      ? 'Opera'
+      : /Firefox\//.test(userAgent)
+        ? 'Firefox'
+        : /Chrome\//.test(userAgent)
+          ? 'Chrome'
+          : /Safari\//.test(userAgent)
+            ? 'Safari'
+            : /curl|node|axios|python|postman|insomnia/i.test(userAgent)
+              ? 'API client'
+              : 'Unknown browser'
+  const os = /Windows/.test(userAgent)
+    ? 'Windows'
+    : /iPhone|iPad/.test(userAgent)
+      ? 'iOS'
+      : /Android/.test(userAgent)
+        ? 'Android'
+        : /Mac OS X/.test(userAgent)
+          ? 'macOS'
+          : /Linux/.test(userAgent)
+            ? 'Linux'
+            : null
+  return os ? `${browser} on ${os}` : browser
+}
+
+export default class SessionService {
+  private context: HTMLDrop.Context
+  private knex: Knex
+
+  constructor(context: HTMLDrop.Context) {
+    if (!context.knex) {
+      throw new Error('SessionService requires a database connection')
+    }
+    this.context = context
+    this.knex = context.knex
+  }
+
+  private table(name: string): string {
+    return this.context.table(name)
+  }
+
+  hash(token: string): string {
+    return crypto.createHash('sha256').update(token).digest('hex')
+  }
+
+  /**
+   * Key of a revoked session on the revoked token list
+   */
+  private revocationKey(sid: string): string {
+    return this.hash(`session:${sid}`)
+  }
+
+  private clientValues(client: SessionClient): { user_agent: string | null; ip: string | null } {
+    return {
+      user_agent: client.userAgent ? String(client.userAgent).slice(0, 512) : null,
+      ip: client.ip ? String(client.ip).slice(0, 64) : null
+    }
+  }
+
+  /**
+   * Sign an access and refresh token pair for the session
+   */
+  private async sign(user: SessionUser, sid: string): Promise<{ tokens: IssuedTokens; refreshExpiresAt: string }> {
+    const payload = { ...(await buildPayload(this.context, user)), sid }
+
+    const accessToken = jwt.sign(payload, process.env.JWT_SECRET!, { expiresIn: ACCESS_TOKEN_EXPIRY })
+    const decodedAccess = jwt.decode(accessToken) as HTMLDrop.JwtPayload | null
+    const expiresAt = new Date((decodedAccess?.exp ?? Math.floor(Date.now() / 1000) + 3600) * 1000)
+    const expiresIn = Math.floor((expiresAt.getTime() - Date.now()) / 1000)
+
+    const refreshToken = jwt.sign(payload, process.env.JWT_REFRESH_SECRET!, { expiresIn: REFRESH_TOKEN_EXPIRY })
+    const decodedRefresh = jwt.decode(refreshToken) as HTMLDrop.JwtPayload | null
+    const refreshExp = decodedRefresh?.exp ?? Math.floor(Date.now() / 1000) + 7 * 24 * 3600
+
+    return {
+      tokens: { accessToken, refreshToken, expiresIn, expiresAt },
+      refreshExpiresAt: this.context.formatDate(new Date(refreshExp * 1000))
+    }
+  }
+
+  private async storeRefreshToken(userId: number, sessionId: number, refreshToken: string, expiresAt: string): Promise<void> {
+    await this.knex(this.table('refresh_tokens')).insert({
+      user_id: userId,
+      session_id: sessionId,
+      token: this.hash(refreshToken),
+      expires_at: expiresAt
+    })
+  }
+
+  /**
+   * Start a session for a user that just logged in and issue its tokens
+   */
+  async issue(user: SessionUser, client: SessionClient = {}): Promise<IssuedTokens> {
+    this.cleanup().catch((error) => console.error('Session cleanup error:', error))
+
+    const sid = crypto.randomUUID()
+    const { tokens, refreshExpiresAt } = await this.sign(user, sid)
+    const now = this.context.formatDate()
+    const [result] = await this.knex(this.table('sessions'))
+      .insert({
+        sid,
+        user_id: user.id,
+        ...this.clientValues(client),
+        last_used_at: now,
+        expires_at: refreshExpiresAt,
+        created_at: now,
+        updated_at: now
+      })
+      .returning('id')
+    const id = typeof result === 'object' ? (result as { id: number }).id : result
+    await this.storeRefreshToken(user.id, id, tokens.refreshToken, refreshExpiresAt)
+
+    return tokens
+  }
+
+  /**
+   * Exchange a refresh token for a new pair. A token that was already rotated revokes
+   * its session, unless it comes back within the grace period (e.g. two tabs refreshing
+   * at once), then it is only rejected
+   */
+  async refresh(refreshToken: string, client: SessionClient = {}): Promise<RefreshResult> {
+    this.cleanup().catch((error) => console.error('Session cleanup error:', error))
+
+    const record = (await this.knex(this.table('refresh_tokens')).where('token', this.hash(refreshToken)).first()) as
+      | RefreshTokenRow
+      | undefined
+    const expiresAt = parseDate(record?.expires_at)
+    if (!record || !expiresAt || expiresAt < new Date()) return { status: 'invalid' }
+
+    try {
+      jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET!)
+    } catch {
+      return { status: 'invalid' }
+    }
+
+    let session = record.session_id
+      ? ((await this.knex(this.table('sessions')).where('id', record.session_id).first()) as SessionRow | undefined)
+      : undefined
+    if (record.session_id && (!session || session.revoked_at)) return { status: 'invalid' }
+
+    if (record.used_at) return this.rejectReuse(record, session)
+
+    const user = (await this.knex(this.table('users')).where('id', record.user_id).first()) as SessionUser | undefined
+    if (!user) return { status: 'invalid' }
+
+    // Only one of the refreshes racing with the same token claims it, the others are reuse
+    const now = this.context.formatDate()
+    const claimed = await this.knex(this.table('refresh_tokens')).where('id', record.id).whereNull('used_at').update({ used_at: now })
+    if (!claimed) return this.rejectReuse({ ...record, used_at: now }, session)
+
+    if (session) {
+      const { tokens, refreshExpiresAt } = await this.sign(user, session.sid)
+      await this.knex(this.table('sessions'))
+        .where('id', session.id)
+        .update({ ...this.clientValues(client), last_used_at: now, expires_at: refreshExpiresAt, updated_at: now })
+      await this.storeRefreshToken(user.id, session.id, tokens.refreshToken, refreshExpiresAt)
+      session = (await this.knex(this.table('sessions')).where('id', session.id).first()) as SessionRow
+      return { status: 'ok', tokens, session }
+    }
+
+    // Tokens issued before sessions were tracked move to a new session
+    await this.knex(this.table('refresh_tokens')).where('id', record.id).delete()
+    const tokens = await this.issue(user, client)
+    const sid = (jwt.decode(tokens.refreshToken) as HTMLDrop.JwtPayload).sid as string
+    return { status: 'ok', tokens, session: (await this.knex(this.table('sessions')).where('sid', sid).first()) as SessionRow }
+  }
+
+  /**
+   * A refresh token that was already rotated came back. Within the grace period it is only
+   * rejected, after it the session is revoked. A token without a session is just removed
+   */
+  private async rejectReuse(record: RefreshTokenRow, session: SessionRow | undefined): Promise<RefreshResult> {
+    const usedAt = parseDate(record.used_at)
+    if (usedAt && Date.now() - usedAt.getTime() < SESSION.REUSE_GRACE_SECONDS * 1000) return { status: 'invalid' }
+    if (!session) {
+      await this.knex(this.table('refresh_tokens')).where('id', record.id).delete()
+      return { status: 'invalid' }
+    }
+    await this.revokeSession(session, 'reuse')
+    return { status: 'reused', session }
+  }
+
+  /**
+   * Whether an access token, or the session it belongs to, was revoked
+   */
+  async isRevoked(token: string, sid?: string | null): Promise<boolean> {
+    const keys = [this.hash(token)]
+    if (sid) keys.push(this.revocationKey(sid))
+    return !!(await this.knex(this.table('revoked_tokens')).whereIn('token', keys).first())
+  }
+
+  /**
+   * Active sessions of a user, the one with `currentSid` first
+   */
+  async list(userId: number, currentSid?: string | null): Promise<Session[]> {
+    const rows = (await this.knex(this.table('sessions'))
+      .where('user_id', userId)
+      .whereNull('revoked_at')
+      .where('expires_at', '>', this.context.formatDate(new Date()))
+      .orderBy('last_used_at', 'desc')) as SessionRow[]
+
+    return rows
+      .map((row) => ({
+        id: row.id,
+        device: describeDevice(row.user_agent),
+        user_agent: row.user_agent,
+        ip: row.ip,
+        created_at: row.created_at,
+        last_used_at: row.last_used_at,
+        expires_at: row.expires_at,
+        current: !!currentSid && row.sid === currentSid
+      }))
+      .sort((a, b) => Number(b.current) - Number(a.current))
+  }
+
+  private async revokeSession(session: SessionRow, reason: string): Promise<void> {
+    const now = this.context.formatDate()
+    await this.knex(this.table('sessions')).where('id', session.id).update({ revoked_at: now, revoked_reason: reason, updated_at: now })
+    await this.knex(this.table('refresh_tokens')).where('session_id', session.id).delete()
+    // Access tokens live at most as long as the refresh token of the session
+    await this.knex(this.table('revoked_tokens')).insert({
+      token: this.revocationKey(session.sid),
+      revoked_at: now,
+      expires_at: session.expires_at
+    })
+  }
+
+  /**
+   * Revoke one session of a user, returns false when it does not exist or already ended
+   */
+  async revoke(userId: number, sessionId: number, reason = 'revoked'): Promise<boolean> {
+    const session = (await this.knex(this.table('sessions'))
+      .where({ id: sessionId, user_id: userId })
+      .whereNull('revoked_at')
+      .first()) as SessionRow | undefined
+    if (!session) return false
+    await this.revokeSession(session, reason)
+    return true
+  }
+
+  /**
+   * Revoke a session by its ID from the access token, used on logout
+   */
+  async revokeBySid(sid: string, reason = 'logout'): Promise<boolean> {
+    const session = (await this.knex(this.table('sessions')).where('sid', sid).whereNull('revoked_at').first()) as
+      | SessionRow
+      | undefined
+    if (!session) return false
+    await this.revokeSession(session, reason)
+    return true
+  }
+
+  /**
+   * Revoke all sessions of a user except `exceptSid`, returns the number of revoked sessions
+   */
+  async revokeAll(userId: number, exceptSid?: string | null, reason = 'revoked'): Promise<number> {
+    const query = this.knex(this.table('sessions')).where('user_id', userId).whereNull('revoked_at')
+    if (exceptSid) query.whereNot('sid', exceptSid)
+    const sessions = (await query) as SessionRow[]
+    for (const session of sessions) await this.revokeSession(session, reason)
+    // Tokens issued before sessions were tracked
+    await this.knex(this.table('refresh_tokens')).where('user_id', userId).whereNull('session_id').delete()
+    return sessions.length
+  }
+
+  /**
+   * Remove expired sessions, refresh tokens and revoked token entries
+   */
+  async cleanup(): Promise<void> {
+    const now = this.context.formatDate(new Date())
+    await this.knex(this.table('refresh_tokens')).where('expires_at', '<', now).delete()
+    await this.knex(this.table('sessions')).where('expires_at', '<', now).delete()
+    await this.knex(this.table('revoked_tokens')).where('expires_at', '<', now).delete()
+  }
+}
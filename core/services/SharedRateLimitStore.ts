@@ -0,0 +1,180 @@
+import cluster from 'cluster'
+import type { Store, Options, ClientRateLimitInfo } from 'express-rate-limit'
+import { RATE_LIMITS } from '../utils/constants.ts'
+
+/**
+ * SharedRateLimitStore - Cross-worker rate limit counters using IPC
+ *
+ * express-rate-limit counts hits in memory by default, so each clustered worker counts on
+ * its own and a client gets the limit once per worker. This store keeps the counters in the
+ * primary process, like SharedSSRCache does for SSR HTML:
+ * - Primary process holds the counters (Map)
+ * - Workers send increment/decrement/reset/get operations via IPC and wait for the result
+ * - Outside a cluster, or when the primary does not answer in time, the process counts itself
+ */
+
+interface Counter {
+  hits: number
+  resetTime: number
+}
+
+interface RateLimitMessage {
+  type: 'rate_limit_increment' | 'rate_limit_decrement' | 'rate_limit_reset' | 'rate_limit_get'
+  key: string
+  windowMs?: number
+  requestId?: number
+}
+
+interface RateLimitResponse {
+  type: 'rate_limit_response'
+  requestId: number
+  hits: number
+  resetTime: number | null
+}
+
+// Counters of the primary, or of a process that is not part of a cluster
+const counters = new Map<string, Counter>()
+
+// Waiting longer holds up the request, counting locally is the better trade-off
+const IPC_TIMEOUT_MS = 250
+
+const currentCounter = (key: string): Counter | undefined => {
+  const counter = counters.get(key)
+  if (counter && counter.resetTime <= Date.now()) {
+    counters.delete(key)
+    return undefined
+  }
+  return counter
+}
+
+/**
+ * Apply an operation to the counters of this process
+ */
+const apply = (message: RateLimitMessage): Counter | undefined => {
+  const { type, key, windowMs = RATE_LIMITS.WINDOW_MS } = message
+  if (type === 'rate_limit_increment') {
+    let counter = currentCounter(key)
+    if (!counter) {
+      counter = { hits: 0, resetTime: Date.now() + windowMs }
+      counters.set(key, counter)
+    }
+    counter.hits++
+    return counter
+  }
+  if (type === 'rate_limit_decrement') {
+    const counter = currentCounter(key)
+    if (counter) counter.hits = Math.max(0, counter.hits - 1)
+    return counter
+  }
+  if (type === 'rate_limit_reset') {
+    counters.delete(key)
+    return undefined
+  }
+  return currentCounter(key)
+}
+
+/**
+ * Initialize the shared counters
+ * Must be called once in the primary process
+ */
+export function initSharedRateLimitStore(): void {
+  if (!cluster.isPrimary) return
+
+  cluster.on('message', (worker, message: RateLimitMessage) => {
+    if (typeof message?.type !== 'string' || !message.type.startsWith('rate_limit_')) return
+    const counter = apply(message)
+    worker.send({
+      type: 'rate_limit_response',
+      requestId: message.requestId,
+      hits: counter?.hits ?? 0,
+      resetTime: counter?.resetTime ?? null
+    })
+  })
+
+  // Periodic cleanup of expired counters
+  setInterval(() => {
+    const now = Date.now()
+    for (const [key, counter] of counters.entries()) {
+      if (counter.resetTime <= now) counters.delete(key)
+    }
+  }, 60000).unref()
+}
+
+// Request ID counter for correlating async IPC responses
+let requestIdCounter = 0
+const pendingRequests = new Map<number, (response: RateLimitResponse) => void>()
+let listening = false
+
+/**
+ * Send an operation to the primary and wait for the resulting counter
+ */
+const send = (message: RateLimitMessage): Promise<Counter | undefined> => {
+  if (!cluster.isWorker || !process.send) return Promise.resolve(apply(message))
+
+  // One listener for all responses, requests are matched by ID
+  if (!listening) {
+    process.on('message', (response: RateLimitResponse) => {
+      if (response?.type !== 'rate_limit_response') return
+      pendingRequests.get(response.requestId)?.(response)
+    })
+    listening = true
+  }
+
+  return new Promise((resolve) => {
+    const requestId = ++requestIdCounter
+    const timeout = setTimeout(() => {
+      pendingRequests.delete(requestId)
+      resolve(apply(message))
+    }, IPC_TIMEOUT_MS)
+
+    pendingRequests.set(requestId, (response) => {
+      clearTimeout(timeout)
+      pendingRequests.delete(requestId)
+      resolve(response.resetTime === null ? undefined : { hits: response.hits, resetTime: response.resetTime })
+    })
+    process.send!({ ...message, requestId })
+  })
+}
+
+const toInfo = (counter: Counter): ClientRateLimitInfo => ({
+  totalHits: counter.hits,
+  resetTime: new Date(counter.resetTime)
+})
+
+/**
+ * express-rate-limit store with counters shared by all workers. Every limiter needs its own
+ * store with a unique prefix, keys of different limiters would count together otherwise
+ */
+export class SharedRateLimitStore implements Store {
+  prefix: string
+  localKeys = false
+  private windowMs: number = RATE_LIMITS.WINDOW_MS
+
+  constructor(prefix: string) {
+    this.prefix = `${prefix}:`
+  }
+
+  init(options: Options): void {
+    this.windowMs = options.windowMs
+  }
+
+  async get(key: string): Promise<ClientRateLimitInfo | undefined> {
+    const counter = await send({ type: 'rate_limit_get', key: this.prefix + key })
+    return counter ? toInfo(counter) : undefined
+  }
+
+  async increment(key: string): Promise<ClientRateLimitInfo> {
+    const counter = await send({ type: 'rate_limit_increment', key: this.prefix + key, windowMs: this.windowMs })
+    return toInfo(counter ?? { hits: 1, resetTime: Date.now() + this.windowMs })
+  }
+
+  async decrement(key: string): Promise<void> {
+    await send({ type: 'rate_limit_decrement', key: this.prefix + key })
+  }
+
+  async resetKey(key: string): Promise<void> {
+    await send({ type: 'rate_limit_reset', key: this.prefix + key })
+  }
+}
+
+export default SharedRateLimitStore
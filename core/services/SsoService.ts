@@ -0,0 +1,429 @@
+/**
+ * Single Sign-On Service
+ *
+ * Generic OpenID Connect and SAML 2.0 providers, next to the plain OAuth ones in `auth_providers`:
+ * - OIDC: the endpoints come from the issuer's discovery document, logins use PKCE and a nonce
+ *   and ID tokens are verified against the issuer's signing keys (JWKS)
+ * - SAML: HTMLDrop is the service provider, the identity provider is set up from its metadata.
+ *   Requests are tracked in `oauth_states`, only responses to logins started here are accepted
+ *
+ * Groups the identity provider sends in a claim or attribute (`role_claim`) are mapped to roles
+ * (`role_mapping`) on every login. Only roles that appear in the mapping are added or removed,
+ * roles assigned in HTMLDrop are left alone.
+ */
+
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import type { JwtPayload } from 'jsonwebtoken'
+import type { Knex } from 'knex'
+import { DOMParser } from '@xmldom/xmldom'
+import { SAML, ValidateInResponseTo } from '@node-saml/node-saml'
+import type { CacheProvider, Profile } from '@node-saml/node-saml'
+import { SSO } from '../utils/constants.ts'
+import { parseDate } from '../utils/dates.ts'
+
+export type ProviderType = 'oauth' | 'oidc' | 'saml'
+
+export interface RoleMapping {
+  value: string
+  role: string
+}
+
+export interface SsoProvider {
+  slug: string
+  type?: ProviderType
+  client_id: string
+  secret_env_key?: string
+  redirect_uri: string
+  auth_url: string
+  token_url?: string
+  user_info_url?: string
+  issuer?: string | null
+  jwks_uri?: string | null
+  idp_cert?: string | null
+  role_claim?: string | null
+  role_mapping?: RoleMapping[] | string | null
+}
+
+export interface OidcEndpoints {
+  auth_url: string
+  token_url: string
+  user_info_url: string
+  jwks_uri: string
+}
+
+export interface IdpMetadata {
+  issuer: string
+  auth_url: string
+  idp_cert: string
+}
+
+export interface OidcLogin {
+  url: string
+  codeVerifier: string
+  nonce: string
+}
+
+export interface SsoProfile {
+  sub: string
+  email: string | null
+  // Whether the identity provider vouches for the email address, only then it links existing accounts
+  emailVerified: boolean
+  claims: Record<string, unknown>
+}
+
+export interface RoleSync {
+  added: string[]
+  removed: string[]
+}
+
+interface Jwk extends crypto.JsonWebKey {
+  kid?: string
+}
+
+// Asymmetric algorithms only, HMAC would use the client secret as key
+const ID_TOKEN_ALGORITHMS: jwt.Algorithm[] = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512']
+
+const SAML_METADATA_NS = 'urn:oasis:names:tc:SAML:2.0:metadata'
+const XMLDSIG_NS = 'http://www.w3.org/2000/09/xmldsig#'
+const REDIRECT_BINDING = 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect'
+
+// Signing keys per JWKS URL, refetched when a token is signed with a key that isn't known yet
+const jwksCache = new Map<string, { keys: Jwk[]; fetchedAt: number }>()
+
+const base64url = (buffer: Buffer): string => buffer.toString('base64url')
+
+const parseJSON = (value: unknown): unknown => {
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+const fetchJSON = async (url: string, init: RequestInit = {}): Promise<Record<string, unknown>> => {
+  const res = await fetch(url, { ...init, signal: AbortSignal.timeout(SSO.FETCH_TIMEOUT_MS) })
+  if (!res.ok) throw new Error(`Request to ${url} failed with status ${res.status}`)
+  return (await res.json()) as Record<string, unknown>
+}
+
+/**
+ * Split stored certificates into PEM blocks, a bare base64 certificate is wrapped
+ */
+export const splitCertificates = (value: string | null | undefined): string[] => {
+  if (!value) return []
+  const blocks = value.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g)
+  if (blocks) return blocks
+  const base64 = value.replace(/\s+/g, '')
+  return base64 ? [`-----BEGIN CERTIFICATE-----\n${base64.match(/.{1,64}/g)!.join('\n')}\n-----END CERTIFICATE-----`] : []
+}
+
+/**
+ * Values of a claim or attribute, nested claims like `realm_access.roles` are looked up by path
+ */
+export const claimValues = (claims: Record<string, unknown>, name: string): string[] => {
+  let value: unknown = name in claims ? claims[name] : undefined
+  if (value === undefined) {
+    value = name.split('.').reduce<unknown>((current, key) => {
+      return current && typeof current === 'object' ? (current as Record<string, unknown>)[key] : undefined
+    }, claims)
+  }
+  if (value === undefined || value === null) return []
+  return (Array.isArray(value) ? value : [value]).map((item) => String(item))
+}
+
+export default class SsoService {
+  private context: HTMLDrop.Context
+  private knex: Knex
+
+  constructor(context: HTMLDrop.Context) {
+    if (!context.knex) {
+      throw new Error('SsoService requires a database connection')
+    }
+    this.context = context
+    this.knex = context.knex
+  }
+
+  private table(name: string): string {
+    return this.context.table(name)
+  }
+
+  /**
+   * Look up the endpoints of an OpenID Connect issuer
+   */
+  async discover(issuer: string): Promise<OidcEndpoints> {
+    const config = await fetchJSON(`${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`)
+    // The issuer in the document must be the one configured, tokens are checked against it
+    if (String(config.issuer).replace(/\/+$/, '') !== issuer.replace(/\/+$/, '')) {
+      throw new Error('The discovery document belongs to a different issuer')
+    }
+    if (!config.authorization_endpoint || !config.token_endpoint || !config.jwks_uri) {
+      throw new Error('The discovery document is missing required endpoints')
+    }
+    return {
+      auth_url: String(config.authorization_endpoint),
+      token_url: String(config.token_endpoint),
+      user_info_url: config.userinfo_endpoint ? String(config.userinfo_endpoint) : '',
+      jwks_uri: String(config.jwks_uri)
+    }
+  }
+
+  /**
+   * Authorization URL of an OIDC login, the verifier and nonce have to be kept with the state
+   */
+  oidcLogin(provider: SsoProvider, state: string, scope: string[], params: Record<string, string> = {}): OidcLogin {
+    const codeVerifier = base64url(crypto.randomBytes(32))
+    const nonce = base64url(crypto.randomBytes(24))
+    const query = new URLSearchParams({
+      client_id: process.env[provider.client_id] || '',
+      redirect_uri: provider.redirect_uri,
+      response_type: 'code',
+      scope: (scope.includes('openid') ? scope : ['openid', ...scope]).join(' '),
+      state,
+      nonce,
+      code_challenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+      code_challenge_method: 'S256',
+      ...params
+    })
+    return { url: `${provider.auth_url}?${query.toString()}`, codeVerifier, nonce }
+  }
+
+  private async signingKey(jwksUri: string, kid: string | undefined): Promise<crypto.KeyObject> {
+    const find = (keys: Jwk[]) => keys.find((key) => (kid ? key.kid === kid : key.use !== 'enc'))
+
+    const cached = jwksCache.get(jwksUri)
+    let jwk = cached && Date.now() - cached.fetchedAt < SSO.JWKS_CACHE_MS ? find(cached.keys) : undefined
+    if (!jwk) {
+      const { keys } = (await fetchJSON(jwksUri)) as { keys?: Jwk[] }
+      jwksCache.set(jwksUri, { keys: keys || [], fetchedAt: Date.now() })
+      jwk = find(keys || [])
+    }
+    if (!jwk) throw new Error('No signing key found for the ID token')
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' })
+  }
+
+  /**
+   * Verify an ID token: signature, issuer, audience, expiry and the nonce of the login
+   */
+  async verifyIdToken(idToken: string, provider: SsoProvider, nonce: string | null): Promise<JwtPayload> {
+    const decoded = jwt.decode(idToken, { complete: true })
+    if (!decoded || typeof decoded.payload === 'string') throw new Error('Malformed ID token')
+    const algorithm = decoded.header.alg as jwt.Algorithm
+    if (!ID_TOKEN_ALGORITHMS.includes(algorithm)) throw new Error(`ID token algorithm ${algorithm} is not allowed`)
+    if (!provider.jwks_uri || !provider.issuer) throw new Error('The provider has no issuer configured')
+
+    const key = await this.signingKey(provider.jwks_uri, decoded.header.kid)
+    const claims = jwt.verify(idToken, key, {
+      algorithms: [algorithm],
+      issuer: [provider.issuer, provider.issuer.replace(/\/+$/, '')],
+      audience: process.env[provider.client_id] || '',
+      clockTolerance: SSO.CLOCK_SKEW_SECONDS
+    }) as JwtPayload
+    if (!nonce || claims.nonce !== nonce) throw new Error('ID token nonce does not match')
+    return claims
+  }
+
+  /**
+   * Complete an OIDC login: exchange the code with the PKCE verifier, verify the ID token and
+   * add the user info claims
+   */
+  async oidcProfile(provider: SsoProvider, code: string, codeVerifier: string | null, nonce: string | null): Promise<SsoProfile> {
+    const tokens = await fetchJSON(provider.token_url || '', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: process.env[provider.client_id] || '',
+        client_secret: process.env[provider.secret_env_key || ''] || '',
+        redirect_uri: provider.redirect_uri,
+        code,
+        code_verifier: codeVerifier || '',
+        grant_type: 'authorization_code'
+      })
+    })
+    if (typeof tokens.id_token !== 'string') throw new Error('The provider did not return an ID token')
+
+    const claims: Record<string, unknown> = { ...(await this.verifyIdToken(tokens.id_token, provider, nonce)) }
+    if (provider.user_info_url && typeof tokens.access_token === 'string') {
+      const userInfo = await fetchJSON(provider.user_info_url, { headers: { Authorization: `Bearer ${tokens.access_token}` } })
+      // User info of another subject would be a mix-up, the ID token wins
+      if (userInfo.sub === claims.sub) Object.assign(claims, userInfo, { sub: claims.sub })
+    }
+
+    return {
+      sub: String(claims.sub),
+      email: typeof claims.email === 'string' ? claims.email : null,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      claims
+    }
+  }
+
+  /**
+   * Read the entity ID, single sign-on URL and signing certificates from identity provider metadata
+   */
+  parseIdpMetadata(xml: string): IdpMetadata {
+    const doc = new DOMParser({ errorHandler: () => {} }).parseFromString(xml, 'text/xml')
+    const descriptor = Array.from(doc.getElementsByTagNameNS(SAML_METADATA_NS, 'IDPSSODescriptor'))[0]
+    const entity = descriptor?.parentNode as Element | null
+    if (!descriptor || !entity?.getAttribute('entityID')) {
+      throw new Error('The metadata does not describe a SAML identity provider')
+    }
+
+    const service = Array.from(descriptor.getElementsByTagNameNS(SAML_METADATA_NS, 'SingleSignOnService')).find(
+      (node) => node.getAttribute('Binding') === REDIRECT_BINDING
+    )
+    if (!service?.getAttribute('Location')) {
+      throw new Error('The metadata has no HTTP-Redirect single sign-on service')
+    }
+
+    const certificates = Array.from(descriptor.getElementsByTagNameNS(SAML_METADATA_NS, 'KeyDescriptor'))
+      .filter((key) => !key.getAttribute('use') || key.getAttribute('use') === 'signing')
+      .flatMap((key) => Array.from(key.getElementsByTagNameNS(XMLDSIG_NS, 'X509Certificate')))
+      .flatMap((node) => splitCertificates(node.textContent))
+    for (const certificate of certificates) new crypto.X509Certificate(certificate)
+    if (!certificates.length) throw new Error('The metadata has no signing certificate')
+
+    return {
+      issuer: entity.getAttribute('entityID')!,
+      auth_url: service.getAttribute('Location')!,
+      idp_cert: [...new Set(certificates)].join('\n')
+    }
+  }
+
+  /**
+   * Entity ID of HTMLDrop as service provider, the URL of its metadata
+   */
+  serviceProviderId(provider: SsoProvider): string {
+    return `${new URL(provider.redirect_uri).origin}/api/v1/oauth/${provider.slug}/metadata`
+  }
+
+  /**
+   * Request IDs of SAML logins, kept in `oauth_states` like OAuth states so every worker sees them
+   */
+  private requestCache(slug: string): CacheProvider {
+    const hash = (key: string) => crypto.createHash('sha256').update(key).digest('hex')
+    const states = this.table('oauth_states')
+    return {
+      saveAsync: async (key, value) => {
+        const now = new Date()
+        await this.knex(states).insert({
+          state_hash: hash(key),
+          provider: slug,
+          expires_at: new Date(now.getTime() + SSO.REQUEST_EXPIRY_MS),
+          created_at: this.context.formatDate(now)
+        })
+        return { value, createdAt: now.getTime() }
+      },
+      getAsync: async (key) => {
+        const row = await this.knex(states)
+          .where({ state_hash: hash(key), provider: slug })
+          .where('expires_at', '>', new Date())
+          .first()
+        return row ? (parseDate(row.created_at)?.toISOString() ?? null) : null
+      },
+      removeAsync: async (key) => {
+        if (!key) return null
+        await this.knex(states).where({ state_hash: hash(key), provider: slug }).del()
+        return key
+      }
+    }
+  }
+
+  private saml(provider: SsoProvider): SAML {
+    const spEntityId = this.serviceProviderId(provider)
+    return new SAML({
+      entryPoint: provider.auth_url,
+      issuer: spEntityId,
+      audience: spEntityId,
+      callbackUrl: provider.redirect_uri,
+      idpCert: splitCertificates(provider.idp_cert),
+      idpIssuer: provider.issuer || undefined,
+      identifierFormat: null,
+      disableRequestedAuthnContext: true,
+      // Identity providers sign the assertion, the response around it is often left unsigned
+      wantAssertionsSigned: true,
+      wantAuthnResponseSigned: false,
+      validateInResponseTo: ValidateInResponseTo.always,
+      requestIdExpirationPeriodMs: SSO.REQUEST_EXPIRY_MS,
+      acceptedClockSkewMs: SSO.CLOCK_SKEW_SECONDS * 1000,
+      cacheProvider: this.requestCache(provider.slug)
+    })
+  }
+
+  /**
+   * Redirect URL that sends an authentication request to the identity provider
+   */
+  async samlLogin(provider: SsoProvider): Promise<string> {
+    return this.saml(provider).getAuthorizeUrlAsync('', undefined, {})
+  }
+
+  /**
+   * Validate a posted SAML response, the NameID becomes the subject and attributes the claims
+   */
+  async samlProfile(provider: SsoProvider, samlResponse: string): Promise<SsoProfile> {
+    const { profile } = await this.saml(provider).validatePostResponseAsync({ SAMLResponse: samlResponse })
+    if (!profile?.nameID) throw new Error('The SAML response has no subject')
+
+    const claims: Record<string, unknown> = { ...((profile as Profile & { attributes?: Record<string, unknown> }).attributes || {}) }
+    const email = [
+      profile.email,
+      profile.mail,
+      profile['urn:oid:0.9.2342.19200300.100.1.3'],
+      claimValues(claims, 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress')[0],
+      profile.nameID.includes('@') ? profile.nameID : null
+    ].find((value) => typeof value === 'string' && value)
+
+    return { sub: profile.nameID, email: (email as string | undefined) || null, emailVerified: true, claims }
+  }
+
+  /**
+   * Metadata of HTMLDrop as service provider, for the identity provider's configuration
+   */
+  serviceProviderMetadata(provider: SsoProvider): string {
+    return this.saml(provider).generateServiceProviderMetadata(null, null)
+  }
+
+  /**
+   * Role slugs the mapping assigns for the claims
+   */
+  mapRoles(provider: SsoProvider, claims: Record<string, unknown>): string[] {
+    const mapping = (parseJSON(provider.role_mapping) || []) as RoleMapping[]
+    if (!provider.role_claim || !Array.isArray(mapping)) return []
+    const values = claimValues(claims, provider.role_claim)
+    return [...new Set(mapping.filter((rule) => values.includes(rule.value)).map((rule) => rule.role))]
+  }
+
+  /**
+   * Add and remove the mapped roles of a user, roles that aren't in the mapping stay as they are
+   */
+  async syncRoles(userId: number, provider: SsoProvider, claims: Record<string, unknown>): Promise<RoleSync> {
+    const mapping = (parseJSON(provider.role_mapping) || []) as RoleMapping[]
+    if (!provider.role_claim || !Array.isArray(mapping) || !mapping.length) return { added: [], removed: [] }
+
+    const wanted = this.mapRoles(provider, claims)
+    const managed = (await this.knex(this.table('roles'))
+      .whereIn('slug', [...new Set(mapping.map((rule) => rule.role))])
+      .select('id', 'slug')) as { id: number; slug: string }[]
+    const current = new Set(
+      (
+        (await this.knex(this.table('user_roles'))
+          .where('user_id', userId)
+          .whereIn('role_id', managed.map((role) => role.id))
+          .select('role_id')) as { role_id: number }[]
+      ).map((row) => row.role_id)
+    )
+
+    const added = managed.filter((role) => wanted.includes(role.slug) && !current.has(role.id))
+    const removed = managed.filter((role) => !wanted.includes(role.slug) && current.has(role.id))
+    if (added.length) {
+      await this.knex(this.table('user_roles')).insert(added.map((role) => ({ user_id: userId, role_id: role.id })))
+    }
+    if (removed.length) {
+      await this.knex(this.table('user_roles'))
+        .where('user_id', userId)
+        .whereIn('role_id', removed.map((role) => role.id))
+        .del()
+    }
+    return { added: added.map((role) => role.slug), removed: removed.map((role) => role.slug) }
+  }
+}
@@ -0,0 +1,328 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * TOTP (RFC 6238) enrollment and verification with hashed recovery codes.
+ * State is kept in usermeta under the `two_factor_` prefix, those keys are
+ * never exposed or writable through the users API
+ */
+
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import { encrypt, decrypt } from '../utils/encryption.ts'
+
+export const TWO_FACTOR_META_PREFIX = 'two_factor_'
+export const TOTP_PERIOD = 30
+export const TOTP_DIGITS = 6
+export const RECOVERY_CODE_COUNT = 10
+
+// Accepted clock drift in periods on either side of the current one
+const TOTP_WINDOW = 1
+const CHALLENGE_EXPIRY = '5m'
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+/** How an OAuth provider treats two-factor: follow the user/role settings, skip it or always require it */
+export type ProviderTwoFactorMode = 'default' | 'skip' | 'require'
+
+export interface TwoFactorChallenge {
+  twoFactorRequired: true
+  setupRequired: boolean
+  challengeToken: string
+}
+
+interface ChallengePayload {
+  uid: number
+  setup: boolean
+  purpose: string
+}
+
+interface TwoFactorUser {
+  id: number
+  email?: string
+}
+
+/**
+ * Whether a usermeta key holds two-factor state
+ */
+export const isTwoFactorMetaKey = (key: string): boolean => key.startsWith(TWO_FACTOR_META_PREFIX)
+
+export const base32Encode = (buffer: Buffer): string => {
+  let bits = 0
+  let value = 0
+  let output = ''
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  return output
+}
+
+export const base32Decode = (input: string): Buffer => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '')
+  let bits = 0
+  let value = 0
+  const bytes: number[] = []
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) throw new Error('Invalid base32 character')
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+export default class TwoFactorService {
+  private context: HTMLDrop.Context
+
+  constructor(context: HTMLDrop.Context) {
+    if (!context.knex) {
+      throw new Error('TwoFactorService requires a database connection')
+    }
+    this.context = context
+  }
+
+  generateSecret(): string {
+    return base32Encode(crypto.randomBytes(20))
+  }
+
+  /**
+   * Generate the TOTP code for a time step
+   */
+  generateCode(secret: string, step: number = this.currentStep()): string {
+    const counter = Buffer.alloc(8)
+    counter.writeBigUInt64BE(BigInt(step))
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+    const offset = hmac[hmac.length - 1] & 0xf
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0')
+  }
+
+  currentStep(now: Date = new Date()): number {
+    return Math.floor(now.getTime() / 1000 / TOTP_PERIOD)
+  }
+
+  /**
+   * Match a code against the steps within the drift window, returns the matched step
+   */
+  matchCode(secret: string, code: string, now: Date = new Date()): number | null {
+    const normalized = String(code || '').replace(/\s/g, '')
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null
+    const step = this.currentStep(now)
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+      const candidate = Buffer.from(this.generateCode(secret, step + offset))
+      if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) return step + offset
+    }
+    return null
+  }
+
+  otpauthUri(secret: string, account: string): string {
+    const issuer = String(this.context.options?.site_name || 'HTMLDrop')
+    const label = encodeURIComponent(`${issuer}:${account}`)
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD)
+    })
+    return `otpauth://totp/${label}?${params.toString()}`
+  }
+
+  hashRecoveryCode(code: string): string {
+    return crypto
+      .createHash('sha256')
+      .update(code.replace(/[\s-]/g, '').toLowerCase())
+      .digest('hex')
+  }
+
+  private async getMeta(userId: number, key: string): Promise<unknown> {
+    const { knex, table } = this.context
+    const row = await knex!(table('usermeta'))
+      .where({ user_id: userId, field_slug: `${TWO_FACTOR_META_PREFIX}${key}` })
+      .first()
+    if (!row) return null
+    try {
+      return JSON.parse(row.value)
+    } catch {
+      return row.value
+    }
+  }
+
+  private async setMeta(userId: number, key: string, value: unknown): Promise<void> {
+    const { knex, table } = this.context
+    const where = { user_id: userId, field_slug: `${TWO_FACTOR_META_PREFIX}${key}` }
+    const exists = await knex!(table('usermeta')).where(where).first()
+    if (exists) {
+      await knex!(table('usermeta')).where(where).update({ value: JSON.stringify(value) })
+    } else {
+      await knex!(table('usermeta')).insert({ ...where, value: JSON.stringify(value) })
+    }
+  }
+
+  private async deleteMeta(userId: number, key: string): Promise<void> {
+    const { knex, table } = this.context
+    await knex!(table('usermeta'))
+      .where({ user_id: userId, field_slug: `${TWO_FACTOR_META_PREFIX}${key}` })
+      .delete()
+  }
+
+  async isEnabled(userId: number): Promise<boolean> {
+    return !!(await this.getMeta(userId, 'enabled'))
+  }
+
+  /**
+   * Whether any of the user's roles enforces two-factor
+   */
+  async isRequiredByRole(userId: number): Promise<boolean> {
+    const { knex, table } = this.context
+    const role = await knex!(table('user_roles'))
+      .join(table('roles'), `${table('user_roles')}.role_id`, `${table('roles')}.id`)
+      .where(`${table('user_roles')}.user_id`, userId)
+      .where(`${table('roles')}.two_factor_required`, true)
+      .first()
+    return !!role
+  }
+
+  async getStatus(userId: number): Promise<{ enabled: boolean; required: boolean; recovery_codes_remaining: number }> {
+    const codes = (await this.getMeta(userId, 'recovery_codes')) as string[] | null
+    return {
+      enabled: await this.isEnabled(userId),
+      required: await this.isRequiredByRole(userId),
+      recovery_codes_remaining: Array.isArray(codes) ? codes.length : 0
+    }
+  }
+
+  /**
+   * Start enrollment, the secret is kept pending until a code confirms it
+   */
+  async beginEnrollment(user: TwoFactorUser): Promise<{ secret: string; otpauth_uri: string }> {
+    if (await this.isEnabled(user.id)) throw new Error('Two-factor authentication is already enabled')
+    const secret = this.generateSecret()
+    await this.setMeta(user.id, 'pending_secret', encrypt(secret))
+    return { secret, otpauth_uri: this.otpauthUri(secret, user.email || String(user.id)) }
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator, returns the recovery codes once
+   */
+  async confirmEnrollment(userId: number, code: string): Promise<string[]> {
+    const pending = (await this.getMeta(userId, 'pending_secret')) as string | null
+    if (!pending) throw new Error('No pending two-factor enrollment')
+
+    const secret = decrypt(pending)
+    const step = this.matchCode(secret, code)
+    if (step === null) throw new Error('Invalid code')
+
+    await this.setMeta(userId, 'secret', pending)
+    await this.setMeta(userId, 'last_step', step)
+    await this.setMeta(userId, 'enabled', true)
+    await this.deleteMeta(userId, 'pending_secret')
+    return this.regenerateRecoveryCodes(userId)
+  }
+
+  async regenerateRecoveryCodes(userId: number): Promise<string[]> {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex')
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`
+    })
+    await this.setMeta(
+      userId,
+      'recovery_codes',
+      codes.map((code) => this.hashRecoveryCode(code))
+    )
+    return codes
+  }
+
+  /**
+   * Verify a TOTP or recovery code for an enrolled user
+   *
+   * TOTP codes can't be replayed, recovery codes are consumed on use
+   */
+  async verify(userId: number, code: string): Promise<'totp' | 'recovery' | null> {
+    if (!(await this.isEnabled(userId))) return null
+    const normalized = String(code || '').trim()
+
+    const encrypted = (await this.getMeta(userId, 'secret')) as string | null
+    if (encrypted) {
+      const step = this.matchCode(decrypt(encrypted), normalized)
+      if (step !== null) {
+        const lastStep = Number(await this.getMeta(userId, 'last_step')) || 0
+        if (step <= lastStep) return null
+        await this.setMeta(userId, 'last_step', step)
+        return 'totp'
+      }
+    }
+
+    const codes = ((await this.getMeta(userId, 'recovery_codes')) as string[] | null) || []
+    const hashed = this.hashRecoveryCode(normalized)
+    if (normalized && codes.includes(hashed)) {
+      await this.setMeta(
+        userId,
+        'recovery_codes',
+        codes.filter((c) => c !== hashed)
+      )
+      return 'recovery'
+    }
+
+    return null
+  }
+
+  /**
+   * Remove all two-factor state, used when disabling and for admin resets
+   */
+  async disable(userId: number): Promise<void> {
+    const { knex, table } = this.context
+    await knex!(table('usermeta'))
+      .where('user_id', userId)
+      .where('field_slug', 'like', `${TWO_FACTOR_META_PREFIX}%`)
+      .delete()
+  }
+
+  /**
+   * Decide whether a login needs a second step, returns the challenge or null
+   *
+   * OAuth providers can skip two-factor or require it even when the user's roles don't
+   */
+  async challengeFor(user: TwoFactorUser, providerMode: ProviderTwoFactorMode = 'default'): Promise<TwoFactorChallenge | null> {
+    if (providerMode === 'skip') return null
+
+    const enabled = await this.isEnabled(user.id)
+    const required = providerMode === 'require' || (await this.isRequiredByRole(user.id))
+    if (!enabled && !required) return null
+
+    return {
+      twoFactorRequired: true,
+      setupRequired: !enabled,
+      challengeToken: this.signChallenge(user.id, !enabled)
+    }
+  }
+
+  private challengeSecret(): string {
+    // Separate secret so challenge tokens are never accepted as access tokens
+    return `${process.env.JWT_SECRET || ''}:two_factor`
+  }
+
+  signChallenge(userId: number, setup: boolean): string {
+    return jwt.sign({ uid: userId, setup, purpose: 'two_factor' }, this.challengeSecret(), {
+      expiresIn: CHALLENGE_EXPIRY
+    })
+  }
+
+  verifyChallenge(token: string): { userId: number; setup: boolean } | null {
+    try {
+      const payload = jwt.verify(String(token || ''), this.challengeSecret()) as unknown as ChallengePayload
+      if (payload.purpose !== 'two_factor' || !payload.uid) return null
+      return { userId: payload.uid, setup: !!payload.setup }
+    } catch {
+      return null
+    }
+  }
+}
@@ -0,0 +1,503 @@
+/**
+ * Webhook Service
+ *
+ * Forwards hook actions to registered endpoint URLs as HMAC-signed JSON.
+ * Every attempt is tracked as a job, failed deliveries are retried with
+ * exponential backoff by the `retry_webhook_deliveries` scheduler task
+ */
+
+import crypto from 'crypto'
+import RegisterJobs from '../registries/RegisterJobs.ts'
+import { encrypt, decrypt, maskApiKey } from '../utils/encryption.ts'
+import { isSecretName } from '../utils/secrets.ts'
+
+/**
+ * Actions that can be forwarded to webhooks
+ */
+export const WEBHOOK_EVENTS = [
+  'insert_post',
+  'save_post',
+  'publish_post',
+  'trash_post',
+  'untrash_post',
+  'delete_post',
+  'restore_post_revision',
+  'after_upload',
+  'insert_term',
+  'save_term',
+  'publish_term',
+  'trash_term',
+  'untrash_term',
+  'delete_term',
+  'insert_user',
+  'save_user',
+  'activate_user',
+  'trash_user',
+  'untrash_user',
+  'delete_user',
+  'insert_option',
+  'save_option',
+  'delete_option'
+] as const
+
+export const MAX_ATTEMPTS = 5
+export const BASE_BACKOFF_SECONDS = 30
+export const REQUEST_TIMEOUT_MS = 10000
+const RESPONSE_BODY_LIMIT = 2000
+
+// Never send request plumbing or credentials to external endpoints
+const STRIPPED_KEYS = new Set(['req', 'res', 'next', 'password', 'reset_token', 'reset_token_prefix', 'reset_token_expires_at'])
+
+const REDACTED = '[redacted]'
+
+// Users are sent with these columns only, so tokens and login state added to the table later stay private
+const USER_FIELDS = [
+  'id',
+  'username',
+  'status',
+  'first_name',
+  'middle_name',
+  'last_name',
+  'picture',
+  'locale',
+  'email',
+  'phone',
+  'email_verified_at',
+  'phone_verified_at',
+  'invited_by',
+  'invited_at',
+  'created_at',
+  'updated_at',
+  'deleted_at'
+] as const
+
+interface WebhookRow {
+  id: number
+  name: string
+  url: string
+  events: string | string[]
+  secret_encrypted: string
+  active: boolean | number
+  created_at?: string
+  updated_at?: string
+}
+
+export interface Webhook {
+  id: number
+  name: string
+  url: string
+  events: string[]
+  secret_masked: string
+  active: boolean
+  created_at?: string
+  updated_at?: string
+}
+
+export interface WebhookDelivery {
+  id: number
+  webhook_id: number
+  event: string
+  payload: string
+  status: 'pending' | 'success' | 'failed'
+  attempts: number
+  response_status: number | null
+  response_body: string | null
+  error: string | null
+  next_attempt_at: string | null
+  delivered_at: string | null
+  created_at: string
+  updated_at: string
+}
+
+export interface WebhookInput {
+  name?: string
+  url?: string
+  events?: string[]
+  secret?: string
+  active?: boolean
+}
+
+export default class WebhookService {
+  private context: HTMLDrop.Context
+
+  constructor(context: HTMLDrop.Context) {
+    if (!context.knex) {
+      throw new Error('WebhookService requires a database connection')
+    }
+    this.context = context
+  }
+
+  /**
+   * Generate a new signing secret
+   */
+  generateSecret(): string {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`
+  }
+
+  /**
+   * Signature sent in the X-HTMLDrop-Signature header, computed over `${timestamp}.${body}`
+   */
+  sign(secret: string, timestamp: number, body: string): string {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+  }
+
+  private parseEvents(events: string | string[]): string[] {
+    if (Array.isArray(events)) return events
+    try {
+      const parsed = JSON.parse(events)
+      return Array.isArray(parsed) ? parsed : []
+    } catch {
+      return []
+    }
+  }
+
+  format(row: WebhookRow): Webhook {
+    let secret = ''
+    try {
+      secret = decrypt(row.secret_encrypted)
+    } catch {
+      // Secret encrypted with a different key, shown as fully masked
+    }
+    return {
+      id: row.id,
+      name: row.name,
+      url: row.url,
+      events: this.parseEvents(row.events),
+      secret_masked: maskApiKey(secret),
+      active: Boolean(row.active),
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    }
+  }
+
+  /**
+   * Validate webhook input, throws on invalid data
+   */
+  validate(input: WebhookInput, partial = false): void {
+    if (!partial || input.name !== undefined) {
+      if (!input.name || !String(input.name).trim()) throw new Error('Name is required')
+    }
+    if (!partial || input.url !== undefined) {
+      let url: URL
+      try {
+        url = new URL(String(input.url))
+      } catch {
+        throw new Error('A valid URL is required')
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error('Webhook URL must use http or https')
+    }
+    if (!partial || input.events !== undefined) {
+      if (!Array.isArray(input.events) || !input.events.length) throw new Error('At least one event is required')
+      const unknown = input.events.filter((event) => !(WEBHOOK_EVENTS as readonly string[]).includes(event))
+      if (unknown.length) throw new Error(`Unknown events: ${unknown.join(', ')}`)
+    }
+  }
+
+  async list(): Promise<Webhook[]> {
+    const { knex, table } = this.context
+    const rows = (await knex!(table('webhooks')).select('*').orderBy('id', 'asc')) as WebhookRow[]
+    return rows.map((row) => this.format(row))
+  }
+
+  async get(id: number): Promise<Webhook | null> {
+    const { knex, table } = this.context
+    const row = (await knex!(table('webhooks')).where('id', id).first()) as WebhookRow | undefined
+    return row ? this.format(row) : null
+  }
+
+  /**
+   * Create a webhook, the plain secret is only returned here
+   */
+  async create(input: WebhookInput): Promise<Webhook & { secret: string }> {
+    const { knex, table } = this.context
+    this.validate(input)
+
+    const secret = input.secret || this.generateSecret()
+    const [result] = await knex!(table('webhooks'))
+      .insert({
+        name: String(input.name).trim(),
+        url: input.url,
+        events: JSON.stringify(input.events),
+        secret_encrypted: encrypt(secret),
+        active: input.active === false ? 0 : 1
+      })
+      .returning('id')
+    const id = typeof result === 'object' ? (result as { id: number }).id : result
+
+    return { ...(await this.get(id))!, secret }
+  }
+
+  /**
+   * Update a webhook, pass `regenerateSecret` to rotate the signing secret
+   */
+  async update(
+    id: number,
+    input: WebhookInput,
+    regenerateSecret = false
+  ): Promise<(Webhook & { secret?: string }) | null> {
+    const { knex, table } = this.context
+    if (!(await this.get(id))) return null
+    this.validate(input, true)
+
+    const data: Record<string, unknown> = { updated_at: knex!.fn.now() }
+    if (input.name !== undefined) data.name = String(input.name).trim()
+    if (input.url !== undefined) data.url = input.url
+    if (input.events !== undefined) data.events = JSON.stringify(input.events)
+    if (input.active !== undefined) data.active = input.active ? 1 : 0
+
+    let secret: string | undefined
+    if (regenerateSecret || input.secret) {
+      secret = input.secret || this.generateSecret()
+      data.secret_encrypted = encrypt(secret)
+    }
+
+    await knex!(table('webhooks')).where('id', id).update(data)
+    const updated = (await this.get(id))!
+    return secret ? { ...updated, secret } : updated
+  }
+
+  async delete(id: number): Promise<Webhook | null> {
+    const { knex, table } = this.context
+    const existing = await this.get(id)
+    if (!existing) return null
+    await knex!(table('webhook_deliveries')).where('webhook_id', id).delete()
+    await knex!(table('webhooks')).where('id', id).delete()
+    return existing
+  }
+
+  /**
+   * Events that at least one active webhook subscribes to
+   */
+  async getSubscribedEvents(): Promise<string[]> {
+    const { knex, table } = this.context
+    const rows = (await knex!(table('webhooks')).where('active', true).select('events')) as Pick<WebhookRow, 'events'>[]
+    return [...new Set(rows.flatMap((row) => this.parseEvents(row.events)))]
+  }
+
+  /**
+   * Turn hook arguments into a JSON-safe payload
+   */
+  serialize(value: unknown): unknown {
+    const seen = new WeakSet()
+    return JSON.parse(
+      JSON.stringify(value ?? null, (key, val) => {
+        if (STRIPPED_KEYS.has(key) || typeof val === 'function') return undefined
+        if (val && typeof val === 'object') {
+          if (seen.has(val)) return undefined
+          seen.add(val)
+          if (key === 'user' && !Array.isArray(val)) return this.pickUserFields(val as Record<string, unknown>)
+          if (key === 'option' && !Array.isArray(val)) return this.redactOption(val as Record<string, unknown>)
+        }
+        return val
+      })
+    )
+  }
+
+  /**
+   * Copy the allowlisted columns of a user row
+   */
+  private pickUserFields(user: Record<string, unknown>): Record<string, unknown> {
+    const picked: Record<string, unknown> = {}
+    for (const field of USER_FIELDS) {
+      if (field in user) picked[field] = user[field]
+    }
+    return picked
+  }
+
+  /**
+   * Hide the value of options that hold credentials, e.g. `smtp_password`
+   */
+  private redactOption(option: Record<string, unknown>): Record<string, unknown> {
+    return isSecretName(String(option.name ?? '')) ? { ...option, value: REDACTED } : option
+  }
+
+  /**
+   * Queue a delivery for every active webhook subscribed to the event and send them
+   */
+  async dispatch(event: string, data: unknown): Promise<number[]> {
+    const { knex, table, formatDate } = this.context
+    const rows = (await knex!(table('webhooks')).where('active', true)) as WebhookRow[]
+    const webhooks = rows.filter((row) => this.parseEvents(row.events).includes(event))
+    if (!webhooks.length) return []
+
+    const payload = JSON.stringify({
+      event,
+      created_at: new Date().toISOString(),
+      data: this.serialize(data)
+    })
+
+    // Picked up by the scheduler if the immediate attempt below never finishes
+    const fallback = formatDate(new Date(Date.now() + BASE_BACKOFF_SECONDS * 2 * 1000))
+
+    const ids: number[] = []
+    for (const webhook of webhooks) {
+      const [result] = await knex!(table('webhook_deliveries'))
+        .insert({ webhook_id: webhook.id, event, payload, status: 'pending', attempts: 0, next_attempt_at: fallback })
+        .returning('id')
+      ids.push(typeof result === 'object' ? (result as { id: number }).id : result)
+    }
+
+    for (const id of ids) await this.deliver(id)
+    return ids
+  }
+
+  /**
+   * Send a test event to a single webhook
+   */
+  async ping(id: number): Promise<WebhookDelivery | null> {
+    const { knex, table } = this.context
+    if (!(await this.get(id))) return null
+
+    const payload = JSON.stringify({
+      event: 'ping',
+      created_at: new Date().toISOString(),
+      data: { webhook_id: id }
+    })
+    const [result] = await knex!(table('webhook_deliveries'))
+      .insert({ webhook_id: id, event: 'ping', payload, status: 'pending', attempts: 0 })
+      .returning('id')
+    const deliveryId = typeof result === 'object' ? (result as { id: number }).id : result
+
+    return this.deliver(deliveryId)
+  }
+
+  /**
+   * Seconds to wait before the next attempt, doubles after every failure
+   */
+  backoff(attempts: number): number {
+    return BASE_BACKOFF_SECONDS * 2 ** Math.max(0, attempts - 1)
+  }
+
+  private getJobs(): RegisterJobs | null {
+    if (this.context.registries?.jobs) return this.context.registries.jobs as RegisterJobs
+    if (!this.context.wss) return null
+    return new RegisterJobs(this.context as any)
+  }
+
+  /**
+   * Attempt a single delivery and record the outcome
+   */
+  async deliver(deliveryId: number): Promise<WebhookDelivery | null> {
+    const { knex, table, formatDate } = this.context
+    const delivery = (await knex!(table('webhook_deliveries')).where('id', deliveryId).first()) as
+      | WebhookDelivery
+      | undefined
+    if (!delivery) return null
+
+    const webhook = (await knex!(table('webhooks')).where('id', delivery.webhook_id).first()) as WebhookRow | undefined
+    if (!webhook) return null
+
+    const attempts = delivery.attempts + 1
+    const jobs = this.getJobs()
+    const job = jobs
+      ? await jobs
+        .createJob({
+          name: `Webhook: ${delivery.event}`,
+          description: `Delivering to ${webhook.name} (attempt ${attempts} of ${MAX_ATTEMPTS})`,
+          type: 'webhook',
+          source: 'webhooks',
+          metadata: { webhook_id: webhook.id, delivery_id: delivery.id, event: delivery.event, attempt: attempts },
+          timeout: REQUEST_TIMEOUT_MS * 2
+        })
+        .then((created) => created.start())
+        .catch(() => null)
+      : null
+
+    const timestamp = Math.floor(Date.now() / 1000)
+    let responseStatus: number | null = null
+    let responseBody: string | null = null
+    let error: string | null = null
+
+    try {
+      const secret = decrypt(webhook.secret_encrypted)
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'HTMLDrop-Webhooks',
+          'X-HTMLDrop-Event': delivery.event,
+          'X-HTMLDrop-Delivery': String(delivery.id),
+          'X-HTMLDrop-Timestamp': String(timestamp),
+          'X-HTMLDrop-Signature': this.sign(secret, timestamp, delivery.payload)
+        },
+        body: delivery.payload,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      })
+      responseStatus = response.status
+      responseBody = (await response.text().catch(() => '')).slice(0, RESPONSE_BODY_LIMIT)
+      if (!response.ok) error = `Endpoint responded with ${response.status}`
+    } catch (err) {
+      error = (err as Error).message || 'Request failed'
+    }
+
+    const success = !error
+    const exhausted = attempts >= MAX_ATTEMPTS
+    const update = {
+      attempts,
+      response_status: responseStatus,
+      response_body: responseBody,
+      error,
+      status: success ? 'success' : exhausted ? 'failed' : 'pending',
+      next_attempt_at: success || exhausted ? null : formatDate(new Date(Date.now() + this.backoff(attempts) * 1000)),
+      delivered_at: success ? formatDate(new Date()) : null,
+      updated_at: knex!.fn.now()
+    }
+    await knex!(table('webhook_deliveries')).where('id', delivery.id).update(update)
+
+    if (job) {
+      if (success) await job.complete({ response_status: responseStatus }).catch(() => null)
+      else await job.fail(error!).catch(() => null)
+    }
+
+    return (await knex!(table('webhook_deliveries')).where('id', delivery.id).first()) as WebhookDelivery
+  }
+
+  /**
+   * Retry pending deliveries whose backoff has elapsed, called by the scheduler
+   */
+  async processDueDeliveries(now: Date = new Date(), limit = 50): Promise<number> {
+    const { knex, table, formatDate } = this.context
+    const due = (await knex!(table('webhook_deliveries'))
+      .where('status', 'pending')
+      .whereNotNull('next_attempt_at')
+      .andWhere('next_attempt_at', '<=', formatDate(now))
+      .orderBy('next_attempt_at', 'asc')
+      .limit(limit)
+      .select('id')) as { id: number }[]
+
+    for (const { id } of due) await this.deliver(id)
+    return due.length
+  }
+
+  /**
+   * Reset a delivery and send it again
+   */
+  async redeliver(deliveryId: number): Promise<WebhookDelivery | null> {
+    const { knex, table } = this.context
+    const updated = await knex!(table('webhook_deliveries'))
+      .where('id', deliveryId)
+      .update({ status: 'pending', attempts: 0, next_attempt_at: null, updated_at: knex!.fn.now() })
+    if (!updated) return null
+    return this.deliver(deliveryId)
+  }
+
+  /**
+   * Delivery log for a webhook, newest first
+   */
+  async getDeliveries(
+    webhookId: number,
+    { limit = 50, offset = 0 }: { limit?: number; offset?: number } = {}
+  ): Promise<{ items: WebhookDelivery[]; total: number }> {
+    const { knex, table } = this.context
+    const totalResult = (await knex!(table('webhook_deliveries'))
+      .where('webhook_id', webhookId)
+      .count('* as count')
+      .first()) as { count: number | string } | undefined
+    const items = (await knex!(table('webhook_deliveries'))
+      .where('webhook_id', webhookId)
+      .orderBy('id', 'desc')
+      .limit(limit)
+      .offset(offset)) as WebhookDelivery[]
+    return { items, total: Number(totalResult?.count || 0) }
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * Account locked template, sent when repeated failed logins lock an account
+ * @param {Object} data - Template data
+ * @param {string} data.username - User's username
+ * @param {string} data.email - User's email
+ * @param {number} data.lockoutMinutes - How long the account stays locked, in minutes
+ * @param {string} data.ip - IP address of the last failed attempt
+ * @param {string} data.loginUrl - Login page URL, it also offers a password reset
+ * @param {string} data.siteUrl - Site URL
+ * @param {string} data.siteName - Site name
+ * @returns {Object} Email configuration
+ */
+export default function accountLockedEmail(data) {
+  const { username, email, lockoutMinutes = 15, ip, loginUrl, siteUrl, siteName } = data
+  const name = username || email
+
+  const subject = `Your Account Was Locked - ${siteName}`
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${subject}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 600px;
+      margin: 0 auto;
+      padding: 20px;
+      background-color: #f4f4f4;
+    }
+    .container {
+      background-color: #ffffff;
+      border-radius: 8px;
+      padding: 40px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .header {
+      margin-bottom: 30px;
+    }
+    .header h1 {
+      color: #2c3e50;
+      margin: 0;
+      font-size: 24px;
+      font-weight: 600;
+    }
+    .content {
+      margin-bottom: 30px;
+    }
+    .button {
+      display: inline-block;
+      padding: 12px 24px;
+      background-color: #2c3e50;
+      color: #ffffff;
+      text-decoration: none;
+      border-radius: 6px;
+      margin: 20px 0;
+      font-weight: 500;
+    }
+    .button:hover {
+      background-color: #34495e;
+    }
+    .notice {
+      background-color: #f8f9fa;
+      border-left: 3px solid #6c757d;
+      padding: 16px;
+      margin: 20px 0;
+    }
+    .footer {
+      margin-top: 30px;
+      padding-top: 20px;
+      border-top: 1px solid #e9ecef;
+      color: #6c757d;
+      font-size: 13px;
+    }
+    .link-text {
+      word-break: break-all;
+      color: #495057;
+      font-size: 13px;
+      background-color: #f8f9fa;
+      padding: 8px 12px;
+      border-radius: 4px;
+      display: inline-block;
+      margin: 8px 0;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Your Account Was Locked</h1>
+    </div>
+    <div class="content">
+      <p>Hello <strong>${name}</strong>,</p>
+      <p>There were too many failed attempts to log in to your account at <a href="${siteUrl}">${siteName}</a>${ip ? ` from the IP address <strong>${ip}</strong>` : ''}, so it has been locked for <strong>${lockoutMinutes} minutes</strong>.</p>
+      <p>If this was you, you can log in again once the lock expires, or ask an administrator to unlock your account.</p>
+      <div class="notice">
+        <p style="margin: 0;">If this wasn't you, someone may be trying to guess your password. We recommend resetting it from the login page.</p>
+      </div>
+      <p>
+        <a href="${loginUrl}" class="button">Go to Login</a>
+      </p>
+    </div>
+    <div class="footer">
+      <p style="margin: 0 0 8px 0;">You're receiving this email to keep your account secure.</p>
+      <p style="margin: 0;">&copy; ${new Date().getFullYear()} ${siteName}. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>
+  `
+
+  const text = `
+Your Account Was Locked - ${siteName}
+
+Hello ${name},
+
+There were too many failed attempts to log in to your account at ${siteName}${ip ? ` from the IP address ${ip}` : ''}, so it has been locked for ${lockoutMinutes} minutes.
+
+If this was you, you can log in again once the lock expires, or ask an administrator to unlock your account.
+
+If this wasn't you, someone may be trying to guess your password. We recommend resetting it from the login page:
+${loginUrl}
+
+© ${new Date().getFullYear()} ${siteName}. All rights reserved.
+  `
+
+  return {
+    subject,
+    html,
+    text
+  }
+}
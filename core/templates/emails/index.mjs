@@ -1,9 +1,17 @@
 import welcomeEmail from './welcome.mjs'
 import passwordResetEmail from './password-reset.mjs'
+import verifyEmail from './verify-email.mjs'
+import inviteEmail from './invite.mjs'
+import accountLockedEmail from './account-locked.mjs'
+import newDeviceLoginEmail from './new-device-login.mjs'
 
-export { welcomeEmail, passwordResetEmail }
+export { welcomeEmail, passwordResetEmail, verifyEmail, inviteEmail, accountLockedEmail, newDeviceLoginEmail }
 
 export default {
   welcome: welcomeEmail,
-  passwordReset: passwordResetEmail
+  passwordReset: passwordResetEmail,
+  verifyEmail,
+  invite: inviteEmail,
+  accountLocked: accountLockedEmail,
+  newDeviceLogin: newDeviceLoginEmail
 }
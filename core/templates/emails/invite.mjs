@@ -0,0 +1,137 @@
+/**
+ * User invitation template
+ * @param {Object} data - Template data
+ * @param {string} data.email - Invited email address
+ * @param {string} data.inviterName - Name of the user who sent the invitation
+ * @param {string[]} data.roles - Names of the roles assigned to the invitee
+ * @param {string} data.acceptUrl - Invitation URL with token
+ * @param {string} data.siteUrl - Site URL
+ * @param {string} data.siteName - Site name
+ * @param {number} data.expiryDays - Invitation expiry time in days
+ * @returns {Object} Email configuration
+ */
+export default function inviteEmail(data) {
+  const { email, inviterName, roles = [], acceptUrl, siteUrl, siteName, expiryDays = 7 } = data
+  const invitedBy = inviterName ? `${inviterName} has invited you` : 'You have been invited'
+  const roleText = roles.length ? ` as ${roles.join(', ')}` : ''
+
+  const subject = `You're Invited to ${siteName}`
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${subject}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 600px;
+      margin: 0 auto;
+      padding: 20px;
+      background-color: #f4f4f4;
+    }
+    .container {
+      background-color: #ffffff;
+      border-radius: 8px;
+      padding: 40px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .header {
+      margin-bottom: 30px;
+    }
+    .header h1 {
+      color: #2c3e50;
+      margin: 0;
+      font-size: 24px;
+      font-weight: 600;
+    }
+    .content {
+      margin-bottom: 30px;
+    }
+    .button {
+      display: inline-block;
+      padding: 12px 24px;
+      background-color: #2c3e50;
+      color: #ffffff;
+      text-decoration: none;
+      border-radius: 6px;
+      margin: 20px 0;
+      font-weight: 500;
+    }
+    .button:hover {
+      background-color: #34495e;
+    }
+    .notice {
+      background-color: #f8f9fa;
+      border-left: 3px solid #6c757d;
+      padding: 16px;
+      margin: 20px 0;
+    }
+    .footer {
+      margin-top: 30px;
+      padding-top: 20px;
+      border-top: 1px solid #e9ecef;
+      color: #6c757d;
+      font-size: 13px;
+    }
+    .link-text {
+      word-break: break-all;
+      color: #495057;
+      font-size: 13px;
+      background-color: #f8f9fa;
+      padding: 8px 12px;
+      border-radius: 4px;
+      display: inline-block;
+      margin: 8px 0;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>You're Invited</h1>
+    </div>
+    <div class="content">
+      <p>Hello,</p>
+      <p>${invitedBy} to join <a href="${siteUrl}">${siteName}</a>${roleText}. Choose a password to activate the account for <strong>${email}</strong>.</p>
+      <p>
+        <a href="${acceptUrl}" class="button">Accept Invitation</a>
+      </p>
+      <p>Or copy and paste this link into your browser:</p>
+      <div class="link-text">${acceptUrl}</div>
+      <div class="notice">
+        <p style="margin: 0;">This link will expire in <strong>${expiryDays} days</strong>. If you weren't expecting this invitation, you can ignore this email.</p>
+      </div>
+    </div>
+    <div class="footer">
+      <p style="margin: 0 0 8px 0;">If you're having trouble clicking the button, copy and paste the URL above into your web browser.</p>
+      <p style="margin: 0;">&copy; ${new Date().getFullYear()} ${siteName}. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>
+  `
+
+  const text = `
+You're Invited to ${siteName}
+
+Hello,
+
+${invitedBy} to join ${siteName}${roleText}. Choose a password to activate the account for ${email}:
+${acceptUrl}
+
+This link will expire in ${expiryDays} days. If you weren't expecting this invitation, you can ignore this email.
+
+© ${new Date().getFullYear()} ${siteName}. All rights reserved.
+  `
+
+  return {
+    subject,
+    html,
+    text
+  }
+}
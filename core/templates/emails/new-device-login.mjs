@@ -0,0 +1,142 @@
+/**
+ * New device login template, sent when a user logs in from a browser or device without a recent session
+ * @param {Object} data - Template data
+ * @param {string} data.username - User's username
+ * @param {string} data.email - User's email
+ * @param {string} data.device - Browser and operating system, e.g. "Firefox on macOS"
+ * @param {string} data.ip - IP address of the login
+ * @param {string} data.time - When the login happened
+ * @param {string} data.sessionsUrl - Profile URL where sessions can be signed out
+ * @param {string} data.siteUrl - Site URL
+ * @param {string} data.siteName - Site name
+ * @returns {Object} Email configuration
+ */
+export default function newDeviceLoginEmail(data) {
+  const { username, email, device, ip, time, sessionsUrl, siteUrl, siteName } = data
+  const name = username || email
+
+  const subject = `New Login to Your Account - ${siteName}`
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${subject}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 600px;
+      margin: 0 auto;
+      padding: 20px;
+      background-color: #f4f4f4;
+    }
+    .container {
+      background-color: #ffffff;
+      border-radius: 8px;
+      padding: 40px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .header {
+      margin-bottom: 30px;
+    }
+    .header h1 {
+      color: #2c3e50;
+      margin: 0;
+      font-size: 24px;
+      font-weight: 600;
+    }
+    .content {
+      margin-bottom: 30px;
+    }
+    .button {
+      display: inline-block;
+      padding: 12px 24px;
+      background-color: #2c3e50;
+      color: #ffffff;
+      text-decoration: none;
+      border-radius: 6px;
+      margin: 20px 0;
+      font-weight: 500;
+    }
+    .button:hover {
+      background-color: #34495e;
+    }
+    .notice {
+      background-color: #f8f9fa;
+      border-left: 3px solid #6c757d;
+      padding: 16px;
+      margin: 20px 0;
+    }
+    .footer {
+      margin-top: 30px;
+      padding-top: 20px;
+      border-top: 1px solid #e9ecef;
+      color: #6c757d;
+      font-size: 13px;
+    }
+    .link-text {
+      word-break: break-all;
+      color: #495057;
+      font-size: 13px;
+      background-color: #f8f9fa;
+      padding: 8px 12px;
+      border-radius: 4px;
+      display: inline-block;
+      margin: 8px 0;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>New Login to Your Account</h1>
+    </div>
+    <div class="content">
+      <p>Hello <strong>${name}</strong>,</p>
+      <p>Your account at <a href="${siteUrl}">${siteName}</a> was just used to log in from a new browser or device.</p>
+      <div class="notice">
+        <p style="margin: 0;"><strong>Device:</strong> ${device}</p>
+        ${ip ? `<p style="margin: 0;"><strong>IP address:</strong> ${ip}</p>` : ''}
+        <p style="margin: 0;"><strong>Time:</strong> ${time}</p>
+      </div>
+      <p>If this was you, there is nothing else to do. If it wasn't, sign out the session and change your password right away.</p>
+      <p>
+        <a href="${sessionsUrl}" class="button">Review Your Sessions</a>
+      </p>
+    </div>
+    <div class="footer">
+      <p style="margin: 0 0 8px 0;">You're receiving this email to keep your account secure.</p>
+      <p style="margin: 0;">&copy; ${new Date().getFullYear()} ${siteName}. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>
+  `
+
+  const text = `
+New Login to Your Account - ${siteName}
+
+Hello ${name},
+
+Your account at ${siteName} was just used to log in from a new browser or device.
+
+Device: ${device}${ip ? `
+IP address: ${ip}` : ''}
+Time: ${time}
+
+If this was you, there is nothing else to do. If it wasn't, sign out the session and change your password right away:
+${sessionsUrl}
+
+© ${new Date().getFullYear()} ${siteName}. All rights reserved.
+  `
+
+  return {
+    subject,
+    html,
+    text
+  }
+}
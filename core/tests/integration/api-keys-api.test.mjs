@@ -0,0 +1,231 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import knex from 'knex'
+import express from 'express'
+import request from 'supertest'
+import PostsController from '../../controllers/v1/PostsController.ts'
+import TermsController from '../../controllers/v1/TermsController.ts'
+import UsersController from '../../controllers/v1/UsersController.ts'
+import UserGuard from '../../utils/UserGuard.ts'
+
+describe('API key scope Integration', () => {
+  let db
+  let app
+  let context
+
+  const postTypes = {
+    posts: { slug: 'posts', capabilities: { read_post: 'read_post', edit_posts: 'edit_posts', delete_posts: 'delete_posts' } }
+  }
+  const taxonomies = {
+    categories: { slug: 'categories', capabilities: { read_term: 'read_term', edit_terms: 'edit_terms', delete_terms: 'delete_terms' } }
+  }
+
+  beforeAll(async () => {
+    db = knex({
+      client: 'better-sqlite3',
+      connection: ':memory:',
+      useNullAsDefault: true
+    })
+
+    await db.schema.createTable('test_posts', (table) => {
+      table.increments('id')
+      table.string('post_type_slug')
+      table.string('slug')
+      table.string('status')
+      table.datetime('deleted_at').nullable()
+    })
+    await db.schema.createTable('test_post_authors', (table) => {
+      table.integer('post_id')
+      table.integer('user_id')
+    })
+    await db.schema.createTable('test_terms', (table) => {
+      table.increments('id')
+      table.string('post_type_slug')
+      table.string('taxonomy_slug')
+      table.string('slug')
+    })
+    await db.schema.createTable('test_term_authors', (table) => {
+      table.integer('term_id')
+      table.integer('user_id')
+    })
+    await db.schema.createTable('test_users', (table) => {
+      table.increments('id')
+      table.string('username')
+      table.string('email')
+      table.string('status')
+      table.string('password')
+    })
+    for (const name of ['roles', 'capabilities']) {
+      await db.schema.createTable(`test_${name}`, (table) => {
+        table.increments('id')
+        table.string('slug')
+      })
+    }
+    await db.schema.createTable('test_user_roles', (table) => {
+      table.integer('user_id')
+      table.integer('role_id')
+    })
+    await db.schema.createTable('test_role_capabilities', (table) => {
+      table.integer('role_id')
+      table.integer('capability_id')
+    })
+    await db.schema.createTable('test_user_capabilities', (table) => {
+      table.integer('user_id')
+      table.integer('capability_id')
+    })
+    await db.schema.createTable('test_capability_inheritance', (table) => {
+      table.integer('parent_capability_id')
+      table.integer('child_capability_id')
+    })
+    for (const name of ['post_permissions', 'term_permissions']) {
+      await db.schema.createTable(`test_${name}`, (table) => {
+        table.integer(name === 'post_permissions' ? 'post_id' : 'term_id')
+        table.integer('user_id')
+        table.text('capabilities')
+      })
+    }
+    await db.schema.createTable('test_post_previews', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.integer('user_id')
+      table.string('prefix')
+      table.string('token_hash')
+      table.text('changes')
+      table.boolean('shared')
+      table.datetime('expires_at')
+      table.datetime('created_at')
+      table.datetime('updated_at')
+    })
+
+    // User 1 wrote the post and the term, but has no capabilities of their own
+    await db('test_users').insert({ id: 1, username: 'author', email: 'author@example.com', status: 'active' })
+    await db('test_posts').insert({ id: 1, post_type_slug: 'posts', slug: 'mine', status: 'draft' })
+    await db('test_post_authors').insert({ post_id: 1, user_id: 1 })
+    await db('test_terms').insert({ id: 1, post_type_slug: 'posts', taxonomy_slug: 'categories', slug: 'mine' })
+    await db('test_term_authors').insert({ term_id: 1, user_id: 1 })
+    await db('test_capabilities').insert([
+      { id: 1, slug: 'read_post' },
+      { id: 2, slug: 'edit_posts' },
+      { id: 3, slug: 'read_term' },
+      { id: 4, slug: 'edit_users' }
+    ])
+
+    context = {
+      knex: db,
+      table: (name) => `test_${name}`,
+      formatDate: (date = new Date()) => date.toISOString().replace('Z', '').replace('T', ' '),
+      normalizeSlug: (slug) => slug,
+      options: {}
+    }
+
+    // Stands in for the JWT and registry middlewares, `x-api-key-scope` signs in with a key of that scope
+    app = express()
+    app.use(express.json())
+    app.use((req, res, next) => {
+      const scope = req.get('x-api-key-scope')
+      const capabilities = scope ? JSON.parse(scope) : null
+      req.user = { id: 1 }
+      if (scope) req.apiKey = { id: 1, name: 'CI', capabilities }
+      const guard = new UserGuard(context, 1, capabilities)
+      req.guard = guard
+      req.hooks = {
+        applyFilters: (_name, value) => value,
+        doAction: async () => {},
+        getFields: async () => [],
+        getPostType: async (slug) => {
+          const type = postTypes[slug]
+          const resolved = type && (await guard.user({ canOneOf: type.capabilities }))
+          return resolved ? { ...type, resolvedCapabilities: resolved } : null
+        },
+        getTaxonomy: async (_postType, slug) => {
+          const taxonomy = taxonomies[slug]
+          const resolved = taxonomy && (await guard.user({ canOneOf: taxonomy.capabilities }))
+          return resolved ? { ...taxonomy, resolvedCapabilities: resolved } : null
+        }
+      }
+      next()
+    })
+    app.use('/api/v1/users', UsersController(context))
+    app.use('/api/v1/:postType/terms/:taxonomy', TermsController(context))
+    app.use('/api/v1/:postType', PostsController(context))
+  })
+
+  afterAll(async () => {
+    await db.destroy()
+  })
+
+  const readOnly = JSON.stringify(['read_post', 'read_term'])
+
+  describe('posts of the key owner', () => {
+    it('should reject edits with a read-only key', async () => {
+      const response = await request(app).patch('/api/v1/posts/mine').set('x-api-key-scope', readOnly).send({ status: 'published' })
+
+      expect(response.status).toBe(403)
+      expect((await db('test_posts').where('id', 1).first()).status).toBe('draft')
+    })
+
+    it('should reject deletes with a read-only key', async () => {
+      const response = await request(app).delete('/api/v1/posts/mine').set('x-api-key-scope', readOnly)
+
+      expect(response.status).toBe(403)
+      expect(await db('test_posts').where('id', 1).first()).toBeDefined()
+    })
+
+    it('should reject previews with a read-only key', async () => {
+      const response = await request(app).get('/api/v1/posts/mine/previews').set('x-api-key-scope', readOnly)
+      expect(response.status).toBe(403)
+    })
+
+    it('should allow previews with edit_posts in the key scope', async () => {
+      const response = await request(app)
+        .get('/api/v1/posts/mine/previews')
+        .set('x-api-key-scope', JSON.stringify(['edit_posts']))
+      expect(response.status).toBe(200)
+    })
+
+    it('should allow previews when signed in without a key', async () => {
+      const response = await request(app).get('/api/v1/posts/mine/previews')
+      expect(response.status).toBe(200)
+    })
+  })
+
+  describe('terms of the key owner', () => {
+    it('should reject edits with a read-only key', async () => {
+      const response = await request(app)
+        .patch('/api/v1/posts/terms/categories/mine')
+        .set('x-api-key-scope', readOnly)
+        .send({ slug: 'theirs' })
+
+      expect(response.status).toBe(403)
+      expect((await db('test_terms').where('id', 1).first()).slug).toBe('mine')
+    })
+
+    it('should reject deletes with a read-only key', async () => {
+      const response = await request(app).delete('/api/v1/posts/terms/categories/mine').set('x-api-key-scope', readOnly)
+
+      expect(response.status).toBe(403)
+      expect(await db('test_terms').where('id', 1).first()).toBeDefined()
+    })
+  })
+
+  describe('account of the key owner', () => {
+    it('should reject edits with a key without edit_users', async () => {
+      const response = await request(app)
+        .patch('/api/v1/users/1')
+        .set('x-api-key-scope', readOnly)
+        .send({ email: 'attacker@example.com' })
+
+      expect(response.status).toBe(403)
+      expect((await db('test_users').where('id', 1).first()).email).toBe('author@example.com')
+    })
+
+    it('should reject edits with an unscoped key of an owner without edit_users', async () => {
+      const response = await request(app)
+        .patch('/api/v1/users/1')
+        .set('x-api-key-scope', 'null')
+        .send({ status: 'inactive' })
+
+      expect(response.status).toBe(403)
+      expect((await db('test_users').where('id', 1).first()).status).toBe('active')
+    })
+  })
+})
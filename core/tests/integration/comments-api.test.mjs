@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest'
+import knex from 'knex'
+import express from 'express'
+import request from 'supertest'
+import PostsController from '../../controllers/v1/PostsController.ts'
+import UserGuard from '../../utils/UserGuard.ts'
+
+describe('Comments API Integration', () => {
+  let db
+  let app
+  let context
+
+  // `notes` are private, `posts` are served by the delivery API
+  const postTypes = {
+    notes: { slug: 'notes', public: false, capabilities: { read_post: 'read_post' } },
+    posts: { slug: 'posts', public: true, capabilities: { read_post: 'read_post' } }
+  }
+  const comment = { content: 'Nice post', author_name: 'Ada', author_email: 'ada@example.com' }
+
+  beforeAll(async () => {
+    db = knex({
+      client: 'better-sqlite3',
+      connection: ':memory:',
+      useNullAsDefault: true
+    })
+
+    await db.schema.createTable('test_posts', (table) => {
+      table.increments('id')
+      table.string('post_type_slug')
+      table.string('slug')
+      table.string('status')
+      table.integer('comment_post_id').nullable()
+      table.integer('comment_parent_id').nullable()
+      table.datetime('publish_at').nullable()
+      table.datetime('deleted_at').nullable()
+      table.timestamp('created_at').defaultTo(db.fn.now())
+      table.timestamp('updated_at').defaultTo(db.fn.now())
+    })
+    await db.schema.createTable('test_post_meta', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+    await db.schema.createTable('test_post_authors', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.integer('user_id')
+    })
+    await db.schema.createTable('test_users', (table) => {
+      table.increments('id')
+      table.string('username')
+    })
+    for (const name of ['roles', 'capabilities']) {
+      await db.schema.createTable(`test_${name}`, (table) => {
+        table.increments('id')
+        table.string('slug')
+      })
+    }
+    await db.schema.createTable('test_user_roles', (table) => {
+      table.integer('user_id')
+      table.integer('role_id')
+    })
+    await db.schema.createTable('test_role_capabilities', (table) => {
+      table.integer('role_id')
+      table.integer('capability_id')
+    })
+    await db.schema.createTable('test_user_capabilities', (table) => {
+      table.integer('user_id')
+      table.integer('capability_id')
+    })
+    await db.schema.createTable('test_capability_inheritance', (table) => {
+      table.integer('parent_capability_id')
+      table.integer('child_capability_id')
+    })
+    await db.schema.createTable('test_post_permissions', (table) => {
+      table.integer('post_id')
+      table.integer('user_id')
+      table.text('capabilities')
+    })
+
+    await db('test_posts').insert([
+      { id: 1, post_type_slug: 'notes', slug: 'private-note', status: 'published' },
+      { id: 2, post_type_slug: 'posts', slug: 'hello', status: 'published' }
+    ])
+    // User 1 reads notes, user 2 wrote the note, user 3 has neither
+    await db('test_users').insert([
+      { id: 1, username: 'reader' },
+      { id: 2, username: 'author' },
+      { id: 3, username: 'stranger' }
+    ])
+    await db('test_capabilities').insert({ id: 1, slug: 'read_post' })
+    await db('test_user_capabilities').insert({ user_id: 1, capability_id: 1 })
+    await db('test_post_authors').insert({ post_id: 1, user_id: 2 })
+
+    const settings = { open: true, guests: true, moderation: 'none', max_depth: 2, close_after_days: 0 }
+    context = {
+      knex: db,
+      table: (name) => `test_${name}`,
+      formatDate: (date = new Date()) => date.toISOString().replace('Z', '').replace('T', ' '),
+      options: { comment_settings: JSON.stringify({ notes: settings, posts: settings }) }
+    }
+
+    // Stands in for the JWT and registry middlewares, post types are resolved with the guard like RegisterPostTypes does
+    app = express()
+    app.use(express.json())
+    app.use((req, res, next) => {
+      const userId = Number(req.get('x-user-id')) || null
+      const guard = new UserGuard(context, userId)
+      req.user = userId ? { id: userId } : undefined
+      req.guard = guard
+      req.hooks = {
+        applyFilters: (_name, value) => value,
+        doAction: async () => {},
+        getPostType: async (slug) => {
+          const type = postTypes[slug]
+          const resolved = type && (await guard.user({ canOneOf: type.capabilities }))
+          return resolved ? { ...type, resolvedCapabilities: resolved } : null
+        },
+        getPublicPostType: async (slug) => (postTypes[slug]?.public ? postTypes[slug] : null)
+      }
+      next()
+    })
+    app.use('/api/v1/:postType', PostsController(context))
+  })
+
+  afterAll(async () => {
+    await db.destroy()
+  })
+
+  afterEach(async () => {
+    await db('test_posts').where('post_type_slug', 'comments').del()
+  })
+
+  describe('GET /:idOrSlug/comments', () => {
+    it('should reject guests on a post they may not read', async () => {
+      const response = await request(app).get('/api/v1/notes/private-note/comments')
+      expect(response.status).toBe(403)
+    })
+
+    it('should reject signed-in users without read_post', async () => {
+      const response = await request(app).get('/api/v1/notes/private-note/comments').set('x-user-id', '3')
+      expect(response.status).toBe(403)
+    })
+
+    it('should list comments for users with read_post', async () => {
+      const response = await request(app).get('/api/v1/notes/private-note/comments').set('x-user-id', '1')
+      expect(response.status).toBe(200)
+      expect(response.body).toMatchObject({ items: [], total: 0 })
+    })
+
+    it('should list comments for the authors of the post', async () => {
+      const response = await request(app).get('/api/v1/notes/private-note/comments').set('x-user-id', '2')
+      expect(response.status).toBe(200)
+    })
+
+    it('should list comments of public post types for guests', async () => {
+      const response = await request(app).get('/api/v1/posts/hello/comments')
+      expect(response.status).toBe(200)
+    })
+  })
+
+  describe('POST /:idOrSlug/comments', () => {
+    it('should reject guests on a post they may not read', async () => {
+      const response = await request(app).post('/api/v1/notes/private-note/comments').send(comment)
+
+      expect(response.status).toBe(403)
+      expect(await db('test_posts').where('post_type_slug', 'comments').first()).toBeUndefined()
+    })
+
+    it('should reject signed-in users without read_post', async () => {
+      const response = await request(app)
+        .post('/api/v1/notes/private-note/comments')
+        .set('x-user-id', '3')
+        .send({ content: 'Let me in' })
+      expect(response.status).toBe(403)
+    })
+
+    it('should take comments from users with read_post', async () => {
+      const response = await request(app)
+        .post('/api/v1/notes/private-note/comments')
+        .set('x-user-id', '1')
+        .send({ content: 'Noted' })
+      expect(response.status).toBe(201)
+    })
+
+    it('should take guest comments on public post types', async () => {
+      const response = await request(app).post('/api/v1/posts/hello/comments').send(comment)
+      expect(response.status).toBe(201)
+    })
+  })
+})
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest'
+import knex from 'knex'
+import express from 'express'
+import request from 'supertest'
+import bcrypt from 'bcrypt'
+import AuthController from '../../controllers/v1/AuthController.ts'
+
+describe('Login API Integration', () => {
+  let db
+  let app
+  let context
+
+  const formatDate = (date = new Date()) => date.toISOString().slice(0, 19).replace('T', ' ')
+
+  beforeAll(async () => {
+    db = knex({
+      client: 'better-sqlite3',
+      connection: ':memory:',
+      useNullAsDefault: true
+    })
+
+    await db.schema.createTable('test_users', (table) => {
+      table.increments('id')
+      table.string('email').unique()
+      table.string('password')
+      table.integer('failed_login_count').defaultTo(0)
+      table.datetime('last_failed_login_at').nullable()
+      table.datetime('locked_until').nullable()
+    })
+    await db.schema.createTable('test_revoked_tokens', (table) => {
+      table.increments('id')
+      table.datetime('expires_at')
+    })
+    await db.schema.createTable('test_refresh_tokens', (table) => {
+      table.increments('id')
+      table.datetime('expires_at')
+    })
+
+    context = { knex: db, table: (name) => `test_${name}`, formatDate, options: {} }
+
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1/auth', AuthController(context))
+  })
+
+  afterAll(async () => {
+    await db.destroy()
+  })
+
+  afterEach(async () => {
+    await db('test_users').del()
+  })
+
+  const login = (email, password = 'correct-password') => request(app).post('/api/v1/auth/login').send({ email, password })
+
+  const addUser = async (values = {}) =>
+    db('test_users').insert({ email: 'jane@example.com', password: await bcrypt.hash('correct-password', 4), ...values })
+
+  it('should answer unknown addresses with 401', async () => {
+    const response = await login('nobody@example.com')
+
+    expect(response.status).toBe(401)
+    expect(response.text).toBe('Invalid credentials')
+  })
+
+  it('should answer locked accounts like unknown addresses, even with the right password', async () => {
+    await addUser({ failed_login_count: 10, locked_until: formatDate(new Date(Date.now() + 15 * 60 * 1000)) })
+
+    const locked = await login('jane@example.com')
+    const unknown = await login('nobody@example.com')
+
+    expect(locked.status).toBe(unknown.status)
+    expect(locked.text).toBe(unknown.text)
+    expect(locked.headers['retry-after']).toBeUndefined()
+  })
+
+  it('should answer accounts waiting out the delay like unknown addresses', async () => {
+    await addUser({ failed_login_count: 5, last_failed_login_at: formatDate() })
+
+    const response = await login('jane@example.com', 'wrong-password')
+
+    expect(response.status).toBe(401)
+    expect(response.text).toBe('Invalid credentials')
+    expect(response.headers['retry-after']).toBeUndefined()
+    // Attempts during the delay are not counted
+    expect((await db('test_users').first()).failed_login_count).toBe(5)
+  })
+})
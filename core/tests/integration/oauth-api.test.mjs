@@ -0,0 +1,231 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest'
+import knex from 'knex'
+import express from 'express'
+import request from 'supertest'
+import crypto from 'crypto'
+import OAuthController from '../../controllers/v1/OAuthController.ts'
+
+describe('OAuth API Integration', () => {
+  let db
+  let app
+  let context
+
+  const formatDate = (date = new Date()) => date.toISOString().replace('Z', '').replace('T', ' ')
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret'
+    process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret'
+
+    db = knex({
+      client: 'better-sqlite3',
+      connection: ':memory:',
+      useNullAsDefault: true
+    })
+
+    await db.schema.createTable('test_auth_providers', (table) => {
+      table.increments('id')
+      table.string('name')
+      table.string('slug')
+      table.boolean('active')
+      table.string('client_id')
+      table.string('secret_env_key')
+      table.string('redirect_uri')
+      table.string('auth_url')
+      table.string('token_url')
+      table.string('user_info_url')
+      table.json('scope')
+      table.json('response_params')
+      table.string('two_factor')
+      table.string('type').defaultTo('oauth')
+      table.string('issuer')
+      table.string('jwks_uri')
+      table.text('idp_cert')
+      table.string('role_claim')
+      table.json('role_mapping')
+      table.boolean('jit_provisioning').defaultTo(false)
+    })
+    await db.schema.createTable('test_oauth_states', (table) => {
+      table.increments('id')
+      table.string('state_hash')
+      table.string('provider')
+      table.datetime('expires_at')
+      table.string('code_verifier')
+      table.string('nonce')
+    })
+    await db.schema.createTable('test_users', (table) => {
+      table.increments('id')
+      table.string('email').unique()
+      table.string('password')
+      table.string('language')
+      table.string('locale')
+    })
+    await db.schema.createTable('test_user_providers', (table) => {
+      table.increments('id')
+      table.integer('user_id')
+      table.string('slug')
+      table.string('sub')
+    })
+    await db.schema.createTable('test_usermeta', (table) => {
+      table.increments('id')
+      table.integer('user_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+    await db.schema.createTable('test_roles', (table) => {
+      table.increments('id')
+      table.string('slug')
+      table.boolean('two_factor_required').defaultTo(false)
+    })
+    await db.schema.createTable('test_capabilities', (table) => {
+      table.increments('id')
+      table.string('slug')
+    })
+    await db.schema.createTable('test_user_roles', (table) => {
+      table.integer('user_id')
+      table.integer('role_id')
+    })
+    await db.schema.createTable('test_user_capabilities', (table) => {
+      table.integer('user_id')
+      table.integer('capability_id')
+    })
+    await db.schema.createTable('test_sessions', (table) => {
+      table.increments('id')
+      table.string('sid', 36).unique().notNullable()
+      table.integer('user_id')
+      table.string('user_agent', 512)
+      table.string('ip', 64)
+      table.datetime('last_used_at')
+      table.datetime('expires_at').notNullable()
+      table.datetime('revoked_at')
+      table.string('revoked_reason')
+      table.datetime('created_at')
+      table.datetime('updated_at')
+    })
+    await db.schema.createTable('test_refresh_tokens', (table) => {
+      table.increments('id')
+      table.integer('user_id')
+      table.integer('session_id')
+      table.string('token')
+      table.datetime('expires_at')
+      table.datetime('used_at')
+    })
+    await db.schema.createTable('test_revoked_tokens', (table) => {
+      table.increments('id')
+      table.string('token')
+      table.datetime('revoked_at')
+      table.datetime('expires_at')
+    })
+
+    context = {
+      knex: db,
+      table: (name) => `test_${name}`,
+      formatDate,
+      options: {}
+    }
+
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1/oauth', OAuthController(context))
+  })
+
+  afterAll(async () => {
+    await db.destroy()
+  })
+
+  beforeEach(async () => {
+    await db('test_auth_providers').insert({
+      name: 'Example',
+      slug: 'example',
+      active: true,
+      client_id: 'EXAMPLE_CLIENT_ID',
+      secret_env_key: 'EXAMPLE_CLIENT_SECRET',
+      redirect_uri: 'http://localhost:3000/api/v1/oauth/example/callback',
+      auth_url: 'https://example.com/authorize',
+      token_url: 'https://example.com/token',
+      user_info_url: 'https://example.com/userinfo',
+      scope: JSON.stringify(['email'])
+    })
+
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) =>
+      String(url).endsWith('/token')
+        ? Response.json({ access_token: 'provider-access-token' })
+        : Response.json({ sub: 'provider-user-1', email: 'new@example.com' })
+    )
+  })
+
+  afterEach(async () => {
+    vi.restoreAllMocks()
+    for (const name of ['auth_providers', 'oauth_states', 'users', 'user_providers', 'sessions', 'refresh_tokens']) {
+      await db(`test_${name}`).del()
+    }
+  })
+
+  // Stores a state like the login route does and completes the callback with it
+  const callback = async () => {
+    const state = crypto.randomBytes(32).toString('hex')
+    await db('test_oauth_states').insert({
+      state_hash: crypto.createHash('sha256').update(state).digest('hex'),
+      provider: 'example',
+      expires_at: new Date(Date.now() + 60 * 1000)
+    })
+    return request(app).get('/api/v1/oauth/example/callback').query({ code: 'auth-code', state })
+  }
+
+  const configure = async ({ jit, allowRegistrations }) => {
+    await db('test_auth_providers').where('slug', 'example').update({ jit_provisioning: jit })
+    context.options.allow_registrations = allowRegistrations
+  }
+
+  describe('signing in as an unknown user', () => {
+    it('should create the account with JIT provisioning and registrations open', async () => {
+      await configure({ jit: true, allowRegistrations: true })
+
+      const response = await callback()
+
+      expect(response.status).toBe(200)
+      expect(response.body.accessToken).toBeDefined()
+      expect(await db('test_users').where('email', 'new@example.com').first()).toBeDefined()
+    })
+
+    it('should create the account with JIT provisioning and registrations closed', async () => {
+      await configure({ jit: true, allowRegistrations: false })
+
+      const response = await callback()
+
+      expect(response.status).toBe(200)
+      expect(response.body.accessToken).toBeDefined()
+      expect(await db('test_users').where('email', 'new@example.com').first()).toBeDefined()
+    })
+
+    it('should reject the user without JIT provisioning, even with registrations open', async () => {
+      await configure({ jit: false, allowRegistrations: true })
+
+      const response = await callback()
+
+      expect(response.status).toBe(403)
+      expect(response.text).toBe('The account must exist before signing in with this provider')
+      expect(await db('test_users').count('* as count').first()).toEqual({ count: 0 })
+    })
+
+    it('should reject the user without JIT provisioning and registrations closed', async () => {
+      await configure({ jit: false, allowRegistrations: false })
+
+      const response = await callback()
+
+      expect(response.status).toBe(403)
+      expect(response.text).toBe('The account must exist before signing in with this provider')
+      expect(await db('test_users').count('* as count').first()).toEqual({ count: 0 })
+    })
+  })
+
+  it('should sign in an existing user without JIT provisioning', async () => {
+    await configure({ jit: false, allowRegistrations: false })
+    const [userId] = await db('test_users').insert({ email: 'new@example.com', password: 'x', language: 'en' })
+
+    const response = await callback()
+
+    expect(response.status).toBe(200)
+    expect(response.body.accessToken).toBeDefined()
+    expect(await db('test_user_providers').where({ user_id: userId, slug: 'example' }).first()).toBeDefined()
+  })
+})
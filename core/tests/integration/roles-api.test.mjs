@@ -150,6 +150,11 @@ describe('Roles & Capabilities API Integration', () => {
         }
       }
 
+      // Mock hooks
+      req.hooks = {
+        doAction: () => {}
+      }
+
       next()
     })
 
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import knex from 'knex'
+import express from 'express'
+import request from 'supertest'
+import SearchController from '../../controllers/v1/SearchController.ts'
+import UserGuard from '../../utils/UserGuard.ts'
+
+describe('Search API Integration', () => {
+  let db
+  let app
+  let context
+
+  const postTypes = [
+    { slug: 'posts', public: true, capabilities: { read: 'read_posts' } },
+    { slug: 'members', public: true, capabilities: { read: 'read_members' } },
+    { slug: 'notes', public: false, capabilities: { read: 'read_notes' } }
+  ]
+
+  beforeAll(async () => {
+    db = knex({
+      client: 'better-sqlite3',
+      connection: ':memory:',
+      useNullAsDefault: true
+    })
+
+    await db.schema.createTable('test_roles', (table) => {
+      table.increments('id')
+      table.string('slug')
+    })
+    await db.schema.createTable('test_capabilities', (table) => {
+      table.increments('id')
+      table.string('slug')
+    })
+    await db.schema.createTable('test_role_capabilities', (table) => {
+      table.integer('role_id')
+      table.integer('capability_id')
+    })
+    await db.schema.createTable('test_capability_inheritance', (table) => {
+      table.integer('parent_capability_id')
+      table.integer('child_capability_id')
+    })
+    await db.schema.createTable('test_posts', (table) => {
+      table.increments('id')
+      table.string('post_type_slug')
+      table.string('slug')
+      table.string('status')
+      table.datetime('created_at')
+      table.datetime('deleted_at').nullable()
+    })
+    await db.schema.createTable('test_post_meta', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+    await db.raw(
+      `CREATE VIRTUAL TABLE test_search_index USING fts5(
+        content, post_id UNINDEXED, post_type_slug UNINDEXED, field UNINDEXED, weight UNINDEXED,
+        tokenize = 'unicode61 remove_diacritics 2'
+      )`
+    )
+
+    // The guest role reads posts and notes, members are for signed-in users
+    await db('test_roles').insert({ id: 1, slug: 'guest' })
+    await db('test_capabilities').insert([
+      { id: 1, slug: 'read_posts' },
+      { id: 2, slug: 'read_members' },
+      { id: 3, slug: 'read_notes' }
+    ])
+    await db('test_role_capabilities').insert([
+      { role_id: 1, capability_id: 1 },
+      { role_id: 1, capability_id: 3 }
+    ])
+
+    for (const [id, type] of [[1, 'posts'], [2, 'members'], [3, 'notes']]) {
+      await db('test_posts').insert({ id, post_type_slug: type, slug: `${type}-1`, status: 'published', created_at: '2025-12-20 10:00:00' })
+      await db('test_search_index').insert({ post_id: id, post_type_slug: type, field: 'title', weight: 10, content: 'hello world' })
+    }
+
+    context = { knex: db, table: (name) => `test_${name}` }
+
+    // Stands in for the registry: post types are filtered by the request guard like RegisterPostTypes does
+    app = express()
+    app.use((req, res, next) => {
+      const guard = new UserGuard(context, null)
+      req.guard = guard
+      req.hooks = {
+        applyFilters: (_name, value) => value,
+        getPublicPostTypes: async () => postTypes.filter((type) => type.public),
+        getAllPostTypes: async () => {
+          const all = []
+          for (const type of postTypes) {
+            const resolved = await guard.user({ canOneOf: type.capabilities })
+            if (resolved) all.push({ ...type, resolvedCapabilities: resolved })
+          }
+          return all
+        }
+      }
+      next()
+    })
+    app.use('/api/v1/search', SearchController(context))
+  })
+
+  afterAll(async () => {
+    await db.destroy()
+  })
+
+  it('should search the public post types the guest role can read', async () => {
+    const response = await request(app).get('/api/v1/search').query({ q: 'hello' })
+
+    expect(response.status).toBe(200)
+    expect(response.body.items.map((item) => item.post_type_slug)).toEqual(['posts'])
+  })
+
+  it('should not give the guest role to the request guard', async () => {
+    const guard = new UserGuard(context, null)
+
+    expect(await guard.user({ canOneOf: ['read_posts'] })).toBeNull()
+    expect(await guard.user({ canOneOf: ['read_notes'] })).toBeNull()
+  })
+})
@@ -0,0 +1,201 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import ApiKeyService from '../../services/ApiKeyService.ts'
+import UserGuard from '../../utils/UserGuard.ts'
+
+const formatDate = (date = new Date()) => date.toISOString().replace('Z', '').replace('T', ' ')
+
+describe('ApiKeyService', () => {
+  let db
+  let context
+  let service
+
+  beforeEach(async () => {
+    db = knex({
+      client: 'better-sqlite3',
+      connection: ':memory:',
+      useNullAsDefault: true
+    })
+
+    await db.schema.createTable('test_users', (table) => {
+      table.increments('id')
+      table.string('email')
+      table.string('locale')
+      table.string('status').defaultTo('active')
+      table.datetime('deleted_at').nullable()
+    })
+    await db.schema.createTable('test_api_keys', (table) => {
+      table.increments('id')
+      table.integer('user_id')
+      table.string('name')
+      table.string('prefix')
+      table.string('key_hash').unique()
+      table.json('capabilities').nullable()
+      table.datetime('last_used_at').nullable()
+      table.datetime('expires_at').nullable()
+      table.datetime('created_at').defaultTo(db.fn.now())
+      table.datetime('updated_at').defaultTo(db.fn.now())
+    })
+    await db.schema.createTable('test_capabilities', (table) => {
+      table.increments('id')
+      table.string('slug')
+    })
+    await db.schema.createTable('test_capability_inheritance', (table) => {
+      table.integer('parent_capability_id')
+      table.integer('child_capability_id')
+    })
+    await db.schema.createTable('test_roles', (table) => {
+      table.increments('id')
+      table.string('slug')
+    })
+    await db.schema.createTable('test_role_capabilities', (table) => {
+      table.integer('role_id')
+      table.integer('capability_id')
+    })
+    await db.schema.createTable('test_user_roles', (table) => {
+      table.integer('user_id')
+      table.integer('role_id')
+    })
+    await db.schema.createTable('test_user_capabilities', (table) => {
+      table.integer('user_id')
+      table.integer('capability_id')
+    })
+
+    await db('test_users').insert([
+      { id: 1, email: 'editor@example.com' },
+      { id: 2, email: 'inactive@example.com', status: 'inactive' }
+    ])
+    await db('test_capabilities').insert([
+      { id: 1, slug: 'read' },
+      { id: 2, slug: 'edit_posts' },
+      { id: 3, slug: 'read_post' },
+      { id: 4, slug: 'manage_options' }
+    ])
+    await db('test_capability_inheritance').insert({ parent_capability_id: 1, child_capability_id: 3 })
+    await db('test_roles').insert({ id: 1, slug: 'editor' })
+    await db('test_role_capabilities').insert([
+      { role_id: 1, capability_id: 1 },
+      { role_id: 1, capability_id: 2 }
+    ])
+    await db('test_user_roles').insert([
+      { user_id: 1, role_id: 1 },
+      { user_id: 2, role_id: 1 }
+    ])
+
+    context = {
+      knex: db,
+      table: (name) => `test_${name}`,
+      formatDate
+    }
+    service = new ApiKeyService(context)
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new ApiKeyService({ knex: null })).toThrow('ApiKeyService requires a database connection')
+  })
+
+  it('should recognise API keys by prefix', () => {
+    expect(ApiKeyService.isApiKey('hdk_abc')).toBe(true)
+    expect(ApiKeyService.isApiKey('eyJhbGciOi')).toBe(false)
+    expect(ApiKeyService.isApiKey(undefined)).toBe(false)
+  })
+
+  describe('create', () => {
+    it('should store a hash and return the key once', async () => {
+      const apiKey = await service.create(1, { name: 'CI', capabilities: ['read'] })
+
+      expect(apiKey.key).toMatch(/^hdk_/)
+      expect(apiKey.key.startsWith(apiKey.prefix)).toBe(true)
+      expect(apiKey.capabilities).toEqual(['read'])
+
+      const row = await db('test_api_keys').where('id', apiKey.id).first()
+      expect(row.key_hash).toBe(service.hash(apiKey.key))
+      expect(JSON.stringify(row)).not.toContain(apiKey.key)
+
+      const [listed] = await service.list(1)
+      expect(listed.key).toBeUndefined()
+      expect(listed.key_hash).toBeUndefined()
+    })
+
+    it('should reject capabilities the user does not have', async () => {
+      await expect(service.create(1, { name: 'CI', capabilities: ['manage_options'] })).rejects.toThrow(
+        'User does not have capabilities: manage_options'
+      )
+    })
+
+    it('should allow inherited capabilities', async () => {
+      const apiKey = await service.create(1, { name: 'CI', capabilities: ['read_post'] })
+      expect(apiKey.capabilities).toEqual(['read_post'])
+    })
+
+    it('should validate name and expiry', async () => {
+      await expect(service.create(1, { name: '' })).rejects.toThrow('Name is required')
+      await expect(service.create(1, { name: 'CI', expires_at: 'nope' })).rejects.toThrow('Invalid expires_at date')
+      await expect(
+        service.create(1, { name: 'CI', expires_at: new Date(Date.now() - 1000).toISOString() })
+      ).rejects.toThrow('expires_at must be in the future')
+    })
+  })
+
+  describe('authenticate', () => {
+    it('should resolve the key owner and record usage', async () => {
+      const apiKey = await service.create(1, { name: 'CI' })
+
+      const result = await service.authenticate(apiKey.key)
+      expect(result.user).toMatchObject({ id: 1, email: 'editor@example.com' })
+      expect(result.apiKey.capabilities).toBeNull()
+      expect(result.apiKey.last_used_at).not.toBeNull()
+
+      const row = await db('test_api_keys').where('id', apiKey.id).first()
+      expect(row.last_used_at).not.toBeNull()
+    })
+
+    it('should reject unknown and expired keys', async () => {
+      expect(await service.authenticate('hdk_unknown')).toBeNull()
+
+      const apiKey = await service.create(1, { name: 'CI', expires_at: new Date(Date.now() + 60000).toISOString() })
+      await db('test_api_keys')
+        .where('id', apiKey.id)
+        .update({ expires_at: formatDate(new Date(Date.now() - 1000)) })
+      expect(await service.authenticate(apiKey.key)).toBeNull()
+    })
+
+    it('should reject keys of inactive or deleted users', async () => {
+      const inactive = await service.create(2, { name: 'CI' })
+      expect(await service.authenticate(inactive.key)).toBeNull()
+
+      const deleted = await service.create(1, { name: 'CI' })
+      await db('test_users').where('id', 1).update({ deleted_at: formatDate() })
+      expect(await service.authenticate(deleted.key)).toBeNull()
+    })
+  })
+
+  describe('revoke', () => {
+    it('should only revoke keys owned by the user', async () => {
+      const apiKey = await service.create(1, { name: 'CI' })
+
+      expect(await service.revoke(2, apiKey.id)).toBeNull()
+      expect(await service.revoke(1, apiKey.id)).toMatchObject({ id: apiKey.id })
+      expect(await service.authenticate(apiKey.key)).toBeNull()
+    })
+  })
+
+  describe('UserGuard scope', () => {
+    it('should intersect the owner capabilities with the key scope', async () => {
+      const guard = new UserGuard(context, 1, ['read'])
+
+      expect(await guard.user({ canOneOf: ['read'] })).toEqual(['read'])
+      expect(await guard.user({ canOneOf: ['read_post'] })).toEqual(['read_post'])
+      expect(await guard.user({ canOneOf: ['edit_posts'] })).toBeNull()
+    })
+
+    it('should never grant capabilities the owner lacks', async () => {
+      const guard = new UserGuard(context, 1, ['manage_options'])
+      expect(await guard.user({ canOneOf: ['manage_options'] })).toBeNull()
+    })
+  })
+})
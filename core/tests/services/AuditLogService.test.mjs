@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import AuditLogService from '../../services/AuditLogService.ts'
+import { isSecretName } from '../../utils/secrets.ts'
+
+const formatDate = (date = new Date()) => date.toISOString().replace('Z', '').replace('T', ' ')
+
+describe('AuditLogService', () => {
+  let db
+  let context
+  let service
+
+  beforeEach(async () => {
+    db = knex({
+      client: 'better-sqlite3',
+      connection: ':memory:',
+      useNullAsDefault: true
+    })
+
+    await db.schema.createTable('test_audit_log', (table) => {
+      table.increments('id')
+      table.integer('user_id').nullable()
+      table.string('user_email').nullable()
+      table.string('ip').nullable()
+      table.string('action')
+      table.string('entity_type')
+      table.string('entity_id').nullable()
+      table.string('entity_label').nullable()
+      table.json('changes').nullable()
+      table.datetime('created_at')
+      table.datetime('updated_at')
+    })
+
+    context = {
+      knex: db,
+      table: (name) => `test_${name}`,
+      formatDate,
+      options: {}
+    }
+    service = new AuditLogService(context)
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new AuditLogService({ knex: null })).toThrow('AuditLogService requires a database connection')
+  })
+
+  describe('diff', () => {
+    it('should only include changed fields', () => {
+      const changes = service.diff(
+        { id: 1, title: 'Draft', status: 'draft', updated_at: 'a' },
+        { id: 1, title: 'Draft', status: 'published', updated_at: 'b' }
+      )
+      expect(changes).toEqual({ status: { from: 'draft', to: 'published' } })
+    })
+
+    it('should describe creations and deletions', () => {
+      expect(service.diff(null, { title: 'New' })).toEqual({ title: { from: null, to: 'New' } })
+      expect(service.diff({ title: 'Old' }, null)).toEqual({ title: { from: 'Old', to: null } })
+    })
+
+    it('should compare nested values by content', () => {
+      expect(service.diff({ tags: [1, 2] }, { tags: [1, 2] })).toEqual({})
+      expect(service.diff({ tags: [1] }, { tags: [1, 2] })).toEqual({ tags: { from: [1], to: [1, 2] } })
+    })
+
+    it('should redact credentials but keep that they changed', () => {
+      expect(service.diff({ password: 'old-hash' }, { password: 'new-hash' })).toEqual({
+        password: { from: '[redacted]', to: '[redacted]' }
+      })
+      expect(service.diff({ value: 'a' }, { value: 'b' }, ['value'])).toEqual({
+        value: { from: '[redacted]', to: '[redacted]' }
+      })
+    })
+
+    it('should truncate long values', () => {
+      const changes = service.diff({ content: '' }, { content: 'x'.repeat(5000) })
+      expect(changes.content.to.length).toBeLessThan(2100)
+    })
+  })
+
+  describe('record', () => {
+    it('should store the actor and changes', async () => {
+      const id = await service.record({
+        action: 'update',
+        entityType: 'post',
+        entityId: 42,
+        label: 'Hello',
+        actor: { id: 1, email: 'admin@example.com' },
+        ip: '203.0.113.7',
+        before: { status: 'draft' },
+        after: { status: 'published' }
+      })
+
+      const row = await db('test_audit_log').where('id', id).first()
+      expect(row).toMatchObject({
+        user_id: 1,
+        user_email: 'admin@example.com',
+        ip: '203.0.113.7',
+        action: 'update',
+        entity_type: 'post',
+        entity_id: '42',
+        entity_label: 'Hello'
+      })
+      expect(JSON.parse(row.changes)).toEqual({ status: { from: 'draft', to: 'published' } })
+    })
+
+    it('should skip updates without changes', async () => {
+      const id = await service.record({
+        action: 'update',
+        entityType: 'post',
+        entityId: 1,
+        before: { status: 'draft' },
+        after: { status: 'draft' }
+      })
+      expect(id).toBeNull()
+      expect(await db('test_audit_log')).toHaveLength(0)
+    })
+
+    it('should record actions without changes', async () => {
+      await service.record({ action: 'activate', entityType: 'plugin', entityId: 'seo', label: 'seo', changes: {} })
+      const row = await db('test_audit_log').first()
+      expect(row.changes).toBeNull()
+    })
+  })
+
+  describe('list', () => {
+    beforeEach(async () => {
+      await service.record({ action: 'create', entityType: 'post', entityId: 1, label: 'First', actor: { id: 1, email: 'admin@example.com' }, after: { title: 'First' } })
+      await service.record({ action: 'delete', entityType: 'post', entityId: 1, label: 'First', actor: { id: 2, email: 'editor@example.com' }, before: { title: 'First' } })
+      await service.record({ action: 'create', entityType: 'user', entityId: 3, label: 'jane', actor: { id: 1, email: 'admin@example.com' }, after: { username: 'jane' } })
+    })
+
+    it('should return entries newest first with parsed changes', async () => {
+      const { items, total } = await service.list()
+      expect(total).toBe(3)
+      expect(items.map((item) => item.entity_type)).toEqual(['user', 'post', 'post'])
+      expect(items[0].changes).toEqual({ username: { from: null, to: 'jane' } })
+    })
+
+    it('should filter entries', async () => {
+      expect((await service.list({ entity_type: 'post' })).total).toBe(2)
+      expect((await service.list({ action: 'delete' })).items[0].user_email).toBe('editor@example.com')
+      expect((await service.list({ user_id: '1' })).total).toBe(2)
+      expect((await service.list({ entity_type: 'post', entity_id: '1', action: 'create' })).total).toBe(1)
+      expect((await service.list({ search: 'jane' })).total).toBe(1)
+      expect((await service.list({ search: 'editor@' })).total).toBe(1)
+    })
+
+    it('should paginate', async () => {
+      const { items, total } = await service.list({ limit: 2, offset: 2 })
+      expect(total).toBe(3)
+      expect(items).toHaveLength(1)
+    })
+  })
+
+  describe('purge', () => {
+    const insertAt = (daysAgo) =>
+      db('test_audit_log').insert({
+        action: 'update',
+        entity_type: 'post',
+        created_at: formatDate(new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000))
+      })
+
+    it('should delete entries older than the retention period', async () => {
+      await insertAt(100)
+      await insertAt(10)
+      expect(await service.purge()).toBe(1)
+      expect(await db('test_audit_log')).toHaveLength(1)
+    })
+
+    it('should follow the retention option', async () => {
+      await insertAt(10)
+      context.options.audit_log_retention_days = '5'
+      expect(await service.purge()).toBe(1)
+    })
+
+    it('should keep everything when retention is 0', async () => {
+      await insertAt(1000)
+      context.options.audit_log_retention_days = 0
+      expect(await service.purge()).toBe(0)
+    })
+  })
+
+  it('should detect credential option names', () => {
+    expect(isSecretName('smtp_password')).toBe(true)
+    expect(isSecretName('github_token')).toBe(true)
+    expect(isSecretName('site_name')).toBe(false)
+  })
+})
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest'
+import BlockService, { CORE_BLOCK_TYPES, isBlockDocument, sanitizeInline } from '../../services/BlockService.ts'
+
+describe('BlockService', () => {
+  const service = new BlockService()
+
+  describe('core blocks', () => {
+    it('should render text blocks', () => {
+      expect(service.renderBlock({ type: 'paragraph', text: 'Hello <em>world</em>' })).toBe('<p>Hello <em>world</em></p>')
+      expect(service.renderBlock({ type: 'heading', level: 3, text: 'Title' })).toBe('<h3>Title</h3>')
+      expect(service.renderBlock({ type: 'heading', level: 9, text: 'Title' })).toBe('<h6>Title</h6>')
+      expect(service.renderBlock({ type: 'list', ordered: true, items: ['One', 'Two'] })).toBe('<ol><li>One</li><li>Two</li></ol>')
+      expect(service.renderBlock({ type: 'list', items: ['One'] })).toBe('<ul><li>One</li></ul>')
+      expect(service.renderBlock({ type: 'quote', text: 'Be brief', citation: 'Someone' })).toBe(
+        '<blockquote><p>Be brief</p><cite>Someone</cite></blockquote>'
+      )
+    })
+
+    it('should render images from uploads', () => {
+      expect(service.renderBlock({ type: 'image', attachment_id: 4, path: '2025/01/cat.jpg', alt: 'A "cat"', caption: 'Cat' })).toBe(
+        '<figure class="block-image"><img src="/uploads/2025/01/cat.jpg" alt="A &quot;cat&quot;" loading="lazy"><figcaption>Cat</figcaption></figure>'
+      )
+      expect(service.renderBlock({ type: 'image', url: 'javascript:alert(1)' })).toBe('')
+    })
+
+    it('should render known embeds as players and others as links', () => {
+      expect(service.renderBlock({ type: 'embed', url: 'https://youtu.be/dQw4w9WgXcQ' })).toContain(
+        '<iframe src="https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ"'
+      )
+      expect(service.renderBlock({ type: 'embed', url: 'https://vimeo.com/12345' })).toContain('https://player.vimeo.com/video/12345')
+      expect(service.renderBlock({ type: 'embed', url: 'https://example.com/a' })).toBe(
+        '<figure class="block-embed"><a href="https://example.com/a">https://example.com/a</a></figure>'
+      )
+      expect(service.renderBlock({ type: 'embed', url: 'ftp://example.com' })).toBe('')
+    })
+
+    it('should escape code and keep html as is', () => {
+      expect(service.renderBlock({ type: 'code', language: 'js', code: 'a < b && c' })).toBe(
+        '<pre><code class="language-js">a &lt; b &amp;&amp; c</code></pre>'
+      )
+      expect(service.renderBlock({ type: 'html', html: '<div class="x">Raw</div>' })).toBe('<div class="x">Raw</div>')
+      expect(CORE_BLOCK_TYPES).toEqual(['paragraph', 'heading', 'list', 'quote', 'image', 'embed', 'code', 'html'])
+    })
+  })
+
+  describe('sanitizeInline', () => {
+    it('should keep inline formatting and escape other markup', () => {
+      expect(sanitizeInline('<strong>Bold</strong><script>alert(1)</script>')).toBe('<strong>Bold</strong>alert(1)')
+      expect(sanitizeInline('1 < 2 & <b onclick="x()">3</b>')).toBe('1 &lt; 2 &amp; <b>3</b>')
+      expect(sanitizeInline('Tom &amp; Jerry<br/>')).toBe('Tom &amp; Jerry<br>')
+      expect(sanitizeInline('<img src=x onerror=alert(1)')).toBe('&lt;img src=x onerror=alert(1)')
+    })
+
+    it('should only keep safe links', () => {
+      expect(sanitizeInline('<a href="https://example.com?a=1&b=2" target="_blank">Link</a>')).toBe(
+        '<a href="https://example.com?a=1&amp;b=2">Link</a>'
+      )
+      expect(sanitizeInline("<a href='/about'>About</a>")).toBe('<a href="/about">About</a>')
+      expect(sanitizeInline('<a href="javascript:alert(1)">Bad</a>')).toBe('<a>Bad</a>')
+    })
+  })
+
+  it('should render documents, block lists and plain strings', () => {
+    const blocks = [
+      { type: 'heading', level: 2, text: 'Hello' },
+      { type: 'unknown' },
+      { type: 'paragraph', text: 'World' }
+    ]
+    expect(service.render(blocks)).toBe('<h2>Hello</h2>\n<p>World</p>')
+    expect(service.render({ blocks, html: 'stale' })).toBe('<h2>Hello</h2>\n<p>World</p>')
+    expect(service.render(JSON.stringify({ blocks }))).toBe('<h2>Hello</h2>\n<p>World</p>')
+    expect(service.render('<p>Legacy</p>')).toBe('<p>Legacy</p>')
+    expect(service.render(null)).toBe('')
+  })
+
+  it('should let plugins render blocks through the filter', () => {
+    const calls = []
+    const hooks = {
+      applyFilters: (name, html, block) => {
+        calls.push(name)
+        if (block.type === 'callout') return `<aside>${block.text}</aside>`
+        return block.type === 'paragraph' ? html.replace('<p>', '<p class="lead">') : html
+      }
+    }
+    const filtered = new BlockService(hooks)
+    expect(filtered.render([{ type: 'callout', text: 'Note' }, { type: 'paragraph', text: 'Text' }])).toBe(
+      '<aside>Note</aside>\n<p class="lead">Text</p>'
+    )
+    expect(calls).toEqual(['render_block', 'render_block'])
+  })
+
+  it('should normalize editor values to blocks with server-rendered html', () => {
+    const normalized = service.normalize({ blocks: [{ type: 'paragraph', text: 'Hi' }, 'junk'], html: '<script>x</script>' })
+    expect(normalized).toEqual({ blocks: [{ type: 'paragraph', text: 'Hi' }], html: '<p>Hi</p>' })
+    expect(isBlockDocument(normalized)).toBe(true)
+    expect(service.normalize('<p>Legacy</p>')).toBe('<p>Legacy</p>')
+    expect(isBlockDocument('<p>Legacy</p>')).toBe(false)
+    expect(isBlockDocument({ blocks: [] })).toBe(false)
+
+    const fields = [{ field: { slug: 'content', type: 'editor' } }, { field: { slug: 'summary', type: 'textarea' } }]
+    expect(service.normalizeFieldValues(fields, { content: [{ type: 'paragraph', text: 'A' }], summary: '[1]' })).toEqual({
+      content: { blocks: [{ type: 'paragraph', text: 'A' }], html: '<p>A</p>' },
+      summary: '[1]'
+    })
+  })
+})
@@ -0,0 +1,275 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import AdmZip from 'adm-zip'
+import BundleService from '../../services/BundleService.ts'
+
+const createSite = async () => {
+  const db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+  await db.schema.createTable('test_users', (table) => {
+    table.increments('id')
+    table.string('username')
+    table.string('email')
+  })
+  await db.schema.createTable('test_post_types', (table) => {
+    table.increments('id')
+    table.string('slug').unique()
+    table.string('name_singular')
+    table.json('capabilities')
+    table.timestamps()
+  })
+  await db.schema.createTable('test_post_type_fields', (table) => {
+    table.increments('id')
+    table.integer('post_type_id')
+    table.string('post_type_slug')
+    table.string('slug')
+    table.string('type')
+    table.unique(['post_type_slug', 'slug'])
+  })
+  await db.schema.createTable('test_taxonomies', (table) => {
+    table.increments('id')
+    table.string('post_type_slug')
+    table.string('slug')
+    table.unique(['slug', 'post_type_slug'])
+  })
+  await db.schema.createTable('test_taxonomy_fields', (table) => {
+    table.increments('id')
+    table.integer('taxonomy_id')
+    table.string('post_type_slug')
+    table.string('taxonomy_slug')
+    table.string('slug')
+  })
+  for (const name of ['posts', 'terms']) {
+    await db.schema.createTable(`test_${name}`, (table) => {
+      table.increments('id')
+      table.integer(name === 'posts' ? 'post_type_id' : 'taxonomy_id')
+      table.string('post_type_slug')
+      if (name === 'terms') {
+        table.string('taxonomy_slug')
+        table.integer('parent_id').nullable()
+      }
+      table.string('slug')
+      table.string('status')
+      table.string('locale', 20).nullable()
+      table.string('translation_group', 36).nullable()
+      table.datetime('deleted_at').nullable()
+    })
+    const type = name.slice(0, -1)
+    await db.schema.createTable(`test_${type}_meta`, (table) => {
+      table.increments('id')
+      table.integer(`${type}_id`)
+      table.string('field_slug')
+      table.text('value')
+    })
+    await db.schema.createTable(`test_${type}_authors`, (table) => {
+      table.increments('id')
+      table.integer(`${type}_id`)
+      table.integer('user_id')
+      table.unique([`${type}_id`, 'user_id'])
+    })
+  }
+  await db.schema.createTable('test_post_relationships', (table) => {
+    table.increments('id')
+    table.integer('post_id')
+    table.string('field_slug')
+    table.integer('related_post_id')
+    table.integer('position')
+  })
+  await db.schema.createTable('test_term_relationships', (table) => {
+    table.increments('id')
+    table.integer('term_id')
+    table.integer('post_id')
+    table.unique(['term_id', 'post_id'])
+  })
+  return db
+}
+
+describe('BundleService', () => {
+  let tempDir
+  let source
+  let target
+  let bundlePath
+
+  const contextFor = (db) => ({ knex: db, table: (name) => `test_${name}` })
+
+  const insert = async (db, table, row) => {
+    const [id] = await db(`test_${table}`).insert(row)
+    return id
+  }
+
+  const postBySlug = (db, slug) => db('test_posts').where('slug', slug).first()
+
+  const metaOf = async (db, postId, field) => {
+    const row = await db('test_post_meta').where({ post_id: postId, field_slug: field }).first()
+    return JSON.parse(row.value)
+  }
+
+  const importInto = (db, options, onProgress) =>
+    new BundleService(contextFor(db), path.join(tempDir, 'target')).importBundle(bundlePath, options, onProgress)
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-test-'))
+    bundlePath = path.join(tempDir, 'bundles', 'bundle.zip')
+    source = await createSite()
+    target = await createSite()
+
+    const authorId = await insert(source, 'users', { username: 'ada', email: 'ada@example.com' })
+    const typeId = await insert(source, 'post_types', { slug: 'articles', name_singular: 'Article', capabilities: '{"read":"read"}' })
+    await insert(source, 'post_type_fields', { post_type_id: typeId, post_type_slug: 'articles', slug: 'cover', type: 'media' })
+    const taxonomyId = await insert(source, 'taxonomies', { post_type_slug: 'articles', slug: 'topics' })
+    const parentId = await insert(source, 'terms', { taxonomy_id: taxonomyId, post_type_slug: 'articles', taxonomy_slug: 'topics', slug: 'science' })
+    const childId = await insert(source, 'terms', {
+      taxonomy_id: taxonomyId,
+      post_type_slug: 'articles',
+      taxonomy_slug: 'topics',
+      slug: 'physics',
+      parent_id: parentId
+    })
+
+    fs.mkdirSync(path.join(tempDir, 'source', '2025', '01'), { recursive: true })
+    fs.writeFileSync(path.join(tempDir, 'source', '2025', '01', 'cover.jpg'), 'cover')
+    fs.writeFileSync(path.join(tempDir, 'source', '2025', '01', 'cover-150x150.jpg'), 'thumb')
+    const attachmentId = await insert(source, 'posts', { post_type_slug: 'attachments', slug: 'cover', status: 'inherit' })
+    const file = {
+      filename: 'cover.jpg',
+      path: '2025/01/cover.jpg',
+      sizes: { thumbnail: { path: '2025/01/cover-150x150.jpg' } }
+    }
+    await insert(source, 'post_meta', { post_id: attachmentId, field_slug: 'file', value: JSON.stringify(file) })
+    await insert(source, 'posts', { post_type_slug: 'attachments', slug: 'unused', status: 'inherit' })
+
+    const postId = await insert(source, 'posts', { post_type_id: typeId, post_type_slug: 'articles', slug: 'hello', status: 'published' })
+    await insert(source, 'post_meta', {
+      post_id: postId,
+      field_slug: 'cover',
+      value: JSON.stringify([{ attachment_id: attachmentId, ...file }])
+    })
+    await insert(source, 'post_meta', { post_id: postId, field_slug: 'title', value: 'Hello' })
+    await insert(source, 'post_authors', { post_id: postId, user_id: authorId })
+    await insert(source, 'term_relationships', { term_id: childId, post_id: postId })
+    await insert(source, 'posts', { post_type_slug: 'articles', slug: 'trashed', status: 'draft', deleted_at: '2025-01-01 00:00:00' })
+
+    const manifest = await new BundleService(contextFor(source), path.join(tempDir, 'source')).exportBundle(bundlePath, {
+      postTypes: ['articles']
+    })
+    expect(manifest.post_types).toEqual(['articles', 'attachments'])
+    expect(manifest.counts).toMatchObject({ posts: 2, terms: 2, files: 2 })
+  })
+
+  afterEach(async () => {
+    await source.destroy()
+    await target.destroy()
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new BundleService({ knex: null })).toThrow('BundleService requires a database connection')
+  })
+
+  it('should import into an empty site with new IDs and re-linked references', async () => {
+    await insert(target, 'posts', { post_type_slug: 'pages', slug: 'taken-id' })
+    const userId = await insert(target, 'users', { username: 'someone-else', email: 'ada@example.com' })
+
+    const result = await importInto(target, { conflict: 'rename' })
+    expect(result.created).toMatchObject({ post_types: 1, post_type_fields: 1, taxonomies: 1, posts: 2, terms: 2 })
+    expect(result.files).toBe(2)
+
+    const type = await target('test_post_types').where('slug', 'articles').first()
+    expect(JSON.parse(type.capabilities)).toEqual({ read: 'read' })
+    expect((await target('test_post_type_fields').first()).post_type_id).toBe(type.id)
+
+    const science = await target('test_terms').where('slug', 'science').first()
+    const physics = await target('test_terms').where('slug', 'physics').first()
+    expect(physics.parent_id).toBe(science.id)
+
+    const hello = await postBySlug(target, 'hello')
+    const cover = await postBySlug(target, 'cover')
+    expect(hello.post_type_id).toBe(type.id)
+    expect(await postBySlug(target, 'trashed')).toBeUndefined()
+    expect(await postBySlug(target, 'unused')).toBeUndefined()
+    expect((await metaOf(target, hello.id, 'cover'))[0].attachment_id).toBe(cover.id)
+    expect(await target('test_term_relationships').where('post_id', hello.id).pluck('term_id')).toEqual([physics.id])
+    expect(await target('test_post_authors').where('post_id', hello.id).pluck('user_id')).toEqual([userId])
+    expect(fs.readFileSync(path.join(tempDir, 'target', '2025', '01', 'cover-150x150.jpg'), 'utf8')).toBe('thumb')
+  })
+
+  it('should fall back to the importing user for unknown authors', async () => {
+    await importInto(target, { userId: 7 })
+    const hello = await postBySlug(target, 'hello')
+    expect(await target('test_post_authors').where('post_id', hello.id).pluck('user_id')).toEqual([7])
+  })
+
+  it('should report progress outside of its transactions', async () => {
+    // Job progress is saved through the same database and SQLite has a single connection
+    const statuses = []
+    await importInto(target, {}, async (progress, status) => {
+      await target('test_users').count('* as count')
+      statuses.push(status)
+    })
+    expect(statuses).toEqual(['Importing content model...', 'Importing terms...', 'Importing posts 1-2 of 2...'])
+  })
+
+  it('should re-link relationship fields to the imported posts', async () => {
+    const type = await source('test_post_types').where('slug', 'articles').first()
+    await insert(source, 'post_type_fields', { post_type_id: type.id, post_type_slug: 'articles', slug: 'related', type: 'relationship' })
+    const hello = await postBySlug(source, 'hello')
+    const seeAlsoId = await insert(source, 'posts', { post_type_id: type.id, post_type_slug: 'articles', slug: 'see-also', status: 'published' })
+    await insert(source, 'post_meta', { post_id: seeAlsoId, field_slug: 'related', value: JSON.stringify([hello.id, 999]) })
+    await new BundleService(contextFor(source), path.join(tempDir, 'source')).exportBundle(bundlePath, { postTypes: ['articles'] })
+
+    await insert(target, 'posts', { post_type_slug: 'pages', slug: 'shifts-the-ids' })
+    const statuses = []
+    await importInto(target, {}, (progress, status) => statuses.push(status))
+    expect(statuses.at(-1)).toBe('Linking related posts...')
+
+    const imported = await postBySlug(target, 'see-also')
+    const importedHello = await postBySlug(target, 'hello')
+    expect(await metaOf(target, imported.id, 'related')).toEqual([importedHello.id])
+    expect(await target('test_post_relationships').where('post_id', imported.id).pluck('related_post_id')).toEqual([importedHello.id])
+  })
+
+  it('should rename conflicting items and files', async () => {
+    await insert(target, 'posts', { post_type_slug: 'articles', slug: 'hello', status: 'draft' })
+    fs.mkdirSync(path.join(tempDir, 'target', '2025', '01'), { recursive: true })
+    fs.writeFileSync(path.join(tempDir, 'target', '2025', '01', 'cover.jpg'), 'another cover')
+
+    await importInto(target, { conflict: 'rename' })
+    expect(await target('test_posts').where('post_type_slug', 'articles').orderBy('id').pluck('slug')).toEqual(['hello', 'hello-2'])
+
+    const imported = await postBySlug(target, 'hello-2')
+    const [cover] = await metaOf(target, imported.id, 'cover')
+    expect(cover.path).toBe('2025/01/cover-1.jpg')
+    expect(fs.readFileSync(path.join(tempDir, 'target', '2025', '01', 'cover.jpg'), 'utf8')).toBe('another cover')
+    expect(fs.readFileSync(path.join(tempDir, 'target', '2025', '01', 'cover-1.jpg'), 'utf8')).toBe('cover')
+  })
+
+  it('should skip or overwrite conflicting items', async () => {
+    const existingId = await insert(target, 'posts', { post_type_slug: 'articles', slug: 'hello', status: 'draft' })
+    await insert(target, 'post_meta', { post_id: existingId, field_slug: 'title', value: 'Local' })
+
+    const skipped = await importInto(target, { conflict: 'skip' })
+    expect(skipped.skipped.posts).toBe(1)
+    expect((await postBySlug(target, 'hello')).status).toBe('draft')
+
+    const overwritten = await importInto(target, { conflict: 'overwrite' })
+    expect(overwritten.updated).toMatchObject({ posts: 2, terms: 2, post_types: 1 })
+    const hello = await postBySlug(target, 'hello')
+    expect(hello).toMatchObject({ id: existingId, status: 'published' })
+    expect(await target('test_post_meta').where({ post_id: existingId, field_slug: 'title' }).pluck('value')).toEqual(['Hello'])
+    expect(await target('test_posts').where('post_type_slug', 'articles').count('* as count').first()).toEqual({ count: 1 })
+  })
+
+  it('should reject invalid bundles and options', async () => {
+    await expect(importInto(target, { conflict: 'merge' })).rejects.toThrow('Invalid conflict strategy "merge"')
+
+    const zip = new AdmZip()
+    zip.addFile('manifest.json', Buffer.from(JSON.stringify({ format: 'htmldrop-bundle', version: 99 })))
+    zip.writeZip(bundlePath)
+    await expect(importInto(target)).rejects.toThrow('Unsupported bundle version 99, this site reads up to version 1')
+
+    fs.writeFileSync(bundlePath, 'not a zip')
+    await expect(importInto(target)).rejects.toThrow('Not an HTMLDrop content bundle')
+  })
+})
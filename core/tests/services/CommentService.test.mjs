@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import CommentService, { CommentError, DEFAULT_COMMENT_SETTINGS } from '../../services/CommentService.ts'
+
+describe('CommentService', () => {
+  let db
+  let service
+
+  const settings = { posts: { open: true, guests: true, moderation: 'guests', max_depth: 2, close_after_days: 0 } }
+  const context = (commentSettings = settings) => ({
+    knex: db,
+    table: (name) => `test_${name}`,
+    options: { comment_settings: JSON.stringify(commentSettings) }
+  })
+  const guest = { content: 'Nice post', author_name: 'Ada', author_email: 'Ada@Example.com' }
+
+  let post
+
+  beforeEach(async () => {
+    db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+    await db.schema.createTable('test_posts', (table) => {
+      table.increments('id')
+      table.string('post_type_slug')
+      table.string('slug')
+      table.string('status')
+      table.integer('comment_post_id').nullable()
+      table.integer('comment_parent_id').nullable()
+      table.datetime('publish_at').nullable()
+      table.datetime('deleted_at').nullable()
+      table.timestamp('created_at').defaultTo(db.fn.now())
+      table.timestamp('updated_at').defaultTo(db.fn.now())
+    })
+    await db.schema.createTable('test_post_meta', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+    await db.schema.createTable('test_post_authors', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.integer('user_id')
+    })
+    await db.schema.createTable('test_users', (table) => {
+      table.increments('id')
+      table.string('username')
+    })
+    await db('test_posts').insert([
+      { id: 1, post_type_slug: 'posts', slug: 'hello', status: 'published' },
+      { id: 2, post_type_slug: 'posts', slug: 'draft', status: 'draft' },
+      { id: 3, post_type_slug: 'pages', slug: 'about', status: 'published' }
+    ])
+    await db('test_post_meta').insert({ post_id: 1, field_slug: 'title', value: 'Hello' })
+    await db('test_users').insert({ id: 1, username: 'ada' })
+    post = await db('test_posts').where('id', 1).first()
+    service = new CommentService(context())
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new CommentService({ knex: null })).toThrow('CommentService requires a database connection')
+  })
+
+  it('should read settings per post type with defaults', () => {
+    expect(service.getSettings('posts')).toMatchObject({ open: true, max_depth: 2 })
+    expect(service.getSettings('pages')).toEqual(DEFAULT_COMMENT_SETTINGS)
+    expect(new CommentService({ ...context(), options: {} }).getSettings('posts')).toEqual(DEFAULT_COMMENT_SETTINGS)
+  })
+
+  it('should only take comments on open, published posts', async () => {
+    expect(service.isOpen(post)).toBe(true)
+    expect(service.isOpen(await db('test_posts').where('id', 2).first())).toBe(false)
+    expect(service.isOpen(await db('test_posts').where('id', 3).first())).toBe(false)
+
+    const closing = new CommentService(context({ posts: { ...settings.posts, close_after_days: 30 } }))
+    expect(closing.isOpen({ ...post, publish_at: new Date(Date.now() - 40 * 86400000).toISOString() })).toBe(false)
+    expect(closing.isOpen({ ...post, publish_at: new Date(Date.now() - 5 * 86400000).toISOString() })).toBe(true)
+
+    await expect(service.create({ ...post, status: 'draft' }, guest)).rejects.toMatchObject({ status: 403 })
+  })
+
+  it('should validate guest submissions', async () => {
+    const error = await service.create(post, { content: ' ', author_email: 'nope', author_url: 'javascript:alert(1)' }).catch((e) => e)
+    expect(error).toBeInstanceOf(CommentError)
+    expect(error.status).toBe(422)
+    expect(error.errors.map((e) => e.field)).toEqual(['content', 'author_name', 'author_email', 'author_url'])
+
+    const closed = new CommentService(context({ posts: { ...settings.posts, guests: false } }))
+    await expect(closed.create(post, guest)).rejects.toMatchObject({ status: 401 })
+  })
+
+  it('should hold guest comments and approve users', async () => {
+    const held = await service.create(post, guest, { ip: '203.0.113.7' })
+    expect(held).toMatchObject({ post_id: 1, status: 'pending', content: 'Nice post', author_name: 'Ada' })
+    expect(held.author_email).toBeUndefined()
+
+    const approved = await service.create(post, { content: 'Thanks', author_name: 'ignored' }, { user_id: 1 })
+    expect(approved).toMatchObject({ status: 'approved', author_name: 'ada', user_id: 1 })
+
+    const [meta] = await db('test_post_meta').where({ post_id: held.id, field_slug: 'author_email' })
+    expect(meta.value).toBe('ada@example.com')
+  })
+
+  it('should let plugins set the status', async () => {
+    const calls = []
+    const hooks = {
+      applyFilters: (name, status, args) => {
+        calls.push(name)
+        if (args.comment.content.includes('http')) return 'spam'
+        return args.comment.author_ip === '10.0.0.1' ? 'bogus' : status
+      }
+    }
+    const filtered = new CommentService(context(), hooks)
+    expect((await filtered.create(post, { ...guest, content: 'Buy http://x' })).status).toBe('spam')
+    expect((await filtered.create(post, guest, { ip: '10.0.0.1' })).status).toBe('pending')
+    expect(calls).toEqual(['pre_comment_approved', 'pre_comment_approved'])
+  })
+
+  it('should thread replies up to the maximum depth', async () => {
+    const top = await service.create(post, { content: 'Top' }, { user_id: 1 })
+    const reply = await service.create(post, { content: 'Reply', parent_id: top.id }, { user_id: 1 })
+    expect(reply.parent_id).toBe(top.id)
+    expect(await service.depthOf(reply.id)).toBe(2)
+
+    const tooDeep = await service.create(post, { content: 'Deeper', parent_id: reply.id }, { user_id: 1 }).catch((e) => e)
+    expect(tooDeep.errors[0]).toMatchObject({ field: 'parent_id', message: 'Replies are not allowed this deep' })
+
+    const held = await service.create(post, guest)
+    const toHeld = await service.create(post, { content: 'Reply', parent_id: held.id }, { user_id: 1 }).catch((e) => e)
+    expect(toHeld.errors[0].code).toBe('NOT_FOUND')
+  })
+
+  it('should return the approved thread as a tree', async () => {
+    const top = await service.create(post, { content: 'Top' }, { user_id: 1 })
+    await service.create(post, { content: 'Reply', parent_id: top.id }, { user_id: 1 })
+    await service.create(post, guest)
+
+    const thread = await service.getThread(1)
+    expect(thread.total).toBe(2)
+    expect(thread.items).toHaveLength(1)
+    expect(thread.items[0].replies[0]).toMatchObject({ content: 'Reply', parent_id: top.id })
+
+    await service.moderate([top.id], 'spam')
+    expect(await service.getThread(1)).toEqual({ items: [], total: 0 })
+    expect((await service.getThread(1, { statuses: ['approved', 'pending', 'spam'] })).total).toBe(3)
+  })
+
+  it('should list the queue and moderate comments', async () => {
+    const first = await service.create(post, guest, { ip: '203.0.113.7' })
+    const second = await service.create(post, { ...guest, content: 'Again' })
+    await service.create(post, { content: 'Mine' }, { user_id: 1 })
+
+    const queue = await service.getQueue()
+    expect(queue.total).toBe(2)
+    expect(queue.items[0]).toMatchObject({ id: second.id, author_email: 'ada@example.com', post: { id: 1, title: 'Hello' } })
+    expect((await service.getQueue({ status: 'all', limit: 1 })).items).toHaveLength(1)
+
+    const changed = await service.moderate([first.id, second.id], 'approved')
+    expect(changed.map((comment) => comment.status)).toEqual(['approved', 'approved'])
+    expect(await service.moderate([first.id], 'approved')).toEqual([])
+    expect(await service.counts()).toEqual({ approved: 3, pending: 0, spam: 0, trash: 0 })
+    await expect(service.moderate([first.id], 'deleted')).rejects.toThrow(CommentError)
+  })
+})
@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import DeliveryService, { isPrivateField } from '../../services/DeliveryService.ts'
+
+describe('DeliveryService', () => {
+  let db
+  let service
+
+  const fields = {
+    posts: [
+      { slug: 'title', type: 'text' },
+      { slug: 'content', type: 'editor' },
+      { slug: 'related', type: 'relationship' },
+      { slug: 'internal_notes', type: 'text', private: true },
+      { slug: 'supplier', type: 'text', options: '{"private":true}' }
+    ],
+    pages: [{ slug: 'title', type: 'text' }],
+    drafts: [{ slug: 'title', type: 'text' }]
+  }
+  const publicTypes = ['posts', 'pages']
+
+  const hooks = {
+    applyFilters: (name, value) => (name === 'the_title' ? value.toUpperCase() : value),
+    getPublicPostType: async (slug) => (publicTypes.includes(slug) ? { slug, public: true } : null),
+    getFields: async (slug) => (fields[slug] || []).map((field) => ({ field, priority: 5, source: 'runtime' }))
+  }
+
+  const context = () => ({
+    knex: db,
+    table: (name) => `test_${name}`,
+    normalizeSlug: (value) => value,
+    options: { default_content_locale: 'en_US', content_locales: '["en_US","nb_NO"]' }
+  })
+
+  beforeEach(async () => {
+    db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+    await db.schema.createTable('test_posts', (table) => {
+      table.increments('id')
+      table.string('post_type_slug')
+      table.string('slug')
+      table.string('status')
+      table.string('locale', 20).nullable()
+      table.string('translation_group', 36).nullable()
+      table.datetime('publish_at').nullable()
+      table.datetime('created_at')
+      table.datetime('updated_at')
+      table.datetime('deleted_at').nullable()
+    })
+    await db.schema.createTable('test_post_meta', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+    await db.schema.createTable('test_terms', (table) => {
+      table.increments('id')
+      table.string('taxonomy_slug')
+      table.string('slug')
+      table.string('status')
+      table.integer('parent_id').nullable()
+      table.datetime('deleted_at').nullable()
+    })
+    await db.schema.createTable('test_term_meta', (table) => {
+      table.increments('id')
+      table.integer('term_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+    await db.schema.createTable('test_term_relationships', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.integer('term_id')
+    })
+
+    await db('test_posts').insert([
+      { id: 1, post_type_slug: 'posts', slug: 'hello', status: 'published', created_at: '2025-01-01 10:00:00', updated_at: '2025-02-01 10:00:00' },
+      { id: 2, post_type_slug: 'posts', slug: 'draft', status: 'draft', created_at: '2025-01-02 10:00:00', updated_at: '2025-01-02 10:00:00' },
+      { id: 3, post_type_slug: 'pages', slug: 'about', status: 'published', created_at: '2025-01-03 10:00:00', updated_at: '2025-01-03 10:00:00' },
+      { id: 4, post_type_slug: 'drafts', slug: 'secret', status: 'published', created_at: '2025-01-04 10:00:00', updated_at: '2025-01-04 10:00:00' },
+      {
+        id: 5,
+        post_type_slug: 'posts',
+        slug: 'hei',
+        status: 'published',
+        locale: 'nb_NO',
+        translation_group: 'g1',
+        created_at: '2025-01-05 10:00:00',
+        updated_at: '2025-03-01 10:00:00'
+      },
+      { id: 6, post_type_slug: 'posts', slug: 'trashed', status: 'published', created_at: '2025-01-06 10:00:00', updated_at: '2025-01-06 10:00:00', deleted_at: '2025-01-07 10:00:00' }
+    ])
+    await db('test_posts').where('id', 1).update({ translation_group: 'g1' })
+    await db('test_post_meta').insert([
+      { post_id: 1, field_slug: 'title', value: 'Hello' },
+      { post_id: 1, field_slug: 'content', value: JSON.stringify({ blocks: [], html: '<p>Hi</p>' }) },
+      { post_id: 1, field_slug: 'related', value: '[3, 2, 4]' },
+      { post_id: 1, field_slug: 'internal_notes', value: 'Do not publish' },
+      { post_id: 1, field_slug: 'supplier', value: 'ACME' },
+      { post_id: 1, field_slug: 'unregistered', value: 'leftover' },
+      { post_id: 3, field_slug: 'title', value: 'About' },
+      { post_id: 5, field_slug: 'title', value: 'Hei' }
+    ])
+    await db('test_terms').insert([
+      { id: 1, taxonomy_slug: 'categories', slug: 'news', status: 'published' },
+      { id: 2, taxonomy_slug: 'categories', slug: 'hidden', status: 'draft' }
+    ])
+    await db('test_term_meta').insert({ term_id: 1, field_slug: 'title', value: 'News' })
+    await db('test_term_relationships').insert([
+      { post_id: 1, term_id: 1 },
+      { post_id: 1, term_id: 2 }
+    ])
+    service = new DeliveryService(context(), hooks)
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new DeliveryService({ knex: null })).toThrow('DeliveryService requires a database connection')
+  })
+
+  it('should tell private fields apart', () => {
+    expect(isPrivateField({ slug: 'a', private: true })).toBe(true)
+    expect(isPrivateField({ slug: 'a', options: { private: true } })).toBe(true)
+    expect(isPrivateField({ slug: 'a', options: '{"private":false}' })).toBe(false)
+  })
+
+  it('should only list published posts of public post types', async () => {
+    const result = await service.list('posts')
+    expect(result.items.map((item) => item.id)).toEqual([5, 1])
+    expect(result.total).toBe(2)
+    expect(result.modified.toISOString()).toBe('2025-03-01T10:00:00.000Z')
+
+    expect(await service.list('drafts')).toBeNull()
+    expect(await service.get('drafts', 'secret')).toBeNull()
+    expect(await service.get('posts', 'draft')).toBeNull()
+    expect(await service.get('posts', 6)).toBeNull()
+  })
+
+  it('should never include private or unregistered meta', async () => {
+    const { item } = await service.get('posts', 'hello')
+    expect(item).toMatchObject({ id: 1, slug: 'hello', locale: 'en_US', title: 'HELLO', content: { html: '<p>Hi</p>' } })
+    expect(item).not.toHaveProperty('internal_notes')
+    expect(item).not.toHaveProperty('supplier')
+    expect(item).not.toHaveProperty('unregistered')
+    expect(item).not.toHaveProperty('status')
+  })
+
+  it('should select fields', async () => {
+    const { item } = await service.get('posts', 1, { fields: ['title', 'internal_notes'] })
+    expect(item).toEqual({ id: 1, title: 'HELLO' })
+  })
+
+  it('should return term IDs or expanded terms', async () => {
+    expect((await service.get('posts', 1)).item.terms).toEqual({ categories: [1] })
+    expect((await service.get('posts', 1, { expand: ['terms'] })).item.terms).toEqual({
+      categories: [{ id: 1, slug: 'news', taxonomy: 'categories', parent_id: null, title: 'News' }]
+    })
+  })
+
+  it('should expand relationships to delivered posts only', async () => {
+    expect((await service.get('posts', 1)).item.related).toEqual([3, 2, 4])
+    const { item } = await service.get('posts', 1, { expand: ['related'] })
+    expect(item.related).toHaveLength(1)
+    expect(item.related[0]).toMatchObject({ id: 3, post_type_slug: 'pages', title: 'ABOUT' })
+  })
+
+  it('should scope to a locale with fallbacks', async () => {
+    expect((await service.list('posts', { locale: 'nb_NO' })).items.map((item) => item.slug)).toEqual(['hei'])
+    expect((await service.list('posts', { locale: 'en_US' })).items.map((item) => item.slug)).toEqual(['hello'])
+  })
+
+  it('should order and paginate', async () => {
+    const result = await service.list('posts', { orderby: 'slug', order: 'asc', limit: 1, offset: 1 })
+    expect(result.items.map((item) => item.slug)).toEqual(['hello'])
+    expect(result.total).toBe(2)
+    expect((await service.list('posts', { orderby: 'deleted_at; drop table', order: 'asc' })).items[0].id).toBe(1)
+  })
+})
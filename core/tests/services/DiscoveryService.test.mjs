@@ -0,0 +1,207 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import DiscoveryService, { escapeXml } from '../../services/DiscoveryService.ts'
+
+describe('DiscoveryService', () => {
+  let db
+  let options
+  let filters
+
+  const publicTypes = [
+    { slug: 'posts', name_plural: 'Posts', public: true },
+    { slug: 'pages', name_plural: 'Pages', public: true }
+  ]
+
+  const hooks = () => ({
+    applyFilters: (name, value, ...args) => (filters[name] ? filters[name](value, ...args) : value),
+    getPublicPostTypes: async () => publicTypes
+  })
+
+  const service = () =>
+    new DiscoveryService({ knex: db, table: (name) => `test_${name}`, options }, hooks())
+
+  const origin = 'http://localhost:3000'
+
+  beforeEach(async () => {
+    options = { site_name: 'Example & Co', site_url: 'https://example.com/' }
+    filters = {}
+
+    db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+    await db.schema.createTable('test_posts', (table) => {
+      table.increments('id')
+      table.string('post_type_slug')
+      table.string('slug')
+      table.string('status')
+      table.datetime('publish_at').nullable()
+      table.datetime('created_at')
+      table.datetime('updated_at')
+      table.datetime('deleted_at').nullable()
+    })
+    await db.schema.createTable('test_post_meta', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+    await db.schema.createTable('test_terms', (table) => {
+      table.increments('id')
+      table.string('post_type_slug')
+      table.string('taxonomy_slug')
+      table.string('slug')
+      table.string('status')
+      table.datetime('deleted_at').nullable()
+    })
+    await db.schema.createTable('test_term_meta', (table) => {
+      table.increments('id')
+      table.integer('term_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+    await db.schema.createTable('test_term_relationships', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.integer('term_id')
+    })
+
+    await db('test_posts').insert([
+      { id: 1, post_type_slug: 'posts', slug: 'hello', status: 'published', created_at: '2025-01-01 10:00:00', updated_at: '2025-02-01 10:00:00' },
+      { id: 2, post_type_slug: 'posts', slug: 'draft', status: 'draft', created_at: '2025-01-02 10:00:00', updated_at: '2025-01-02 10:00:00' },
+      { id: 3, post_type_slug: 'pages', slug: 'about', status: 'published', created_at: '2025-01-03 10:00:00', updated_at: '2025-01-03 10:00:00' },
+      { id: 4, post_type_slug: 'secrets', slug: 'hidden', status: 'published', created_at: '2025-01-04 10:00:00', updated_at: '2025-01-04 10:00:00' },
+      {
+        id: 5,
+        post_type_slug: 'posts',
+        slug: 'scheduled',
+        status: 'published',
+        publish_at: '2025-03-01 10:00:00',
+        created_at: '2025-01-05 10:00:00',
+        updated_at: '2025-03-01 10:00:00'
+      },
+      { id: 6, post_type_slug: 'posts', slug: 'trashed', status: 'published', created_at: '2025-01-06 10:00:00', updated_at: '2025-01-06 10:00:00', deleted_at: '2025-01-07 10:00:00' }
+    ])
+    await db('test_post_meta').insert([
+      { post_id: 1, field_slug: 'title', value: 'Hello <World>' },
+      { post_id: 1, field_slug: 'content', value: JSON.stringify({ blocks: [], html: '<p>Hi there</p>' }) },
+      { post_id: 5, field_slug: 'title', value: 'Later' },
+      { post_id: 5, field_slug: 'excerpt', value: 'Coming soon' }
+    ])
+    await db('test_terms').insert({ id: 1, post_type_slug: 'posts', taxonomy_slug: 'categories', slug: 'news', status: 'published' })
+    await db('test_term_meta').insert({ term_id: 1, field_slug: 'title', value: 'News' })
+    await db('test_term_relationships').insert({ post_id: 5, term_id: 1 })
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new DiscoveryService({ knex: null })).toThrow('DiscoveryService requires a database connection')
+  })
+
+  it('should escape XML', () => {
+    expect(escapeXml('a & <b> "c" \'d\'')).toBe('a &amp; &lt;b&gt; &quot;c&quot; &apos;d&apos;')
+  })
+
+  it('should merge and clamp settings', () => {
+    options.discovery_settings = JSON.stringify({ feeds: false, feed_items: 500, robots: 42 })
+    const settings = service().getSettings()
+    expect(settings).toMatchObject({ sitemap: true, feeds: false, feed_items: 100, robots: 'User-agent: *\nDisallow: /admin/\nDisallow: /api/' })
+  })
+
+  it('should build a sitemap index per public post type', async () => {
+    const xml = await service().sitemapIndex(origin)
+    expect(xml).toContain('<sitemap><loc>https://example.com/sitemap-posts.xml</loc><lastmod>2025-03-01T10:00:00.000Z</lastmod></sitemap>')
+    expect(xml).toContain('<loc>https://example.com/sitemap-pages.xml</loc>')
+    expect(xml).not.toContain('secrets')
+
+    options.discovery_settings = JSON.stringify({ post_types: { pages: { sitemap: false } } })
+    expect(await service().sitemapIndex(origin)).not.toContain('sitemap-pages')
+  })
+
+  it('should list published posts with lastmod in a sitemap', async () => {
+    const xml = await service().sitemap('posts', 1, origin)
+    expect(xml).toContain('<url><loc>https://example.com/posts/hello</loc><lastmod>2025-02-01T10:00:00.000Z</lastmod></url>')
+    expect(xml).toContain('https://example.com/posts/scheduled')
+    expect(xml).not.toContain('draft')
+    expect(xml).not.toContain('trashed')
+    expect(await service().sitemap('pages', 1, origin)).toContain('<loc>https://example.com/about</loc>')
+
+    expect(await service().sitemap('secrets', 1, origin)).toBeNull()
+    expect(await service().sitemap('posts', 2, origin)).toBeNull()
+    options.discovery_settings = JSON.stringify({ sitemap: false })
+    expect(await service().sitemap('posts', 1, origin)).toBeNull()
+  })
+
+  it('should let filters exclude entries and change permalinks', async () => {
+    filters.sitemap_entry = (entry, post) => (post.slug === 'hello' ? false : entry)
+    filters.post_permalink = (path, post) => `/blog/${post.slug}`
+    const xml = await service().sitemap('posts', 1, origin)
+    expect(xml).not.toContain('hello')
+    expect(xml).toContain('<loc>https://example.com/blog/scheduled</loc>')
+  })
+
+  it('should build an RSS feed of the latest posts', async () => {
+    filters.the_title = (title) => title.toUpperCase()
+    const xml = await service().feed('posts', {}, origin)
+    expect(xml).toContain('<title>Example &amp; Co – Posts</title>')
+    expect(xml).toContain('<atom:link href="https://example.com/feed/posts" rel="self" type="application/rss+xml"/>')
+    expect(xml.indexOf('/posts/scheduled')).toBeLessThan(xml.indexOf('/posts/hello'))
+    expect(xml).toContain('<title>HELLO &lt;WORLD&gt;</title>')
+    expect(xml).toContain('<pubDate>Wed, 01 Jan 2025 10:00:00 GMT</pubDate>')
+    expect(xml).toContain('<description>Hi there</description>')
+    expect(xml).toContain('<description>Coming soon</description>')
+    expect(xml).not.toContain('content:encoded>')
+    expect(xml).not.toContain('draft')
+  })
+
+  it('should build an Atom feed of a term with full content', async () => {
+    options.discovery_settings = JSON.stringify({ feed_full_content: true })
+    const xml = await service().feed('posts', { taxonomy: 'categories', term: 'news', format: 'atom' }, origin)
+    expect(xml).toContain('<feed xmlns="http://www.w3.org/2005/Atom">')
+    expect(xml).toContain('<title>Example &amp; Co – Posts – News</title>')
+    expect(xml).toContain('<link rel="self" href="https://example.com/feed/posts/categories/news?format=atom"/>')
+    expect(xml).toContain('<published>2025-03-01T10:00:00.000Z</published>')
+    expect(xml).not.toContain('/posts/hello')
+
+    const full = await service().feed('posts', {}, origin)
+    expect(full).toContain('<content:encoded>&lt;p&gt;Hi there&lt;/p&gt;</content:encoded>')
+
+    expect(await service().feed('posts', { taxonomy: 'categories', term: 'missing' }, origin)).toBeNull()
+    expect(await service().feed('secrets', {}, origin)).toBeNull()
+  })
+
+  it('should limit feeds and let filters drop items', async () => {
+    options.discovery_settings = JSON.stringify({ feed_items: 1 })
+    expect((await service().feed('posts', {}, origin)).match(/<item>/g)).toHaveLength(1)
+
+    options.discovery_settings = JSON.stringify({})
+    filters.feed_item = (item, post) => (post.id === 5 ? false : item)
+    const xml = await service().feed('posts', {}, origin)
+    expect(xml).not.toContain('scheduled')
+    expect(xml).toContain('hello')
+  })
+
+  it('should leave posts hidden from search engines out of sitemaps', async () => {
+    await db('test_post_meta').insert([
+      { post_id: 1, field_slug: 'seo', value: JSON.stringify({ title: 'Hello', noindex: true }) },
+      { post_id: 3, field_slug: 'seo', value: JSON.stringify({ noindex: false }) }
+    ])
+
+    const xml = await service().sitemap('posts', 1, origin)
+    expect(xml).not.toContain('/hello')
+    expect(xml).toContain('/scheduled')
+    expect(await service().sitemap('pages', 1, origin)).toContain('/about')
+
+    await db('test_post_meta').where('post_id', 5).del()
+    await db('test_post_meta').insert({ post_id: 5, field_slug: 'seo', value: JSON.stringify({ noindex: '1' }) })
+    expect(await service().sitemapIndex(origin)).not.toContain('sitemap-posts')
+  })
+
+  it('should build robots.txt with the sitemap', () => {
+    expect(service().robots(origin)).toBe('User-agent: *\nDisallow: /admin/\nDisallow: /api/\n\nSitemap: https://example.com/sitemap.xml\n')
+
+    options = { discovery_settings: JSON.stringify({ sitemap: false, robots: 'User-agent: *\nAllow: /' }) }
+    filters.robots_txt = (text) => `${text}# custom\n`
+    expect(service().robots(origin)).toBe('User-agent: *\nAllow: /\n# custom\n')
+  })
+})
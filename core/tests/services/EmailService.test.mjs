@@ -314,6 +314,134 @@ describe('EmailService', () => {
     })
   })
 
+  describe('sendVerificationEmail', () => {
+    it('should send verification email with the confirmation link', async () => {
+      const mockSendMail = vi.fn().mockResolvedValue({ messageId: 'test-id' })
+      emailService.transporter = {
+        sendMail: mockSendMail,
+        options: {
+          auth: {
+            user: 'test@test.com'
+          }
+        }
+      }
+
+      const user = {
+        username: 'johndoe',
+        email: 'john@example.com'
+      }
+
+      await emailService.sendVerificationEmail(user, 'verify-token-123', 48)
+
+      expect(mockSendMail).toHaveBeenCalledWith(
+        expect.objectContaining({
+          to: 'john@example.com',
+          subject: 'Confirm Your Email Address - Test Site'
+        })
+      )
+
+      const callArgs = mockSendMail.mock.calls[0][0]
+      expect(callArgs.html).toContain('johndoe')
+      expect(callArgs.html).toContain('48 hours')
+      expect(callArgs.html).toContain('http://localhost:3000/admin/verify-email?token=verify-token-123')
+    })
+  })
+
+  describe('sendInvitationEmail', () => {
+    it('should send invitation email with the inviter, roles and link', async () => {
+      const mockSendMail = vi.fn().mockResolvedValue({ messageId: 'test-id' })
+      emailService.transporter = {
+        sendMail: mockSendMail,
+        options: {
+          auth: {
+            user: 'test@test.com'
+          }
+        }
+      }
+
+      await emailService.sendInvitationEmail({ email: 'jane@example.com' }, 'invite-token-123', {
+        inviterName: 'John Doe',
+        roles: ['Editor', 'Author'],
+        expiryDays: 7
+      })
+
+      expect(mockSendMail).toHaveBeenCalledWith(
+        expect.objectContaining({
+          to: 'jane@example.com',
+          subject: "You're Invited to Test Site"
+        })
+      )
+
+      const callArgs = mockSendMail.mock.calls[0][0]
+      expect(callArgs.html).toContain('John Doe has invited you')
+      expect(callArgs.html).toContain('as Editor, Author')
+      expect(callArgs.html).toContain('7 days')
+      expect(callArgs.html).toContain('http://localhost:3000/admin/accept-invite?token=invite-token-123')
+    })
+  })
+
+  describe('sendAccountLockedEmail', () => {
+    it('should send account locked email with the lockout duration', async () => {
+      const mockSendMail = vi.fn().mockResolvedValue({ messageId: 'test-id' })
+      emailService.transporter = {
+        sendMail: mockSendMail,
+        options: {
+          auth: {
+            user: 'test@test.com'
+          }
+        }
+      }
+
+      await emailService.sendAccountLockedEmail(
+        { username: 'johndoe', email: 'john@example.com' },
+        { lockoutMinutes: 15, ip: '203.0.113.7' }
+      )
+
+      expect(mockSendMail).toHaveBeenCalledWith(
+        expect.objectContaining({
+          to: 'john@example.com',
+          subject: 'Your Account Was Locked - Test Site'
+        })
+      )
+
+      const callArgs = mockSendMail.mock.calls[0][0]
+      expect(callArgs.html).toContain('15 minutes')
+      expect(callArgs.html).toContain('203.0.113.7')
+      expect(callArgs.html).toContain('http://localhost:3000/admin/login')
+    })
+  })
+
+  describe('sendNewDeviceLoginEmail', () => {
+    it('should send new device login email with the device and a link to the sessions', async () => {
+      const mockSendMail = vi.fn().mockResolvedValue({ messageId: 'test-id' })
+      emailService.transporter = {
+        sendMail: mockSendMail,
+        options: {
+          auth: {
+            user: 'test@test.com'
+          }
+        }
+      }
+
+      await emailService.sendNewDeviceLoginEmail(
+        { id: 7, username: 'johndoe', email: 'john@example.com' },
+        { device: 'Firefox on macOS', ip: '203.0.113.7', time: new Date('2025-12-30T12:00:00Z') }
+      )
+
+      expect(mockSendMail).toHaveBeenCalledWith(
+        expect.objectContaining({
+          to: 'john@example.com',
+          subject: 'New Login to Your Account - Test Site'
+        })
+      )
+
+      const callArgs = mockSendMail.mock.calls[0][0]
+      expect(callArgs.html).toContain('Firefox on macOS')
+      expect(callArgs.html).toContain('Tue, 30 Dec 2025 12:00:00 GMT')
+      expect(callArgs.html).toContain('http://localhost:3000/admin/users/7')
+    })
+  })
+
   describe('verifyConnection', () => {
     it('should verify transporter connection', async () => {
       const mockVerify = vi.fn().mockResolvedValue(true)
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import EmailVerificationService from '../../services/EmailVerificationService.ts'
+
+describe('EmailVerificationService', () => {
+  let db
+  let context
+  let service
+
+  const formatDate = (date = new Date()) => date.toISOString().replace('Z', '').replace('T', ' ')
+
+  beforeEach(async () => {
+    db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+    await db.schema.createTable('test_users', (table) => {
+      table.increments('id')
+      table.string('username')
+      table.string('email')
+      table.string('password')
+      table.string('status').defaultTo('active')
+      table.datetime('email_verified_at').nullable()
+      table.string('verification_token', 64).nullable()
+      table.datetime('verification_token_expires_at').nullable()
+      table.datetime('verification_sent_at').nullable()
+      table.datetime('created_at').defaultTo(db.fn.now())
+      table.datetime('updated_at').defaultTo(db.fn.now())
+      table.datetime('deleted_at').nullable()
+    })
+
+    await db('test_users').insert([
+      { id: 1, username: 'pending', email: 'pending@example.com', status: 'pending' },
+      { id: 2, username: 'active', email: 'active@example.com', status: 'active', email_verified_at: '2025-01-01 10:00:00' }
+    ])
+
+    context = { knex: db, table: (name) => `test_${name}`, options: {}, formatDate }
+    service = new EmailVerificationService(context)
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new EmailVerificationService({ knex: null })).toThrow('EmailVerificationService requires a database connection')
+  })
+
+  it('should read the settings with defaults', () => {
+    expect(service.getSettings()).toEqual({ block_login: true, expires_hours: 24 })
+
+    context.options.email_verification = JSON.stringify({ block_login: false, expires_hours: 2 })
+    expect(service.getSettings()).toEqual({ block_login: false, expires_hours: 2 })
+
+    context.options.email_verification = { expires_hours: -1 }
+    expect(service.getSettings()).toEqual({ block_login: true, expires_hours: 24 })
+  })
+
+  it('should only block pending users while block_login is on', async () => {
+    const pending = await db('test_users').where('id', 1).first()
+    const active = await db('test_users').where('id', 2).first()
+    expect(service.blocksLogin(pending)).toBe(true)
+    expect(service.blocksLogin(active)).toBe(false)
+
+    context.options.email_verification = { block_login: false }
+    expect(service.blocksLogin(pending)).toBe(false)
+  })
+
+  it('should store a hash of the token and activate the user on verify', async () => {
+    const created = await service.createToken(1)
+    expect(created.user).toEqual({ id: 1, email: 'pending@example.com', username: 'pending' })
+
+    const row = await db('test_users').where('id', 1).first()
+    expect(row.verification_token).toBe(service.hash(created.token))
+    expect(row.verification_token).not.toBe(created.token)
+    expect(row.verification_sent_at).not.toBeNull()
+
+    const user = await service.verify(created.token)
+    expect(user).toMatchObject({ id: 1, status: 'active', verification_token: null })
+    expect(user.email_verified_at).not.toBeNull()
+
+    await expect(service.verify(created.token)).rejects.toThrow('Invalid or expired verification link')
+    await expect(service.createToken(99)).rejects.toThrow('User not found')
+  })
+
+  it('should reject expired tokens', async () => {
+    const created = await service.createToken(1)
+    await db('test_users').where('id', 1).update({ verification_token_expires_at: formatDate(new Date(Date.now() - 1000)) })
+
+    await expect(service.verify(created.token)).rejects.toThrow('Invalid or expired verification link')
+    await expect(service.verify('')).rejects.toThrow('Invalid or expired verification link')
+    expect((await db('test_users').where('id', 1).first()).status).toBe('pending')
+  })
+
+  it('should only resend to pending users after the resend interval', async () => {
+    expect(await service.resend('unknown@example.com')).toBeNull()
+    expect(await service.resend('active@example.com')).toBeNull()
+
+    const first = await service.resend('pending@example.com')
+    expect(first.user.id).toBe(1)
+    expect(await service.resend('pending@example.com')).toBeNull()
+
+    await db('test_users').where('id', 1).update({ verification_sent_at: formatDate(new Date(Date.now() - 120 * 1000)) })
+    const second = await service.resend('pending@example.com')
+    expect(second.token).not.toBe(first.token)
+    await expect(service.verify(first.token)).rejects.toThrow('Invalid or expired verification link')
+  })
+})
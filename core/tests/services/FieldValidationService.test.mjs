@@ -0,0 +1,217 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import FieldValidationService, {
+  changedKeys,
+  isEmptyValue,
+  matchesConditions,
+  resolveRequiredMode
+} from '../../services/FieldValidationService.ts'
+
+describe('FieldValidationService', () => {
+  let db
+  let service
+
+  const context = () => ({ knex: db, table: (name) => `test_${name}` })
+  const fields = (...definitions) => definitions.map((field) => ({ field }))
+
+  beforeEach(async () => {
+    db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+    await db.schema.createTable('test_posts', (table) => {
+      table.increments('id')
+      table.string('post_type_slug')
+      table.string('slug')
+      table.string('status')
+      table.datetime('deleted_at').nullable()
+    })
+    await db.schema.createTable('test_post_meta', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+    await db.schema.createTable('test_users', (table) => {
+      table.increments('id')
+      table.string('username')
+      table.datetime('deleted_at').nullable()
+    })
+    await db('test_posts').insert([
+      { id: 1, post_type_slug: 'attachments', slug: 'cover', status: 'inherit' },
+      { id: 2, post_type_slug: 'attachments', slug: 'trashed', status: 'inherit', deleted_at: '2025-01-01 00:00:00' },
+      { id: 3, post_type_slug: 'posts', slug: 'hello', status: 'published' }
+    ])
+    await db('test_users').insert([
+      { id: 1, username: 'ada' },
+      { id: 2, username: 'gone', deleted_at: '2025-01-01 00:00:00' }
+    ])
+    service = new FieldValidationService(context())
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new FieldValidationService({ knex: null })).toThrow('FieldValidationService requires a database connection')
+  })
+
+  describe('required', () => {
+    const entries = fields({ slug: 'subtitle', name: 'Subtitle', type: 'text', required: 1 })
+
+    it('should report missing required values', async () => {
+      const errors = await service.validate('post', entries, { subtitle: '  ' })
+      expect(errors).toEqual([{ field: 'subtitle', message: 'Subtitle is required', code: 'MISSING_REQUIRED_FIELD' }])
+      expect(await service.validate('post', entries, { subtitle: '[]' })).toHaveLength(1)
+      expect(await service.validate('post', entries, { subtitle: 'Hi' })).toEqual([])
+    })
+
+    it('should follow the required mode', async () => {
+      expect(await service.validate('post', entries, {}, { required: 'none' })).toEqual([])
+      expect(await service.validate('post', entries, {}, { required: 'submitted', submitted: ['title'] })).toEqual([])
+      expect(await service.validate('post', entries, {}, { required: 'submitted', submitted: ['subtitle'] })).toHaveLength(1)
+    })
+
+    it('should resolve the mode from the status', () => {
+      expect(resolveRequiredMode(undefined)).toBe('none')
+      expect(resolveRequiredMode('draft', 'published')).toBe('none')
+      expect(resolveRequiredMode('published')).toBe('all')
+      expect(resolveRequiredMode('published', 'draft')).toBe('all')
+      expect(resolveRequiredMode('published', 'published')).toBe('submitted')
+    })
+  })
+
+  describe('conditions', () => {
+    it('should match rules with and/or relations', () => {
+      const values = { layout: 'video', tags: '["a","b"]', count: 3 }
+      expect(matchesConditions([{ field: 'layout', value: 'video' }], values)).toBe(true)
+      expect(matchesConditions([{ field: 'layout', value: 'video' }, { field: 'count', operator: '>', value: 5 }], values)).toBe(false)
+      expect(
+        matchesConditions({ relation: 'or', rules: [{ field: 'layout', value: 'text' }, { field: 'count', operator: '<=', value: 3 }] }, values)
+      ).toBe(true)
+      expect(matchesConditions('[{"field":"tags","operator":"in","value":["b","c"]}]', values)).toBe(true)
+      expect(matchesConditions([{ field: 'missing', operator: 'empty' }], values)).toBe(true)
+      expect(matchesConditions(null, values)).toBe(true)
+    })
+
+    it('should skip fields hidden by their conditions', async () => {
+      const entries = fields({
+        slug: 'video_url',
+        name: 'Video URL',
+        type: 'text',
+        required: true,
+        conditions: JSON.stringify([{ field: 'layout', operator: '==', value: 'video' }])
+      })
+      expect(await service.validate('post', entries, { layout: 'text' })).toEqual([])
+      expect(await service.validate('post', entries, { layout: 'video' })).toEqual([
+        { field: 'video_url', message: 'Video URL is required', code: 'MISSING_REQUIRED_FIELD' }
+      ])
+    })
+  })
+
+  describe('types', () => {
+    it('should check numbers and their range', async () => {
+      const entries = fields({ slug: 'price', name: 'Price', type: 'number', options: '{"min":0,"max":100}' })
+      expect(await service.validate('post', entries, { price: '12.5' })).toEqual([])
+      expect((await service.validate('post', entries, { price: 'cheap' }))[0].message).toBe('Price must be a number')
+      expect((await service.validate('post', entries, { price: -1 }))[0].message).toBe('Price must be at least 0')
+      expect((await service.validate('post', entries, { price: 101 }))[0].message).toBe('Price must be at most 100')
+    })
+
+    it('should check select choices', async () => {
+      const single = fields({ slug: 'size', name: 'Size', type: 'select', options: { choices: ['s', { value: 'm' }] } })
+      expect(await service.validate('post', single, { size: 'm' })).toEqual([])
+      expect((await service.validate('post', single, { size: 'xl' }))[0].message).toBe('Size must be one of: s, m')
+      expect((await service.validate('post', single, { size: ['s', 'm'] }))[0].message).toBe('Size accepts a single choice')
+
+      const multiple = fields({ slug: 'size', name: 'Size', type: 'select', options: { choices: ['s', 'm'], multiple: true } })
+      expect(await service.validate('post', multiple, { size: ['s', 'm'] })).toEqual([])
+    })
+
+    it('should check that media references existing attachments', async () => {
+      const entries = fields({ slug: 'cover', name: 'Cover', type: 'media' })
+      expect(await service.validate('post', entries, { cover: JSON.stringify([{ attachment_id: 1, path: 'a.jpg' }]) })).toEqual([])
+      expect(await service.validate('post', entries, { cover: [1, 2, 3] })).toEqual([
+        { field: 'cover', message: 'Cover references missing attachments: 2, 3', code: 'NOT_FOUND' }
+      ])
+      expect((await service.validate('post', entries, { cover: 'abc' }))[0].message).toBe('Cover must reference attachments by ID')
+    })
+
+    it('should check that users exist', async () => {
+      const entries = fields({ slug: 'editors', name: 'Editors', type: 'users' })
+      expect(await service.validate('post', entries, { editors: [1] })).toEqual([])
+      expect((await service.validate('post', entries, { editors: '[1,2]' }))[0]).toMatchObject({ code: 'NOT_FOUND' })
+    })
+
+    it('should check related posts and their post types', async () => {
+      const entries = fields({ slug: 'related', name: 'Related', type: 'relationship', options: { post_types: ['posts'], max: 2 } })
+      expect(await service.validate('post', entries, { related: [3] })).toEqual([])
+      expect(await service.validate('post', entries, { related: [1, 3] })).toEqual([
+        { field: 'related', message: 'Related references missing posts of type posts: 1', code: 'NOT_FOUND' }
+      ])
+      expect((await service.validate('post', entries, { related: [1, 2, 3] }))[0].message).toBe('Related accepts at most 2 posts')
+    })
+
+    it('should check the sub-fields of repeater rows and groups', async () => {
+      const entries = fields(
+        {
+          slug: 'faq',
+          name: 'FAQ',
+          type: 'repeater',
+          options: { max: 2, fields: [{ slug: 'question', name: 'Question', type: 'text', required: true }, { slug: 'votes', type: 'number' }] }
+        },
+        { slug: 'address', name: 'Address', type: 'group', options: { fields: [{ slug: 'photo', name: 'Photo', type: 'media' }] } }
+      )
+      const errors = await service.validate('post', entries, {
+        faq: [{ question: 'Why?' }, { votes: 'many' }],
+        address: { photo: [2] }
+      })
+      expect(errors).toEqual([
+        { field: 'faq.1.question', message: 'Question is required', code: 'MISSING_REQUIRED_FIELD' },
+        { field: 'faq.1.votes', message: 'votes must be a number', code: 'INVALID_INPUT' },
+        { field: 'address.photo', message: 'Photo references missing attachments: 2', code: 'NOT_FOUND' }
+      ])
+      expect(await service.validate('post', entries, { faq: [{}] }, { required: 'none' })).toEqual([])
+      expect((await service.validate('post', entries, { faq: [{}, {}, {}] }))[0].message).toBe('FAQ accepts at most 2 rows')
+      expect((await service.validate('post', entries, { address: '"Main street"' }))[0].message).toBe('Address must be an object')
+    })
+
+    it('should accept text or blocks in editor fields', async () => {
+      const entries = fields({ slug: 'content', name: 'Content', type: 'editor' })
+      expect(await service.validate('post', entries, { content: '<p>Hi</p>' })).toEqual([])
+      expect(await service.validate('post', entries, { content: { blocks: [{ type: 'paragraph', text: 'Hi' }], html: '<p>Hi</p>' } })).toEqual([])
+      expect((await service.validate('post', entries, { content: { blocks: [{ text: 'Hi' }] } }))[0].message).toBe(
+        'Content must be text or a list of blocks'
+      )
+    })
+
+    it('should only check submitted values', async () => {
+      const entries = fields({ slug: 'price', name: 'Price', type: 'number' })
+      expect(await service.validate('post', entries, { price: 'cheap' }, { submitted: ['title'] })).toEqual([])
+    })
+  })
+
+  it('should let plugins add rules through the filter', async () => {
+    const calls = []
+    const hooks = {
+      applyFilters: (name, errors, args) => {
+        calls.push({ name, args })
+        return args.value === 'taken' ? [...errors, 'Code is taken'] : errors
+      }
+    }
+    const filtered = new FieldValidationService(context(), hooks)
+    const entries = fields({ slug: 'code', name: 'Code', type: 'text' })
+
+    expect(await filtered.validate('term', entries, { code: 'taken' }, { slug: 'categories' })).toEqual([
+      { field: 'code', message: 'Code is taken', code: 'INVALID_INPUT' }
+    ])
+    expect(calls[0]).toMatchObject({ name: 'validate_term_field', args: { value: 'taken', slug: 'categories', item: null } })
+  })
+
+  it('should read current values and detect changed keys', async () => {
+    await db('test_post_meta').insert({ post_id: 3, field_slug: 'tags', value: '["a"]' })
+    const current = await service.currentValues('post', 3)
+    expect(current).toMatchObject({ id: 3, slug: 'hello', tags: ['a'] })
+    expect(changedKeys(current, { slug: 'hello', tags: '["a"]', status: 'draft' })).toEqual(['status'])
+    expect(isEmptyValue('{}')).toBe(true)
+    expect(isEmptyValue(0)).toBe(false)
+  })
+})
@@ -0,0 +1,264 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import GraphQLService, { BatchLoader, buildContentSchema, camelCase, pascalCase } from '../../services/GraphQLService.ts'
+
+describe('GraphQLService', () => {
+  let db
+  let queries
+
+  const postTypes = [
+    { slug: 'posts', name_singular: 'Post', name_plural: 'Posts', capabilities: { read: 'read' } },
+    { slug: 'products', name_singular: 'Product', name_plural: 'Products', capabilities: { read: 'read' } },
+    { slug: 'secrets', name_singular: 'Secret', name_plural: 'Secrets', capabilities: { create: 'create_secrets' } }
+  ]
+  let fields
+
+  const caller = ({ caps = ['read', 'read_term'], userId = 1, types = postTypes } = {}) => {
+    const resolve = (required) => {
+      const found = Object.values(required).filter((cap) => caps.includes(cap))
+      return found.length ? found : null
+    }
+    return {
+      user: userId ? { id: userId } : null,
+      guard: { user: async ({ canOneOf }) => resolve(canOneOf) },
+      hooks: {
+        applyFilters: (name, value) => (name === 'the_title' ? `${value}!` : value),
+        getAllPostTypes: async () => types,
+        getPostType: async (slug) => {
+          const type = types.find((item) => item.slug === slug)
+          return type ? { ...type, resolvedCapabilities: resolve(type.capabilities) } : null
+        },
+        getFields: async (slug) => (fields[slug] || []).map((field) => ({ field, priority: 5, source: 'db' })),
+        getAllTaxonomies: async (slug) => (slug === 'posts' ? [{ slug: 'categories', post_type_slug: 'posts', name_plural: 'Categories' }] : []),
+        getTaxonomy: async (postType, slug) =>
+          postType === 'posts' && slug === 'categories' ? { slug, resolvedCapabilities: resolve({ read: 'read_term' }) } : null
+      }
+    }
+  }
+
+  const context = () => ({
+    knex: db,
+    table: (name) => `test_${name}`,
+    normalizeSlug: (value) => value,
+    options: { default_content_locale: 'en_US', content_locales: '["en_US","nb_NO"]' }
+  })
+
+  const run = (query, options, variables) => new GraphQLService(context(), caller(options)).execute({ query, variables })
+
+  beforeEach(async () => {
+    fields = {
+      posts: [
+        { slug: 'title', name: 'Title', type: 'text' },
+        { slug: 'content', type: 'editor' },
+        { slug: 'rating', type: 'number' },
+        { slug: 'featured', type: 'checkbox' },
+        { slug: 'related_products', type: 'relationship', options: { post_types: ['products'] } },
+        { slug: 'see_also', type: 'relationship' },
+        { slug: 'faq', type: 'repeater' }
+      ],
+      products: [{ slug: 'title', type: 'text' }]
+    }
+
+    db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+    await db.schema.createTable('test_posts', (table) => {
+      table.increments('id')
+      table.string('post_type_slug')
+      table.string('slug')
+      table.string('status')
+      table.string('locale', 20).nullable()
+      table.string('translation_group', 36).nullable()
+      table.datetime('publish_at').nullable()
+      table.datetime('created_at')
+      table.datetime('updated_at')
+      table.datetime('deleted_at').nullable()
+    })
+    await db.schema.createTable('test_post_meta', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+    await db.schema.createTable('test_post_authors', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.integer('user_id')
+    })
+    await db.schema.createTable('test_terms', (table) => {
+      table.increments('id')
+      table.string('post_type_slug')
+      table.string('taxonomy_slug')
+      table.string('slug')
+      table.string('status')
+      table.integer('parent_id').nullable()
+      table.datetime('deleted_at').nullable()
+    })
+    await db.schema.createTable('test_term_meta', (table) => {
+      table.increments('id')
+      table.integer('term_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+    await db.schema.createTable('test_term_relationships', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.integer('term_id')
+    })
+
+    await db('test_posts').insert([
+      { id: 1, post_type_slug: 'posts', slug: 'first', status: 'published', created_at: '2025-01-01 10:00:00', updated_at: '2025-01-01 10:00:00' },
+      { id: 2, post_type_slug: 'posts', slug: 'second', status: 'draft', created_at: '2025-01-02 10:00:00', updated_at: '2025-01-02 10:00:00' },
+      { id: 3, post_type_slug: 'posts', slug: 'third', status: 'published', created_at: '2025-01-03 10:00:00', updated_at: '2025-01-03 10:00:00' },
+      { id: 4, post_type_slug: 'products', slug: 'widget', status: 'published', created_at: '2025-01-04 10:00:00', updated_at: '2025-01-04 10:00:00' },
+      { id: 5, post_type_slug: 'secrets', slug: 'hidden', status: 'published', created_at: '2025-01-05 10:00:00', updated_at: '2025-01-05 10:00:00' },
+      { id: 6, post_type_slug: 'posts', slug: 'trashed', status: 'published', created_at: '2025-01-06 10:00:00', updated_at: '2025-01-06 10:00:00', deleted_at: '2025-01-07 10:00:00' }
+    ])
+    await db('test_post_meta').insert([
+      { post_id: 1, field_slug: 'title', value: 'First' },
+      { post_id: 1, field_slug: 'content', value: JSON.stringify({ blocks: [], html: '<p>One</p>' }) },
+      { post_id: 1, field_slug: 'rating', value: '4.5' },
+      { post_id: 1, field_slug: 'featured', value: '1' },
+      { post_id: 1, field_slug: 'related_products', value: '[4]' },
+      { post_id: 1, field_slug: 'see_also', value: '[5, 3, 6]' },
+      { post_id: 1, field_slug: 'faq', value: '[{"question":"Why?"}]' },
+      { post_id: 2, field_slug: 'title', value: 'Second' },
+      { post_id: 3, field_slug: 'title', value: 'Third' },
+      { post_id: 3, field_slug: 'related_products', value: '[4]' },
+      { post_id: 4, field_slug: 'title', value: 'Widget' }
+    ])
+    await db('test_post_authors').insert({ post_id: 2, user_id: 7 })
+    await db('test_terms').insert([
+      { id: 1, post_type_slug: 'posts', taxonomy_slug: 'categories', slug: 'news', status: 'published' },
+      { id: 2, post_type_slug: 'posts', taxonomy_slug: 'categories', slug: 'old', status: 'published', deleted_at: '2025-01-01 10:00:00' }
+    ])
+    await db('test_term_meta').insert({ term_id: 1, field_slug: 'title', value: 'News' })
+    await db('test_term_relationships').insert([
+      { post_id: 1, term_id: 1 },
+      { post_id: 1, term_id: 2 },
+      { post_id: 3, term_id: 1 }
+    ])
+
+    queries = 0
+    db.on('query', () => queries++)
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new GraphQLService({ knex: null }, caller())).toThrow('GraphQLService requires a database connection')
+  })
+
+  it('should turn slugs into GraphQL names', () => {
+    expect(pascalCase('nav_menu_item')).toBe('NavMenuItem')
+    expect(camelCase('related-products')).toBe('relatedProducts')
+  })
+
+  it('should generate types from the registries', async () => {
+    const service = new GraphQLService(context(), caller())
+    const schema = buildContentSchema(await service.snapshot())
+    const post = schema.getType('Post').getFields()
+
+    expect(String(post.title.type)).toBe('String')
+    expect(post.title.description).toBe('Title')
+    expect(String(post.rating.type)).toBe('Float')
+    expect(String(post.featured.type)).toBe('Boolean')
+    expect(String(post.relatedProducts.type)).toBe('[Product!]!')
+    expect(String(post.seeAlso.type)).toBe('[Node!]!')
+    expect(String(post.faq.type)).toBe('JSON')
+    expect(String(post.categories.type)).toBe('[Term!]!')
+    expect(Object.keys(schema.getQueryType().getFields())).toEqual(['terms', 'posts', 'post', 'products', 'product', 'secrets', 'secret'])
+  })
+
+  it('should list posts with pagination', async () => {
+    const result = await run(`{
+      posts(limit: 1, offset: 1, orderBy: ID, order: ASC) { total limit offset hasMore items { id slug } }
+    }`)
+    expect(result.errors).toBeUndefined()
+    expect(result.data.posts).toEqual({ total: 3, limit: 1, offset: 1, hasMore: true, items: [{ id: 2, slug: 'second' }] })
+
+    const published = await run('{ posts(status: "published") { total items { slug } } }')
+    expect(published.data.posts.items.map((item) => item.slug)).toEqual(['third', 'first'])
+  })
+
+  it('should resolve typed fields, terms and relationships', async () => {
+    const result = await run(`{
+      post(slug: "first") {
+        title content rating featured faq
+        categories { slug title }
+        relatedProducts { id title }
+        seeAlso { __typename id ... on Post { title } }
+      }
+    }`)
+    expect(result.errors).toBeUndefined()
+    expect(result.data.post).toEqual({
+      title: 'First!',
+      content: '<p>One</p>',
+      rating: 4.5,
+      featured: true,
+      faq: [{ question: 'Why?' }],
+      categories: [{ slug: 'news', title: 'News!' }],
+      relatedProducts: [{ id: 4, title: 'Widget!' }],
+      // Secrets are not readable and trashed posts are gone
+      seeAlso: [{ __typename: 'Post', id: 3, title: 'Third!' }]
+    })
+  })
+
+  it('should batch lookups across a list', async () => {
+    await run('{ posts(limit: 10) { items { title rating categories { title } relatedProducts { title } } } }')
+    // Posts and count, then one query each for meta, terms, term meta, related posts and their meta
+    expect(queries).toBe(7)
+  })
+
+  it('should only show what the caller may read', async () => {
+    const guest = await run('{ posts { total items { id } } secret(id: 5) { id } }', { caps: [], userId: null })
+    expect(guest.data).toEqual({ posts: { total: 0, items: [] }, secret: null })
+
+    // Without read capabilities users see the posts they author
+    const author = await run('{ posts { total items { id } } }', { caps: [], userId: 7 })
+    expect(author.data.posts).toEqual({ total: 1, items: [{ id: 2 }] })
+
+    const terms = await run('{ terms(postType: "posts", taxonomy: "categories") { total items { slug } } }', { caps: ['read'] })
+    expect(terms.data.terms).toEqual({ total: 0, items: [] })
+  })
+
+  it('should list the terms of a taxonomy', async () => {
+    const result = await run('{ terms(postType: "posts", taxonomy: "categories") { total items { id slug taxonomy title } } }')
+    expect(result.data.terms).toEqual({ total: 1, items: [{ id: 1, slug: 'news', taxonomy: 'categories', title: 'News!' }] })
+  })
+
+  it('should regenerate the schema when fields change', async () => {
+    const before = await new GraphQLService(context(), caller()).schema()
+    expect(await new GraphQLService(context(), caller()).schema()).toBe(before)
+
+    fields.products.push({ slug: 'price', type: 'number' })
+    const after = await new GraphQLService(context(), caller()).schema()
+    expect(after).not.toBe(before)
+    expect(String(after.getType('Product').getFields().price.type)).toBe('Float')
+
+    const result = await run('{ product(id: 4) { title price } }')
+    expect(result.data.product).toEqual({ title: 'Widget!', price: null })
+  })
+
+  it('should reject invalid and too deeply nested queries', async () => {
+    expect((await run('{ posts {')).errors[0].message).toMatch(/Syntax Error/)
+    expect((await run('{ posts { items { nope } } }')).data).toBeUndefined()
+
+    // posts > items > seeAlso x 6 > id
+    const nested = Array.from({ length: 6 }).reduce((inner) => `seeAlso { ... on Post { ${inner} } }`, 'id')
+    const deep = await run(`{ posts { items { ${nested} } } }`)
+    expect(deep.errors[0].message).toBe('Query is nested 9 levels deep, at most 8 are allowed')
+    expect(deep.data).toBeUndefined()
+  })
+
+  it('should batch and cache loads', async () => {
+    const calls = []
+    const loader = new BatchLoader(async (keys) => {
+      calls.push(keys)
+      return keys.map((key) => key * 2)
+    })
+    expect(await Promise.all([loader.load(1), loader.load(2), loader.load(1)])).toEqual([2, 4, 2])
+    expect(await loader.loadMany([2, 3])).toEqual([4, 6])
+    expect(calls).toEqual([[1, 2], [3]])
+  })
+})
@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import sharp from 'sharp'
+import ImageService, { MAX_CACHED_TRANSFORMS } from '../../services/ImageService.ts'
+
+describe('ImageService', () => {
+  let root
+  let uploadsPath
+  let cachePath
+  let context
+  let imageService
+
+  beforeEach(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'htmldrop-images-'))
+    uploadsPath = path.join(root, 'uploads')
+    cachePath = path.join(root, 'cache')
+    fs.mkdirSync(path.join(uploadsPath, '2025', '06'), { recursive: true })
+
+    await sharp({ create: { width: 800, height: 600, channels: 3, background: '#3366cc' } })
+      .jpeg()
+      .toFile(path.join(uploadsPath, '2025', '06', 'photo.jpg'))
+
+    context = { options: {} }
+    imageService = new ImageService(context, uploadsPath, cachePath)
+  })
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true })
+  })
+
+  describe('getSizes', () => {
+    it('should merge the image_sizes option over the defaults', () => {
+      context.options.image_sizes = JSON.stringify({ hero: { width: 1600 } })
+      const sizes = imageService.getSizes()
+      expect(sizes.thumbnail).toEqual({ width: 150, height: 150, fit: 'cover' })
+      expect(sizes.hero).toEqual({ width: 1600 })
+    })
+
+    it('should pass sizes through the image_sizes filter of the given hooks', () => {
+      const hooks = { applyFilters: (name, sizes) => (name === 'image_sizes' ? { tiny: { width: 32 } } : sizes) }
+      expect(imageService.getSizes(hooks)).toEqual({ tiny: { width: 32 } })
+    })
+
+    it('should not use hooks stored on the context', () => {
+      context.hooks = { applyFilters: () => ({ tiny: { width: 32 } }) }
+      expect(Object.keys(imageService.getSizes())).toEqual(['thumbnail', 'medium', 'large'])
+    })
+  })
+
+  describe('generateSizes', () => {
+    it('should write derivatives next to the original and skip upscaling', async () => {
+      const result = await imageService.generateSizes('2025/06/photo.jpg')
+
+      expect(result.width).toBe(800)
+      expect(result.height).toBe(600)
+      expect(Object.keys(result.sizes)).toEqual(['thumbnail', 'medium'])
+      expect(result.sizes.thumbnail).toMatchObject({ path: '2025/06/photo-150x150.jpg', width: 150, height: 150 })
+      expect(result.sizes.medium).toMatchObject({ path: '2025/06/photo-300x300.jpg', width: 300, height: 225 })
+      expect(fs.existsSync(path.join(uploadsPath, '2025', '06', 'photo-150x150.jpg'))).toBe(true)
+    })
+
+    it('should generate the sizes of the given hooks', async () => {
+      const hooks = { applyFilters: () => ({ tiny: { width: 32, height: 32, fit: 'cover' } }) }
+      const result = await imageService.generateSizes('2025/06/photo.jpg', hooks)
+      expect(Object.keys(result.sizes)).toEqual(['tiny'])
+    })
+
+    it('should reject paths outside the uploads folder', async () => {
+      await expect(imageService.generateSizes('../secret.jpg')).rejects.toThrow('Image not found')
+    })
+  })
+
+  describe('parseTransform', () => {
+    it('should return null without transform parameters', () => {
+      expect(imageService.parseTransform({})).toBeNull()
+    })
+
+    it('should parse valid parameters', () => {
+      expect(imageService.parseTransform({ w: '256', h: '128', fit: 'contain', format: 'webp' })).toEqual({
+        width: 256,
+        height: 128,
+        fit: 'contain',
+        format: 'webp'
+      })
+    })
+
+    it('should round dimensions up to an allowed dimension', () => {
+      expect(imageService.parseTransform({ w: '200', h: '1' })).toMatchObject({ width: 256, height: 64 })
+      expect(imageService.parseTransform({ w: '151' })).toMatchObject({ width: 256 })
+      expect(imageService.parseTransform({ w: '4000' })).toMatchObject({ width: 2560 })
+    })
+
+    it('should allow the dimensions of the configured sizes', () => {
+      context.options.image_sizes = { hero: { width: 1600, height: 900 } }
+      expect(imageService.parseTransform({ w: '150', h: '900' })).toMatchObject({ width: 150, height: 900 })
+      expect(imageService.parseTransform({ w: '1599' })).toMatchObject({ width: 1600 })
+    })
+
+    it('should use the image_transform_dimensions option instead of the defaults', () => {
+      context.options.image_transform_dimensions = '100, 500'
+      expect(imageService.getTransformDimensions()).toEqual([100, 150, 300, 500, 1024])
+      expect(imageService.parseTransform({ w: '400' })).toMatchObject({ width: 500 })
+    })
+
+    it('should reject invalid parameters', () => {
+      expect(() => imageService.parseTransform({ w: '-1' })).toThrow('Invalid width')
+      expect(() => imageService.parseTransform({ w: '100000' })).toThrow('Invalid width')
+      expect(() => imageService.parseTransform({ w: '10', fit: 'stretch' })).toThrow('Invalid fit')
+      expect(() => imageService.parseTransform({ format: 'bmp' })).toThrow('Invalid format')
+    })
+  })
+
+  describe('transform', () => {
+    it('should resize, convert and cache the result', async () => {
+      const first = await imageService.transform('2025/06/photo.jpg', { width: 100, height: 100, format: 'webp' })
+      expect(first.mime_type).toBe('image/webp')
+      expect(first.file.startsWith(cachePath)).toBe(true)
+
+      const metadata = await sharp(first.file).metadata()
+      expect(metadata.format).toBe('webp')
+      expect(metadata.width).toBe(100)
+      expect(metadata.height).toBe(100)
+
+      const { mtimeMs } = fs.statSync(first.file)
+      const second = await imageService.transform('2025/06/photo.jpg', { width: 100, height: 100, format: 'webp' })
+      expect(second.file).toBe(first.file)
+      expect(fs.statSync(second.file).mtimeMs).toBe(mtimeMs)
+    })
+
+    it('should keep a limited number of transforms per original', async () => {
+      const first = await imageService.transform('2025/06/photo.jpg', { width: 10 })
+      const past = new Date(Date.now() - 60 * 1000)
+      fs.utimesSync(first.file, past, past)
+
+      for (let width = 11; width < 11 + MAX_CACHED_TRANSFORMS; width++) {
+        await imageService.transform('2025/06/photo.jpg', { width })
+      }
+
+      expect(fs.readdirSync(path.dirname(first.file))).toHaveLength(MAX_CACHED_TRANSFORMS)
+      expect(fs.existsSync(first.file)).toBe(false)
+    })
+
+    it('should keep the source format when none is requested', async () => {
+      const result = await imageService.transform('2025/06/photo.jpg', { width: 50 })
+      expect(result.mime_type).toBe('image/jpeg')
+    })
+  })
+
+  describe('deleteDerivatives', () => {
+    it('should remove generated sizes and cached transforms', async () => {
+      const { sizes } = await imageService.generateSizes('2025/06/photo.jpg')
+      const { file } = await imageService.transform('2025/06/photo.jpg', { width: 64 })
+
+      imageService.deleteDerivatives({ path: '2025/06/photo.jpg', sizes })
+
+      expect(fs.existsSync(path.join(uploadsPath, '2025', '06', 'photo-150x150.jpg'))).toBe(false)
+      expect(fs.existsSync(path.join(uploadsPath, '2025', '06', 'photo-300x300.jpg'))).toBe(false)
+      expect(fs.existsSync(file)).toBe(false)
+      expect(fs.existsSync(path.join(uploadsPath, '2025', '06', 'photo.jpg'))).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import bcrypt from 'bcrypt'
+import InvitationService, { parseInvitationCsv } from '../../services/InvitationService.ts'
+
+describe('InvitationService', () => {
+  let db
+  let service
+
+  const formatDate = (date = new Date()) => date.toISOString().replace('Z', '').replace('T', ' ')
+
+  beforeEach(async () => {
+    db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+    await db.schema.createTable('test_users', (table) => {
+      table.increments('id')
+      table.string('username').unique()
+      table.string('email').unique()
+      table.string('password')
+      table.string('status').defaultTo('active')
+      table.string('first_name')
+      table.string('last_name')
+      table.datetime('email_verified_at').nullable()
+      table.string('reset_token').nullable()
+      table.string('reset_token_prefix', 16).nullable()
+      table.datetime('reset_token_expires_at').nullable()
+      table.integer('invited_by').nullable()
+      table.datetime('invited_at').nullable()
+      table.datetime('created_at').defaultTo(db.fn.now())
+      table.datetime('updated_at').defaultTo(db.fn.now())
+      table.datetime('deleted_at').nullable()
+    })
+    await db.schema.createTable('test_roles', (table) => {
+      table.increments('id')
+      table.string('name')
+      table.string('slug')
+    })
+    await db.schema.createTable('test_user_roles', (table) => {
+      table.increments('id')
+      table.integer('user_id')
+      table.integer('role_id')
+    })
+    await db.schema.createTable('test_usermeta', (table) => {
+      table.increments('id')
+      table.integer('user_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+
+    await db('test_roles').insert([
+      { id: 1, name: 'Administrator', slug: 'administrator' },
+      { id: 2, name: 'Editor', slug: 'editor' },
+      { id: 3, name: 'Author', slug: 'author' }
+    ])
+    await db('test_users').insert({ id: 1, username: 'admin', email: 'admin@example.com', password: 'x' })
+
+    service = new InvitationService({
+      knex: db,
+      table: (name) => `test_${name}`,
+      options: {},
+      formatDate,
+      normalizeSlug: (value) => String(value).toLowerCase().replace(/[^a-z0-9-_]/g, '')
+    })
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new InvitationService({ knex: null })).toThrow('InvitationService requires a database connection')
+  })
+
+  it('should parse CSV with and without a header', () => {
+    expect(parseInvitationCsv('email,first_name,roles\njane@example.com,Jane,editor;author\n\n"john@example.com","John ""J""",')).toEqual([
+      { email: 'jane@example.com', roles: ['editor', 'author'], first_name: 'Jane', last_name: undefined },
+      { email: 'john@example.com', roles: [], first_name: 'John "J"', last_name: undefined }
+    ])
+    expect(parseInvitationCsv('jane@example.com,Editor|3,Jane,Smith\r\n')).toEqual([
+      { email: 'jane@example.com', roles: ['Editor', '3'], first_name: 'Jane', last_name: 'Smith' }
+    ])
+    expect(parseInvitationCsv('')).toEqual([])
+  })
+
+  it('should create invited users with their roles', async () => {
+    const { invitation, token } = await service.invite({ email: 'jane@example.com', roles: ['editor', 'Author', 2], invitedBy: 1 })
+    expect(token).toHaveLength(64)
+    expect(invitation).toMatchObject({
+      email: 'jane@example.com',
+      username: 'janeexamplecom',
+      invited_by: { id: 1, username: 'admin' },
+      expired: false
+    })
+    expect(invitation.roles.map((role) => role.slug).sort()).toEqual(['author', 'editor'])
+
+    const row = await db('test_users').where('id', invitation.id).first()
+    expect(row.status).toBe('invited')
+    expect(row.reset_token).not.toBe(token)
+    expect(await service.list()).toHaveLength(1)
+
+    await expect(service.invite({ email: 'jane@example.com' })).rejects.toThrow('A user with the email jane@example.com already exists')
+    await expect(service.invite({ email: 'not-an-email' })).rejects.toThrow()
+    await expect(service.invite({ email: 'john@example.com', roles: ['owner'] })).rejects.toThrow('Unknown role: owner')
+    expect(await db('test_users').where('email', 'john@example.com').first()).toBeUndefined()
+  })
+
+  it('should activate the user when the invitation is accepted', async () => {
+    const { invitation, token } = await service.invite({ email: 'jane@example.com' })
+    await expect(service.accept('wrong-token', 'Password1!')).rejects.toThrow('Invalid or expired invitation')
+
+    const user = await service.accept(token, 'Password1!', { first_name: 'Jane' })
+    expect(user).toMatchObject({ id: invitation.id, status: 'active', first_name: 'Jane', reset_token: null })
+    expect(user.email_verified_at).not.toBeNull()
+    expect(await bcrypt.compare('Password1!', user.password)).toBe(true)
+    expect(await service.list()).toEqual([])
+
+    await expect(service.accept(token, 'Password1!')).rejects.toThrow('Invalid or expired invitation')
+  })
+
+  it('should not accept reset tokens of active users', async () => {
+    const { token } = await service.invite({ email: 'jane@example.com' })
+    await db('test_users').where('email', 'jane@example.com').update({ status: 'active' })
+    await expect(service.accept(token, 'Password1!')).rejects.toThrow('Invalid or expired invitation')
+  })
+
+  it('should resend and revoke invitations', async () => {
+    const first = await service.invite({ email: 'jane@example.com', roles: ['editor'] })
+    await db('test_users').where('id', first.invitation.id).update({ reset_token_expires_at: formatDate(new Date(Date.now() - 1000)) })
+    expect((await service.get(first.invitation.id)).expired).toBe(true)
+
+    const resent = await service.resend(first.invitation.id)
+    expect(resent.invitation.expired).toBe(false)
+    await expect(service.accept(first.token, 'Password1!')).rejects.toThrow('Invalid or expired invitation')
+
+    expect(await service.revoke(first.invitation.id)).toMatchObject({ email: 'jane@example.com' })
+    expect(await db('test_users').where('email', 'jane@example.com').first()).toBeUndefined()
+    expect(await db('test_user_roles').where('user_id', first.invitation.id)).toEqual([])
+    expect(await service.revoke(first.invitation.id)).toBeNull()
+    expect(await service.resend(1)).toBeNull()
+  })
+})
@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import LocalizationService, { toHreflang } from '../../services/LocalizationService.ts'
+
+describe('LocalizationService', () => {
+  let db
+  let context
+  let service
+
+  const insertPost = async (post) => {
+    const [id] = await db('test_posts').insert({ post_type_slug: 'posts', status: 'published', ...post })
+    return db('test_posts').where('id', id).first()
+  }
+
+  const listSlugs = async (locale, options) => {
+    const query = db('test_posts').whereNull('deleted_at').orderBy('id')
+    service.scopeToLocale(query, 'post', locale, options)
+    return (await query).map((row) => row.slug)
+  }
+
+  beforeEach(async () => {
+    db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+    for (const name of ['test_posts', 'test_terms']) {
+      await db.schema.createTable(name, (table) => {
+        table.increments('id')
+        table.string('post_type_slug')
+        table.string('taxonomy_slug')
+        table.string('slug')
+        table.string('status')
+        table.string('locale', 20).nullable()
+        table.string('translation_group', 36).nullable()
+        table.datetime('deleted_at').nullable()
+        table.unique(['translation_group', 'locale'])
+      })
+    }
+    context = {
+      knex: db,
+      table: (name) => `test_${name}`,
+      options: {
+        default_content_locale: 'en_US',
+        content_locales: JSON.stringify(['en_US', 'nb_NO', 'nn_NO']),
+        content_locale_fallbacks: JSON.stringify({ nn_NO: ['nb_NO'] })
+      }
+    }
+    service = new LocalizationService(context)
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new LocalizationService({ knex: null })).toThrow('LocalizationService requires a database connection')
+  })
+
+  it('should read locales and fallbacks from the options', () => {
+    expect(service.getLocales()).toEqual(['en_US', 'nb_NO', 'nn_NO'])
+    expect(service.getFallbackChain('nn_NO')).toEqual(['nn_NO', 'nb_NO', 'en_US'])
+    expect(service.getFallbackChain('nb_NO')).toEqual(['nb_NO', 'en_US'])
+    expect(new LocalizationService({ knex: db, options: null }).getLocales()).toEqual(['en_US'])
+    expect(toHreflang('nb_NO')).toBe('nb-NO')
+  })
+
+  it('should list each item once per locale, falling back to other locales', async () => {
+    const hello = await insertPost({ slug: 'hello', translation_group: 'g1' })
+    await insertPost({ slug: 'hei', locale: 'nb_NO', translation_group: 'g1' })
+    await insertPost({ slug: 'untranslated' })
+    await insertPost({ slug: 'bokmal-only', locale: 'nb_NO' })
+
+    expect(await listSlugs('en_US')).toEqual(['hello', 'untranslated'])
+    expect(await listSlugs('nb_NO')).toEqual(['hei', 'untranslated', 'bokmal-only'])
+    expect(await listSlugs('nn_NO')).toEqual(['hei', 'untranslated', 'bokmal-only'])
+    expect(await listSlugs('nb_NO', { fallback: false })).toEqual(['hei', 'bokmal-only'])
+
+    await db('test_posts').where('slug', 'hei').update({ status: 'draft' })
+    const published = db('test_posts').where('status', 'published').orderBy('id')
+    service.scopeToLocale(published, 'post', 'nb_NO', { siblings: (sub, alias) => sub.where(`${alias}.status`, 'published') })
+    expect((await published).map((row) => row.id)).toContain(hello.id)
+  })
+
+  it('should link a new translation to its source', async () => {
+    const source = await insertPost({ slug: 'hello' })
+    const data = await service.resolveTranslation('post', { post_type_slug: 'posts', locale: 'nb_NO', translation_of: source.id })
+
+    const { translation_group } = await db('test_posts').where('id', source.id).first()
+    expect(translation_group).toHaveLength(36)
+    expect(data).toEqual({ post_type_slug: 'posts', locale: 'nb_NO', translation_group })
+  })
+
+  it('should reject unknown locales and conflicting translations', async () => {
+    const source = await insertPost({ slug: 'hello' })
+    await expect(service.resolveTranslation('post', { locale: 'de_DE' })).rejects.toThrow('Unknown locale "de_DE"')
+    await expect(
+      service.resolveTranslation('post', { post_type_slug: 'posts', translation_of: source.id })
+    ).rejects.toThrow('A translation in en_US already exists')
+    await expect(
+      service.resolveTranslation('post', { post_type_slug: 'pages', locale: 'nb_NO', translation_of: source.id })
+    ).rejects.toThrow('Translation source not found')
+    await expect(service.resolveTranslation('post', { translation_of: source.id }, source)).rejects.toThrow(
+      'An item cannot be a translation of itself'
+    )
+
+    const { translation_group } = await service.resolveTranslation('post', {
+      post_type_slug: 'posts',
+      locale: 'nb_NO',
+      translation_of: source.id
+    })
+    const translation = await insertPost({ slug: 'hei', locale: 'nb_NO', translation_group })
+    await expect(service.resolveTranslation('post', { locale: 'en_US' }, translation)).rejects.toThrow(
+      'A translation in en_US already exists'
+    )
+    expect(await service.resolveTranslation('post', { locale: 'nb_NO', translation_group: 'other' }, translation)).toEqual({
+      locale: 'nb_NO'
+    })
+  })
+
+  it('should leave a translation group', async () => {
+    const item = await insertPost({ slug: 'hei', locale: 'nb_NO', translation_group: 'g1' })
+    expect(await service.resolveTranslation('post', { translation_of: null }, item)).toEqual({ translation_group: null })
+  })
+
+  it('should list translations and hreflang alternates', async () => {
+    const hello = await insertPost({ slug: 'hello', translation_group: 'g1' })
+    await insertPost({ slug: 'hei', locale: 'nb_NO', translation_group: 'g1' })
+    await insertPost({ slug: 'hallo', locale: 'nn_NO', status: 'draft', translation_group: 'g1' })
+
+    expect((await service.getTranslations('post', hello.id)).map((item) => item.locale)).toEqual(['en_US', 'nb_NO', 'nn_NO'])
+    expect((await service.getAlternates('post', hello.id)).map((item) => [item.hreflang, item.slug])).toEqual([
+      ['en-US', 'hello'],
+      ['nb-NO', 'hei'],
+      ['x-default', 'hello']
+    ])
+
+    const single = await insertPost({ slug: 'alone' })
+    expect(await service.getTranslations('post', single.id)).toHaveLength(1)
+    expect(await service.getAlternates('post', single.id)).toEqual([])
+  })
+
+  it('should keep term translations within their taxonomy', async () => {
+    const [id] = await db('test_terms').insert({ post_type_slug: 'posts', taxonomy_slug: 'categories', slug: 'news' })
+    await expect(
+      service.resolveTranslation('term', { post_type_slug: 'posts', taxonomy_slug: 'tags', locale: 'nb_NO', translation_of: id })
+    ).rejects.toThrow('Translation source not found')
+
+    const data = await service.resolveTranslation('term', {
+      post_type_slug: 'posts',
+      taxonomy_slug: 'categories',
+      locale: 'nb_NO',
+      translation_of: id
+    })
+    await db('test_terms').insert({ ...data, slug: 'nyheter' })
+    expect((await service.getTranslations('term', id)).map((item) => [item.slug, item.taxonomy_slug])).toEqual([
+      ['news', 'categories'],
+      ['nyheter', 'categories']
+    ])
+  })
+})
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import LoginProtectionService from '../../services/LoginProtectionService.ts'
+
+describe('LoginProtectionService', () => {
+  let db
+  let context
+  let service
+
+  const formatDate = (date = new Date()) => date.toISOString().replace('Z', '').replace('T', ' ')
+  const firefox = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14.5; rv:131.0) Gecko/20100101 Firefox/131.0'
+  const chrome = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36'
+  const getUser = () => db('test_users').where('id', 1).first()
+
+  beforeEach(async () => {
+    db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+    await db.schema.createTable('test_users', (table) => {
+      table.increments('id')
+      table.string('email')
+      table.integer('failed_login_count').notNullable().defaultTo(0)
+      table.datetime('last_failed_login_at')
+      table.datetime('locked_until')
+    })
+    await db.schema.createTable('test_sessions', (table) => {
+      table.increments('id')
+      table.integer('user_id')
+      table.string('user_agent', 512)
+    })
+    await db('test_users').insert({ id: 1, email: 'john@example.com' })
+
+    context = {
+      knex: db,
+      table: (name) => `test_${name}`,
+      formatDate,
+      options: { login_protection: JSON.stringify({ max_attempts: 5, lockout_minutes: 10 }) }
+    }
+    service = new LoginProtectionService(context)
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new LoginProtectionService({ knex: null })).toThrow('LoginProtectionService requires a database connection')
+  })
+
+  it('should read the settings with defaults', () => {
+    expect(service.getSettings()).toEqual({ max_attempts: 5, lockout_minutes: 10, notify_lockout: true, notify_new_device: true })
+
+    context.options = { login_protection: { max_attempts: 0, notify_new_device: false } }
+    expect(service.getSettings()).toEqual({ max_attempts: 10, lockout_minutes: 15, notify_lockout: true, notify_new_device: false })
+  })
+
+  it('should delay attempts after a few failures', () => {
+    expect([0, 2, 3, 4, 6, 20].map((failures) => service.delaySeconds(failures))).toEqual([0, 0, 1, 2, 8, 60])
+  })
+
+  it('should count failures and lock the account at the limit', async () => {
+    for (let i = 1; i < 5; i++) {
+      expect(await service.recordFailure({ id: 1 })).toEqual({ failures: i, locked: false, lockedUntil: null })
+    }
+    const failure = await service.recordFailure({ id: 1 })
+    expect(failure).toMatchObject({ failures: 5, locked: true })
+    expect(failure.lockedUntil.getTime()).toBeGreaterThan(Date.now() + 9 * 60 * 1000)
+
+    // Further attempts while locked do not report the lock again
+    expect(await service.recordFailure({ id: 1 })).toMatchObject({ failures: 6, locked: false })
+
+    const check = service.check(await getUser())
+    expect(check).toMatchObject({ allowed: false, locked: true })
+  })
+
+  it('should make the user wait after a few recent failures', async () => {
+    await db('test_users')
+      .where('id', 1)
+      .update({ failed_login_count: 4, last_failed_login_at: formatDate() })
+    expect(service.check(await getUser())).toMatchObject({ allowed: false, locked: false })
+
+    await db('test_users')
+      .where('id', 1)
+      .update({ last_failed_login_at: formatDate(new Date(Date.now() - 5000)) })
+    expect(service.check(await getUser())).toEqual({ allowed: true, locked: false, retryAfter: null })
+  })
+
+  it('should start over once failures or the lockout expire', async () => {
+    await db('test_users')
+      .where('id', 1)
+      .update({
+        failed_login_count: 5,
+        last_failed_login_at: formatDate(new Date(Date.now() - 11 * 60 * 1000)),
+        locked_until: formatDate(new Date(Date.now() - 60 * 1000))
+      })
+    expect(service.check(await getUser()).allowed).toBe(true)
+    expect(await service.recordFailure({ id: 1 })).toEqual({ failures: 1, locked: false, lockedUntil: null })
+    expect((await getUser()).locked_until).toBeNull()
+  })
+
+  it('should reset failures on success and unlock', async () => {
+    await db('test_users')
+      .where('id', 1)
+      .update({ failed_login_count: 5, locked_until: formatDate(new Date(Date.now() + 60 * 1000)) })
+    await service.recordSuccess(await getUser())
+    expect(await getUser()).toMatchObject({ failed_login_count: 0, last_failed_login_at: null, locked_until: null })
+
+    expect(await service.unlock(1)).toBe(true)
+    expect(await service.unlock(99)).toBe(false)
+  })
+
+  it('should recognize logins from new devices', async () => {
+    expect(await service.isNewDevice(1, firefox)).toBe(false)
+
+    await db('test_sessions').insert({ user_id: 1, user_agent: firefox })
+    expect(await service.isNewDevice(1, firefox.replace('131.0', '132.0'))).toBe(false)
+    expect(await service.isNewDevice(1, chrome)).toBe(true)
+  })
+})
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import PermalinkService, { isValidStructure } from '../../services/PermalinkService.ts'
+
+describe('PermalinkService', () => {
+  let db
+  let options
+
+  const service = (hooks) => new PermalinkService({ knex: db, table: (name) => `test_${name}`, options }, hooks)
+
+  const post = (id) => db('test_posts').where('id', id).first()
+
+  beforeEach(async () => {
+    options = {}
+    db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+    await db.schema.createTable('test_posts', (table) => {
+      table.increments('id')
+      table.string('post_type_slug')
+      table.string('slug')
+      table.string('status')
+      table.datetime('publish_at').nullable()
+      table.datetime('created_at')
+      table.datetime('deleted_at').nullable()
+    })
+    await db.schema.createTable('test_post_meta', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+    await db.schema.createTable('test_redirects', (table) => {
+      table.increments('id')
+      table.string('source_path').unique()
+      table.string('target_path')
+      table.integer('status_code').defaultTo(301)
+      table.string('type').defaultTo('manual')
+      table.integer('post_id').nullable()
+      table.integer('hits').defaultTo(0)
+      table.datetime('last_hit_at').nullable()
+      table.datetime('created_at').defaultTo(db.fn.now())
+      table.datetime('updated_at').defaultTo(db.fn.now())
+    })
+
+    await db('test_posts').insert([
+      { id: 1, post_type_slug: 'posts', slug: 'hello', status: 'published', created_at: '2025-03-09 10:00:00' },
+      { id: 2, post_type_slug: 'pages', slug: 'about', status: 'published', created_at: '2025-01-01 10:00:00' },
+      { id: 3, post_type_slug: 'pages', slug: 'team', status: 'published', created_at: '2025-01-01 10:00:00' },
+      { id: 4, post_type_slug: 'pages', slug: 'jane', status: 'published', created_at: '2025-01-01 10:00:00' },
+      { id: 5, post_type_slug: 'pages', slug: 'draft', status: 'draft', created_at: '2025-01-01 10:00:00' },
+      { id: 6, post_type_slug: 'products', slug: 'shoe', status: 'published', created_at: '2025-01-01 10:00:00' }
+    ])
+    await db('test_post_meta').insert([
+      { post_id: 3, field_slug: 'parent_slug', value: 'about' },
+      { post_id: 4, field_slug: 'parent_slug', value: 'team' }
+    ])
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new PermalinkService({ knex: null })).toThrow('PermalinkService requires a database connection')
+  })
+
+  it('should validate structures', () => {
+    expect(isValidStructure('/blog/:year/:slug')).toBe(true)
+    expect(isValidStructure('/:path')).toBe(true)
+    expect(isValidStructure('blog/:slug')).toBe(false)
+    expect(isValidStructure('/blog/:year')).toBe(false)
+    expect(isValidStructure('/blog/:unknown/:slug')).toBe(false)
+
+    options.permalink_structures = JSON.stringify({ posts: '/blog/:slug', pages: 'broken' })
+    expect(service().getStructures()).toEqual({ posts: '/blog/:slug', pages: '/:path' })
+  })
+
+  it('should build paths from the structures and the page hierarchy', async () => {
+    expect(await service().path(await post(1))).toBe('/posts/hello')
+    expect(await service().path(await post(4))).toBe('/about/team/jane')
+    expect(await service().path(await post(6))).toBe('/products/shoe')
+
+    options.permalink_structures = JSON.stringify({ posts: '/blog/:year/:month/:day/:slug', products: '/shop/:id-:slug' })
+    const paths = await service().paths([await post(1), await post(6)])
+    expect(paths.get(1)).toBe('/blog/2025/03/09/hello')
+    expect(paths.get(6)).toBe('/shop/6-shoe')
+  })
+
+  it('should resolve paths to published posts', async () => {
+    expect(await service().resolveUrl('/about/team/jane/')).toMatchObject({ type: 'post', postType: 'pages', post: { id: 4 }, path: '/about/team/jane' })
+    expect(await service().resolveUrl('/about')).toMatchObject({ type: 'post', post: { id: 2 } })
+    expect(await service().resolveUrl('/posts/hello')).toMatchObject({ type: 'post', post: { id: 1 } })
+    // The ancestors have to match as well
+    expect(await service().resolveUrl('/team/jane')).toBeNull()
+    expect(await service().resolveUrl('/draft')).toBeNull()
+
+    // Types without a structure resolve when they are public
+    expect(await service().resolveUrl('/products/shoe')).toBeNull()
+    const hooks = { getPublicPostTypes: async () => [{ slug: 'products' }] }
+    expect(await service(hooks).resolveUrl('/products/shoe')).toMatchObject({ type: 'post', post: { id: 6 } })
+
+    options.permalink_structures = JSON.stringify({ posts: '/blog/:year/:slug' })
+    expect(await service().resolveUrl('/blog/2025/hello')).toMatchObject({ type: 'post', post: { id: 1 } })
+    expect(await service().resolveUrl('/blog/2024/hello')).toBeNull()
+  })
+
+  it('should resolve stored redirects', async () => {
+    await db('test_redirects').insert({ source_path: '/old', target_path: '/about', status_code: 308 })
+    expect(await service().resolveUrl('/old')).toMatchObject({ type: 'redirect', location: '/about', status: 308 })
+  })
+
+  it('should record redirects when a parent is renamed', async () => {
+    const permalinks = service()
+    const before = await permalinks.snapshot(2)
+    expect([...before.values()]).toEqual(['/about', '/about/team', '/about/team/jane'])
+
+    await db('test_posts').where('id', 2).update({ slug: 'company' })
+    await permalinks.renameParent('pages', 'about', 'company')
+    const recorded = await permalinks.recordMoves(before)
+    expect(recorded.map((item) => [item.source_path, item.target_path])).toEqual([
+      ['/about', '/company'],
+      ['/about/team', '/company/team'],
+      ['/about/team/jane', '/company/team/jane']
+    ])
+    expect(recorded[2]).toMatchObject({ type: 'auto', status_code: 301, post_id: 4 })
+
+    expect(await service().resolveUrl('/company/team/jane')).toMatchObject({ type: 'post', post: { id: 4 } })
+    expect(await service().resolveUrl('/about/team')).toMatchObject({ type: 'redirect', location: '/company/team', status: 301 })
+  })
+
+  it('should not record redirects for unpublished posts', async () => {
+    const permalinks = service()
+    expect((await permalinks.snapshot(5)).size).toBe(0)
+    const before = await permalinks.snapshot(1)
+    await db('test_posts').where('id', 1).update({ status: 'draft', slug: 'renamed' })
+    expect(await permalinks.recordMoves(before)).toEqual([])
+  })
+})
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import PreviewService from '../../services/PreviewService.ts'
+
+describe('PreviewService', () => {
+  let db
+  let service
+
+  const formatDate = (date) => date.toISOString().replace('Z', '').replace('T', ' ')
+
+  beforeEach(async () => {
+    db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+    await db.schema.createTable('test_posts', (table) => {
+      table.increments('id')
+      table.string('post_type_slug')
+      table.string('slug')
+      table.string('title')
+      table.string('status')
+      table.datetime('publish_at').nullable()
+      table.datetime('created_at')
+      table.datetime('deleted_at').nullable()
+    })
+    await db.schema.createTable('test_post_meta', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+    await db.schema.createTable('test_post_previews', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.integer('user_id').nullable()
+      table.string('prefix')
+      table.string('token_hash').unique()
+      table.text('changes').nullable()
+      table.boolean('shared').defaultTo(false)
+      table.datetime('expires_at')
+      table.datetime('created_at').defaultTo(db.fn.now())
+      table.datetime('updated_at').defaultTo(db.fn.now())
+    })
+
+    await db('test_posts').insert([
+      { id: 1, post_type_slug: 'posts', slug: 'draft', title: 'Draft', status: 'draft', created_at: '2025-01-01 10:00:00' },
+      { id: 2, post_type_slug: 'pages', slug: 'about', title: 'About', status: 'published', created_at: '2025-01-01 10:00:00' },
+      { id: 3, post_type_slug: 'posts', slug: 'trashed', title: 'Trashed', status: 'draft', created_at: '2025-01-01 10:00:00', deleted_at: '2025-02-01 10:00:00' }
+    ])
+    await db('test_post_meta').insert({ post_id: 1, field_slug: 'content', value: JSON.stringify({ text: 'Stored' }) })
+
+    service = new PreviewService({ knex: db, table: (name) => `test_${name}`, options: {}, formatDate })
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new PreviewService({ knex: null })).toThrow('PreviewService requires a database connection')
+  })
+
+  it('should create shared links and validate their lifetime', async () => {
+    const link = await service.create(1, { userId: 7, expiresInHours: 2 })
+    expect(link).toMatchObject({ post_id: 1, user_id: 7, shared: true, url: `/posts/draft?preview=${link.token}` })
+    expect(link.token.startsWith('hdp_')).toBe(true)
+    expect(link.prefix).toBe(link.token.slice(0, 12))
+
+    const row = await db('test_post_previews').where('id', link.id).first()
+    expect(row.token_hash).not.toBe(link.token)
+    expect(row.changes).toBeNull()
+
+    await expect(service.create(1, { expiresInHours: 0 })).rejects.toThrow('expires_in_hours must be a positive number')
+    await expect(service.create(1, { expiresInHours: 721 })).rejects.toThrow('Preview links expire after at most 720 hours')
+    await expect(service.create(3)).rejects.toThrow('Post not found')
+  })
+
+  it('should resolve previews with the meta and the unsaved changes', async () => {
+    const shared = await service.create(1)
+    expect(await service.resolve(shared.token)).toMatchObject({
+      type: 'post',
+      postType: 'posts',
+      path: '/posts/draft',
+      post: { id: 1, title: 'Draft', content: { text: 'Stored' } },
+      preview: { id: shared.id, shared: true }
+    })
+
+    const draft = await service.create(1, { changes: { id: 99, title: 'Unsaved', slug: 'renamed', post_type_slug: 'pages' } })
+    expect(draft.shared).toBe(false)
+    expect(draft.url).toBe(`/posts/renamed?preview=${draft.token}`)
+    const resolved = await service.resolve(draft.token)
+    expect(resolved.post).toMatchObject({ id: 1, post_type_slug: 'posts', title: 'Unsaved', content: { text: 'Stored' } })
+    expect(resolved.path).toBe('/posts/renamed')
+
+    // Draft previews are short-lived and not listed
+    expect((await service.list(1)).map((link) => link.id)).toEqual([shared.id])
+  })
+
+  it('should not resolve unknown, expired or trashed previews', async () => {
+    expect(await service.resolve('hdp_unknown')).toBeNull()
+    expect(await service.resolve('something')).toBeNull()
+
+    const link = await service.create(2)
+    await db('test_post_previews').where('id', link.id).update({ expires_at: formatDate(new Date(Date.now() - 1000)) })
+    expect(await service.resolve(link.token)).toBeNull()
+    expect(await service.list(2)).toEqual([])
+    expect(await service.cleanup()).toBe(1)
+
+    const other = await service.create(2)
+    await db('test_posts').where('id', 2).update({ deleted_at: '2025-03-01 10:00:00' })
+    expect(await service.resolve(other.token)).toBeNull()
+  })
+
+  it('should revoke links', async () => {
+    const link = await service.create(2)
+    expect(await service.revoke(1, link.id)).toBeNull()
+    expect(await service.revoke(2, link.id)).toMatchObject({ id: link.id })
+    expect(await service.resolve(link.token)).toBeNull()
+  })
+})
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import RedirectService, { normalizePath } from '../../services/RedirectService.ts'
+
+describe('RedirectService', () => {
+  let db
+  let service
+
+  const targets = async () =>
+    Object.fromEntries((await db('test_redirects').select('source_path', 'target_path')).map((row) => [row.source_path, row.target_path]))
+
+  beforeEach(async () => {
+    db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+    await db.schema.createTable('test_redirects', (table) => {
+      table.increments('id')
+      table.string('source_path').unique()
+      table.string('target_path')
+      table.integer('status_code').defaultTo(301)
+      table.string('type').defaultTo('manual')
+      table.integer('post_id').nullable()
+      table.integer('hits').defaultTo(0)
+      table.datetime('last_hit_at').nullable()
+      table.datetime('created_at').defaultTo(db.fn.now())
+      table.datetime('updated_at').defaultTo(db.fn.now())
+    })
+    service = new RedirectService({ knex: db, table: (name) => `test_${name}` })
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new RedirectService({ knex: null })).toThrow('RedirectService requires a database connection')
+  })
+
+  it('should normalize paths', () => {
+    expect(normalizePath('old-page/')).toBe('/old-page')
+    expect(normalizePath('/a/b?x=1#top')).toBe('/a/b')
+    expect(normalizePath('/')).toBe('/')
+  })
+
+  it('should validate manual redirects', async () => {
+    await expect(service.create({ target_path: '/new' })).rejects.toThrow('Source path is required')
+    await expect(service.create({ source_path: 'https://example.com/a', target_path: '/b' })).rejects.toThrow('Source must be a path on this site')
+    await expect(service.create({ source_path: '/a', target_path: '/b', status_code: 200 })).rejects.toThrow('Status code must be one of')
+    await expect(service.create({ source_path: '/a/', target_path: '/a' })).rejects.toThrow('Source and target are the same')
+  })
+
+  it('should create, update and delete redirects', async () => {
+    const created = await service.create({ source_path: 'old/', target_path: 'https://example.com/new', status_code: 302 })
+    expect(created).toMatchObject({ source_path: '/old', target_path: 'https://example.com/new', status_code: 302, type: 'manual' })
+
+    const auto = await service.add('/moved', '/here')
+    const updated = await service.update(auto.id, { target_path: '/there' })
+    expect(updated).toMatchObject({ source_path: '/moved', target_path: '/there', type: 'manual' })
+    await expect(service.update(auto.id, { source_path: '/old' })).rejects.toThrow('A redirect for this source already exists')
+
+    expect(await service.delete(created.id)).toMatchObject({ id: created.id })
+    expect(await service.delete(created.id)).toBeNull()
+    expect(await service.list()).toHaveLength(1)
+  })
+
+  it('should collapse chains and avoid loops', async () => {
+    await service.add('/a', '/b')
+    await service.add('/b', '/c')
+    expect(await targets()).toEqual({ '/a': '/c', '/b': '/c' })
+
+    // Moving back to an old path removes the redirect leaving it
+    await service.add('/c', '/b')
+    expect(await targets()).toEqual({ '/a': '/b', '/c': '/b' })
+
+    // Manual rules leaving the target are kept unless they lead back
+    await service.create({ source_path: '/d', target_path: '/elsewhere' })
+    await service.add('/e', '/d')
+    expect((await targets())['/d']).toBe('/elsewhere')
+  })
+
+  it('should match paths and count hits', async () => {
+    await service.add('/old', '/new', { postId: 4 })
+    const match = await service.match('/old/?utm=x')
+    expect(match).toMatchObject({ target_path: '/new', status_code: 301, type: 'auto', post_id: 4 })
+    await service.match('/old')
+    const row = await db('test_redirects').where('source_path', '/old').first()
+    expect(row.hits).toBe(2)
+    expect(row.last_hit_at).not.toBeNull()
+    expect(await service.match('/missing')).toBeNull()
+    expect(await service.list('manual')).toEqual([])
+  })
+})
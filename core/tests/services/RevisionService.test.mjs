@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import RevisionService from '../../services/RevisionService.ts'
+
+describe('RevisionService', () => {
+  let db
+  let revisionService
+
+  beforeEach(async () => {
+    db = knex({
+      client: 'better-sqlite3',
+      connection: ':memory:',
+      useNullAsDefault: true
+    })
+
+    await db.schema.createTable('test_users', (table) => {
+      table.increments('id')
+      table.string('username')
+      table.string('first_name')
+      table.string('last_name')
+    })
+
+    await db.schema.createTable('test_post_revisions', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.integer('author_id')
+      table.string('field_slug')
+      table.text('value')
+      table.string('comment')
+      table.datetime('created_at').defaultTo(db.fn.now())
+    })
+
+    await db('test_users').insert({ id: 1, username: 'editor', first_name: 'Ed', last_name: 'Itor' })
+
+    await db('test_post_revisions').insert([
+      { id: 1, post_id: 10, author_id: 1, field_slug: 'content', value: JSON.stringify('First draft') },
+      { id: 2, post_id: 10, author_id: 1, field_slug: 'excerpt', value: JSON.stringify('Short') },
+      { id: 3, post_id: 10, author_id: 1, field_slug: 'content', value: JSON.stringify('Second draft'), comment: 'typo' },
+      { id: 4, post_id: 11, author_id: null, field_slug: 'content', value: JSON.stringify('Other post') },
+      { id: 5, post_id: 10, author_id: 1, field_slug: 'meta', value: JSON.stringify({ b: 2, a: 1 }) }
+    ])
+
+    revisionService = new RevisionService({
+      knex: db,
+      table: (name) => `test_${name}`
+    })
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new RevisionService({ knex: null, table: (name) => name })).toThrow(
+      'RevisionService requires a database connection'
+    )
+  })
+
+  describe('getRevisions', () => {
+    it('should list revisions of a post newest first with author info', async () => {
+      const { items, total } = await revisionService.getRevisions(10)
+
+      expect(total).toBe(4)
+      expect(items.map((r) => r.id)).toEqual([5, 3, 2, 1])
+      expect(items[1].value).toBe('Second draft')
+      expect(items[1].comment).toBe('typo')
+      expect(items[1].author).toEqual({ id: 1, username: 'editor', first_name: 'Ed', last_name: 'Itor' })
+    })
+
+    it('should filter by field and paginate', async () => {
+      const { items, total } = await revisionService.getRevisions(10, { field: 'content', limit: 1, offset: 1 })
+
+      expect(total).toBe(2)
+      expect(items).toHaveLength(1)
+      expect(items[0].id).toBe(1)
+    })
+
+    it('should return null author for revisions without one', async () => {
+      const { items } = await revisionService.getRevisions(11)
+      expect(items[0].author).toBeNull()
+    })
+  })
+
+  describe('getRevision', () => {
+    it('should only return revisions belonging to the post', async () => {
+      expect(await revisionService.getRevision(10, 3)).not.toBeNull()
+      expect(await revisionService.getRevision(10, 4)).toBeNull()
+    })
+  })
+
+  describe('getSnapshot', () => {
+    it('should use the newest value per field at or before the revision', async () => {
+      expect(await revisionService.getSnapshot(10, 2)).toEqual({ content: 'First draft', excerpt: 'Short' })
+      expect(await revisionService.getSnapshot(10, 3)).toEqual({ content: 'Second draft', excerpt: 'Short' })
+    })
+
+    it('should fall back to the raw value for non-JSON rows', async () => {
+      await db('test_post_revisions').insert({ id: 6, post_id: 10, field_slug: 'content', value: 'legacy' })
+      const snapshot = await revisionService.getSnapshot(10, 6)
+      expect(snapshot.content).toBe('legacy')
+    })
+  })
+
+  describe('diff', () => {
+    it('should report changed, unchanged, added and removed fields', () => {
+      const changes = revisionService.diff(
+        { content: 'a', excerpt: 'same', removed: 'x' },
+        { content: 'b', excerpt: 'same', added: 'y' }
+      )
+
+      expect(changes).toEqual([
+        { field_slug: 'content', status: 'changed', from: 'a', to: 'b' },
+        { field_slug: 'excerpt', status: 'unchanged', from: 'same', to: 'same' },
+        { field_slug: 'removed', status: 'removed', from: 'x', to: null },
+        { field_slug: 'added', status: 'added', from: null, to: 'y' }
+      ])
+    })
+
+    it('should ignore object key order', () => {
+      const [change] = revisionService.diff({ meta: { a: 1, b: 2 } }, { meta: { b: 2, a: 1 } })
+      expect(change.status).toBe('unchanged')
+    })
+
+    it('should limit the diff to the given fields', () => {
+      const changes = revisionService.diff({ content: 'a', other: 1 }, { content: 'b', other: 2 }, ['content'])
+      expect(changes).toHaveLength(1)
+      expect(changes[0].field_slug).toBe('content')
+    })
+  })
+})
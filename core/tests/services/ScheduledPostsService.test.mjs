@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import knex from 'knex'
+import ScheduledPostsService from '../../services/ScheduledPostsService.ts'
+
+const formatDate = (date = new Date()) => date.toISOString().replace('Z', '').replace('T', ' ')
+
+describe('ScheduledPostsService', () => {
+  let db
+  let context
+  let service
+  let request
+  let createRequest
+
+  const now = new Date('2025-06-01T12:00:00.000Z')
+
+  beforeEach(async () => {
+    db = knex({
+      client: 'better-sqlite3',
+      connection: ':memory:',
+      useNullAsDefault: true
+    })
+
+    await db.schema.createTable('test_posts', (table) => {
+      table.increments('id')
+      table.string('post_type_slug')
+      table.string('slug')
+      table.string('status')
+      table.datetime('publish_at').nullable()
+      table.datetime('deleted_at').nullable()
+      table.datetime('updated_at').defaultTo(db.fn.now())
+    })
+
+    await db.schema.createTable('test_post_meta', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+
+    context = {
+      knex: db,
+      table: (name) => `test_${name}`,
+      formatDate
+    }
+    request = { req: { hooks: { doAction: vi.fn(async () => {}) } }, res: {}, next: () => {} }
+    createRequest = vi.fn(async () => request)
+    service = new ScheduledPostsService(context, createRequest)
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new ScheduledPostsService({ knex: null })).toThrow(
+      'ScheduledPostsService requires a database connection'
+    )
+  })
+
+  describe('resolveSchedule', () => {
+    it('should format publish_at for the database', () => {
+      const result = service.resolveSchedule({ status: 'future', publish_at: '2025-07-01T10:00:00.000Z' }, null, now)
+      expect(result.publish_at).toBe('2025-07-01 10:00:00.000')
+      expect(result.status).toBe('future')
+    })
+
+    it('should reject invalid dates', () => {
+      expect(() => service.resolveSchedule({ publish_at: 'not a date' }, null, now)).toThrow('Invalid publish_at date')
+    })
+
+    it('should require a publish date for future posts', () => {
+      expect(() => service.resolveSchedule({ status: 'future' }, null, now)).toThrow(
+        'A publish date (publish_at) is required for scheduled posts'
+      )
+    })
+
+    it('should use the publish date of the existing post', () => {
+      const existing = { id: 1, post_type_slug: 'posts', status: 'draft', publish_at: '2025-07-01 10:00:00.000' }
+      const result = service.resolveSchedule({ status: 'future' }, existing, now)
+      expect(result.status).toBe('future')
+    })
+
+    it('should publish right away when the date has passed', () => {
+      const result = service.resolveSchedule({ status: 'future', publish_at: '2025-05-01T10:00:00.000Z' }, null, now)
+      expect(result.status).toBe('published')
+    })
+
+    it('should clear publish_at when empty', () => {
+      const result = service.resolveSchedule({ status: 'draft', publish_at: '' }, null, now)
+      expect(result.publish_at).toBeNull()
+      expect(result.status).toBe('draft')
+    })
+
+    it('should leave posts without a schedule untouched', () => {
+      const data = { status: 'published', title: 'Hello' }
+      expect(service.resolveSchedule(data, null, now)).toEqual(data)
+    })
+  })
+
+  describe('publishDuePosts', () => {
+    beforeEach(async () => {
+      await db('test_posts').insert([
+        { id: 1, post_type_slug: 'posts', slug: 'due', status: 'future', publish_at: '2025-06-01 11:00:00.000' },
+        { id: 2, post_type_slug: 'posts', slug: 'later', status: 'future', publish_at: '2025-06-02 11:00:00.000' },
+        {
+          id: 3,
+          post_type_slug: 'posts',
+          slug: 'trashed',
+          status: 'future',
+          publish_at: '2025-06-01 10:00:00.000',
+          deleted_at: '2025-06-01 10:30:00.000'
+        },
+        { id: 4, post_type_slug: 'pages', slug: 'draft', status: 'draft', publish_at: '2025-05-01 10:00:00.000' }
+      ])
+      await db('test_post_meta').insert({ post_id: 1, field_slug: 'content', value: JSON.stringify('Hello') })
+    })
+
+    it('should publish only due, non-trashed scheduled posts', async () => {
+      const count = await service.publishDuePosts(now)
+      expect(count).toBe(1)
+
+      const posts = await db('test_posts').orderBy('id')
+      expect(posts.map((p) => p.status)).toEqual(['published', 'future', 'future', 'draft'])
+    })
+
+    it('should fire the hooks of a manual publish with the post and its meta', async () => {
+      await service.publishDuePosts(now)
+
+      const { doAction } = request.req.hooks
+      expect(doAction.mock.calls.map(([action]) => action)).toEqual([
+        'pre_post_update',
+        'edit_post',
+        'save_post',
+        'transition_post_status',
+        'publish_post'
+      ])
+
+      const [, before] = doAction.mock.calls[0]
+      expect(before.post.status).toBe('future')
+      expect(before.coreData).toEqual({ status: 'published' })
+
+      const [, payload] = doAction.mock.calls[4]
+      expect(payload.req).toBe(request.req)
+      expect(payload.scheduled).toBe(true)
+      expect(payload.postType).toBe('posts')
+      expect(payload.post.status).toBe('published')
+      expect(payload.post.content).toBe('Hello')
+    })
+
+    it('should wait for async listeners', async () => {
+      const finished = []
+      request.req.hooks.doAction = vi.fn(async (action) => {
+        await new Promise((resolve) => setTimeout(resolve, 5))
+        finished.push(action)
+      })
+
+      await service.publishDuePosts(now)
+      expect(finished).toHaveLength(5)
+    })
+
+    it('should create the request once per run, and only when posts are due', async () => {
+      await db('test_posts').where('id', 2).update({ publish_at: '2025-06-01 11:30:00.000' })
+
+      await service.publishDuePosts(new Date('2025-05-01T00:00:00.000Z'))
+      expect(createRequest).not.toHaveBeenCalled()
+
+      await expect(service.publishDuePosts(now)).resolves.toBe(2)
+      expect(createRequest).toHaveBeenCalledTimes(1)
+    })
+
+    it('should keep publishing when a hook fails', async () => {
+      await db('test_posts').where('id', 2).update({ publish_at: '2025-06-01 11:30:00.000' })
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
+      request.req.hooks.doAction = vi.fn(async () => {
+        throw new Error('Listener failed')
+      })
+
+      await expect(service.publishDuePosts(now)).resolves.toBe(2)
+      expect(consoleError).toHaveBeenCalledTimes(2)
+      consoleError.mockRestore()
+    })
+
+    it('should work without a request', async () => {
+      service = new ScheduledPostsService(context)
+      await expect(service.publishDuePosts(now)).resolves.toBe(1)
+    })
+  })
+})
@@ -0,0 +1,203 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import SearchService, {
+  LikeSearchDriver,
+  SqliteSearchDriver,
+  createSearchDriver,
+  resolveSearchWeights,
+  tokenize
+} from '../../services/SearchService.ts'
+
+const weights = { title: 10, excerpt: 4, content: 1 }
+
+const createTables = async (db, { fts }) => {
+  await db.schema.createTable('test_posts', (table) => {
+    table.increments('id')
+    table.string('post_type_slug')
+    table.string('slug')
+    table.string('status')
+    table.datetime('created_at')
+    table.datetime('deleted_at').nullable()
+  })
+  await db.schema.createTable('test_post_meta', (table) => {
+    table.increments('id')
+    table.integer('post_id')
+    table.string('field_slug')
+    table.text('value')
+  })
+
+  if (fts) {
+    await db.raw(
+      `CREATE VIRTUAL TABLE test_search_index USING fts5(
+        content, post_id UNINDEXED, post_type_slug UNINDEXED, field UNINDEXED, weight UNINDEXED,
+        tokenize = 'unicode61 remove_diacritics 2'
+      )`
+    )
+  } else {
+    await db.schema.createTable('test_search_index', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.string('post_type_slug')
+      table.string('field')
+      table.integer('weight')
+      table.text('content')
+    })
+  }
+}
+
+const insertPost = async (db, { meta = {}, ...post }) => {
+  const [id] = await db('test_posts').insert({
+    post_type_slug: 'posts',
+    status: 'published',
+    created_at: '2025-12-20 10:00:00',
+    ...post
+  })
+  for (const [field_slug, value] of Object.entries(meta)) {
+    await db('test_post_meta').insert({ post_id: id, field_slug, value })
+  }
+  return { id, post_type_slug: 'posts', status: 'published', ...post, ...meta }
+}
+
+describe('SearchService', () => {
+  let db
+  let context
+  let service
+
+  const setup = async (fts) => {
+    db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+    await createTables(db, { fts })
+    context = { knex: db, table: (name) => `test_${name}` }
+    service = new SearchService(context)
+  }
+
+  afterEach(async () => {
+    await db?.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new SearchService({ knex: null })).toThrow('SearchService requires a database connection')
+  })
+
+  describe('helpers', () => {
+    beforeEach(() => setup(true))
+
+    it('should split queries into plain terms', () => {
+      expect(tokenize('Hello, "World" OR hello* -NEAR(x)')).toEqual(['hello', 'world', 'or', 'near', 'x'])
+      expect(tokenize('  ')).toEqual([])
+    })
+
+    it('should collect weighted fields', () => {
+      expect(
+        resolveSearchWeights([
+          { field: { slug: 'title', search_weight: 10 } },
+          { field: { slug: 'status', search_weight: 0 } },
+          { field: { slug: 'price' } },
+          { field: { slug: 'body', search_weight: '2' } }
+        ])
+      ).toEqual({ title: 10, body: 2 })
+    })
+
+    it('should index the text of nested and HTML values', () => {
+      expect(service.toText('<p>Hello <b>world</b></p><script>x()</script>')).toBe('Hello world')
+      expect(service.toText({ blocks: [{ text: 'One' }, { text: 'Two', level: 2 }] })).toBe('One Two 2')
+    })
+
+    it('should pick the driver matching the database', () => {
+      expect(createSearchDriver(context)).toBeInstanceOf(SqliteSearchDriver)
+      expect(createSearchDriver({ ...context, knex: { client: { config: { client: 'oracledb' } } } })).toBeInstanceOf(LikeSearchDriver)
+    })
+
+    it('should highlight escaped snippets around the match', () => {
+      const text = `${'lorem '.repeat(40)}the <Hello> world ${'ipsum '.repeat(40)}`
+      const snippet = service.snippet(text, ['hello'])
+      expect(snippet).toContain('&lt;<mark>Hello</mark>&gt;')
+      expect(snippet.startsWith('…')).toBe(true)
+      expect(snippet.endsWith('…')).toBe(true)
+      expect(snippet.length).toBeLessThan(220)
+    })
+  })
+
+  describe.each([
+    ['FTS5', true],
+    ['LIKE', false]
+  ])('with the %s driver', (_name, fts) => {
+    beforeEach(async () => {
+      await setup(fts)
+      if (!fts) service = new SearchService(context, new LikeSearchDriver(context))
+    })
+
+    it('should rank matches in heavier fields first', async () => {
+      const inContent = await insertPost(db, { slug: 'a', meta: { title: 'Gardening', content: 'Growing tomatoes indoors' } })
+      const inTitle = await insertPost(db, { slug: 'b', meta: { title: 'Tomatoes', content: 'A short guide' } })
+      await service.indexPost(inContent, weights)
+      await service.indexPost(inTitle, weights)
+
+      const { items, total } = await service.search({ query: 'tomatoes', postTypes: ['posts'] })
+      expect(total).toBe(2)
+      expect(items.map((item) => item.id)).toEqual([inTitle.id, inContent.id])
+      expect(items[0]).toMatchObject({ slug: 'b', title: 'Tomatoes', field: 'title', snippet: '<mark>Tomatoes</mark>' })
+      expect(items[1].snippet).toBe('Growing <mark>tomatoes</mark> indoors')
+    })
+
+    it('should require every term and match the last as a prefix', async () => {
+      const post = await insertPost(db, { meta: { title: 'Search engines', content: 'Ranking documents' } })
+      await service.indexPost(post, weights)
+
+      expect((await service.search({ query: 'search rank', postTypes: ['posts'] })).total).toBe(1)
+      expect((await service.search({ query: 'search missing', postTypes: ['posts'] })).total).toBe(0)
+    })
+
+    it('should only return readable post types', async () => {
+      const page = await insertPost(db, { post_type_slug: 'pages', meta: { title: 'About us' } })
+      await service.indexPost(page, weights)
+
+      expect((await service.search({ query: 'about', postTypes: ['posts'] })).total).toBe(0)
+      expect((await service.search({ query: 'about', postTypes: ['posts', 'pages'] })).total).toBe(1)
+      expect((await service.search({ query: 'about', postTypes: [] })).total).toBe(0)
+    })
+
+    it('should drop posts that are unpublished, trashed or removed', async () => {
+      const post = await insertPost(db, { meta: { title: 'Release notes' } })
+      await service.indexPost(post, weights)
+      expect((await service.search({ query: 'release', postTypes: ['posts'] })).total).toBe(1)
+
+      await service.indexPost({ ...post, status: 'draft' }, weights)
+      expect(await db('test_search_index')).toHaveLength(0)
+
+      await service.indexPost(post, weights)
+      await service.indexPost({ ...post, deleted_at: '2025-12-20 11:00:00' }, weights)
+      expect(await db('test_search_index')).toHaveLength(0)
+
+      await service.indexPost(post, weights)
+      await service.removePost(post.id)
+      expect((await service.search({ query: 'release', postTypes: ['posts'] })).total).toBe(0)
+    })
+
+    it('should replace the previous index rows of a post', async () => {
+      const post = await insertPost(db, { meta: { title: 'Old title' } })
+      await service.indexPost(post, weights)
+      await service.indexPost({ ...post, title: 'New title' }, weights)
+
+      expect((await service.search({ query: 'old', postTypes: ['posts'] })).total).toBe(0)
+      expect((await service.search({ query: 'new', postTypes: ['posts'] })).total).toBe(1)
+    })
+
+    it('should paginate', async () => {
+      for (let i = 0; i < 3; i++) {
+        await service.indexPost(await insertPost(db, { meta: { title: `Note ${i}` } }), weights)
+      }
+      const { items, total } = await service.search({ query: 'note', postTypes: ['posts'], limit: 2, offset: 2 })
+      expect(total).toBe(3)
+      expect(items).toHaveLength(1)
+    })
+
+    it('should rebuild the index of a post type', async () => {
+      await insertPost(db, { meta: { title: 'Indexed later', content: '<p>Body text</p>' } })
+      await insertPost(db, { status: 'draft', meta: { title: 'Draft later' } })
+
+      expect(await service.reindex('posts', weights)).toBe(1)
+      expect((await service.search({ query: 'later', postTypes: ['posts'] })).total).toBe(1)
+      expect((await service.search({ query: 'body', postTypes: ['posts'] })).items[0].snippet).toBe('<mark>Body</mark> text')
+    })
+  })
+})
@@ -0,0 +1,189 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import SeoService, { renderTitleTemplate, truncateText } from '../../services/SeoService.ts'
+
+describe('SeoService', () => {
+  let db
+  let options
+  let filters
+
+  const hooks = () => ({
+    applyFilters: async (name, value, ...args) => (filters[name] ? filters[name](value, ...args) : value),
+    getPublicPostType: async (slug) => (slug === 'posts' ? { slug, name_singular: 'Post' } : null),
+    getTaxonomy: async (postType, slug) => ({ slug, name_singular: 'Category' })
+  })
+
+  const service = () => new SeoService({ knex: db, table: (name) => `test_${name}`, options }, hooks())
+
+  const post = (id) => db('test_posts').where('id', id).first()
+
+  beforeEach(async () => {
+    options = { site_name: 'Example', site_description: 'A site', site_url: 'https://example.com' }
+    filters = {}
+
+    db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+    await db.schema.createTable('test_posts', (table) => {
+      table.increments('id')
+      table.string('post_type_slug')
+      table.string('slug')
+      table.string('status')
+      table.string('locale', 20).nullable()
+      table.datetime('publish_at').nullable()
+      table.datetime('created_at')
+      table.datetime('updated_at')
+      table.datetime('deleted_at').nullable()
+    })
+    await db.schema.createTable('test_post_meta', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+    await db.schema.createTable('test_post_authors', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.integer('user_id')
+    })
+    await db.schema.createTable('test_users', (table) => {
+      table.increments('id')
+      table.string('username')
+      table.string('first_name')
+      table.string('last_name')
+    })
+    await db.schema.createTable('test_term_meta', (table) => {
+      table.increments('id')
+      table.integer('term_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+
+    await db('test_posts').insert([
+      { id: 1, post_type_slug: 'posts', slug: 'hello', status: 'published', created_at: '2025-01-01 10:00:00', updated_at: '2025-02-01 10:00:00' },
+      { id: 2, post_type_slug: 'pages', slug: 'about', status: 'draft', locale: 'nb_NO', created_at: '2025-01-02 10:00:00', updated_at: '2025-01-02 10:00:00' },
+      { id: 3, post_type_slug: 'attachments', slug: 'cover', status: 'inherit', created_at: '2025-01-03 10:00:00', updated_at: '2025-01-03 10:00:00' }
+    ])
+    await db('test_post_meta').insert([
+      { post_id: 1, field_slug: 'title', value: 'Hello' },
+      { post_id: 1, field_slug: 'content', value: JSON.stringify({ blocks: [], html: `<p>${'Lorem ipsum dolor sit amet. '.repeat(10)}</p>` }) },
+      { post_id: 1, field_slug: 'featured_image', value: JSON.stringify({ path: '2025/01/hello.jpg', mime_type: 'image/jpeg' }) },
+      { post_id: 2, field_slug: 'title', value: 'About' },
+      {
+        post_id: 2,
+        field_slug: 'seo',
+        value: JSON.stringify({ title: 'About us {separator} {site_name}', description: 'Who we are', canonical: 'https://example.org/about', noindex: false, image: 3 })
+      },
+      { post_id: 3, field_slug: 'file', value: JSON.stringify({ path: '2025/01/cover.png', width: 1200, height: 630 }) },
+      { post_id: 3, field_slug: 'alt_text', value: 'Cover' }
+    ])
+    await db('test_users').insert({ id: 7, username: 'jane', first_name: 'Jane', last_name: 'Doe' })
+    await db('test_post_authors').insert({ post_id: 1, user_id: 7 })
+    await db('test_term_meta').insert([
+      { term_id: 1, field_slug: 'title', value: 'News' },
+      { term_id: 1, field_slug: 'description', value: 'Latest news' }
+    ])
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new SeoService({ knex: null })).toThrow('SeoService requires a database connection')
+  })
+
+  it('should render title templates', () => {
+    const values = { title: 'Hello', site_name: 'Example', separator: '|' }
+    expect(renderTitleTemplate('{title} {separator} {site_name}', values)).toBe('Hello | Example')
+    expect(renderTitleTemplate('{title} {separator} {site_name}', { ...values, site_name: '' })).toBe('Hello')
+    expect(renderTitleTemplate('{title} {unknown}', values)).toBe('Hello {unknown}')
+  })
+
+  it('should cut descriptions at a word', () => {
+    expect(truncateText('<p>Short <b>text</b></p>')).toBe('Short text')
+    const long = truncateText('word '.repeat(50), 20)
+    expect(long).toBe('word word word word…')
+  })
+
+  it('should derive metadata from a post', async () => {
+    const meta = await service().metadata({ post: await post(1) })
+    expect(meta).toMatchObject({
+      title: 'Hello – Example',
+      canonical: 'https://example.com/posts/hello',
+      robots: 'index, follow',
+      type: 'article',
+      locale: 'en_US',
+      image: { url: 'https://example.com/uploads/2025/01/hello.jpg' },
+      publishedTime: '2025-01-01T10:00:00.000Z',
+      modifiedTime: '2025-02-01T10:00:00.000Z'
+    })
+    expect(meta.description.length).toBeLessThanOrEqual(160)
+    expect(meta.description).toMatch(/^Lorem ipsum dolor sit amet\..*…$/)
+    expect(meta.jsonLd[0]).toMatchObject({
+      '@type': 'Article',
+      headline: 'Hello',
+      author: [{ '@type': 'Person', name: 'Jane Doe' }],
+      publisher: { '@type': 'Organization', name: 'Example' }
+    })
+  })
+
+  it('should prefer the values of the SEO field', async () => {
+    const meta = await service().metadata({ post: await post(2), url: 'https://example.com/om' })
+    expect(meta).toMatchObject({
+      title: 'About us – Example',
+      description: 'Who we are',
+      canonical: 'https://example.org/about',
+      // Drafts are never indexed
+      robots: 'noindex, nofollow',
+      type: 'website',
+      locale: 'nb_NO',
+      image: { url: 'https://example.com/uploads/2025/01/cover.png', alt: 'Cover', width: 1200, height: 630 }
+    })
+    expect(meta.jsonLd[0]['@type']).toBe('WebPage')
+  })
+
+  it('should use title templates and defaults from the settings', async () => {
+    options.seo_settings = JSON.stringify({ separator: '|', title_templates: { posts: '{post_type}: {title}' }, image: 3, noindex: true })
+    await db('test_post_meta').where({ post_id: 1, field_slug: 'featured_image' }).delete()
+    const meta = await service().metadata({ post: await post(1) })
+    expect(meta.title).toBe('Post: Hello')
+    expect(meta.robots).toBe('noindex, nofollow')
+    expect(meta.image.url).toBe('https://example.com/uploads/2025/01/cover.png')
+  })
+
+  it('should describe terms and the home page', async () => {
+    const term = await service().metadata({ term: { id: 1, slug: 'news', taxonomy_slug: 'categories', post_type_slug: 'posts', status: 'published' } })
+    expect(term).toMatchObject({ title: 'News – Example', description: 'Latest news', canonical: null })
+    expect(term.jsonLd[0]['@type']).toBe('CollectionPage')
+
+    const home = await service().metadata({})
+    expect(home).toMatchObject({ title: 'Example – A site', canonical: 'https://example.com/', description: 'A site' })
+    expect(home.jsonLd.map((item) => item['@type'])).toEqual(['WebSite', 'Organization'])
+
+    const search = await service().metadata({ title: 'Search', url: 'https://example.com/search?q=a' })
+    expect(search).toMatchObject({ title: 'Search – Example', canonical: 'https://example.com/search?q=a' })
+  })
+
+  it('should apply filters', async () => {
+    filters.seo_title = (title, subject) => `${title} (${subject.post.id})`
+    filters.post_permalink = (path, item) => `/blog/${item.slug}`
+    filters.seo_json_ld = () => []
+    const meta = await service().metadata({ post: await post(1) })
+    expect(meta.title).toBe('Hello – Example (1)')
+    expect(meta.canonical).toBe('https://example.com/blog/hello')
+    expect(meta.jsonLd).toEqual([])
+  })
+
+  it('should render the head tags', async () => {
+    await db('test_post_meta').where({ post_id: 1, field_slug: 'title' }).update({ value: 'Tom & "Jerry" </script>' })
+    const head = await service().head({ post: await post(1) })
+    expect(head).toContain('<title>Tom &amp; &quot;Jerry&quot; &lt;/script&gt; – Example</title>')
+    expect(head).toContain('<link rel="canonical" href="https://example.com/posts/hello">')
+    expect(head).toContain('<meta property="og:type" content="article">')
+    expect(head).toContain('<meta property="og:image" content="https://example.com/uploads/2025/01/hello.jpg">')
+    expect(head).toContain('<meta name="twitter:card" content="summary_large_image">')
+    expect(head).toContain('<meta property="article:published_time" content="2025-01-01T10:00:00.000Z">')
+    expect(head).toContain('<script type="application/ld+json">')
+    // Only the closing tag of the JSON-LD script itself
+    expect(head.match(/<\/script>/g)).toHaveLength(1)
+  })
+})
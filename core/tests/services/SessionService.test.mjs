@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import jwt from 'jsonwebtoken'
+import SessionService, { describeDevice } from '../../services/SessionService.ts'
+
+describe('SessionService', () => {
+  let db
+  let service
+
+  const formatDate = (date = new Date()) => date.toISOString().replace('Z', '').replace('T', ' ')
+  const firefox = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14.5; rv:131.0) Gecko/20100101 Firefox/131.0'
+  const chrome = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36'
+
+  beforeEach(async () => {
+    process.env.JWT_SECRET = 'test-secret'
+    process.env.JWT_REFRESH_SECRET = 'test-refresh-secret'
+
+    db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+    await db.schema.createTable('test_users', (table) => {
+      table.increments('id')
+      table.string('email')
+      table.string('locale')
+    })
+    for (const name of ['roles', 'capabilities']) {
+      await db.schema.createTable(`test_${name}`, (table) => {
+        table.increments('id')
+        table.string('slug')
+      })
+    }
+    await db.schema.createTable('test_user_roles', (table) => {
+      table.integer('user_id')
+      table.integer('role_id')
+    })
+    await db.schema.createTable('test_user_capabilities', (table) => {
+      table.integer('user_id')
+      table.integer('capability_id')
+    })
+    await db.schema.createTable('test_sessions', (table) => {
+      table.increments('id')
+      table.string('sid', 36).unique().notNullable()
+      table.integer('user_id')
+      table.string('user_agent', 512)
+      table.string('ip', 64)
+      table.datetime('last_used_at')
+      table.datetime('expires_at').notNullable()
+      table.datetime('revoked_at')
+      table.string('revoked_reason')
+      table.datetime('created_at')
+      table.datetime('updated_at')
+    })
+    await db.schema.createTable('test_refresh_tokens', (table) => {
+      table.increments('id')
+      table.integer('user_id')
+      table.integer('session_id')
+      table.string('token')
+      table.datetime('expires_at')
+      table.datetime('used_at')
+    })
+    await db.schema.createTable('test_revoked_tokens', (table) => {
+      table.increments('id')
+      table.string('token')
+      table.datetime('revoked_at')
+      table.datetime('expires_at')
+    })
+
+    await db('test_users').insert([
+      { id: 1, email: 'john@example.com' },
+      { id: 2, email: 'jane@example.com' }
+    ])
+
+    service = new SessionService({ knex: db, table: (name) => `test_${name}`, formatDate })
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new SessionService({ knex: null })).toThrow('SessionService requires a database connection')
+  })
+
+  it('should describe devices from the user agent', () => {
+    expect(describeDevice(firefox)).toBe('Firefox on macOS')
+    expect(describeDevice(chrome)).toBe('Chrome on Windows')
+    expect(describeDevice('curl/8.4.0')).toBe('API client')
+    expect(describeDevice(null)).toBe('Unknown device')
+  })
+
+  it('should start a session per login and list it', async () => {
+    const first = await service.issue({ id: 1, email: 'john@example.com' }, { userAgent: firefox, ip: '203.0.113.7' })
+    await service.issue({ id: 1, email: 'john@example.com' }, { userAgent: chrome })
+
+    const { sid } = jwt.decode(first.accessToken)
+    expect(jwt.decode(first.refreshToken).sid).toBe(sid)
+    expect((await db('test_refresh_tokens').first()).token).toBe(service.hash(first.refreshToken))
+
+    const sessions = await service.list(1, sid)
+    expect(sessions).toHaveLength(2)
+    expect(sessions[0]).toMatchObject({ device: 'Firefox on macOS', ip: '203.0.113.7', current: true })
+    expect(sessions[1]).toMatchObject({ device: 'Chrome on Windows', current: false })
+    expect(await service.list(2)).toEqual([])
+  })
+
+  it('should rotate refresh tokens within the session', async () => {
+    const issued = await service.issue({ id: 1, email: 'john@example.com' })
+    const result = await service.refresh(issued.refreshToken, { userAgent: chrome, ip: '198.51.100.2' })
+
+    expect(result.status).toBe('ok')
+    expect(result.tokens.refreshToken).not.toBe(issued.refreshToken)
+    expect(jwt.decode(result.tokens.accessToken).sid).toBe(jwt.decode(issued.accessToken).sid)
+    expect(result.session).toMatchObject({ ip: '198.51.100.2', revoked_at: null })
+    expect(await db('test_sessions').count({ count: '*' }).first()).toEqual({ count: 1 })
+
+    // Within the grace period a used token is only rejected
+    expect(await service.refresh(issued.refreshToken)).toEqual({ status: 'invalid' })
+    expect((await service.refresh(result.tokens.refreshToken)).status).toBe('ok')
+    expect(await service.refresh('not-a-token')).toEqual({ status: 'invalid' })
+  })
+
+  it('should revoke the session when a used refresh token comes back', async () => {
+    const issued = await service.issue({ id: 1, email: 'john@example.com' })
+    const rotated = await service.refresh(issued.refreshToken)
+    await db('test_refresh_tokens').whereNotNull('used_at').update({ used_at: formatDate(new Date(Date.now() - 60 * 1000)) })
+
+    const result = await service.refresh(issued.refreshToken)
+    expect(result.status).toBe('reused')
+    expect(result.session.user_id).toBe(1)
+    expect((await db('test_sessions').first()).revoked_reason).toBe('reuse')
+
+    // The whole family is signed out, including the latest tokens
+    expect(await service.refresh(rotated.tokens.refreshToken)).toEqual({ status: 'invalid' })
+    expect(await service.isRevoked(rotated.tokens.accessToken, jwt.decode(rotated.tokens.accessToken).sid)).toBe(true)
+    expect(await service.list(1)).toEqual([])
+  })
+
+  it('should let only one of parallel refreshes with the same token through', async () => {
+    const issued = await service.issue({ id: 1, email: 'john@example.com' })
+
+    const results = await Promise.all([service.refresh(issued.refreshToken), service.refresh(issued.refreshToken)])
+    expect(results.map((result) => result.status).sort()).toEqual(['invalid', 'ok'])
+    expect(await db('test_refresh_tokens').count({ count: '*' }).first()).toEqual({ count: 2 })
+  })
+
+  it('should remove a used refresh token without a session when it comes back', async () => {
+    const legacy = jwt.sign({ sub: 1 }, process.env.JWT_REFRESH_SECRET, { expiresIn: '1h' })
+    await db('test_refresh_tokens').insert({
+      user_id: 1,
+      token: service.hash(legacy),
+      expires_at: formatDate(new Date(Date.now() + 3600 * 1000)),
+      used_at: formatDate(new Date(Date.now() - 60 * 1000))
+    })
+
+    expect(await service.refresh(legacy)).toEqual({ status: 'invalid' })
+    expect(await db('test_refresh_tokens').first()).toBeUndefined()
+  })
+
+  it('should revoke one or all other sessions', async () => {
+    const current = await service.issue({ id: 1, email: 'john@example.com' })
+    const other = await service.issue({ id: 1, email: 'john@example.com' })
+    await service.issue({ id: 1, email: 'john@example.com' })
+    const currentSid = jwt.decode(current.accessToken).sid
+    const otherSid = jwt.decode(other.accessToken).sid
+
+    const otherSession = await db('test_sessions').where('sid', otherSid).first()
+    expect(await service.revoke(2, otherSession.id)).toBe(false)
+    expect(await service.revoke(1, otherSession.id)).toBe(true)
+    expect(await service.revoke(1, otherSession.id)).toBe(false)
+    expect(await service.isRevoked(other.accessToken, otherSid)).toBe(true)
+    expect(await service.isRevoked(current.accessToken, currentSid)).toBe(false)
+
+    expect(await service.revokeAll(1, currentSid)).toBe(1)
+    expect((await service.list(1, currentSid)).map((session) => session.current)).toEqual([true])
+
+    expect(await service.revokeBySid(currentSid)).toBe(true)
+    expect(await service.list(1)).toEqual([])
+    expect(await service.refresh(current.refreshToken)).toEqual({ status: 'invalid' })
+  })
+
+  it('should move refresh tokens issued before sessions to a new session', async () => {
+    const legacy = jwt.sign({ sub: 1 }, process.env.JWT_REFRESH_SECRET, { expiresIn: '1h' })
+    await db('test_refresh_tokens').insert({
+      user_id: 1,
+      token: service.hash(legacy),
+      expires_at: formatDate(new Date(Date.now() + 3600 * 1000))
+    })
+
+    const result = await service.refresh(legacy, { userAgent: firefox })
+    expect(result.status).toBe('ok')
+    expect(result.session).toMatchObject({ user_id: 1, sid: jwt.decode(result.tokens.accessToken).sid })
+    expect(await service.refresh(legacy)).toEqual({ status: 'invalid' })
+  })
+})
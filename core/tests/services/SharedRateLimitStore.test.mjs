@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest'
+import { SharedRateLimitStore } from '../../services/SharedRateLimitStore.ts'
+
+describe('SharedRateLimitStore', () => {
+  it('should count hits per key outside a cluster', async () => {
+    const store = new SharedRateLimitStore('test-count')
+    store.init({ windowMs: 60000 })
+
+    expect(await store.get('127.0.0.1')).toBeUndefined()
+    expect((await store.increment('127.0.0.1')).totalHits).toBe(1)
+    const info = await store.increment('127.0.0.1')
+    expect(info.totalHits).toBe(2)
+    expect(info.resetTime.getTime()).toBeGreaterThan(Date.now())
+    expect((await store.increment('10.0.0.1')).totalHits).toBe(1)
+
+    await store.decrement('127.0.0.1')
+    expect((await store.get('127.0.0.1')).totalHits).toBe(1)
+
+    await store.resetKey('127.0.0.1')
+    expect(await store.get('127.0.0.1')).toBeUndefined()
+  })
+
+  it('should keep the counters of limiters apart', async () => {
+    const auth = new SharedRateLimitStore('test-auth')
+    const api = new SharedRateLimitStore('test-api')
+    auth.init({ windowMs: 60000 })
+    api.init({ windowMs: 60000 })
+
+    await auth.increment('127.0.0.1')
+    await auth.increment('127.0.0.1')
+    expect((await api.increment('127.0.0.1')).totalHits).toBe(1)
+  })
+
+  it('should start a new window once the old one ends', async () => {
+    const store = new SharedRateLimitStore('test-window')
+    store.init({ windowMs: 1 })
+
+    await store.increment('127.0.0.1')
+    await new Promise((resolve) => setTimeout(resolve, 5))
+    expect(await store.get('127.0.0.1')).toBeUndefined()
+    expect((await store.increment('127.0.0.1')).totalHits).toBe(1)
+  })
+})
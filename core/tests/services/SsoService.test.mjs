@@ -0,0 +1,255 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import crypto from 'crypto'
+import zlib from 'zlib'
+import knex from 'knex'
+import jwt from 'jsonwebtoken'
+import SsoService, { claimValues, splitCertificates } from '../../services/SsoService.ts'
+
+// Self-signed certificate of a test identity provider
+const IDP_CERT = 'MIIDFTCCAf2gAwIBAgIUOdkoGJNC85ywxULhfyNQoaYHh8cwDQYJKoZIhvcNAQELBQAwGjEYMBYGA1UEAwwPaWRwLmV4YW1wbGUuY29tMB4XDTI2MTAxODE5MTA0MloXDTM2MTAxNTE5MTA0MlowGjEYMBYGA1UEAwwPaWRwLmV4YW1wbGUuY29tMIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEAr2Nnf2hjGqPChFM2J/stfUP56x87ax6akV70nO+oj0tcSs79NBaN1QfqSMhtfh1E7Fy28jB9qh33Cv24QKnhMmFydbdWeNhFJYJt7/p/FK+WIF9zd/J3rCt0JJIop91livBhpS4F17jCfZnVmpk6KMDij7lMjvp+WIJXi429pgrC7PlmbtipfGzKNviZY1eFMP5zu3mfF7qsEKJgpjxeD/O8Fb7M7sSfImpZwrscnjnuF3o5+zzc8Fyo5lBuekWwjtj3+X3KqR0aqIfuPdqBxpeueCDgD7+GC3JBqnRY2GlIs5qUW1NcKxRO4p6pWEM1WvrTEB7p/DFtENdRuGnXTQIDAQABo1MwUTAdBgNVHQ4EFgQUoBNzZG5oU8mbn/kUy/vtwdMwr3IwHwYDVR0jBBgwFoAUoBNzZG5oU8mbn/kUy/vtwdMwr3IwDwYDVR0TAQH/BAUwAwEB/zANBgkqhkiG9w0BAQsFAAOCAQEAcT9NZZb3S0Y7MgZ5W7P0ccnhprgsLpBE1f47H5DuiqxDyHOhkLyGa8AYDvJpJcgtvpb8npo5NT6np+aT5uyHWTytq3fcJ8+AaI1neIWylUD7u3BGrxZyxuqKDQY3Bc7WDloTfMnEQJxV4Pwd9x6cxT9OORSqCusVe1xwVBr0OZ14A6EKNVRsBnqiQs8iyYoL4va5vS8+KV3VRWsDss+0MSYnGk8kX4cqTRNubCAEdbEIYpTu5WTY0kKgjdwpJbA3NsI386KNPLhgCkrL+keBK9I3qiSvui1ugTPI/EQeYX0tlYegEvNEzWqTT+QSmFGBrN5fPIU/uIEcXy63ORNxlw=='
+
+const metadata = (binding = 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect') => `<?xml version="1.0"?>
+<md:EntityDescriptor xmlns:md="urn:oasis:names:tc:SAML:2.0:metadata" entityID="https://idp.example.com/saml">
+  <md:IDPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol">
+    <md:KeyDescriptor use="signing">
+      <ds:KeyInfo xmlns:ds="http://www.w3.org/2000/09/xmldsig#">
+        <ds:X509Data><ds:X509Certificate>
+          ${IDP_CERT}
+        </ds:X509Certificate></ds:X509Data>
+      </ds:KeyInfo>
+    </md:KeyDescriptor>
+    <md:SingleSignOnService Binding="${binding}" Location="https://idp.example.com/saml/sso"/>
+  </md:IDPSSODescriptor>
+</md:EntityDescriptor>`
+
+describe('SsoService', () => {
+  let db
+  let service
+
+  const formatDate = (date = new Date()) => date.toISOString().replace('Z', '').replace('T', ' ')
+  const issuer = 'https://login.example.com/realms/main'
+  const oidcProvider = {
+    slug: 'keycloak',
+    type: 'oidc',
+    client_id: 'SSO_CLIENT_ID',
+    secret_env_key: 'SSO_CLIENT_SECRET',
+    redirect_uri: 'https://cms.example.com/api/v1/oauth/keycloak/callback',
+    auth_url: `${issuer}/protocol/openid-connect/auth`,
+    token_url: `${issuer}/protocol/openid-connect/token`,
+    user_info_url: `${issuer}/protocol/openid-connect/userinfo`,
+    issuer,
+    jwks_uri: `${issuer}/protocol/openid-connect/certs`
+  }
+  const samlProvider = {
+    slug: 'okta',
+    type: 'saml',
+    client_id: '',
+    redirect_uri: 'https://cms.example.com/api/v1/oauth/okta/callback',
+    auth_url: 'https://idp.example.com/saml/sso',
+    issuer: 'https://idp.example.com/saml',
+    idp_cert: IDP_CERT
+  }
+
+  // Signing key of the OIDC issuer, published as JWKS
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }] }
+  const idToken = (claims = {}, options = {}) =>
+    jwt.sign({ sub: 'user-1', nonce: 'nonce-1', ...claims }, privateKey, {
+      algorithm: 'RS256',
+      keyid: 'key-1',
+      issuer,
+      audience: 'client-123',
+      expiresIn: '5m',
+      ...options
+    })
+
+  const respond = (routes) =>
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async (url, init) => {
+        const body = routes[String(url)]
+        if (!body) return new Response('Not found', { status: 404 })
+        return Response.json(typeof body === 'function' ? body(init) : body)
+      })
+    )
+
+  beforeEach(async () => {
+    process.env.SSO_CLIENT_ID = 'client-123'
+    process.env.SSO_CLIENT_SECRET = 'secret-123'
+
+    db = knex({ client: 'better-sqlite3', connection: ':memory:', useNullAsDefault: true })
+    await db.schema.createTable('test_roles', (table) => {
+      table.increments('id')
+      table.string('slug')
+    })
+    await db.schema.createTable('test_user_roles', (table) => {
+      table.integer('user_id')
+      table.integer('role_id')
+    })
+    await db.schema.createTable('test_oauth_states', (table) => {
+      table.increments('id')
+      table.string('state_hash', 64)
+      table.string('provider', 50)
+      table.datetime('expires_at')
+      table.datetime('created_at')
+      table.string('code_verifier', 128)
+      table.string('nonce', 64)
+    })
+    await db('test_roles').insert([
+      { id: 1, slug: 'administrator' },
+      { id: 2, slug: 'editor' },
+      { id: 3, slug: 'subscriber' }
+    ])
+
+    service = new SsoService({ knex: db, table: (name) => `test_${name}`, formatDate })
+  })
+
+  afterEach(async () => {
+    vi.unstubAllGlobals()
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new SsoService({ knex: null })).toThrow('SsoService requires a database connection')
+  })
+
+  it('should read claim values and certificates', () => {
+    const claims = { groups: ['staff', 'editors'], realm_access: { roles: ['admin'] }, department: 'News' }
+    expect(claimValues(claims, 'groups')).toEqual(['staff', 'editors'])
+    expect(claimValues(claims, 'realm_access.roles')).toEqual(['admin'])
+    expect(claimValues(claims, 'department')).toEqual(['News'])
+    expect(claimValues(claims, 'missing')).toEqual([])
+
+    const [pem] = splitCertificates(IDP_CERT)
+    expect(pem).toMatch(/^-----BEGIN CERTIFICATE-----\n/)
+    expect(splitCertificates(`${pem}\n${pem}`)).toHaveLength(2)
+    expect(splitCertificates(null)).toEqual([])
+  })
+
+  it('should discover the endpoints of an issuer', async () => {
+    respond({
+      [`${issuer}/.well-known/openid-configuration`]: {
+        issuer,
+        authorization_endpoint: oidcProvider.auth_url,
+        token_endpoint: oidcProvider.token_url,
+        userinfo_endpoint: oidcProvider.user_info_url,
+        jwks_uri: oidcProvider.jwks_uri
+      },
+      'https://evil.example.com/.well-known/openid-configuration': { issuer, authorization_endpoint: 'x', token_endpoint: 'x', jwks_uri: 'x' }
+    })
+
+    expect(await service.discover(`${issuer}/`)).toEqual({
+      auth_url: oidcProvider.auth_url,
+      token_url: oidcProvider.token_url,
+      user_info_url: oidcProvider.user_info_url,
+      jwks_uri: oidcProvider.jwks_uri
+    })
+    await expect(service.discover('https://evil.example.com')).rejects.toThrow('different issuer')
+    await expect(service.discover('https://missing.example.com')).rejects.toThrow('status 404')
+  })
+
+  it('should start OIDC logins with PKCE and a nonce', () => {
+    const login = service.oidcLogin(oidcProvider, 'state-1', ['email'])
+    const url = new URL(login.url)
+
+    expect(url.origin + url.pathname).toBe(oidcProvider.auth_url)
+    expect(url.searchParams.get('client_id')).toBe('client-123')
+    expect(url.searchParams.get('scope')).toBe('openid email')
+    expect(url.searchParams.get('nonce')).toBe(login.nonce)
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256')
+    expect(url.searchParams.get('code_challenge')).toBe(crypto.createHash('sha256').update(login.codeVerifier).digest('base64url'))
+  })
+
+  it('should verify ID tokens against the JWKS', async () => {
+    respond({ [oidcProvider.jwks_uri]: jwks })
+
+    expect((await service.verifyIdToken(idToken(), oidcProvider, 'nonce-1')).sub).toBe('user-1')
+    await expect(service.verifyIdToken(idToken(), oidcProvider, 'nonce-2')).rejects.toThrow('nonce')
+    await expect(service.verifyIdToken(idToken({}, { audience: 'other-client' }), oidcProvider, 'nonce-1')).rejects.toThrow('audience')
+    await expect(service.verifyIdToken(idToken({}, { keyid: 'key-2' }), oidcProvider, 'nonce-1')).rejects.toThrow('No signing key')
+
+    // Tokens signed with the client secret are not accepted
+    const hmac = jwt.sign({ sub: 'user-1', nonce: 'nonce-1' }, 'secret-123', { issuer, audience: 'client-123' })
+    await expect(service.verifyIdToken(hmac, oidcProvider, 'nonce-1')).rejects.toThrow('HS256 is not allowed')
+  })
+
+  it('should complete OIDC logins with the code and verifier', async () => {
+    let tokenRequest
+    respond({
+      [oidcProvider.jwks_uri]: jwks,
+      [oidcProvider.token_url]: (init) => {
+        tokenRequest = new URLSearchParams(init.body)
+        return { access_token: 'access-1', id_token: idToken({ email: 'jane@example.com', email_verified: false }) }
+      },
+      [oidcProvider.user_info_url]: { sub: 'user-1', groups: ['editors'] }
+    })
+
+    const profile = await service.oidcProfile(oidcProvider, 'code-1', 'verifier-1', 'nonce-1')
+    expect(tokenRequest.get('code_verifier')).toBe('verifier-1')
+    expect(tokenRequest.get('client_secret')).toBe('secret-123')
+    expect(profile).toMatchObject({ sub: 'user-1', email: 'jane@example.com', emailVerified: false })
+    expect(profile.claims.groups).toEqual(['editors'])
+  })
+
+  it('should only treat an email_verified claim of true as verified', async () => {
+    for (const [claim, verified] of [[undefined, false], ['false', false], [true, true], ['true', true]]) {
+      respond({
+        [oidcProvider.jwks_uri]: jwks,
+        [oidcProvider.token_url]: { access_token: 'access-1', id_token: idToken({ email: 'jane@example.com', email_verified: claim }) },
+        [oidcProvider.user_info_url]: { sub: 'user-1' }
+      })
+      const profile = await service.oidcProfile(oidcProvider, 'code-1', 'verifier-1', 'nonce-1')
+      expect(profile.emailVerified).toBe(verified)
+    }
+  })
+
+  it('should read identity provider metadata', () => {
+    const parsed = service.parseIdpMetadata(metadata())
+    expect(parsed).toEqual({
+      issuer: 'https://idp.example.com/saml',
+      auth_url: 'https://idp.example.com/saml/sso',
+      idp_cert: splitCertificates(IDP_CERT)[0]
+    })
+
+    expect(() => service.parseIdpMetadata(metadata('urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST'))).toThrow('HTTP-Redirect')
+    expect(() => service.parseIdpMetadata('<html></html>')).toThrow('does not describe a SAML identity provider')
+  })
+
+  it('should only accept SAML responses to requests it sent', async () => {
+    const url = new URL(await service.samlLogin(samlProvider))
+    const request = zlib.inflateRawSync(Buffer.from(url.searchParams.get('SAMLRequest'), 'base64')).toString()
+    const requestId = request.match(/ID="([^"]+)"/)[1]
+    expect(request).toContain('https://cms.example.com/api/v1/oauth/okta/metadata')
+    expect(await db('test_oauth_states').where('provider', 'okta').count({ count: '*' }).first()).toEqual({ count: 1 })
+
+    const response = (inResponseTo) =>
+      Buffer.from(
+        `<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="_r1" Version="2.0" IssueInstant="${new Date().toISOString()}" InResponseTo="${inResponseTo}"><saml:Issuer>https://idp.example.com/saml</saml:Issuer><samlp:Status><samlp:StatusCode Value="urn:oasis:names:tc:SAML:2.0:status:Success"/></samlp:Status><saml:Assertion ID="_a1" Version="2.0" IssueInstant="${new Date().toISOString()}"><saml:Issuer>https://idp.example.com/saml</saml:Issuer><saml:Subject><saml:NameID>jane@example.com</saml:NameID></saml:Subject></saml:Assertion></samlp:Response>`
+      ).toString('base64')
+
+    await expect(service.samlProfile(samlProvider, response('_unknown'))).rejects.toThrow('InResponseTo is not valid')
+    // Known request, but nothing is signed
+    await expect(service.samlProfile(samlProvider, response(requestId))).rejects.toThrow('Invalid signature')
+  })
+
+  it('should map groups to roles and keep other roles', async () => {
+    const provider = {
+      ...oidcProvider,
+      role_claim: 'groups',
+      role_mapping: JSON.stringify([
+        { value: 'cms-admins', role: 'administrator' },
+        { value: 'cms-editors', role: 'editor' }
+      ])
+    }
+    await db('test_user_roles').insert([
+      { user_id: 1, role_id: 1 },
+      { user_id: 1, role_id: 3 }
+    ])
+
+    expect(service.mapRoles(provider, { groups: ['cms-editors', 'other'] })).toEqual(['editor'])
+    expect(await service.syncRoles(1, provider, { groups: ['cms-editors'] })).toEqual({ added: ['editor'], removed: ['administrator'] })
+    expect((await db('test_user_roles').where('user_id', 1).orderBy('role_id')).map((row) => row.role_id)).toEqual([2, 3])
+    expect(await service.syncRoles(1, provider, { groups: ['cms-editors'] })).toEqual({ added: [], removed: [] })
+    expect(await service.syncRoles(1, { ...provider, role_mapping: [] }, {})).toEqual({ added: [], removed: [] })
+  })
+})
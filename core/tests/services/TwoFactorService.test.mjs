@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import knex from 'knex'
+import jwt from 'jsonwebtoken'
+import TwoFactorService, { base32Encode, base32Decode, isTwoFactorMetaKey } from '../../services/TwoFactorService.ts'
+
+describe('TwoFactorService', () => {
+  let db
+  let context
+  let service
+
+  beforeEach(async () => {
+    db = knex({
+      client: 'better-sqlite3',
+      connection: ':memory:',
+      useNullAsDefault: true
+    })
+
+    await db.schema.createTable('test_usermeta', (table) => {
+      table.increments('id')
+      table.integer('user_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+    await db.schema.createTable('test_roles', (table) => {
+      table.increments('id')
+      table.string('slug')
+      table.boolean('two_factor_required').defaultTo(false)
+    })
+    await db.schema.createTable('test_user_roles', (table) => {
+      table.integer('user_id')
+      table.integer('role_id')
+    })
+
+    await db('test_roles').insert([
+      { id: 1, slug: 'administrator', two_factor_required: true },
+      { id: 2, slug: 'editor', two_factor_required: false }
+    ])
+    await db('test_user_roles').insert([
+      { user_id: 1, role_id: 1 },
+      { user_id: 2, role_id: 2 }
+    ])
+
+    context = {
+      knex: db,
+      table: (name) => `test_${name}`,
+      options: { site_name: 'Test Site' }
+    }
+    service = new TwoFactorService(context)
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  // Confirm with the previous step so the current step is still usable for verify()
+  const enroll = async (userId = 2) => {
+    const { secret } = await service.beginEnrollment({ id: userId, email: 'user@example.com' })
+    const codes = await service.confirmEnrollment(userId, service.generateCode(secret, service.currentStep() - 1))
+    return { secret, codes }
+  }
+
+  it('should require a database connection', () => {
+    expect(() => new TwoFactorService({ knex: null })).toThrow('TwoFactorService requires a database connection')
+  })
+
+  describe('TOTP', () => {
+    it('should round-trip base32', () => {
+      const buffer = Buffer.from('12345678901234567890')
+      expect(base32Encode(buffer)).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ')
+      expect(base32Decode(base32Encode(buffer)).equals(buffer)).toBe(true)
+    })
+
+    it('should match the RFC 6238 SHA1 test vectors', () => {
+      const secret = base32Encode(Buffer.from('12345678901234567890'))
+      // 6-digit truncations of the RFC test values
+      expect(service.generateCode(secret, Math.floor(59 / 30))).toBe('287082')
+      expect(service.generateCode(secret, Math.floor(1111111109 / 30))).toBe('081804')
+      expect(service.generateCode(secret, Math.floor(2000000000 / 30))).toBe('279037')
+    })
+
+    it('should accept codes within the drift window only', () => {
+      const secret = service.generateSecret()
+      const now = new Date()
+      const step = service.currentStep(now)
+      expect(service.matchCode(secret, service.generateCode(secret, step - 1), now)).toBe(step - 1)
+      expect(service.matchCode(secret, service.generateCode(secret, step + 3), now)).toBeNull()
+      expect(service.matchCode(secret, 'abc', now)).toBeNull()
+    })
+
+    it('should build an otpauth URI', () => {
+      const uri = service.otpauthUri('SECRET', 'user@example.com')
+      expect(uri).toMatch(/^otpauth:\/\/totp\/Test%20Site%3Auser%40example\.com\?/)
+      expect(uri).toContain('secret=SECRET')
+      expect(uri).toContain('issuer=Test+Site')
+    })
+  })
+
+  describe('enrollment', () => {
+    it('should keep the secret pending until confirmed', async () => {
+      const { secret, otpauth_uri } = await service.beginEnrollment({ id: 2, email: 'user@example.com' })
+      expect(otpauth_uri).toContain(secret)
+      expect(await service.isEnabled(2)).toBe(false)
+
+      await expect(service.confirmEnrollment(2, '000000')).rejects.toThrow('Invalid code')
+
+      const codes = await service.confirmEnrollment(2, service.generateCode(secret))
+      expect(codes).toHaveLength(10)
+      expect(await service.isEnabled(2)).toBe(true)
+
+      const stored = await db('test_usermeta').where('user_id', 2)
+      expect(stored.every((row) => isTwoFactorMetaKey(row.field_slug))).toBe(true)
+      expect(JSON.stringify(stored)).not.toContain(secret)
+      expect(JSON.stringify(stored)).not.toContain(codes[0])
+    })
+
+    it('should refuse to enroll twice', async () => {
+      await enroll()
+      await expect(service.beginEnrollment({ id: 2 })).rejects.toThrow('Two-factor authentication is already enabled')
+    })
+  })
+
+  describe('verify', () => {
+    it('should accept a code once', async () => {
+      const { secret } = await enroll()
+      const code = service.generateCode(secret)
+
+      expect(await service.verify(2, code)).toBe('totp')
+      expect(await service.verify(2, code)).toBeNull()
+    })
+
+    it('should consume recovery codes', async () => {
+      const { codes } = await enroll()
+
+      expect(await service.verify(2, codes[0].toUpperCase())).toBe('recovery')
+      expect(await service.verify(2, codes[0])).toBeNull()
+      expect((await service.getStatus(2)).recovery_codes_remaining).toBe(9)
+    })
+
+    it('should reject codes for users without two-factor', async () => {
+      expect(await service.verify(3, '123456')).toBeNull()
+    })
+
+    it('should remove all state when disabled', async () => {
+      await enroll()
+      await service.disable(2)
+      expect(await service.isEnabled(2)).toBe(false)
+      expect(await db('test_usermeta').where('user_id', 2)).toHaveLength(0)
+    })
+  })
+
+  describe('challengeFor', () => {
+    it('should not challenge users without two-factor', async () => {
+      expect(await service.challengeFor({ id: 2 })).toBeNull()
+    })
+
+    it('should challenge enrolled users', async () => {
+      await enroll()
+      const challenge = await service.challengeFor({ id: 2 })
+      expect(challenge).toMatchObject({ twoFactorRequired: true, setupRequired: false })
+      expect(service.verifyChallenge(challenge.challengeToken)).toEqual({ userId: 2, setup: false })
+    })
+
+    it('should require setup when a role enforces two-factor', async () => {
+      const challenge = await service.challengeFor({ id: 1 })
+      expect(challenge.setupRequired).toBe(true)
+      expect((await service.getStatus(1)).required).toBe(true)
+    })
+
+    it('should follow the OAuth provider mode', async () => {
+      expect(await service.challengeFor({ id: 1 }, 'skip')).toBeNull()
+      expect((await service.challengeFor({ id: 2 }, 'require')).setupRequired).toBe(true)
+    })
+
+    it('should not accept challenge tokens as access tokens', async () => {
+      const challenge = await service.challengeFor({ id: 1 })
+      expect(() => jwt.verify(challenge.challengeToken, process.env.JWT_SECRET || '')).toThrow()
+      expect(service.verifyChallenge('garbage')).toBeNull()
+    })
+  })
+})
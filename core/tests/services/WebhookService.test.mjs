@@ -0,0 +1,286 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import http from 'http'
+import crypto from 'crypto'
+import knex from 'knex'
+import WebhookService from '../../services/WebhookService.ts'
+
+const formatDate = (date = new Date()) => date.toISOString().replace('Z', '').replace('T', ' ')
+
+describe('WebhookService', () => {
+  let db
+  let context
+  let service
+  let server
+  let baseUrl
+  let received
+  let responseStatus
+
+  beforeEach(async () => {
+    db = knex({
+      client: 'better-sqlite3',
+      connection: ':memory:',
+      useNullAsDefault: true
+    })
+
+    await db.schema.createTable('test_webhooks', (table) => {
+      table.increments('id')
+      table.string('name')
+      table.string('url')
+      table.json('events')
+      table.text('secret_encrypted')
+      table.boolean('active').defaultTo(true)
+      table.datetime('created_at').defaultTo(db.fn.now())
+      table.datetime('updated_at').defaultTo(db.fn.now())
+    })
+
+    await db.schema.createTable('test_webhook_deliveries', (table) => {
+      table.increments('id')
+      table.integer('webhook_id')
+      table.string('event')
+      table.text('payload')
+      table.string('status').defaultTo('pending')
+      table.integer('attempts').defaultTo(0)
+      table.integer('response_status').nullable()
+      table.text('response_body').nullable()
+      table.text('error').nullable()
+      table.datetime('next_attempt_at').nullable()
+      table.datetime('delivered_at').nullable()
+      table.datetime('created_at').defaultTo(db.fn.now())
+      table.datetime('updated_at').defaultTo(db.fn.now())
+    })
+
+    await db.schema.createTable('test_posts', (table) => {
+      table.increments('id')
+      table.string('post_type_slug')
+      table.string('slug')
+      table.string('status')
+      table.datetime('created_at')
+      table.datetime('updated_at')
+    })
+
+    await db.schema.createTable('test_post_meta', (table) => {
+      table.increments('id')
+      table.integer('post_id')
+      table.string('field_slug')
+      table.text('value')
+    })
+
+    received = []
+    responseStatus = 200
+    server = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', (chunk) => (body += chunk))
+      req.on('end', () => {
+        received.push({ headers: req.headers, body })
+        res.statusCode = responseStatus
+        res.end('ok')
+      })
+    })
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+
+    context = {
+      knex: db,
+      table: (name) => `test_${name}`,
+      formatDate
+    }
+    service = new WebhookService(context)
+  })
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve))
+    await db.destroy()
+  })
+
+  it('should require a database connection', () => {
+    expect(() => new WebhookService({ knex: null })).toThrow('WebhookService requires a database connection')
+  })
+
+  describe('create', () => {
+    it('should store an encrypted secret and return it once', async () => {
+      const webhook = await service.create({ name: 'Rebuild', url: `${baseUrl}/hook`, events: ['save_post'] })
+
+      expect(webhook.secret).toMatch(/^whsec_/)
+      expect(webhook.secret_masked).not.toContain(webhook.secret)
+      expect(webhook.events).toEqual(['save_post'])
+      expect(webhook.active).toBe(true)
+
+      const row = await db('test_webhooks').where('id', webhook.id).first()
+      expect(row.secret_encrypted).not.toContain(webhook.secret)
+
+      const [listed] = await service.list()
+      expect(listed.secret).toBeUndefined()
+    })
+
+    it('should validate input', async () => {
+      await expect(service.create({ name: '', url: baseUrl, events: ['save_post'] })).rejects.toThrow('Name is required')
+      await expect(service.create({ name: 'A', url: 'not a url', events: ['save_post'] })).rejects.toThrow(
+        'A valid URL is required'
+      )
+      await expect(service.create({ name: 'A', url: 'ftp://example.com', events: ['save_post'] })).rejects.toThrow(
+        'Webhook URL must use http or https'
+      )
+      await expect(service.create({ name: 'A', url: baseUrl, events: [] })).rejects.toThrow(
+        'At least one event is required'
+      )
+      await expect(service.create({ name: 'A', url: baseUrl, events: ['nope'] })).rejects.toThrow('Unknown events: nope')
+    })
+  })
+
+  describe('update', () => {
+    it('should rotate the secret on request', async () => {
+      const webhook = await service.create({ name: 'A', url: baseUrl, events: ['save_post'] })
+      const updated = await service.update(webhook.id, { active: false }, true)
+      expect(updated.active).toBe(false)
+      expect(updated.secret).toMatch(/^whsec_/)
+      expect(updated.secret).not.toBe(webhook.secret)
+    })
+
+    it('should return null for unknown webhooks', async () => {
+      expect(await service.update(999, { name: 'B' })).toBeNull()
+    })
+  })
+
+  describe('getSubscribedEvents', () => {
+    it('should only include events of active webhooks', async () => {
+      await service.create({ name: 'A', url: baseUrl, events: ['save_post', 'delete_post'] })
+      await service.create({ name: 'B', url: baseUrl, events: ['save_user'], active: false })
+      expect((await service.getSubscribedEvents()).sort()).toEqual(['delete_post', 'save_post'])
+    })
+  })
+
+  describe('serialize', () => {
+    it('should strip request objects and credentials', () => {
+      const data = service.serialize({ req: {}, res: {}, next: () => {}, user: { id: 1, password: 'hash' } })
+      expect(data).toEqual({ user: { id: 1 } })
+    })
+
+    it('should only send allowlisted user fields', () => {
+      const user = {
+        id: 1,
+        username: 'ada',
+        email: 'ada@example.com',
+        status: 'active',
+        verification_token: 'token',
+        verification_token_expires_at: '2026-01-01 00:00:00',
+        failed_login_count: 3,
+        last_failed_login_at: '2026-01-01 00:00:00',
+        locked_until: '2026-01-01 00:15:00',
+        reset_token: 'token',
+        session_token: 'token',
+        invite_token: 'token',
+        favourite_color: 'blue'
+      }
+      const data = service.serialize({ req: {}, user })
+      expect(data).toEqual({ user: { id: 1, username: 'ada', email: 'ada@example.com', status: 'active' } })
+    })
+
+    it('should redact the value of secret options', () => {
+      const secret = service.serialize({ option: { id: 3, name: 'smtp_password', value: 'hunter2' } })
+      expect(secret).toEqual({ option: { id: 3, name: 'smtp_password', value: '[redacted]' } })
+
+      const plain = service.serialize({ option: { id: 4, name: 'site_name', value: 'HTMLDrop' } })
+      expect(plain).toEqual({ option: { id: 4, name: 'site_name', value: 'HTMLDrop' } })
+    })
+
+    it('should leave other payload objects as they are', () => {
+      const data = service.serialize({ term: { id: 1, slug: 'token' }, post: { id: 2, status: 'draft' } })
+      expect(data).toEqual({ term: { id: 1, slug: 'token' }, post: { id: 2, status: 'draft' } })
+    })
+  })
+
+  describe('dispatch', () => {
+    it('should send a signed payload to subscribed webhooks', async () => {
+      const webhook = await service.create({ name: 'A', url: `${baseUrl}/hook`, events: ['save_post'] })
+      await service.create({ name: 'B', url: `${baseUrl}/other`, events: ['delete_post'] })
+
+      const ids = await service.dispatch('save_post', { req: {}, post: { id: 5, title: 'Hello' } })
+      expect(ids).toHaveLength(1)
+      expect(received).toHaveLength(1)
+
+      const [{ headers, body }] = received
+      const expected = crypto
+        .createHmac('sha256', webhook.secret)
+        .update(`${headers['x-htmldrop-timestamp']}.${body}`)
+        .digest('hex')
+      expect(headers['x-htmldrop-signature']).toBe(`sha256=${expected}`)
+      expect(headers['x-htmldrop-event']).toBe('save_post')
+      expect(JSON.parse(body)).toMatchObject({ event: 'save_post', data: { post: { id: 5, title: 'Hello' } } })
+
+      const delivery = await db('test_webhook_deliveries').where('id', ids[0]).first()
+      expect(delivery.status).toBe('success')
+      expect(delivery.response_status).toBe(200)
+      expect(delivery.attempts).toBe(1)
+      expect(delivery.next_attempt_at).toBeNull()
+    })
+
+    it('should schedule a retry with backoff when delivery fails', async () => {
+      responseStatus = 500
+      await service.create({ name: 'A', url: `${baseUrl}/hook`, events: ['save_post'] })
+
+      const [id] = await service.dispatch('save_post', { post: { id: 1 } })
+      const delivery = await db('test_webhook_deliveries').where('id', id).first()
+
+      expect(delivery.status).toBe('pending')
+      expect(delivery.response_status).toBe(500)
+      expect(delivery.error).toBe('Endpoint responded with 500')
+      expect(delivery.next_attempt_at).not.toBeNull()
+    })
+
+    it('should track deliveries as jobs when the jobs registry is available', async () => {
+      context.wss = { clients: new Set() }
+      await service.create({ name: 'A', url: `${baseUrl}/hook`, events: ['save_post'] })
+
+      await service.dispatch('save_post', { post: { id: 1 } })
+
+      const job = await db('test_posts').where('post_type_slug', 'jobs').first()
+      expect(job).toBeDefined()
+      const status = await db('test_post_meta').where({ post_id: job.id, field_slug: 'status' }).first()
+      expect(status.value).toBe('completed')
+    })
+  })
+
+  describe('retries', () => {
+    it('should double the backoff after every attempt', () => {
+      expect(service.backoff(1)).toBe(30)
+      expect(service.backoff(2)).toBe(60)
+      expect(service.backoff(3)).toBe(120)
+    })
+
+    it('should retry due deliveries and give up after the last attempt', async () => {
+      responseStatus = 500
+      await service.create({ name: 'A', url: `${baseUrl}/hook`, events: ['save_post'] })
+      const [id] = await service.dispatch('save_post', { post: { id: 1 } })
+
+      const future = new Date(Date.now() + 24 * 60 * 60 * 1000)
+      for (let i = 0; i < 5; i++) await service.processDueDeliveries(future)
+
+      const delivery = await db('test_webhook_deliveries').where('id', id).first()
+      expect(delivery.attempts).toBe(5)
+      expect(delivery.status).toBe('failed')
+      expect(received).toHaveLength(5)
+    })
+
+    it('should reset attempts on redelivery', async () => {
+      await service.create({ name: 'A', url: `${baseUrl}/hook`, events: ['save_post'] })
+      const [id] = await service.dispatch('save_post', { post: { id: 1 } })
+      await db('test_webhook_deliveries').where('id', id).update({ status: 'failed', attempts: 5 })
+
+      const delivery = await service.redeliver(id)
+      expect(delivery.status).toBe('success')
+      expect(delivery.attempts).toBe(1)
+    })
+  })
+
+  describe('getDeliveries', () => {
+    it('should list deliveries newest first', async () => {
+      const webhook = await service.create({ name: 'A', url: `${baseUrl}/hook`, events: ['save_post'] })
+      await service.dispatch('save_post', { post: { id: 1 } })
+      await service.ping(webhook.id)
+
+      const { items, total } = await service.getDeliveries(webhook.id)
+      expect(total).toBe(2)
+      expect(items.map((d) => d.event)).toEqual(['ping', 'save_post'])
+    })
+  })
+})
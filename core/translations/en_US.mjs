@@ -196,5 +196,318 @@ export default {
   'No themes found': 'No themes found',
   'Show installed themes': 'Show installed themes',
   'Cannot delete active theme': 'Cannot delete active theme',
-  Cancel: 'Cancel'
+  Cancel: 'Cancel',
+  Compare: 'Compare',
+  'Compare revision': 'Compare revision',
+  'with current': 'with current',
+  'Restore this revision': 'Restore this revision',
+  'Restore this revision? Current values of tracked fields will be replaced.': 'Restore this revision? Current values of tracked fields will be replaced.',
+  'No revisions yet': 'No revisions yet',
+  'Load more': 'Load more',
+  Close: 'Close',
+  changed: 'changed',
+  unchanged: 'unchanged',
+  added: 'added',
+  removed: 'removed',
+  Scheduled: 'Scheduled',
+  'Publish on': 'Publish on',
+  'Scheduled for': 'Scheduled for',
+  Schedule: 'Schedule',
+  Webhooks: 'Webhooks',
+  'Add webhook': 'Add webhook',
+  'Send signed JSON payloads to external URLs when content changes. Verify the X-HTMLDrop-Signature header with the webhook secret.': 'Send signed JSON payloads to external URLs when content changes. Verify the X-HTMLDrop-Signature header with the webhook secret.',
+  'Signing secret for': 'Signing secret for',
+  'Copy this secret now, it will not be shown again.': 'Copy this secret now, it will not be shown again.',
+  URL: 'URL',
+  Events: 'Events',
+  'No webhooks yet': 'No webhooks yet',
+  Deliveries: 'Deliveries',
+  Test: 'Test',
+  'Edit webhook': 'Edit webhook',
+  'New webhook': 'New webhook',
+  'Static site rebuild': 'Static site rebuild',
+  Secret: 'Secret',
+  'Regenerate secret': 'Regenerate secret',
+  'No deliveries yet': 'No deliveries yet',
+  Attempts: 'Attempts',
+  Redeliver: 'Redeliver',
+  Error: 'Error',
+  'Next attempt': 'Next attempt',
+  Payload: 'Payload',
+  Response: 'Response',
+  'Are you sure you want to delete this webhook?': 'Are you sure you want to delete this webhook?',
+  'Test delivered': 'Test delivered',
+  'Test failed': 'Test failed',
+  success: 'success',
+  pending: 'pending',
+  failed: 'failed',
+  'API keys': 'API keys',
+  'Copy this key now, it will not be shown again': 'Copy this key now, it will not be shown again',
+  'All capabilities': 'All capabilities',
+  'Last used': 'Last used',
+  Never: 'Never',
+  Expires: 'Expires',
+  Revoke: 'Revoke',
+  'No API keys': 'No API keys',
+  Name: 'Name',
+  Capabilities: 'Capabilities',
+  'Create API key': 'Create API key',
+  'Two-factor authentication': 'Two-factor authentication',
+  Enabled: 'Enabled',
+  Disabled: 'Disabled',
+  'Required by role': 'Required by role',
+  'Recovery codes remaining': 'Recovery codes remaining',
+  'Save these recovery codes, they will not be shown again': 'Save these recovery codes, they will not be shown again',
+  'Add this account to your authenticator app and enter the code it shows': 'Add this account to your authenticator app and enter the code it shows',
+  'Open in authenticator app': 'Open in authenticator app',
+  Code: 'Code',
+  Enable: 'Enable',
+  Confirm: 'Confirm',
+  'New recovery codes': 'New recovery codes',
+  Disable: 'Disable',
+  Reset: 'Reset',
+  'Disable two-factor authentication?': 'Disable two-factor authentication?',
+  'Reset two-factor authentication for this user?': 'Reset two-factor authentication for this user?',
+  'Require two-factor authentication': 'Require two-factor authentication',
+  'Two-factor': 'Two-factor',
+  'Follow user settings': 'Follow user settings',
+  Skip: 'Skip',
+  'Always require': 'Always require',
+  'Audit Log': 'Audit Log',
+  Search: 'Search',
+  'All types': 'All types',
+  'All actions': 'All actions',
+  Date: 'Date',
+  User: 'User',
+  Action: 'Action',
+  Item: 'Item',
+  Changes: 'Changes',
+  'IP address': 'IP address',
+  'No entries found': 'No entries found',
+  Field: 'Field',
+  Before: 'Before',
+  After: 'After',
+  'No field changes recorded': 'No field changes recorded',
+  Term: 'Term',
+  Option: 'Option',
+  Role: 'Role',
+  'OAuth provider': 'OAuth provider',
+  Created: 'Created',
+  Deleted: 'Deleted',
+  Activated: 'Activated',
+  Deactivated: 'Deactivated',
+  Installed: 'Installed',
+  'Two-factor reset': 'Two-factor reset',
+  'Failed to load audit log': 'Failed to load audit log',
+  'Search weight': 'Search weight',
+  '0 keeps the field out of search': '0 keeps the field out of search',
+  Translations: 'Translations',
+  Language: 'Language',
+  'Add translation': 'Add translation',
+  'Import & Export': 'Import & Export',
+  Export: 'Export',
+  Import: 'Import',
+  'Download posts, terms, fields and media of the selected post types as a bundle to import on another site.': 'Download posts, terms, fields and media of the selected post types as a bundle to import on another site.',
+  'Include uploaded files': 'Include uploaded files',
+  'Exporting...': 'Exporting...',
+  'Import a bundle exported from this or another site. Items get new IDs and keep their terms, authors and media.': 'Import a bundle exported from this or another site. Items get new IDs and keep their terms, authors and media.',
+  'When a slug is already taken': 'When a slug is already taken',
+  'Import with a new slug': 'Import with a new slug',
+  'Keep the existing item': 'Keep the existing item',
+  'Overwrite the existing item': 'Overwrite the existing item',
+  'Uploading...': 'Uploading...',
+  'Upload bundle': 'Upload bundle',
+  Skipped: 'Skipped',
+  Files: 'Files',
+  Bundle: 'Bundle',
+  Size: 'Size',
+  'No exports yet': 'No exports yet',
+  Download: 'Download',
+  'Failed to load exports': 'Failed to load exports',
+  'Waiting...': 'Waiting...',
+  Completed: 'Completed',
+  Failed: 'Failed',
+  'Running...': 'Running...',
+  'Export failed': 'Export failed',
+  'Import failed': 'Import failed',
+  'Download failed': 'Download failed',
+  'Are you sure you want to delete this export?': 'Are you sure you want to delete this export?',
+  'Failed to delete export': 'Failed to delete export',
+  Refresh: 'Refresh',
+  'Loading...': 'Loading...',
+  Options: 'Options',
+  Example: 'Example',
+  'Field specific options, e.g. choices of a select or min and max of a number': 'Field specific options, e.g. choices of a select or min and max of a number',
+  'Options must be valid JSON': 'Options must be valid JSON',
+  'Unsupported field': 'Unsupported field',
+  'Move up': 'Move up',
+  'Move down': 'Move down',
+  Remove: 'Remove',
+  'Add row': 'Add row',
+  'Search posts...': 'Search posts...',
+  'No posts found': 'No posts found',
+  Paragraph: 'Paragraph',
+  Heading: 'Heading',
+  List: 'List',
+  Quote: 'Quote',
+  Image: 'Image',
+  Embed: 'Embed',
+  HTML: 'HTML',
+  Numbered: 'Numbered',
+  'One item per line': 'One item per line',
+  Citation: 'Citation',
+  'Choose image': 'Choose image',
+  'Alternative text': 'Alternative text',
+  Moderation: 'Moderation',
+  'Comment settings': 'Comment settings',
+  Approved: 'Approved',
+  Spam: 'Spam',
+  Approve: 'Approve',
+  Unapprove: 'Unapprove',
+  'Mark as spam': 'Mark as spam',
+  'In response to': 'In response to',
+  'In reply to': 'In reply to',
+  'No comments found': 'No comments found',
+  'Failed to load comments': 'Failed to load comments',
+  'Failed to update comments': 'Failed to update comments',
+  'Post type': 'Post type',
+  'Comments open': 'Comments open',
+  'Allow guests': 'Allow guests',
+  'Hold for moderation': 'Hold for moderation',
+  'All comments': 'All comments',
+  'Guest comments': 'Guest comments',
+  None: 'None',
+  'Reply depth': 'Reply depth',
+  'Close after days': 'Close after days',
+  'Settings saved': 'Settings saved',
+  'Saving...': 'Saving...',
+  'Failed to load settings': 'Failed to load settings',
+  'Failed to save settings': 'Failed to save settings',
+  Email: 'Email',
+  'Comments are held for moderation according to the setting above, approved comments are public. A reply depth of 1 allows no replies, 0 days keeps comments open.': 'Comments are held for moderation according to the setting above, approved comments are public. A reply depth of 1 allows no replies, 0 days keeps comments open.',
+  Public: 'Public',
+  'Served by the delivery API': 'Served by the delivery API',
+  'Sitemaps & feeds': 'Sitemaps & feeds',
+  'Serve an XML sitemap at /sitemap.xml': 'Serve an XML sitemap at /sitemap.xml',
+  'Serve RSS and Atom feeds at /feed': 'Serve RSS and Atom feeds at /feed',
+  'Include the full content in feeds': 'Include the full content in feeds',
+  'Posts per feed': 'Posts per feed',
+  Sitemap: 'Sitemap',
+  Feed: 'Feed',
+  'No public post types': 'No public post types',
+  'Only published posts of public post types are listed. Themes and plugins can leave posts out with the sitemap_entry and feed_item filters.': 'Only published posts of public post types are listed. Themes and plugins can leave posts out with the sitemap_entry and feed_item filters.',
+  SEO: 'SEO',
+  'SEO settings': 'SEO settings',
+  'Meta title': 'Meta title',
+  'Meta description': 'Meta description',
+  'Canonical URL': 'Canonical URL',
+  'Social image': 'Social image',
+  'Hide from search engines': 'Hide from search engines',
+  'Title template': 'Title template',
+  'Home page title': 'Home page title',
+  'Term title template': 'Term title template',
+  Separator: 'Separator',
+  'Default description': 'Default description',
+  'Default image (attachment ID)': 'Default image (attachment ID)',
+  'Twitter account': 'Twitter account',
+  'Site owner': 'Site owner',
+  Organization: 'Organization',
+  Person: 'Person',
+  'Owner name': 'Owner name',
+  'Logo or photo (attachment ID)': 'Logo or photo (attachment ID)',
+  'Ask search engines not to index this site': 'Ask search engines not to index this site',
+  'Templates can use {title}, {site_name}, {site_description}, {separator}, {post_type} and {taxonomy}. Posts and terms of public post types can override the title, description, canonical URL and image in their SEO field.': 'Templates can use {title}, {site_name}, {site_description}, {separator}, {post_type} and {taxonomy}. Posts and terms of public post types can override the title, description, canonical URL and image in their SEO field.',
+  Permalinks: 'Permalinks',
+  'Permalink settings': 'Permalink settings',
+  Redirects: 'Redirects',
+  'The path of each post is built from the structure of its post type. Available tags:': 'The path of each post is built from the structure of its post type. Available tags:',
+  Structure: 'Structure',
+  'Invalid structure': 'Invalid structure',
+  'When the slug or parent of a published post changes, a 301 redirect from the old path is added automatically.': 'When the slug or parent of a published post changes, a 301 redirect from the old path is added automatically.',
+  'Add redirect': 'Add redirect',
+  'All redirects': 'All redirects',
+  Manual: 'Manual',
+  Automatic: 'Automatic',
+  'Requests to the source path are redirected before the theme renders. Automatic redirects are added when the permalink of a published post changes.': 'Requests to the source path are redirected before the theme renders. Automatic redirects are added when the permalink of a published post changes.',
+  Source: 'Source',
+  Target: 'Target',
+  Hits: 'Hits',
+  'No redirects yet': 'No redirects yet',
+  'Edit redirect': 'Edit redirect',
+  'New redirect': 'New redirect',
+  'A path on this site or a full URL': 'A path on this site or a full URL',
+  'Moved permanently': 'Moved permanently',
+  Found: 'Found',
+  'Temporary redirect': 'Temporary redirect',
+  'Permanent redirect': 'Permanent redirect',
+  'Are you sure you want to delete this redirect?': 'Are you sure you want to delete this redirect?',
+  Preview: 'Preview',
+  'Preview mode': 'Preview mode',
+  'This is a preview of an unpublished version': 'This is a preview of an unpublished version',
+  'Preview links': 'Preview links',
+  'Share preview': 'Share preview',
+  'Link expires in (hours)': 'Link expires in (hours)',
+  'Copy this link now, it will not be shown again.': 'Copy this link now, it will not be shown again.',
+  'No preview links yet': 'No preview links yet',
+  'Create link': 'Create link',
+  'Revoke this preview link?': 'Revoke this preview link?',
+  Registration: 'Registration',
+  'Registration settings': 'Registration settings',
+  'Anyone can register': 'Anyone can register',
+  'Block login until the email address is confirmed': 'Block login until the email address is confirmed',
+  'Confirmation links expire after (hours)': 'Confirmation links expire after (hours)',
+  'New users receive a link to confirm their email address and stay pending until they follow it. Pending users can be activated on their profile.': 'New users receive a link to confirm their email address and stay pending until they follow it. Pending users can be activated on their profile.',
+  'Invite users': 'Invite users',
+  'Email addresses': 'Email addresses',
+  'One per line or separated by commas': 'One per line or separated by commas',
+  Roles: 'Roles',
+  'Or import a CSV file': 'Or import a CSV file',
+  'Columns: email, roles (separated by ;), first_name, last_name': 'Columns: email, roles (separated by ;), first_name, last_name',
+  'Sending...': 'Sending...',
+  'Send invitations': 'Send invitations',
+  Invited: 'Invited',
+  'The invitation email could not be sent': 'The invitation email could not be sent',
+  'Pending invitations': 'Pending invitations',
+  'Invited by': 'Invited by',
+  Expired: 'Expired',
+  Resend: 'Resend',
+  'Revoke the invitation?': 'Revoke the invitation?',
+  'Your sessions': 'Your sessions',
+  Sessions: 'Sessions',
+  'This session': 'This session',
+  'Signed in': 'Signed in',
+  'Last active': 'Last active',
+  'No active sessions': 'No active sessions',
+  'Sign out other sessions': 'Sign out other sessions',
+  'Sign out everywhere': 'Sign out everywhere',
+  'Sign out all other sessions?': 'Sign out all other sessions?',
+  'Sign out this user everywhere?': 'Sign out this user everywhere?',
+  'Locked until': 'Locked until',
+  Unlock: 'Unlock',
+  'Login security': 'Login security',
+  'Login security settings': 'Login security settings',
+  'Lock the account after failed logins': 'Lock the account after failed logins',
+  'Lockout duration (minutes)': 'Lockout duration (minutes)',
+  'Email users when their account is locked': 'Email users when their account is locked',
+  'Email users when they log in from a new device': 'Email users when they log in from a new device',
+  'After a few failed logins each further attempt has to wait longer. Locked accounts can be unlocked on the user profile.': 'After a few failed logins each further attempt has to wait longer. Locked accounts can be unlocked on the user profile.',
+  'Configure OAuth, OpenID Connect and SAML providers to allow users to sign in with external accounts. Environment variables must be set for client secrets.': 'Configure OAuth, OpenID Connect and SAML providers to allow users to sign in with external accounts. Environment variables must be set for client secrets.',
+  Type: 'Type',
+  'Issuer URL': 'Issuer URL',
+  'https://login.example.com/realms/main': 'https://login.example.com/realms/main',
+  'The endpoints and signing keys are discovered from the issuer when saving.': 'The endpoints and signing keys are discovered from the issuer when saving.',
+  'Identity provider metadata': 'Identity provider metadata',
+  'Entity ID': 'Entity ID',
+  'Single sign-on URL': 'Single sign-on URL',
+  'https://idp.example.com/saml/sso': 'https://idp.example.com/saml/sso',
+  'Signing certificate': 'Signing certificate',
+  'Service provider metadata': 'Service provider metadata',
+  'Role claim': 'Role claim',
+  groups: 'groups',
+  'Role mapping': 'Role mapping',
+  Group: 'Group',
+  'Add mapping': 'Add mapping',
+  'Mapped roles are added and removed on every login, other roles stay as they are.': 'Mapped roles are added and removed on every login, other roles stay as they are.',
+  'Create accounts for users signing in for the first time': 'Create accounts for users signing in for the first time',
+  'Failed to save provider': 'Failed to save provider'
 }
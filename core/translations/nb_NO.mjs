@@ -196,5 +196,318 @@ export default {
   'No themes found': 'Ingen temaer funnet',
   'Show installed themes': 'Vis installerte temaer',
   'Cannot delete active theme': 'Kan ikke slette aktivt tema',
-  Cancel: 'Avbryt'
+  Cancel: 'Avbryt',
+  Compare: 'Sammenlign',
+  'Compare revision': 'Sammenlign revisjon',
+  'with current': 'med gjeldende',
+  'Restore this revision': 'Gjenopprett denne revisjonen',
+  'Restore this revision? Current values of tracked fields will be replaced.': 'Gjenopprette denne revisjonen? Gjeldende verdier for sporede felt blir erstattet.',
+  'No revisions yet': 'Ingen revisjoner ennå',
+  'Load more': 'Last inn flere',
+  Close: 'Lukk',
+  changed: 'endret',
+  unchanged: 'uendret',
+  added: 'lagt til',
+  removed: 'fjernet',
+  Scheduled: 'Planlagt',
+  'Publish on': 'Publiser',
+  'Scheduled for': 'Planlagt til',
+  Schedule: 'Planlegg',
+  Webhooks: 'Webhooks',
+  'Add webhook': 'Legg til webhook',
+  'Send signed JSON payloads to external URLs when content changes. Verify the X-HTMLDrop-Signature header with the webhook secret.': 'Send signerte JSON-data til eksterne URL-er når innhold endres. Verifiser X-HTMLDrop-Signature-headeren med webhook-hemmeligheten.',
+  'Signing secret for': 'Signeringshemmelighet for',
+  'Copy this secret now, it will not be shown again.': 'Kopier denne hemmeligheten nå, den vises ikke igjen.',
+  URL: 'URL',
+  Events: 'Hendelser',
+  'No webhooks yet': 'Ingen webhooks ennå',
+  Deliveries: 'Leveranser',
+  Test: 'Test',
+  'Edit webhook': 'Rediger webhook',
+  'New webhook': 'Ny webhook',
+  'Static site rebuild': 'Bygg statisk nettsted',
+  Secret: 'Hemmelighet',
+  'Regenerate secret': 'Generer ny hemmelighet',
+  'No deliveries yet': 'Ingen leveranser ennå',
+  Attempts: 'Forsøk',
+  Redeliver: 'Lever på nytt',
+  Error: 'Feil',
+  'Next attempt': 'Neste forsøk',
+  Payload: 'Innhold',
+  Response: 'Svar',
+  'Are you sure you want to delete this webhook?': 'Er du sikker på at du vil slette denne webhooken?',
+  'Test delivered': 'Test levert',
+  'Test failed': 'Test feilet',
+  success: 'vellykket',
+  pending: 'venter',
+  failed: 'feilet',
+  'API keys': 'API-nøkler',
+  'Copy this key now, it will not be shown again': 'Kopier nøkkelen nå, den vises ikke igjen',
+  'All capabilities': 'Alle rettigheter',
+  'Last used': 'Sist brukt',
+  Never: 'Aldri',
+  Expires: 'Utløper',
+  Revoke: 'Tilbakekall',
+  'No API keys': 'Ingen API-nøkler',
+  Name: 'Navn',
+  Capabilities: 'Rettigheter',
+  'Create API key': 'Opprett API-nøkkel',
+  'Two-factor authentication': 'Tofaktorautentisering',
+  Enabled: 'Aktivert',
+  Disabled: 'Deaktivert',
+  'Required by role': 'Påkrevd av rolle',
+  'Recovery codes remaining': 'Gjenværende gjenopprettingskoder',
+  'Save these recovery codes, they will not be shown again': 'Lagre gjenopprettingskodene, de vises ikke igjen',
+  'Add this account to your authenticator app and enter the code it shows': 'Legg til kontoen i autentiseringsappen og skriv inn koden den viser',
+  'Open in authenticator app': 'Åpne i autentiseringsapp',
+  Code: 'Kode',
+  Enable: 'Aktiver',
+  Confirm: 'Bekreft',
+  'New recovery codes': 'Nye gjenopprettingskoder',
+  Disable: 'Deaktiver',
+  Reset: 'Tilbakestill',
+  'Disable two-factor authentication?': 'Deaktivere tofaktorautentisering?',
+  'Reset two-factor authentication for this user?': 'Tilbakestille tofaktorautentisering for denne brukeren?',
+  'Require two-factor authentication': 'Krev tofaktorautentisering',
+  'Two-factor': 'Tofaktor',
+  'Follow user settings': 'Følg brukerinnstillinger',
+  Skip: 'Hopp over',
+  'Always require': 'Krev alltid',
+  'Audit Log': 'Revisjonslogg',
+  Search: 'Søk',
+  'All types': 'Alle typer',
+  'All actions': 'Alle handlinger',
+  Date: 'Dato',
+  User: 'Bruker',
+  Action: 'Handling',
+  Item: 'Element',
+  Changes: 'Endringer',
+  'IP address': 'IP-adresse',
+  'No entries found': 'Ingen oppføringer funnet',
+  Field: 'Felt',
+  Before: 'Før',
+  After: 'Etter',
+  'No field changes recorded': 'Ingen feltendringer registrert',
+  Term: 'Term',
+  Option: 'Innstilling',
+  Role: 'Rolle',
+  'OAuth provider': 'OAuth-leverandør',
+  Created: 'Opprettet',
+  Deleted: 'Slettet',
+  Activated: 'Aktivert',
+  Deactivated: 'Deaktivert',
+  Installed: 'Installert',
+  'Two-factor reset': 'Tofaktor tilbakestilt',
+  'Failed to load audit log': 'Kunne ikke laste revisjonsloggen',
+  'Search weight': 'Søkevekt',
+  '0 keeps the field out of search': '0 holder feltet utenfor søk',
+  Translations: 'Oversettelser',
+  Language: 'Språk',
+  'Add translation': 'Legg til oversettelse',
+  'Import & Export': 'Import og eksport',
+  Export: 'Eksporter',
+  Import: 'Importer',
+  'Download posts, terms, fields and media of the selected post types as a bundle to import on another site.': 'Last ned innlegg, termer, felt og media for de valgte innleggstypene som en pakke som kan importeres på et annet nettsted.',
+  'Include uploaded files': 'Ta med opplastede filer',
+  'Exporting...': 'Eksporterer...',
+  'Import a bundle exported from this or another site. Items get new IDs and keep their terms, authors and media.': 'Importer en pakke eksportert fra dette eller et annet nettsted. Elementene får nye ID-er og beholder termer, forfattere og media.',
+  'When a slug is already taken': 'Når en slug allerede er i bruk',
+  'Import with a new slug': 'Importer med ny slug',
+  'Keep the existing item': 'Behold eksisterende element',
+  'Overwrite the existing item': 'Overskriv eksisterende element',
+  'Uploading...': 'Laster opp...',
+  'Upload bundle': 'Last opp pakke',
+  Skipped: 'Hoppet over',
+  Files: 'Filer',
+  Bundle: 'Pakke',
+  Size: 'Størrelse',
+  'No exports yet': 'Ingen eksporter ennå',
+  Download: 'Last ned',
+  'Failed to load exports': 'Kunne ikke laste eksporter',
+  'Waiting...': 'Venter...',
+  Completed: 'Fullført',
+  Failed: 'Mislyktes',
+  'Running...': 'Kjører...',
+  'Export failed': 'Eksport mislyktes',
+  'Import failed': 'Import mislyktes',
+  'Download failed': 'Nedlasting mislyktes',
+  'Are you sure you want to delete this export?': 'Er du sikker på at du vil slette denne eksporten?',
+  'Failed to delete export': 'Kunne ikke slette eksporten',
+  Refresh: 'Oppdater',
+  'Loading...': 'Laster...',
+  Options: 'Alternativer',
+  Example: 'Eksempel',
+  'Field specific options, e.g. choices of a select or min and max of a number': 'Feltspesifikke alternativer, f.eks. valg i en nedtrekksliste eller min og maks for et tall',
+  'Options must be valid JSON': 'Alternativene må være gyldig JSON',
+  'Unsupported field': 'Felttype støttes ikke',
+  'Move up': 'Flytt opp',
+  'Move down': 'Flytt ned',
+  Remove: 'Fjern',
+  'Add row': 'Legg til rad',
+  'Search posts...': 'Søk i innlegg...',
+  'No posts found': 'Ingen innlegg funnet',
+  Paragraph: 'Avsnitt',
+  Heading: 'Overskrift',
+  List: 'Liste',
+  Quote: 'Sitat',
+  Image: 'Bilde',
+  Embed: 'Innebygd',
+  HTML: 'HTML',
+  Numbered: 'Nummerert',
+  'One item per line': 'Ett element per linje',
+  Citation: 'Kilde',
+  'Choose image': 'Velg bilde',
+  'Alternative text': 'Alternativ tekst',
+  Moderation: 'Moderering',
+  'Comment settings': 'Kommentarinnstillinger',
+  Approved: 'Godkjent',
+  Spam: 'Spam',
+  Approve: 'Godkjenn',
+  Unapprove: 'Fjern godkjenning',
+  'Mark as spam': 'Merk som spam',
+  'In response to': 'Som svar på',
+  'In reply to': 'Svar på',
+  'No comments found': 'Ingen kommentarer funnet',
+  'Failed to load comments': 'Kunne ikke laste kommentarer',
+  'Failed to update comments': 'Kunne ikke oppdatere kommentarer',
+  'Post type': 'Innleggstype',
+  'Comments open': 'Åpen for kommentarer',
+  'Allow guests': 'Tillat gjester',
+  'Hold for moderation': 'Hold tilbake for moderering',
+  'All comments': 'Alle kommentarer',
+  'Guest comments': 'Gjestekommentarer',
+  None: 'Ingen',
+  'Reply depth': 'Svardybde',
+  'Close after days': 'Steng etter dager',
+  'Settings saved': 'Innstillinger lagret',
+  'Saving...': 'Lagrer...',
+  'Failed to load settings': 'Kunne ikke laste innstillinger',
+  'Failed to save settings': 'Kunne ikke lagre innstillinger',
+  Email: 'E-post',
+  'Comments are held for moderation according to the setting above, approved comments are public. A reply depth of 1 allows no replies, 0 days keeps comments open.': 'Kommentarer holdes tilbake for moderering etter innstillingen over, godkjente kommentarer er offentlige. En svardybde på 1 tillater ingen svar, 0 dager holder kommentarene åpne.',
+  Public: 'Offentlig',
+  'Served by the delivery API': 'Tilgjengelig i leverings-API-et',
+  'Sitemaps & feeds': 'Nettstedskart og feeder',
+  'Serve an XML sitemap at /sitemap.xml': 'Vis et XML-nettstedskart på /sitemap.xml',
+  'Serve RSS and Atom feeds at /feed': 'Vis RSS- og Atom-feeder på /feed',
+  'Include the full content in feeds': 'Ta med hele innholdet i feeder',
+  'Posts per feed': 'Innlegg per feed',
+  Sitemap: 'Nettstedskart',
+  Feed: 'Feed',
+  'No public post types': 'Ingen offentlige innholdstyper',
+  'Only published posts of public post types are listed. Themes and plugins can leave posts out with the sitemap_entry and feed_item filters.': 'Bare publiserte innlegg av offentlige innholdstyper listes. Temaer og utvidelser kan utelate innlegg med filtrene sitemap_entry og feed_item.',
+  SEO: 'SEO',
+  'SEO settings': 'SEO-innstillinger',
+  'Meta title': 'Metatittel',
+  'Meta description': 'Metabeskrivelse',
+  'Canonical URL': 'Kanonisk URL',
+  'Social image': 'Delingsbilde',
+  'Hide from search engines': 'Skjul for søkemotorer',
+  'Title template': 'Tittelmal',
+  'Home page title': 'Tittel på forsiden',
+  'Term title template': 'Tittelmal for termer',
+  Separator: 'Skilletegn',
+  'Default description': 'Standardbeskrivelse',
+  'Default image (attachment ID)': 'Standardbilde (vedleggs-ID)',
+  'Twitter account': 'Twitter-konto',
+  'Site owner': 'Eier av nettstedet',
+  Organization: 'Organisasjon',
+  Person: 'Person',
+  'Owner name': 'Navn på eier',
+  'Logo or photo (attachment ID)': 'Logo eller bilde (vedleggs-ID)',
+  'Ask search engines not to index this site': 'Be søkemotorer om ikke å indeksere dette nettstedet',
+  'Templates can use {title}, {site_name}, {site_description}, {separator}, {post_type} and {taxonomy}. Posts and terms of public post types can override the title, description, canonical URL and image in their SEO field.': 'Maler kan bruke {title}, {site_name}, {site_description}, {separator}, {post_type} og {taxonomy}. Innlegg og termer av offentlige innholdstyper kan overstyre tittel, beskrivelse, kanonisk URL og bilde i SEO-feltet sitt.',
+  Permalinks: 'Permalenker',
+  'Permalink settings': 'Innstillinger for permalenker',
+  Redirects: 'Videresendinger',
+  'The path of each post is built from the structure of its post type. Available tags:': 'Stien til hvert innlegg bygges fra strukturen til innleggstypen. Tilgjengelige tagger:',
+  Structure: 'Struktur',
+  'Invalid structure': 'Ugyldig struktur',
+  'When the slug or parent of a published post changes, a 301 redirect from the old path is added automatically.': 'Når slug eller forelder til et publisert innlegg endres, legges det automatisk til en 301-videresending fra den gamle stien.',
+  'Add redirect': 'Legg til videresending',
+  'All redirects': 'Alle videresendinger',
+  Manual: 'Manuell',
+  Automatic: 'Automatisk',
+  'Requests to the source path are redirected before the theme renders. Automatic redirects are added when the permalink of a published post changes.': 'Forespørsler til kildestien videresendes før temaet vises. Automatiske videresendinger legges til når permalenken til et publisert innlegg endres.',
+  Source: 'Kilde',
+  Target: 'Mål',
+  Hits: 'Treff',
+  'No redirects yet': 'Ingen videresendinger ennå',
+  'Edit redirect': 'Rediger videresending',
+  'New redirect': 'Ny videresending',
+  'A path on this site or a full URL': 'En sti på dette nettstedet eller en full URL',
+  'Moved permanently': 'Flyttet permanent',
+  Found: 'Funnet',
+  'Temporary redirect': 'Midlertidig videresending',
+  'Permanent redirect': 'Permanent videresending',
+  'Are you sure you want to delete this redirect?': 'Er du sikker på at du vil slette denne videresendingen?',
+  Preview: 'Forhåndsvisning',
+  'Preview mode': 'Forhåndsvisningsmodus',
+  'This is a preview of an unpublished version': 'Dette er en forhåndsvisning av en upublisert versjon',
+  'Preview links': 'Forhåndsvisningslenker',
+  'Share preview': 'Del forhåndsvisning',
+  'Link expires in (hours)': 'Lenken utløper om (timer)',
+  'Copy this link now, it will not be shown again.': 'Kopier lenken nå, den vises ikke igjen.',
+  'No preview links yet': 'Ingen forhåndsvisningslenker ennå',
+  'Create link': 'Opprett lenke',
+  'Revoke this preview link?': 'Tilbakekalle denne forhåndsvisningslenken?',
+  Registration: 'Registrering',
+  'Registration settings': 'Registreringsinnstillinger',
+  'Anyone can register': 'Alle kan registrere seg',
+  'Block login until the email address is confirmed': 'Blokker innlogging til e-postadressen er bekreftet',
+  'Confirmation links expire after (hours)': 'Bekreftelseslenker utløper etter (timer)',
+  'New users receive a link to confirm their email address and stay pending until they follow it. Pending users can be activated on their profile.': 'Nye brukere får en lenke for å bekrefte e-postadressen sin og venter til de følger den. Ventende brukere kan aktiveres på profilen sin.',
+  'Invite users': 'Inviter brukere',
+  'Email addresses': 'E-postadresser',
+  'One per line or separated by commas': 'Én per linje eller skilt med komma',
+  Roles: 'Roller',
+  'Or import a CSV file': 'Eller importer en CSV-fil',
+  'Columns: email, roles (separated by ;), first_name, last_name': 'Kolonner: email, roles (skilt med ;), first_name, last_name',
+  'Sending...': 'Sender...',
+  'Send invitations': 'Send invitasjoner',
+  Invited: 'Invitert',
+  'The invitation email could not be sent': 'Invitasjonen kunne ikke sendes på e-post',
+  'Pending invitations': 'Ventende invitasjoner',
+  'Invited by': 'Invitert av',
+  Expired: 'Utløpt',
+  Resend: 'Send på nytt',
+  'Revoke the invitation?': 'Trekke tilbake invitasjonen?',
+  'Your sessions': 'Dine økter',
+  Sessions: 'Økter',
+  'This session': 'Denne økten',
+  'Signed in': 'Logget inn',
+  'Last active': 'Sist aktiv',
+  'No active sessions': 'Ingen aktive økter',
+  'Sign out other sessions': 'Logg ut andre økter',
+  'Sign out everywhere': 'Logg ut overalt',
+  'Sign out all other sessions?': 'Logge ut alle andre økter?',
+  'Sign out this user everywhere?': 'Logge ut denne brukeren overalt?',
+  'Locked until': 'Låst til',
+  Unlock: 'Lås opp',
+  'Login security': 'Innloggingssikkerhet',
+  'Login security settings': 'Innstillinger for innloggingssikkerhet',
+  'Lock the account after failed logins': 'Lås kontoen etter mislykkede innlogginger',
+  'Lockout duration (minutes)': 'Varighet for utestengning (minutter)',
+  'Email users when their account is locked': 'Send e-post til brukere når kontoen deres blir låst',
+  'Email users when they log in from a new device': 'Send e-post til brukere når de logger inn fra en ny enhet',
+  'After a few failed logins each further attempt has to wait longer. Locked accounts can be unlocked on the user profile.': 'Etter noen mislykkede innlogginger må hvert nye forsøk vente lenger. Låste kontoer kan låses opp på brukerprofilen.',
+  'Configure OAuth, OpenID Connect and SAML providers to allow users to sign in with external accounts. Environment variables must be set for client secrets.': 'Konfigurer OAuth-, OpenID Connect- og SAML-leverandører slik at brukere kan logge inn med eksterne kontoer. Miljøvariabler må være satt for klienthemmeligheter.',
+  Type: 'Type',
+  'Issuer URL': 'Utsteder-URL',
+  'https://login.example.com/realms/main': 'https://login.example.com/realms/main',
+  'The endpoints and signing keys are discovered from the issuer when saving.': 'Endepunktene og signeringsnøklene hentes fra utstederen ved lagring.',
+  'Identity provider metadata': 'Metadata for identitetsleverandør',
+  'Entity ID': 'Enhets-ID',
+  'Single sign-on URL': 'URL for enkel pålogging',
+  'https://idp.example.com/saml/sso': 'https://idp.example.com/saml/sso',
+  'Signing certificate': 'Signeringssertifikat',
+  'Service provider metadata': 'Metadata for tjenesteleverandør',
+  'Role claim': 'Rollekrav',
+  groups: 'groups',
+  'Role mapping': 'Rollekobling',
+  Group: 'Gruppe',
+  'Add mapping': 'Legg til kobling',
+  'Mapped roles are added and removed on every login, other roles stay as they are.': 'Koblede roller legges til og fjernes ved hver innlogging, andre roller forblir som de er.',
+  'Create accounts for users signing in for the first time': 'Opprett kontoer for brukere som logger inn for første gang',
+  'Failed to save provider': 'Kunne ikke lagre leverandøren'
 }
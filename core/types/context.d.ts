@@ -10,6 +10,9 @@ import parseVue from '../utils/parseVue.ts'
 import translate from '../utils/translation.ts'
 import TraceStorage from '../services/TraceStorage.ts'
 import TraceStorageDB from '../services/TraceStorageDB.ts'
+import LocalizationService from '../services/LocalizationService.ts'
+import type { SeoSubject, SeoMetadata } from '../services/SeoService.ts'
+import type { ResolvedUrl } from '../services/PermalinkService.ts'
 
 declare global {
   namespace HTMLDrop {
@@ -41,6 +44,42 @@ declare global {
       /** Task scheduler for running scheduled jobs (Laravel-style) */
       scheduler?: SchedulerService | null
 
+      /**
+       * Content localization: site content locales and translations of posts and terms
+       * @example
+       * const alternates = await context.localization.getAlternates('post', post.id)
+       * // [{ locale: 'en_US', hreflang: 'en-US', slug: 'hello' }, ..., { hreflang: 'x-default', ... }]
+       */
+      localization?: LocalizationService | null
+
+      /**
+       * Block renderer for the content of `editor` fields. Pass the request hooks so
+       * plugin blocks are rendered through the `render_block` filter
+       * @example
+       * const html = context.blocks.render(post.content, hooks)
+       */
+      blocks?: { render(content: unknown, hooks?: Hooks): string } | null
+
+      /**
+       * SEO tags for the `<head>`: title, description, canonical, robots, Open Graph,
+       * Twitter and JSON-LD. Pass the request hooks so the `seo_*` filters apply
+       * @example
+       * const head = await context.seo.head({ post, url: `${origin}${req.originalUrl}` }, hooks)
+       */
+      seo?: {
+        head(subject: SeoSubject, hooks?: Hooks): Promise<string>
+        metadata(subject: SeoSubject, hooks?: Hooks): Promise<SeoMetadata>
+      } | null
+
+      /**
+       * Published post at a path according to the permalink structures, or the redirect
+       * stored for it. Web routes resolve the request path before the theme renders
+       * @example
+       * const resolved = await context.resolveUrl('/about/team')
+       * if (resolved?.type === 'post') render(resolved.post)
+       */
+      resolveUrl?: ((path: string, hooks?: Hooks) => Promise<ResolvedUrl | null>) | null
+
       /** Trace storage for performance tracing */
       traceStorage?: InstanceType<typeof TraceStorage> | InstanceType<typeof TraceStorageDB> | null
 
@@ -130,7 +169,7 @@ declare global {
        * @param idOrSlug - Attachment ID or slug
        * @returns URL string or null
        */
-      getAttachmentUrl?(idOrSlug: string | number): Promise<string | null>
+      getAttachmentUrl?(idOrSlug: string | number, size?: string): Promise<string | null>
 
       /**
        * Generate an excerpt from post content
@@ -152,6 +191,13 @@ declare global {
       user?: User
       hooks: Hooks
       guard: Guard
+      /** Set when the request was authenticated with a personal API key */
+      apiKey?: {
+        id: number
+        name: string
+        capabilities: string[] | null
+        [key: string]: any
+      }
       tracer?: PerformanceTracer
       csrfToken?: () => string
       session?: {
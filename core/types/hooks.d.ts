@@ -48,6 +48,16 @@ declare global {
        */
       getPostType(slug: string): Promise<PostType | null>
 
+      /**
+       * Get a post type served by the public delivery API, null unless it is public
+       */
+      getPublicPostType(slug: string): Promise<PostType | null>
+
+      /**
+       * Get all public post types, whatever the current user may access
+       */
+      getPublicPostTypes(): Promise<PostType[]>
+
       /**
        * Get all registered post types
        */
@@ -151,7 +161,7 @@ declare global {
       /**
        * Get the URL for an attachment by ID or slug
        */
-      getAttachmentUrl(idOrSlug: string | number): Promise<string | null>
+      getAttachmentUrl(idOrSlug: string | number, size?: string): Promise<string | null>
 
       /**
        * Generate an excerpt from post content
@@ -177,6 +187,11 @@ declare global {
        */
       sendPasswordResetEmail(user: User, token: string, expiry: Date): Promise<void>
 
+      /**
+       * Send an email address verification email, the expiry is in hours
+       */
+      sendVerificationEmail(user: User, token: string, expiryHours?: number): Promise<void>
+
       /**
        * Send an email using a template function
        */
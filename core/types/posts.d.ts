@@ -38,6 +38,8 @@ declare global {
       description?: string
       icon?: string
       show_in_menu?: boolean
+      // Served to everyone by the public delivery API
+      public?: boolean
       capabilities?: Record<string, string>
       badge?: number
       position?: number
@@ -22,6 +22,8 @@ declare global {
       deleted_at?: string
       meta?: Record<string, any>
       roles?: Role[]
+      // Session of the access token, set on the authenticated user of a request
+      sid?: string
     }
 
     interface Role {
@@ -41,6 +43,7 @@ declare global {
 
     interface Guard {
       user(options: GuardOptions): Promise<string[] | null>
+      scopeAllows?(caps: string[]): Promise<boolean>
     }
 
     interface GuardOptions {
@@ -16,8 +16,14 @@ export default class UserGuard {
   private userId: number | null
   private postCapsCache: Map<number, Set<string>>
   private termCapsCache: Map<number, Set<string>>
-
-  constructor(context: HTMLDrop.Context, userId: number | null = null) {
+  private scope: string[] | null
+  private resolvedScope: Set<string> | null
+
+  /**
+   * @param scope Optional capability scope (e.g. from an API key), effective capabilities
+   *              are intersected with it so the guard never grants more than the scope
+   */
+  constructor(context: HTMLDrop.Context, userId: number | null = null, scope: string[] | null = null) {
     if (!context.knex) {
       throw new Error('UserGuard requires a database connection')
     }
@@ -28,6 +34,8 @@ export default class UserGuard {
     this.userId = userId
     this.postCapsCache = new Map()
     this.termCapsCache = new Map()
+    this.scope = scope
+    this.resolvedScope = null
   }
 
   async user({ canOneOf = {}, canAllOf = {}, userId = this.userId, postId = null, termId = null }: GuardOptions): Promise<string[] | null> {
@@ -62,6 +70,13 @@ export default class UserGuard {
       for (const cap of termCaps) effectiveCaps.add(cap)
     }
 
+    if (this.scope) {
+      if (!this.resolvedScope) this.resolvedScope = await this.resolveInheritedCaps(this.scope)
+      for (const cap of effectiveCaps) {
+        if (!this.resolvedScope.has(cap)) effectiveCaps.delete(cap)
+      }
+    }
+
     const matchedCaps: string[] = []
 
     // Handle canAllOf as either Record or array
@@ -90,6 +105,17 @@ export default class UserGuard {
     return matchedCaps.length ? matchedCaps : null
   }
 
+  /**
+   * Whether the scope holds one of the capabilities, always true without a scope.
+   * For access that doesn't come from capabilities, like being an author of the post
+   */
+  async scopeAllows(caps: string[]): Promise<boolean> {
+    if (!this.scope) return true
+    if (!this.resolvedScope) this.resolvedScope = await this.resolveInheritedCaps(this.scope)
+    const scope = this.resolvedScope
+    return caps.some((cap) => scope.has(cap))
+  }
+
   async resolvePostCapabilities(userId: number | null, postId: number): Promise<Set<string>> {
     if (!userId) return new Set()
     const table = this.table
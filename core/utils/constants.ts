@@ -177,6 +177,46 @@ export const PASSWORD_REQUIREMENTS = {
 
 export const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '12')
 
+// Verification of self-registered email addresses
+export const EMAIL_VERIFICATION = {
+  TOKEN_TTL_HOURS: 24,
+  // Minimum time between two verification emails to the same user
+  RESEND_INTERVAL_SECONDS: 60
+} as const
+
+// Invitations sent by administrators
+export const INVITATION = {
+  TOKEN_TTL_DAYS: 7,
+  // Rows accepted in a single bulk (CSV) invite
+  MAX_BULK: 100
+} as const
+
+// Login sessions
+export const SESSION = {
+  // A rotated refresh token that comes back within this window (e.g. two tabs refreshing
+  // at once) is rejected without revoking its session
+  REUSE_GRACE_SECONDS: 30
+} as const
+
+// Per-account protection against password guessing, defaults of the `login_protection` option
+export const LOGIN_PROTECTION = {
+  // Failed logins before the account is locked
+  MAX_ATTEMPTS: 10,
+  LOCKOUT_MINUTES: 15,
+  // Failed logins without delay, each further failure doubles the wait before the next attempt
+  DELAY_AFTER: 3,
+  MAX_DELAY_SECONDS: 60
+} as const
+
+// OpenID Connect and SAML single sign-on
+export const SSO = {
+  // Time to complete a login at the identity provider, like OAuth states
+  REQUEST_EXPIRY_MS: 10 * 60 * 1000,
+  JWKS_CACHE_MS: 60 * 60 * 1000,
+  FETCH_TIMEOUT_MS: 10000,
+  CLOCK_SKEW_SECONDS: 60
+} as const
+
 // ============================================================================
 // Rate Limiting
 // ============================================================================
@@ -187,6 +227,10 @@ export const RATE_LIMITS = {
   AUTH: {
     WINDOW_MS: 15 * 60 * 1000, // 15 minutes
     MAX_REQUESTS: 5 // Stricter for auth endpoints
+  },
+  COMMENTS: {
+    WINDOW_MS: 15 * 60 * 1000, // 15 minutes
+    MAX_REQUESTS: 10
   }
 } as const
 
@@ -224,6 +268,38 @@ export const CACHE_TTL = {
   VERY_LONG: 86400 // 24 hours
 } as const
 
+// Cache-Control of the public delivery API, in seconds
+export const DELIVERY_CACHE = {
+  MAX_AGE: 60,
+  STALE_WHILE_REVALIDATE: 300
+} as const
+
+// Sitemaps and feeds
+export const DISCOVERY = {
+  // How long generated sitemaps, feeds and robots.txt are served from SharedSSRCache, in ms
+  CACHE_MS: 30000,
+  // URLs per sitemap, the protocol allows 50,000
+  SITEMAP_PAGE_SIZE: 2000,
+  MAX_FEED_ITEMS: 100
+} as const
+
+// Draft previews rendered through the theme
+export const PREVIEW = {
+  // Previews of unsaved changes from the editor
+  DRAFT_TTL_MINUTES: 60,
+  // Shareable links for reviewers without an account
+  SHARE_TTL_HOURS: 72,
+  MAX_SHARE_TTL_HOURS: 720
+} as const
+
+// Limits of the GraphQL endpoint
+export const GRAPHQL = {
+  // Deepest selection a query may nest, relationships can otherwise be followed forever
+  MAX_DEPTH: 8,
+  // Generated schemas kept in memory, one per distinct set of visible post types and fields
+  SCHEMA_CACHE_SIZE: 20
+} as const
+
 export const CACHE_KEYS = {
   OPTIONS: 'options:all',
   ACTIVE_PLUGINS: 'plugins:active',
@@ -0,0 +1,13 @@
+/**
+ * Parse a stored or submitted date
+ * Stored dates are UTC without a timezone suffix (`YYYY-MM-DD HH:MM:SS`), SQLite keeps them as plain strings
+ * @returns The date, or null for empty and invalid values
+ */
+export const parseDate = (value: string | Date | null | undefined): Date | null => {
+  if (!value) return null
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value
+
+  const str = String(value)
+  const date = !str.includes('T') && !str.includes('Z') ? new Date(`${str.replace(' ', 'T')}Z`) : new Date(str)
+  return isNaN(date.getTime()) ? null : date
+}
@@ -58,6 +58,19 @@ export async function sendPasswordResetEmail(
   return await emailService.sendPasswordResetEmail(user, resetToken, expiryMinutes)
 }
 
+/**
+ * Send an email address verification email to a user
+ */
+export async function sendVerificationEmail(
+  context: HTMLDrop.Context,
+  user: User,
+  verificationToken: string,
+  expiryHours: number = 24
+): Promise<unknown> {
+  const emailService = new EmailService(context)
+  return await emailService.sendVerificationEmail(user, verificationToken, expiryHours)
+}
+
 /**
  * Send a custom email using a template function
  */
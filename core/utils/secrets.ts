@@ -3,6 +3,11 @@ import fs from 'fs'
 import path from 'path'
 import dotenv from 'dotenv'
 
+/**
+ * Whether a setting name looks like it holds a credential, e.g. `smtp_password`
+ */
+export const isSecretName = (name: string): boolean => /password|secret|token|api_?key/i.test(name)
+
 /**
  * Generate a random secret
  * @returns A random 64-character hex string
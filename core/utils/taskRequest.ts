@@ -0,0 +1,42 @@
+import type { Response, NextFunction } from 'express'
+import Registry from '../registries/index.ts'
+
+export interface TaskRequest {
+  req: HTMLDrop.ExtendedRequest
+  res: Response
+  next: NextFunction
+}
+
+/**
+ * Build a request for work that runs outside of an HTTP request, like scheduled tasks
+ *
+ * Initializes a full registry so providers, the theme and plugins register their
+ * hooks the same way they do for an API request. There is no signed-in user
+ */
+export const createTaskRequest = async (context: HTMLDrop.Context): Promise<TaskRequest> => {
+  const siteUrl = new URL(String(context.options?.site_url || process.env.SITE_URL || 'http://localhost:3000'))
+
+  const req = {
+    context,
+    hooks: {},
+    user: undefined,
+    ip: undefined,
+    method: 'POST',
+    path: '/',
+    headers: {},
+    query: {},
+    params: {},
+    body: {},
+    protocol: siteUrl.protocol.replace(/:$/, ''),
+    get: (name: string) => (name.toLowerCase() === 'host' ? siteUrl.host : undefined),
+    guard: { user: async () => null }
+  } as unknown as HTMLDrop.ExtendedRequest
+
+  const res = { headersSent: false, on: () => res } as unknown as Response
+  const next: NextFunction = () => {}
+
+  const registry = new Registry(req as any, res, next)
+  await registry.init()
+
+  return { req, res, next }
+}
@@ -3,6 +3,7 @@ import { parse as parseUrl } from 'url'
 import type { IncomingMessage } from 'http'
 import type { WebSocket } from 'ws'
 import UserGuard from './UserGuard.ts'
+import SessionService from '../services/SessionService.ts'
 
 interface AuthenticatedWebSocket extends WebSocket {
   userId?: number
@@ -41,8 +42,8 @@ export default function createWsAuthMiddleware(context: HTMLDrop.Context) {
       // Verify JWT token
       const decoded = jwt.verify(token, process.env.JWT_SECRET!) as HTMLDrop.JwtPayload
 
-      // Check if token is revoked
-      const { knex, table } = context
+      // Check if the token, or the session it belongs to, is revoked
+      const { knex } = context
       if (!knex) {
         ws.send(JSON.stringify({
           type: 'error',
@@ -51,9 +52,7 @@ export default function createWsAuthMiddleware(context: HTMLDrop.Context) {
         ws.close(1011, 'Database unavailable')
         return false
       }
-      const isRevoked = await knex(table('revoked_tokens'))
-        .where('token', token)
-        .first()
+      const isRevoked = await new SessionService(context).isRevoked(token, decoded.sid as string | undefined)
 
       if (isRevoked) {
         ws.send(JSON.stringify({
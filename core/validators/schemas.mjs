@@ -192,6 +192,7 @@ export const createPostTypeSchema = z.object({
   description: z.string().max(500).default(''),
   icon: z.string().max(5000).optional(),
   show_in_menu: z.boolean().default(true),
+  public: z.boolean().default(false),
   capabilities: z.record(z.string()).optional()
 })
 
@@ -201,6 +202,7 @@ export const updatePostTypeSchema = z.object({
   description: z.string().max(500).optional(),
   icon: z.string().max(5000).optional(),
   show_in_menu: z.boolean().optional(),
+  public: z.boolean().optional(),
   capabilities: z.record(z.string()).optional()
 })
 